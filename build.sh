@@ -37,6 +37,8 @@ cat src/utils/Point.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/utils/Rectangle.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/utils/CornerRadii.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/core/Transform2D.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/core/SWPath2D.js >> dist/swcanvas.js
@@ -49,6 +51,8 @@ echo "" >> dist/swcanvas.js
 # Phase 1.5: Shape rendering operations (depend on Surface)
 cat src/renderers/SpanOps.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/renderers/DashOps.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/renderers/QuadScanOps.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/renderers/RectOpsRot.js >> dist/swcanvas.js
@@ -57,10 +61,16 @@ cat src/renderers/RectOpsAA.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/renderers/CircleOps.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/renderers/EllipseOps.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/renderers/ArcOps.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/renderers/AnnulusOps.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/renderers/LineOps.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/renderers/PolylineOps.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/renderers/RoundedRectOpsRot.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/renderers/RoundedRectOpsAA.js >> dist/swcanvas.js
@@ -75,8 +85,12 @@ cat src/io/BitmapEncoder.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/io/PngEncodingOptions.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/io/Deflate.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/io/PngEncoder.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/io/PngDecoder.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/renderers/PathFlattener.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/renderers/PolygonFiller.js >> dist/swcanvas.js
@@ -95,12 +109,44 @@ cat src/filters/ShadowBuffer.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/filters/BoxBlur.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/filters/FilterImage.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/ColorMatrixFilter.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/GaussianBlur.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/ConvolutionFilter.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/UnsharpMask.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/ComponentTransfer.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/Morphology.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/DisplacementMap.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/utils/ImageProcessor.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/utils/ImageSampler.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/paint/ColorParser.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
+cat src/text/FontParser.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/text/DefaultFont.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/text/OpenTypeFont.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/text/FontRegistry.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/text/TextLayout.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
+cat src/filters/CanvasFilter.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 
 # Phase 2.5: Paint sources (depend on foundation + ColorParser)
+cat src/paint/ColorSpace.js >> dist/swcanvas.js
+echo "" >> dist/swcanvas.js
 cat src/paint/Gradient.js >> dist/swcanvas.js
 echo "" >> dist/swcanvas.js
 cat src/paint/Pattern.js >> dist/swcanvas.js
@@ -152,6 +198,11 @@ function createImageData(width, height) {
     };
 }
 
+// Register a TrueType/OpenType font so ctx.font family names can use it
+function registerFont(family, buffer, options) {
+    return FontRegistry.register(family, buffer, options);
+}
+
 EOF
 
 # Footer to expose clean dual API globals
@@ -164,6 +215,7 @@ if (typeof window !== 'undefined') {
         // HTML5 Canvas-compatible API (recommended for portability)
         createCanvas: createCanvas,
         createImageData: createImageData,
+        registerFont: registerFont,
         
         // Core API namespace (recommended for performance/control)  
         Core: {
@@ -174,28 +226,47 @@ if (typeof window !== 'undefined') {
             Color: Color,
             Point: Point,
             Rectangle: Rectangle,
+            CornerRadii: CornerRadii,
             StateStack: StateStack,
             BitmapEncoder: BitmapEncoder,
             BitmapEncodingOptions: BitmapEncodingOptions,
             PngEncoder: PngEncoder,
             PngEncodingOptions: PngEncodingOptions,
+            PngDecoder: PngDecoder,
+            Deflate: Deflate,
             BitBuffer: BitBuffer,
             BoundsTracker: BoundsTracker,
             ClipMask: ClipMask,
             SourceMask: SourceMask,
             ShadowBuffer: ShadowBuffer,
             BoxBlur: BoxBlur,
+            CanvasFilter: CanvasFilter,
+            FilterImage: FilterImage,
+            ColorMatrixFilter: ColorMatrixFilter,
+            GaussianBlur: GaussianBlur,
+            ConvolutionFilter: ConvolutionFilter,
+            UnsharpMask: UnsharpMask,
+            ComponentTransfer: ComponentTransfer,
+            Morphology: Morphology,
+            DisplacementMap: DisplacementMap,
             ImageProcessor: ImageProcessor,
+            ImageSampler: ImageSampler,
             CompositeOperations: CompositeOperations,
             Rasterizer: Rasterizer,
             PathFlattener: PathFlattener,
             PolygonFiller: PolygonFiller,
             StrokeGenerator: StrokeGenerator,
+            ColorSpace: ColorSpace,
             Gradient: Gradient,
             LinearGradient: LinearGradient,
             RadialGradient: RadialGradient,
             ConicGradient: ConicGradient,
             Pattern: Pattern,
+            FontParser: FontParser,
+            DefaultFont: DefaultFont,
+            OpenTypeFont: OpenTypeFont,
+            FontRegistry: FontRegistry,
+            TextLayout: TextLayout,
             FastPixelOps: FastPixelOps,
             RoundedRectOpsAA: RoundedRectOpsAA
         }
@@ -206,6 +277,7 @@ if (typeof window !== 'undefined') {
         // HTML5 Canvas-compatible API (recommended for portability)
         createCanvas: createCanvas,
         createImageData: createImageData,
+        registerFont: registerFont,
 
         // Core API namespace (recommended for performance/control)
         Core: {
@@ -216,28 +288,47 @@ if (typeof window !== 'undefined') {
             Color: Color,
             Point: Point,
             Rectangle: Rectangle,
+            CornerRadii: CornerRadii,
             StateStack: StateStack,
             BitmapEncoder: BitmapEncoder,
             BitmapEncodingOptions: BitmapEncodingOptions,
             PngEncoder: PngEncoder,
             PngEncodingOptions: PngEncodingOptions,
+            PngDecoder: PngDecoder,
+            Deflate: Deflate,
             BitBuffer: BitBuffer,
             BoundsTracker: BoundsTracker,
             ClipMask: ClipMask,
             SourceMask: SourceMask,
             ShadowBuffer: ShadowBuffer,
             BoxBlur: BoxBlur,
+            CanvasFilter: CanvasFilter,
+            FilterImage: FilterImage,
+            ColorMatrixFilter: ColorMatrixFilter,
+            GaussianBlur: GaussianBlur,
+            ConvolutionFilter: ConvolutionFilter,
+            UnsharpMask: UnsharpMask,
+            ComponentTransfer: ComponentTransfer,
+            Morphology: Morphology,
+            DisplacementMap: DisplacementMap,
             ImageProcessor: ImageProcessor,
+            ImageSampler: ImageSampler,
             CompositeOperations: CompositeOperations,
             Rasterizer: Rasterizer,
             PathFlattener: PathFlattener,
             PolygonFiller: PolygonFiller,
             StrokeGenerator: StrokeGenerator,
+            ColorSpace: ColorSpace,
             Gradient: Gradient,
             LinearGradient: LinearGradient,
             RadialGradient: RadialGradient,
             ConicGradient: ConicGradient,
             Pattern: Pattern,
+            FontParser: FontParser,
+            DefaultFont: DefaultFont,
+            OpenTypeFont: OpenTypeFont,
+            FontRegistry: FontRegistry,
+            TextLayout: TextLayout,
             FastPixelOps: FastPixelOps,
             RoundedRectOpsAA: RoundedRectOpsAA
         }
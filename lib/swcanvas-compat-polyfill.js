@@ -12,7 +12,11 @@
  *   - fillCircle(cx, cy, radius)
  *   - strokeCircle(cx, cy, radius)
  *   - fillStrokeCircle(cx, cy, radius)
+ *   - fillEllipse(cx, cy, radiusX, radiusY, rotation)
+ *   - strokeEllipse(cx, cy, radiusX, radiusY, rotation)
+ *   - fillStrokeEllipse(cx, cy, radiusX, radiusY, rotation)
  *   - strokeLine(x1, y1, x2, y2)
+ *   - strokePolyline(points, closed)
  *   - fillRoundRect(x, y, width, height, radii)
  *   - strokeRoundRect(x, y, width, height, radii)
  *   - fillStrokeRoundRect(x, y, width, height, radii)
@@ -20,6 +24,12 @@
  *   - fillArc(cx, cy, radius, startAngle, endAngle, anticlockwise)
  *   - outerStrokeArc(cx, cy, radius, startAngle, endAngle, anticlockwise)
  *   - fillOuterStrokeArc(cx, cy, radius, startAngle, endAngle, anticlockwise)
+ *   - fillRing(cx, cy, innerRadius, outerRadius)
+ *   - strokeRing(cx, cy, innerRadius, outerRadius)
+ *   - fillAnnularSector(cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise)
+ *   - strokeAnnularSector(cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise)
+ *   - fillRects(rects, colors)
+ *   - fillCircles(circles, colors)
  *
  * Note: This file is a no-op in Node.js where CanvasRenderingContext2D doesn't exist.
  */
@@ -61,6 +71,36 @@
         };
     }
 
+    // ===== ELLIPSE METHODS =====
+
+    if (!proto.fillEllipse) {
+        proto.fillEllipse = function (cx, cy, radiusX, radiusY, rotation) {
+            if (rotation === undefined) rotation = 0;
+            this.beginPath();
+            this.ellipse(cx, cy, radiusX, radiusY, rotation, 0, Math.PI * 2);
+            this.fill();
+        };
+    }
+
+    if (!proto.strokeEllipse) {
+        proto.strokeEllipse = function (cx, cy, radiusX, radiusY, rotation) {
+            if (rotation === undefined) rotation = 0;
+            this.beginPath();
+            this.ellipse(cx, cy, radiusX, radiusY, rotation, 0, Math.PI * 2);
+            this.stroke();
+        };
+    }
+
+    if (!proto.fillStrokeEllipse) {
+        proto.fillStrokeEllipse = function (cx, cy, radiusX, radiusY, rotation) {
+            if (rotation === undefined) rotation = 0;
+            this.beginPath();
+            this.ellipse(cx, cy, radiusX, radiusY, rotation, 0, Math.PI * 2);
+            this.fill();
+            this.stroke();
+        };
+    }
+
     // ===== LINE METHODS =====
 
     if (!proto.strokeLine) {
@@ -72,6 +112,19 @@
         };
     }
 
+    if (!proto.strokePolyline) {
+        proto.strokePolyline = function (points, closed = false) {
+            if (points.length < 4) return;
+            this.beginPath();
+            this.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                this.lineTo(points[i], points[i + 1]);
+            }
+            if (closed) this.closePath();
+            this.stroke();
+        };
+    }
+
     // ===== RECTANGLE METHODS =====
 
     if (!proto.fillStrokeRect) {
@@ -147,4 +200,91 @@
         };
     }
 
+    // ===== RING METHODS =====
+
+    // Outer circle plus the reversed inner circle (nonzero winding leaves the hole empty)
+    function ringPath(ctx, cx, cy, innerRadius, outerRadius) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, outerRadius, 0, Math.PI * 2);
+        if (innerRadius > 0) {
+            ctx.moveTo(cx + innerRadius, cy);
+            ctx.arc(cx, cy, innerRadius, Math.PI * 2, 0, true);
+        }
+    }
+
+    // Outer arc, then the inner arc back to the start angle
+    function annularSectorPath(ctx, cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, outerRadius, startAngle, endAngle, anticlockwise);
+        ctx.arc(cx, cy, innerRadius, endAngle, startAngle, !anticlockwise);
+        ctx.closePath();
+    }
+
+    if (!proto.fillRing) {
+        proto.fillRing = function (cx, cy, innerRadius, outerRadius) {
+            if (!(innerRadius >= 0 && outerRadius > innerRadius)) return;
+            ringPath(this, cx, cy, innerRadius, outerRadius);
+            this.fill();
+        };
+    }
+
+    if (!proto.strokeRing) {
+        proto.strokeRing = function (cx, cy, innerRadius, outerRadius) {
+            if (!(innerRadius >= 0 && outerRadius > innerRadius)) return;
+            ringPath(this, cx, cy, innerRadius, outerRadius);
+            this.stroke();
+        };
+    }
+
+    if (!proto.fillAnnularSector) {
+        proto.fillAnnularSector = function (cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise) {
+            if (anticlockwise === undefined) anticlockwise = false;
+            if (!(innerRadius >= 0 && outerRadius > innerRadius)) return;
+            annularSectorPath(this, cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+            this.fill();
+        };
+    }
+
+    if (!proto.strokeAnnularSector) {
+        proto.strokeAnnularSector = function (cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise) {
+            if (anticlockwise === undefined) anticlockwise = false;
+            if (!(innerRadius >= 0 && outerRadius > innerRadius)) return;
+            annularSectorPath(this, cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+            this.stroke();
+        };
+    }
+
+    // ===== BATCH METHODS =====
+
+    // Per-item colors are packed as 0xAABBGGRR (the pixel layout of a Uint32Array view of ImageData)
+    function packedToCSS(packed) {
+        return 'rgba(' + (packed & 0xFF) + ', ' + ((packed >>> 8) & 0xFF) + ', ' +
+            ((packed >>> 16) & 0xFF) + ', ' + ((packed >>> 24) / 255) + ')';
+    }
+
+    if (!proto.fillRects) {
+        proto.fillRects = function (rects, colors) {
+            const savedFillStyle = this.fillStyle;
+            for (let i = 0; i < rects.length / 4; i++) {
+                if (colors) this.fillStyle = packedToCSS(colors[i]);
+                this.fillRect(rects[i * 4], rects[i * 4 + 1], rects[i * 4 + 2], rects[i * 4 + 3]);
+            }
+            this.fillStyle = savedFillStyle;
+        };
+    }
+
+    if (!proto.fillCircles) {
+        proto.fillCircles = function (circles, colors) {
+            const savedFillStyle = this.fillStyle;
+            for (let i = 0; i < circles.length / 3; i++) {
+                if (colors) this.fillStyle = packedToCSS(colors[i]);
+                if (circles[i * 3 + 2] <= 0) continue;
+                this.beginPath();
+                this.arc(circles[i * 3], circles[i * 3 + 1], circles[i * 3 + 2], 0, Math.PI * 2);
+                this.fill();
+            }
+            this.fillStyle = savedFillStyle;
+        };
+    }
+
 })();
@@ -67,6 +67,9 @@ class SWCanvasConstants {
     /** Curve flattening tolerance for deterministic behavior */
     static PATH_FLATTENING_TOLERANCE = 0.25;
 
+    /** Sub-scanlines sampled per pixel row by the anti-aliased polygon filler */
+    static AA_SUBSCANLINES = 16;
+
     // ═══════════════════════════════════════════════════════════════════════
     // LINE/STROKE THRESHOLDS
     // ═══════════════════════════════════════════════════════════════════════
@@ -76,6 +79,19 @@ class SWCanvasConstants {
 
     /** Default miter limit ratio */
     static DEFAULT_MITER_LIMIT = 10.0;
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // TEXT
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /** Initial ctx.font value (HTML5 Canvas default) */
+    static DEFAULT_FONT = '10px sans-serif';
+
+    /** Font size in px that em, rem and % sizes resolve against */
+    static DEFAULT_FONT_SIZE = 10;
+
+    /** Horizontal shear applied to fonts without a real italic face */
+    static SYNTHETIC_OBLIQUE_SKEW = 0.2;
 }
 
 // File-scope aliases for zero-overhead access (inlined by JIT compilers)
@@ -92,5 +108,9 @@ const ANGLE_TOLERANCE = SWCanvasConstants.ANGLE_TOLERANCE;
 const MIN_EDGE_LENGTH = SWCanvasConstants.MIN_EDGE_LENGTH;
 const MIN_EDGE_LENGTH_SQUARED = SWCanvasConstants.MIN_EDGE_LENGTH_SQUARED;
 const PATH_FLATTENING_TOLERANCE = SWCanvasConstants.PATH_FLATTENING_TOLERANCE;
+const AA_SUBSCANLINES = SWCanvasConstants.AA_SUBSCANLINES;
 const THIN_LINE_THRESHOLD = SWCanvasConstants.THIN_LINE_THRESHOLD;
 const DEFAULT_MITER_LIMIT = SWCanvasConstants.DEFAULT_MITER_LIMIT;
+const DEFAULT_FONT = SWCanvasConstants.DEFAULT_FONT;
+const DEFAULT_FONT_SIZE = SWCanvasConstants.DEFAULT_FONT_SIZE;
+const SYNTHETIC_OBLIQUE_SKEW = SWCanvasConstants.SYNTHETIC_OBLIQUE_SKEW;
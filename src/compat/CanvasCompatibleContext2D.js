@@ -166,6 +166,37 @@ class CanvasCompatibleContext2D {
     get lineDashOffset() { return this._core.lineDashOffset; }
     set lineDashOffset(value) { this._core.lineDashOffset = value; }
 
+    // SWCanvas extension: coverage-based anti-aliasing for path fill()/stroke() (default false)
+    get antialias() { return this._core.antialias; }
+    set antialias(value) { this._core.antialias = value; }
+
+    // ===== IMAGE SMOOTHING PROPERTIES =====
+
+    get imageSmoothingEnabled() { return this._core.imageSmoothingEnabled; }
+    set imageSmoothingEnabled(value) { this._core.imageSmoothingEnabled = value; }
+
+    get imageSmoothingQuality() { return this._core.imageSmoothingQuality; }
+    set imageSmoothingQuality(value) { this._core.imageSmoothingQuality = value; }
+
+    // ===== FILTER PROPERTY =====
+
+    get filter() { return this._core.filter; }
+    set filter(value) { this._core.filter = value; }
+
+    // ===== TEXT PROPERTIES =====
+
+    get font() { return this._core.font; }
+    set font(value) { this._core.font = value; }
+
+    get textAlign() { return this._core.textAlign; }
+    set textAlign(value) { this._core.textAlign = value; }
+
+    get textBaseline() { return this._core.textBaseline; }
+    set textBaseline(value) { this._core.textBaseline = value; }
+
+    get direction() { return this._core.direction; }
+    set direction(value) { this._core.direction = value; }
+
     // ===== SHADOW PROPERTIES =====
 
     get shadowColor() {
@@ -277,6 +308,10 @@ class CanvasCompatibleContext2D {
         this._core.arcTo(x1, y1, x2, y2, radius);
     }
 
+    roundRect(x, y, w, h, radii = 0) {
+        this._core.roundRect(x, y, w, h, radii);
+    }
+
     quadraticCurveTo(cpx, cpy, x, y) {
         this._core.quadraticCurveTo(cpx, cpy, x, y);
     }
@@ -366,6 +401,20 @@ class CanvasCompatibleContext2D {
         }
     }
 
+    // ===== TEXT DRAWING =====
+
+    fillText(text, x, y, maxWidth) {
+        this._core.fillText(text, x, y, maxWidth);
+    }
+
+    strokeText(text, x, y, maxWidth) {
+        this._core.strokeText(text, x, y, maxWidth);
+    }
+
+    measureText(text) {
+        return this._core.measureText(text);
+    }
+
     // ===== IMAGE DRAWING =====
 
     drawImage(image, ...args) {
@@ -382,9 +431,9 @@ class CanvasCompatibleContext2D {
             });
         }
 
-        // Handle SWCanvasElement specially
+        // SWCanvasElement: core samples its surface directly
         if (image && image instanceof SWCanvasElement) {
-            this._core.drawImage(image._imageData, ...args);
+            this._core.drawImage(image, ...args);
         } else if (image && typeof image === 'object' && image.getContext && typeof image.getContext === 'function') {
             // Handle HTMLCanvasElement (has getContext method)
             const ctx = image.getContext('2d');
@@ -608,6 +657,42 @@ class CanvasCompatibleContext2D {
         this._core.fillStrokeCircle(centerX, centerY, radius);
     }
 
+    /**
+     * Fill an ellipse directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    fillEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._core.fillEllipse(centerX, centerY, radiusX, radiusY, rotation);
+    }
+
+    /**
+     * Stroke an ellipse directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    strokeEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._core.strokeEllipse(centerX, centerY, radiusX, radiusY, rotation);
+    }
+
+    /**
+     * Fill and stroke an ellipse in one operation
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    fillStrokeEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._core.fillStrokeEllipse(centerX, centerY, radiusX, radiusY, rotation);
+    }
+
     /**
      * Stroke a line directly without using the path system
      * @param {number} x1 - Start X coordinate
@@ -619,6 +704,35 @@ class CanvasCompatibleContext2D {
         this._core.strokeLine(x1, y1, x2, y2);
     }
 
+    /**
+     * Stroke a polyline directly without using the path system
+     * @param {ArrayLike<number>} points - Flat x, y coordinates, e.g. a Float32Array [x0, y0, x1, y1, ...]
+     * @param {boolean} [closed=false] - Join the last point back to the first
+     */
+    strokePolyline(points, closed = false) {
+        this._core.strokePolyline(points, closed);
+    }
+
+    // ===== BATCH DIRECT APIs (direct rendering) =====
+
+    /**
+     * Fill many rectangles in one call
+     * @param {ArrayLike<number>} rects - Flat x, y, width, height quadruples, e.g. a Float32Array
+     * @param {Uint32Array|null} [colors=null] - Per-rectangle colors packed as 0xAABBGGRR; fillStyle when null
+     */
+    fillRects(rects, colors = null) {
+        this._core.fillRects(rects, colors);
+    }
+
+    /**
+     * Fill many circles in one call
+     * @param {ArrayLike<number>} circles - Flat centerX, centerY, radius triples, e.g. a Float32Array
+     * @param {Uint32Array|null} [colors=null] - Per-circle colors packed as 0xAABBGGRR; fillStyle when null
+     */
+    fillCircles(circles, colors = null) {
+        this._core.fillCircles(circles, colors);
+    }
+
     // ===== ARC DIRECT APIs (direct rendering) =====
 
     /**
@@ -659,4 +773,56 @@ class CanvasCompatibleContext2D {
     fillOuterStrokeArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
         this._core.fillOuterStrokeArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise);
     }
+
+    // ===== RING DIRECT APIs (direct rendering) =====
+
+    /**
+     * Fill a ring (annulus) directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Radius of the hole (0 for a full disk)
+     * @param {number} outerRadius - Outer radius
+     */
+    fillRing(centerX, centerY, innerRadius, outerRadius) {
+        this._core.fillRing(centerX, centerY, innerRadius, outerRadius);
+    }
+
+    /**
+     * Stroke both circles of a ring directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner circle radius (0 strokes the outer circle only)
+     * @param {number} outerRadius - Outer circle radius
+     */
+    strokeRing(centerX, centerY, innerRadius, outerRadius) {
+        this._core.strokeRing(centerX, centerY, innerRadius, outerRadius);
+    }
+
+    /**
+     * Fill an annular sector (a slice of a ring) directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner radius (0 for a pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} [anticlockwise=false] - Direction of arc
+     */
+    fillAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise = false) {
+        this._core.fillAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+    }
+
+    /**
+     * Stroke the outline of an annular sector directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner radius (0 for a pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} [anticlockwise=false] - Direction of arc
+     */
+    strokeAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise = false) {
+        this._core.strokeAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+    }
 }
\ No newline at end of file
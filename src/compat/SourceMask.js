@@ -26,6 +26,9 @@ class SourceMask {
         
         // Bounds tracking for optimization using composition
         this._boundsTracker = new BoundsTracker();
+
+        // Optional 8-bit partial coverage, allocated on first use by anti-aliased fills
+        this._coverage = null;
         
         // Make dimensions immutable
         Object.defineProperty(this, 'width', { value: width, writable: false });
@@ -58,6 +61,9 @@ class SourceMask {
         
         // Update pixel state
         this._bitBuffer.setPixel(x, y, covered);
+        if (this._coverage) {
+            this._coverage[y * this.width + x] = covered ? 255 : 0;
+        }
         
         // Update bounds if pixel became covered
         if (covered && !wasCovered) {
@@ -67,12 +73,43 @@ class SourceMask {
         // Clear() resets bounds completely
     }
     
+    /**
+     * Record partial coverage for a pixel (anti-aliased rendering)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} coverage - Coverage 0-255 (0 leaves the pixel uncovered)
+     */
+    setCoverage(x, y, coverage) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return;
+        }
+
+        if (!this._coverage) {
+            this._coverage = new Uint8Array(this.width * this.height);
+        }
+
+        this.setPixel(x, y, coverage > 0);
+        this._coverage[y * this.width + x] = coverage;
+    }
+
+    /**
+     * Get coverage for a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Coverage 0-255 (255 for pixels set without partial coverage)
+     */
+    getCoverage(x, y) {
+        if (!this._bitBuffer.getPixel(x, y)) return 0;
+        return this._coverage ? this._coverage[y * this.width + x] : 255;
+    }
+
     /**
      * Clear all coverage (set all pixels to not covered)
      */
     clear() {
         this._bitBuffer.clear();
         this._boundsTracker.reset();
+        this._coverage = null;
     }
     
     /**
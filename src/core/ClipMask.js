@@ -9,6 +9,12 @@
  * - Each pixel is represented by 1 bit (1 = visible, 0 = clipped)
  * - Bits are packed into Uint8Array (8 pixels per byte)
  * - Memory usage: width × height ÷ 8 bytes (87.5% reduction vs full coverage)
+ *
+ * Anti-aliased clips add an optional 8-bit coverage channel (one byte per pixel,
+ * allocated only once a partially covered pixel is written). The bit stays set for
+ * any pixel with coverage > 0, so renderers keep using the bit buffer as a fast
+ * reject test. Renderers that draw under partially covered "soft edge" pixels
+ * multiply the coverage into the source alpha as they write each pixel.
  */
 class ClipMask {
     /**
@@ -20,6 +26,12 @@ class ClipMask {
         // BitBuffer validates parameters and handles bit manipulation
         // Default to 1 (no clipping by default)
         this._bitBuffer = new BitBuffer(width, height, 1);
+
+        // Optional 8-bit coverage (null = every visible pixel is fully covered)
+        this._coverage = null;
+
+        // Number of partially covered pixels, counted as coverage is written
+        this._softPixels = 0;
         
         // Make dimensions immutable
         Object.defineProperty(this, 'width', { value: width, writable: false });
@@ -35,6 +47,16 @@ class ClipMask {
         return this._bitBuffer._buffer;
     }
 
+    /**
+     * Direct coverage access for hot loops (dual-access pattern, like buffer).
+     * Only meaningful where the bit buffer marks the pixel visible.
+     * @returns {Uint8Array|null} One byte per pixel (y * width + x), or null when
+     *   every visible pixel is fully covered
+     */
+    get coverage() {
+        return this._coverage;
+    }
+
     /**
      * Get clip state for a pixel
      * @param {number} x - X coordinate
@@ -53,6 +75,61 @@ class ClipMask {
      */
     setPixel(x, y, visible) {
         this._bitBuffer.setPixel(x, y, visible);
+        if (this._coverage) {
+            this._writeCoverage(y * this.width + x, visible ? 255 : 0);
+        }
+    }
+
+    /**
+     * Get clip coverage for a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Coverage 0-255 (0 = clipped, 255 = fully visible)
+     */
+    getCoverage(x, y) {
+        if (!this._bitBuffer.getPixel(x, y)) return 0;
+        return this._coverage ? this._coverage[y * this.width + x] : 255;
+    }
+
+    /**
+     * Set clip coverage for a pixel (anti-aliased clipping)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} coverage - Coverage 0-255 (0 = clipped, 255 = fully visible)
+     */
+    setCoverage(x, y, coverage) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+
+        this._ensureCoverage();
+        this._bitBuffer.setPixel(x, y, coverage > 0);
+        this._writeCoverage(y * this.width + x, coverage);
+    }
+
+    /**
+     * Store one pixel's coverage, keeping the soft pixel count up to date
+     * @param {number} index - Pixel index (y * width + x)
+     * @param {number} coverage - Coverage 0-255
+     * @private
+     */
+    _writeCoverage(index, coverage) {
+        const previous = this._coverage[index];
+        if (previous > 0 && previous < 255) this._softPixels--;
+        if (coverage > 0 && coverage < 255) this._softPixels++;
+        this._coverage[index] = coverage;
+    }
+
+    /**
+     * Allocate the coverage channel, seeded from the current bit state
+     * @private
+     */
+    _ensureCoverage() {
+        if (this._coverage) return;
+
+        const coverage = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < coverage.length; i++) {
+            if (this._bitBuffer._getBit(i)) coverage[i] = 255;
+        }
+        this._coverage = coverage;
     }
     
     /**
@@ -70,6 +147,8 @@ class ClipMask {
      */
     clear() {
         this._bitBuffer.fill(); // Fill with 1s (visible)
+        this._coverage = null;
+        this._softPixels = 0;
     }
     
     /**
@@ -77,11 +156,13 @@ class ClipMask {
      */
     clipAll() {
         this._bitBuffer.clear(); // Clear to 0s (clipped)
+        this._coverage = null;
+        this._softPixels = 0;
     }
     
     /**
      * Intersect this clip mask with another (AND operation)
-     * Only pixels visible in BOTH masks will remain visible
+     * Only pixels visible in BOTH masks will remain visible; coverage values multiply
      * @param {ClipMask} other - Other clip mask to intersect with
      */
     intersectWith(other) {
@@ -90,6 +171,28 @@ class ClipMask {
         }
         
         this._bitBuffer.and(other._bitBuffer);
+
+        // Every coverage value is rewritten below, so the soft pixels are recounted
+        let softPixels = 0;
+        if (other._coverage) {
+            this._ensureCoverage();
+            const coverage = this._coverage;
+            const otherCoverage = other._coverage;
+            for (let i = 0; i < coverage.length; i++) {
+                const value = Math.round(coverage[i] * otherCoverage[i] / 255);
+                coverage[i] = value;
+                // Rounding can drop tiny products to zero: keep the bit in sync
+                if (value === 0) this._bitBuffer._setBit(i, 0);
+                else if (value < 255) softPixels++;
+            }
+        } else if (this._coverage) {
+            const coverage = this._coverage;
+            for (let i = 0; i < coverage.length; i++) {
+                if (!this._bitBuffer._getBit(i)) coverage[i] = 0;
+                else if (coverage[i] < 255) softPixels++;
+            }
+        }
+        this._softPixels = softPixels;
     }
     
     /**
@@ -99,8 +202,31 @@ class ClipMask {
     clone() {
         const clone = new ClipMask(this.width, this.height);
         clone._bitBuffer.copyFrom(this._bitBuffer);
+        if (this._coverage) {
+            clone._coverage = this._coverage.slice();
+            clone._softPixels = this._softPixels;
+        }
         return clone;
     }
+
+    /**
+     * Check if any pixel is only partially covered (anti-aliased clip edge)
+     * @returns {boolean} True if drawing must apply the clip coverage per pixel
+     */
+    hasSoftEdges() {
+        return this._softPixels > 0;
+    }
+
+    /**
+     * Copy of this mask without its coverage channel: every visible pixel,
+     * soft edges included, becomes fully covered
+     * @returns {ClipMask} New 1-bit ClipMask
+     */
+    withoutCoverage() {
+        const mask = new ClipMask(this.width, this.height);
+        mask._bitBuffer.copyFrom(this._bitBuffer);
+        return mask;
+    }
     
     /**
      * Create a clip pixel writer function for path rendering
@@ -122,7 +248,7 @@ class ClipMask {
      * @returns {number} Memory usage of the clip mask
      */
     getMemoryUsage() {
-        return this._bitBuffer.getMemoryUsage();
+        return this._bitBuffer.getMemoryUsage() + (this._coverage ? this._coverage.length : 0);
     }
     
     /**
@@ -153,6 +279,23 @@ class ClipMask {
             return false;
         }
         
-        return this._bitBuffer.equals(other._bitBuffer);
+        if (!this._bitBuffer.equals(other._bitBuffer)) {
+            return false;
+        }
+
+        // Without soft pixels the coverage (if any) is 255 exactly where the bit is set
+        if (this._softPixels !== other._softPixels) {
+            return false;
+        }
+        if (this._softPixels === 0) {
+            return true;
+        }
+
+        const coverage = this._coverage;
+        const otherCoverage = other._coverage;
+        for (let i = 0; i < coverage.length; i++) {
+            if (coverage[i] !== otherCoverage[i]) return false;
+        }
+        return true;
     }
 }
\ No newline at end of file
@@ -83,6 +83,25 @@ class Context2D {
 
         // Stencil-based clipping system (only clipping mechanism)
         this._clipMask = null;  // ClipMask instance for 1-bit per pixel clipping
+        this._noSoftClip = true;  // Updated when the clip changes
+
+        // Coverage-based anti-aliasing for path rendering (opt-in, off for pixel-exact output)
+        this._antialias = false;
+
+        // Image smoothing for drawImage() and patterns (opt-in, off for pixel-exact output)
+        this._imageSmoothingEnabled = false;
+        this._imageSmoothingQuality = 'low';
+
+        // CSS filter applied to each drawing operation (null = 'none')
+        this._filter = null;
+        this._drawingFilterLayer = false;  // True while a drawing op renders into its filter layer
+        this._drawingShadowLayer = false;  // True while a direct op renders its shadow's coverage
+
+        // Text properties
+        this._font = FontParser.parse(DEFAULT_FONT);
+        this._textAlign = 'start';
+        this._textBaseline = 'alphabetic';
+        this._direction = 'inherit';
 
         // Cached state flags for direct rendering eligibility (performance optimization)
         this._noShadow = true;       // Updated when shadow properties change
@@ -104,13 +123,103 @@ class Context2D {
         // Otherwise, keep the current value unchanged (ignore invalid input)
     }
 
+    // Opt-in anti-aliasing for path-based fill()/stroke() rendering
+    get antialias() {
+        return this._antialias;
+    }
+
+    set antialias(value) {
+        this._antialias = !!value;
+    }
+
+    // HTML5 Canvas-compatible image smoothing properties (invalid quality values are ignored)
+    get imageSmoothingEnabled() {
+        return this._imageSmoothingEnabled;
+    }
+
+    set imageSmoothingEnabled(value) {
+        this._imageSmoothingEnabled = !!value;
+    }
+
+    get imageSmoothingQuality() {
+        return this._imageSmoothingQuality;
+    }
+
+    set imageSmoothingQuality(value) {
+        if (ImageSampler.QUALITIES.includes(value)) {
+            this._imageSmoothingQuality = value;
+        }
+    }
+
+    // HTML5 Canvas-compatible filter property (invalid values are ignored)
+    get filter() {
+        return this._filter ? this._filter.source : 'none';
+    }
+
+    set filter(value) {
+        const filter = CanvasFilter.parse(value);
+        if (filter) {
+            this._filter = filter.functions.length > 0 ? filter : null;
+        }
+    }
+
+    // HTML5 Canvas-compatible text properties (invalid values are ignored)
+    get font() {
+        return FontParser.serialize(this._font);
+    }
+
+    set font(value) {
+        const descriptor = FontParser.parse(value);
+        if (descriptor) {
+            this._font = descriptor;
+        }
+    }
+
+    get textAlign() {
+        return this._textAlign;
+    }
+
+    set textAlign(value) {
+        if (TextLayout.TEXT_ALIGNS.includes(value)) {
+            this._textAlign = value;
+        }
+    }
+
+    get textBaseline() {
+        return this._textBaseline;
+    }
+
+    set textBaseline(value) {
+        if (TextLayout.TEXT_BASELINES.includes(value)) {
+            this._textBaseline = value;
+        }
+    }
+
+    get direction() {
+        return this._direction;
+    }
+
+    set direction(value) {
+        if (TextLayout.DIRECTIONS.includes(value)) {
+            this._direction = value;
+        }
+    }
+
     // HTML5 Canvas-compatible globalCompositeOperation property with cached flag
     get globalCompositeOperation() {
         return this._globalCompositeOperation;
     }
 
     set globalCompositeOperation(value) {
+        // HTML5 Canvas spec: ignore unsupported operation names
+        if (!CompositeOperations.isSupported(value)) {
+            return;
+        }
         this._globalCompositeOperation = value;
+        // Direct renderers blend source-over inline; additive operations (lighter,
+        // plus-lighter) have direct fills for rectangles and circles, see
+        // _canUseDirectAdditive(). Everything else goes through the per-pixel
+        // CompositeOperations pipeline.
         this._isSourceOver = (value === 'source-over');
     }
 
@@ -124,19 +233,103 @@ class Context2D {
             (this.shadowBlur === 0 && this.shadowOffsetX === 0 && this.shadowOffsetY === 0);
     }
 
+    /**
+     * Update cached soft clip flag after the clip changes
+     * @private
+     */
+    _updateNoSoftClipFlag() {
+        this._noSoftClip = !this._clipMask || !this._clipMask.hasSoftEdges();
+    }
+
+    /**
+     * Whether the direct renderers can blend the current operation.
+     * They blend source-over inline. Under anti-aliased (soft) clip edges only the
+     * span fills multiply the clip coverage into the source alpha (see
+     * _softClipCoverage); renderers that test the clip's bit buffer alone take the
+     * path pipeline there. Shadow coverage always comes from the path pipeline
+     * (see _drawWithShadow).
+     * @param {boolean} [appliesCoverage=false] - The renderer applies the clip coverage
+     * @returns {boolean} true for source-over the renderer can clip correctly
+     * @private
+     */
+    _canBlendDirect(appliesCoverage = false) {
+        return this._isSourceOver && (appliesCoverage || this._noSoftClip) && !this._drawingShadowLayer;
+    }
+
+    /**
+     * Clip coverage for the renderers that apply it: the fills of RectOpsAA and
+     * CircleOps, which pass it on to SpanOps
+     * @returns {Uint8Array|null} ClipMask coverage, or null when the clip has no soft edges
+     * @private
+     */
+    _softClipCoverage() {
+        return this._noSoftClip ? null : this._clipMask.coverage;
+    }
+
     /**
      * Fast-path check for direct rendering eligibility.
      * @param {Color|Gradient|Pattern} paintSource - The paint to check
+     * @param {boolean} [appliesCoverage=false] - The renderer applies the clip coverage
      * @returns {boolean} true if direct rendering can be used
      * @private
      */
-    _canUseDirectRendering(paintSource) {
-        return this._isSourceOver &&
+    _canUseDirectRendering(paintSource, appliesCoverage = false) {
+        return this._canBlendDirect(appliesCoverage) &&
+            this._noShadow &&
+            (paintSource instanceof Color) &&
+            paintSource.a > 0;
+    }
+
+    /**
+     * Fast-path check for direct rendering with additive compositing (lighter, plus-lighter).
+     * Used by fillRect, fillRects, fillCircle and fillCircles, whose renderers have
+     * additive span fills (which apply soft clip coverage); other shapes take the
+     * path pipeline for these operations.
+     * @param {Color|Gradient|Pattern} paintSource - The paint to check
+     * @returns {boolean} true if the additive direct fill can be used
+     * @private
+     */
+    _canUseDirectAdditive(paintSource) {
+        return CompositeOperations.isAdditive(this._globalCompositeOperation) &&
             this._noShadow &&
             (paintSource instanceof Color) &&
             paintSource.a > 0;
     }
 
+    /**
+     * Additive fast-path check for fillRects/fillCircles: per-item colors only need
+     * the composite and shadow conditions, a shared fillStyle is checked as a paint.
+     * @param {Uint32Array|null} colors - Per-item packed colors
+     * @param {Color|Gradient|Pattern} paintSource - Shared paint when colors is null
+     * @returns {boolean} true if the batch can use the additive direct fills
+     * @private
+     */
+    _canUseDirectBatchAdditive(colors, paintSource) {
+        return colors
+            ? CompositeOperations.isAdditive(this._globalCompositeOperation) && this._noShadow
+            : this._canUseDirectAdditive(paintSource);
+    }
+
+    /**
+     * Fast-path check for direct rendering with a gradient or pattern.
+     * Used by the shapes whose renderers have span-based paint variants
+     * (fillRect, fillRoundRect, fillCircle, fillEllipse, fillArc and strokeLine).
+     * @param {Color|Gradient|Pattern} paintSource - The paint to check
+     * @param {boolean} [appliesCoverage=false] - The renderer applies the clip coverage
+     * @returns {Gradient|Pattern|null} Paint to render with (patterns carry the current
+     *   image smoothing settings and read a snapshot when filling their own source),
+     *   or null if direct rendering can't be used
+     * @private
+     */
+    _directRenderingPaint(paintSource, appliesCoverage = false) {
+        if (!this._canBlendDirect(appliesCoverage) || !this._noShadow) return null;
+        if (paintSource instanceof Gradient) return paintSource;
+        if (paintSource instanceof Pattern) {
+            return paintSource.forTarget(this.surface).withImageSmoothing(this._imageSmoothingEnabled, this._imageSmoothingQuality);
+        }
+        return null;
+    }
+
     /**
      * Fast-path check for dual (fill+stroke) direct rendering eligibility.
      * @param {Color|Gradient|Pattern} fillPaint - Fill paint source
@@ -145,7 +338,7 @@ class Context2D {
      * @private
      */
     _canUseDirectRenderingForFillStroke(fillPaint, strokePaint) {
-        if (!this._isSourceOver || !this._noShadow) return false;
+        if (!this._canBlendDirect() || !this._noShadow) return false;
         if (!(fillPaint instanceof Color) || !(strokePaint instanceof Color)) return false;
 
         const hasFill = fillPaint.a > 0;
@@ -153,6 +346,183 @@ class Context2D {
         return hasFill || hasStroke;
     }
 
+    /**
+     * Current dash pattern in device pixels, for the direct renderers.
+     * @param {number} scale - Device pixels per user unit along the outline
+     * @returns {Object|null} Pattern from DashOps.create(), or null when strokes are solid
+     * @private
+     */
+    _deviceLineDash(scale) {
+        return DashOps.create(this._lineDash, this._lineDashOffset, scale);
+    }
+
+    /**
+     * Fast-path check for dashed direct stroke eligibility: as _canUseDirectRendering(),
+     * and butt caps, since every dash has two ends the direct renderers don't cap.
+     * @returns {boolean} true if the dashed stroke can use direct rendering
+     * @private
+     */
+    _canUseDirectDashedStroke() {
+        return this.lineCap === 'butt' && this._canUseDirectRendering(this._strokeStyle);
+    }
+
+    /**
+     * Stroke a shape through the path pipeline in user space, where the path
+     * stroker dashes it. Used for dashed strokes the direct renderers can't draw.
+     * @param {Function} buildPath - Adds the shape to the (new) current path
+     * @private
+     */
+    _strokeDashedPath(buildPath) {
+        Context2D._markPathBasedRendering();
+        this.beginPath();
+        buildPath(this._currentPath);
+        this.stroke();
+    }
+
+    /**
+     * Run a drawing operation through the current filter, if any.
+     * The operation renders into a transparent layer with source-over, full
+     * alpha, no shadow and no clip; the filtered layer is then drawn onto the
+     * surface with the real compositing, globalAlpha, shadow and clip.
+     * @param {Function} drawFn - Performs the drawing
+     * @private
+     */
+    _drawWithFilter(drawFn) {
+        if (!this._filter || this._drawingFilterLayer) {
+            drawFn();
+            return;
+        }
+
+        const layer = new Surface(this.surface.width, this.surface.height);
+        const saved = {
+            surface: this.surface,
+            rasterizer: this.rasterizer,
+            globalAlpha: this.globalAlpha,
+            globalCompositeOperation: this._globalCompositeOperation,
+            isSourceOver: this._isSourceOver,
+            clipMask: this._clipMask,
+            noSoftClip: this._noSoftClip,
+            shadowColor: this.shadowColor,
+            noShadow: this._noShadow
+        };
+
+        this.surface = layer;
+        this.rasterizer = new Rasterizer(layer);
+        this.globalAlpha = 1.0;
+        this._globalCompositeOperation = 'source-over';
+        this._isSourceOver = true;
+        this._clipMask = null;
+        this._noSoftClip = true;
+        this.shadowColor = Color.transparent;
+        this._noShadow = true;
+        this._drawingFilterLayer = true;
+        try {
+            drawFn();
+        } finally {
+            this.surface = saved.surface;
+            this.rasterizer = saved.rasterizer;
+            this.globalAlpha = saved.globalAlpha;
+            this._globalCompositeOperation = saved.globalCompositeOperation;
+            this._isSourceOver = saved.isSourceOver;
+            this._clipMask = saved.clipMask;
+            this._noSoftClip = saved.noSoftClip;
+            this.shadowColor = saved.shadowColor;
+            this._noShadow = saved.noShadow;
+            this._drawingFilterLayer = false;
+        }
+
+        let bounds = this._filter.apply(layer);
+        if (!this._isSourceOver) {
+            // Other operations also affect the destination where the layer is empty
+            bounds = { x: 0, y: 0, width: layer.width, height: layer.height };
+        } else if (!bounds) {
+            return;
+        }
+
+        this.rasterizer.beginOp({
+            composite: this._globalCompositeOperation,
+            globalAlpha: this.globalAlpha,
+            transform: Transform2D.IDENTITY,
+            clipMask: this._clipMask,
+            shadowColor: this.shadowColor,
+            shadowBlur: this.shadowBlur,
+            shadowOffsetX: this.shadowOffsetX,
+            shadowOffsetY: this.shadowOffsetY
+        });
+        this.rasterizer.drawImage(layer,
+            bounds.x, bounds.y, bounds.width, bounds.height,
+            bounds.x, bounds.y, bounds.width, bounds.height);
+        this.rasterizer.endOp();
+    }
+
+    /**
+     * Run a direct shape drawing operation with the current shadow.
+     * The shape is drawn with shadows off twice: first into the rasterizer's shadow
+     * layer, then onto the surface. The shadow pass takes the shape's path-based
+     * fallback, so the blurred, offset shadow is pixel-identical to the one the path
+     * pipeline draws; only the shape itself stays on the direct renderers.
+     * @param {Function} drawFn - Performs the drawing
+     * @private
+     */
+    _drawWithShadow(drawFn) {
+        // Draws the direct renderers can't blend take the path pipeline, which renders its own shadow
+        if (this._noShadow || !this._canBlendDirect()) {
+            drawFn();
+            return;
+        }
+
+        this.rasterizer.beginOp({
+            composite: this._globalCompositeOperation,
+            globalAlpha: this.globalAlpha,
+            clipMask: this._clipMask,
+            shadowColor: this.shadowColor,
+            shadowBlur: this.shadowBlur,
+            shadowOffsetX: this.shadowOffsetX,
+            shadowOffsetY: this.shadowOffsetY
+        });
+        const pathBasedUsed = Context2D._pathBasedRenderingUsed;
+        this._drawingShadowLayer = true;
+        try {
+            this.rasterizer.drawShadow(layer => this._drawWithoutShadow(drawFn, layer));
+        } finally {
+            this._drawingShadowLayer = false;
+            this.rasterizer.endOp();
+            // The path-based flag reports how the shape is drawn, not its shadow
+            Context2D._pathBasedRenderingUsed = pathBasedUsed;
+        }
+        this._drawWithoutShadow(drawFn, this.surface);
+    }
+
+    /**
+     * Run a drawing operation with shadows disabled, optionally into another surface
+     * @param {Function} drawFn - Performs the drawing
+     * @param {Surface} surface - Surface to draw into
+     * @private
+     */
+    _drawWithoutShadow(drawFn, surface) {
+        const saved = {
+            surface: this.surface,
+            rasterizer: this.rasterizer,
+            shadowColor: this.shadowColor,
+            noShadow: this._noShadow
+        };
+
+        if (surface !== this.surface) {
+            this.surface = surface;
+            this.rasterizer = new Rasterizer(surface);
+        }
+        this.shadowColor = Color.transparent;
+        this._noShadow = true;
+        try {
+            drawFn();
+        } finally {
+            this.surface = saved.surface;
+            this.rasterizer = saved.rasterizer;
+            this.shadowColor = saved.shadowColor;
+            this._noShadow = saved.noShadow;
+        }
+    }
+
     // State management
 
     /**
@@ -183,9 +553,19 @@ class Context2D {
             shadowBlur: this.shadowBlur,
             shadowOffsetX: this.shadowOffsetX,
             shadowOffsetY: this.shadowOffsetY,
+            antialias: this._antialias,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
+            filter: this._filter, // CanvasFilter is immutable, safe to share
+            // Text properties (font descriptors are never mutated, safe to share)
+            font: this._font,
+            textAlign: this._textAlign,
+            textBaseline: this._textBaseline,
+            direction: this._direction,
             // Cached state flags
             _noShadow: this._noShadow,
-            _isSourceOver: this._isSourceOver
+            _isSourceOver: this._isSourceOver,
+            _noSoftClip: this._noSoftClip
         };
     }
 
@@ -223,9 +603,21 @@ class Context2D {
         this.shadowOffsetX = snapshot.shadowOffsetX || 0;
         this.shadowOffsetY = snapshot.shadowOffsetY || 0;
 
+        this._antialias = snapshot.antialias || false;
+        this._imageSmoothingEnabled = snapshot.imageSmoothingEnabled || false;
+        this._imageSmoothingQuality = snapshot.imageSmoothingQuality || 'low';
+        this._filter = snapshot.filter || null;
+
+        // Restore text properties
+        this._font = snapshot.font;
+        this._textAlign = snapshot.textAlign;
+        this._textBaseline = snapshot.textBaseline;
+        this._direction = snapshot.direction;
+
         // Restore cached state flags
         this._noShadow = snapshot._noShadow ?? true;
         this._isSourceOver = snapshot._isSourceOver ?? true;
+        this._noSoftClip = snapshot._noSoftClip ?? true;
     }
 
     restore() {
@@ -359,6 +751,10 @@ class Context2D {
         this._currentPath.arcTo(x1, y1, x2, y2, radius);
     }
 
+    roundRect(x, y, w, h, radii) {
+        this._currentPath.roundRect(x, y, w, h, radii);
+    }
+
     quadraticCurveTo(cpx, cpy, x, y) {
         this._currentPath.quadraticCurveTo(cpx, cpy, x, y);
     }
@@ -369,8 +765,17 @@ class Context2D {
 
     // Drawing methods - rectangle operations
     fillRect(x, y, width, height) {
-        // Direct rendering: Color fill with source-over, no shadows (clipping supported)
-        if (this._canUseDirectRendering(this._fillStyle)) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillRectInternal(x, y, width, height)));
+    }
+
+    /**
+     * Internal fillRect logic (without the filter layer)
+     * @private
+     */
+    _fillRectInternal(x, y, width, height) {
+        // Direct rendering: Color fill with source-over, no shadows (clipping supported;
+        // soft clip edges only for axis-aligned rectangles)
+        if (this._canUseDirectRendering(this._fillStyle, this._transform.isAxisAligned)) {
             const t = this._transform;
             const clip = this._clipMask ? this._clipMask.buffer : null;
 
@@ -390,10 +795,12 @@ class Context2D {
                 const tlY = center.y - finalH / 2;
 
                 if (isOpaque) {
-                    RectOpsAA.fill_AA_Opaq(this.surface, tlX, tlY, finalW, finalH, this._fillStyle, clip);
+                    RectOpsAA.fill_AA_Opaq(this.surface, tlX, tlY, finalW, finalH, this._fillStyle, clip,
+                        this._softClipCoverage());
                     return;
                 } else {
-                    RectOpsAA.fill_AA_Alpha(this.surface, tlX, tlY, finalW, finalH, this._fillStyle, this.globalAlpha, clip);
+                    RectOpsAA.fill_AA_Alpha(this.surface, tlX, tlY, finalW, finalH, this._fillStyle, this.globalAlpha, clip,
+                        this._softClipCoverage());
                     return;
                 }
             } else if (t.isUniformScale) {
@@ -409,7 +816,33 @@ class Context2D {
             // Non-uniform scale + rotation: fall through to path-based rendering (produces parallelogram)
         }
 
-        // Path-based rendering: gradients, patterns, non-source-over, shadows, clipping
+        // Direct rendering: additive (lighter) color fill of an axis-aligned rectangle
+        if (this._transform.isAxisAligned && this._canUseDirectAdditive(this._fillStyle)) {
+            const t = this._transform;
+            const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
+            const finalW = t.is90DegreeRotated ? height * t.scaleY : width * t.scaleX;
+            const finalH = t.is90DegreeRotated ? width * t.scaleX : height * t.scaleY;
+
+            RectOpsAA.fill_AA_Add(this.surface, center.x - finalW / 2, center.y - finalH / 2, finalW, finalH,
+                this._fillStyle, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null, this._softClipCoverage());
+            return;
+        }
+
+        // Direct rendering: gradient or pattern fill of an axis-aligned rectangle
+        const paint = this._directRenderingPaint(this._fillStyle, true);
+        if (paint && this._transform.isAxisAligned) {
+            const t = this._transform;
+            const clip = this._clipMask ? this._clipMask.buffer : null;
+            const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
+            const finalW = t.is90DegreeRotated ? height * t.scaleY : width * t.scaleX;
+            const finalH = t.is90DegreeRotated ? width * t.scaleX : height * t.scaleY;
+
+            RectOpsAA.fill_AA_Paint(this.surface, center.x - finalW / 2, center.y - finalH / 2, finalW, finalH,
+                paint, t, this.globalAlpha, clip, this._softClipCoverage());
+            return;
+        }
+
+        // Path-based rendering: rotated gradients/patterns, non-source-over, shadows
         Context2D._markPathBasedRendering();
         this.rasterizer.beginOp({
             composite: this.globalCompositeOperation,
@@ -417,6 +850,9 @@ class Context2D {
             transform: this._transform,
             clipMask: this._clipMask,
             fillStyle: this._fillStyle,
+            antialias: this._antialias,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
             // Shadow properties
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -428,9 +864,120 @@ class Context2D {
         this.rasterizer.endOp();
     }
 
+    /**
+     * Fill many rectangles in one call, e.g. the bars or cells of a chart.
+     * Eligibility is checked once for the whole batch.
+     * @param {ArrayLike<number>} rects - Flat x, y, width, height quadruples, e.g. a Float32Array
+     * @param {Uint32Array|null} [colors=null] - Per-rectangle colors packed as Surface.packColor()
+     *   (0xAABBGGRR, the pixel layout of a Uint32Array view of ImageData); fillStyle when null
+     */
+    fillRects(rects, colors = null) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillRectsInternal(rects, colors)));
+    }
+
+    /**
+     * Internal fillRects logic (without the filter layer)
+     * @private
+     */
+    _fillRectsInternal(rects, colors) {
+        const count = this._batchCount('fillRects', rects, 4, colors);
+        if (count === 0) return;
+
+        // Direct rendering: Color fills with source-over, no shadows, axis-aligned transform
+        const t = this._transform;
+        if (t.isAxisAligned && (colors ? this._canBlendDirect(true) && this._noShadow : this._canUseDirectRendering(this._fillStyle, true))) {
+            RectOpsAA.fillBatch_AA_Any(this.surface, rects, colors, colors ? null : this._fillStyle,
+                t, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null, this._softClipCoverage());
+            return;
+        }
+
+        // Direct rendering: additive (lighter) color fills, axis-aligned transform
+        if (t.isAxisAligned && this._canUseDirectBatchAdditive(colors, this._fillStyle)) {
+            RectOpsAA.fillBatch_AA_Any(this.surface, rects, colors, colors ? null : this._fillStyle,
+                t, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null, this._softClipCoverage(), true);
+            return;
+        }
+
+        // Otherwise one fillRect at a time (rotations, gradients, patterns, other composites)
+        this._forEachBatchItem(count, colors, i => {
+            this._fillRectInternal(rects[i * 4], rects[i * 4 + 1], rects[i * 4 + 2], rects[i * 4 + 3]);
+        });
+    }
+
+    /**
+     * Validate a batch of flat coordinates and its optional colors
+     * @param {string} name - Calling method, for error messages
+     * @param {ArrayLike<number>} values - Flat coordinates
+     * @param {number} stride - Numbers per item
+     * @param {Uint32Array|null} colors - Per-item packed colors
+     * @returns {number} Number of items
+     * @private
+     */
+    _batchCount(name, values, stride, colors) {
+        if (!values || typeof values.length !== 'number') {
+            throw new Error(`${name} expects an array of coordinates`);
+        }
+        if (values.length % stride !== 0) {
+            throw new Error(`${name} expects ${stride} numbers per item`);
+        }
+        const count = values.length / stride;
+        if (colors !== null && colors !== undefined && !(colors instanceof Uint32Array && colors.length >= count)) {
+            throw new Error(`${name} expects a Uint32Array with a color for every item`);
+        }
+        return count;
+    }
+
+    /**
+     * Draw batch items one at a time, with each item's packed color as the fill style
+     * @param {number} count - Number of items
+     * @param {Uint32Array|null} colors - Per-item packed colors, or null to keep fillStyle
+     * @param {Function} drawItem - Draws item i
+     * @private
+     */
+    _forEachBatchItem(count, colors, drawItem) {
+        const savedFillStyle = this._fillStyle;
+        try {
+            for (let i = 0; i < count; i++) {
+                if (colors) {
+                    const packed = colors[i];
+                    this._fillStyle = new Color(packed & 0xFF, (packed >>> 8) & 0xFF, (packed >>> 16) & 0xFF, packed >>> 24);
+                }
+                drawItem(i);
+            }
+        } finally {
+            this._fillStyle = savedFillStyle;
+        }
+    }
+
     strokeRect(x, y, width, height) {
-        // Direct rendering: Color stroke with source-over, no shadows (clipping supported)
-        if (this._canUseDirectRendering(this._strokeStyle)) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeRectInternal(x, y, width, height)));
+    }
+
+    /**
+     * Internal strokeRect logic (without the filter layer)
+     * @private
+     */
+    _strokeRectInternal(x, y, width, height) {
+        const dash = this._deviceLineDash(this._transform.scaleX);
+        if (dash) {
+            // Dashed direct rendering: axis-aligned with the same scale on both axes
+            const t = this._transform;
+            const scaledLineWidth = t.getScaledLineWidth(this._lineWidth);
+            if (this._canUseDirectDashedStroke() && t.isAxisAligned &&
+                Math.abs(t.scaleX - t.scaleY) < TRANSFORM_EPSILON && scaledLineWidth > 0) {
+                // Corners in path order, so a mirroring transform also reverses the dashes
+                const points = [
+                    t.transformPoint({ x: x, y: y }),
+                    t.transformPoint({ x: x + width, y: y }),
+                    t.transformPoint({ x: x + width, y: y + height }),
+                    t.transformPoint({ x: x, y: y + height })
+                ];
+                RectOpsAA.strokeDashed_AA_Any(this.surface, points, scaledLineWidth, dash, this._strokeStyle,
+                    this.globalAlpha, this._clipMask ? this._clipMask.buffer : null);
+                return;
+            }
+        } else if (this._canUseDirectRendering(this._strokeStyle)) {
+            // Direct rendering: Color stroke with source-over, no shadows (clipping supported)
             const t = this._transform;
             const clip = this._clipMask ? this._clipMask.buffer : null;
 
@@ -490,6 +1037,9 @@ class Context2D {
             transform: this._transform,
             clipMask: this._clipMask,
             strokeStyle: this._strokeStyle,
+            antialias: this._antialias,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
             // Shadow properties
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -501,7 +1051,9 @@ class Context2D {
             lineWidth: this._lineWidth,
             lineJoin: this.lineJoin,
             lineCap: this.lineCap,
-            miterLimit: this.miterLimit
+            miterLimit: this.miterLimit,
+            lineDash: this._lineDash.slice(),
+            lineDashOffset: this._lineDashOffset
         });
 
         this.rasterizer.endOp();
@@ -516,6 +1068,14 @@ class Context2D {
      * @param {number} height - Rectangle height
      */
     fillStrokeRect(x, y, width, height) {
+        this._drawWithFilter(() => this._fillStrokeRectInternal(x, y, width, height));
+    }
+
+    /**
+     * Internal fillStrokeRect logic (without the filter layer)
+     * @private
+     */
+    _fillStrokeRectInternal(x, y, width, height) {
         // Validate parameters
         if (typeof x !== 'number' || typeof y !== 'number' ||
             typeof width !== 'number' || typeof height !== 'number') {
@@ -530,6 +1090,14 @@ class Context2D {
             return; // Nothing to draw for zero dimensions
         }
 
+        // With a shadow the stroke's shadow falls over the fill, so draw them one after the other;
+        // the unified renderers also only draw solid strokes
+        if ((!this._noShadow && this._isSourceOver) || this._deviceLineDash(1)) {
+            this.fillRect(x, y, width, height);
+            this.strokeRect(x, y, width, height);
+            return;
+        }
+
         // Direct rendering: both fill and stroke are solid colors, source-over, no shadows
         if (this._canUseDirectRenderingForFillStroke(this._fillStyle, this._strokeStyle)) {
             const t = this._transform;
@@ -584,6 +1152,7 @@ class Context2D {
     }
 
     clearRect(x, y, width, height) {
+        // clearRect is not affected by the filter (like shadows and compositing).
         // clearRect should only affect the specified rectangle, not use canvas-wide compositing
         // We'll handle this as a special case by directly clearing the surface pixels
         this._clearRectDirect(x, y, width, height);
@@ -648,11 +1217,7 @@ class Context2D {
                         continue;
                     }
 
-                    const offset = py * surface.stride + px * 4;
-                    surface.data[offset] = 0;     // R
-                    surface.data[offset + 1] = 0; // G  
-                    surface.data[offset + 2] = 0; // B
-                    surface.data[offset + 3] = 0; // A (transparent)
+                    this._clearPixel(px, py);
                 }
             }
         } else {
@@ -673,17 +1238,56 @@ class Context2D {
                     // Check if point is inside the clearRect rectangle
                     if (pathPoint.x >= x && pathPoint.x < x + width &&
                         pathPoint.y >= y && pathPoint.y < y + height) {
-                        const offset = py * surface.stride + px * 4;
-                        surface.data[offset] = 0;     // R
-                        surface.data[offset + 1] = 0; // G
-                        surface.data[offset + 2] = 0; // B  
-                        surface.data[offset + 3] = 0; // A (transparent)
+                        this._clearPixel(px, py);
                     }
                 }
             }
         }
     }
 
+    /**
+     * Clear one surface pixel for clearRect. Soft clip edges clear it by their
+     * coverage: the remaining alpha is scaled by (1 - coverage).
+     * @param {number} px - Pixel x coordinate
+     * @param {number} py - Pixel y coordinate
+     * @private
+     */
+    _clearPixel(px, py) {
+        const surface = this.surface;
+        const offset = py * surface.stride + px * 4;
+        const coverage = this._clipMask ? this._clipMask.getCoverage(px, py) : 255;
+
+        if (coverage < 255) {
+            const a = Math.round(surface.data[offset + 3] * (255 - coverage) / 255);
+            surface.data[offset + 3] = a;
+            if (a > 0) return;
+        }
+
+        surface.data[offset] = 0;     // R
+        surface.data[offset + 1] = 0; // G
+        surface.data[offset + 2] = 0; // B
+        surface.data[offset + 3] = 0; // A (transparent)
+    }
+
+    /**
+     * Scale rounded rectangle radii to device space for the direct renderers.
+     * A single radius stays a number; per-corner radii are scaled and, for the
+     * axis-aligned renderers, moved round by the transform's quarter turns.
+     * @param {number|Object|Array<number|Object>} radii - Radii as passed by the caller
+     * @param {Array<{x: number, y: number}>} corners - Radii normalized by CornerRadii.normalize()
+     * @param {Transform2D} t - Current transform (uniform scale)
+     * @param {boolean} followRotation - Rotate the corners with an axis-aligned transform
+     * @returns {number|Array<{x: number, y: number}>} Device-space radii
+     * @private
+     */
+    _scaleCornerRadii(radii, corners, t, followRotation) {
+        const radius = Array.isArray(radii) && radii.length === 1 ? radii[0] : radii;
+        if (typeof radius === 'number') {
+            return radius * t.scaleX;
+        }
+        return CornerRadii.transform(corners, t.scaleX, followRotation ? t.rotationAngle : 0);
+    }
+
     /**
      * Stroke a rounded rectangle.
      * Uses direct rendering for strokes with no transforms/clipping/shadows.
@@ -691,9 +1295,17 @@ class Context2D {
      * @param {number} y - Rectangle y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii: a number, an {x, y} point, or a list of 1-4 of these
      */
     strokeRoundRect(x, y, width, height, radii) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeRoundRectInternal(x, y, width, height, radii)));
+    }
+
+    /**
+     * Internal strokeRoundRect logic (without the filter layer)
+     * @private
+     */
+    _strokeRoundRectInternal(x, y, width, height, radii) {
         // Validate parameters
         if (typeof x !== 'number' || typeof y !== 'number' ||
             typeof width !== 'number' || typeof height !== 'number') {
@@ -708,17 +1320,37 @@ class Context2D {
             return; // Nothing to draw for zero dimensions
         }
 
-        // Normalize radius to check for zero
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
+        // Normalize radii as roundRect() does (RangeError for bad radii, nothing drawn if not finite)
+        const corners = CornerRadii.normalize(width, height, radii);
+        if (!corners) return;
 
         // Fallback to strokeRect for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             this.strokeRect(x, y, width, height);
             return;
         }
 
-        // Direct rendering: Color stroke with source-over, no shadows
-        if (this._canUseDirectRendering(this._strokeStyle)) {
+        const dash = this._deviceLineDash(this._transform.scaleX);
+        if (dash) {
+            // Dashed direct rendering: axis-aligned, uniform scale, circular corners
+            const t = this._transform;
+            const scaledLineWidth = t.getScaledLineWidth(this._lineWidth);
+            const deviceCorners = CornerRadii.transform(corners, t.scaleX, t.rotationAngle);
+            if (this._canUseDirectDashedStroke() && t.isUniformScale && t.isAxisAligned && scaledLineWidth > 0 &&
+                deviceCorners.every(c => c.x === c.y)) {
+                const finalW = t.is90DegreeRotated ? height * t.scaleY : width * t.scaleX;
+                const finalH = t.is90DegreeRotated ? width * t.scaleX : height * t.scaleY;
+                const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
+                // The path starts after the top-left corner, which the transform's quarter turns move
+                const startCorner = Math.round(t.rotationAngle / HALF_PI) & 3;
+                RoundedRectOpsAA.strokeDashed_AA_Any(this.surface,
+                    center.x - finalW / 2, center.y - finalH / 2, finalW, finalH,
+                    deviceCorners, startCorner, scaledLineWidth, dash, this._strokeStyle,
+                    this.globalAlpha, this._clipMask ? this._clipMask.buffer : null);
+                return;
+            }
+        } else if (this._canUseDirectRendering(this._strokeStyle)) {
+            // Direct rendering: Color stroke with source-over, no shadows
             const t = this._transform;
             const clip = this._clipMask ? this._clipMask.buffer : null;
 
@@ -728,7 +1360,6 @@ class Context2D {
                 const scaledH = height * t.scaleY;
                 const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
                 const scaledLineWidth = t.getScaledLineWidth(this._lineWidth);
-                const scaledRadius = radius * t.scaleX;
                 const is1pxStroke = Math.abs(scaledLineWidth - 1) < STROKE_1PX_TOLERANCE;
                 const isOpaque = this._strokeStyle.a === 255 && this.globalAlpha >= 1.0;
 
@@ -756,6 +1387,7 @@ class Context2D {
                     const finalH = t.is90DegreeRotated ? scaledW : scaledH;
                     const tlX = center.x - finalW / 2;
                     const tlY = center.y - finalH / 2;
+                    const scaledRadius = this._scaleCornerRadii(radii, corners, t, true);
 
                     if (is1pxStroke) {
                         if (isOpaque) {
@@ -771,12 +1403,12 @@ class Context2D {
                         }
                     }
                     return;
-                } else {
+                } else if (CornerRadii.isUniform(corners)) {
                     // Rotated with uniform scale: use strokeRotated
                     RoundedRectOpsRot.stroke_Rot_Any(
                         this.surface,
                         center.x, center.y, scaledW, scaledH,
-                        scaledRadius,
+                        this._scaleCornerRadii(radii, corners, t, false),
                         t.rotationAngle,
                         scaledLineWidth,
                         this._strokeStyle,
@@ -785,6 +1417,8 @@ class Context2D {
                     );
                     return;
                 }
+                // Rotated per-corner radii: the rotated stroker doesn't trace mixed corners
+                // the way the path stroker does, so they fall through as well
             }
             // Non-uniform scale: fall through to path-based rendering
         }
@@ -798,15 +1432,23 @@ class Context2D {
 
     /**
      * Fill a rounded rectangle.
-     * Uses direct rendering when possible (solid color, source-over, no shadow, uniform scale).
+     * Uses direct rendering when possible (source-over, uniform scale), also while a shadow is active.
      * @param {number} x - Rectangle x coordinate
      * @param {number} y - Rectangle y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii: a number, an {x, y} point, or a list of 1-4 of these
      */
     fillRoundRect(x, y, width, height, radii) {
-        // Validate parameters
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillRoundRectInternal(x, y, width, height, radii)));
+    }
+
+    /**
+     * Internal fillRoundRect logic (without the filter layer)
+     * @private
+     */
+    _fillRoundRectInternal(x, y, width, height, radii) {
+        // Validate parameters
         if (typeof x !== 'number' || typeof y !== 'number' ||
             typeof width !== 'number' || typeof height !== 'number') {
             throw new Error('Rectangle coordinates must be numbers');
@@ -820,11 +1462,12 @@ class Context2D {
             return; // Nothing to draw for zero dimensions
         }
 
-        // Normalize radius to check for zero
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
+        // Normalize radii as roundRect() does (RangeError for bad radii, nothing drawn if not finite)
+        const corners = CornerRadii.normalize(width, height, radii);
+        if (!corners) return;
 
         // Fallback to fillRect for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             this.fillRect(x, y, width, height);
             return;
         }
@@ -839,7 +1482,6 @@ class Context2D {
                 const scaledW = width * t.scaleX;
                 const scaledH = height * t.scaleY;
                 const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
-                const scaledRadius = radius * t.scaleX;
                 const isOpaque = this._fillStyle.a === 255 && this.globalAlpha >= 1.0;
 
                 if (t.isIdentity) {
@@ -858,6 +1500,7 @@ class Context2D {
                     const finalH = t.is90DegreeRotated ? scaledW : scaledH;
                     const tlX = center.x - finalW / 2;
                     const tlY = center.y - finalH / 2;
+                    const scaledRadius = this._scaleCornerRadii(radii, corners, t, true);
 
                     if (isOpaque) {
                         RoundedRectOpsAA.fill_AA_Opaq(this.surface, tlX, tlY, finalW, finalH, scaledRadius, this._fillStyle, clip);
@@ -870,7 +1513,7 @@ class Context2D {
                     RoundedRectOpsRot.fill_Rot_Any(
                         this.surface,
                         center.x, center.y, scaledW, scaledH,
-                        scaledRadius,
+                        this._scaleCornerRadii(radii, corners, t, false),
                         t.rotationAngle,
                         this._fillStyle,
                         this.globalAlpha,
@@ -882,6 +1525,24 @@ class Context2D {
             // Non-uniform scale: fall through to path-based rendering
         }
 
+        // Direct rendering: gradient or pattern fill, axis-aligned with uniform scale
+        const paint = this._directRenderingPaint(this._fillStyle);
+        const t = this._transform;
+        if (paint && t.isUniformScale && t.isAxisAligned) {
+            const clip = this._clipMask ? this._clipMask.buffer : null;
+            if (t.isIdentity) {
+                RoundedRectOpsAA.fill_AA_Paint(this.surface, x, y, width, height, radii, paint, t, this.globalAlpha, clip);
+                return;
+            }
+
+            const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
+            const finalW = t.is90DegreeRotated ? height * t.scaleY : width * t.scaleX;
+            const finalH = t.is90DegreeRotated ? width * t.scaleX : height * t.scaleY;
+            RoundedRectOpsAA.fill_AA_Paint(this.surface, center.x - finalW / 2, center.y - finalH / 2, finalW, finalH,
+                this._scaleCornerRadii(radii, corners, t, true), paint, t, this.globalAlpha, clip);
+            return;
+        }
+
         // Path-based rendering: use general path system
         Context2D._markPathBasedRendering();
         this.beginPath();
@@ -896,9 +1557,17 @@ class Context2D {
      * @param {number} y - Rectangle y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii: a number, an {x, y} point, or a list of 1-4 of these
      */
     fillStrokeRoundRect(x, y, width, height, radii) {
+        this._drawWithFilter(() => this._fillStrokeRoundRectInternal(x, y, width, height, radii));
+    }
+
+    /**
+     * Internal fillStrokeRoundRect logic (without the filter layer)
+     * @private
+     */
+    _fillStrokeRoundRectInternal(x, y, width, height, radii) {
         // Validate parameters
         if (typeof x !== 'number' || typeof y !== 'number' ||
             typeof width !== 'number' || typeof height !== 'number') {
@@ -913,15 +1582,23 @@ class Context2D {
             return; // Nothing to draw for zero dimensions
         }
 
-        // Normalize radius to check for zero
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
+        // Normalize radii as roundRect() does (RangeError for bad radii, nothing drawn if not finite)
+        const corners = CornerRadii.normalize(width, height, radii);
+        if (!corners) return;
 
         // Fallback to fillStrokeRect for zero radius
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             this.fillStrokeRect(x, y, width, height);
             return;
         }
 
+        // Shadowed fill and stroke, or a dashed stroke, are drawn one after the other (see fillStrokeRect)
+        if ((!this._noShadow && this._isSourceOver) || this._deviceLineDash(1)) {
+            this.fillRoundRect(x, y, width, height, radii);
+            this.strokeRoundRect(x, y, width, height, radii);
+            return;
+        }
+
         // Direct rendering: both fill and stroke are solid colors, source-over, no shadows
         if (this._canUseDirectRenderingForFillStroke(this._fillStyle, this._strokeStyle)) {
             const t = this._transform;
@@ -936,7 +1613,6 @@ class Context2D {
                 const scaledH = height * t.scaleY;
                 const center = t.transformPoint({ x: x + width / 2, y: y + height / 2 });
                 const scaledLineWidth = t.getScaledLineWidth(this._lineWidth);
-                const scaledRadius = radius * t.scaleX;
 
                 if (t.isIdentity) {
                     // Axis-aligned, no transform: use top-left coordinates
@@ -963,7 +1639,7 @@ class Context2D {
                     RoundedRectOpsAA.fillStroke_AA_Any(
                         this.surface,
                         tlX, tlY, finalW, finalH,
-                        scaledRadius,
+                        this._scaleCornerRadii(radii, corners, t, true),
                         scaledLineWidth,
                         hasFill ? this._fillStyle : null,
                         hasStroke ? this._strokeStyle : null,
@@ -971,12 +1647,17 @@ class Context2D {
                         clip
                     );
                     return;
+                } else if (!CornerRadii.isUniform(corners)) {
+                    // Rotated per-corner radii: the fill stays direct, the stroke takes the path stroker
+                    this.fillRoundRect(x, y, width, height, radii);
+                    this.strokeRoundRect(x, y, width, height, radii);
+                    return;
                 } else {
                     // Rotated with uniform scale: use rotated fill+stroke
                     RoundedRectOpsRot.fillStroke_Rot_Any(
                         this.surface,
                         center.x, center.y, scaledW, scaledH,
-                        scaledRadius,
+                        this._scaleCornerRadii(radii, corners, t, false),
                         t.rotationAngle,
                         scaledLineWidth,
                         hasFill ? this._fillStyle : null,
@@ -998,6 +1679,14 @@ class Context2D {
 
     // M2: Path drawing methods
     fill(path, rule) {
+        this._drawWithFilter(() => this._fillInternal(...arguments));
+    }
+
+    /**
+     * Internal fill logic (without the filter layer)
+     * @private
+     */
+    _fillInternal(path, rule) {
         let pathToFill, fillRule;
 
         // Handle different argument combinations:
@@ -1037,6 +1726,9 @@ class Context2D {
             transform: this._transform,
             clipMask: this._clipMask,
             fillStyle: this._fillStyle,
+            antialias: this._antialias,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
             // Shadow properties
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -1049,6 +1741,14 @@ class Context2D {
     }
 
     stroke(path) {
+        this._drawWithFilter(() => this._strokeInternal(path));
+    }
+
+    /**
+     * Internal stroke logic (without the filter layer)
+     * @private
+     */
+    _strokeInternal(path) {
         // Use specified path or current internal path
         const pathToStroke = path || this._currentPath;
 
@@ -1062,6 +1762,9 @@ class Context2D {
             transform: this._transform,
             clipMask: this._clipMask,
             strokeStyle: this._strokeStyle,
+            antialias: this._antialias,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
             // Shadow properties
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -1271,7 +1974,8 @@ class Context2D {
      * 
      * Implements HTML5 Canvas-compatible clipping with proper intersection semantics.
      * Each clip() operation creates a new clip region that intersects with any existing
-     * clipping regions.
+     * clipping regions. With antialias enabled the region gets 8-bit edge coverage,
+     * and nested coverages multiply.
      * 
      * @param {Path2D} path - Optional path to clip with (uses current path if not provided)
      * @param {string} rule - Fill rule: 'nonzero' (default) or 'evenodd'
@@ -1296,8 +2000,15 @@ class Context2D {
         // Flatten path and fill to temporary clip buffer
         const polygons = PathFlattener.flattenPath(pathToClip);
 
-        // Use a modified version of fillPolygons that writes to our clip buffer
-        this._fillPolygonsToClipBuffer(polygons, clipRule, tempClipMask);
+        if (this._antialias) {
+            // Anti-aliased clip: record 8-bit area coverage for soft edges
+            PolygonFiller.rasterizeCoverage(polygons, clipRule, this._transform,
+                this.surface.width, this.surface.height,
+                (x, y, coverage) => tempClipMask.setCoverage(x, y, coverage));
+        } else {
+            // Use a modified version of fillPolygons that writes to our clip buffer
+            this._fillPolygonsToClipBuffer(polygons, clipRule, tempClipMask);
+        }
 
         // Restore original fill style
         this._fillStyle = originalFillStyle;
@@ -1310,6 +2021,7 @@ class Context2D {
             // First clip - use the temporary buffer as the new clip mask
             this._clipMask = tempClipMask;
         }
+        this._updateNoSoftClipFlag();
 
         // clip() does not auto-stroke the path (per HTML5 Canvas spec)
     }
@@ -1417,6 +2129,14 @@ class Context2D {
 
     // Image rendering
     drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) {
+        this._drawWithFilter(() => this._drawImageInternal(...arguments));
+    }
+
+    /**
+     * Internal drawImage logic (without the filter layer)
+     * @private
+     */
+    _drawImageInternal(image, sx, sy, sw, sh, dx, dy, dw, dh) {
         // Debug logging for browser troubleshooting
         if (typeof console !== 'undefined' && console.log) {
             console.log('Core drawImage called with:', {
@@ -1455,6 +2175,8 @@ class Context2D {
                 this._transform.e, this._transform.f
             ]),
             clipMask: this._clipMask,
+            imageSmoothingEnabled: this._imageSmoothingEnabled,
+            imageSmoothingQuality: this._imageSmoothingQuality,
             // Shadow properties
             shadowColor: this.shadowColor,
             shadowBlur: this.shadowBlur,
@@ -1529,6 +2251,86 @@ class Context2D {
         return this._lineDashOffset;
     }
 
+    // Text Rendering Methods
+
+    /**
+     * Fill text using the current font, fill style and text alignment
+     * @param {string} text - Text to draw
+     * @param {number} x - Alignment point x coordinate
+     * @param {number} y - Baseline point y coordinate
+     * @param {number} [maxWidth] - Condense text horizontally to fit this width
+     */
+    fillText(text, x, y, maxWidth) {
+        this._drawWithFilter(() => this._fillTextInternal(text, x, y, maxWidth));
+    }
+
+    /**
+     * Internal fillText logic (without the filter layer)
+     * @private
+     */
+    _fillTextInternal(text, x, y, maxWidth) {
+        const path = this._buildTextPath(text, x, y, maxWidth);
+        if (path) {
+            this._fillInternal(path, 'nonzero');
+        }
+    }
+
+    /**
+     * Stroke text outlines using the current font, stroke style and line properties
+     * @param {string} text - Text to draw
+     * @param {number} x - Alignment point x coordinate
+     * @param {number} y - Baseline point y coordinate
+     * @param {number} [maxWidth] - Condense text horizontally to fit this width
+     */
+    strokeText(text, x, y, maxWidth) {
+        this._drawWithFilter(() => this._strokeTextInternal(text, x, y, maxWidth));
+    }
+
+    /**
+     * Internal strokeText logic (without the filter layer)
+     * @private
+     */
+    _strokeTextInternal(text, x, y, maxWidth) {
+        const path = this._buildTextPath(text, x, y, maxWidth);
+        if (path) {
+            this._strokeInternal(path);
+        }
+    }
+
+    /**
+     * Measure text with the current font, alignment and baseline
+     * @param {string} text - Text to measure
+     * @returns {Object} TextMetrics-compatible object (width, actualBoundingBox*, fontBoundingBox*, ...)
+     */
+    measureText(text) {
+        return TextLayout.measure(text, this._font, this._textLayoutOptions());
+    }
+
+    /**
+     * Build the glyph outline path for fillText/strokeText
+     * @returns {SWPath2D|null} Path, or null when the spec says to draw nothing
+     * @private
+     */
+    _buildTextPath(text, x, y, maxWidth) {
+        if (!isFinite(x) || !isFinite(y)) return null;
+        if (maxWidth !== undefined && !(maxWidth > 0)) return null;
+
+        return TextLayout.buildPath(text, x, y, this._font, this._textLayoutOptions(maxWidth));
+    }
+
+    /**
+     * Current text state as TextLayout options
+     * @private
+     */
+    _textLayoutOptions(maxWidth) {
+        return {
+            textAlign: this._textAlign,
+            textBaseline: this._textBaseline,
+            direction: this._direction,
+            maxWidth: maxWidth
+        };
+    }
+
     // Gradient and Pattern Creation Methods
 
     /**
@@ -1590,6 +2392,14 @@ class Context2D {
      * @param {number} radius - Circle radius
      */
     fillCircle(centerX, centerY, radius) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillCircleInternal(centerX, centerY, radius)));
+    }
+
+    /**
+     * Internal fillCircle logic (without the filter layer)
+     * @private
+     */
+    _fillCircleInternal(centerX, centerY, radius) {
         if (radius <= 0) return;
 
         // Transform center point
@@ -1608,6 +2418,46 @@ class Context2D {
         this._fillCircleDirect(center.x, center.y, scaledRadius, paintSource);
     }
 
+    /**
+     * Fill many circles in one call, e.g. the points of a scatter plot.
+     * Eligibility is checked once for the whole batch, and circles sharing a
+     * radius share their scanline extents.
+     * @param {ArrayLike<number>} circles - Flat centerX, centerY, radius triples, e.g. a Float32Array
+     * @param {Uint32Array|null} [colors=null] - Per-circle colors packed as Surface.packColor()
+     *   (0xAABBGGRR, the pixel layout of a Uint32Array view of ImageData); fillStyle when null
+     */
+    fillCircles(circles, colors = null) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillCirclesInternal(circles, colors)));
+    }
+
+    /**
+     * Internal fillCircles logic (without the filter layer)
+     * @private
+     */
+    _fillCirclesInternal(circles, colors) {
+        const count = this._batchCount('fillCircles', circles, 3, colors);
+        if (count === 0) return;
+
+        // Direct rendering: Color fills with source-over, no shadows
+        if (colors ? this._canBlendDirect(true) && this._noShadow : this._canUseDirectRendering(this._fillStyle, true)) {
+            CircleOps.fillBatch_Any(this.surface, circles, colors, colors ? null : this._fillStyle,
+                this._transform, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null, this._softClipCoverage());
+            return;
+        }
+
+        // Direct rendering: additive (lighter) color fills
+        if (this._canUseDirectBatchAdditive(colors, this._fillStyle)) {
+            CircleOps.fillBatch_Any(this.surface, circles, colors, colors ? null : this._fillStyle,
+                this._transform, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null, this._softClipCoverage(), true);
+            return;
+        }
+
+        // Otherwise one fillCircle at a time (gradients, patterns, other composites)
+        this._forEachBatchItem(count, colors, i => {
+            this._fillCircleInternal(circles[i * 3], circles[i * 3 + 1], circles[i * 3 + 2]);
+        });
+    }
+
     /**
      * Stroke a circle directly without using the path system
      * @param {number} centerX - Center X coordinate
@@ -1615,6 +2465,14 @@ class Context2D {
      * @param {number} radius - Circle radius
      */
     strokeCircle(centerX, centerY, radius) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeCircleInternal(centerX, centerY, radius)));
+    }
+
+    /**
+     * Internal strokeCircle logic (without the filter layer)
+     * @private
+     */
+    _strokeCircleInternal(centerX, centerY, radius) {
         if (radius <= 0) return;
 
         // Transform center point
@@ -1627,6 +2485,20 @@ class Context2D {
         const scaledRadius = radius * scale;
         const scaledLineWidth = this._lineWidth * scale;
 
+        const dash = this._deviceLineDash(scale);
+        if (dash) {
+            if (this._canUseDirectDashedStroke()) {
+                // The path starts at angle 0, wherever the transform turns it, and a mirror reverses it
+                const t = this._transform;
+                CircleOps.strokeDashed_Any(this.surface, center.x, center.y, scaledRadius,
+                    Math.atan2(t.b, t.a), t.a * t.d - t.b * t.c < 0, scaledLineWidth, dash,
+                    this._strokeStyle, this.globalAlpha, this._clipMask ? this._clipMask.buffer : null);
+            } else {
+                this._strokeDashedPath(path => path.arc(centerX, centerY, radius, 0, TAU));
+            }
+            return;
+        }
+
         // Get paint source
         const paintSource = this._strokeStyle;
 
@@ -1642,8 +2514,23 @@ class Context2D {
      * @param {number} radius - Circle radius
      */
     fillStrokeCircle(centerX, centerY, radius) {
+        this._drawWithFilter(() => this._fillStrokeCircleInternal(centerX, centerY, radius));
+    }
+
+    /**
+     * Internal fillStrokeCircle logic (without the filter layer)
+     * @private
+     */
+    _fillStrokeCircleInternal(centerX, centerY, radius) {
         if (radius <= 0) return;
 
+        // Shadowed fill and stroke, or a dashed stroke, are drawn one after the other (see fillStrokeRect)
+        if ((!this._noShadow && this._isSourceOver) || this._deviceLineDash(1)) {
+            this.fillCircle(centerX, centerY, radius);
+            this.strokeCircle(centerX, centerY, radius);
+            return;
+        }
+
         // Transform center point
         const center = this._transform.transformPoint({ x: centerX, y: centerY });
 
@@ -1660,14 +2547,14 @@ class Context2D {
 
         // Check if we can use unified direct rendering:
         // - Both fill and stroke are solid Colors
-        // - Composite operation is source-over
+        // - Composite operation is source-over, with no soft clip edges
         const fillIsColor = fillPaintSource instanceof Color;
         const strokeIsColor = strokePaintSource instanceof Color;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect();
         const hasFill = fillIsColor && fillPaintSource.a > 0;
         const hasStroke = strokeIsColor && strokePaintSource.a > 0;
 
-        if (fillIsColor && strokeIsColor && isSourceOver && (hasFill || hasStroke)) {
+        if (fillIsColor && strokeIsColor && canBlendDirect && (hasFill || hasStroke)) {
             // Use unified method for coordinated fill+stroke rendering (no gaps)
             const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
             CircleOps.fillStroke_Any(
@@ -1687,6 +2574,167 @@ class Context2D {
         }
     }
 
+    /**
+     * Fill an ellipse directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    fillEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._drawWithFilter(() => this._drawWithShadow(() =>
+            this._fillEllipseInternal(centerX, centerY, radiusX, radiusY, rotation)));
+    }
+
+    /**
+     * Internal fillEllipse logic (without the filter layer)
+     * @private
+     */
+    _fillEllipseInternal(centerX, centerY, radiusX, radiusY, rotation) {
+        const ellipse = this._deviceEllipse(centerX, centerY, radiusX, radiusY, rotation);
+        if (!ellipse) return;
+
+        this._fillEllipseDirect(ellipse, this._fillStyle);
+    }
+
+    /**
+     * Stroke an ellipse directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    strokeEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._drawWithFilter(() => this._drawWithShadow(() =>
+            this._strokeEllipseInternal(centerX, centerY, radiusX, radiusY, rotation)));
+    }
+
+    /**
+     * Internal strokeEllipse logic (without the filter layer)
+     * @private
+     */
+    _strokeEllipseInternal(centerX, centerY, radiusX, radiusY, rotation) {
+        const ellipse = this._deviceEllipse(centerX, centerY, radiusX, radiusY, rotation);
+        if (!ellipse) return;
+
+        // Dashed ellipses take the path stroker, which measures dashes along the curve
+        if (this._deviceLineDash(1)) {
+            this._strokeDashedPath(path => path.ellipse(centerX, centerY, radiusX, radiusY, rotation, 0, TAU));
+            return;
+        }
+
+        this._strokeEllipseDirect(ellipse, this._lineWidth * ellipse.scale, this._strokeStyle);
+    }
+
+    /**
+     * Fill and stroke an ellipse in one operation
+     * Uses unified rendering when possible to prevent fill/stroke gaps.
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} [rotation=0] - Rotation of the ellipse in radians
+     */
+    fillStrokeEllipse(centerX, centerY, radiusX, radiusY, rotation = 0) {
+        this._drawWithFilter(() => this._fillStrokeEllipseInternal(centerX, centerY, radiusX, radiusY, rotation));
+    }
+
+    /**
+     * Internal fillStrokeEllipse logic (without the filter layer)
+     * @private
+     */
+    _fillStrokeEllipseInternal(centerX, centerY, radiusX, radiusY, rotation) {
+        const ellipse = this._deviceEllipse(centerX, centerY, radiusX, radiusY, rotation);
+        if (!ellipse) return;
+
+        // Shadowed fill and stroke, or a dashed stroke, are drawn one after the other (see fillStrokeRect)
+        if ((!this._noShadow && this._isSourceOver) || this._deviceLineDash(1)) {
+            this.fillEllipse(centerX, centerY, radiusX, radiusY, rotation);
+            this.strokeEllipse(centerX, centerY, radiusX, radiusY, rotation);
+            return;
+        }
+
+        const scaledLineWidth = this._lineWidth * ellipse.scale;
+        const fillPaintSource = this._fillStyle;
+        const strokePaintSource = this._strokeStyle;
+
+        if (this._canUseDirectRenderingForFillStroke(fillPaintSource, strokePaintSource)) {
+            // Unified fill+stroke rendering (no gaps between fill and stroke)
+            const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+            EllipseOps.fillStroke_Any(
+                this.surface,
+                ellipse.cx, ellipse.cy, ellipse.rx, ellipse.ry, ellipse.rotation,
+                scaledLineWidth,
+                fillPaintSource.a > 0 ? fillPaintSource : null,
+                strokePaintSource.a > 0 ? strokePaintSource : null,
+                this.globalAlpha,
+                clipBuffer
+            );
+        } else {
+            // Sequential rendering for gradients, patterns, or non-source-over
+            this._fillEllipseDirect(ellipse, fillPaintSource);
+            this._strokeEllipseDirect(ellipse, scaledLineWidth, strokePaintSource);
+        }
+    }
+
+    /**
+     * Map a user-space ellipse through the current transform.
+     * Any affine transform takes an ellipse to another ellipse; its radii and
+     * rotation come from the singular value decomposition of the 2x2 matrix that
+     * maps the unit circle onto it.
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} radiusX - Radius along the ellipse's X axis
+     * @param {number} radiusY - Radius along the ellipse's Y axis
+     * @param {number} rotation - Rotation of the ellipse in radians
+     * @returns {{cx: number, cy: number, rx: number, ry: number, rotation: number, scale: number}|null}
+     *   Device-space ellipse plus the line width scale, or null if there is nothing to draw
+     * @private
+     */
+    _deviceEllipse(centerX, centerY, radiusX, radiusY, rotation) {
+        if (!(radiusX > 0 && radiusY > 0) ||
+            !isFinite(centerX) || !isFinite(centerY) || !isFinite(radiusX) || !isFinite(radiusY) ||
+            !isFinite(rotation)) {
+            return null;
+        }
+
+        const t = this._transform;
+        const center = t.transformPoint({ x: centerX, y: centerY });
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        // Columns: the images of the ellipse's two radius vectors
+        const m00 = (t.a * cos + t.c * sin) * radiusX;
+        const m10 = (t.b * cos + t.d * sin) * radiusX;
+        const m01 = (t.c * cos - t.a * sin) * radiusY;
+        const m11 = (t.d * cos - t.b * sin) * radiusY;
+
+        // Closed-form 2x2 SVD: M = R(phi) * diag(sx, sy) * R(theta)
+        const e = (m00 + m11) / 2;
+        const f = (m00 - m11) / 2;
+        const g = (m10 + m01) / 2;
+        const h = (m10 - m01) / 2;
+        const q = Math.sqrt(e * e + h * h);
+        const r = Math.sqrt(f * f + g * g);
+        const phi = (Math.atan2(h, e) + Math.atan2(g, f)) / 2;
+
+        const rx = q + r;
+        const ry = Math.abs(q - r);
+        if (!(rx > 0 && ry > 0)) return null;
+
+        return {
+            cx: center.x,
+            cy: center.y,
+            rx,
+            ry,
+            rotation: phi,
+            // Line widths scale like circle strokes (see strokeCircle)
+            scale: Math.sqrt(Math.abs(t.a * t.d - t.b * t.c))
+        };
+    }
+
     // ========================================================================
     // Arc rendering methods (partial arcs, not full circles)
     // ========================================================================
@@ -1701,6 +2749,14 @@ class Context2D {
      * @param {boolean} [anticlockwise=false] - Direction
      */
     fillArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise)));
+    }
+
+    /**
+     * Internal fillArc logic (without the filter layer)
+     * @private
+     */
+    _fillArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
         if (radius <= 0) return;
 
         // Transform center point
@@ -1721,9 +2777,9 @@ class Context2D {
 
         // Check for direct rendering conditions
         const isColor = paintSource instanceof Color;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect();
 
-        if (isColor && isSourceOver) {
+        if (isColor && canBlendDirect) {
             const isOpaque = paintSource.a === 255 && this.globalAlpha >= 1.0;
             if (isOpaque) {
                 ArcOps.fill_Opaq(this.surface, center.x, center.y, scaledRadius,
@@ -1735,6 +2791,13 @@ class Context2D {
             return;
         }
 
+        const paint = this._directRenderingPaint(paintSource);
+        if (paint) {
+            ArcOps.fill_Paint(this.surface, center.x, center.y, scaledRadius,
+                angles.start, angles.end, paint, this._transform, this.globalAlpha, clipBuffer);
+            return;
+        }
+
         // Path-based rendering: use path system
         Context2D._markPathBasedRendering();
         this.beginPath();
@@ -1754,6 +2817,14 @@ class Context2D {
      * @param {boolean} [anticlockwise=false] - Direction
      */
     outerStrokeArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._outerStrokeArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise)));
+    }
+
+    /**
+     * Internal outerStrokeArc logic (without the filter layer)
+     * @private
+     */
+    _outerStrokeArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
         if (radius <= 0) return;
 
         // Transform center point
@@ -1775,15 +2846,23 @@ class Context2D {
 
         // Check for direct rendering conditions
         const isColor = paintSource instanceof Color;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect();
         // Direct rendering only supports butt line caps (open arc shapes need cap handling)
         const isButtCap = this.lineCap === 'butt';
 
-        if (isColor && isSourceOver && isButtCap) {
+        if (isColor && canBlendDirect && isButtCap) {
             const isOpaque = paintSource.a === 255 && this.globalAlpha >= 1.0;
             const is1pxStroke = Math.abs(scaledLineWidth - 1) < STROKE_1PX_TOLERANCE;
-
-            if (is1pxStroke) {
+            const dash = this._deviceLineDash(scale);
+
+            if (dash) {
+                // Dashed stroke: the dash phase starts where the path does
+                if (paintSource.a > 0) {
+                    ArcOps.strokeDashed_Any(this.surface, center.x, center.y, scaledRadius,
+                        angles.start, angles.end, anticlockwise, scaledLineWidth, dash,
+                        paintSource, this.globalAlpha, clipBuffer);
+                }
+            } else if (is1pxStroke) {
                 // Optimized 1px stroke path
                 if (isOpaque) {
                     ArcOps.stroke1px_Opaq(this.surface, center.x, center.y, scaledRadius,
@@ -1822,8 +2901,23 @@ class Context2D {
      * @param {boolean} [anticlockwise=false] - Direction
      */
     fillOuterStrokeArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
+        this._drawWithFilter(() => this._fillOuterStrokeArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise));
+    }
+
+    /**
+     * Internal fillOuterStrokeArc logic (without the filter layer)
+     * @private
+     */
+    _fillOuterStrokeArcInternal(centerX, centerY, radius, startAngle, endAngle, anticlockwise = false) {
         if (radius <= 0) return;
 
+        // Shadowed fill and stroke, or a dashed stroke, are drawn one after the other (see fillStrokeRect)
+        if ((!this._noShadow && this._isSourceOver) || this._deviceLineDash(1)) {
+            this.fillArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise);
+            this.outerStrokeArc(centerX, centerY, radius, startAngle, endAngle, anticlockwise);
+            return;
+        }
+
         // Transform center point
         const center = this._transform.transformPoint({ x: centerX, y: centerY });
 
@@ -1845,13 +2939,13 @@ class Context2D {
         // Check for unified direct rendering
         const fillIsColor = fillPaintSource instanceof Color;
         const strokeIsColor = strokePaintSource instanceof Color;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect();
         const hasFill = fillIsColor && fillPaintSource.a > 0;
         const hasStroke = strokeIsColor && strokePaintSource.a > 0;
         // Direct rendering only supports butt line caps (open arc shapes need cap handling)
         const isButtCap = this.lineCap === 'butt';
 
-        if (fillIsColor && strokeIsColor && isSourceOver && isButtCap && (hasFill || hasStroke)) {
+        if (fillIsColor && strokeIsColor && canBlendDirect && isButtCap && (hasFill || hasStroke)) {
             // Use unified direct rendering
             ArcOps.fillStrokeOuter_Any(
                 this.surface,
@@ -1887,6 +2981,202 @@ class Context2D {
         }
     }
 
+    // ========================================================================
+    // Ring rendering methods (annuli and annular sectors, e.g. donut charts)
+    // ========================================================================
+
+    /**
+     * Fill a ring (annulus) directly without using the path system
+     * Draws the region an outer arc() and a reversed inner arc() enclose.
+     * Nothing is drawn unless 0 <= innerRadius < outerRadius.
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Radius of the hole (0 for a full disk)
+     * @param {number} outerRadius - Outer radius
+     */
+    fillRing(centerX, centerY, innerRadius, outerRadius) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillAnnulusInternal(centerX, centerY, innerRadius, outerRadius, 0, TAU, true)));
+    }
+
+    /**
+     * Stroke both circles of a ring directly without using the path system
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner circle radius (0 strokes the outer circle only)
+     * @param {number} outerRadius - Outer circle radius
+     */
+    strokeRing(centerX, centerY, innerRadius, outerRadius) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeAnnulusInternal(centerX, centerY, innerRadius, outerRadius, 0, TAU, true)));
+    }
+
+    /**
+     * Fill an annular sector (a slice of a ring) directly without using the path system
+     * Draws the region of arc(outerRadius) from startAngle to endAngle, a line to
+     * the inner radius and arc(innerRadius) back to startAngle enclose.
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner radius (0 for a pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} [anticlockwise=false] - Direction
+     */
+    fillAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise = false) {
+        const sweep = AnnulusOps.sweepAngle(startAngle, endAngle, anticlockwise);
+        this._drawWithFilter(() => this._drawWithShadow(() => this._fillAnnulusInternal(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, false)));
+    }
+
+    /**
+     * Stroke the outline of an annular sector directly without using the path system
+     * (both arcs and the two radial edges, joined with lineJoin)
+     * @param {number} centerX - Center X coordinate
+     * @param {number} centerY - Center Y coordinate
+     * @param {number} innerRadius - Inner radius (0 for a pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} [anticlockwise=false] - Direction
+     */
+    strokeAnnularSector(centerX, centerY, innerRadius, outerRadius, startAngle, endAngle, anticlockwise = false) {
+        const sweep = AnnulusOps.sweepAngle(startAngle, endAngle, anticlockwise);
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeAnnulusInternal(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, false)));
+    }
+
+    /**
+     * Internal fillRing/fillAnnularSector logic (without the filter layer)
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} sweep - Signed sweep from AnnulusOps.sweepAngle()
+     * @param {boolean} isRing - Full ring (no radial edges)
+     * @private
+     */
+    _fillAnnulusInternal(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, isRing) {
+        if (!(innerRadius >= 0 && outerRadius > innerRadius) || sweep === 0) return;
+
+        // Direct rendering: transforms that keep circles circles
+        const device = this._deviceAnnulus(centerX, centerY, innerRadius, outerRadius, startAngle, sweep);
+        if (device) {
+            const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+            if (this._canUseDirectRendering(this._fillStyle)) {
+                AnnulusOps.fill_Any(this.surface, device.cx, device.cy, device.innerRadius, device.outerRadius,
+                    device.startAngle, device.sweep, this._fillStyle, this.globalAlpha, clipBuffer);
+                return;
+            }
+            const paint = this._directRenderingPaint(this._fillStyle);
+            if (paint) {
+                AnnulusOps.fill_Paint(this.surface, device.cx, device.cy, device.innerRadius, device.outerRadius,
+                    device.startAngle, device.sweep, paint, this._transform, this.globalAlpha, clipBuffer);
+                return;
+            }
+        }
+
+        // Path-based rendering: skewed or stretched transforms, other composites
+        this._fillInternal(this._annulusPath(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, isRing));
+    }
+
+    /**
+     * Internal strokeRing/strokeAnnularSector logic (without the filter layer)
+     * Rings stroke as two radius bands; sectors stroke their outline through PolylineOps.
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} sweep - Signed sweep from AnnulusOps.sweepAngle()
+     * @param {boolean} isRing - Full ring (no radial edges)
+     * @private
+     */
+    _strokeAnnulusInternal(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, isRing) {
+        if (!(innerRadius >= 0 && outerRadius > innerRadius) || sweep === 0) return;
+
+        // Direct rendering: solid strokes under transforms that keep circles circles
+        const device = this._deviceLineDash(1) ? null :
+            this._deviceAnnulus(centerX, centerY, innerRadius, outerRadius, startAngle, sweep);
+        if (device) {
+            const t = this._transform;
+            const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+            const lineWidth = this._lineWidth * device.scale;
+            const isColor = this._canUseDirectRendering(this._strokeStyle);
+            const paint = isColor ? null : this._directRenderingPaint(this._strokeStyle);
+
+            if (isRing && isColor) {
+                AnnulusOps.strokeRing_Any(this.surface, device.cx, device.cy, device.innerRadius, device.outerRadius,
+                    lineWidth, this._strokeStyle, this.globalAlpha, clipBuffer);
+                return;
+            }
+            if (isRing && paint) {
+                AnnulusOps.strokeRing_Paint(this.surface, device.cx, device.cy, device.innerRadius, device.outerRadius,
+                    lineWidth, paint, t, this.globalAlpha, clipBuffer);
+                return;
+            }
+            if (isColor || paint) {
+                const outline = AnnulusOps.sectorOutline(centerX, centerY, innerRadius, outerRadius,
+                    startAngle, sweep, device.scale);
+                const stroke = {
+                    lineWidth,
+                    lineJoin: this.lineJoin,
+                    miterLimit: this.miterLimit,
+                    lineCap: this.lineCap
+                };
+                if (isColor) {
+                    PolylineOps.stroke_Any(this.surface, outline, true, t, stroke,
+                        this._strokeStyle, this.globalAlpha, clipBuffer);
+                } else {
+                    PolylineOps.stroke_Paint(this.surface, outline, true, t, stroke,
+                        paint, this.globalAlpha, clipBuffer);
+                }
+                return;
+            }
+        }
+
+        // Path-based rendering: dashes, skewed or stretched transforms, other composites
+        this._strokeInternal(this._annulusPath(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, isRing));
+    }
+
+    /**
+     * Map a ring or annular sector to device space, or null when the transform
+     * skews or stretches it (equal scales and no skew keep circles circles)
+     * @returns {Object|null} {cx, cy, innerRadius, outerRadius, startAngle, sweep, scale}
+     * @private
+     */
+    _deviceAnnulus(centerX, centerY, innerRadius, outerRadius, startAngle, sweep) {
+        const t = this._transform;
+        const isConformal = Math.abs(t.scaleX - t.scaleY) < TRANSFORM_EPSILON &&
+            Math.abs(t.a * t.c + t.b * t.d) < TRANSFORM_EPSILON;
+        if (!isConformal) return null;
+
+        // Angles turn with the transform; mirrors reverse the sweep
+        const cos = Math.cos(startAngle), sin = Math.sin(startAngle);
+        const scale = t.scaleX;
+        return {
+            cx: t.a * centerX + t.c * centerY + t.e,
+            cy: t.b * centerX + t.d * centerY + t.f,
+            innerRadius: innerRadius * scale,
+            outerRadius: outerRadius * scale,
+            startAngle: Math.atan2(t.b * cos + t.d * sin, t.a * cos + t.c * sin),
+            sweep: t.a * t.d - t.b * t.c < 0 ? -sweep : sweep,
+            scale
+        };
+    }
+
+    /**
+     * Build the path fillRing/strokeRing or fillAnnularSector/strokeAnnularSector
+     * draw directly, for path-based rendering
+     * @returns {SWPath2D} Path in user space
+     * @private
+     */
+    _annulusPath(centerX, centerY, innerRadius, outerRadius, startAngle, sweep, isRing) {
+        const path = new SWPath2D();
+        if (isRing) {
+            path.arc(centerX, centerY, outerRadius, 0, TAU, false);
+            if (innerRadius > 0) {
+                path.moveTo(centerX + innerRadius, centerY);
+                path.arc(centerX, centerY, innerRadius, TAU, 0, true);
+            }
+            return path;
+        }
+        const endAngle = startAngle + sweep;
+        path.arc(centerX, centerY, outerRadius, startAngle, endAngle, sweep < 0);
+        path.arc(centerX, centerY, innerRadius, endAngle, startAngle, sweep > 0);
+        path.closePath();
+        return path;
+    }
+
     /**
      * Stroke a line directly without using the path system
      * @param {number} x1 - Start X coordinate
@@ -1895,6 +3185,14 @@ class Context2D {
      * @param {number} y2 - End Y coordinate
      */
     strokeLine(x1, y1, x2, y2) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokeLineInternal(x1, y1, x2, y2)));
+    }
+
+    /**
+     * Internal strokeLine logic (without the filter layer)
+     * @private
+     */
+    _strokeLineInternal(x1, y1, x2, y2) {
         // Transform endpoints
         const start = this._transform.transformPoint({ x: x1, y: y1 });
         const end = this._transform.transformPoint({ x: x2, y: y2 });
@@ -1905,11 +3203,76 @@ class Context2D {
         );
         const scaledLineWidth = this._lineWidth * scale;
 
+        // Dashes are measured along the line in user units
+        const userLength = Math.hypot(x2 - x1, y2 - y1);
+        const dash = this._deviceLineDash(userLength > 0 ? Math.hypot(end.x - start.x, end.y - start.y) / userLength : 1);
+
         // Get paint source
         const paintSource = this._strokeStyle;
 
         // Use optimized line renderer
-        this._strokeLineDirect(start.x, start.y, end.x, end.y, scaledLineWidth, paintSource);
+        this._strokeLineDirect(start.x, start.y, end.x, end.y, scaledLineWidth, paintSource, dash);
+    }
+
+    /**
+     * Stroke a polyline directly without using the path system.
+     * Joins (lineJoin, miterLimit) and caps (lineCap) are drawn as the path stroker
+     * draws them, and every pixel is blended once, so semi-transparent strokes
+     * stay even where segments and joins overlap.
+     * @param {ArrayLike<number>} points - Flat x, y coordinates, e.g. a Float32Array [x0, y0, x1, y1, ...]
+     * @param {boolean} [closed=false] - Join the last point back to the first
+     */
+    strokePolyline(points, closed = false) {
+        this._drawWithFilter(() => this._drawWithShadow(() => this._strokePolylineInternal(points, closed)));
+    }
+
+    /**
+     * Internal strokePolyline logic (without the filter layer)
+     * @private
+     */
+    _strokePolylineInternal(points, closed) {
+        if (!points || typeof points.length !== 'number') {
+            throw new Error('strokePolyline expects an array of x, y coordinates');
+        }
+        if (points.length % 2 !== 0) {
+            throw new Error('strokePolyline expects an even number of coordinates');
+        }
+        if (points.length < 4) return;
+
+        // Direct rendering: solid strokes under transforms that keep angles and scale evenly
+        const t = this._transform;
+        const isConformal = Math.abs(t.scaleX - t.scaleY) < TRANSFORM_EPSILON &&
+            Math.abs(t.a * t.c + t.b * t.d) < TRANSFORM_EPSILON;
+        if (isConformal && !this._deviceLineDash(1)) {
+            const stroke = {
+                lineWidth: this._lineWidth * t.scaleX,
+                lineJoin: this.lineJoin,
+                miterLimit: this.miterLimit,
+                lineCap: this.lineCap
+            };
+            const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+
+            if (this._canUseDirectRendering(this._strokeStyle)) {
+                PolylineOps.stroke_Any(this.surface, points, closed, t, stroke,
+                    this._strokeStyle, this.globalAlpha, clipBuffer);
+                return;
+            }
+            const paint = this._directRenderingPaint(this._strokeStyle);
+            if (paint) {
+                PolylineOps.stroke_Paint(this.surface, points, closed, t, stroke,
+                    paint, this.globalAlpha, clipBuffer);
+                return;
+            }
+        }
+
+        // Path-based rendering: dashes, skewed or stretched transforms, other composites
+        const path = new SWPath2D();
+        path.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) {
+            path.lineTo(points[i], points[i + 1]);
+        }
+        if (closed) path.closePath();
+        this._strokeInternal(path);
     }
 
     // ========================================================================
@@ -1923,26 +3286,35 @@ class Context2D {
     _fillCircleDirect(cx, cy, radius, paintSource) {
         const surface = this.surface;
         const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+        const clipCoverage = this._softClipCoverage();
 
         // Check for solid color direct rendering
         const isColor = paintSource instanceof Color;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect(true);
 
         const isOpaqueColor = isColor &&
             paintSource.a === 255 &&
             this.globalAlpha >= 1.0 &&
-            isSourceOver;
+            canBlendDirect;
 
         const isSemiTransparentColor = isColor &&
             paintSource.a < 255 &&
-            isSourceOver;
+            canBlendDirect;
+
+        const paint = isColor ? null : this._directRenderingPaint(paintSource, true);
 
-        if (isOpaqueColor) {
+        if (this._canUseDirectAdditive(paintSource)) {
+            // Direct rendering 0: Bresenham scanlines added to the destination (lighter)
+            CircleOps.fill_Add(surface, cx, cy, radius, paintSource, this.globalAlpha, clipBuffer, clipCoverage);
+        } else if (isOpaqueColor) {
             // Direct rendering 1: 32-bit packed writes for opaque colors
-            CircleOps.fill_Opaq(surface, cx, cy, radius, paintSource, clipBuffer);
+            CircleOps.fill_Opaq(surface, cx, cy, radius, paintSource, clipBuffer, clipCoverage);
         } else if (isSemiTransparentColor) {
             // Direct rendering 2: Bresenham scanlines with per-pixel alpha blending
-            CircleOps.fill_Alpha(this.surface, cx, cy, radius, paintSource, this.globalAlpha, clipBuffer);
+            CircleOps.fill_Alpha(this.surface, cx, cy, radius, paintSource, this.globalAlpha, clipBuffer, clipCoverage);
+        } else if (paint) {
+            // Direct rendering 3: Bresenham scanlines painted by gradient/pattern spans
+            CircleOps.fill_Paint(surface, cx, cy, radius, paint, this._transform, this.globalAlpha, clipBuffer, clipCoverage);
         } else {
             // Path-based rendering: use path system for gradients/patterns/non-source-over compositing
             Context2D._markPathBasedRendering(); // Mark path-based rendering for testing
@@ -1963,11 +3335,11 @@ class Context2D {
     _strokeCircleDirect(cx, cy, radius, lineWidth, paintSource) {
         const isColor = paintSource instanceof Color;
         const is1pxStroke = Math.abs(lineWidth - 1) < STROKE_1PX_TOLERANCE;
-        const isSourceOver = this.globalCompositeOperation === 'source-over';
+        const canBlendDirect = this._canBlendDirect();
         const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
 
         // Direct rendering 1: 1px strokes using Bresenham algorithm
-        if (isColor && is1pxStroke && isSourceOver) {
+        if (isColor && is1pxStroke && canBlendDirect) {
             const isOpaque = paintSource.a === 255 && this.globalAlpha >= 1.0;
             if (isOpaque) {
                 CircleOps.stroke1px_Opaq(this.surface, cx, cy, radius, paintSource, clipBuffer);
@@ -1979,7 +3351,7 @@ class Context2D {
         }
 
         // Direct rendering 2: Thick strokes using scanline annulus algorithm
-        if (isColor && isSourceOver && lineWidth > 1 && paintSource.a > 0) {
+        if (isColor && canBlendDirect && lineWidth > 1 && paintSource.a > 0) {
             CircleOps.strokeThick_Any(this.surface, cx, cy, radius, lineWidth, paintSource, this.globalAlpha, clipBuffer);
             return;
         }
@@ -1997,31 +3369,157 @@ class Context2D {
         this._transform = savedTransform;
     }
 
+    /**
+     * Ellipse fill - dispatches to direct rendering when possible
+     * @param {Object} ellipse - Device-space ellipse from _deviceEllipse()
+     * @param {Color|Gradient|Pattern} paintSource - Fill paint
+     * @private
+     */
+    _fillEllipseDirect(ellipse, paintSource) {
+        const { cx, cy, rx, ry, rotation } = ellipse;
+        const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+        const isColor = paintSource instanceof Color;
+        const canBlendDirect = this._canBlendDirect();
+        const paint = isColor ? null : this._directRenderingPaint(paintSource);
+
+        if (isColor && canBlendDirect && paintSource.a === 255 && this.globalAlpha >= 1.0) {
+            // Direct rendering 1: 32-bit packed writes for opaque colors
+            EllipseOps.fill_Opaq(this.surface, cx, cy, rx, ry, rotation, paintSource, clipBuffer);
+        } else if (isColor && canBlendDirect) {
+            // Direct rendering 2: analytic scanlines with per-pixel alpha blending
+            EllipseOps.fill_Alpha(this.surface, cx, cy, rx, ry, rotation, paintSource, this.globalAlpha, clipBuffer);
+        } else if (paint) {
+            // Direct rendering 3: analytic scanlines painted by gradient/pattern spans
+            EllipseOps.fill_Paint(this.surface, cx, cy, rx, ry, rotation, paint, this._transform, this.globalAlpha, clipBuffer);
+        } else {
+            // Path-based rendering for non-source-over compositing
+            Context2D._markPathBasedRendering();
+            this.beginPath();
+            this.ellipse(cx, cy, rx, ry, rotation, 0, TAU);
+            const savedTransform = this._transform;
+            this._transform = Transform2D.IDENTITY;
+            this.fill();
+            this._transform = savedTransform;
+        }
+    }
+
+    /**
+     * Ellipse stroke - dispatches to direct rendering when possible
+     * @param {Object} ellipse - Device-space ellipse from _deviceEllipse()
+     * @param {number} lineWidth - Stroke width in device pixels
+     * @param {Color|Gradient|Pattern} paintSource - Stroke paint
+     * @private
+     */
+    _strokeEllipseDirect(ellipse, lineWidth, paintSource) {
+        const { cx, cy, rx, ry, rotation } = ellipse;
+        const isColor = paintSource instanceof Color;
+        const is1pxStroke = Math.abs(lineWidth - 1) < STROKE_1PX_TOLERANCE;
+        const canBlendDirect = this._canBlendDirect();
+        const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
+
+        // Direct rendering 1: 1px strokes traced along the curve
+        if (isColor && is1pxStroke && canBlendDirect) {
+            if (paintSource.a === 255 && this.globalAlpha >= 1.0) {
+                EllipseOps.stroke1px_Opaq(this.surface, cx, cy, rx, ry, rotation, paintSource, clipBuffer);
+                return;
+            } else if (paintSource.a > 0) {
+                EllipseOps.stroke1px_Alpha(this.surface, cx, cy, rx, ry, rotation, paintSource, this.globalAlpha, clipBuffer);
+                return;
+            }
+        }
+
+        // Direct rendering 2: Thick strokes from distance-to-curve scanline spans
+        if (isColor && canBlendDirect && lineWidth > 1 && paintSource.a > 0) {
+            EllipseOps.strokeThick_Any(this.surface, cx, cy, rx, ry, rotation, lineWidth, paintSource, this.globalAlpha, clipBuffer);
+            return;
+        }
+
+        // Fallback to path system for gradients, patterns, or non-source-over compositing
+        Context2D._markPathBasedRendering();
+        this.beginPath();
+        this.ellipse(cx, cy, rx, ry, rotation, 0, TAU);
+        const savedTransform = this._transform;
+        this._transform = Transform2D.IDENTITY;
+        const savedLineWidth = this._lineWidth;
+        this._lineWidth = lineWidth;
+        this.stroke();
+        this._lineWidth = savedLineWidth;
+        this._transform = savedTransform;
+    }
+
     /**
      * Optimized line stroke
+     * @param {number} x1 - Start X in device space
+     * @param {number} y1 - Start Y in device space
+     * @param {number} x2 - End X in device space
+     * @param {number} y2 - End Y in device space
+     * @param {number} lineWidth - Stroke width in device pixels
+     * @param {Color|Gradient|Pattern} paintSource - Stroke paint
+     * @param {Object|null} [dash=null] - Device-space dash pattern from _deviceLineDash()
      * @private
      */
-    _strokeLineDirect(x1, y1, x2, y2, lineWidth, paintSource) {
+    _strokeLineDirect(x1, y1, x2, y2, lineWidth, paintSource, dash = null) {
         const clipBuffer = this._clipMask ? this._clipMask.buffer : null;
 
-        // Direct rendering only supports butt line caps (open shapes need cap handling)
+        // LineOps.stroke_Any and stroke_Paint draw butt caps; other caps have their own renderers
         const isButtCap = this.lineCap === 'butt';
 
+        if (dash && isButtCap) {
+            // Dashed strokes: each dash is drawn like a short butt-capped line
+            if (paintSource instanceof Color && this._canBlendDirect()) {
+                if (paintSource.a > 0) {
+                    LineOps.strokeDashed_Any(this.surface, x1, y1, x2, y2, lineWidth, dash,
+                        paintSource, this.globalAlpha, clipBuffer);
+                }
+                return;
+            }
+            const dashPaint = this._directRenderingPaint(paintSource);
+            if (dashPaint) {
+                LineOps.strokeDashed_Paint(this.surface, x1, y1, x2, y2, lineWidth, dash,
+                    dashPaint, this._transform, this.globalAlpha, clipBuffer);
+                return;
+            }
+        }
+
+        if (!dash && !isButtCap) {
+            // Round and square caps: the line and its caps are drawn as one shape
+            if (paintSource instanceof Color && this._canBlendDirect()) {
+                if (paintSource.a > 0) {
+                    LineOps.strokeCapped_Any(this.surface, x1, y1, x2, y2, lineWidth, this.lineCap,
+                        paintSource, this.globalAlpha, clipBuffer);
+                }
+                return;
+            }
+            const capPaint = this._directRenderingPaint(paintSource);
+            if (capPaint) {
+                LineOps.strokeCapped_Paint(this.surface, x1, y1, x2, y2, lineWidth, this.lineCap,
+                    capPaint, this._transform, this.globalAlpha, clipBuffer);
+                return;
+            }
+        }
+
         // Get color for solid color direct rendering
         const isOpaqueColor = paintSource instanceof Color &&
             paintSource.a === 255 &&
             this.globalAlpha >= 1.0 &&
-            this.globalCompositeOperation === 'source-over' &&
+            this._canBlendDirect() &&
             isButtCap;
 
         // Check for semitransparent color direct rendering (Color with alpha blending)
         const isSemiTransparentColor = paintSource instanceof Color &&
             !isOpaqueColor &&
-            this.globalCompositeOperation === 'source-over' &&
+            this._canBlendDirect() &&
             isButtCap;
 
+        // Gradient or pattern strokes have their own span-based renderer
+        const paint = isButtCap && !(paintSource instanceof Color) ? this._directRenderingPaint(paintSource) : null;
+        if (paint) {
+            LineOps.stroke_Paint(this.surface, x1, y1, x2, y2, lineWidth, paint, this._transform, this.globalAlpha, clipBuffer);
+            return;
+        }
+
         // Try direct rendering via LineOps
-        const directRenderingUsed = LineOps.stroke_Any(
+        const directRenderingUsed = !dash && LineOps.stroke_Any(
             this.surface, x1, y1, x2, y2, lineWidth, paintSource,
             this.globalAlpha, clipBuffer, isOpaqueColor, isSemiTransparentColor
         );
@@ -2036,7 +3534,16 @@ class Context2D {
             this._transform = Transform2D.IDENTITY;
             const savedLineWidth = this._lineWidth;
             this._lineWidth = lineWidth;
+            // The line is already in device space, so its dashes are too
+            const savedLineDash = this._lineDash;
+            const savedLineDashOffset = this._lineDashOffset;
+            if (dash) {
+                this._lineDash = savedLineDash.map(length => length * dash.scale);
+                this._lineDashOffset = savedLineDashOffset * dash.scale;
+            }
             this.stroke();
+            this._lineDash = savedLineDash;
+            this._lineDashOffset = savedLineDashOffset;
             this._lineWidth = savedLineWidth;
             this._transform = savedTransform;
         }
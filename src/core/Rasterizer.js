@@ -46,14 +46,21 @@ class Rasterizer {
     beginOp(params = {}) {
         this._validateParams(params);
 
+        // Image smoothing applies to drawImage() and pattern paint (opt-in at this level)
+        const imageSmoothingEnabled = params.imageSmoothingEnabled === true;
+        const imageSmoothingQuality = params.imageSmoothingQuality || 'low';
+
         this._currentOp = {
             composite: params.composite || 'source-over',
             globalAlpha: params.globalAlpha !== undefined ? params.globalAlpha : 1.0,
             transform: params.transform || Transform2D.IDENTITY,
             clipMask: params.clipMask || null,  // Stencil-based clipping
-            fillStyle: params.fillStyle || null,
-            strokeStyle: params.strokeStyle || null,
+            fillStyle: Rasterizer._preparePaint(params.fillStyle || null, this._surface, imageSmoothingEnabled, imageSmoothingQuality),
+            strokeStyle: Rasterizer._preparePaint(params.strokeStyle || null, this._surface, imageSmoothingEnabled, imageSmoothingQuality),
             sourceMask: null,  // Will be initialized if needed for canvas-wide compositing
+            antialias: params.antialias === true,  // Coverage-based edge anti-aliasing (opt-in)
+            imageSmoothingEnabled: imageSmoothingEnabled,
+            imageSmoothingQuality: imageSmoothingQuality,
             // Shadow properties
             shadowColor: params.shadowColor || Color.transparent,
             shadowBlur: params.shadowBlur || 0,
@@ -67,6 +74,20 @@ class Rasterizer {
         }
     }
 
+    /**
+     * Prepare a pattern paint source for drawing onto a surface: snapshot it if the
+     * surface is its source, and apply image smoothing settings (other paints are returned as-is)
+     * @param {Color|Gradient|Pattern|null} paint - Paint source
+     * @param {Surface} surface - Surface about to be drawn onto
+     * @param {boolean} enabled - Whether image smoothing is enabled
+     * @param {string} quality - Image smoothing quality
+     * @returns {Color|Gradient|Pattern|null} Paint source to render with
+     * @private
+     */
+    static _preparePaint(paint, surface, enabled, quality) {
+        return paint instanceof Pattern ? paint.forTarget(surface).withImageSmoothing(enabled, quality) : paint;
+    }
+
     /**
      * End the current rendering operation
      */
@@ -90,6 +111,10 @@ class Rasterizer {
             throw new Error(`Invalid composite operation. Supported: ${CompositeOperations.getSupportedOperations().join(', ')}`);
         }
 
+        if (params.imageSmoothingQuality !== undefined && !ImageSampler.QUALITIES.includes(params.imageSmoothingQuality)) {
+            throw new Error(`imageSmoothingQuality must be one of: ${ImageSampler.QUALITIES.join(', ')}`);
+        }
+
         if (params.transform && !(params.transform instanceof Transform2D)) {
             throw new Error('transform must be a Transform2D instance');
         }
@@ -107,6 +132,8 @@ class Rasterizer {
 
     /**
      * Check if a composite operation requires canvas-wide compositing (affects pixels outside source)
+     * Additive (lighter, plus-lighter) and blend mode operations leave uncovered pixels
+     * untouched, so they stay on the source-bounded path.
      * @param {string} operation - Composite operation name
      * @returns {boolean} True if operation requires canvas-wide compositing
      * @private
@@ -154,11 +181,22 @@ class Rasterizer {
         }
 
         // Shadow pipeline:
-        // 1. Create shadow buffer
-        // 2. Render shape alpha to shadow buffer (with offset)
-        // 3. Apply blur to shadow buffer
-        // 4. Composite shadow to surface
-        // 5. Render actual shape on top
+        // 1-3. Render, blur and composite the shadow (drawShadow)
+        // 4. Render actual shape on top
+        this.drawShadow(renderFunc);
+        renderFunc();
+    }
+
+    /**
+     * Render only the shadow of a shape onto the surface.
+     * Callers that draw shapes themselves (the direct renderers) use this and then
+     * draw the shape without a shadow; the result matches _renderWithShadow().
+     * @param {Function} renderFunc - Renders the shape; called with the temporary
+     *   surface being drawn into
+     */
+    drawShadow(renderFunc) {
+        this._requireActiveOp();
+        if (!this._needsShadow()) return;
 
         const op = this._currentOp;
         const maxBlurRadius = Math.ceil(op.shadowBlur);
@@ -170,20 +208,17 @@ class Rasterizer {
         // Step 2: Apply blur if needed
         let blurredShadow = shadowBuffer;
         if (op.shadowBlur > 0) {
-            blurredShadow = this._applyShadowBlur(shadowBuffer, op.shadowBlur);
+            blurredShadow = shadowBuffer.blurred(op.shadowBlur);
         }
 
         // Step 3: Composite shadow to surface
         this._compositeShadowToSurface(blurredShadow, op.shadowColor, op.shadowOffsetX, op.shadowOffsetY);
-
-        // Step 4: Render actual shape on top
-        renderFunc();
     }
 
     /**
      * Render shape alpha to shadow buffer
      * @param {ShadowBuffer} shadowBuffer - Target shadow buffer
-     * @param {Function} renderFunc - Function that performs the actual rendering
+     * @param {Function} renderFunc - Function that performs the actual rendering (receives the temporary surface)
      * @private
      */
     _renderToShadowBuffer(shadowBuffer, renderFunc) {
@@ -199,6 +234,10 @@ class Rasterizer {
         opCopy.shadowBlur = 0;
         opCopy.shadowOffsetX = 0;
         opCopy.shadowOffsetY = 0;
+        if (opCopy.clipMask && opCopy.clipMask.hasSoftEdges()) {
+            // Clip coverage is applied once too, when the shadow is composited
+            opCopy.clipMask = opCopy.clipMask.withoutCoverage();
+        }
 
         tempRasterizer._currentOp = opCopy;
 
@@ -209,7 +248,7 @@ class Rasterizer {
         this._currentOp = opCopy;
 
         try {
-            renderFunc();
+            renderFunc(tempSurface);
         } finally {
             // Restore original surface and operation
             this._surface = originalSurface;
@@ -229,31 +268,6 @@ class Rasterizer {
         }
     }
 
-    /**
-     * Apply blur to shadow buffer
-     * @param {ShadowBuffer} shadowBuffer - Shadow buffer to blur
-     * @param {number} blurRadius - Blur radius
-     * @returns {ShadowBuffer} New blurred shadow buffer
-     * @private
-     */
-    _applyShadowBlur(shadowBuffer, blurRadius) {
-        // Convert shadow buffer to dense array for blur processing
-        const denseData = shadowBuffer.toDenseArray();
-
-        if (denseData.width === 0 || denseData.height === 0) {
-            return shadowBuffer; // Nothing to blur
-        }
-
-        // Apply box blur
-        const blurredData = BoxBlur.blur(denseData.data, denseData.width, denseData.height, blurRadius);
-
-        // Create new shadow buffer with blurred data
-        const blurredBuffer = new ShadowBuffer(shadowBuffer.originalWidth, shadowBuffer.originalHeight, Math.ceil(blurRadius));
-        blurredBuffer.fromDenseArray(blurredData, denseData.width, denseData.height, denseData.offsetX, denseData.offsetY);
-
-        return blurredBuffer;
-    }
-
     /**
      * Composite shadow buffer to surface
      * @param {ShadowBuffer} shadowBuffer - Shadow buffer to composite
@@ -268,6 +282,10 @@ class Rasterizer {
 
         // Apply global alpha to shadow color using the standard method
         const effectiveShadowColor = shadowColor.withGlobalAlpha(globalAlpha);
+        const composite = this._currentOp.composite;
+        const shadowComposite = (CompositeOperations.isBlendMode(composite) || CompositeOperations.isAdditive(composite))
+            ? composite : 'source-over';
+        const clipCoverage = this._currentOp.clipMask ? this._currentOp.clipMask.coverage : null;
 
         // Iterate over shadow pixels and composite to surface
         for (const pixel of shadowBuffer.getPixels()) {
@@ -295,10 +313,15 @@ class Rasterizer {
             // significantly (e.g., 3x3 kernel reduces to ~1/9). The multiplier restores
             // the visual intensity to match HTML5 Canvas shadow behavior.
             const BLUR_DILUTION_COMPENSATION = 8;
-            const finalShadowAlpha = Math.min(255, Math.round(
+            let finalShadowAlpha = Math.min(255, Math.round(
                 pixel.alpha * effectiveShadowColor.a * BLUR_DILUTION_COMPENSATION
             ));
 
+            // Soft clip edges scale the shadow alpha by the clip coverage
+            if (clipCoverage) {
+                finalShadowAlpha = Math.round(finalShadowAlpha * clipCoverage[surfaceY * surface.width + surfaceX] / 255);
+            }
+
             if (finalShadowAlpha <= 0) continue;
 
             // Get surface pixel
@@ -308,9 +331,9 @@ class Rasterizer {
             const dstB = surface.data[offset + 2];
             const dstA = surface.data[offset + 3];
 
-            // Composite shadow (using source-over blending)
+            // Composite shadow (source-over, or the active blend/additive mode so shadows blend like the shape)
             const result = CompositeOperations.blendPixel(
-                'source-over',
+                shadowComposite,
                 effectiveShadowColor.r, effectiveShadowColor.g, effectiveShadowColor.b, finalShadowAlpha,
                 dstR, dstG, dstB, dstA
             );
@@ -362,8 +385,8 @@ class Rasterizer {
      * @private
      */
     _fillRectInternal(x, y, width, height, color) {
-        // If there's stencil clipping or canvas-wide compositing, convert the rectangle to a path and use path filling
-        if (this._currentOp.clipMask || this._requiresCanvasWideCompositing(this._currentOp.composite)) {
+        // If there's stencil clipping, canvas-wide compositing or anti-aliasing, convert the rectangle to a path and use path filling
+        if (this._currentOp.clipMask || this._currentOp.antialias || this._requiresCanvasWideCompositing(this._currentOp.composite)) {
             // Create a path for the rectangle
             const rectPath = new SWPath2D();
             rectPath.rect(x, y, width, height);
@@ -413,7 +436,9 @@ class Rasterizer {
             ];
 
             // Use existing polygon filling system which handles transforms and stencil clipping
-            const rectColor = Array.isArray(color) ? new Color(color[0], color[1], color[2], color[3]) : color;
+            const rectColor = Array.isArray(color)
+                ? new Color(color[0], color[1], color[2], color[3])
+                : Rasterizer._preparePaint(color, this._surface, this._currentOp.imageSmoothingEnabled, this._currentOp.imageSmoothingQuality);
             PolygonFiller.fillPolygons(this._surface, [rectPolygon], rectColor, 'nonzero', this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, 1.0, this._currentOp.composite);
         }
     }
@@ -490,6 +515,7 @@ class Rasterizer {
         const composite = this._currentOp.composite;
         const transform = this._currentOp.transform;
         const clipMask = this._currentOp.clipMask;
+        const clipCoverage = clipMask ? clipMask.coverage : null;
 
         // Get optimized iteration bounds (full surface for canvas-wide compositing)
         const bounds = sourceMask.getIterationBounds(clipMask, true);
@@ -506,10 +532,10 @@ class Rasterizer {
                 }
 
                 // Determine source coverage and color
-                const Sa = sourceMask.getPixel(x, y) ? 1 : 0;
+                const coverage = sourceMask.getCoverage(x, y);
                 let srcColor;
 
-                if (Sa > 0) {
+                if (coverage > 0) {
                     // Evaluate paint source at covered pixel
                     srcColor = PolygonFiller._evaluatePaintSource(paintSource, x, y, transform, globalAlpha, subPixelOpacity);
                 } else {
@@ -525,12 +551,31 @@ class Rasterizer {
                 const dstA = surface.data[offset + 3];
 
                 // Apply composite operation with explicit source coverage
-                const result = CompositeOperations.blendPixel(
+                let result = CompositeOperations.blendPixel(
                     composite,
                     srcColor.r, srcColor.g, srcColor.b, srcColor.a,  // source
                     dstR, dstG, dstB, dstA                           // destination
                 );
 
+                // Partially covered (anti-aliased) pixels are the area-weighted mix of
+                // the covered result and the result with a transparent source
+                if (coverage > 0 && coverage < 255) {
+                    const uncovered = CompositeOperations.blendPixel(
+                        composite,
+                        0, 0, 0, 0,
+                        dstR, dstG, dstB, dstA
+                    );
+                    result = this._mixCoverage(result, uncovered, coverage / 255);
+                }
+
+                // These operations change the destination even where the source is
+                // transparent, so a soft clip edge can't scale the source alpha: it
+                // mixes the result with the untouched destination instead
+                const clip = clipCoverage ? clipCoverage[y * surface.width + x] : 255;
+                if (clip < 255) {
+                    result = this._mixCoverage(result, { r: dstR, g: dstG, b: dstB, a: dstA }, clip / 255);
+                }
+
                 // Store result
                 surface.data[offset] = result.r;
                 surface.data[offset + 1] = result.g;
@@ -540,6 +585,28 @@ class Rasterizer {
         }
     }
 
+    /**
+     * Mix two non-premultiplied blend results by coverage, in premultiplied space
+     * @param {Object} covered - {r, g, b, a} result where the source covers the pixel
+     * @param {Object} uncovered - {r, g, b, a} result with a transparent source
+     * @param {number} coverage - Fraction of the pixel covered by the source (0-1)
+     * @returns {Object} Mixed {r, g, b, a} result
+     * @private
+     */
+    _mixCoverage(covered, uncovered, coverage) {
+        const inv = 1 - coverage;
+        const a = covered.a * coverage + uncovered.a * inv;
+        if (a <= 0) return { r: 0, g: 0, b: 0, a: 0 };
+
+        const mix = (c, u) => Math.round((c * covered.a * coverage + u * uncovered.a * inv) / a);
+        return {
+            r: mix(covered.r, uncovered.r),
+            g: mix(covered.g, uncovered.g),
+            b: mix(covered.b, uncovered.b),
+            a: Math.round(a)
+        };
+    }
+
     /**
      * Fill a path using the current fill style
      * @param {Path2D} path - Path to fill
@@ -570,13 +637,13 @@ class Rasterizer {
 
         if (this._requiresCanvasWideCompositing(this._currentOp.composite)) {
             // Canvas-wide compositing path: build source mask then perform canvas-wide compositing
-            PolygonFiller.fillPolygons(this._surface, polygons, fillStyle, fillRule, this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, 1.0, this._currentOp.composite, this._currentOp.sourceMask);
+            PolygonFiller.fillPolygons(this._surface, polygons, fillStyle, fillRule, this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, 1.0, this._currentOp.composite, this._currentOp.sourceMask, this._currentOp.antialias);
 
             // Perform canvas-wide compositing pass
             this._performCanvasWideCompositing(fillStyle, this._currentOp.globalAlpha, 1.0);
         } else {
             // Source-bounded compositing path: direct rendering (existing behavior)
-            PolygonFiller.fillPolygons(this._surface, polygons, fillStyle, fillRule, this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, 1.0, this._currentOp.composite);
+            PolygonFiller.fillPolygons(this._surface, polygons, fillStyle, fillRule, this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, 1.0, this._currentOp.composite, null, this._currentOp.antialias);
         }
     }
 
@@ -608,8 +675,9 @@ class Rasterizer {
         let adjustedStrokeProps = strokeProps;
         let subPixelOpacity = 1.0; // Default for strokes > 1px
 
-        if (strokeProps.lineWidth < 1.0) {
+        if (strokeProps.lineWidth < 1.0 && !this._currentOp.antialias) {
             // Sub-pixel strokes: render at proportional opacity
+            // (anti-aliased rendering gets this from true geometric coverage instead)
             subPixelOpacity = strokeProps.lineWidth;
 
             // Render sub-pixel strokes at 1px width
@@ -622,19 +690,19 @@ class Rasterizer {
 
         if (this._requiresCanvasWideCompositing(this._currentOp.composite)) {
             // Canvas-wide compositing path: build source mask then perform canvas-wide compositing
-            PolygonFiller.fillPolygons(this._surface, strokePolygons, strokeStyle, 'nonzero', this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, subPixelOpacity, this._currentOp.composite, this._currentOp.sourceMask);
+            PolygonFiller.fillPolygons(this._surface, strokePolygons, strokeStyle, 'nonzero', this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, subPixelOpacity, this._currentOp.composite, this._currentOp.sourceMask, this._currentOp.antialias);
 
             // Perform canvas-wide compositing pass
             this._performCanvasWideCompositing(strokeStyle, this._currentOp.globalAlpha, subPixelOpacity);
         } else {
             // Source-bounded compositing path: direct rendering (existing behavior)
-            PolygonFiller.fillPolygons(this._surface, strokePolygons, strokeStyle, 'nonzero', this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, subPixelOpacity, this._currentOp.composite);
+            PolygonFiller.fillPolygons(this._surface, strokePolygons, strokeStyle, 'nonzero', this._currentOp.transform, this._currentOp.clipMask, this._currentOp.globalAlpha, subPixelOpacity, this._currentOp.composite, null, this._currentOp.antialias);
         }
     }
 
     /**
      * Draw an image to the surface
-     * @param {Object} img - ImageLike object to draw
+     * @param {Object|Surface|SWCanvasElement} img - ImageLike, ImageData, Surface or SWCanvasElement to draw
      * @param {number} sx - Source x (optional)
      * @param {number} sy - Source y (optional)
      * @param {number} sw - Source width (optional)
@@ -647,9 +715,17 @@ class Rasterizer {
     drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh) {
         this._requireActiveOp();
 
+        // Sample straight from the source buffer, unless it is the surface being drawn to:
+        // then read from a snapshot so overlapping writes never feed back into the source
+        const args = Array.prototype.slice.call(arguments);
+        const source = ImageProcessor.validateAndConvert(img);
+        args[0] = source.data.buffer === this._surface.data.buffer
+            ? { width: source.width, height: source.height, data: new Uint8ClampedArray(source.data) }
+            : source;
+
         // Wrap the actual image drawing logic with shadow pipeline
         this._renderWithShadow(() => {
-            this._drawImageInternal.apply(this, arguments);
+            this._drawImageInternal.apply(this, args);
         });
     }
 
@@ -731,6 +807,27 @@ class Rasterizer {
 
         const globalAlpha = this._currentOp.globalAlpha;
 
+        // Filtered sampling state (pixel centers, clamped to the source rectangle)
+        let sampler = null;
+        let samplerScale = 1;
+        let sourceEdges = null;
+        const sampled = [0, 0, 0, 0];
+        if (this._currentOp.imageSmoothingEnabled) {
+            sampler = new ImageSampler(imageData, this._currentOp.imageSmoothingQuality);
+            samplerScale = Math.min(
+                Math.hypot(transform.a, transform.b) * Math.abs(destWidth / sourceWidth),
+                Math.hypot(transform.c, transform.d) * Math.abs(destHeight / sourceHeight)
+            );
+            sourceEdges = {
+                minX: Math.floor(sourceX), minY: Math.floor(sourceY),
+                maxX: Math.ceil(sourceX + sourceWidth) - 1, maxY: Math.ceil(sourceY + sourceHeight) - 1,
+                wrapX: false, wrapY: false
+            };
+        }
+        const pixelOffset = sampler ? 0.5 : 0;
+        const clipCoverage = this._currentOp.clipMask ? this._currentOp.clipMask.coverage : null;
+        const isCanvasWide = this._requiresCanvasWideCompositing(this._currentOp.composite);
+
         // Render each pixel in the bounding box
         for (let deviceY = minY; deviceY <= maxY; deviceY++) {
             for (let deviceX = minX; deviceX <= maxX; deviceX++) {
@@ -740,7 +837,7 @@ class Rasterizer {
                 }
 
                 // Transform device pixel back to destination space
-                const destPoint = inverseTransform.transformPoint({ x: deviceX, y: deviceY });
+                const destPoint = inverseTransform.transformPoint({ x: deviceX + pixelOffset, y: deviceY + pixelOffset });
 
                 // Check if we're inside the destination rectangle
                 if (destPoint.x < destX || destPoint.x >= destX + destWidth ||
@@ -752,25 +849,41 @@ class Rasterizer {
                 const sourceXf = sourceX + (destPoint.x - destX) / destWidth * sourceWidth;
                 const sourceYf = sourceY + (destPoint.y - destY) / destHeight * sourceHeight;
 
-                // Nearest-neighbor sampling
-                const sourcePX = Math.floor(sourceXf);
-                const sourcePY = Math.floor(sourceYf);
-
-                // Bounds check for source coordinates
-                if (sourcePX < 0 || sourcePY < 0 || sourcePX >= imageData.width || sourcePY >= imageData.height) {
-                    continue;
+                let srcR, srcG, srcB, srcA;
+                if (sampler) {
+                    sampler.sample(sourceXf, sourceYf, samplerScale, sourceEdges, sampled);
+                    srcR = sampled[0];
+                    srcG = sampled[1];
+                    srcB = sampled[2];
+                    srcA = sampled[3];
+                } else {
+                    // Nearest-neighbor sampling
+                    const sourcePX = Math.floor(sourceXf);
+                    const sourcePY = Math.floor(sourceYf);
+
+                    // Bounds check for source coordinates
+                    if (sourcePX < 0 || sourcePY < 0 || sourcePX >= imageData.width || sourcePY >= imageData.height) {
+                        continue;
+                    }
+
+                    // Sample source pixel
+                    const sourceOffset = (sourcePY * imageData.width + sourcePX) * 4;
+                    srcR = imageData.data[sourceOffset];
+                    srcG = imageData.data[sourceOffset + 1];
+                    srcB = imageData.data[sourceOffset + 2];
+                    srcA = imageData.data[sourceOffset + 3];
                 }
 
-                // Sample source pixel
-                const sourceOffset = (sourcePY * imageData.width + sourcePX) * 4;
-                const srcR = imageData.data[sourceOffset];
-                const srcG = imageData.data[sourceOffset + 1];
-                const srcB = imageData.data[sourceOffset + 2];
-                const srcA = imageData.data[sourceOffset + 3];
-
                 // Apply global alpha
                 const effectiveAlpha = (srcA / 255) * globalAlpha;
-                const finalSrcA = Math.round(effectiveAlpha * 255);
+                let finalSrcA = Math.round(effectiveAlpha * 255);
+
+                // Soft clip edges scale the source alpha by the clip coverage
+                // (operations that also change the destination mix the result below)
+                const clip = clipCoverage ? clipCoverage[deviceY * this._surface.width + deviceX] : 255;
+                if (clip < 255 && !isCanvasWide) {
+                    finalSrcA = Math.round(finalSrcA * clip / 255);
+                }
 
                 // Skip transparent pixels
                 if (finalSrcA === 0) continue;
@@ -785,11 +898,14 @@ class Rasterizer {
                 const dstA = this._surface.data[destOffset + 3];
 
                 // Use CompositeOperations for consistent blending
-                const result = CompositeOperations.blendPixel(
+                let result = CompositeOperations.blendPixel(
                     this._currentOp.composite,
                     srcR, srcG, srcB, finalSrcA,  // source
                     dstR, dstG, dstB, dstA        // destination
                 );
+                if (clip < 255 && isCanvasWide) {
+                    result = this._mixCoverage(result, { r: dstR, g: dstG, b: dstB, a: dstA }, clip / 255);
+                }
 
                 this._surface.data[destOffset] = result.r;
                 this._surface.data[destOffset + 1] = result.g;
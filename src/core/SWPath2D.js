@@ -49,35 +49,82 @@ class SWPath2D {
 
     /**
      * Adds a rounded rectangle subpath to the current path.
-     * Follows the HTML5 Canvas roundRect() specification.
+     * Follows the HTML5 Canvas roundRect() specification: 1-4 radii, each a number or
+     * an {x, y} point for elliptical corners, scaled down together when they overflow.
      * @param {number} x - X coordinate of the rectangle's top-left corner
      * @param {number} y - Y coordinate of the rectangle's top-left corner
      * @param {number} width - Width of the rectangle
      * @param {number} height - Height of the rectangle
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} [radii=0] - Corner radii (see CornerRadii.normalize)
+     * @throws {RangeError} If radii has the wrong length or a negative radius
      */
-    roundRect(x, y, width, height, radii) {
-        // Normalize radii to a single value for simplicity
-        // HTML5 Canvas spec allows array of up to 4 values, but we simplify to single radius
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
-
-        // Clamp radius to half the smaller dimension
-        if (width < 2 * radius) radius = width / 2;
-        if (height < 2 * radius) radius = height / 2;
+    roundRect(x, y, width, height, radii = 0) {
+        if (!isFinite(x) || !isFinite(y) || !isFinite(width) || !isFinite(height)) {
+            return;
+        }
 
-        // Handle zero or negative radius - just draw a regular rect
-        if (radius <= 0) {
+        const corners = CornerRadii.normalize(width, height, radii);
+        if (!corners) return;
+        if (CornerRadii.isSquare(corners)) {
             this.rect(x, y, width, height);
             return;
         }
 
-        // Build path using arcTo for rounded corners
-        this.moveTo(x + radius, y);
-        this.arcTo(x + width, y, x + width, y + height, radius);
-        this.arcTo(x + width, y + height, x, y + height, radius);
-        this.arcTo(x, y + height, x, y, radius);
-        this.arcTo(x, y, x + radius, y, radius);
+        // A negative width or height mirrors the rectangle, so the corners swap sides
+        if (width < 0) {
+            [corners[0], corners[1], corners[2], corners[3]] = [corners[1], corners[0], corners[3], corners[2]];
+        }
+        if (height < 0) {
+            [corners[0], corners[1], corners[2], corners[3]] = [corners[3], corners[2], corners[1], corners[0]];
+        }
+
+        const sx = width < 0 ? -1 : 1;
+        const sy = height < 0 ? -1 : 1;
+        const [upperLeft, upperRight, lowerRight, lowerLeft] = corners;
+
+        this.moveTo(x + sx * upperLeft.x, y);
+        this._roundRectCorner(x + width, y, x + width, y + height, upperRight, -sx, sy, true);
+        this._roundRectCorner(x + width, y + height, x, y + height, lowerRight, -sx, -sy, false);
+        this._roundRectCorner(x, y + height, x, y, lowerLeft, sx, -sy, true);
+        this._roundRectCorner(x, y, x + width, y, upperLeft, sx, sy, false);
         this.closePath();
+        this.moveTo(x, y);
+    }
+
+    /**
+     * Add one corner of a rounded rectangle, including the side leading into it.
+     * Circular corners use arcTo(); elliptical corners use a quarter ellipse.
+     * @param {number} cornerX - Corner point X
+     * @param {number} cornerY - Corner point Y
+     * @param {number} nextX - Next corner point X (direction of the following side)
+     * @param {number} nextY - Next corner point Y
+     * @param {{x: number, y: number}} radius - Corner radii
+     * @param {number} dirX - Sign of X from the corner towards the ellipse center
+     * @param {number} dirY - Sign of Y from the corner towards the ellipse center
+     * @param {boolean} arrivesHorizontally - Whether the side leading into the corner is horizontal
+     * @private
+     */
+    _roundRectCorner(cornerX, cornerY, nextX, nextY, radius, dirX, dirY, arrivesHorizontally) {
+        if (radius.x === radius.y) {
+            this.arcTo(cornerX, cornerY, nextX, nextY, radius.x);
+            return;
+        }
+
+        const centerX = cornerX + dirX * radius.x;
+        const centerY = cornerY + dirY * radius.y;
+        const start = arrivesHorizontally
+            ? { x: centerX, y: cornerY }
+            : { x: cornerX, y: centerY };
+        const end = arrivesHorizontally
+            ? { x: cornerX, y: centerY }
+            : { x: centerX, y: cornerY };
+        const startAngle = Math.atan2((start.y - centerY) / radius.y, (start.x - centerX) / radius.x);
+        const endAngle = Math.atan2((end.y - centerY) / radius.y, (end.x - centerX) / radius.x);
+        // Sweep the quarter turn from start to end
+        const counterclockwise = (endAngle - startAngle + TAU) % TAU > Math.PI;
+
+        this.lineTo(start.x, start.y);
+        this.ellipse(centerX, centerY, radius.x, radius.y, 0, startAngle, endAngle, counterclockwise);
     }
 
     arc(x, y, radius, startAngle, endAngle, counterclockwise) {
@@ -22,7 +22,69 @@ class BoxBlur {
      * @returns {Float32Array} Blurred image data
      */
     static blur(data, width, height, blurRadius, passes = 3) {
-        // Validate parameters
+        BoxBlur._validate(data, width, height, blurRadius, passes);
+        
+        // No blur needed for zero radius
+        if (blurRadius === 0) {
+            return new Float32Array(data); // Return copy
+        }
+        
+        const finalBoxWidth = BoxBlur._boxWidth(blurRadius, passes);
+        
+        // Apply multiple blur passes
+        let currentData = new Float32Array(data);
+        
+        for (let pass = 0; pass < passes; pass++) {
+            currentData = BoxBlur._singleBoxBlurPass(currentData, width, height, finalBoxWidth);
+        }
+        
+        return currentData;
+    }
+    
+    /**
+     * Box blur that preserves total coverage: every box averages over its full
+     * width, counting pixels outside the image as transparent. Unlike blur(),
+     * whose running sums dilute the result (shadows compensate for that), the
+     * output is a true multi-pass box average.
+     * @param {Float32Array} data - Image data (one value per pixel)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} blurRadius - Blur radius in pixels (same box widths as blur())
+     * @param {number} passes - Number of blur passes (default: 3)
+     * @returns {Float32Array} Blurred image data
+     */
+    static blurPreservingCoverage(data, width, height, blurRadius, passes = 3) {
+        BoxBlur._validate(data, width, height, blurRadius, passes);
+        
+        const result = new Float32Array(data);
+        if (blurRadius === 0) return result;
+        
+        const halfBox = Math.floor(BoxBlur._boxWidth(blurRadius, passes) / 2);
+        const scratch = new Float32Array(data.length);
+        for (let pass = 0; pass < passes; pass++) {
+            BoxBlur._boxAverage(result, scratch, width, height, 1, width, halfBox);
+            BoxBlur._boxAverage(scratch, result, height, width, width, 1, halfBox);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * How far blur() and blurPreservingCoverage() spread a pixel
+     * @param {number} blurRadius - Blur radius in pixels
+     * @param {number} passes - Number of blur passes (default: 3)
+     * @returns {number} Distance in pixels
+     */
+    static reach(blurRadius, passes = 3) {
+        if (blurRadius <= 0) return 0;
+        return passes * Math.floor(BoxBlur._boxWidth(blurRadius, passes) / 2);
+    }
+    
+    /**
+     * Validate blur parameters
+     * @private
+     */
+    static _validate(data, width, height, blurRadius, passes) {
         if (!data || !(data instanceof Float32Array)) {
             throw new Error('BoxBlur requires Float32Array data');
         }
@@ -42,12 +104,16 @@ class BoxBlur {
         if (typeof passes !== 'number' || passes < 1) {
             throw new Error('BoxBlur passes must be at least 1');
         }
-        
-        // No blur needed for zero radius
-        if (blurRadius === 0) {
-            return new Float32Array(data); // Return copy
-        }
-        
+    }
+    
+    /**
+     * Box filter width used by blur()
+     * @param {number} blurRadius - Blur radius in pixels
+     * @param {number} passes - Number of blur passes
+     * @returns {number} Box width (odd integer, at least 3)
+     * @private
+     */
+    static _boxWidth(blurRadius, passes) {
         // Calculate equivalent box filter width for Gaussian approximation
         // Based on Central Limit Theorem: multiple box filters -> Gaussian
         const sigma = blurRadius / 2.0;
@@ -56,16 +122,39 @@ class BoxBlur {
         ));
         
         // Ensure odd width for symmetric filter
-        const finalBoxWidth = boxWidth % 2 === 0 ? boxWidth + 1 : boxWidth;
-        
-        // Apply multiple blur passes
-        let currentData = new Float32Array(data);
+        return boxWidth % 2 === 0 ? boxWidth + 1 : boxWidth;
+    }
+    
+    /**
+     * Running box average along the lines (rows or columns) of an image,
+     * with pixels outside the image transparent
+     * @param {Float32Array} source - Input image data
+     * @param {Float32Array} target - Output image data
+     * @param {number} length - Pixels per line
+     * @param {number} lines - Number of lines
+     * @param {number} step - Index distance between neighbors on a line
+     * @param {number} lineStep - Index distance between lines
+     * @param {number} radius - Half-width of box filter
+     * @private
+     */
+    static _boxAverage(source, target, length, lines, step, lineStep, radius) {
+        const scale = 1 / (2 * radius + 1);
         
-        for (let pass = 0; pass < passes; pass++) {
-            currentData = BoxBlur._singleBoxBlurPass(currentData, width, height, finalBoxWidth);
+        for (let line = 0; line < lines; line++) {
+            const start = line * lineStep;
+            
+            // Box for the first pixel, minus its rightmost pixel (added below)
+            let sum = 0;
+            for (let i = 0; i < Math.min(radius, length); i++) {
+                sum += source[start + i * step];
+            }
+            
+            for (let i = 0; i < length; i++) {
+                if (i + radius < length) sum += source[start + (i + radius) * step];
+                if (i - radius - 1 >= 0) sum -= source[start + (i - radius - 1) * step];
+                target[start + i * step] = sum * scale;
+            }
         }
-        
-        return currentData;
     }
     
     /**
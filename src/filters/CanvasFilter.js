@@ -0,0 +1,384 @@
+/**
+ * CanvasFilter class for SWCanvas
+ *
+ * Parses the CSS filter function list accepted by ctx.filter and applies it
+ * to a rendered layer. Supported functions:
+ *   blur(<length>), brightness(), contrast(), grayscale(), sepia(), saturate(),
+ *   invert(), opacity() (<number> or <percentage>), hue-rotate(<angle>) and
+ *   drop-shadow(<color>? <offset-x> <offset-y> <blur>?)
+ *
+ * Color functions use the CSS Filter Effects 4x5 color matrices from
+ * ColorMatrixFilter and operate on non-premultiplied sRGB values. blur() runs
+ * BoxBlur over the premultiplied channels (its length is a standard deviation,
+ * i.e. half a BoxBlur radius); drop-shadow() blurs the alpha in a ShadowBuffer
+ * with the box widths shadowBlur uses. Both keep the total coverage.
+ * Invalid strings return null so ctx.filter can ignore them like browsers do.
+ */
+class CanvasFilter {
+    /** Functions taking an optional <number> | <percentage> (default 1) */
+    static AMOUNT_FUNCTIONS = ['brightness', 'contrast', 'grayscale', 'sepia', 'saturate', 'invert', 'opacity'];
+
+    /** Amount functions whose values above 100% are clamped */
+    static CLAMPED_FUNCTIONS = ['grayscale', 'sepia', 'invert', 'opacity'];
+
+    /** Radians per angle unit */
+    static ANGLE_UNITS = {
+        deg: Math.PI / 180,
+        grad: Math.PI / 200,
+        rad: 1,
+        turn: Math.PI * 2
+    };
+
+    static NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i;
+
+    /** Shared parser for drop-shadow colors (created on first use) */
+    static _colorParser = null;
+
+    /**
+     * Create a CanvasFilter (use CanvasFilter.parse for CSS strings)
+     * @param {string} source - Filter string as set by the user
+     * @param {Array} functions - Parsed filter functions
+     */
+    constructor(source, functions) {
+        this.source = source;
+        this.functions = functions;
+        Object.freeze(this.functions);
+        Object.freeze(this);
+    }
+
+    /**
+     * Parse a CSS filter value
+     * @param {string} filter - e.g. 'blur(4px) brightness(1.2) drop-shadow(2px 2px 3px #0008)'
+     * @returns {CanvasFilter|null} Filter ('none' has no functions) or null if invalid
+     */
+    static parse(filter) {
+        if (typeof filter !== 'string') return null;
+
+        const text = filter.trim();
+        if (text.toLowerCase() === 'none') {
+            return new CanvasFilter(filter, []);
+        }
+
+        const functions = [];
+        let index = 0;
+        while (index < text.length) {
+            const match = /^\s*([a-z-]+)\(/i.exec(text.substring(index));
+            if (!match) return null;
+
+            // Find the closing parenthesis (colors may nest rgb(...) inside drop-shadow)
+            let depth = 1;
+            let end = index + match[0].length;
+            while (end < text.length && depth > 0) {
+                if (text[end] === '(') depth++;
+                if (text[end] === ')') depth--;
+                end++;
+            }
+            if (depth !== 0) return null;
+
+            const args = text.substring(index + match[0].length, end - 1);
+            const parsed = CanvasFilter._parseFunction(match[1].toLowerCase(), args.trim());
+            if (!parsed) return null;
+
+            functions.push(parsed);
+            index = end;
+            while (index < text.length && /\s/.test(text[index])) index++;
+        }
+
+        return functions.length > 0 ? new CanvasFilter(filter, functions) : null;
+    }
+
+    /**
+     * Parse a single filter function
+     * @param {string} name - Lowercase function name
+     * @param {string} args - Trimmed argument text
+     * @returns {Object|null} {type: 'blur', sigma} | {type: 'matrix', name, matrix} |
+     *     {type: 'drop-shadow', offsetX, offsetY, blur, color} or null if invalid
+     * @private
+     */
+    static _parseFunction(name, args) {
+        if (name === 'drop-shadow') {
+            return CanvasFilter._parseDropShadow(args);
+        }
+
+        if (/\s/.test(args)) return null;
+
+        if (name === 'blur') {
+            const sigma = args === '' ? 0 : CanvasFilter._parseLength(args);
+            return sigma !== null && sigma >= 0 ? { type: 'blur', sigma: sigma } : null;
+        }
+
+        if (name === 'hue-rotate') {
+            const angle = args === '' ? 0 : CanvasFilter._parseAngle(args);
+            return angle !== null ? { type: 'matrix', name: name, matrix: ColorMatrixFilter.fromFunction(name, angle) } : null;
+        }
+
+        if (CanvasFilter.AMOUNT_FUNCTIONS.includes(name)) {
+            let amount = args === '' ? 1 : CanvasFilter._parseAmount(args);
+            if (amount === null || amount < 0) return null;
+            if (CanvasFilter.CLAMPED_FUNCTIONS.includes(name)) {
+                amount = Math.min(amount, 1);
+            }
+            return { type: 'matrix', name: name, matrix: ColorMatrixFilter.fromFunction(name, amount) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse drop-shadow arguments: a color before or after 2-3 lengths
+     * @private
+     */
+    static _parseDropShadow(args) {
+        const tokens = CanvasFilter._splitArguments(args);
+        const lengths = [];
+        let color = null;
+        let lengthsBeforeColor = 0;
+
+        for (const token of tokens) {
+            const length = CanvasFilter._parseLength(token);
+            if (length !== null) {
+                // Lengths must be contiguous: a color can't sit between them
+                if (color !== null && lengthsBeforeColor > 0) return null;
+                lengths.push(length);
+            } else {
+                if (color !== null) return null;
+                color = CanvasFilter._parseColor(token);
+                if (!color) return null;
+                lengthsBeforeColor = lengths.length;
+            }
+        }
+
+        if (lengths.length < 2 || lengths.length > 3) return null;
+        const blur = lengths.length === 3 ? lengths[2] : 0;
+        if (blur < 0) return null;
+
+        return {
+            type: 'drop-shadow',
+            offsetX: lengths[0],
+            offsetY: lengths[1],
+            blur: blur,
+            // currentcolor resolves to black on a canvas
+            color: color || new Color(0, 0, 0, 255)
+        };
+    }
+
+    /**
+     * Split arguments on whitespace outside parentheses
+     * @private
+     */
+    static _splitArguments(args) {
+        const tokens = [];
+        let depth = 0;
+        let current = '';
+        for (const char of args) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (depth === 0 && /\s/.test(char)) {
+                if (current) tokens.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current) tokens.push(current);
+        return tokens;
+    }
+
+    /**
+     * Parse a <length> in CSS pixels (unitless only for zero)
+     * @private
+     */
+    static _parseLength(token) {
+        const match = CanvasFilter.NUMBER_PATTERN.exec(token);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        if (unit === '') return value === 0 ? 0 : null;
+        return unit in FontParser.UNIT_TO_PX ? value * FontParser.UNIT_TO_PX[unit] : null;
+    }
+
+    /**
+     * Parse an <angle> in radians (unitless only for zero)
+     * @private
+     */
+    static _parseAngle(token) {
+        const match = CanvasFilter.NUMBER_PATTERN.exec(token);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        if (unit === '') return value === 0 ? 0 : null;
+        return unit in CanvasFilter.ANGLE_UNITS ? value * CanvasFilter.ANGLE_UNITS[unit] : null;
+    }
+
+    /**
+     * Parse a <number> or <percentage>
+     * @private
+     */
+    static _parseAmount(token) {
+        const match = CanvasFilter.NUMBER_PATTERN.exec(token);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        if (match[2] === '') return value;
+        return match[2] === '%' ? value / 100 : null;
+    }
+
+    /**
+     * Parse a drop-shadow color token
+     * @private
+     */
+    static _parseColor(token) {
+        const lower = token.toLowerCase();
+        if (lower === 'currentcolor') return new Color(0, 0, 0, 255);
+        if (lower === 'transparent') return Color.transparent;
+
+        if (!CanvasFilter._colorParser) {
+            CanvasFilter._colorParser = new ColorParser();
+        }
+        const parser = CanvasFilter._colorParser;
+        const isColor = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(lower) ||
+            /^rgba?\(.*\)$/.test(lower) ||
+            lower in parser._namedColors;
+        if (!isColor) return null;
+
+        const rgba = parser.parse(lower);
+        return new Color(rgba.r, rgba.g, rgba.b, rgba.a);
+    }
+
+    /**
+     * Pixels the filter chain can spread content by (blur reach plus shadow offsets)
+     * @returns {number} Padding in pixels
+     */
+    get padding() {
+        let padding = 0;
+        for (const fn of this.functions) {
+            if (fn.type === 'blur') {
+                padding += BoxBlur.reach(fn.sigma * 2);
+            } else if (fn.type === 'drop-shadow') {
+                padding += BoxBlur.reach(fn.blur) +
+                    Math.max(Math.abs(Math.round(fn.offsetX)), Math.abs(Math.round(fn.offsetY)));
+            }
+        }
+        return padding;
+    }
+
+    /**
+     * Filter a surface in place. Pixels outside the surface are treated as transparent.
+     * @param {Surface} surface - Layer holding the unfiltered drawing
+     * @returns {Object|null} Device-space bounds {x, y, width, height} of the result, or null if empty
+     */
+    apply(surface) {
+        const content = CanvasFilter._contentBounds(surface);
+        if (!content) return null;
+
+        // Work on the content grown by the filter reach, clamped to the surface plus that reach
+        const padding = this.padding;
+        const x0 = Math.max(content.minX - padding, -padding);
+        const y0 = Math.max(content.minY - padding, -padding);
+        const x1 = Math.min(content.maxX + padding, surface.width - 1 + padding);
+        const y1 = Math.min(content.maxY + padding, surface.height - 1 + padding);
+        const width = x1 - x0 + 1;
+        const height = y1 - y0 + 1;
+
+        const image = FilterImage.fromSurface(surface, x0, y0, width, height);
+        for (const fn of this.functions) {
+            if (fn.type === 'blur') {
+                image.data = CanvasFilter._blur(image.data, width, height, fn.sigma * 2);
+            } else if (fn.type === 'drop-shadow') {
+                image.data = CanvasFilter._dropShadow(image.data, width, height, fn);
+            } else {
+                ColorMatrixFilter.applyToImage(image, fn.matrix);
+            }
+        }
+        image.writeTo(surface, x0, y0);
+
+        const left = Math.max(0, x0);
+        const top = Math.max(0, y0);
+        return {
+            x: left,
+            y: top,
+            width: Math.min(surface.width - 1, x1) - left + 1,
+            height: Math.min(surface.height - 1, y1) - top + 1
+        };
+    }
+
+    /**
+     * Bounding box of non-transparent pixels
+     * @private
+     */
+    static _contentBounds(surface) {
+        let minX = surface.width, minY = surface.height, maxX = -1, maxY = -1;
+        const data = surface.data;
+        for (let y = 0; y < surface.height; y++) {
+            const row = y * surface.stride;
+            for (let x = 0; x < surface.width; x++) {
+                if (data[row + x * 4 + 3] > 0) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+        return maxX < 0 ? null : { minX: minX, minY: minY, maxX: maxX, maxY: maxY };
+    }
+
+    /**
+     * Blur every premultiplied channel with BoxBlur
+     * @private
+     */
+    static _blur(buffer, width, height, blurRadius) {
+        if (blurRadius <= 0) return buffer;
+
+        const pixelCount = width * height;
+        const channel = new Float32Array(pixelCount);
+        const result = new Float32Array(buffer.length);
+        for (let c = 0; c < 4; c++) {
+            for (let i = 0; i < pixelCount; i++) channel[i] = buffer[i * 4 + c];
+            const blurred = BoxBlur.blurPreservingCoverage(channel, width, height, blurRadius);
+            for (let i = 0; i < pixelCount; i++) result[i * 4 + c] = blurred[i];
+        }
+        return result;
+    }
+
+    /**
+     * Draw the buffer over its own offset, blurred and tinted alpha
+     * @private
+     */
+    static _dropShadow(buffer, width, height, shadow) {
+        // Capture and blur the alpha like canvas shadows, without their dilution
+        let shadowBuffer = new ShadowBuffer(width, height, BoxBlur.reach(shadow.blur));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                shadowBuffer.addAlpha(x, y, buffer[(y * width + x) * 4 + 3]);
+            }
+        }
+        if (shadow.blur > 0) {
+            shadowBuffer = shadowBuffer.blurred(shadow.blur, BoxBlur.blurPreservingCoverage);
+        }
+
+        // Read the shadow for (x, y) from (x - offset) in extended buffer coordinates
+        const shiftX = shadowBuffer.extendedOffsetX - Math.round(shadow.offsetX);
+        const shiftY = shadowBuffer.extendedOffsetY - Math.round(shadow.offsetY);
+        const color = shadow.color;
+        const colorAlpha = color.a / 255;
+        const result = new Float32Array(buffer.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const shadowAlpha = shadowBuffer.getAlpha(x + shiftX, y + shiftY) * colorAlpha;
+
+                // Source-over: the drawing on top of its shadow
+                const cover = 1 - buffer[i + 3];
+                result[i] = buffer[i] + color.r / 255 * shadowAlpha * cover;
+                result[i + 1] = buffer[i + 1] + color.g / 255 * shadowAlpha * cover;
+                result[i + 2] = buffer[i + 2] + color.b / 255 * shadowAlpha * cover;
+                result[i + 3] = buffer[i + 3] + shadowAlpha * cover;
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * ColorMatrixFilter class for SWCanvas
+ *
+ * Applies a 4x5 color matrix (SVG feColorMatrix) to every pixel:
+ *   [r' g' b' a'] = M * [r g b a 1]
+ * Values are non-premultiplied and in the 0-1 range (so the fifth column is an
+ * offset in 0-1 units), and each result is clamped to 0-1.
+ *
+ * Also builds the matrices of the CSS filter shorthand functions, which
+ * CanvasFilter uses for ctx.filter.
+ */
+class ColorMatrixFilter {
+    static IDENTITY = Object.freeze([
+        1, 0, 0, 0, 0,
+        0, 1, 0, 0, 0,
+        0, 0, 1, 0, 0,
+        0, 0, 0, 1, 0
+    ]);
+
+    /** SVG luminanceToAlpha: alpha from the Rec. 709 luminance, color cleared */
+    static LUMINANCE_TO_ALPHA = Object.freeze([
+        0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0,
+        0.2125, 0.7154, 0.0721, 0, 0
+    ]);
+
+    /**
+     * Apply a color matrix to a surface
+     * @param {Surface} surface - Source surface (not modified)
+     * @param {Array<number>} matrix - 20 values, row-major
+     * @returns {Surface} New filtered surface
+     */
+    static apply(surface, matrix) {
+        FilterImage.requireSurface(surface, 'ColorMatrixFilter');
+        ColorMatrixFilter._validateMatrix(matrix);
+
+        const image = FilterImage.fromSurface(surface);
+        ColorMatrixFilter.applyToImage(image, matrix);
+        return image.toSurface();
+    }
+
+    /**
+     * Apply a color matrix in place to a premultiplied FilterImage
+     * @param {FilterImage} image - Image to modify
+     * @param {Array<number>} m - 20 values, row-major
+     */
+    static applyToImage(image, m) {
+        const clamp = (v) => v < 0 ? 0 : (v > 1 ? 1 : v);
+        const buffer = image.data;
+        const alphaOffset = m[19];
+
+        for (let i = 0; i < buffer.length; i += 4) {
+            const a = buffer[i + 3];
+            // Transparent pixels stay transparent unless the matrix adds alpha
+            if (a <= 0 && alphaOffset <= 0) continue;
+
+            const r = a > 0 ? buffer[i] / a : 0;
+            const g = a > 0 ? buffer[i + 1] / a : 0;
+            const b = a > 0 ? buffer[i + 2] / a : 0;
+            const na = clamp(m[15] * r + m[16] * g + m[17] * b + m[18] * a + m[19]);
+            buffer[i] = clamp(m[0] * r + m[1] * g + m[2] * b + m[3] * a + m[4]) * na;
+            buffer[i + 1] = clamp(m[5] * r + m[6] * g + m[7] * b + m[8] * a + m[9]) * na;
+            buffer[i + 2] = clamp(m[10] * r + m[11] * g + m[12] * b + m[13] * a + m[14]) * na;
+            buffer[i + 3] = na;
+        }
+    }
+
+    /**
+     * Build the CSS Filter Effects matrix for a shorthand filter function
+     * @param {string} name - brightness, contrast, grayscale, sepia, saturate, invert, opacity or hue-rotate
+     * @param {number} amount - Function amount (radians for hue-rotate)
+     * @returns {Array<number>} 4x5 row-major matrix
+     */
+    static fromFunction(name, amount) {
+        const linear = (slope, intercept, alphaSlope) => [
+            slope, 0, 0, 0, intercept,
+            0, slope, 0, 0, intercept,
+            0, 0, slope, 0, intercept,
+            0, 0, 0, alphaSlope, 0
+        ];
+        const inverse = 1 - amount;
+
+        switch (name) {
+            case 'brightness':
+                return linear(amount, 0, 1);
+            case 'contrast':
+                return linear(amount, 0.5 - 0.5 * amount, 1);
+            case 'invert':
+                return linear(1 - 2 * amount, amount, 1);
+            case 'opacity':
+                return linear(1, 0, amount);
+            case 'grayscale':
+                return ColorMatrixFilter._rgb([
+                    0.2126 + 0.7874 * inverse, 0.7152 - 0.7152 * inverse, 0.0722 - 0.0722 * inverse,
+                    0.2126 - 0.2126 * inverse, 0.7152 + 0.2848 * inverse, 0.0722 - 0.0722 * inverse,
+                    0.2126 - 0.2126 * inverse, 0.7152 - 0.7152 * inverse, 0.0722 + 0.9278 * inverse
+                ]);
+            case 'sepia':
+                return ColorMatrixFilter._rgb([
+                    0.393 + 0.607 * inverse, 0.769 - 0.769 * inverse, 0.189 - 0.189 * inverse,
+                    0.349 - 0.349 * inverse, 0.686 + 0.314 * inverse, 0.168 - 0.168 * inverse,
+                    0.272 - 0.272 * inverse, 0.534 - 0.534 * inverse, 0.131 + 0.869 * inverse
+                ]);
+            case 'saturate':
+                return ColorMatrixFilter._rgb([
+                    0.213 + 0.787 * amount, 0.715 - 0.715 * amount, 0.072 - 0.072 * amount,
+                    0.213 - 0.213 * amount, 0.715 + 0.285 * amount, 0.072 - 0.072 * amount,
+                    0.213 - 0.213 * amount, 0.715 - 0.715 * amount, 0.072 + 0.928 * amount
+                ]);
+            case 'hue-rotate': {
+                const cos = Math.cos(amount);
+                const sin = Math.sin(amount);
+                return ColorMatrixFilter._rgb([
+                    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+                    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+                    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+                ]);
+            }
+            default:
+                throw new Error(`Unknown color matrix function: ${name}`);
+        }
+    }
+
+    /**
+     * Expand a 3x3 RGB matrix to 4x5 with alpha passed through
+     * @private
+     */
+    static _rgb(m) {
+        return [
+            m[0], m[1], m[2], 0, 0,
+            m[3], m[4], m[5], 0, 0,
+            m[6], m[7], m[8], 0, 0,
+            0, 0, 0, 1, 0
+        ];
+    }
+
+    /**
+     * @private
+     */
+    static _validateMatrix(matrix) {
+        if (!Array.isArray(matrix) || matrix.length !== 20 || !matrix.every(v => typeof v === 'number' && isFinite(v))) {
+            throw new Error('Color matrix must be an array of 20 finite numbers');
+        }
+    }
+}
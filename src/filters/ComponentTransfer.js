@@ -0,0 +1,101 @@
+/**
+ * ComponentTransfer class for SWCanvas
+ *
+ * Remaps each channel independently (SVG feComponentTransfer). Transfer
+ * functions work on non-premultiplied values C in the 0-1 range:
+ * - {type: 'identity'}: C' = C
+ * - {type: 'table', tableValues: [v0..vn]}: Piecewise linear interpolation between the values
+ * - {type: 'discrete', tableValues: [v0..vn-1]}: Step function, n equal steps
+ * - {type: 'linear', slope = 1, intercept = 0}: C' = slope * C + intercept
+ * - {type: 'gamma', amplitude = 1, exponent = 1, offset = 0}: C' = amplitude * C^exponent + offset
+ *
+ * Results are clamped to 0-1. Each function is evaluated once per 8-bit
+ * input value into a lookup table.
+ */
+class ComponentTransfer {
+    static TYPES = ['identity', 'table', 'discrete', 'linear', 'gamma'];
+
+    /**
+     * Remap the channels of a surface
+     * @param {Surface} surface - Source surface (not modified)
+     * @param {Object} functions - Transfer functions {r, g, b, a}; missing channels are left unchanged
+     * @returns {Surface} New filtered surface
+     */
+    static apply(surface, functions = {}) {
+        FilterImage.requireSurface(surface, 'ComponentTransfer');
+
+        const tables = ['r', 'g', 'b', 'a'].map(channel => ComponentTransfer.lookupTable(functions[channel]));
+        const result = new Surface(surface.width, surface.height);
+        const source = surface.data;
+        const data = result.data;
+
+        for (let i = 0; i < source.length; i += 4) {
+            const alpha = tables[3][source[i + 3]];
+            if (alpha === 0) continue;
+
+            data[i] = tables[0][source[i]];
+            data[i + 1] = tables[1][source[i + 1]];
+            data[i + 2] = tables[2][source[i + 2]];
+            data[i + 3] = alpha;
+        }
+        return result;
+    }
+
+    /**
+     * Build the 256-entry lookup table of a transfer function
+     * @param {Object} [fn] - Transfer function (identity if omitted)
+     * @returns {Uint8ClampedArray} Output value for each input value
+     */
+    static lookupTable(fn) {
+        const evaluate = ComponentTransfer._evaluator(fn || { type: 'identity' });
+        const table = new Uint8ClampedArray(256);
+        for (let i = 0; i < 256; i++) {
+            const value = evaluate(i / 255);
+            table[i] = Math.round((value < 0 ? 0 : (value > 1 ? 1 : value)) * 255);
+        }
+        return table;
+    }
+
+    /**
+     * @private
+     */
+    static _evaluator(fn) {
+        if (typeof fn !== 'object' || !ComponentTransfer.TYPES.includes(fn.type)) {
+            throw new Error(`Invalid transfer function type: ${fn && fn.type}`);
+        }
+
+        switch (fn.type) {
+            case 'identity':
+                return (c) => c;
+            case 'table':
+            case 'discrete': {
+                const values = fn.tableValues;
+                if (!Array.isArray(values) || !values.every(v => typeof v === 'number' && isFinite(v))) {
+                    throw new Error(`${fn.type} transfer function requires numeric tableValues`);
+                }
+                const n = values.length;
+                // An empty table behaves as identity
+                if (n === 0) return (c) => c;
+                if (fn.type === 'discrete') {
+                    return (c) => values[Math.min(n - 1, Math.floor(c * n))];
+                }
+                if (n === 1) return () => values[0];
+                return (c) => {
+                    const k = Math.min(n - 2, Math.floor(c * (n - 1)));
+                    return values[k] + (c * (n - 1) - k) * (values[k + 1] - values[k]);
+                };
+            }
+            case 'linear': {
+                const slope = fn.slope !== undefined ? fn.slope : 1;
+                const intercept = fn.intercept || 0;
+                return (c) => slope * c + intercept;
+            }
+            case 'gamma': {
+                const amplitude = fn.amplitude !== undefined ? fn.amplitude : 1;
+                const exponent = fn.exponent !== undefined ? fn.exponent : 1;
+                const offset = fn.offset || 0;
+                return (c) => amplitude * Math.pow(c, exponent) + offset;
+            }
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * ConvolutionFilter class for SWCanvas
+ *
+ * Convolves a surface with an arbitrary kernel (SVG feConvolveMatrix):
+ *   result(x, y) = sum(source(x - targetX + j, y - targetY + i) * kernel[rows - 1 - i][cols - 1 - j]) / divisor + bias
+ * The kernel is rotated 180 degrees as in a true convolution, so asymmetric
+ * kernels (emboss, Sobel) match SVG and image editors.
+ *
+ * Edge modes for source pixels outside the surface:
+ * - 'duplicate': Repeat the nearest edge pixel (default, as in SVG)
+ * - 'wrap': Take pixels from the opposite edge
+ * - 'none': Transparent black
+ *
+ * Channels are convolved premultiplied unless preserveAlpha is set, in which
+ * case color is convolved non-premultiplied and alpha is copied unchanged.
+ */
+class ConvolutionFilter {
+    static EDGE_MODES = ['duplicate', 'wrap', 'none'];
+
+    /**
+     * Convolve a surface
+     * @param {Surface} surface - Source surface (not modified)
+     * @param {Array<Array<number>>} kernel - Kernel rows (all rows the same length)
+     * @param {Object} [options] - Convolution options
+     * @param {number} [options.divisor] - Divisor (defaults to the kernel sum, or 1 if it is 0)
+     * @param {number} [options.bias=0] - Value added to each result channel (0-1 range)
+     * @param {string} [options.edgeMode='duplicate'] - 'duplicate', 'wrap' or 'none'
+     * @param {number} [options.targetX] - Kernel column over the output pixel (defaults to the center)
+     * @param {number} [options.targetY] - Kernel row over the output pixel (defaults to the center)
+     * @param {boolean} [options.preserveAlpha=false] - Leave alpha unchanged
+     * @returns {Surface} New filtered surface
+     */
+    static apply(surface, kernel, options = {}) {
+        FilterImage.requireSurface(surface, 'ConvolutionFilter');
+        const settings = ConvolutionFilter._validate(kernel, options);
+
+        const image = FilterImage.fromSurface(surface);
+        if (settings.preserveAlpha) {
+            ConvolutionFilter._unpremultiply(image.data);
+        }
+
+        const sums = ConvolutionFilter._convolve(image, kernel, settings);
+        const source = image.data;
+        const clamp = (v, max) => v < 0 ? 0 : (v > max ? max : v);
+        for (let i = 0; i < sums.length; i += 4) {
+            if (settings.preserveAlpha) {
+                // Straight color convolved; the original alpha premultiplies it again
+                const alpha = source[i + 3];
+                sums[i] = clamp(sums[i], 1) * alpha;
+                sums[i + 1] = clamp(sums[i + 1], 1) * alpha;
+                sums[i + 2] = clamp(sums[i + 2], 1) * alpha;
+                sums[i + 3] = alpha;
+            } else {
+                // Keep premultiplied results valid: alpha in 0-1, color no larger than alpha
+                const alpha = clamp(sums[i + 3], 1);
+                sums[i] = clamp(sums[i], alpha);
+                sums[i + 1] = clamp(sums[i + 1], alpha);
+                sums[i + 2] = clamp(sums[i + 2], alpha);
+                sums[i + 3] = alpha;
+            }
+        }
+        return new FilterImage(image.width, image.height, sums).toSurface();
+    }
+
+    /**
+     * Validate the kernel and fill in option defaults
+     * @private
+     */
+    static _validate(kernel, options) {
+        if (!Array.isArray(kernel) || kernel.length === 0 || !Array.isArray(kernel[0]) || kernel[0].length === 0) {
+            throw new Error('Convolution kernel must be a non-empty array of rows');
+        }
+
+        const columns = kernel[0].length;
+        for (const row of kernel) {
+            if (!Array.isArray(row) || row.length !== columns) {
+                throw new Error('Convolution kernel rows must all have the same length');
+            }
+            if (!row.every(v => typeof v === 'number' && isFinite(v))) {
+                throw new Error('Convolution kernel values must be finite numbers');
+            }
+        }
+
+        const sum = kernel.reduce((total, row) => total + row.reduce((a, b) => a + b, 0), 0);
+        const divisor = options.divisor !== undefined ? options.divisor : (sum !== 0 ? sum : 1);
+        if (typeof divisor !== 'number' || divisor === 0 || !isFinite(divisor)) {
+            throw new Error('Convolution divisor must be a non-zero finite number');
+        }
+
+        const edgeMode = options.edgeMode || 'duplicate';
+        if (!ConvolutionFilter.EDGE_MODES.includes(edgeMode)) {
+            throw new Error(`Invalid convolution edge mode: ${edgeMode}`);
+        }
+
+        const targetX = options.targetX !== undefined ? options.targetX : Math.floor(columns / 2);
+        const targetY = options.targetY !== undefined ? options.targetY : Math.floor(kernel.length / 2);
+        if (!Number.isInteger(targetX) || targetX < 0 || targetX >= columns ||
+            !Number.isInteger(targetY) || targetY < 0 || targetY >= kernel.length) {
+            throw new Error('Convolution target must be a cell of the kernel');
+        }
+
+        return {
+            divisor: divisor,
+            bias: options.bias || 0,
+            edgeMode: edgeMode,
+            targetX: targetX,
+            targetY: targetY,
+            preserveAlpha: options.preserveAlpha === true
+        };
+    }
+
+    /**
+     * Weighted sums of every channel, divided and biased but not clamped
+     * @returns {Float32Array} RGBA sums
+     * @private
+     */
+    static _convolve(image, kernel, settings) {
+        const { width, height } = image;
+        const source = image.data;
+        const sums = new Float32Array(source.length);
+        const rows = kernel.length;
+        const columns = kernel[0].length;
+        const { divisor, bias, edgeMode, targetX, targetY } = settings;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+
+                for (let i = 0; i < rows; i++) {
+                    const sy = ConvolutionFilter._edge(y - targetY + i, height, edgeMode);
+                    if (sy < 0) continue;
+                    const kernelRow = kernel[rows - 1 - i];
+
+                    for (let j = 0; j < columns; j++) {
+                        const sx = ConvolutionFilter._edge(x - targetX + j, width, edgeMode);
+                        if (sx < 0) continue;
+
+                        const weight = kernelRow[columns - 1 - j];
+                        const src = (sy * width + sx) * 4;
+                        r += source[src] * weight;
+                        g += source[src + 1] * weight;
+                        b += source[src + 2] * weight;
+                        a += source[src + 3] * weight;
+                    }
+                }
+
+                const dst = (y * width + x) * 4;
+                sums[dst] = r / divisor + bias;
+                sums[dst + 1] = g / divisor + bias;
+                sums[dst + 2] = b / divisor + bias;
+                sums[dst + 3] = a / divisor + bias;
+            }
+        }
+        return sums;
+    }
+
+    /**
+     * Map a coordinate through the edge mode
+     * @returns {number} Coordinate inside 0..size-1, or -1 for a transparent pixel
+     * @private
+     */
+    static _edge(coordinate, size, edgeMode) {
+        if (coordinate >= 0 && coordinate < size) return coordinate;
+        if (edgeMode === 'duplicate') return coordinate < 0 ? 0 : size - 1;
+        if (edgeMode === 'wrap') return ((coordinate % size) + size) % size;
+        return -1;
+    }
+
+    /**
+     * Convert premultiplied color to straight color in place
+     * @private
+     */
+    static _unpremultiply(data) {
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3];
+            if (alpha > 0) {
+                data[i] /= alpha;
+                data[i + 1] /= alpha;
+                data[i + 2] /= alpha;
+            }
+        }
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * FilterImage class for SWCanvas
+ *
+ * Premultiplied floating point RGBA image used as the working format of the
+ * filters library. Surfaces store 8-bit non-premultiplied RGBA; filters that
+ * mix neighbouring pixels (blur, convolution, morphology, displacement) must
+ * work premultiplied so transparent pixels don't bleed their color, and float
+ * channels avoid rounding between chained steps.
+ *
+ * Channels are in the 0-1 range, 4 floats per pixel, rows packed without padding.
+ */
+class FilterImage {
+    /**
+     * Create a FilterImage
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Float32Array} [data] - Premultiplied RGBA data (transparent if omitted)
+     */
+    constructor(width, height, data) {
+        if (typeof width !== 'number' || !Number.isInteger(width) || width <= 0) {
+            throw new Error('FilterImage width must be a positive integer');
+        }
+
+        if (typeof height !== 'number' || !Number.isInteger(height) || height <= 0) {
+            throw new Error('FilterImage height must be a positive integer');
+        }
+
+        if (data !== undefined && (!(data instanceof Float32Array) || data.length !== width * height * 4)) {
+            throw new Error('FilterImage data must be a Float32Array of width * height * 4 values');
+        }
+
+        this.width = width;
+        this.height = height;
+        this.data = data || new Float32Array(width * height * 4);
+    }
+
+    /**
+     * Read a region of a surface. Pixels outside the surface are transparent.
+     * @param {Surface} surface - Source surface
+     * @param {number} [x=0] - Region left edge (may be negative)
+     * @param {number} [y=0] - Region top edge (may be negative)
+     * @param {number} [width=surface.width] - Region width
+     * @param {number} [height=surface.height] - Region height
+     * @returns {FilterImage} Premultiplied copy of the region
+     */
+    static fromSurface(surface, x = 0, y = 0, width = surface.width, height = surface.height) {
+        const image = new FilterImage(width, height);
+        const buffer = image.data;
+        const data = surface.data;
+
+        for (let sy = Math.max(0, y); sy < Math.min(surface.height, y + height); sy++) {
+            for (let sx = Math.max(0, x); sx < Math.min(surface.width, x + width); sx++) {
+                const src = sy * surface.stride + sx * 4;
+                const alpha = data[src + 3] / 255;
+                if (alpha === 0) continue;
+
+                const dst = ((sy - y) * width + (sx - x)) * 4;
+                buffer[dst] = data[src] / 255 * alpha;
+                buffer[dst + 1] = data[src + 1] / 255 * alpha;
+                buffer[dst + 2] = data[src + 2] / 255 * alpha;
+                buffer[dst + 3] = alpha;
+            }
+        }
+        return image;
+    }
+
+    /**
+     * Write the image into a surface (non-premultiplied, rounded and clamped)
+     * @param {Surface} surface - Target surface
+     * @param {number} [x=0] - Position of the image's left edge on the surface
+     * @param {number} [y=0] - Position of the image's top edge on the surface
+     */
+    writeTo(surface, x = 0, y = 0) {
+        const buffer = this.data;
+        const data = surface.data;
+        const width = this.width;
+
+        for (let sy = Math.max(0, y); sy < Math.min(surface.height, y + this.height); sy++) {
+            for (let sx = Math.max(0, x); sx < Math.min(surface.width, x + width); sx++) {
+                const src = ((sy - y) * width + (sx - x)) * 4;
+                const dst = sy * surface.stride + sx * 4;
+                const alpha = Math.min(1, buffer[src + 3]);
+                const a = Math.round(alpha * 255);
+                if (a <= 0) {
+                    data[dst] = data[dst + 1] = data[dst + 2] = data[dst + 3] = 0;
+                    continue;
+                }
+                data[dst] = Math.round(Math.min(1, buffer[src] / alpha) * 255);
+                data[dst + 1] = Math.round(Math.min(1, buffer[src + 1] / alpha) * 255);
+                data[dst + 2] = Math.round(Math.min(1, buffer[src + 2] / alpha) * 255);
+                data[dst + 3] = a;
+            }
+        }
+    }
+
+    /**
+     * Convert to a new surface of the same size
+     * @returns {Surface} Non-premultiplied 8-bit copy
+     */
+    toSurface() {
+        const surface = new Surface(this.width, this.height);
+        this.writeTo(surface);
+        return surface;
+    }
+
+    /**
+     * Validate a filter input
+     * @param {Surface} surface - Value passed to a filter
+     * @param {string} filterName - Filter name for the error message
+     */
+    static requireSurface(surface, filterName) {
+        if (!(surface instanceof Surface)) {
+            throw new Error(`${filterName} requires a Surface`);
+        }
+    }
+}
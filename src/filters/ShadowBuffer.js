@@ -187,6 +187,28 @@ class ShadowBuffer {
         return clone;
     }
     
+    /**
+     * Blur the shadow with BoxBlur
+     * @param {number} blurRadius - Blur radius in pixels
+     * @param {Function} blur - BoxBlur function to run (default: BoxBlur.blur, as canvas shadows use)
+     * @returns {ShadowBuffer} New blurred shadow buffer (this buffer if it is empty)
+     */
+    blurred(blurRadius, blur = BoxBlur.blur) {
+        // Convert shadow buffer to dense array for blur processing
+        const denseData = this.toDenseArray();
+        
+        if (denseData.width === 0 || denseData.height === 0) {
+            return this; // Nothing to blur
+        }
+        
+        const blurredData = blur(denseData.data, denseData.width, denseData.height, blurRadius);
+        
+        const blurredBuffer = new ShadowBuffer(this._originalWidth, this._originalHeight, this._maxBlurRadius);
+        blurredBuffer.fromDenseArray(blurredData, denseData.width, denseData.height, denseData.offsetX, denseData.offsetY);
+        
+        return blurredBuffer;
+    }
+    
     /**
      * Convert shadow buffer to a dense Float32Array for blur processing
      * @returns {Object} Object with {data: Float32Array, width, height, offsetX, offsetY}
@@ -0,0 +1,55 @@
+/**
+ * UnsharpMask class for SWCanvas
+ *
+ * Sharpens a surface by adding back the difference between each pixel and a
+ * Gaussian blurred copy:
+ *   result = source + amount * (source - blurred)
+ * Differences smaller than the threshold are left alone so flat areas and
+ * noise aren't amplified. Color is sharpened non-premultiplied and alpha is
+ * kept, so edges of transparent regions don't gain dark or light halos.
+ */
+class UnsharpMask {
+    /**
+     * Sharpen a surface
+     * @param {Surface} surface - Source surface (not modified)
+     * @param {Object} [options] - Sharpening options
+     * @param {number} [options.sigma=1] - Blur standard deviation in pixels
+     * @param {number} [options.amount=1] - Strength (1 adds the full difference)
+     * @param {number} [options.threshold=0] - Minimum difference to sharpen, in 0-255 channel units
+     * @returns {Surface} New sharpened surface
+     */
+    static apply(surface, options = {}) {
+        FilterImage.requireSurface(surface, 'UnsharpMask');
+
+        const sigma = options.sigma !== undefined ? options.sigma : 1;
+        const amount = options.amount !== undefined ? options.amount : 1;
+        const threshold = options.threshold || 0;
+        if (typeof amount !== 'number' || !isFinite(amount) || amount < 0) {
+            throw new Error('UnsharpMask amount must be a non-negative finite number');
+        }
+        if (typeof threshold !== 'number' || !(threshold >= 0)) {
+            throw new Error('UnsharpMask threshold must be a non-negative number');
+        }
+
+        const source = FilterImage.fromSurface(surface);
+        const blurred = GaussianBlur.applyToImage(source, sigma).data;
+        const data = source.data;
+        const minDifference = threshold / 255;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3];
+            const blurredAlpha = blurred[i + 3];
+            if (alpha <= 0 || blurredAlpha <= 0) continue;
+
+            for (let c = 0; c < 3; c++) {
+                const value = data[i + c] / alpha;
+                const difference = value - blurred[i + c] / blurredAlpha;
+                if (Math.abs(difference) < minDifference) continue;
+
+                const sharpened = value + amount * difference;
+                data[i + c] = (sharpened < 0 ? 0 : (sharpened > 1 ? 1 : sharpened)) * alpha;
+            }
+        }
+        return source.toSurface();
+    }
+}
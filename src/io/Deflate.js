@@ -0,0 +1,576 @@
+/**
+ * Deflate class for SWCanvas
+ *
+ * Pure JavaScript DEFLATE (RFC 1951) compressor used by PngEncoder.
+ * Also holds the DEFLATE symbol tables shared with PngDecoder's inflater.
+ *
+ * - LZ77 matching over a 32 KB window with hash chains; the compression level
+ *   (1-9) sets how far chains are searched and whether lazy matching is used
+ * - Each block is written as stored, fixed Huffman or dynamic Huffman,
+ *   whichever is smallest
+ * - Output depends only on the input bytes and the level: no timing,
+ *   randomness or platform-dependent behaviour
+ */
+class Deflate {
+    /**
+     * Compress data into a raw DEFLATE stream (no zlib wrapper)
+     * @param {Uint8Array} data - Uncompressed bytes
+     * @param {number} level - 0 (stored blocks only) to 9 (slowest, smallest)
+     * @returns {Uint8Array} DEFLATE data
+     */
+    static compress(data, level) {
+        if (!Number.isInteger(level) || level < 0 || level > 9) {
+            throw new Error('Deflate level must be an integer between 0-9');
+        }
+
+        const writer = new DeflateBitWriter(Math.max(64, data.length >> 1));
+        if (level === 0) {
+            Deflate._writeStored(writer, data, 0, data.length, true);
+            return writer.finish();
+        }
+
+        const config = Deflate.LEVELS[level];
+        const tokens = {
+            symbols: new Uint16Array(Deflate.BLOCK_TOKENS),
+            distances: new Uint16Array(Deflate.BLOCK_TOKENS),
+            count: 0
+        };
+        let blockStart = 0;
+
+        Deflate._lz77(data, config, tokens, (position, isFinal) => {
+            Deflate._writeBlock(writer, data, blockStart, position, tokens, isFinal);
+            blockStart = position;
+            tokens.count = 0;
+        });
+
+        return writer.finish();
+    }
+
+    // ===== LZ77 =====
+
+    /**
+     * Find matches and feed literal/length tokens, flushing a block when the token buffer fills
+     * @param {Uint8Array} data - Input bytes
+     * @param {Object} config - Level settings {chain, nice, lazy}
+     * @param {Object} tokens - Token buffer {symbols, distances, count}
+     * @param {Function} flush - Called with (inputPosition, isFinal) to write buffered tokens
+     * @private
+     */
+    static _lz77(data, config, tokens, flush) {
+        const n = data.length;
+        const windowMask = Deflate.WINDOW_SIZE - 1;
+        const head = new Int32Array(1 << Deflate.HASH_BITS).fill(-1);
+        const prev = new Int32Array(Deflate.WINDOW_SIZE);
+        const hashMask = (1 << Deflate.HASH_BITS) - 1;
+
+        const hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & hashMask;
+        const insert = (i) => {
+            if (i + 3 > n) return;
+            const h = hash(i);
+            prev[i & windowMask] = head[h];
+            head[h] = i;
+        };
+
+        // Longest match at pos that beats minLength, searching at most config.chain candidates
+        let matchDistance = 0;
+        const findMatch = (pos, minLength) => {
+            if (pos + 3 > n) return 0;
+            const maxLength = Math.min(Deflate.MAX_MATCH, n - pos);
+            let best = minLength;
+            let candidate = head[hash(pos)];
+            let chain = config.chain;
+
+            while (candidate >= 0 && pos - candidate <= Deflate.WINDOW_SIZE && chain-- > 0) {
+                if (data[candidate + best] === data[pos + best] && data[candidate] === data[pos]) {
+                    let length = 1;
+                    while (length < maxLength && data[candidate + length] === data[pos + length]) length++;
+                    if (length > best) {
+                        best = length;
+                        matchDistance = pos - candidate;
+                        if (length >= config.nice) break;
+                    }
+                }
+                const next = prev[candidate & windowMask];
+                if (next >= candidate) break; // Slot reused by a newer position
+                candidate = next;
+            }
+
+            // Short matches far back cost more than the literals they replace
+            if (best === Deflate.MIN_MATCH && matchDistance > 4096) return 0;
+            return best > minLength ? best : 0;
+        };
+
+        const pushLiteral = (value) => {
+            tokens.symbols[tokens.count] = value;
+            tokens.distances[tokens.count++] = 0;
+        };
+        const pushMatch = (length, distance) => {
+            tokens.symbols[tokens.count] = length;
+            tokens.distances[tokens.count++] = distance;
+        };
+
+        let i = 0;
+        let length = -1; // Match length already found at i (-1 = not searched yet)
+        let distance = 0;
+        while (i < n) {
+            if (length < 0) {
+                length = findMatch(i, Deflate.MIN_MATCH - 1);
+                distance = matchDistance;
+            }
+            insert(i);
+
+            if (length >= Deflate.MIN_MATCH && config.lazy > 0 && length < config.lazy) {
+                // Lazy evaluation: prefer a longer match starting at the next byte
+                const nextLength = findMatch(i + 1, length);
+                if (nextLength > length) {
+                    pushLiteral(data[i]);
+                    i++;
+                    length = nextLength;
+                    distance = matchDistance;
+                    if (tokens.count >= Deflate.BLOCK_TOKENS - 1) flush(i, false);
+                    continue;
+                }
+            }
+
+            if (length >= Deflate.MIN_MATCH) {
+                pushMatch(length, distance);
+                for (let k = 1; k < length; k++) insert(i + k);
+                i += length;
+            } else {
+                pushLiteral(data[i]);
+                i++;
+            }
+            length = -1;
+
+            if (tokens.count >= Deflate.BLOCK_TOKENS - 1 && i < n) flush(i, false);
+        }
+        flush(n, true);
+    }
+
+    // ===== BLOCKS =====
+
+    /**
+     * Write buffered tokens as the cheapest of stored, fixed and dynamic blocks
+     * @private
+     */
+    static _writeBlock(writer, data, start, end, tokens, isFinal) {
+        const literalFrequencies = new Uint32Array(286);
+        const distanceFrequencies = new Uint32Array(30);
+        for (let t = 0; t < tokens.count; t++) {
+            const distance = tokens.distances[t];
+            if (distance === 0) {
+                literalFrequencies[tokens.symbols[t]]++;
+            } else {
+                literalFrequencies[257 + Deflate._lengthCode(tokens.symbols[t])]++;
+                distanceFrequencies[Deflate._distanceCode(distance)]++;
+            }
+        }
+        literalFrequencies[256] = 1;
+
+        const literalLengths = Deflate._huffmanLengths(literalFrequencies, 15);
+        const distanceLengths = Deflate._huffmanLengths(distanceFrequencies, 15);
+        if (distanceLengths.every(len => len === 0)) distanceLengths[0] = 1;
+        const header = Deflate._dynamicHeader(literalLengths, distanceLengths);
+
+        const dynamicBits = 3 + header.bits +
+            Deflate._tokenBits(literalFrequencies, distanceFrequencies, literalLengths, distanceLengths);
+        const fixedBits = 3 +
+            Deflate._tokenBits(literalFrequencies, distanceFrequencies, Deflate._fixedLiteralLengths(), Deflate.FIXED_DISTANCE_LENGTHS);
+        const storedBits = Deflate._storedBits(writer.bitCount, end - start);
+
+        if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+            Deflate._writeStored(writer, data, start, end, isFinal);
+        } else if (fixedBits <= dynamicBits) {
+            writer.writeBits(isFinal ? 1 : 0, 1);
+            writer.writeBits(1, 2);
+            Deflate._writeTokens(writer, tokens, Deflate._fixedLiteralLengths(), Deflate.FIXED_DISTANCE_LENGTHS);
+        } else {
+            writer.writeBits(isFinal ? 1 : 0, 1);
+            writer.writeBits(2, 2);
+            Deflate._writeDynamicHeader(writer, header);
+            Deflate._writeTokens(writer, tokens, literalLengths, distanceLengths);
+        }
+    }
+
+    /**
+     * Write data as stored blocks of at most 65535 bytes
+     * @private
+     */
+    static _writeStored(writer, data, start, end, isFinal) {
+        let offset = start;
+        do {
+            const size = Math.min(65535, end - offset);
+            const last = offset + size === end;
+            writer.writeBits(isFinal && last ? 1 : 0, 1);
+            writer.writeBits(0, 2);
+            writer.alignToByte();
+            writer.writeBytes([size & 0xFF, size >>> 8, ~size & 0xFF, (~size >>> 8) & 0xFF]);
+            writer.writeBytes(data.subarray(offset, offset + size));
+            offset += size;
+        } while (offset < end);
+    }
+
+    /**
+     * Size in bits of the stored encoding, given the writer's current bit offset
+     * @private
+     */
+    static _storedBits(bitCount, size) {
+        let bits = 0;
+        let offset = bitCount;
+        let remaining = size;
+        do {
+            const chunk = Math.min(65535, remaining);
+            bits += 3 + ((8 - ((offset + 3) & 7)) & 7) + 32 + chunk * 8;
+            offset = 0;
+            remaining -= chunk;
+        } while (remaining > 0);
+        return bits;
+    }
+
+    /** @private */
+    static _tokenBits(literalFrequencies, distanceFrequencies, literalLengths, distanceLengths) {
+        let bits = 0;
+        for (let symbol = 0; symbol < 286; symbol++) {
+            const frequency = literalFrequencies[symbol];
+            if (frequency === 0) continue;
+            bits += frequency * literalLengths[symbol];
+            if (symbol > 256) bits += frequency * Deflate.LENGTH_EXTRA[symbol - 257];
+        }
+        for (let code = 0; code < 30; code++) {
+            bits += distanceFrequencies[code] * (distanceLengths[code] + Deflate.DISTANCE_EXTRA[code]);
+        }
+        return bits;
+    }
+
+    /** @private */
+    static _writeTokens(writer, tokens, literalLengths, distanceLengths) {
+        const literalCodes = Deflate._canonicalCodes(literalLengths);
+        const distanceCodes = Deflate._canonicalCodes(distanceLengths);
+
+        for (let t = 0; t < tokens.count; t++) {
+            const distance = tokens.distances[t];
+            if (distance === 0) {
+                const literal = tokens.symbols[t];
+                writer.writeBits(literalCodes[literal], literalLengths[literal]);
+                continue;
+            }
+
+            const length = tokens.symbols[t];
+            const lengthCode = Deflate._lengthCode(length);
+            writer.writeBits(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+            writer.writeBits(length - Deflate.LENGTH_BASE[lengthCode], Deflate.LENGTH_EXTRA[lengthCode]);
+
+            const distanceCode = Deflate._distanceCode(distance);
+            writer.writeBits(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+            writer.writeBits(distance - Deflate.DISTANCE_BASE[distanceCode], Deflate.DISTANCE_EXTRA[distanceCode]);
+        }
+
+        writer.writeBits(literalCodes[256], literalLengths[256]);
+    }
+
+    /**
+     * Run-length encode the code lengths of a dynamic block and size its header
+     * @returns {Object} {literalCount, distanceCount, codeLengthLengths, codeLengthCount, runs, bits}
+     * @private
+     */
+    static _dynamicHeader(literalLengths, distanceLengths) {
+        let literalCount = 286;
+        while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+        let distanceCount = 30;
+        while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+        const lengths = [...literalLengths.slice(0, literalCount), ...distanceLengths.slice(0, distanceCount)];
+
+        // Runs of [symbol, extra bits value]: 16 repeats the previous length, 17/18 encode zeros
+        const runs = [];
+        for (let i = 0; i < lengths.length;) {
+            const value = lengths[i];
+            let run = 1;
+            while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+            if (value === 0 && run >= 3) {
+                const count = Math.min(run, 138);
+                runs.push(count >= 11 ? [18, count - 11] : [17, count - 3]);
+                i += count;
+            } else if (value !== 0 && run >= 4) {
+                runs.push([value, 0]);
+                const count = Math.min(run - 1, 6);
+                runs.push([16, count - 3]);
+                i += count + 1;
+            } else {
+                runs.push([value, 0]);
+                i++;
+            }
+        }
+
+        const frequencies = new Uint32Array(19);
+        for (const [symbol] of runs) frequencies[symbol]++;
+        const codeLengthLengths = Deflate._huffmanLengths(frequencies, 7);
+
+        let codeLengthCount = 19;
+        while (codeLengthCount > 4 && codeLengthLengths[Deflate.CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) {
+            codeLengthCount--;
+        }
+
+        let bits = 5 + 5 + 4 + codeLengthCount * 3;
+        for (const [symbol] of runs) {
+            bits += codeLengthLengths[symbol] + (symbol === 16 ? 2 : symbol === 17 ? 3 : symbol === 18 ? 7 : 0);
+        }
+
+        return {
+            literalCount: literalCount,
+            distanceCount: distanceCount,
+            codeLengthLengths: codeLengthLengths,
+            codeLengthCount: codeLengthCount,
+            runs: runs,
+            bits: bits
+        };
+    }
+
+    /** @private */
+    static _writeDynamicHeader(writer, header) {
+        writer.writeBits(header.literalCount - 257, 5);
+        writer.writeBits(header.distanceCount - 1, 5);
+        writer.writeBits(header.codeLengthCount - 4, 4);
+        for (let i = 0; i < header.codeLengthCount; i++) {
+            writer.writeBits(header.codeLengthLengths[Deflate.CODE_LENGTH_ORDER[i]], 3);
+        }
+
+        const codes = Deflate._canonicalCodes(header.codeLengthLengths);
+        for (const [symbol, extra] of header.runs) {
+            writer.writeBits(codes[symbol], header.codeLengthLengths[symbol]);
+            if (symbol === 16) writer.writeBits(extra, 2);
+            else if (symbol === 17) writer.writeBits(extra, 3);
+            else if (symbol === 18) writer.writeBits(extra, 7);
+        }
+    }
+
+    // ===== HUFFMAN CODES =====
+
+    /**
+     * Optimal code lengths limited to maxBits. Ties are broken by symbol order so
+     * identical frequencies always give identical codes.
+     * @param {Uint32Array} frequencies - Symbol frequencies
+     * @param {number} maxBits - Maximum code length
+     * @returns {Array<number>} Code length per symbol (0 = unused)
+     * @private
+     */
+    static _huffmanLengths(frequencies, maxBits) {
+        const lengths = new Array(frequencies.length).fill(0);
+        const used = [];
+        for (let symbol = 0; symbol < frequencies.length; symbol++) {
+            if (frequencies[symbol] > 0) used.push(symbol);
+        }
+        if (used.length === 0) return lengths;
+        if (used.length === 1) {
+            lengths[used[0]] = 1;
+            return lengths;
+        }
+
+        // Build the tree: repeatedly merge the two lightest nodes (leaves sort before internal nodes)
+        const nodes = used.map((symbol, order) => ({ weight: frequencies[symbol], order: order, parent: -1 }));
+        let queue = nodes.map((node, index) => index);
+        const compare = (a, b) => nodes[a].weight - nodes[b].weight || nodes[a].order - nodes[b].order;
+        queue.sort(compare);
+        while (queue.length > 1) {
+            const a = queue.shift();
+            const b = queue.shift();
+            const merged = nodes.length;
+            nodes.push({ weight: nodes[a].weight + nodes[b].weight, order: merged, parent: -1 });
+            nodes[a].parent = merged;
+            nodes[b].parent = merged;
+
+            let insertAt = queue.length;
+            while (insertAt > 0 && compare(queue[insertAt - 1], merged) > 0) insertAt--;
+            queue.splice(insertAt, 0, merged);
+        }
+
+        // Count leaves per depth
+        const counts = new Array(Math.max(maxBits, used.length) + 1).fill(0);
+        let maxDepth = 0;
+        for (let leaf = 0; leaf < used.length; leaf++) {
+            let depth = 0;
+            for (let node = leaf; nodes[node].parent >= 0; node = nodes[node].parent) depth++;
+            counts[depth]++;
+            maxDepth = Math.max(maxDepth, depth);
+        }
+
+        // Move overlong leaves up while keeping the code complete (JPEG Annex K.3 adjustment)
+        for (let depth = maxDepth; depth > maxBits; depth--) {
+            while (counts[depth] > 0) {
+                let j = depth - 2;
+                while (counts[j] === 0) j--;
+                counts[depth] -= 2;
+                counts[depth - 1] += 1;
+                counts[j + 1] += 2;
+                counts[j] -= 1;
+            }
+        }
+
+        // Most frequent symbols get the shortest codes
+        const bySymbolWeight = used.slice().sort((a, b) => frequencies[b] - frequencies[a] || a - b);
+        let next = 0;
+        for (let length = 1; length <= maxBits; length++) {
+            for (let k = 0; k < counts[length]; k++) {
+                lengths[bySymbolWeight[next++]] = length;
+            }
+        }
+        return lengths;
+    }
+
+    /**
+     * Canonical Huffman codes, bit-reversed for LSB-first output
+     * @private
+     */
+    static _canonicalCodes(lengths) {
+        const counts = new Uint16Array(16);
+        for (const length of lengths) counts[length]++;
+        counts[0] = 0;
+
+        const nextCode = new Uint16Array(16);
+        let code = 0;
+        for (let bits = 1; bits < 16; bits++) {
+            code = (code + counts[bits - 1]) << 1;
+            nextCode[bits] = code;
+        }
+
+        const codes = new Uint16Array(lengths.length);
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            const length = lengths[symbol];
+            if (length === 0) continue;
+            let value = nextCode[length]++;
+            let reversed = 0;
+            for (let b = 0; b < length; b++) {
+                reversed = (reversed << 1) | (value & 1);
+                value >>= 1;
+            }
+            codes[symbol] = reversed;
+        }
+        return codes;
+    }
+
+    /** @private */
+    static _fixedLiteralLengths() {
+        if (!Deflate._fixedLiterals) {
+            const lengths = new Array(288);
+            for (let i = 0; i < 288; i++) {
+                lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+            }
+            Deflate._fixedLiterals = lengths;
+        }
+        return Deflate._fixedLiterals;
+    }
+
+    /**
+     * Length symbol index (0-28) for a match length of 3-258
+     * @private
+     */
+    static _lengthCode(length) {
+        let code = 28;
+        while (Deflate.LENGTH_BASE[code] > length) code--;
+        return code;
+    }
+
+    /**
+     * Distance symbol (0-29) for a distance of 1-32768
+     * @private
+     */
+    static _distanceCode(distance) {
+        let code = 29;
+        while (Deflate.DISTANCE_BASE[code] > distance) code--;
+        return code;
+    }
+}
+
+/**
+ * LSB-first bit writer for DEFLATE output
+ * @private
+ */
+class DeflateBitWriter {
+    constructor(initialSize) {
+        this._bytes = new Uint8Array(initialSize);
+        this._length = 0;
+        this._bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    /**
+     * Append the low `count` bits of value (count ≤ 16)
+     */
+    writeBits(value, count) {
+        this._bitBuffer |= value << this.bitCount;
+        this.bitCount += count;
+        while (this.bitCount >= 8) {
+            this._pushByte(this._bitBuffer & 0xFF);
+            this._bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+    }
+
+    writeBytes(bytes) {
+        this._ensure(bytes.length);
+        this._bytes.set(bytes, this._length);
+        this._length += bytes.length;
+    }
+
+    /**
+     * Flush the partial byte and return the output
+     * @returns {Uint8Array} Written bytes
+     */
+    finish() {
+        this.alignToByte();
+        return this._bytes.slice(0, this._length);
+    }
+
+    _pushByte(value) {
+        this._ensure(1);
+        this._bytes[this._length++] = value;
+    }
+
+    _ensure(extra) {
+        if (this._length + extra <= this._bytes.length) return;
+        let size = this._bytes.length * 2;
+        while (size < this._length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this._bytes.subarray(0, this._length));
+        this._bytes = grown;
+    }
+}
+
+// Class constants
+Deflate.WINDOW_SIZE = 32768;
+Deflate.HASH_BITS = 15;
+Deflate.MIN_MATCH = 3;
+Deflate.MAX_MATCH = 258;
+Deflate.BLOCK_TOKENS = 16384;
+
+// Match search effort per level: chain = candidates examined, nice = length that stops the search,
+// lazy = matches shorter than this are re-checked one byte later (0 = greedy)
+Deflate.LEVELS = [
+    null,
+    { chain: 4, nice: 8, lazy: 0 },
+    { chain: 8, nice: 16, lazy: 0 },
+    { chain: 32, nice: 32, lazy: 0 },
+    { chain: 16, nice: 16, lazy: 4 },
+    { chain: 32, nice: 32, lazy: 16 },
+    { chain: 128, nice: 128, lazy: 16 },
+    { chain: 256, nice: 128, lazy: 32 },
+    { chain: 1024, nice: 258, lazy: 128 },
+    { chain: 4096, nice: 258, lazy: 258 }
+];
+
+// DEFLATE length/distance symbol tables (RFC 1951 section 3.2.5)
+Deflate.LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+Deflate.LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+Deflate.DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+Deflate.DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+Deflate.CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+Deflate.FIXED_DISTANCE_LENGTHS = new Array(30).fill(5);
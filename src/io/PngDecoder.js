@@ -0,0 +1,650 @@
+/**
+ * PngDecoder class for SWCanvas
+ *
+ * Decodes PNG files into ImageLike objects ({width, height, data}) with
+ * non-premultiplied RGBA pixels, ready for drawImage() and createPattern().
+ *
+ * Supports every standard PNG variant:
+ * - Color types 0 (gray), 2 (RGB), 3 (palette), 4 (gray + alpha), 6 (RGBA)
+ * - Bit depths 1, 2, 4, 8 and 16 (16-bit samples are rounded to 8 bits)
+ * - tRNS transparency for gray, RGB and palette images
+ * - All five scanline filters and Adam7 interlacing
+ * - zlib streams with stored, fixed Huffman and dynamic Huffman DEFLATE blocks
+ *
+ * Ancillary chunks other than tRNS (gamma, color profiles, text) are ignored.
+ */
+class PngDecoder {
+    /**
+     * Decode a PNG file
+     * @param {ArrayBuffer|Uint8Array} buffer - PNG file data
+     * @returns {Object} ImageLike {width, height, data: Uint8ClampedArray} in non-premultiplied RGBA
+     */
+    static decode(buffer) {
+        const png = PngDecoder._readChunks(PngDecoder._toBytes(buffer));
+        const header = png.header;
+
+        const passes = PngDecoder._passes(header);
+        let expectedSize = 0;
+        for (const pass of passes) {
+            expectedSize += pass.height * (1 + PngDecoder._rowBytes(header, pass.width));
+        }
+
+        const raw = PngDecoder._inflateZlib(png.idat, expectedSize);
+        if (raw.length < expectedSize) {
+            throw new Error('PNG image data is truncated');
+        }
+
+        const data = new Uint8ClampedArray(header.width * header.height * 4);
+        let offset = 0;
+        for (const pass of passes) {
+            const rows = PngDecoder._unfilter(raw, offset, header, pass.width, pass.height);
+            PngDecoder._writePixels(rows, header, png, pass, data);
+            offset += pass.height * (1 + PngDecoder._rowBytes(header, pass.width));
+        }
+
+        return {
+            width: header.width,
+            height: header.height,
+            data: data
+        };
+    }
+
+    /**
+     * Read the IHDR fields without decoding pixel data
+     * @param {ArrayBuffer|Uint8Array} buffer - PNG file data
+     * @returns {Object} {width, height, bitDepth, colorType, interlace, channels}
+     */
+    static readHeader(buffer) {
+        const bytes = PngDecoder._toBytes(buffer);
+        PngDecoder._checkSignature(bytes);
+        if (bytes.length < 33 || PngDecoder._chunkType(bytes, 12) !== 'IHDR') {
+            throw new Error('PNG must start with an IHDR chunk');
+        }
+        return PngDecoder._parseIHDR(bytes.subarray(16, 29));
+    }
+
+    /**
+     * Check whether data starts with the PNG signature
+     * @param {ArrayBuffer|Uint8Array} buffer - Candidate file data
+     * @returns {boolean} True if the signature matches
+     */
+    static isPng(buffer) {
+        try {
+            PngDecoder._checkSignature(PngDecoder._toBytes(buffer));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ===== CHUNKS =====
+
+    /** @private */
+    static _toBytes(buffer) {
+        if (buffer instanceof Uint8Array) return buffer;
+        if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+        throw new Error('PNG data must be an ArrayBuffer or Uint8Array');
+    }
+
+    /** @private */
+    static _checkSignature(bytes) {
+        const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+        if (bytes.length < 8 || signature.some((value, i) => bytes[i] !== value)) {
+            throw new Error('Data is not a PNG file (bad signature)');
+        }
+    }
+
+    /** @private */
+    static _chunkType(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+
+    /** @private */
+    static _u32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    /**
+     * Walk the chunk list, verifying CRCs and collecting IHDR, PLTE, tRNS and IDAT
+     * @param {Uint8Array} bytes - PNG file data
+     * @returns {Object} {header, palette, transparency, idat}
+     * @private
+     */
+    static _readChunks(bytes) {
+        PngDecoder._checkSignature(bytes);
+
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const idatParts = [];
+        let idatLength = 0;
+        let sawEnd = false;
+
+        let offset = 8;
+        while (offset + 12 <= bytes.length) {
+            const length = PngDecoder._u32(bytes, offset);
+            const type = PngDecoder._chunkType(bytes, offset + 4);
+            const dataStart = offset + 8;
+            if (dataStart + length + 4 > bytes.length) {
+                throw new Error(`PNG chunk ${type} is truncated`);
+            }
+
+            const crc = PngDecoder._u32(bytes, dataStart + length);
+            if (PngEncoder._calculateCRC32(bytes.subarray(offset + 4, dataStart + length)) !== crc) {
+                throw new Error(`PNG chunk ${type} has a bad CRC`);
+            }
+
+            const data = bytes.subarray(dataStart, dataStart + length);
+            if (header === null && type !== 'IHDR') {
+                throw new Error('PNG must start with an IHDR chunk');
+            }
+
+            switch (type) {
+                case 'IHDR':
+                    header = PngDecoder._parseIHDR(data);
+                    break;
+                case 'PLTE':
+                    palette = data;
+                    break;
+                case 'tRNS':
+                    transparency = data;
+                    break;
+                case 'IDAT':
+                    idatParts.push(data);
+                    idatLength += data.length;
+                    break;
+                case 'IEND':
+                    sawEnd = true;
+                    break;
+                default:
+                    // Critical chunks have an uppercase first letter and cannot be skipped
+                    if (type.charCodeAt(0) < 97) {
+                        throw new Error(`Unsupported critical PNG chunk ${type}`);
+                    }
+            }
+
+            offset = dataStart + length + 4;
+            if (sawEnd) break;
+        }
+
+        if (idatParts.length === 0) {
+            throw new Error('PNG has no image data');
+        }
+        if (header.colorType === 3 && !palette) {
+            throw new Error('Palette PNG is missing its PLTE chunk');
+        }
+
+        const idat = new Uint8Array(idatLength);
+        let position = 0;
+        for (const part of idatParts) {
+            idat.set(part, position);
+            position += part.length;
+        }
+
+        return { header: header, palette: palette, transparency: transparency, idat: idat };
+    }
+
+    /**
+     * Parse and validate the IHDR fields
+     * @private
+     */
+    static _parseIHDR(data) {
+        if (data.length !== 13) {
+            throw new Error('PNG IHDR chunk has the wrong length');
+        }
+
+        const header = {
+            width: PngDecoder._u32(data, 0),
+            height: PngDecoder._u32(data, 4),
+            bitDepth: data[8],
+            colorType: data[9],
+            interlace: data[12]
+        };
+
+        const allowedDepths = PngDecoder.BIT_DEPTHS[header.colorType];
+        if (!allowedDepths) {
+            throw new Error(`Unsupported PNG color type ${header.colorType}`);
+        }
+        if (!allowedDepths.includes(header.bitDepth)) {
+            throw new Error(`Invalid bit depth ${header.bitDepth} for PNG color type ${header.colorType}`);
+        }
+        if (header.width === 0 || header.height === 0) {
+            throw new Error('PNG dimensions must be positive');
+        }
+        if (data[10] !== 0 || data[11] !== 0) {
+            throw new Error('Unsupported PNG compression or filter method');
+        }
+        if (header.interlace > 1) {
+            throw new Error(`Unsupported PNG interlace method ${header.interlace}`);
+        }
+
+        header.channels = PngDecoder.CHANNELS[header.colorType];
+        return header;
+    }
+
+    // ===== SCANLINES =====
+
+    /**
+     * Sub-images to decode: the whole image, or the seven Adam7 passes
+     * @returns {Array<Object>} Passes {x, y, dx, dy, width, height}, empty passes omitted
+     * @private
+     */
+    static _passes(header) {
+        const layouts = header.interlace === 1
+            ? PngDecoder.ADAM7
+            : [[0, 0, 1, 1]];
+
+        const passes = [];
+        for (const [x, y, dx, dy] of layouts) {
+            const width = Math.ceil((header.width - x) / dx);
+            const height = Math.ceil((header.height - y) / dy);
+            if (width > 0 && height > 0) {
+                passes.push({ x: x, y: y, dx: dx, dy: dy, width: width, height: height });
+            }
+        }
+        return passes;
+    }
+
+    /** @private */
+    static _rowBytes(header, width) {
+        return Math.ceil(width * header.channels * header.bitDepth / 8);
+    }
+
+    /**
+     * Reverse the per-row filters of one (sub-)image
+     * @returns {Array<Uint8Array>} Unfiltered rows
+     * @private
+     */
+    static _unfilter(raw, offset, header, width, height) {
+        const rowBytes = PngDecoder._rowBytes(header, width);
+        const bpp = Math.max(1, (header.channels * header.bitDepth) >> 3);
+        const rows = [];
+        let previous = new Uint8Array(rowBytes);
+
+        for (let y = 0; y < height; y++) {
+            const filter = raw[offset];
+            const row = raw.slice(offset + 1, offset + 1 + rowBytes);
+            offset += rowBytes + 1;
+
+            for (let i = 0; i < rowBytes; i++) {
+                const left = i >= bpp ? row[i - bpp] : 0;
+                const up = previous[i];
+                const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+                switch (filter) {
+                    case 0: // None
+                        break;
+                    case 1: // Sub
+                        row[i] = row[i] + left;
+                        break;
+                    case 2: // Up
+                        row[i] = row[i] + up;
+                        break;
+                    case 3: // Average
+                        row[i] = row[i] + ((left + up) >> 1);
+                        break;
+                    case 4: // Paeth
+                        row[i] = row[i] + PngDecoder._paeth(left, up, upLeft);
+                        break;
+                    default:
+                        throw new Error(`Invalid PNG filter type ${filter}`);
+                }
+            }
+
+            rows.push(row);
+            previous = row;
+        }
+        return rows;
+    }
+
+    /** @private */
+    static _paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        if (pb <= pc) return b;
+        return c;
+    }
+
+    /**
+     * Expand unfiltered rows to RGBA8 and place them in the output image
+     * @private
+     */
+    static _writePixels(rows, header, png, pass, data) {
+        const { bitDepth, colorType, channels } = header;
+        const maxSample = (1 << bitDepth) - 1;
+        const transparentSamples = PngDecoder._transparentSamples(header, png.transparency);
+        const palette = png.palette;
+        const paletteAlpha = colorType === 3 ? png.transparency : null;
+
+        // 16-bit samples round to the nearest 8-bit value; low depths scale up to 0-255
+        const toByte = bitDepth === 16
+            ? (sample) => Math.round(sample / 257)
+            : (sample) => Math.round(sample * 255 / maxSample);
+
+        const samples = new Array(channels);
+        for (let y = 0; y < pass.height; y++) {
+            const row = rows[y];
+            let bitOffset = 0;
+
+            for (let x = 0; x < pass.width; x++) {
+                for (let c = 0; c < channels; c++) {
+                    samples[c] = PngDecoder._readSample(row, bitOffset, bitDepth);
+                    bitOffset += bitDepth;
+                }
+
+                let r, g, b, a = 255;
+                if (colorType === 3) {
+                    const index = samples[0];
+                    if (index * 3 + 2 >= palette.length) {
+                        throw new Error(`PNG palette index ${index} is out of range`);
+                    }
+                    r = palette[index * 3];
+                    g = palette[index * 3 + 1];
+                    b = palette[index * 3 + 2];
+                    if (paletteAlpha && index < paletteAlpha.length) a = paletteAlpha[index];
+                } else if (channels <= 2) {
+                    r = g = b = toByte(samples[0]);
+                    if (channels === 2) a = toByte(samples[1]);
+                    else if (transparentSamples && samples[0] === transparentSamples[0]) a = 0;
+                } else {
+                    r = toByte(samples[0]);
+                    g = toByte(samples[1]);
+                    b = toByte(samples[2]);
+                    if (channels === 4) {
+                        a = toByte(samples[3]);
+                    } else if (transparentSamples && samples[0] === transparentSamples[0] &&
+                               samples[1] === transparentSamples[1] && samples[2] === transparentSamples[2]) {
+                        a = 0;
+                    }
+                }
+
+                const index = ((pass.y + y * pass.dy) * header.width + pass.x + x * pass.dx) * 4;
+                data[index] = r;
+                data[index + 1] = g;
+                data[index + 2] = b;
+                data[index + 3] = a;
+            }
+        }
+    }
+
+    /**
+     * Read one sample of 1-16 bits at a bit offset (samples are packed MSB first)
+     * @private
+     */
+    static _readSample(row, bitOffset, bitDepth) {
+        const byteIndex = bitOffset >> 3;
+        if (bitDepth === 8) return row[byteIndex];
+        if (bitDepth === 16) return (row[byteIndex] << 8) | row[byteIndex + 1];
+
+        const shift = 8 - bitDepth - (bitOffset & 7);
+        return (row[byteIndex] >> shift) & ((1 << bitDepth) - 1);
+    }
+
+    /**
+     * tRNS for gray/RGB images: the raw sample values that are fully transparent
+     * @returns {Array<number>|null} One value per color channel, or null
+     * @private
+     */
+    static _transparentSamples(header, transparency) {
+        if (!transparency || header.colorType === 3) return null;
+
+        const count = header.colorType === 0 ? 1 : header.colorType === 2 ? 3 : 0;
+        if (count === 0 || transparency.length < count * 2) return null;
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push((transparency[i * 2] << 8) | transparency[i * 2 + 1]);
+        }
+        return values;
+    }
+
+    // ===== ZLIB / DEFLATE =====
+
+    /**
+     * Inflate a zlib stream (RFC 1950 wrapper around RFC 1951 DEFLATE)
+     * @param {Uint8Array} data - zlib data
+     * @param {number} sizeHint - Expected output size
+     * @returns {Uint8Array} Decompressed bytes
+     * @private
+     */
+    static _inflateZlib(data, sizeHint) {
+        if (data.length < 2) {
+            throw new Error('PNG zlib stream is truncated');
+        }
+        const cmf = data[0];
+        const flg = data[1];
+        if ((cmf & 0x0F) !== 8 || ((cmf << 8) | flg) % 31 !== 0) {
+            throw new Error('PNG image data is not a valid zlib stream');
+        }
+        if (flg & 0x20) {
+            throw new Error('PNG zlib streams must not use a preset dictionary');
+        }
+        return PngDecoder._inflate(data, 2, sizeHint);
+    }
+
+    /**
+     * Decompress raw DEFLATE data
+     * @private
+     */
+    static _inflate(data, start, sizeHint) {
+        let output = new Uint8Array(Math.max(sizeHint, 1024));
+        let outPos = 0;
+
+        let pos = start;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const needBits = (count) => {
+            while (bitCount < count) {
+                if (pos >= data.length) {
+                    throw new Error('PNG zlib stream ended unexpectedly');
+                }
+                bitBuffer |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+        };
+        const readBits = (count) => {
+            if (count === 0) return 0;
+            needBits(count);
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+        const ensureSpace = (extra) => {
+            if (outPos + extra <= output.length) return;
+            let size = output.length * 2;
+            while (size < outPos + extra) size *= 2;
+            const grown = new Uint8Array(size);
+            grown.set(output.subarray(0, outPos));
+            output = grown;
+        };
+        // Canonical Huffman decoding, one bit at a time (codes are stored MSB first)
+        const decodeSymbol = (table) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let length = 1; length < table.counts.length; length++) {
+                code |= readBits(1);
+                const count = table.counts[length];
+                if (code - first < count) {
+                    return table.symbols[index + code - first];
+                }
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('PNG zlib stream has an invalid Huffman code');
+        };
+
+        let isFinal = false;
+        while (!isFinal) {
+            isFinal = readBits(1) === 1;
+            const type = readBits(2);
+
+            if (type === 0) {
+                // Stored block: byte-aligned LEN, NLEN, then raw bytes
+                bitBuffer = 0;
+                bitCount = 0;
+                if (pos + 4 > data.length) {
+                    throw new Error('PNG zlib stream ended unexpectedly');
+                }
+                const length = data[pos] | (data[pos + 1] << 8);
+                const nlength = data[pos + 2] | (data[pos + 3] << 8);
+                if ((length ^ 0xFFFF) !== nlength) {
+                    throw new Error('PNG zlib stored block has a corrupt length');
+                }
+                pos += 4;
+                if (pos + length > data.length) {
+                    throw new Error('PNG zlib stream ended unexpectedly');
+                }
+                ensureSpace(length);
+                output.set(data.subarray(pos, pos + length), outPos);
+                outPos += length;
+                pos += length;
+                continue;
+            }
+
+            let literals, distances;
+            if (type === 1) {
+                literals = PngDecoder._fixedLiteralTable();
+                distances = PngDecoder._fixedDistanceTable();
+            } else if (type === 2) {
+                ({ literals, distances } = PngDecoder._readDynamicTables(readBits, decodeSymbol));
+            } else {
+                throw new Error('PNG zlib stream has an invalid block type');
+            }
+
+            for (;;) {
+                const symbol = decodeSymbol(literals);
+                if (symbol < 256) {
+                    ensureSpace(1);
+                    output[outPos++] = symbol;
+                } else if (symbol === 256) {
+                    break;
+                } else {
+                    const lengthIndex = symbol - 257;
+                    if (lengthIndex >= 29) {
+                        throw new Error('PNG zlib stream has an invalid length code');
+                    }
+                    const length = Deflate.LENGTH_BASE[lengthIndex] + readBits(Deflate.LENGTH_EXTRA[lengthIndex]);
+                    const distanceSymbol = decodeSymbol(distances);
+                    if (distanceSymbol >= 30) {
+                        throw new Error('PNG zlib stream has an invalid distance code');
+                    }
+                    const distance = Deflate.DISTANCE_BASE[distanceSymbol] + readBits(Deflate.DISTANCE_EXTRA[distanceSymbol]);
+                    if (distance > outPos) {
+                        throw new Error('PNG zlib stream refers back before the start of the data');
+                    }
+
+                    ensureSpace(length);
+                    for (let i = 0; i < length; i++) {
+                        output[outPos] = output[outPos - distance];
+                        outPos++;
+                    }
+                }
+            }
+        }
+
+        return output.subarray(0, outPos);
+    }
+
+    /**
+     * Read the code length code and the literal/length and distance tables of a dynamic block
+     * @private
+     */
+    static _readDynamicTables(readBits, decodeSymbol) {
+        const literalCount = readBits(5) + 257;
+        const distanceCount = readBits(5) + 1;
+        const codeLengthCount = readBits(4) + 4;
+
+        const codeLengthLengths = new Array(19).fill(0);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[Deflate.CODE_LENGTH_ORDER[i]] = readBits(3);
+        }
+        const codeLengthTable = PngDecoder._buildHuffmanTable(codeLengthLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distanceCount) {
+            const symbol = decodeSymbol(codeLengthTable);
+            if (symbol < 16) {
+                lengths.push(symbol);
+            } else if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw new Error('PNG zlib stream repeats a missing code length');
+                }
+                const previous = lengths[lengths.length - 1];
+                for (let repeat = 3 + readBits(2); repeat > 0; repeat--) lengths.push(previous);
+            } else {
+                const zeros = symbol === 17 ? 3 + readBits(3) : 11 + readBits(7);
+                for (let repeat = zeros; repeat > 0; repeat--) lengths.push(0);
+            }
+        }
+        if (lengths.length > literalCount + distanceCount) {
+            throw new Error('PNG zlib stream has too many code lengths');
+        }
+
+        return {
+            literals: PngDecoder._buildHuffmanTable(lengths.slice(0, literalCount)),
+            distances: PngDecoder._buildHuffmanTable(lengths.slice(literalCount))
+        };
+    }
+
+    /**
+     * Build a canonical Huffman table from code lengths
+     * @param {Array<number>} lengths - Code length per symbol (0 = unused)
+     * @returns {Object} {counts: codes per length, symbols: sorted by code}
+     * @private
+     */
+    static _buildHuffmanTable(lengths) {
+        const counts = new Uint16Array(16);
+        for (const length of lengths) counts[length]++;
+        counts[0] = 0;
+
+        const offsets = new Uint16Array(16);
+        for (let length = 1; length < 15; length++) {
+            offsets[length + 1] = offsets[length] + counts[length];
+        }
+
+        const symbols = new Uint16Array(lengths.length);
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol] !== 0) {
+                symbols[offsets[lengths[symbol]]++] = symbol;
+            }
+        }
+        return { counts: counts, symbols: symbols };
+    }
+
+    /** @private */
+    static _fixedLiteralTable() {
+        if (!PngDecoder._fixedLiterals) {
+            const lengths = new Array(288);
+            for (let i = 0; i < 288; i++) {
+                lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+            }
+            PngDecoder._fixedLiterals = PngDecoder._buildHuffmanTable(lengths);
+        }
+        return PngDecoder._fixedLiterals;
+    }
+
+    /** @private */
+    static _fixedDistanceTable() {
+        if (!PngDecoder._fixedDistances) {
+            PngDecoder._fixedDistances = PngDecoder._buildHuffmanTable(new Array(30).fill(5));
+        }
+        return PngDecoder._fixedDistances;
+    }
+}
+
+// Class constants
+PngDecoder.CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+PngDecoder.BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: [x offset, y offset, x step, y step]
+PngDecoder.ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
@@ -2,7 +2,8 @@
  * PngEncoder class for SWCanvas
  * 
  * Handles encoding of Surface data to minimal PNG format with transparency support.
- * Uses uncompressed DEFLATE blocks for simplicity while maintaining PNG compliance.
+ * Compression level 0 writes unfiltered rows in stored DEFLATE blocks; levels 1-9
+ * pick a filter per row and compress with Deflate.
  * Provides static methods for encoding with proper alpha handling.
  * 
  * Following OO best practices:
@@ -46,11 +47,14 @@ class PngEncoder {
             throw new Error(`Surface dimensions must be ≤ ${PngEncoder.MAX_DIMENSION}x${PngEncoder.MAX_DIMENSION}`);
         }
         
-        // Create scanlines with filter bytes (filter 0 = None)
-        const scanlines = PngEncoder._createScanlines(width, height, data);
+        const compressionLevel = options.compressionLevel;
         
-        // Create compressed data using stored DEFLATE blocks
-        const zlibData = PngEncoder._createZlibData(scanlines);
+        // Create scanlines with filter bytes (adaptive filters only pay off when compressing)
+        const scanlines = compressionLevel === 0
+            ? PngEncoder._createScanlines(width, height, data)
+            : PngEncoder._createFilteredScanlines(width, height, data);
+        
+        const zlibData = PngEncoder._createZlibData(scanlines, compressionLevel);
         
         // Build PNG chunks
         const signature = PngEncoder._createSignature();
@@ -117,67 +121,92 @@ class PngEncoder {
     }
     
     /**
-     * Create zlib data with stored DEFLATE blocks
-     * @param {Uint8Array} uncompressed - Uncompressed scanline data
-     * @returns {Uint8Array} Zlib-wrapped data
+     * Create scanlines choosing the filter per row that minimizes the sum of
+     * absolute filtered values (the heuristic recommended by the PNG spec)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Uint8ClampedArray} data - RGBA pixel data (non-premultiplied)
+     * @returns {Uint8Array} Scanlines with filter bytes
      * @private
      */
-    static _createZlibData(uncompressed) {
-        // Zlib header (CMF=0x78, FLG=0x01 for stored blocks)
-        const header = new Uint8Array([0x78, 0x01]);
+    static _createFilteredScanlines(width, height, data) {
+        const bpp = 4;
+        const stride = width * bpp;
+        const result = new Uint8Array((stride + 1) * height);
+        const candidates = [0, 1, 2, 3, 4].map(() => new Uint8Array(stride));
+        const emptyRow = new Uint8Array(stride);
         
-        // Split into DEFLATE stored blocks (max 65535 bytes per block)
-        const blocks = [];
-        const maxBlockSize = 65535;
-        let offset = 0;
-        
-        while (offset < uncompressed.length) {
-            const remaining = uncompressed.length - offset;
-            const blockSize = Math.min(maxBlockSize, remaining);
-            const isLastBlock = (offset + blockSize === uncompressed.length);
-            
-            // Block header: BFINAL (1 bit) + BTYPE (2 bits, 00 = stored)
-            const bfinal = isLastBlock ? 1 : 0;
-            const blockHeader = new Uint8Array(5);
-            blockHeader[0] = bfinal; // BFINAL=1 if last, BTYPE=00
-            
-            // LEN (little-endian)
-            blockHeader[1] = blockSize & 0xFF;
-            blockHeader[2] = (blockSize >>> 8) & 0xFF;
-            
-            // NLEN (bitwise NOT of LEN, little-endian)
-            const nlen = (~blockSize) & 0xFFFF;
-            blockHeader[3] = nlen & 0xFF;
-            blockHeader[4] = (nlen >>> 8) & 0xFF;
+        for (let y = 0; y < height; y++) {
+            const row = data.subarray(y * stride, (y + 1) * stride);
+            const previous = y > 0 ? data.subarray((y - 1) * stride, y * stride) : emptyRow;
             
-            blocks.push(blockHeader);
-            blocks.push(uncompressed.subarray(offset, offset + blockSize));
+            let bestType = 0;
+            let bestSum = Infinity;
+            for (let type = 0; type < 5; type++) {
+                const out = candidates[type];
+                let sum = 0;
+                for (let i = 0; i < stride; i++) {
+                    const a = i >= bpp ? row[i - bpp] : 0;
+                    const b = previous[i];
+                    const c = i >= bpp ? previous[i - bpp] : 0;
+                    let predictor;
+                    switch (type) {
+                        case 0: predictor = 0; break;
+                        case 1: predictor = a; break;
+                        case 2: predictor = b; break;
+                        case 3: predictor = (a + b) >> 1; break;
+                        default: predictor = PngEncoder._paeth(a, b, c);
+                    }
+                    const value = (row[i] - predictor) & 0xFF;
+                    out[i] = value;
+                    sum += value < 128 ? value : 256 - value;
+                }
+                // Strictly smaller wins so ties resolve to the lowest filter type
+                if (sum < bestSum) {
+                    bestSum = sum;
+                    bestType = type;
+                }
+            }
             
-            offset += blockSize;
+            const offset = y * (stride + 1);
+            result[offset] = bestType;
+            result.set(candidates[bestType], offset + 1);
         }
         
-        // Calculate Adler-32 checksum
-        const adler32 = PngEncoder._calculateAdler32(uncompressed);
-        const trailer = PngEncoder._u32be(adler32);
-        
-        // Concatenate all parts
-        let totalLength = header.length + trailer.length;
-        for (const block of blocks) {
-            totalLength += block.length;
-        }
-        
-        const result = new Uint8Array(totalLength);
-        let resultOffset = 0;
-        
-        result.set(header, resultOffset);
-        resultOffset += header.length;
-        
-        for (const block of blocks) {
-            result.set(block, resultOffset);
-            resultOffset += block.length;
-        }
-        
-        result.set(trailer, resultOffset);
+        return result;
+    }
+    
+    /**
+     * Paeth predictor (PNG filter type 4)
+     * @private
+     */
+    static _paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+    
+    /**
+     * Create zlib data: header, DEFLATE stream and Adler-32 trailer
+     * @param {Uint8Array} uncompressed - Uncompressed scanline data
+     * @param {number} [compressionLevel=0] - 0 for stored blocks, 1-9 for Huffman/LZ77 compression
+     * @returns {Uint8Array} Zlib-wrapped data
+     * @private
+     */
+    static _createZlibData(uncompressed, compressionLevel = 0) {
+        // CMF=0x78 (32K window); FLG carries the level hint and makes CMF*256+FLG a multiple of 31
+        const flg = compressionLevel <= 1 ? 0x01 : compressionLevel <= 5 ? 0x5E : compressionLevel === 6 ? 0x9C : 0xDA;
+        const deflated = Deflate.compress(uncompressed, compressionLevel);
+        const trailer = PngEncoder._u32be(PngEncoder._calculateAdler32(uncompressed));
+        
+        const result = new Uint8Array(2 + deflated.length + trailer.length);
+        result[0] = 0x78;
+        result[1] = flg;
+        result.set(deflated, 2);
+        result.set(trailer, 2 + deflated.length);
         
         return result;
     }
@@ -332,14 +361,17 @@ class PngEncoder {
     /**
      * Get PNG file information without encoding (for debugging/info)
      * @param {Surface} surface - Surface to analyze
+     * @param {PngEncodingOptions} [options=PngEncodingOptions.DEFAULT] - Encoding options
      * @returns {Object} PNG file information
      */
-    static getPNGInfo(surface) {
+    static getPNGInfo(surface, options = PngEncodingOptions.DEFAULT) {
         if (!surface || !surface.width || !surface.height) {
             throw new Error('Invalid surface');
         }
         
         const scanlineBytes = (surface.width * 4 + 1) * surface.height; // +1 for filter bytes
+        const compressed = options.compressionLevel > 0;
+        // Compressed size depends on content; the stored size is an upper bound
         const approximateFileSize = scanlineBytes + 200; // PNG headers + zlib overhead
         
         return {
@@ -347,8 +379,8 @@ class PngEncoder {
             height: surface.height,
             colorType: 'RGBA (6)',
             bitDepth: 8,
-            compression: 'DEFLATE (stored blocks)',
-            filter: 'None (0)',
+            compression: compressed ? `DEFLATE (level ${options.compressionLevel})` : 'DEFLATE (stored blocks)',
+            filter: compressed ? 'Adaptive per row' : 'None (0)',
             interlace: 'None (0)',
             approximateFileSize: approximateFileSize,
             scanlineBytes: scanlineBytes
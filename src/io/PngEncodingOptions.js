@@ -16,13 +16,13 @@ class PngEncodingOptions {
      * Create PngEncodingOptions instance
      * @param {Object} config - Configuration object
      * @param {boolean} config.preserveTransparency - Whether to preserve transparency (default: true)
-     * @param {number} config.compressionLevel - Future placeholder for compression (0 = none, currently unused)
+     * @param {number} config.compressionLevel - DEFLATE effort: 0 = stored blocks, 1 = fastest, 6 = default, 9 = smallest
      */
     constructor(config = {}) {
         // Set defaults
         const {
             preserveTransparency = true,
-            compressionLevel = 0  // 0 = no compression (stored blocks)
+            compressionLevel = 6  // zlib's default balance of speed and size
         } = config;
         
         // Validate parameters
@@ -30,13 +30,8 @@ class PngEncodingOptions {
             throw new Error('preserveTransparency must be a boolean');
         }
         
-        if (typeof compressionLevel !== 'number' || compressionLevel < 0 || compressionLevel > 9) {
-            throw new Error('compressionLevel must be a number between 0-9');
-        }
-        
-        // Currently only support compression level 0 (stored blocks)
-        if (compressionLevel !== 0) {
-            throw new Error('Only compression level 0 (no compression) is currently supported');
+        if (!Number.isInteger(compressionLevel) || compressionLevel < 0 || compressionLevel > 9) {
+            throw new Error('compressionLevel must be an integer between 0-9');
         }
         
         // Store immutable configuration
@@ -59,14 +54,14 @@ class PngEncodingOptions {
     
     /**
      * Get compression level
-     * @returns {number} Compression level (0-9, currently only 0 supported)
+     * @returns {number} Compression level (0-9)
      */
     get compressionLevel() {
         return this._config.compressionLevel;
     }
     
     /**
-     * Create default options (transparency preserved, no compression)
+     * Create default options (transparency preserved, compression level 6)
      * @returns {PngEncodingOptions} Default options instance
      */
     static withDefaults() {
@@ -91,8 +86,8 @@ class PngEncodingOptions {
     }
     
     /**
-     * Create options with specific compression level (future extensibility)
-     * @param {number} level - Compression level (0-9, currently only 0 supported)
+     * Create options with specific compression level
+     * @param {number} level - Compression level (0-9)
      * @returns {PngEncodingOptions} Options with specified compression level
      */
     static withCompressionLevel(level) {
@@ -150,7 +145,7 @@ class PngEncodingOptions {
     
     /**
      * Create a new options instance with modified compression level
-     * @param {number} compressionLevel - Compression level (0-9, currently only 0 supported)
+     * @param {number} compressionLevel - Compression level (0-9)
      * @returns {PngEncodingOptions} New options instance
      */
     withCompression(compressionLevel) {
@@ -161,5 +156,5 @@ class PngEncodingOptions {
     }
 }
 
-// Default options instance - preserve transparency, no compression (maintains simplicity)
+// Default options instance - preserve transparency, compression level 6
 PngEncodingOptions.DEFAULT = new PngEncodingOptions();
\ No newline at end of file
@@ -2,7 +2,7 @@
  * ColorParser for SWCanvas
  *
  * Parses CSS color strings into RGBA values for use with Core API.
- * Supports hex, RGB/RGBA functions, and named colors.
+ * Supports hex, RGB/RGBA functions, named colors and the transparent keyword.
  * Includes caching for performance optimization.
  *
  * All colors are interpreted as sRGB (no gamma correction applied,
@@ -190,6 +190,8 @@ class ColorParser {
                 result = this._parseHex(trimmed);
             } else if (trimmed.startsWith('rgb')) {
                 result = this._parseRGB(trimmed);
+            } else if (trimmed === 'transparent') {
+                result = { r: 0, g: 0, b: 0, a: 0 };
             } else if (this._namedColors[trimmed]) {
                 const named = this._namedColors[trimmed];
                 result = { r: named.r, g: named.g, b: named.b, a: 255 };
@@ -205,15 +207,15 @@ class ColorParser {
     }
     
     /**
-     * Parse hex color (#RGB, #RRGGBB, #RRGGBBAA)
+     * Parse hex color (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
      * @private
      */
     _parseHex(hex) {
         // Remove the #
         hex = hex.substring(1);
         
-        if (hex.length === 3) {
-            // #RGB -> #RRGGBB
+        if (hex.length === 3 || hex.length === 4) {
+            // #RGB -> #RRGGBB, #RGBA -> #RRGGBBAA
             hex = hex.split('').map(c => c + c).join('');
         }
         
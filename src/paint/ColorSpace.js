@@ -0,0 +1,128 @@
+/**
+ * ColorSpace class for SWCanvas
+ *
+ * Converts sRGB colors to and from the interpolation spaces of CSS Color 4:
+ * - 'srgb': Gamma-encoded sRGB components (0-1), the HTML5 Canvas default
+ * - 'srgb-linear': Linear-light sRGB components (0-1)
+ * - 'oklab': Perceptual lightness L (0-1) and opponent axes a, b
+ * - 'oklch': Polar OKLab: lightness L, chroma C and hue H in degrees
+ *
+ * OKLab uses Björn Ottosson's published matrices. Conversions back to sRGB
+ * clamp out-of-gamut components instead of gamut mapping.
+ */
+class ColorSpace {
+    static SPACES = ['srgb', 'srgb-linear', 'oklab', 'oklch'];
+
+    /** Chroma below which an OKLCH hue is treated as missing (achromatic color) */
+    static ACHROMATIC_CHROMA = 1e-4;
+
+    /**
+     * Convert an sRGB color to a color space
+     * @param {string} space - Target space (one of ColorSpace.SPACES)
+     * @param {number} r - Red (0-1)
+     * @param {number} g - Green (0-1)
+     * @param {number} b - Blue (0-1)
+     * @returns {number[]} Three components; an achromatic OKLCH color has hue NaN
+     */
+    static fromSRGB(space, r, g, b) {
+        switch (space) {
+            case 'srgb':
+                return [r, g, b];
+            case 'srgb-linear':
+                return [ColorSpace.toLinear(r), ColorSpace.toLinear(g), ColorSpace.toLinear(b)];
+            case 'oklab':
+                return ColorSpace._linearToOklab(ColorSpace.toLinear(r), ColorSpace.toLinear(g), ColorSpace.toLinear(b));
+            case 'oklch': {
+                const [L, a, bAxis] = ColorSpace._linearToOklab(ColorSpace.toLinear(r), ColorSpace.toLinear(g), ColorSpace.toLinear(b));
+                const C = Math.hypot(a, bAxis);
+                if (C < ColorSpace.ACHROMATIC_CHROMA) return [L, C, NaN];
+                const H = Math.atan2(bAxis, a) / DEG_TO_RAD;
+                return [L, C, H < 0 ? H + 360 : H];
+            }
+            default:
+                throw new Error(`Invalid color space: ${space}`);
+        }
+    }
+
+    /**
+     * Convert color space components back to sRGB
+     * @param {string} space - Source space (one of ColorSpace.SPACES)
+     * @param {number[]} components - Three components in that space
+     * @returns {number[]} [r, g, b] clamped to 0-1
+     */
+    static toSRGB(space, components) {
+        let linear;
+        switch (space) {
+            case 'srgb':
+                return components.map(ColorSpace._clamp);
+            case 'srgb-linear':
+                linear = components;
+                break;
+            case 'oklab':
+                linear = ColorSpace._oklabToLinear(components[0], components[1], components[2]);
+                break;
+            case 'oklch': {
+                const [L, C, H] = components;
+                const angle = (isNaN(H) ? 0 : H) * DEG_TO_RAD;
+                linear = ColorSpace._oklabToLinear(L, C * Math.cos(angle), C * Math.sin(angle));
+                break;
+            }
+            default:
+                throw new Error(`Invalid color space: ${space}`);
+        }
+        return linear.map(c => ColorSpace.fromLinear(ColorSpace._clamp(c)));
+    }
+
+    /**
+     * sRGB transfer function: gamma-encoded to linear light
+     * @param {number} c - Encoded component (0-1)
+     * @returns {number} Linear component
+     */
+    static toLinear(c) {
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Inverse sRGB transfer function: linear light to gamma-encoded
+     * @param {number} c - Linear component (0-1)
+     * @returns {number} Encoded component
+     */
+    static fromLinear(c) {
+        return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    }
+
+    /**
+     * @private
+     */
+    static _linearToOklab(r, g, b) {
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    /**
+     * @private
+     */
+    static _oklabToLinear(L, a, b) {
+        const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+        const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+        const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+    }
+
+    /**
+     * @private
+     */
+    static _clamp(c) {
+        return c < 0 ? 0 : (c > 1 ? 1 : c);
+    }
+}
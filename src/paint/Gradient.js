@@ -6,6 +6,11 @@
  * 
  * Gradients are paint sources that can replace solid colors in fillStyle/strokeStyle.
  * They work in canvas coordinate space and are affected by current transform.
+ *
+ * Colors come from a lookup table of LUT_SIZE samples over the 0-1 range,
+ * interpolated between entries, built on first use and rebuilt after the stops
+ * or interpolation settings change. Renderers evaluate whole horizontal spans
+ * with fillSpan(), which maps the span start to gradient space once per span.
  */
 
 /**
@@ -13,6 +18,12 @@
  * Abstract base class for all gradient types
  */
 class Gradient {
+    static SPREAD_METHODS = ['pad', 'repeat', 'reflect'];
+    static HUE_INTERPOLATION_METHODS = ['shorter', 'longer', 'increasing', 'decreasing'];
+
+    /** Lookup table entries over the 0-1 range */
+    static LUT_SIZE = 1024;
+
     /**
      * Create a Gradient
      * @private - Use specific gradient factory methods instead
@@ -20,6 +31,71 @@ class Gradient {
     constructor() {
         this._colorStops = [];
         this._sorted = false;
+        this._spreadMethod = 'pad';
+        this._interpolationColorSpace = 'srgb';
+        this._hueInterpolationMethod = 'shorter';
+        this._stopComponents = null;
+        this._lookupTable = null;
+        this._stopCells = null;
+        this._sample = new Float64Array(4);
+        this._lastColor = null;
+        this._pixelColors = [];
+    }
+
+    /**
+     * How the gradient continues beyond its 0-1 range (SVG spreadMethod)
+     * - 'pad': Extend the first and last stop colors (default, HTML5 Canvas behavior)
+     * - 'repeat': Start over at 0 after each period
+     * - 'reflect': Alternate forward and backward periods
+     * @returns {string} Spread method
+     */
+    get spreadMethod() {
+        return this._spreadMethod;
+    }
+
+    set spreadMethod(value) {
+        if (!Gradient.SPREAD_METHODS.includes(value)) {
+            throw new Error(`Invalid gradient spread method: ${value}`);
+        }
+        this._spreadMethod = value;
+    }
+
+    /**
+     * Color space the stops are interpolated in (CSS Color 4 names)
+     * - 'srgb': Gamma-encoded sRGB (default, HTML5 Canvas behavior)
+     * - 'srgb-linear': Linear-light sRGB, physically even blends
+     * - 'oklab', 'oklch': Perceptually uniform; OKLCH also interpolates hue
+     * Interpolation is always premultiplied by alpha, except for OKLCH hue.
+     * @returns {string} Interpolation color space
+     */
+    get interpolationColorSpace() {
+        return this._interpolationColorSpace;
+    }
+
+    set interpolationColorSpace(value) {
+        if (!ColorSpace.SPACES.includes(value)) {
+            throw new Error(`Invalid gradient interpolation color space: ${value}`);
+        }
+        this._interpolationColorSpace = value;
+        this._stopComponents = null;
+        this._lookupTable = null;
+    }
+
+    /**
+     * Which way OKLCH hues travel around the color wheel (CSS hue-interpolation-method):
+     * 'shorter' (default), 'longer', 'increasing' or 'decreasing'
+     * @returns {string} Hue interpolation method
+     */
+    get hueInterpolationMethod() {
+        return this._hueInterpolationMethod;
+    }
+
+    set hueInterpolationMethod(value) {
+        if (!Gradient.HUE_INTERPOLATION_METHODS.includes(value)) {
+            throw new Error(`Invalid gradient hue interpolation method: ${value}`);
+        }
+        this._hueInterpolationMethod = value;
+        this._lookupTable = null;
     }
 
     /**
@@ -49,6 +125,8 @@ class Gradient {
         });
 
         this._sorted = false; // Mark as needing re-sort
+        this._stopComponents = null;
+        this._lookupTable = null;
     }
 
     /**
@@ -65,29 +143,118 @@ class Gradient {
     }
 
     /**
-     * Get color at parameter t using color stops
+     * Map a gradient parameter into the 0-1 range according to the spread method
+     * @param {number} t - Parameter value (any finite number)
+     * @returns {number} Parameter for the color stops (unchanged for 'pad')
+     * @private
+     */
+    _applySpread(t) {
+        if (this._spreadMethod === 'repeat') {
+            return t - Math.floor(t);
+        }
+        if (this._spreadMethod === 'reflect') {
+            const period = t - 2 * Math.floor(t / 2);
+            return period > 1 ? 2 - period : period;
+        }
+        return t;
+    }
+
+    /**
+     * Get color at parameter t from the lookup table
      * @param {number} t - Parameter value (0-1, but can be outside range)
-     * @returns {Color} Color at parameter t
+     * @returns {Color} Color at parameter t (may be shared with the previous lookup)
      * @private
      */
     _getColorAt(t) {
-        const stops = this._getSortedColorStops();
+        const sample = this._sample;
+        this._readLookupTable(this._applySpread(t), sample);
+        return this._toColor(sample[0], sample[1], sample[2], sample[3]);
+    }
 
-        if (stops.length === 0) {
-            return Color.transparent; // Transparent black
+    /**
+     * Read the lookup table at parameter t, interpolating between entries
+     * (exact inside a stop segment); cells that contain a stop are evaluated
+     * from the stops so their corners and hard edges stay sharp
+     * @param {number} t - Parameter value (pad clamps it into 0-1)
+     * @param {Float64Array} out - Receives the sample as in _sampleStops()
+     * @private
+     */
+    _readLookupTable(t, out) {
+        const table = this._lookupTable || this._buildLookupTable();
+        const position = Math.min(Math.max(t, 0), 1) * (Gradient.LUT_SIZE - 1);
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const from = index * 4;
+
+        if (fraction === 0) {
+            for (let i = 0; i < 4; i++) out[i] = table[from + i];
+            return;
+        }
+        if (this._stopCells[index]) {
+            this._sampleStops(t, out, 0);
+            return;
+        }
+
+        // Premultiplied, like the interpolation between stops
+        const weightFrom = table[from + 3] * (1 - fraction);
+        const weightTo = table[from + 7] * fraction;
+        const alpha = weightFrom + weightTo;
+        for (let i = 0; i < 3; i++) {
+            out[i] = alpha === 0 ? 0 : (table[from + i] * weightFrom + table[from + 4 + i] * weightTo) / alpha;
+        }
+        out[3] = alpha;
+    }
+
+    /**
+     * Sample the color stops into the lookup table
+     * @returns {Float64Array} LUT_SIZE samples for t = 0 to 1, laid out as in _sampleStops()
+     * @private
+     */
+    _buildLookupTable() {
+        const size = Gradient.LUT_SIZE;
+        const table = new Float64Array(size * 4);
+        for (let i = 0; i < size; i++) {
+            this._sampleStops(i / (size - 1), table, i * 4);
+        }
+
+        // Mark the cells a stop falls in (both neighbors when it lands on an entry)
+        const stopCells = new Uint8Array(size - 1);
+        for (const stop of this._getSortedColorStops()) {
+            const position = stop.offset * (size - 1);
+            const cell = Math.floor(position);
+            if (cell < size - 1) stopCells[cell] = 1;
+            if (cell === position && cell > 0) stopCells[cell - 1] = 1;
         }
 
-        if (stops.length === 1) {
-            return stops[0].color;
+        this._stopCells = stopCells;
+        this._lookupTable = table;
+        return table;
+    }
+
+    /**
+     * Evaluate the color stops at parameter t
+     * @param {number} t - Parameter value (0-1)
+     * @param {Float64Array} out - Receives sRGB r, g, b (0-255) and alpha (0-1)
+     * @param {number} offset - Index of the first value in out
+     * @private
+     */
+    _sampleStops(t, out, offset) {
+        const stops = this._getSortedColorStops();
+
+        if (stops.length === 0) {
+            out.fill(0, offset, offset + 4); // Transparent black
+            return;
         }
 
         // Clamp t to [0, 1] range for gradient bounds
-        if (t <= stops[0].offset) {
-            return stops[0].color;
+        if (stops.length === 1 || t <= stops[0].offset) {
+            this._sampleColor(stops[0].color, out, offset);
+            return;
         }
 
         if (t >= stops[stops.length - 1].offset) {
-            return stops[stops.length - 1].color;
+            this._sampleColor(stops[stops.length - 1].color, out, offset);
+            return;
         }
 
         // Find adjacent color stops
@@ -99,39 +266,186 @@ class Gradient {
                 // Linear interpolation between color stops
                 const range = stop2.offset - stop1.offset;
                 if (range === 0) {
-                    return stop1.color;
+                    this._sampleColor(stop1.color, out, offset);
+                    return;
                 }
 
                 const localT = (t - stop1.offset) / range;
+                const components = this._getStopComponents();
+                this._interpolate(components[i], components[i + 1], localT, out, offset);
+                return;
+            }
+        }
+
+        // Fallback (shouldn't reach here)
+        this._sampleColor(stops[0].color, out, offset);
+    }
+
+    /**
+     * Write a stop color as a sample
+     * @param {Color} color - Stop color
+     * @param {Float64Array} out - Receives the sample as in _sampleStops()
+     * @param {number} offset - Index of the first value in out
+     * @private
+     */
+    _sampleColor(color, out, offset) {
+        out[offset] = color.r;
+        out[offset + 1] = color.g;
+        out[offset + 2] = color.b;
+        out[offset + 3] = color.a / 255;
+    }
+
+    /**
+     * Turn a sample into a Color, reusing the previous one when neighboring
+     * pixels come out the same
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @param {number} alpha - Alpha (0-1)
+     * @returns {Color} Color for the sample
+     * @private
+     */
+    _toColor(r, g, b, alpha) {
+        // Colors are premultiplied against the rounded alpha they are stored with
+        const alpha255 = Math.round(alpha * 255);
+        if (alpha255 === 0) {
+            return Color.transparent;
+        }
+
+        const scale = alpha255 / 255;
+        const pr = Math.round(r * scale);
+        const pg = Math.round(g * scale);
+        const pb = Math.round(b * scale);
+        const last = this._lastColor;
+        if (last && last.premultipliedA === alpha255 && last.premultipliedR === pr &&
+            last.premultipliedG === pg && last.premultipliedB === pb) {
+            return last;
+        }
+        this._lastColor = new Color(pr, pg, pb, alpha255, true);
+        return this._lastColor;
+    }
+
+    /**
+     * Stop colors converted to the interpolation color space, parallel to the sorted stops
+     * (sRGB stays in 0-255 units so opaque gradients round exactly as before)
+     * @returns {Array} {components, alpha} per stop, alpha in 0-1
+     * @private
+     */
+    _getStopComponents() {
+        if (!this._stopComponents) {
+            const space = this._interpolationColorSpace;
+            this._stopComponents = this._getSortedColorStops().map(({ color }) => ({
+                components: space === 'srgb' ? [color.r, color.g, color.b] :
+                    ColorSpace.fromSRGB(space, color.r / 255, color.g / 255, color.b / 255),
+                alpha: color.a / 255
+            }));
+        }
+        return this._stopComponents;
+    }
 
-                // Interpolate RGBA components
-                const r1 = stop1.color.r, g1 = stop1.color.g, b1 = stop1.color.b, a1 = stop1.color.a;
-                const r2 = stop2.color.r, g2 = stop2.color.g, b2 = stop2.color.b, a2 = stop2.color.a;
+    /**
+     * Interpolate two stops with premultiplied alpha, so fading to a
+     * transparent stop keeps the opaque stop's color instead of darkening
+     * @param {Object} from - Start stop components
+     * @param {Object} to - End stop components
+     * @param {number} t - Position between the stops (0-1)
+     * @param {Float64Array} out - Receives the sample as in _sampleStops()
+     * @param {number} offset - Index of the first value in out
+     * @private
+     */
+    _interpolate(from, to, t, out, offset) {
+        const alpha = from.alpha + (to.alpha - from.alpha) * t;
+        out[offset + 3] = alpha;
+        if (alpha === 0) {
+            out.fill(0, offset, offset + 3);
+            return;
+        }
 
-                const r = Math.round(r1 + (r2 - r1) * localT);
-                const g = Math.round(g1 + (g2 - g1) * localT);
-                const b = Math.round(b1 + (b2 - b1) * localT);
-                const a = Math.round(a1 + (a2 - a1) * localT);
+        // Equal alphas cancel out of the premultiplied weights
+        const weightFrom = from.alpha * (1 - t);
+        const weightTo = to.alpha * t;
+        for (let i = 0; i < 3; i++) {
+            const c1 = from.components[i];
+            const c2 = to.components[i];
+            out[offset + i] = from.alpha === to.alpha ? c1 + (c2 - c1) * t : (c1 * weightFrom + c2 * weightTo) / alpha;
+        }
 
-                return new Color(r, g, b, a);
+        const space = this._interpolationColorSpace;
+        if (space === 'srgb') {
+            for (let i = 0; i < 3; i++) {
+                out[offset + i] = Math.min(255, Math.max(0, out[offset + i]));
             }
+            return;
         }
 
-        // Fallback (shouldn't reach here)
-        return stops[0].color;
+        const components = [out[offset], out[offset + 1], out[offset + 2]];
+        if (space === 'oklch') {
+            components[2] = this._interpolateHue(from.components[2], to.components[2], t);
+        }
+        const rgb = ColorSpace.toSRGB(space, components);
+        for (let i = 0; i < 3; i++) {
+            out[offset + i] = rgb[i] * 255;
+        }
     }
 
     /**
-     * Calculate color for a pixel position (must be implemented by subclasses)
-     * Subclasses should use the transform to map pixel coordinates to gradient space.
+     * Interpolate OKLCH hues along the configured path
+     * @param {number} h1 - Start hue in degrees (NaN if achromatic)
+     * @param {number} h2 - End hue in degrees (NaN if achromatic)
+     * @param {number} t - Position between the stops (0-1)
+     * @returns {number} Hue in degrees
+     * @private
+     */
+    _interpolateHue(h1, h2, t) {
+        // A missing hue takes the other stop's, so grays don't swing through colors
+        if (isNaN(h1)) h1 = isNaN(h2) ? 0 : h2;
+        if (isNaN(h2)) h2 = h1;
+
+        const delta = h2 - h1;
+        switch (this._hueInterpolationMethod) {
+            case 'shorter':
+                if (delta > 180) h1 += 360;
+                else if (delta < -180) h2 += 360;
+                break;
+            case 'longer':
+                if (delta > 0 && delta < 180) h1 += 360;
+                else if (delta > -180 && delta <= 0) h2 += 360;
+                break;
+            case 'increasing':
+                if (delta < 0) h2 += 360;
+                break;
+            case 'decreasing':
+                if (delta > 0) h1 += 360;
+                break;
+        }
+        const hue = h1 + (h2 - h1) * t;
+        return hue - 360 * Math.floor(hue / 360);
+    }
+
+    /**
+     * Calculate color for a pixel position
      * @param {number} x - Pixel x coordinate in canvas space (integer)
      * @param {number} y - Pixel y coordinate in canvas space (integer)
      * @param {Transform2D} transform - Current canvas transform (used to invert pixel to gradient coords)
      * @returns {Color} Color for this pixel (non-null Color instance)
-     * @abstract
      */
     getColorForPixel(x, y, transform) {
-        throw new Error('getColorForPixel must be implemented by subclass');
+        return this.fillSpan(x, y, 1, transform, this._pixelColors)[0];
+    }
+
+    /**
+     * Calculate colors for a horizontal run of pixels (must be implemented by subclasses)
+     * Subclasses should use the transform to map pixel coordinates to gradient space.
+     * @param {number} x - First pixel x coordinate in canvas space (integer)
+     * @param {number} y - Pixel y coordinate in canvas space (integer)
+     * @param {number} count - Number of pixels
+     * @param {Transform2D} transform - Current canvas transform
+     * @param {Color[]} colors - Output array, receives count shared Color instances
+     * @returns {Color[]} The colors array
+     * @abstract
+     */
+    fillSpan(x, y, count, transform, colors) {
+        throw new Error('fillSpan must be implemented by subclass');
     }
 }
 
@@ -161,13 +475,15 @@ class LinearGradient extends Gradient {
     }
 
     /**
-     * Calculate color for a pixel position
-     * @param {number} x - Pixel x coordinate in canvas space
+     * Calculate colors for a horizontal run of pixels
+     * @param {number} x - First pixel x coordinate in canvas space
      * @param {number} y - Pixel y coordinate in canvas space
+     * @param {number} count - Number of pixels
      * @param {Transform2D} transform - Current canvas transform (applied to gradient)
-     * @returns {Color} Color for this pixel
+     * @param {Color[]} colors - Output array
+     * @returns {Color[]} The colors array
      */
-    getColorForPixel(x, y, transform) {
+    fillSpan(x, y, count, transform, colors) {
         // Transform gradient coordinates by current transform
         // Gradients work in transformed coordinate space
         const p0 = transform.transformPoint(new Point(this._x0, this._y0));
@@ -179,16 +495,19 @@ class LinearGradient extends Gradient {
 
         if (lengthSquared === 0) {
             // Degenerate gradient (same start/end points)
-            return this._getColorAt(0);
+            const color = this._getColorAt(0);
+            for (let i = 0; i < count; i++) colors[i] = color;
+            return colors;
         }
 
-        // Calculate parameter t along gradient line
-        // Project pixel onto gradient line
-        const px = x - p0.x;
-        const py = y - p0.y;
-        const t = (px * dx + py * dy) / lengthSquared;
-
-        return this._getColorAt(t);
+        // Project the first pixel onto the gradient line; t then changes
+        // by the same amount for every pixel along the row
+        const t0 = ((x - p0.x) * dx + (y - p0.y) * dy) / lengthSquared;
+        const dt = dx / lengthSquared;
+        for (let i = 0; i < count; i++) {
+            colors[i] = this._getColorAt(t0 + i * dt);
+        }
+        return colors;
     }
 }
 
@@ -227,41 +546,77 @@ class RadialGradient extends Gradient {
     }
 
     /**
-     * Calculate color for a pixel position
-     * @param {number} x - Pixel x coordinate in canvas space
+     * Calculate colors for a horizontal run of pixels
+     * @param {number} x - First pixel x coordinate in canvas space
      * @param {number} y - Pixel y coordinate in canvas space
+     * @param {number} count - Number of pixels
      * @param {Transform2D} transform - Current canvas transform
-     * @returns {Color} Color for this pixel
+     * @param {Color[]} colors - Output array
+     * @returns {Color[]} The colors array
      */
-    getColorForPixel(x, y, transform) {
-        // Transform gradient coordinates by current transform
-        const p0 = transform.transformPoint(new Point(this._x0, this._y0));
-        const p1 = transform.transformPoint(new Point(this._x1, this._y1));
-
-        // For simplicity, we'll use distance-based calculation
-        // More accurate would be solving the cone intersection equation
-        const d0 = Math.sqrt((x - p0.x) ** 2 + (y - p0.y) ** 2);
-        const d1 = Math.sqrt((x - p1.x) ** 2 + (y - p1.y) ** 2);
+    fillSpan(x, y, count, transform, colors) {
+        // Work in gradient space so the circles follow any transform
+        let inverse;
+        try {
+            inverse = transform.invert();
+        } catch (error) {
+            for (let i = 0; i < count; i++) colors[i] = Color.transparent;
+            return colors;
+        }
 
-        // Simple linear interpolation based on distance ratio
-        const maxDistance = Math.sqrt((p1.x - p0.x) ** 2 + (p1.y - p0.y) ** 2) + this._r1;
+        // Each pixel to the right moves by the inverse transform's x axis
+        const start = inverse.transformPoint(new Point(x, y));
+        for (let i = 0; i < count; i++) {
+            const t = this._parameterAt(start.x + i * inverse.a, start.y + i * inverse.b);
+            colors[i] = t === null ? Color.transparent : this._getColorAt(t);
+        }
+        return colors;
+    }
 
-        let t;
-        if (d0 <= this._r0) {
-            t = 0; // Inside inner circle
-        } else if (d1 >= this._r1) {
-            t = 1; // Outside outer circle
-        } else {
-            // Simple distance-based calculation
-            t = (d0 - this._r0) / (maxDistance - this._r0);
+    /**
+     * Solve for the gradient parameter of a point (HTML5 Canvas two-circle cone):
+     * the largest t whose circle, interpolated between the start and end
+     * circles, passes through the point with a non-negative radius.
+     * @param {number} px - Point x in gradient space
+     * @param {number} py - Point y in gradient space
+     * @returns {number|null} Parameter t (unbounded), or null where the cone doesn't reach
+     * @private
+     */
+    _parameterAt(px, py) {
+        const cdx = this._x1 - this._x0;
+        const cdy = this._y1 - this._y0;
+        const dr = this._r1 - this._r0;
+        const pdx = px - this._x0;
+        const pdy = py - this._y0;
+
+        // |p - c(t)| = r(t)  =>  a*t^2 - 2*b*t + c = 0
+        const a = cdx * cdx + cdy * cdy - dr * dr;
+        const b = pdx * cdx + pdy * cdy + this._r0 * dr;
+        const c = pdx * pdx + pdy * pdy - this._r0 * this._r0;
+        const validRadius = (t) => this._r0 + t * dr >= 0;
+
+        if (Math.abs(a) < FLOAT_EPSILON) {
+            if (b === 0) return null;
+            const t = c / (2 * b);
+            return validRadius(t) ? t : null;
         }
 
-        return this._getColorAt(Math.max(0, Math.min(1, t)));
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+        const root = Math.sqrt(discriminant);
+        const t1 = (b + root) / a;
+        const t2 = (b - root) / a;
+        const larger = Math.max(t1, t2);
+        const smaller = Math.min(t1, t2);
+        if (validRadius(larger)) return larger;
+        return validRadius(smaller) ? smaller : null;
     }
 }
 
 /**
  * Conic Gradient implementation
+ * One turn always spans exactly the 0-1 range, so every spread method
+ * renders the same; spreadMethod is accepted for a uniform Gradient interface.
  */
 class ConicGradient extends Gradient {
     /**
@@ -279,30 +634,34 @@ class ConicGradient extends Gradient {
     }
 
     /**
-     * Calculate color for a pixel position
-     * @param {number} x - Pixel x coordinate in canvas space
+     * Calculate colors for a horizontal run of pixels
+     * @param {number} x - First pixel x coordinate in canvas space
      * @param {number} y - Pixel y coordinate in canvas space
+     * @param {number} count - Number of pixels
      * @param {Transform2D} transform - Current canvas transform
-     * @returns {Color} Color for this pixel
+     * @param {Color[]} colors - Output array
+     * @returns {Color[]} The colors array
      */
-    getColorForPixel(x, y, transform) {
+    fillSpan(x, y, count, transform, colors) {
         // Transform gradient center by current transform
         const center = transform.transformPoint(new Point(this._x, this._y));
+        const dy = y - center.y;
 
-        // Calculate angle from center to pixel
-        let pixelAngle = Math.atan2(y - center.y, x - center.x) - this._angle;
-
-        // Normalize angle to [0, 2π)
-        while (pixelAngle < 0) {
-            pixelAngle += TAU;
-        }
-        while (pixelAngle >= TAU) {
-            pixelAngle -= TAU;
-        }
+        for (let i = 0; i < count; i++) {
+            // Calculate angle from center to pixel
+            let pixelAngle = Math.atan2(dy, x + i - center.x) - this._angle;
 
-        // Convert angle to parameter t [0, 1]
-        const t = pixelAngle / (TAU);
+            // Normalize angle to [0, 2π)
+            while (pixelAngle < 0) {
+                pixelAngle += TAU;
+            }
+            while (pixelAngle >= TAU) {
+                pixelAngle -= TAU;
+            }
 
-        return this._getColorAt(t);
+            // Convert angle to parameter t [0, 1]
+            colors[i] = this._getColorAt(pixelAngle / TAU);
+        }
+        return colors;
     }
 }
\ No newline at end of file
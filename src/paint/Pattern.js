@@ -8,14 +8,19 @@
  * They work in canvas coordinate space and support repetition modes.
  */
 class Pattern {
+    // Reused output array for single pixel evaluation (instances are frozen)
+    static _pixelColors = [];
+
     /**
      * Create a Pattern
      * @param {Object} image - ImageLike object (canvas, surface, imagedata)
      * @param {string} repetition - Repetition mode: 'repeat', 'repeat-x', 'repeat-y', 'no-repeat'
      */
     constructor(image, repetition = 'repeat') {
-        // Validate and convert image to standard format
+        // Validate and convert image to standard format. Surfaces and canvases are sampled
+        // in place, so later drawing on them shows up in the pattern (see forTarget()).
         this._imageData = ImageProcessor.validateAndConvert(image);
+        this._sourceSurface = ImageProcessor.sourceSurface(image);
 
         // Validate repetition mode
         const validRepetitions = ['repeat', 'repeat-x', 'repeat-y', 'no-repeat'];
@@ -28,6 +33,11 @@ class Pattern {
         // Pattern-specific transform (initially identity)
         this._patternTransform = Transform2D.IDENTITY;
 
+        // Filtered sampler when drawn with image smoothing (null = nearest neighbor).
+        // Samplers are shared by all copies of this pattern so mip levels are built once.
+        this._sampler = null;
+        this._samplers = {};
+
         Object.freeze(this);
     }
 
@@ -38,12 +48,7 @@ class Pattern {
     setTransform(matrix) {
         if (matrix instanceof Transform2D) {
             // Create new Pattern with updated transform (immutable)
-            const newPattern = Object.create(Object.getPrototypeOf(this));
-            newPattern._imageData = this._imageData;
-            newPattern._repetition = this._repetition;
-            newPattern._patternTransform = matrix;
-            Object.freeze(newPattern);
-            return newPattern;
+            return this._copyWith({ _patternTransform: matrix });
         } else if (matrix && typeof matrix.a === 'number') {
             // DOMMatrix-like object
             const transform = new Transform2D([matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f]);
@@ -53,6 +58,63 @@ class Pattern {
         }
     }
 
+    /**
+     * Get a copy of this pattern that samples with the given image smoothing settings
+     * @param {boolean} enabled - Whether to filter (false = nearest neighbor)
+     * @param {string} [quality='low'] - 'low', 'medium' or 'high' (see ImageSampler)
+     * @returns {Pattern} Pattern with the requested sampling (this pattern if unchanged)
+     */
+    withImageSmoothing(enabled, quality = 'low') {
+        let sampler = null;
+        if (enabled) {
+            // A live source may have changed since the mip levels were built
+            sampler = this._sourceSurface
+                ? new ImageSampler(this._imageData, quality)
+                : (this._samplers[quality] || (this._samplers[quality] = new ImageSampler(this._imageData, quality)));
+        }
+        if (sampler === this._sampler) return this;
+
+        return this._copyWith({ _sampler: sampler });
+    }
+
+    /**
+     * Get a copy of this pattern that can be drawn onto a surface. A pattern drawn
+     * onto its own source surface reads a snapshot taken now, so pixels written
+     * during the draw never feed back into the pattern.
+     * @param {Surface} surface - Surface about to be drawn onto
+     * @returns {Pattern} Snapshot pattern, or this pattern when the surface isn't its source
+     */
+    forTarget(surface) {
+        if (this._sourceSurface !== surface || !surface) return this;
+
+        const imageData = this._imageData;
+        return this._copyWith({
+            _imageData: { width: imageData.width, height: imageData.height, data: new Uint8ClampedArray(imageData.data) },
+            _sourceSurface: null,
+            _sampler: null,
+            _samplers: {}
+        });
+    }
+
+    /**
+     * Create a frozen copy of this pattern with some fields replaced
+     * @param {Object} changes - Field values for the copy
+     * @returns {Pattern} New pattern instance
+     * @private
+     */
+    _copyWith(changes) {
+        const newPattern = Object.create(Object.getPrototypeOf(this));
+        newPattern._imageData = this._imageData;
+        newPattern._sourceSurface = this._sourceSurface;
+        newPattern._repetition = this._repetition;
+        newPattern._patternTransform = this._patternTransform;
+        newPattern._sampler = this._sampler;
+        newPattern._samplers = this._samplers;
+        Object.assign(newPattern, changes);
+        Object.freeze(newPattern);
+        return newPattern;
+    }
+
     /**
      * Calculate color for a pixel position
      * @param {number} x - Pixel x coordinate in canvas space
@@ -61,19 +123,54 @@ class Pattern {
      * @returns {Color} Color for this pixel
      */
     getColorForPixel(x, y, canvasTransform) {
+        return this.fillSpan(x, y, 1, canvasTransform, Pattern._pixelColors)[0];
+    }
+
+    /**
+     * Calculate colors for a horizontal run of pixels
+     * The transforms are inverted once; each step along the row then moves the
+     * pattern space sample point by the same amount.
+     * @param {number} x - First pixel x coordinate in canvas space
+     * @param {number} y - Pixel y coordinate in canvas space
+     * @param {number} count - Number of pixels
+     * @param {Transform2D} canvasTransform - Current canvas transform
+     * @param {Color[]} colors - Output array
+     * @returns {Color[]} The colors array
+     */
+    fillSpan(x, y, count, canvasTransform, colors) {
         // Apply inverse pattern transform, then inverse canvas transform
         // to map pixel coordinates to pattern image space
+        let combinedTransform, inverseTransform;
         try {
-            const combinedTransform = canvasTransform.multiply(this._patternTransform);
-            const inverseTransform = combinedTransform.invert();
-            const patternPoint = inverseTransform.transformPoint(new Point(x, y));
-
-            // Sample pattern image at calculated coordinates
-            return this._samplePattern(patternPoint.x, patternPoint.y);
+            combinedTransform = canvasTransform.multiply(this._patternTransform);
+            inverseTransform = combinedTransform.invert();
         } catch (error) {
             // If transform is not invertible, return transparent
-            return Color.transparent;
+            for (let i = 0; i < count; i++) colors[i] = Color.transparent;
+            return colors;
+        }
+        const stepX = inverseTransform.a;
+        const stepY = inverseTransform.b;
+
+        if (this._sampler) {
+            // Filtered sampling works on pixel centers
+            const center = inverseTransform.transformPoint(new Point(x + 0.5, y + 0.5));
+            const scale = Math.min(
+                Math.hypot(combinedTransform.a, combinedTransform.b),
+                Math.hypot(combinedTransform.c, combinedTransform.d)
+            );
+            for (let i = 0; i < count; i++) {
+                colors[i] = this._sampleFiltered(center.x + i * stepX, center.y + i * stepY, scale);
+            }
+            return colors;
         }
+
+        // Sample pattern image at calculated coordinates
+        const start = inverseTransform.transformPoint(new Point(x, y));
+        for (let i = 0; i < count; i++) {
+            colors[i] = this._samplePattern(start.x + i * stepX, start.y + i * stepY);
+        }
+        return colors;
     }
 
     /**
@@ -142,6 +239,31 @@ class Pattern {
         return new Color(r, g, b, a);
     }
 
+    /**
+     * Sample pattern image with the smoothing filter; non-repeating axes are transparent outside the image
+     * @param {number} x - X coordinate in pattern space
+     * @param {number} y - Y coordinate in pattern space
+     * @param {number} scale - Device pixels per pattern pixel
+     * @returns {Color} Sampled color
+     * @private
+     */
+    _sampleFiltered(x, y, scale) {
+        const width = this._imageData.width;
+        const height = this._imageData.height;
+        const repeatX = this._repetition === 'repeat' || this._repetition === 'repeat-x';
+        const repeatY = this._repetition === 'repeat' || this._repetition === 'repeat-y';
+
+        if ((!repeatX && (x < 0 || x >= width)) || (!repeatY && (y < 0 || y >= height))) {
+            return Color.transparent;
+        }
+
+        const rgba = this._sampler.sample(x, y, scale, {
+            minX: 0, minY: 0, maxX: width - 1, maxY: height - 1,
+            wrapX: repeatX, wrapY: repeatY
+        }, [0, 0, 0, 0]);
+        return new Color(rgba[0], rgba[1], rgba[2], rgba[3]);
+    }
+
     /**
      * Apply repeat logic to a coordinate
      * @param {number} coord - Input coordinate
@@ -0,0 +1,399 @@
+/**
+ * AnnulusOps - Static methods for direct ring (annulus) and annular sector rendering
+ * Follows ArcOps/CircleOps pattern with static methods.
+ *
+ * Direct rendering is available exclusively via dedicated Context2D methods:
+ * fillRing(), strokeRing(), fillAnnularSector(), strokeAnnularSector()
+ *
+ * Donut charts built from arc() plus a reversed arc() go through PathFlattener
+ * and PolygonFiller. Here each scanline is solved analytically instead: the
+ * shape is a set of radius bands (one for a fill, the merged stroke bands of
+ * both circles for a ring stroke) intersected with the wedge between the start
+ * and end angles. Rows are sampled at pixel centers and spans run
+ * ceil(left)..floor(right), like PolygonFiller, and every pixel is filled once.
+ *
+ * Annular sector strokes have corners, so Context2D strokes their outline
+ * (sectorOutline) through PolylineOps for the joins.
+ *
+ * CALL HIERARCHY:
+ * ---------------
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint
+ *
+ * Layer 1 (Internal):
+ *   _wedgeSpans → Part of a scanline inside the angle range (up to two intervals)
+ *   _fillBands  → Band intervals ∩ wedge intervals per scanline + SpanOps
+ *   _strokeBands → Radius bands of a ring stroke (merged where they overlap)
+ *   _colorParams → Span parameters for a color
+ *
+ * Layer 2 (Public):
+ *   fill_Any         → _fillBands with one band and a color
+ *   fill_Paint       → _fillBands with one band and a gradient or pattern
+ *   strokeRing_Any   → _fillBands with the merged stroke bands and a color
+ *   strokeRing_Paint → _fillBands with the merged stroke bands and a gradient or pattern
+ *   sweepAngle, sectorOutline (geometry helpers for Context2D)
+ *
+ * NAMING PATTERN: {operation}_{opacity}
+ *   - Any = Opaque and semi-transparent colors
+ *   - Paint = Gradient or Pattern paint
+ */
+class AnnulusOps {
+    // Radius bands [inner, outer, inner, outer] - at most two (ring strokes)
+    static _bands = new Float64Array(4);
+    // Wedge intervals on the current scanline [left, right, left, right]
+    static _wedge = new Float64Array(4);
+    // Flattened sector outline, grown on demand and reused across calls
+    static _outline = new Float64Array(256);
+
+    /**
+     * Signed sweep of an arc from startAngle to endAngle, as arc() draws it:
+     * at most one full turn, positive clockwise, negative anticlockwise
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {boolean} anticlockwise - Direction flag
+     * @returns {number} Sweep in radians, in [-TAU, TAU]
+     */
+    static sweepAngle(startAngle, endAngle, anticlockwise) {
+        let sweep = endAngle - startAngle;
+        if (!anticlockwise) {
+            if (sweep >= TAU) return TAU;
+            sweep %= TAU;
+            if (sweep < 0) sweep += TAU;
+        } else {
+            if (sweep <= -TAU) return -TAU;
+            sweep %= TAU;
+            if (sweep > 0) sweep -= TAU;
+        }
+        return sweep;
+    }
+
+    /**
+     * Fill a ring or annular sector with a color (source-over)
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X (device space)
+     * @param {number} cy - Center Y (device space)
+     * @param {number} innerRadius - Inner radius (0 for a disk or pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians (device space)
+     * @param {number} sweep - Signed sweep in radians (±TAU for a full ring)
+     * @param {Color} color - Fill color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Any(surface, cx, cy, innerRadius, outerRadius, startAngle, sweep, color, globalAlpha, clipBuffer) {
+        const params = AnnulusOps._colorParams(color, globalAlpha, 1, clipBuffer);
+        if (!params) return;
+
+        AnnulusOps._bands[0] = innerRadius;
+        AnnulusOps._bands[1] = outerRadius;
+        AnnulusOps._fillBands(surface, cx, cy, 1, startAngle, sweep, params);
+    }
+
+    /**
+     * Fill a ring or annular sector with a gradient or pattern (source-over)
+     * Same pixels as fill_Any.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X (device space)
+     * @param {number} cy - Center Y (device space)
+     * @param {number} innerRadius - Inner radius (0 for a disk or pie slice)
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians (device space)
+     * @param {number} sweep - Signed sweep in radians (±TAU for a full ring)
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Paint(surface, cx, cy, innerRadius, outerRadius, startAngle, sweep, paint, transform, globalAlpha, clipBuffer) {
+        if (globalAlpha <= 0) return;
+
+        AnnulusOps._bands[0] = innerRadius;
+        AnnulusOps._bands[1] = outerRadius;
+        AnnulusOps._fillBands(surface, cx, cy, 1, startAngle, sweep,
+            { isOpaque: false, paint, transform, globalAlpha, clipBuffer });
+    }
+
+    /**
+     * Stroke both circles of a ring with a color (source-over)
+     * The two stroke bands merge where they overlap, so each pixel blends once.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X (device space)
+     * @param {number} cy - Center Y (device space)
+     * @param {number} innerRadius - Inner circle radius (0: outer circle only)
+     * @param {number} outerRadius - Outer circle radius
+     * @param {number} lineWidth - Stroke width in device pixels
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeRing_Any(surface, cx, cy, innerRadius, outerRadius, lineWidth, color, globalAlpha, clipBuffer) {
+        // Sub-pixel widths draw 1px wide at proportional opacity, as the path stroker does
+        const params = AnnulusOps._colorParams(color, globalAlpha, Math.min(lineWidth, 1), clipBuffer);
+        if (!params) return;
+
+        const bandCount = AnnulusOps._strokeBands(innerRadius, outerRadius, lineWidth);
+        AnnulusOps._fillBands(surface, cx, cy, bandCount, 0, TAU, params);
+    }
+
+    /**
+     * Stroke both circles of a ring with a gradient or pattern (source-over)
+     * Same pixels as strokeRing_Any.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X (device space)
+     * @param {number} cy - Center Y (device space)
+     * @param {number} innerRadius - Inner circle radius (0: outer circle only)
+     * @param {number} outerRadius - Outer circle radius
+     * @param {number} lineWidth - Stroke width in device pixels
+     * @param {Gradient|Pattern} paint - Stroke paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeRing_Paint(surface, cx, cy, innerRadius, outerRadius, lineWidth, paint, transform, globalAlpha, clipBuffer) {
+        const alpha = globalAlpha * Math.min(lineWidth, 1);
+        if (alpha <= 0) return;
+
+        const bandCount = AnnulusOps._strokeBands(innerRadius, outerRadius, lineWidth);
+        AnnulusOps._fillBands(surface, cx, cy, bandCount, 0, TAU,
+            { isOpaque: false, paint, transform, globalAlpha: alpha, clipBuffer });
+    }
+
+    /**
+     * Flatten the outline of an annular sector the way the path is built: the
+     * outer arc from start to end, the inner arc back from end to start (or the
+     * center when innerRadius is 0). Arcs use PathFlattener's segment count.
+     * @param {number} cx - Center X (user space)
+     * @param {number} cy - Center Y (user space)
+     * @param {number} innerRadius - Inner radius
+     * @param {number} outerRadius - Outer radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} sweep - Signed sweep in radians
+     * @param {number} scale - Device pixels per user unit (sets the segment count)
+     * @returns {Float64Array} Flat x, y coordinates of the closed outline (pooled)
+     */
+    static sectorOutline(cx, cy, innerRadius, outerRadius, startAngle, sweep, scale) {
+        const segmentsFor = radius => {
+            const deviceRadius = radius * scale;
+            if (deviceRadius <= 0) return 0;
+            const maxAngleStep = 2 * Math.acos(Math.max(0, 1 - PATH_FLATTENING_TOLERANCE / deviceRadius));
+            return Math.max(1, Math.ceil(Math.abs(sweep) / maxAngleStep));
+        };
+        const outerSegments = segmentsFor(outerRadius);
+        const innerSegments = segmentsFor(innerRadius);
+        const length = (outerSegments + innerSegments + 2) * 2;
+        if (AnnulusOps._outline.length < length) {
+            AnnulusOps._outline = new Float64Array(length * 2);
+        }
+        const out = AnnulusOps._outline;
+
+        let n = 0;
+        for (let i = 0; i <= outerSegments; i++) {
+            const angle = startAngle + sweep * i / outerSegments;
+            out[n++] = cx + outerRadius * Math.cos(angle);
+            out[n++] = cy + outerRadius * Math.sin(angle);
+        }
+        for (let i = innerSegments; i >= 0; i--) {
+            const angle = innerSegments > 0 ? startAngle + sweep * i / innerSegments : startAngle;
+            out[n++] = cx + innerRadius * Math.cos(angle);
+            out[n++] = cy + innerRadius * Math.sin(angle);
+        }
+        return out.subarray(0, n);
+    }
+
+    /**
+     * Span parameters for a color, or null when nothing would be drawn
+     * @param {Color} color - Paint color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {number} coverage - Opacity factor for sub-pixel stroke widths (1 for fills)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @returns {Object|null} Parameters for _fillBands
+     * @private
+     */
+    static _colorParams(color, globalAlpha, coverage, clipBuffer) {
+        const incomingAlpha = (color.a / 255) * globalAlpha * coverage;
+        if (incomingAlpha <= 0) return null;
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0 && coverage >= 1;
+
+        return {
+            isOpaque,
+            packedColor: isOpaque ? Surface.packColor(color.r, color.g, color.b, 255) : 0,
+            r: color.r, g: color.g, b: color.b,
+            incomingAlpha,
+            inverseIncomingAlpha: 1 - incomingAlpha,
+            paint: null,
+            clipBuffer
+        };
+    }
+
+    /**
+     * Store the stroke bands of a ring's two circles, merged when they overlap
+     * @param {number} innerRadius - Inner circle radius (0: no inner circle)
+     * @param {number} outerRadius - Outer circle radius
+     * @param {number} lineWidth - Stroke width in device pixels
+     * @returns {number} Number of bands stored
+     * @private
+     */
+    static _strokeBands(innerRadius, outerRadius, lineWidth) {
+        const halfWidth = Math.max(lineWidth, 1) / 2;
+        const bands = AnnulusOps._bands;
+
+        bands[0] = Math.max(0, outerRadius - halfWidth);
+        bands[1] = outerRadius + halfWidth;
+        if (innerRadius <= 0) return 1;
+
+        const innerMax = innerRadius + halfWidth;
+        if (innerMax >= bands[0]) {
+            bands[0] = Math.max(0, innerRadius - halfWidth);
+            return 1;
+        }
+        bands[2] = bands[0];
+        bands[3] = bands[1];
+        bands[0] = Math.max(0, innerRadius - halfWidth);
+        bands[1] = innerMax;
+        return 2;
+    }
+
+    /**
+     * Fill the stored radius bands, limited to the wedge from startAngle over sweep
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X (device space)
+     * @param {number} cy - Center Y (device space)
+     * @param {number} bandCount - Number of bands in _bands (disjoint, innermost first)
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} sweep - Signed sweep in radians (±TAU: no angle limit)
+     * @param {Object} params - Span parameters (color or paint, clip buffer)
+     * @private
+     */
+    static _fillBands(surface, cx, cy, bandCount, startAngle, sweep, params) {
+        const { isOpaque, packedColor, r, g, b, incomingAlpha, inverseIncomingAlpha, paint, clipBuffer } = params;
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+        const bands = AnnulusOps._bands;
+        const wedge = AnnulusOps._wedge;
+
+        // Walk the wedge in increasing angle
+        if (sweep < 0) {
+            startAngle += sweep;
+            sweep = -sweep;
+        }
+        const isFullTurn = sweep >= TAU;
+        const ux = Math.cos(startAngle), uy = Math.sin(startAngle);
+        const vx = Math.cos(startAngle + sweep), vy = Math.sin(startAngle + sweep);
+
+        const fillSpan = (from, to, y) => {
+            const startX = Math.max(0, Math.ceil(from));
+            const endX = Math.min(width - 1, Math.floor(to));
+            if (startX > endX) return;
+            const length = endX - startX + 1;
+            if (isOpaque) {
+                SpanOps.fill_Opaq(data32, width, height, startX, y, length, packedColor, clipBuffer);
+            } else if (paint) {
+                SpanOps.fill_Paint(data, width, height, startX, y, length, paint, params.transform, params.globalAlpha, clipBuffer);
+            } else {
+                SpanOps.fill_Alpha(data, width, height, startX, y, length, r, g, b, incomingAlpha, inverseIncomingAlpha, clipBuffer);
+            }
+        };
+
+        // Part of a band interval inside the wedge
+        const fillInterval = (left, right, y, wedgeCount) => {
+            if (isFullTurn) {
+                fillSpan(left, right, y);
+                return;
+            }
+            for (let w = 0; w < wedgeCount; w++) {
+                fillSpan(Math.max(left, wedge[w * 2]), Math.min(right, wedge[w * 2 + 1]), y);
+            }
+        };
+
+        const outerRadius = bands[bandCount * 2 - 1];
+        const minY = Math.max(0, Math.floor(cy - outerRadius));
+        const maxY = Math.min(height - 1, Math.ceil(cy + outerRadius));
+
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y + 0.5 - cy;
+            const dySquared = dy * dy;
+            if (dySquared >= outerRadius * outerRadius) continue;
+
+            const wedgeCount = isFullTurn ? 0 : AnnulusOps._wedgeSpans(cx, dy, ux, uy, vx, vy, sweep > Math.PI);
+            if (!isFullTurn && wedgeCount === 0) continue;
+
+            for (let i = 0; i < bandCount; i++) {
+                const bandOuter = bands[i * 2 + 1];
+                if (dySquared >= bandOuter * bandOuter) continue;
+                const outerX = Math.sqrt(bandOuter * bandOuter - dySquared);
+
+                const bandInner = bands[i * 2];
+                if (dySquared < bandInner * bandInner) {
+                    // Two intervals either side of the hole
+                    const innerX = Math.sqrt(bandInner * bandInner - dySquared);
+                    fillInterval(cx - outerX, cx - innerX, y, wedgeCount);
+                    fillInterval(cx + innerX, cx + outerX, y, wedgeCount);
+                } else {
+                    fillInterval(cx - outerX, cx + outerX, y, wedgeCount);
+                }
+            }
+        }
+    }
+
+    /**
+     * Store the part of the scanline dy below the center that lies in the wedge
+     * from direction u to direction v (increasing angle): both half-planes for
+     * sweeps up to half a turn, either one beyond. Intervals are disjoint and
+     * sorted; open ends are ±Infinity.
+     * @param {number} cx - Center X
+     * @param {number} dy - Scanline offset from the center
+     * @param {number} ux - Start direction X
+     * @param {number} uy - Start direction Y
+     * @param {number} vx - End direction X
+     * @param {number} vy - End direction Y
+     * @param {boolean} isReflex - Sweep greater than half a turn
+     * @returns {number} Number of intervals stored in _wedge (0-2)
+     * @private
+     */
+    static _wedgeSpans(cx, dy, ux, uy, vx, vy, isReflex) {
+        const wedge = AnnulusOps._wedge;
+
+        // After the start ray: ux * dy - uy * (x - cx) >= 0
+        let aLeft = -Infinity, aRight = Infinity;
+        if (uy > 0) aRight = cx + ux * dy / uy;
+        else if (uy < 0) aLeft = cx + ux * dy / uy;
+        else if (ux * dy < 0) { aLeft = Infinity; aRight = -Infinity; }
+
+        // Before the end ray: (x - cx) * vy - dy * vx >= 0
+        let bLeft = -Infinity, bRight = Infinity;
+        if (vy > 0) bLeft = cx + vx * dy / vy;
+        else if (vy < 0) bRight = cx + vx * dy / vy;
+        else if (vx * dy > 0) { bLeft = Infinity; bRight = -Infinity; }
+
+        const aEmpty = aLeft > aRight;
+        const bEmpty = bLeft > bRight;
+
+        if (!isReflex) {
+            const left = Math.max(aLeft, bLeft);
+            const right = Math.min(aRight, bRight);
+            if (aEmpty || bEmpty || left > right) return 0;
+            wedge[0] = left;
+            wedge[1] = right;
+            return 1;
+        }
+
+        if (aEmpty && bEmpty) return 0;
+        if (aEmpty || bEmpty) {
+            wedge[0] = aEmpty ? bLeft : aLeft;
+            wedge[1] = aEmpty ? bRight : aRight;
+            return 1;
+        }
+        if (aLeft <= bRight && bLeft <= aRight) {
+            wedge[0] = Math.min(aLeft, bLeft);
+            wedge[1] = Math.max(aRight, bRight);
+            return 1;
+        }
+        const aFirst = aLeft < bLeft;
+        wedge[0] = aFirst ? aLeft : bLeft;
+        wedge[1] = aFirst ? aRight : bRight;
+        wedge[2] = aFirst ? bLeft : aLeft;
+        wedge[3] = aFirst ? bRight : aRight;
+        return 2;
+    }
+}
@@ -17,17 +17,23 @@
  *
  * Layer 1 (Primitives - do atomic rendering):
  *   fill_Opaq, fill_Alpha (use CircleOps extents + angle filtering)
+ *   fill_Paint (same, with per-row paint evaluation and SpanOps.blendPixel_Paint)
  *   stroke1px_Opaq, stroke1px_Alpha, stroke1px_Opaq_Exact
  *   strokeOuter_Opaq, strokeOuter_Alpha
  *
  * Layer 2 (Composites):
  *   fillStrokeOuter_Any → inline rendering (single-pass)
+ *   strokeDashed_Any    → annulus scan + DashOps.isOn (also used by CircleOps.strokeDashed_Any)
  *
  * NAMING PATTERN: {operation}[Thickness]_{opacity}
  *   - Opaq = Opaque only, Alpha = Semi-transparent, Any = Handles both
+ *   - Paint = Gradient or Pattern paint evaluated per span
  *   - (No orientation suffix - arcs are defined by angles, not rotation)
  */
 class ArcOps {
+    // Reused output array for paint span evaluation
+    static _paintColors = [];
+
     /**
      * Check if the angle of point (px, py) relative to origin is within [startAngle, endAngle]
      * @param {number} px - X coordinate relative to center
@@ -237,6 +243,77 @@ class ArcOps {
         }
     }
 
+    /**
+     * Fill an arc (pie slice) with a gradient or pattern
+     * Covers the same pixels as fill_Opaq/fill_Alpha. The paint is evaluated for
+     * each scanline's extent at once; pixels outside the angle range are skipped.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Arc radius
+     * @param {number} startAngle - Start angle in radians
+     * @param {number} endAngle - End angle in radians
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Paint(surface, cx, cy, radius, startAngle, endAngle, paint, transform, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        if (globalAlpha <= 0) return;
+
+        // Use CircleOps.generateExtents for correct Bresenham-based pixel coverage
+        const extentData = CircleOps.generateExtents(radius);
+        if (!extentData) return;
+        const { extents, intRadius, xOffset, yOffset } = extentData;
+
+        // CircleOps center adjustment
+        const adjCenterX = Math.floor(cx - 0.5);
+        const adjCenterY = Math.floor(cy - 0.5);
+
+        // Paint one scanline, keeping pixels inside the angle range
+        const paintRow = (py, dy, xMin, xMax) => {
+            const startX = Math.max(0, xMin);
+            const endX = Math.min(width - 1, xMax);
+            if (startX > endX) return;
+
+            const colors = paint.fillSpan(startX, py, endX - startX + 1, transform, ArcOps._paintColors);
+            for (let x = startX; x <= endX; x++) {
+                if (ArcOps.isAngleInRange(x - adjCenterX, dy, startAngle, endAngle)) {
+                    const pos = py * width + x;
+                    if (!clipBuffer || (clipBuffer[pos >> 3] & (1 << (pos & 7)))) {
+                        SpanOps.blendPixel_Paint(data, pos * 4, colors[x - startX], globalAlpha);
+                    }
+                }
+            }
+        };
+
+        // Process each scanline using Bresenham extents
+        for (let rel_y = 0; rel_y <= intRadius; rel_y++) {
+            const max_rel_x = extents[rel_y];
+
+            // Calculate absolute coordinates (same as CircleOps)
+            const abs_x_min = adjCenterX - max_rel_x - xOffset + 1;
+            const abs_x_max = adjCenterX + max_rel_x;
+            const abs_y_bottom = adjCenterY + rel_y;
+            const abs_y_top = adjCenterY - rel_y - yOffset + 1;
+
+            // Process bottom half
+            if (abs_y_bottom >= 0 && abs_y_bottom < height) {
+                paintRow(abs_y_bottom, rel_y, abs_x_min, abs_x_max);
+            }
+
+            // Process top half (skip overdraw conditions - same as CircleOps)
+            const drawTop = rel_y > 0 && !(rel_y === 1 && yOffset === 0);
+            if (drawTop && abs_y_top >= 0 && abs_y_top < height) {
+                paintRow(abs_y_top, -rel_y, abs_x_min, abs_x_max);
+            }
+        }
+    }
+
     /**
      * Optimized 1px opaque arc stroke using Bresenham + direct writes
      * No Set, no thickness expansion - just angle-filtered Bresenham points
@@ -945,5 +1022,90 @@ class ArcOps {
             }
         }
     }
-}
 
+    /**
+     * Dashed arc stroke (butt dash ends, any opacity, any width).
+     * Scans the stroke annulus once and keeps the pixels whose angle lies in the arc
+     * and whose distance along the arc, measured from where the path starts
+     * (startAngle, or endAngle when anticlockwise), falls inside a dash.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Arc radius
+     * @param {number} startAngle - Start angle in radians (normalized)
+     * @param {number} endAngle - End angle in radians (normalized, > startAngle)
+     * @param {boolean} anticlockwise - Path direction (the path starts at endAngle)
+     * @param {number} lineWidth - Stroke width (1px strokes use a 1px wide annulus)
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeDashed_Any(surface, cx, cy, radius, startAngle, endAngle, anticlockwise,
+        lineWidth, dash, color, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0;
+        const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+        const alpha = (color.a / 255) * globalAlpha;
+        if (alpha <= 0) return;
+        const invAlpha = 1 - alpha;
+
+        // Pixel centers relative to the arc center, as in strokeOuter_Opaq()
+        const cX = cx - 0.5;
+        const cY = cy - 0.5;
+
+        const halfStroke = Math.max(lineWidth, 1) / 2;
+        const innerRadius = Math.max(0, radius - halfStroke);
+        const outerRadius = radius + halfStroke;
+        const innerRadiusSquared = innerRadius * innerRadius;
+        const outerRadiusSquared = outerRadius * outerRadius;
+
+        const minY = Math.max(0, Math.ceil(cY - outerRadius));
+        const maxY = Math.min(height - 1, Math.floor(cY + outerRadius));
+
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y - cY;
+            const dySquared = dy * dy;
+            if (dySquared > outerRadiusSquared) continue;
+
+            const outerXDist = Math.sqrt(outerRadiusSquared - dySquared);
+            const left = Math.max(0, Math.ceil(cX - outerXDist));
+            const right = Math.min(width - 1, Math.floor(cX + outerXDist));
+
+            // Pixels strictly inside the inner circle are skipped in one step
+            let holeLeft = right + 1, holeRight = right;
+            if (dySquared < innerRadiusSquared) {
+                const innerXDist = Math.sqrt(innerRadiusSquared - dySquared);
+                holeLeft = Math.floor(cX - innerXDist) + 1;
+                holeRight = Math.ceil(cX + innerXDist) - 1;
+            }
+
+            for (let x = left; x <= right; x++) {
+                if (x === holeLeft && holeRight >= holeLeft) {
+                    x = holeRight;
+                    continue;
+                }
+
+                let angle = Math.atan2(dy, x - cX);
+                if (angle < 0) angle += TAU;
+                while (angle < startAngle) angle += TAU;
+                if (angle > endAngle) continue;
+
+                const distance = (anticlockwise ? endAngle - angle : angle - startAngle) * radius;
+                if (!DashOps.isOn(dash, distance)) continue;
+
+                const pos = y * width + x;
+                if (clipBuffer && !(clipBuffer[pos >> 3] & (1 << (pos & 7)))) continue;
+                if (isOpaque) {
+                    data32[pos] = packedColor;
+                } else {
+                    SpanOps.blendPixel_Alpha(data, pos * 4, color.r, color.g, color.b, alpha, invAlpha);
+                }
+            }
+        }
+    }
+}
@@ -3,7 +3,7 @@
  * Follows PolygonFiller pattern with static methods.
  *
  * Direct rendering is available exclusively via dedicated Context2D methods:
- * fillCircle(), strokeCircle(), fillStrokeCircle()
+ * fillCircle(), strokeCircle(), fillStrokeCircle(), fillCircles()
  *
  * Path-based circles (beginPath() + arc() + fill()/stroke()) use the
  * generic polygon pipeline for consistent, predictable behavior.
@@ -13,22 +13,32 @@
  *
  * CALL HIERARCHY:
  * ---------------
- * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint, SpanOps.fill_Add
  *
  * Layer 1 (Primitives - do atomic rendering):
- *   fill_Opaq, fill_Alpha (call SpanOps)
+ *   fill_Opaq, fill_Alpha, fill_Paint (call SpanOps)
+ *   fill_Add → generateExtents + _fillExtents_Any (additive)
+ *   _fillExtents_Any (calls SpanOps)
  *   stroke1px_Opaq, stroke1px_Alpha
  *   strokeThick_Alpha
  *
  * Layer 2 (Composites/Dispatchers):
  *   strokeThick_Any → strokeThick_Alpha (for semi-transparent)
  *   fillStroke_Any  → inline rendering (single-pass)
+ *   strokeDashed_Any → ArcOps.strokeDashed_Any (a whole turn)
+ *   fillBatch_Any   → cachedExtents + _fillExtents_Any (per circle)
  *
  * NAMING PATTERN: {operation}[Thickness]_{opacity}
  *   - Opaq = Opaque only, Alpha = Semi-transparent, Any = Handles both
+ *   - Paint = Gradient or Pattern paint evaluated per span
+ *   - Add = Additive compositing (lighter / plus-lighter)
  *   - (No orientation suffix - circles are rotation-invariant)
  */
 class CircleOps {
+    // Extents by radius for fillBatch_Any; cleared when full
+    static _extentsCache = new Map();
+    static _EXTENTS_CACHE_LIMIT = 256;
+
     /**
      * Generate horizontal extents for each scanline of a circle using Bresenham
      * Uses Bresenham circle algorithm variant optimized for correct extreme pixel rendering
@@ -74,6 +84,24 @@ class CircleOps {
         return { extents, intRadius, xOffset, yOffset };
     }
 
+    /**
+     * generateExtents() with results kept per radius, for batches that repeat radii.
+     * The returned extents are shared and must not be modified.
+     * @param {number} radius - Circle radius (can be float)
+     * @returns {object|null} { extents, intRadius, xOffset, yOffset } or null for invalid radius
+     */
+    static cachedExtents(radius) {
+        let extentData = CircleOps._extentsCache.get(radius);
+        if (extentData === undefined) {
+            extentData = CircleOps.generateExtents(radius);
+            if (CircleOps._extentsCache.size >= CircleOps._EXTENTS_CACHE_LIMIT) {
+                CircleOps._extentsCache.clear();
+            }
+            CircleOps._extentsCache.set(radius, extentData);
+        }
+        return extentData;
+    }
+
     /**
      * Optimized opaque circle fill using Bresenham scanlines with 32-bit packed writes
      * Uses Bresenham variant with pixel corrections for accurate rendering
@@ -83,8 +111,9 @@ class CircleOps {
      * @param {number} radius - Circle radius
      * @param {Color} color - Fill color (must be opaque, alpha=255)
      * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_Opaq(surface, cx, cy, radius, color, clipBuffer) {
+    static fill_Opaq(surface, cx, cy, radius, color, clipBuffer, clipCoverage = null) {
         const width = surface.width;
         const height = surface.height;
         const data32 = surface.data32;
@@ -114,13 +143,13 @@ class CircleOps {
 
             // Draw bottom scanline
             if (abs_y_bottom >= 0 && abs_y_bottom < height) {
-                SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_bottom, spanWidth, packedColor, clipBuffer);
+                SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_bottom, spanWidth, packedColor, clipBuffer, clipCoverage);
             }
 
             // Draw top scanline (skip overdraw conditions)
             const drawTop = rel_y > 0 && !(rel_y === 1 && yOffset === 0);
             if (drawTop && abs_y_top >= 0 && abs_y_top < height) {
-                SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_top, spanWidth, packedColor, clipBuffer);
+                SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_top, spanWidth, packedColor, clipBuffer, clipCoverage);
             }
         }
     }
@@ -135,8 +164,9 @@ class CircleOps {
      * @param {Color} color - Fill color
      * @param {number} globalAlpha - Context global alpha
      * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_Alpha(surface, cx, cy, radius, color, globalAlpha, clipBuffer) {
+    static fill_Alpha(surface, cx, cy, radius, color, globalAlpha, clipBuffer, clipCoverage = null) {
         const width = surface.width;
         const height = surface.height;
         const data = surface.data;
@@ -174,14 +204,214 @@ class CircleOps {
             // Draw bottom scanline
             if (abs_y_bottom >= 0 && abs_y_bottom < height) {
                 SpanOps.fill_Alpha(data, width, height, abs_x_min, abs_y_bottom, spanWidth,
-                    r, g, b, effectiveAlpha, invAlpha, clipBuffer);
+                    r, g, b, effectiveAlpha, invAlpha, clipBuffer, clipCoverage);
             }
 
             // Draw top scanline (skip overdraw conditions)
             const drawTop = rel_y > 0 && !(rel_y === 1 && yOffset === 0);
             if (drawTop && abs_y_top >= 0 && abs_y_top < height) {
                 SpanOps.fill_Alpha(data, width, height, abs_x_min, abs_y_top, spanWidth,
-                    r, g, b, effectiveAlpha, invAlpha, clipBuffer);
+                    r, g, b, effectiveAlpha, invAlpha, clipBuffer, clipCoverage);
+            }
+        }
+    }
+
+    /**
+     * Circle fill with additive compositing (lighter / plus-lighter)
+     * Same pixel coverage as fill_Opaq/fill_Alpha.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Circle radius
+     * @param {Color} color - Fill color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_Add(surface, cx, cy, radius, color, globalAlpha, clipBuffer, clipCoverage = null) {
+        const source = SpanOps.addSource(color, globalAlpha);
+        if (source.a <= 0) return;
+
+        const extentData = CircleOps.generateExtents(radius);
+        if (!extentData) return;
+        CircleOps._fillExtents_Any(surface, cx, cy, extentData, false, 0,
+            source.r, source.g, source.b, source.a, clipBuffer, clipCoverage, true);
+    }
+
+    /**
+     * Fill a batch of circles, each covering the same pixels as fill_Opaq/fill_Alpha
+     * would for it. Centers and radii are mapped through the transform here (radii
+     * scaled by the square root of its determinant, as fillCircle() does), and the
+     * extents of repeated radii come from cachedExtents().
+     * @param {Surface} surface - Target surface
+     * @param {ArrayLike<number>} circles - Flat centerX, centerY, radius triples in user space
+     * @param {Uint32Array|null} colors - Per-circle colors packed as Surface.packColor(), or null for color
+     * @param {Color|null} color - Fill color for all circles when colors is null
+     * @param {Transform2D} transform - Current transform
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} clipCoverage - Clip coverage, when the clip has soft edges
+     * @param {boolean} [additive=false] - Composite with lighter instead of source-over
+     */
+    static fillBatch_Any(surface, circles, colors, color, transform, globalAlpha, clipBuffer, clipCoverage, additive = false) {
+        const { a, b, c, d, e, f } = transform;
+        const scale = Math.sqrt(Math.abs(a * d - b * c));
+
+        // Shared color, unless each circle brings its own
+        let isOpaque = false, packedColor = 0, red = 0, green = 0, blue = 0, alpha = 0;
+        if (!colors) {
+            alpha = (color.a / 255) * globalAlpha;
+            isOpaque = !additive && color.a === 255 && globalAlpha >= 1.0;
+            packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+            red = color.r; green = color.g; blue = color.b;
+            if (additive) {
+                const source = SpanOps.addSource(color, globalAlpha);
+                red = source.r; green = source.g; blue = source.b; alpha = source.a;
+            }
+        }
+
+        const count = Math.floor(circles.length / 3);
+        for (let i = 0; i < count; i++) {
+            const radius = circles[i * 3 + 2];
+            if (!(radius > 0)) continue;
+
+            if (colors) {
+                const packed = colors[i];
+                const colorAlpha = packed >>> 24;
+                alpha = (colorAlpha / 255) * globalAlpha;
+                isOpaque = !additive && colorAlpha === 255 && globalAlpha >= 1.0;
+                packedColor = packed;
+                red = packed & 0xFF; green = (packed >>> 8) & 0xFF; blue = (packed >>> 16) & 0xFF;
+                if (additive && colorAlpha > 0) {
+                    const source = SpanOps.addSource(new Color(red, green, blue, colorAlpha), globalAlpha);
+                    red = source.r; green = source.g; blue = source.b; alpha = source.a;
+                }
+            }
+            if (alpha <= 0) continue;
+
+            const x = circles[i * 3], y = circles[i * 3 + 1];
+            const extentData = CircleOps.cachedExtents(radius * scale);
+            if (!extentData) continue;
+            CircleOps._fillExtents_Any(surface, a * x + c * y + e, b * x + d * y + f, extentData,
+                isOpaque, packedColor, red, green, blue, alpha, clipBuffer, clipCoverage, additive);
+        }
+    }
+
+    /**
+     * Fill the scanlines of precomputed circle extents, as fill_Opaq/fill_Alpha do
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {object} extentData - Result of generateExtents()
+     * @param {boolean} isOpaque - Write packedColor instead of blending
+     * @param {number} packedColor - Opaque color packed as Surface.packColor()
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @param {number} alpha - Effective alpha (0-1) for blending; 0-255 integer when additive
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} clipCoverage - Clip coverage, when the clip has soft edges
+     * @param {boolean} [additive=false] - Add the color (lighter) instead of blending
+     * @private
+     */
+    static _fillExtents_Any(surface, cx, cy, extentData, isOpaque, packedColor, r, g, b, alpha, clipBuffer, clipCoverage, additive = false) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+        const { extents, intRadius, xOffset, yOffset } = extentData;
+        const invAlpha = 1 - alpha;
+
+        // Center adjustment for pixel-perfect rendering
+        const adjCenterX = Math.floor(cx - 0.5);
+        const adjCenterY = Math.floor(cy - 0.5);
+
+        for (let rel_y = 0; rel_y <= intRadius; rel_y++) {
+            const max_rel_x = extents[rel_y];
+            const abs_x_min = adjCenterX - max_rel_x - xOffset + 1;
+            const spanWidth = adjCenterX + max_rel_x - abs_x_min + 1;
+            const abs_y_bottom = adjCenterY + rel_y;
+            const abs_y_top = adjCenterY - rel_y - yOffset + 1;
+
+            // Draw bottom scanline
+            if (abs_y_bottom >= 0 && abs_y_bottom < height) {
+                if (additive) {
+                    SpanOps.fill_Add(data, width, height, abs_x_min, abs_y_bottom, spanWidth, r, g, b, alpha, clipBuffer, clipCoverage);
+                } else if (isOpaque) {
+                    SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_bottom, spanWidth, packedColor, clipBuffer, clipCoverage);
+                } else {
+                    SpanOps.fill_Alpha(data, width, height, abs_x_min, abs_y_bottom, spanWidth,
+                        r, g, b, alpha, invAlpha, clipBuffer, clipCoverage);
+                }
+            }
+
+            // Draw top scanline (skip overdraw conditions)
+            const drawTop = rel_y > 0 && !(rel_y === 1 && yOffset === 0);
+            if (drawTop && abs_y_top >= 0 && abs_y_top < height) {
+                if (additive) {
+                    SpanOps.fill_Add(data, width, height, abs_x_min, abs_y_top, spanWidth, r, g, b, alpha, clipBuffer, clipCoverage);
+                } else if (isOpaque) {
+                    SpanOps.fill_Opaq(data32, width, height, abs_x_min, abs_y_top, spanWidth, packedColor, clipBuffer, clipCoverage);
+                } else {
+                    SpanOps.fill_Alpha(data, width, height, abs_x_min, abs_y_top, spanWidth,
+                        r, g, b, alpha, invAlpha, clipBuffer, clipCoverage);
+                }
+            }
+        }
+    }
+
+    /**
+     * Circle fill with a gradient or pattern using Bresenham scanlines
+     * Same pixel coverage as fill_Opaq/fill_Alpha; each scanline is painted by SpanOps.fill_Paint
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Circle radius
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_Paint(surface, cx, cy, radius, paint, transform, globalAlpha, clipBuffer, clipCoverage = null) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        if (globalAlpha <= 0) return;
+
+        // Generate extents with Bresenham algorithm
+        const extentData = CircleOps.generateExtents(radius);
+        if (!extentData) return;
+        const { extents, intRadius, xOffset, yOffset } = extentData;
+
+        // Center adjustment for pixel-perfect rendering
+        const adjCenterX = Math.floor(cx - 0.5);
+        const adjCenterY = Math.floor(cy - 0.5);
+
+        // Fill scanlines - iterate through ALL rows (no skipping)
+        for (let rel_y = 0; rel_y <= intRadius; rel_y++) {
+            const max_rel_x = extents[rel_y];
+
+            // +1 corrections on min boundaries for pixel accuracy
+            const abs_x_min = adjCenterX - max_rel_x - xOffset + 1;
+            const abs_x_max = adjCenterX + max_rel_x;
+            const abs_y_bottom = adjCenterY + rel_y;
+            const abs_y_top = adjCenterY - rel_y - yOffset + 1;
+
+            const spanWidth = abs_x_max - abs_x_min + 1;
+
+            // Draw bottom scanline
+            if (abs_y_bottom >= 0 && abs_y_bottom < height) {
+                SpanOps.fill_Paint(data, width, height, abs_x_min, abs_y_bottom, spanWidth,
+                    paint, transform, globalAlpha, clipBuffer, clipCoverage);
+            }
+
+            // Draw top scanline (skip overdraw conditions)
+            const drawTop = rel_y > 0 && !(rel_y === 1 && yOffset === 0);
+            if (drawTop && abs_y_top >= 0 && abs_y_top < height) {
+                SpanOps.fill_Paint(data, width, height, abs_x_min, abs_y_top, spanWidth,
+                    paint, transform, globalAlpha, clipBuffer, clipCoverage);
             }
         }
     }
@@ -798,4 +1028,27 @@ class CircleOps {
             }
         }
     }
+
+    /**
+     * Dashed circle stroke (any opacity, any width).
+     * The dash phase starts where the circle's path starts, which the canvas
+     * transform may have turned or mirrored.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} radius - Circle radius
+     * @param {number} startAngle - Device-space angle where the path starts
+     * @param {boolean} anticlockwise - True if the path runs anticlockwise on screen
+     * @param {number} lineWidth - Stroke width
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeDashed_Any(surface, cx, cy, radius, startAngle, anticlockwise, lineWidth, dash, color, globalAlpha, clipBuffer) {
+        let start = startAngle % TAU;
+        if (start < 0) start += TAU;
+        ArcOps.strokeDashed_Any(surface, cx, cy, radius, start, start + TAU, anticlockwise,
+            lineWidth, dash, color, globalAlpha, clipBuffer);
+    }
 }
@@ -0,0 +1,149 @@
+/**
+ * DashOps - Static utility methods for line dash patterns on direct renderers
+ * Follows SpanOps pattern with static methods.
+ *
+ * Direct renderers walk their outline in path order (the order the equivalent
+ * path would be built in) and ask this class which stretches of it are dashes.
+ * The phase matches StrokeGenerator._dashPolygon(): the outline starts
+ * lineDashOffset into the pattern, even entries are dashes, odd entries gaps,
+ * and a closed outline does not wrap a dash across its start point.
+ *
+ * A pattern is created once per draw call in device units (the context's
+ * lineDash scaled by the transform), then queried per piece or per pixel:
+ *   - forEachDash: visible intervals along a straight or curved piece
+ *   - isOn: whether a distance along the outline falls inside a dash
+ *   - isJoined: whether a dash runs through a corner (so the join is drawn)
+ *
+ * CALL HIERARCHY:
+ * ---------------
+ * Layer 0 (Foundation): No dependencies on other *Ops classes
+ *   - Called by: LineOps, RectOpsAA, CircleOps, ArcOps, RoundedRectOpsAA
+ */
+class DashOps {
+    /**
+     * Build a device-space dash pattern.
+     * @param {Array<number>} lineDash - Context dash list (even length, as setLineDash() stores it)
+     * @param {number} lineDashOffset - Context dash offset
+     * @param {number} [scale=1] - Device pixels per user unit along the outline
+     * @returns {Object|null} Pattern, or null when strokes are solid
+     *   (no dash list, or one that sums to zero as the path stroker treats it)
+     */
+    static create(lineDash, lineDashOffset, scale = 1) {
+        if (!lineDash || lineDash.length === 0) return null;
+
+        const period = lineDash.reduce((sum, length) => sum + length, 0) * scale;
+        if (!(period > 0) || !isFinite(period)) return null;
+
+        // Dash intervals within one period; gaps of zero length join their dashes
+        const intervals = [];
+        let position = 0;
+        for (let i = 0; i < lineDash.length; i++) {
+            const length = lineDash[i] * scale;
+            if (i % 2 === 0 && length > 0) {
+                const last = intervals.length - 2;
+                if (last >= 0 && intervals[last + 1] === position) {
+                    intervals[last + 1] = position + length;
+                } else {
+                    intervals.push(position, position + length);
+                }
+            }
+            position += length;
+        }
+
+        let offset = (lineDashOffset * scale) % period;
+        if (offset < 0) offset += period;
+
+        return {
+            intervals,
+            period,
+            offset,
+            scale,
+            // A dash ending at the period boundary continues into the next period
+            wraps: intervals.length > 0 && intervals[0] === 0 && intervals[intervals.length - 1] === period
+        };
+    }
+
+    /**
+     * Position of a distance along the outline within one pattern period
+     * @param {Object} pattern - Pattern from create()
+     * @param {number} distance - Distance along the outline in device pixels
+     * @returns {number} Position in [0, period)
+     * @private
+     */
+    static _phase(pattern, distance) {
+        let position = (pattern.offset + distance) % pattern.period;
+        if (position < 0) position += pattern.period;
+        return position;
+    }
+
+    /**
+     * Check whether a distance along the outline lies inside a dash
+     * @param {Object} pattern - Pattern from create()
+     * @param {number} distance - Distance along the outline in device pixels
+     * @param {boolean} [includeEnd=false] - Count a dash's end point as inside, as
+     *   PolygonFiller does for dash ends it crosses along a scanline
+     * @returns {boolean} True if the point is drawn
+     */
+    static isOn(pattern, distance, includeEnd = false) {
+        const position = DashOps._phase(pattern, distance);
+        const intervals = pattern.intervals;
+        if (includeEnd && position === 0 && intervals[intervals.length - 1] === pattern.period) return true;
+        for (let i = 0; i < intervals.length; i += 2) {
+            if (position < intervals[i]) return false;
+            if (position < intervals[i + 1] || (includeEnd && position === intervals[i + 1])) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a dash runs through a point (starts before it and ends after it),
+     * as at a corner where the path stroker joins the two sides of a dash
+     * @param {Object} pattern - Pattern from create()
+     * @param {number} distance - Distance along the outline in device pixels
+     * @returns {boolean} True if the dash continues through the point
+     */
+    static isJoined(pattern, distance) {
+        const position = DashOps._phase(pattern, distance);
+        const intervals = pattern.intervals;
+        for (let i = 0; i < intervals.length; i += 2) {
+            if (position > intervals[i] && position < intervals[i + 1]) return true;
+        }
+        return position === 0 && pattern.wraps;
+    }
+
+    /**
+     * Visit the dashes along one piece of the outline. Dashes that touch across
+     * period boundaries are reported as one.
+     * @param {Object} pattern - Pattern from create()
+     * @param {number} start - Distance along the outline where the piece starts
+     * @param {number} length - Length of the piece
+     * @param {Function} callback - Called with (from, to), distances from the piece start
+     */
+    static forEachDash(pattern, start, length, callback) {
+        const intervals = pattern.intervals;
+        if (intervals.length === 0 || !(length > 0)) return;
+
+        const period = pattern.period;
+        const begin = pattern.offset + start;
+        const end = begin + length;
+        let base = Math.floor(begin / period) * period;
+        let pendingFrom = -1, pendingTo = -1;
+
+        while (base < end) {
+            for (let i = 0; i < intervals.length; i += 2) {
+                const from = Math.max(base + intervals[i], begin);
+                const to = Math.min(base + intervals[i + 1], end);
+                if (to <= from) continue;
+                if (pendingTo === from) {
+                    pendingTo = to;
+                    continue;
+                }
+                if (pendingTo > pendingFrom) callback(pendingFrom - begin, pendingTo - begin);
+                pendingFrom = from;
+                pendingTo = to;
+            }
+            base += period;
+        }
+        if (pendingTo > pendingFrom) callback(pendingFrom - begin, pendingTo - begin);
+    }
+}
@@ -0,0 +1,617 @@
+/**
+ * EllipseOps - Static methods for optimized ellipse rendering
+ * Follows PolygonFiller pattern with static methods.
+ *
+ * Direct rendering is available exclusively via dedicated Context2D methods:
+ * fillEllipse(), strokeEllipse(), fillStrokeEllipse()
+ *
+ * Path-based ellipses (beginPath() + ellipse() + fill()/stroke()) use the
+ * generic polygon pipeline for consistent, predictable behavior.
+ *
+ * All methods take the ellipse in device space: center, radii and rotation
+ * after the canvas transform (Context2D maps user-space ellipses, including
+ * under non-uniform scales and skews, onto a single rotated ellipse).
+ *
+ * Algorithm notes:
+ *   - Fills solve the ellipse equation per scanline (a quadratic in x), so each
+ *     row is one span covering the pixels whose centers are inside.
+ *   - Thick strokes keep the pixels whose centers lie within lineWidth/2 of the
+ *     curve. The offset of an ellipse is not an ellipse, so the span ends come
+ *     from the traced parallel curves, or from the signed distance to the curve
+ *     where the inner parallel curve loops over itself.
+ *   - 1px strokes trace the curve and drop the corner pixel of each L-shaped
+ *     step, giving a thin 8-connected outline.
+ *
+ * CALL HIERARCHY:
+ * ---------------
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint,
+ *                       SpanOps.blendPixel_Alpha
+ *
+ * Layer 1 (Helpers):
+ *   signedDistance, _traceOffsetBounds, _interiorByDistance, _tracePixels
+ *   _forEachFillSpan, _forEachStrokeSpan
+ *
+ * Layer 2 (Primitives - do atomic rendering):
+ *   fill_Opaq, fill_Alpha, fill_Paint (call SpanOps)
+ *   stroke1px_Opaq, stroke1px_Alpha
+ *   strokeThick_Any
+ *
+ * Layer 3 (Composites):
+ *   fillStroke_Any → fill spans + stroke1px_* / strokeThick_Any
+ *
+ * NAMING PATTERN: {operation}[Thickness]_{opacity}
+ *   - Opaq = Opaque only, Alpha = Semi-transparent, Any = Handles both
+ *   - Paint = Gradient or Pattern paint evaluated per span
+ *   - (No orientation suffix - rotation is a parameter of every method)
+ */
+class EllipseOps {
+    /**
+     * Signed distance from a point to an axis-aligned ellipse centered at the origin.
+     * Uses a few trig-free Newton-like refinements of the closest point on the
+     * quadrant arc, accurate to well below a pixel.
+     * @param {number} u - Point X in the ellipse's local frame
+     * @param {number} v - Point Y in the ellipse's local frame
+     * @param {number} rx - Radius along local X
+     * @param {number} ry - Radius along local Y
+     * @returns {number} Distance to the curve, negative inside the ellipse
+     */
+    static signedDistance(u, v, rx, ry) {
+        const px = Math.abs(u);
+        const py = Math.abs(v);
+        if (rx === ry) {
+            return Math.sqrt(px * px + py * py) - rx;
+        }
+        const inside = (px * px) / (rx * rx) + (py * py) / (ry * ry) < 1;
+
+        const k = rx * rx - ry * ry;
+        let tx = Math.SQRT1_2;
+        let ty = Math.SQRT1_2;
+        for (let i = 0; i < 4; i++) {
+            const x = rx * tx;
+            const y = ry * ty;
+            // Center of curvature of the arc at the current estimate
+            const ex = k * tx * tx * tx / rx;
+            const ey = -k * ty * ty * ty / ry;
+            const rxe = x - ex, rye = y - ey;
+            const qx = px - ex, qy = py - ey;
+            const r = Math.sqrt(rxe * rxe + rye * rye);
+            const q = Math.sqrt(qx * qx + qy * qy) || 1;
+            tx = Math.min(1, Math.max(0, (qx * r / q + ex) / rx));
+            ty = Math.min(1, Math.max(0, (qy * r / q + ey) / ry));
+            const t = Math.sqrt(tx * tx + ty * ty);
+            tx /= t;
+            ty /= t;
+        }
+
+        const dx = px - rx * tx;
+        const dy = py - ry * ty;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return inside ? -distance : distance;
+    }
+
+    /**
+     * Visit the filled span of each scanline of a rotated ellipse.
+     * A pixel is covered when its center is inside the ellipse.
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {number} height - Surface height (rows outside are skipped)
+     * @param {number} epsilon - Contraction of the span ends (FILL_EPSILON for fill+stroke)
+     * @param {function(number, number, number): void} callback - Receives (y, leftX, rightX)
+     * @private
+     */
+    static _forEachFillSpan(cx, cy, rx, ry, rotation, height, epsilon, callback) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const invRx2 = 1 / (rx * rx);
+        const invRy2 = 1 / (ry * ry);
+
+        // Pixel-center coordinates: pixel x has its center at x + 0.5
+        const cX = cx - 0.5;
+        const cY = cy - 0.5;
+
+        // Row equation A*dx^2 + 2*halfB*dx + C <= 0 for dx = x - cX
+        const A = cos * cos * invRx2 + sin * sin * invRy2;
+        const crossTerm = sin * cos * (invRx2 - invRy2);
+        const yTerm = sin * sin * invRx2 + cos * cos * invRy2;
+
+        const extentY = Math.sqrt(rx * rx * sin * sin + ry * ry * cos * cos);
+        const minY = Math.max(0, Math.ceil(cY - extentY));
+        const maxY = Math.min(height - 1, Math.floor(cY + extentY));
+
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y - cY;
+            const halfB = dy * crossTerm;
+            const C = dy * dy * yTerm - 1;
+            const discriminant = halfB * halfB - A * C;
+            if (discriminant < 0) continue;
+
+            const root = Math.sqrt(discriminant);
+            const leftX = Math.ceil(cX + (-halfB - root) / A + epsilon);
+            const rightX = Math.floor(cX + (-halfB + root) / A - epsilon);
+            if (leftX <= rightX) {
+                callback(y, leftX, rightX);
+            }
+        }
+    }
+
+    /**
+     * Record where a parallel curve of a rotated ellipse crosses each scanline.
+     * Parallel curves at any outward offset, and at inward offsets smaller than
+     * the smallest radius of curvature, are convex loops: each row they reach is
+     * crossed at a leftmost and a rightmost point.
+     * @param {number} cX - Center X in pixel-center coordinates (cx - 0.5)
+     * @param {number} cY - Center Y in pixel-center coordinates (cy - 0.5)
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} cos - Cosine of the rotation
+     * @param {number} sin - Sine of the rotation
+     * @param {number} offset - Distance from the ellipse (negative inward)
+     * @param {number} minY - First row of the bounds arrays
+     * @param {Float64Array} left - Leftmost crossing per row (initialized to Infinity)
+     * @param {Float64Array} right - Rightmost crossing per row (initialized to -Infinity)
+     * @private
+     */
+    static _traceOffsetBounds(cX, cY, rx, ry, cos, sin, offset, minY, left, right) {
+        const maxRow = minY + left.length - 1;
+        // About one sample per pixel of the curve's length
+        const steps = Math.max(Math.ceil(TAU * (Math.max(rx, ry) + Math.abs(offset))), 16);
+
+        let prevX = 0, prevY = 0;
+        for (let i = 0; i <= steps; i++) {
+            const angle = (i % steps) * TAU / steps;
+            const c = Math.cos(angle);
+            const s = Math.sin(angle);
+            // Outward normal of the ellipse at this point
+            const nx = ry * c;
+            const ny = rx * s;
+            const scale = offset / Math.sqrt(nx * nx + ny * ny);
+            const localX = rx * c + nx * scale;
+            const localY = ry * s + ny * scale;
+            const x = cX + localX * cos - localY * sin;
+            const y = cY + localX * sin + localY * cos;
+
+            if (i > 0) {
+                const topX = prevY < y ? prevX : x, topY = Math.min(prevY, y);
+                const bottomX = prevY < y ? x : prevX, bottomY = Math.max(prevY, y);
+                const firstRow = Math.max(minY, Math.ceil(topY));
+                const lastRow = Math.min(maxRow, Math.floor(bottomY));
+                for (let row = firstRow; row <= lastRow; row++) {
+                    const t = bottomY > topY ? (row - topY) / (bottomY - topY) : 0;
+                    const crossX = topX + (bottomX - topX) * t;
+                    const index = row - minY;
+                    // A horizontal segment on the row covers both of its ends
+                    const lo = bottomY > topY ? crossX : Math.min(topX, bottomX);
+                    const hi = bottomY > topY ? crossX : Math.max(topX, bottomX);
+                    if (lo < left[index]) left[index] = lo;
+                    if (hi > right[index]) right[index] = hi;
+                }
+            }
+            prevX = x;
+            prevY = y;
+        }
+    }
+
+    /**
+     * Find the unstroked interior of one scanline from the signed distance to the
+     * curve. Used when the stroke is wider than the tightest curvature, where the
+     * inner parallel curve loops over itself and no longer bounds the interior.
+     * @param {number} dy - Row offset from the center
+     * @param {number} lo - Left end of the search (offset from the center)
+     * @param {number} hi - Right end of the search (offset from the center)
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} cos - Cosine of the rotation
+     * @param {number} sin - Sine of the rotation
+     * @param {number} halfWidth - Half the stroke width
+     * @returns {Array<number>|null} [left, right] offsets of the interior, or null if the row has none
+     * @private
+     */
+    static _interiorByDistance(dy, lo, hi, rx, ry, cos, sin, halfWidth) {
+        const distanceAt = dx => EllipseOps.signedDistance(dx * cos + dy * sin, dy * cos - dx * sin, rx, ry);
+        const tolerance = 1e-3;
+
+        // The signed distance is convex along the row: golden-section search for its minimum
+        const goldenStep = (Math.sqrt(5) - 1) / 2;
+        let a = lo, b = hi;
+        let m1 = b - goldenStep * (b - a), m2 = a + goldenStep * (b - a);
+        let f1 = distanceAt(m1), f2 = distanceAt(m2);
+        while (b - a > tolerance) {
+            if (f1 < f2) {
+                b = m2; m2 = m1; f2 = f1;
+                m1 = b - goldenStep * (b - a);
+                f1 = distanceAt(m1);
+            } else {
+                a = m1; m1 = m2; f1 = f2;
+                m2 = a + goldenStep * (b - a);
+                f2 = distanceAt(m2);
+            }
+        }
+        const minDx = (a + b) / 2;
+        if (!(distanceAt(minDx) < -halfWidth)) return null;
+
+        // Bisect for the interior's ends on each side of the minimum
+        const crossing = (outside, inside) => {
+            while (Math.abs(inside - outside) > tolerance) {
+                const mid = (outside + inside) / 2;
+                if (distanceAt(mid) < -halfWidth) inside = mid; else outside = mid;
+            }
+            return (outside + inside) / 2;
+        };
+        return [crossing(lo, minDx), crossing(hi, minDx)];
+    }
+
+    /**
+     * Visit the stroked spans of each scanline of a rotated ellipse: the pixels
+     * whose centers are within halfWidth of the curve. A row yields one span, or
+     * two when it crosses the unstroked interior.
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {number} halfWidth - Half the stroke width
+     * @param {number} height - Surface height (rows outside are skipped)
+     * @param {function(number, number, number): void} callback - Receives (y, leftX, rightX)
+     * @private
+     */
+    static _forEachStrokeSpan(cx, cy, rx, ry, rotation, halfWidth, height, callback) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const cX = cx - 0.5;
+        const cY = cy - 0.5;
+
+        const extentY = Math.sqrt(rx * rx * sin * sin + ry * ry * cos * cos);
+        const minY = Math.max(0, Math.ceil(cY - extentY - halfWidth));
+        const maxY = Math.min(height - 1, Math.floor(cY + extentY + halfWidth));
+        if (minY > maxY) return;
+
+        const rowCount = maxY - minY + 1;
+        const outerLeft = new Float64Array(rowCount).fill(Infinity);
+        const outerRight = new Float64Array(rowCount).fill(-Infinity);
+        EllipseOps._traceOffsetBounds(cX, cY, rx, ry, cos, sin, halfWidth, minY, outerLeft, outerRight);
+
+        // The interior survives while the stroke is narrower than the smaller radius;
+        // it is bounded by the inner parallel curve while that curve stays convex
+        const minRadius = Math.min(rx, ry);
+        const hasInterior = halfWidth < minRadius;
+        const innerIsConvex = halfWidth < minRadius * minRadius / Math.max(rx, ry);
+        let innerLeft = null, innerRight = null;
+        if (innerIsConvex) {
+            innerLeft = new Float64Array(rowCount).fill(Infinity);
+            innerRight = new Float64Array(rowCount).fill(-Infinity);
+            EllipseOps._traceOffsetBounds(cX, cY, rx, ry, cos, sin, -halfWidth, minY, innerLeft, innerRight);
+        }
+
+        for (let i = 0; i < rowCount; i++) {
+            const y = minY + i;
+            const leftX = Math.ceil(outerLeft[i]);
+            const rightX = Math.floor(outerRight[i]);
+            if (!(leftX <= rightX)) continue;
+
+            let interior = null;
+            if (innerIsConvex) {
+                if (innerLeft[i] <= innerRight[i]) interior = [innerLeft[i] - cX, innerRight[i] - cX];
+            } else if (hasInterior) {
+                interior = EllipseOps._interiorByDistance(y - cY, outerLeft[i] - cX, outerRight[i] - cX,
+                    rx, ry, cos, sin, halfWidth);
+            }
+
+            if (!interior) {
+                callback(y, leftX, rightX);
+            } else {
+                callback(y, leftX, Math.min(rightX, Math.floor(cX + interior[0])));
+                callback(y, Math.max(leftX, Math.ceil(cX + interior[1])), rightX);
+            }
+        }
+    }
+
+    /**
+     * Trace the pixels of a 1px ellipse outline.
+     * Samples the curve at sub-pixel steps, then drops the middle pixel of each
+     * L-shaped step so the outline is 8-connected without doubled corners.
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @returns {Array<number>} Flat list of pixel coordinates [x0, y0, x1, y1, ...]
+     * @private
+     */
+    static _tracePixels(cx, cy, rx, ry, rotation) {
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const steps = Math.max(Math.ceil(TAU * Math.max(rx, ry) * 2), 8);
+        const angleStep = TAU / steps;
+
+        const traced = [];
+        for (let i = 0; i < steps; i++) {
+            const angle = i * angleStep;
+            const localX = rx * Math.cos(angle);
+            const localY = ry * Math.sin(angle);
+            const px = Math.floor(cx + localX * cos - localY * sin);
+            const py = Math.floor(cy + localX * sin + localY * cos);
+            const n = traced.length;
+            if (n === 0 || traced[n - 2] !== px || traced[n - 1] !== py) {
+                traced.push(px, py);
+            }
+        }
+        // The outline is closed: drop a repeat of the first pixel at the end
+        const count = traced.length;
+        if (count > 2 && traced[count - 2] === traced[0] && traced[count - 1] === traced[1]) {
+            traced.length = count - 2;
+        }
+
+        const total = traced.length / 2;
+        if (total < 3) return traced;
+
+        // Corner pixels have neighbours that touch diagonally
+        const isCorner = (prev, next) =>
+            Math.abs(traced[next] - traced[prev]) === 1 && Math.abs(traced[next + 1] - traced[prev + 1]) === 1;
+
+        // Start the closed loop at a pixel that is never dropped, so the pass
+        // below never has to revisit a decision at the seam
+        let start = -1;
+        for (let i = 0; i < total && start < 0; i++) {
+            if (!isCorner(((i + total - 1) % total) * 2, ((i + 1) % total) * 2)) start = i;
+        }
+        if (start < 0) return traced;
+
+        const pixels = [traced[start * 2], traced[start * 2 + 1]];
+        let prev = start * 2;
+        for (let k = 1; k < total; k++) {
+            const current = ((start + k) % total) * 2;
+            const next = ((start + k + 1) % total) * 2;
+            if (isCorner(prev, next)) continue;
+            pixels.push(traced[current], traced[current + 1]);
+            prev = current;
+        }
+        return pixels;
+    }
+
+    /**
+     * Optimized opaque ellipse fill using analytic scanlines with 32-bit packed writes
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {Color} color - Fill color (must be opaque, alpha=255)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Opaq(surface, cx, cy, rx, ry, rotation, color, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data32 = surface.data32;
+        const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+
+        EllipseOps._forEachFillSpan(cx, cy, rx, ry, rotation, height, 0, (y, leftX, rightX) => {
+            SpanOps.fill_Opaq(data32, width, height, leftX, y, rightX - leftX + 1, packedColor, clipBuffer);
+        });
+    }
+
+    /**
+     * Optimized ellipse fill with alpha blending using analytic scanlines
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {Color} color - Fill color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Alpha(surface, cx, cy, rx, ry, rotation, color, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        const effectiveAlpha = (color.a / 255) * globalAlpha;
+        if (effectiveAlpha <= 0) return;
+        const invAlpha = 1 - effectiveAlpha;
+        const r = color.r, g = color.g, b = color.b;
+
+        EllipseOps._forEachFillSpan(cx, cy, rx, ry, rotation, height, 0, (y, leftX, rightX) => {
+            SpanOps.fill_Alpha(data, width, height, leftX, y, rightX - leftX + 1,
+                r, g, b, effectiveAlpha, invAlpha, clipBuffer);
+        });
+    }
+
+    /**
+     * Ellipse fill with a gradient or pattern using analytic scanlines
+     * Same pixel coverage as fill_Opaq/fill_Alpha; each scanline is painted by SpanOps.fill_Paint
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fill_Paint(surface, cx, cy, rx, ry, rotation, paint, transform, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        if (globalAlpha <= 0) return;
+
+        EllipseOps._forEachFillSpan(cx, cy, rx, ry, rotation, height, 0, (y, leftX, rightX) => {
+            SpanOps.fill_Paint(data, width, height, leftX, y, rightX - leftX + 1,
+                paint, transform, globalAlpha, clipBuffer);
+        });
+    }
+
+    /**
+     * Optimized 1px opaque ellipse stroke
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {Color} color - Stroke color (must be opaque)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static stroke1px_Opaq(surface, cx, cy, rx, ry, rotation, color, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data32 = surface.data32;
+        const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+
+        const pixels = EllipseOps._tracePixels(cx, cy, rx, ry, rotation);
+        for (let i = 0; i < pixels.length; i += 2) {
+            const px = pixels[i], py = pixels[i + 1];
+            if (px >= 0 && px < width && py >= 0 && py < height) {
+                const pos = py * width + px;
+                if (!clipBuffer || (clipBuffer[pos >> 3] & (1 << (pos & 7)))) {
+                    data32[pos] = packedColor;
+                }
+            }
+        }
+    }
+
+    /**
+     * Optimized 1px semi-transparent ellipse stroke
+     * Uses Set to prevent overdraw for semi-transparent colors
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static stroke1px_Alpha(surface, cx, cy, rx, ry, rotation, color, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        const effectiveAlpha = (color.a / 255) * globalAlpha;
+        if (effectiveAlpha <= 0) return;
+        const invAlpha = 1 - effectiveAlpha;
+        const r = color.r, g = color.g, b = color.b;
+
+        const uniquePixels = new Set();
+        const pixels = EllipseOps._tracePixels(cx, cy, rx, ry, rotation);
+        for (let i = 0; i < pixels.length; i += 2) {
+            const px = pixels[i], py = pixels[i + 1];
+            if (px >= 0 && px < width && py >= 0 && py < height) {
+                uniquePixels.add(py * width + px);
+            }
+        }
+
+        for (const pos of uniquePixels) {
+            if (!clipBuffer || (clipBuffer[pos >> 3] & (1 << (pos & 7)))) {
+                SpanOps.blendPixel_Alpha(data, pos * 4, r, g, b, effectiveAlpha, invAlpha);
+            }
+        }
+    }
+
+    /**
+     * Thick ellipse stroke (opaque or semi-transparent) using distance-based scanline spans
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis
+     * @param {number} ry - Radius along the rotated Y axis
+     * @param {number} rotation - Rotation in radians
+     * @param {number} lineWidth - Stroke width
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeThick_Any(surface, cx, cy, rx, ry, rotation, lineWidth, color, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const halfWidth = lineWidth / 2;
+
+        if (color.a === 255 && globalAlpha >= 1.0) {
+            const data32 = surface.data32;
+            const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+            EllipseOps._forEachStrokeSpan(cx, cy, rx, ry, rotation, halfWidth, height, (y, leftX, rightX) => {
+                if (leftX <= rightX) {
+                    SpanOps.fill_Opaq(data32, width, height, leftX, y, rightX - leftX + 1, packedColor, clipBuffer);
+                }
+            });
+            return;
+        }
+
+        const data = surface.data;
+        const effectiveAlpha = (color.a / 255) * globalAlpha;
+        if (effectiveAlpha <= 0) return;
+        const invAlpha = 1 - effectiveAlpha;
+        const r = color.r, g = color.g, b = color.b;
+        EllipseOps._forEachStrokeSpan(cx, cy, rx, ry, rotation, halfWidth, height, (y, leftX, rightX) => {
+            if (leftX <= rightX) {
+                SpanOps.fill_Alpha(data, width, height, leftX, y, rightX - leftX + 1,
+                    r, g, b, effectiveAlpha, invAlpha, clipBuffer);
+            }
+        });
+    }
+
+    /**
+     * Fill and stroke an ellipse in one call.
+     * The fill is contracted by FILL_EPSILON and drawn first; the stroke is drawn
+     * on top, so the two meet without gaps.
+     * @param {Surface} surface - Target surface
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} rx - Radius along the rotated X axis (path radius)
+     * @param {number} ry - Radius along the rotated Y axis (path radius)
+     * @param {number} rotation - Rotation in radians
+     * @param {number} lineWidth - Stroke width
+     * @param {Color|null} fillColor - Fill color
+     * @param {Color|null} strokeColor - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static fillStroke_Any(surface, cx, cy, rx, ry, rotation, lineWidth, fillColor, strokeColor, globalAlpha, clipBuffer) {
+        const hasFill = fillColor && fillColor.a > 0;
+        const hasStroke = strokeColor && strokeColor.a > 0 && lineWidth > 0;
+        if (!hasFill && !hasStroke) return;
+
+        if (hasFill) {
+            const width = surface.width;
+            const height = surface.height;
+            if (fillColor.a === 255 && globalAlpha >= 1.0) {
+                const data32 = surface.data32;
+                const packedColor = Surface.packColor(fillColor.r, fillColor.g, fillColor.b, 255);
+                EllipseOps._forEachFillSpan(cx, cy, rx, ry, rotation, height, FILL_EPSILON, (y, leftX, rightX) => {
+                    SpanOps.fill_Opaq(data32, width, height, leftX, y, rightX - leftX + 1, packedColor, clipBuffer);
+                });
+            } else {
+                const data = surface.data;
+                const effectiveAlpha = (fillColor.a / 255) * globalAlpha;
+                const invAlpha = 1 - effectiveAlpha;
+                const r = fillColor.r, g = fillColor.g, b = fillColor.b;
+                if (effectiveAlpha > 0) {
+                    EllipseOps._forEachFillSpan(cx, cy, rx, ry, rotation, height, FILL_EPSILON, (y, leftX, rightX) => {
+                        SpanOps.fill_Alpha(data, width, height, leftX, y, rightX - leftX + 1,
+                            r, g, b, effectiveAlpha, invAlpha, clipBuffer);
+                    });
+                }
+            }
+        }
+
+        if (hasStroke) {
+            if (Math.abs(lineWidth - 1) < STROKE_1PX_TOLERANCE) {
+                if (strokeColor.a === 255 && globalAlpha >= 1.0) {
+                    EllipseOps.stroke1px_Opaq(surface, cx, cy, rx, ry, rotation, strokeColor, clipBuffer);
+                } else {
+                    EllipseOps.stroke1px_Alpha(surface, cx, cy, rx, ry, rotation, strokeColor, globalAlpha, clipBuffer);
+                }
+            } else {
+                EllipseOps.strokeThick_Any(surface, cx, cy, rx, ry, rotation, lineWidth, strokeColor, globalAlpha, clipBuffer);
+            }
+        }
+    }
+}
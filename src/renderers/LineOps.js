@@ -10,16 +10,29 @@
  *
  * CALL HIERARCHY:
  * ---------------
- * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, QuadScanOps.fillQuad
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint, QuadScanOps.fillQuad
  *
  * Layer 1 (Internal):
  *   _strokeThick_PolyScan → QuadScanOps.lineToQuad + QuadScanOps.fillQuad/fillSquare
+ *   _strokeThick_Capsule  → QuadScanOps.fillCapsule
+ *   _extendLine           → Square caps (and thin round caps) as a longer butt line
+ *   _forEachDashedThinPixel → Bresenham + DashOps.isOn
  *
- * Layer 2 (Public dispatcher):
- *   stroke_Any → Bresenham (thin), SpanOps (thick AA), _strokeThick_PolyScan
+ * Layer 2 (Public dispatchers):
+ *   stroke_Any   → Bresenham (thin), SpanOps (thick AA), _strokeThick_PolyScan
+ *   stroke_Paint → Bresenham + SpanOps.fill_Paint (thin), QuadScanOps with paint (thick)
+ *
+ * Layer 3 (Capped):
+ *   strokeCapped_Any   → _extendLine + stroke_Any (square, thin round), _strokeThick_Capsule (thick round)
+ *   strokeCapped_Paint → _extendLine + stroke_Paint (square, thin round), QuadScanOps.fillCapsule with paint (thick round)
+ *
+ * Layer 3 (Dashed):
+ *   strokeDashed_Any   → _forEachDashedThinPixel (thin), DashOps.forEachDash + stroke_Any (thick)
+ *   strokeDashed_Paint → _forEachDashedThinPixel (thin), DashOps.forEachDash + stroke_Paint (thick)
  *
  * NAMING PATTERN: {operation}_{opacity}
  *   - Any = Handles all opacity/thickness cases (dispatcher)
+ *   - Paint = Gradient or Pattern paint, all thicknesses
  *   - (No orientation suffix - lines handle all angles)
  */
 class LineOps {
@@ -220,6 +233,337 @@ class LineOps {
         return false;
     }
 
+    /**
+     * Line stroke with a gradient or pattern (butt caps, source-over)
+     * Thin lines follow the same Bresenham pixels as stroke_Any; thick lines fill
+     * the line quad like the semi-transparent color path.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {Gradient|Pattern} paint - Stroke paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static stroke_Paint(surface, x1, y1, x2, y2, lineWidth, paint, transform, globalAlpha, clipBuffer) {
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+
+        if (lineWidth > THIN_LINE_THRESHOLD) {
+            const halfThick = lineWidth * 0.5;
+            const corners = QuadScanOps.lineToQuad(x1, y1, x2, y2, halfThick);
+            const params = { surface, isOpaque: false, paint, transform, globalAlpha, clipBuffer };
+
+            if (corners === null) {
+                // Zero-length line - draw a square
+                QuadScanOps.fillSquare(x1, y1, halfThick, params);
+            } else {
+                QuadScanOps.fillQuad(corners, params);
+            }
+            return;
+        }
+
+        let x1i = Math.floor(x1);
+        let y1i = Math.floor(y1);
+        let x2i = Math.floor(x2);
+        let y2i = Math.floor(y2);
+
+        // Shorten horizontal/vertical lines by 1 pixel to match HTML5 Canvas
+        if (x1i === x2i) {
+            if (y2i > y1i) y2i--; else y1i--;
+        }
+        if (y1i === y2i) {
+            if (x2i > x1i) x2i--; else x1i--;
+        }
+
+        const dx = Math.abs(x2i - x1i);
+        const dy = Math.abs(y2i - y1i);
+        const sx = x1i < x2i ? 1 : -1;
+        const sy = y1i < y2i ? 1 : -1;
+        let err = dx - dy;
+
+        let x = x1i;
+        let y = y1i;
+
+        while (true) {
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                const pixelIndex = y * width + x;
+                if (!clipBuffer || (clipBuffer[pixelIndex >> 3] & (1 << (pixelIndex & 7)))) {
+                    SpanOps.fill_Paint(data, width, height, x, y, 1, paint, transform, globalAlpha, null);
+                }
+            }
+
+            if (x === x2i && y === y2i) break;
+
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+    }
+
+    /**
+     * Line stroke with round or square caps and a color (source-over)
+     * Square caps extend the line by half its width at both ends. Round caps add a
+     * half disk at each end; the line and its caps are filled as one shape, so
+     * semi-transparent strokes blend every pixel once. Thin lines have caps smaller
+     * than a pixel and draw as the extended Bresenham line.
+     * Zero-length lines draw nothing, as in the path stroker.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {string} lineCap - 'round' or 'square'
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeCapped_Any(surface, x1, y1, x2, y2, lineWidth, lineCap, color, globalAlpha, clipBuffer) {
+        if (x1 === x2 && y1 === y2) return;
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0;
+
+        if (lineCap === 'round' && lineWidth > THIN_LINE_THRESHOLD) {
+            LineOps._strokeThick_Capsule(surface, x1, y1, x2, y2, lineWidth, color, globalAlpha, clipBuffer, !isOpaque);
+            return;
+        }
+
+        const line = LineOps._extendLine(x1, y1, x2, y2, lineWidth * 0.5);
+        LineOps.stroke_Any(surface, line.x1, line.y1, line.x2, line.y2, lineWidth, color, globalAlpha,
+            clipBuffer, isOpaque, !isOpaque);
+    }
+
+    /**
+     * Line stroke with round or square caps and a gradient or pattern (source-over)
+     * Same pixels as strokeCapped_Any.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {string} lineCap - 'round' or 'square'
+     * @param {Gradient|Pattern} paint - Stroke paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeCapped_Paint(surface, x1, y1, x2, y2, lineWidth, lineCap, paint, transform, globalAlpha, clipBuffer) {
+        if (x1 === x2 && y1 === y2) return;
+
+        if (lineCap === 'round' && lineWidth > THIN_LINE_THRESHOLD) {
+            QuadScanOps.fillCapsule(x1, y1, x2, y2, lineWidth * 0.5,
+                { surface, isOpaque: false, paint, transform, globalAlpha, clipBuffer });
+            return;
+        }
+
+        const line = LineOps._extendLine(x1, y1, x2, y2, lineWidth * 0.5);
+        LineOps.stroke_Paint(surface, line.x1, line.y1, line.x2, line.y2, lineWidth, paint, transform, globalAlpha, clipBuffer);
+    }
+
+    /**
+     * Dashed line stroke with a color (butt caps, source-over)
+     * Thin lines keep the Bresenham pixels of the solid line whose centers project
+     * into a dash; thick lines draw each dash as its own line.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeDashed_Any(surface, x1, y1, x2, y2, lineWidth, dash, color, globalAlpha, clipBuffer) {
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0;
+
+        if (lineWidth <= THIN_LINE_THRESHOLD) {
+            if (isOpaque) {
+                const data32 = surface.data32;
+                const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+                LineOps._forEachDashedThinPixel(surface, x1, y1, x2, y2, dash, clipBuffer, pixelIndex => {
+                    data32[pixelIndex] = packedColor;
+                });
+            } else {
+                const data = surface.data;
+                const alpha = (color.a / 255) * globalAlpha;
+                if (alpha <= 0) return;
+                const invAlpha = 1 - alpha;
+                LineOps._forEachDashedThinPixel(surface, x1, y1, x2, y2, dash, clipBuffer, pixelIndex => {
+                    SpanOps.blendPixel_Alpha(data, pixelIndex * 4, color.r, color.g, color.b, alpha, invAlpha);
+                });
+            }
+            return;
+        }
+
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        const ux = (x2 - x1) / length, uy = (y2 - y1) / length;
+        DashOps.forEachDash(dash, 0, length, (from, to) => {
+            LineOps.stroke_Any(surface, x1 + ux * from, y1 + uy * from, x1 + ux * to, y1 + uy * to,
+                lineWidth, color, globalAlpha, clipBuffer, isOpaque, !isOpaque);
+        });
+    }
+
+    /**
+     * Dashed line stroke with a gradient or pattern (butt caps, source-over)
+     * Same pixels as strokeDashed_Any.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Gradient|Pattern} paint - Stroke paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeDashed_Paint(surface, x1, y1, x2, y2, lineWidth, dash, paint, transform, globalAlpha, clipBuffer) {
+        if (lineWidth <= THIN_LINE_THRESHOLD) {
+            const width = surface.width;
+            LineOps._forEachDashedThinPixel(surface, x1, y1, x2, y2, dash, clipBuffer, pixelIndex => {
+                SpanOps.fill_Paint(surface.data, width, surface.height, pixelIndex % width, Math.floor(pixelIndex / width),
+                    1, paint, transform, globalAlpha, null);
+            });
+            return;
+        }
+
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        const ux = (x2 - x1) / length, uy = (y2 - y1) / length;
+        DashOps.forEachDash(dash, 0, length, (from, to) => {
+            LineOps.stroke_Paint(surface, x1 + ux * from, y1 + uy * from, x1 + ux * to, y1 + uy * to,
+                lineWidth, paint, transform, globalAlpha, clipBuffer);
+        });
+    }
+
+    /**
+     * Walk the Bresenham pixels of a thin line (as stroke_Any draws them) and report
+     * the visible, unclipped ones whose centers project into a dash.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Function} plot - Called with the pixel index of each dash pixel
+     * @private
+     */
+    static _forEachDashedThinPixel(surface, x1, y1, x2, y2, dash, clipBuffer, plot) {
+        const width = surface.width;
+        const height = surface.height;
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) return;
+        const ux = (x2 - x1) / length, uy = (y2 - y1) / length;
+
+        let x1i = Math.floor(x1);
+        let y1i = Math.floor(y1);
+        let x2i = Math.floor(x2);
+        let y2i = Math.floor(y2);
+
+        // Shorten horizontal/vertical lines by 1 pixel to match HTML5 Canvas
+        if (x1i === x2i) {
+            if (y2i > y1i) y2i--; else y1i--;
+        }
+        if (y1i === y2i) {
+            if (x2i > x1i) x2i--; else x1i--;
+        }
+
+        const dx = Math.abs(x2i - x1i);
+        const dy = Math.abs(y2i - y1i);
+        const sx = x1i < x2i ? 1 : -1;
+        const sy = y1i < y2i ? 1 : -1;
+        let err = dx - dy;
+
+        let x = x1i;
+        let y = y1i;
+
+        while (true) {
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                // End pixels may project just outside the line; they belong to its ends
+                const distance = Math.min(Math.max((x + 0.5 - x1) * ux + (y + 0.5 - y1) * uy, 0), length);
+                const pixelIndex = y * width + x;
+                if (DashOps.isOn(dash, distance) &&
+                    (!clipBuffer || (clipBuffer[pixelIndex >> 3] & (1 << (pixelIndex & 7))))) {
+                    plot(pixelIndex);
+                }
+            }
+
+            if (x === x2i && y === y2i) break;
+
+            const e2 = 2 * err;
+            if (e2 > -dy) {
+                err -= dy;
+                x += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+    }
+
+    /**
+     * Lengthen a line by the same distance at both ends
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} extension - Distance added at each end
+     * @returns {Object} Extended line {x1, y1, x2, y2}
+     * @private
+     */
+    static _extendLine(x1, y1, x2, y2, extension) {
+        const length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+        const ex = (x2 - x1) / length * extension;
+        const ey = (y2 - y1) / length * extension;
+        return { x1: x1 - ex, y1: y1 - ey, x2: x2 + ex, y2: y2 + ey };
+    }
+
+    /**
+     * Thick round-capped line rendering: the line quad and both cap disks filled
+     * together by QuadScanOps.fillCapsule.
+     * @param {Surface} surface - Target surface
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} lineWidth - Stroke width
+     * @param {Color} paintSource - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {boolean} useSemiTransparent - If true, use alpha blending
+     */
+    static _strokeThick_Capsule(surface, x1, y1, x2, y2, lineWidth, paintSource, globalAlpha, clipBuffer, useSemiTransparent) {
+        const r = paintSource.r;
+        const g = paintSource.g;
+        const b = paintSource.b;
+        const incomingAlpha = useSemiTransparent ? (paintSource.a / 255) * globalAlpha : 0;
+
+        QuadScanOps.fillCapsule(x1, y1, x2, y2, lineWidth * 0.5, {
+            surface,
+            r, g, b,
+            isOpaque: !useSemiTransparent,
+            packedColor: useSemiTransparent ? 0 : Surface.packColor(r, g, b, 255),
+            incomingAlpha,
+            inverseIncomingAlpha: useSemiTransparent ? 1 - incomingAlpha : 0,
+            clipBuffer
+        });
+    }
+
     /**
      * Fast thick line rendering using polygon scanline algorithm.
      * Treats the thick line as a quadrilateral and fills it using QuadScanOps.
@@ -4,9 +4,10 @@
  * Implements scanline polygon filling with nonzero and evenodd winding rules.
  * Handles stencil-based clipping integration and premultiplied alpha blending.
  *
- * Provides dual rendering approaches:
+ * Provides three rendering approaches:
  * - Optimized path: 32-bit packed writes for opaque solid colors
  * - Standard path: Full paint source support with gradients, patterns, compositing
+ * - Anti-aliased path (opt-in): per-pixel area coverage from sub-scanline accumulation
  *
  * Converted from functional to class-based approach following OO best practices:
  * - Static methods for stateless operations
@@ -14,6 +15,13 @@
  * - Immutable color handling with Color class integration
  */
 class PolygonFiller {
+    /** Reused output array for Gradient.fillSpan() */
+    static _spanColors = [];
+
+    /** Reused sub-scanline intersection buffers for rasterizeCoverage(), grown on demand */
+    static _crossingX = new Float64Array(64);
+    static _crossingWinding = new Int8Array(64);
+
     /**
      * Fill polygons using scanline algorithm with stencil-based clipping
      * Routes to optimized rendering when possible for optimal performance
@@ -28,21 +36,29 @@ class PolygonFiller {
      * @param {number} subPixelOpacity - Sub-pixel opacity for thin strokes (0-1)
      * @param {string} composite - Composite operation (default: 'source-over')
      * @param {SourceMask|null} sourceMask - Optional source coverage mask for canvas-wide compositing
+     * @param {boolean} antialias - Use coverage-based anti-aliased rasterization (default: false)
      */
-    static fillPolygons(surface, polygons, paintSource, fillRule, transform, clipMask, globalAlpha = 1.0, subPixelOpacity = 1.0, composite = 'source-over', sourceMask = null) {
+    static fillPolygons(surface, polygons, paintSource, fillRule, transform, clipMask, globalAlpha = 1.0, subPixelOpacity = 1.0, composite = 'source-over', sourceMask = null, antialias = false) {
         if (polygons.length === 0) return;
         if (!PolygonFiller._isValidPaintSource(paintSource)) {
             throw new Error('Paint source must be a Color, Gradient, or Pattern instance');
         }
 
-        // Check if we can use direct rendering (opaque solid color with source-over)
+        if (antialias) {
+            PolygonFiller._fillPolygonsAntialiased(surface, polygons, paintSource, fillRule, transform, clipMask, globalAlpha, subPixelOpacity, composite, sourceMask);
+            return;
+        }
+
+        // Check if we can use direct rendering (opaque solid color with source-over,
+        // and no soft clip edges to blend)
         const canUseDirectRendering =
             paintSource instanceof Color &&
             paintSource.a === 255 &&
             globalAlpha >= 1.0 &&
             subPixelOpacity >= 1.0 &&
             composite === 'source-over' &&
-            sourceMask === null;
+            sourceMask === null &&
+            !(clipMask && clipMask.hasSoftEdges());
 
         if (canUseDirectRendering) {
             PolygonFiller._fillPolygonsDirect(surface, polygons, paintSource, fillRule, transform, clipMask);
@@ -165,6 +181,203 @@ class PolygonFiller {
         }
     }
 
+    /**
+     * Anti-aliased path: scales the source alpha of each touched pixel by its
+     * area coverage (see rasterizeCoverage) times the clip coverage.
+     * @private
+     */
+    static _fillPolygonsAntialiased(surface, polygons, paintSource, fillRule, transform, clipMask, globalAlpha, subPixelOpacity, composite, sourceMask) {
+        if (typeof Context2D !== 'undefined' && Context2D._markPathBasedRendering) {
+            Context2D._markPathBasedRendering();
+        }
+
+        const width = surface.width;
+        const data32 = surface.data32;
+
+        // Fully covered pixels of an opaque color under source-over need no blending
+        const isOpaqueColor =
+            paintSource instanceof Color &&
+            paintSource.a === 255 &&
+            globalAlpha >= 1.0 &&
+            subPixelOpacity >= 1.0 &&
+            composite === 'source-over' &&
+            sourceMask === null;
+        const packedColor = isOpaqueColor ? Surface.packColor(paintSource.r, paintSource.g, paintSource.b, 255) : 0;
+        const clipCoverage = clipMask ? clipMask.coverage : null;
+
+        PolygonFiller.rasterizeCoverage(polygons, fillRule, transform, surface.width, surface.height, (x, y, coverage) => {
+            if (clipMask && clipMask.isPixelClipped(x, y)) return;
+
+            if (sourceMask) {
+                // Canvas-wide compositing resolves coverage (and the clip's) in its own pass
+                sourceMask.setCoverage(x, y, coverage);
+                return;
+            }
+
+            if (clipCoverage && clipCoverage[y * width + x] < 255) {
+                coverage = Math.round(coverage * clipCoverage[y * width + x] / 255);
+                if (coverage === 0) return;
+            }
+
+            if (coverage === 255 && isOpaqueColor) {
+                data32[y * width + x] = packedColor;
+                return;
+            }
+
+            let pixelColor = PolygonFiller._evaluatePaintSource(paintSource, x, y, transform, globalAlpha, subPixelOpacity);
+            if (coverage < 255) {
+                pixelColor = PolygonFiller.applyCoverage(pixelColor, coverage);
+            }
+
+            PolygonFiller._blendPixel(surface, y * surface.stride + x * 4, pixelColor, composite);
+        });
+    }
+
+    /**
+     * Compute per-pixel area coverage of polygons. Exact horizontal span coverage is
+     * accumulated over AA_SUBSCANLINES sub-scanlines per pixel row; fixed sample
+     * positions keep the result deterministic across platforms.
+     *
+     * @param {Array} polygons - Array of polygons (each polygon is array of {x,y} points)
+     * @param {string} fillRule - 'nonzero' or 'evenodd' winding rule
+     * @param {Transform2D} transform - Transformation matrix to apply to polygons
+     * @param {number} width - Raster width in pixels
+     * @param {number} height - Raster height in pixels
+     * @param {Function} visit - Called as visit(x, y, coverage) for each pixel with coverage 1-255, in row order
+     */
+    static rasterizeCoverage(polygons, fillRule, transform, width, height, visit) {
+        // Transform all polygon vertices
+        const transformedPolygons = polygons.map(poly =>
+            poly.map(point => transform.transformPoint(point))
+        );
+
+        const edges = PolygonFiller._buildEdgeList(transformedPolygons);
+        if (edges.length === 0) return;
+
+        const bounds = PolygonFiller._calculateBounds(transformedPolygons, { width, height });
+        const step = 1 / AA_SUBSCANLINES;
+
+        // Row accumulators: fractional coverage at span ends, plus a difference
+        // array for fully covered span interiors (resolved with a running sum)
+        const partial = new Float32Array(width + 1);
+        const interior = new Float32Array(width + 1);
+        const rowEdges = [];
+
+        // Each sub-scanline crosses every edge at most once
+        if (PolygonFiller._crossingX.length < edges.length) {
+            PolygonFiller._crossingX = new Float64Array(edges.length);
+            PolygonFiller._crossingWinding = new Int8Array(edges.length);
+        }
+        const crossingX = PolygonFiller._crossingX;
+        const crossingWinding = PolygonFiller._crossingWinding;
+
+        for (let y = bounds.minY; y <= bounds.maxY; y++) {
+            // Only edges overlapping this pixel row can cross its sub-scanlines
+            rowEdges.length = 0;
+            for (const edge of edges) {
+                if (edge.maxY > y && edge.minY < y + 1) rowEdges.push(edge);
+            }
+            if (rowEdges.length === 0) continue;
+
+            let minX = width;
+            let maxX = -1;
+
+            for (let s = 0; s < AA_SUBSCANLINES; s++) {
+                const sampleY = y + (s + 0.5) * step;
+
+                // Insertion sort by x: a sub-scanline has only a handful of crossings
+                let count = 0;
+                for (const edge of rowEdges) {
+                    if (sampleY >= edge.minY && sampleY < edge.maxY) {
+                        const x = edge.x0 + (sampleY - edge.y0) * edge.dxdy;
+                        let j = count++;
+                        while (j > 0 && crossingX[j - 1] > x) {
+                            crossingX[j] = crossingX[j - 1];
+                            crossingWinding[j] = crossingWinding[j - 1];
+                            j--;
+                        }
+                        crossingX[j] = x;
+                        crossingWinding[j] = edge.winding;
+                    }
+                }
+                if (count < 2) continue;
+
+                let windingNumber = 0;
+                for (let i = 0; i < count - 1; i++) {
+                    windingNumber += crossingWinding[i];
+
+                    const inside = fillRule === 'evenodd' ?
+                        (windingNumber % 2) !== 0 :
+                        windingNumber !== 0;
+                    if (!inside) continue;
+
+                    const xa = Math.max(0, crossingX[i]);
+                    const xb = Math.min(width, crossingX[i + 1]);
+                    if (xb <= xa) continue;
+
+                    const ia = Math.floor(xa);
+                    const ib = Math.floor(xb);
+
+                    if (ia === ib) {
+                        partial[ia] += (xb - xa) * step;
+                    } else {
+                        partial[ia] += (ia + 1 - xa) * step;
+                        interior[ia + 1] += step;
+                        interior[ib] -= step;
+                        if (ib < width) partial[ib] += (xb - ib) * step;
+                    }
+
+                    if (ia < minX) minX = ia;
+                    const lastX = ib < width ? ib : width - 1;
+                    if (lastX > maxX) maxX = lastX;
+                }
+            }
+
+            // Resolve coverage, clearing the accumulators as we go
+            let run = 0;
+            for (let x = minX; x <= maxX; x++) {
+                run += interior[x];
+                const coverage = Math.min(255, Math.round((partial[x] + run) * 255));
+                partial[x] = 0;
+                interior[x] = 0;
+
+                if (coverage > 0) visit(x, y, coverage);
+            }
+            if (maxX >= 0) interior[maxX + 1] = 0;
+        }
+    }
+
+    /**
+     * Build the non-horizontal edge list used by the anti-aliased filler
+     * @param {Array} polygons - Transformed polygons
+     * @returns {Array} Edges as {x0, y0, minY, maxY, dxdy, winding}
+     * @private
+     */
+    static _buildEdgeList(polygons) {
+        const edges = [];
+
+        for (const poly of polygons) {
+            for (let i = 0; i < poly.length; i++) {
+                const p1 = poly[i];
+                const p2 = poly[(i + 1) % poly.length];
+
+                // Horizontal edges never cross a sub-scanline
+                if (Math.abs(p1.y - p2.y) < FLOAT_EPSILON) continue;
+
+                edges.push({
+                    x0: p1.x,
+                    y0: p1.y,
+                    minY: Math.min(p1.y, p2.y),
+                    maxY: Math.max(p1.y, p2.y),
+                    dxdy: (p2.x - p1.x) / (p2.y - p1.y),
+                    winding: p2.y > p1.y ? 1 : -1
+                });
+            }
+        }
+
+        return edges;
+    }
+
     /**
      * Calculate bounding box for transformed polygons
      * @param {Array} polygons - Transformed polygons
@@ -314,6 +527,13 @@ class PolygonFiller {
      * @private
      */
     static _fillPixelSpan(surface, y, startX, endX, paintSource, clipMask, transform, globalAlpha, subPixelOpacity = 1.0, composite = 'source-over', sourceMask = null) {
+        // Gradients evaluate the whole span at once from their lookup table
+        const spanColors = paintSource instanceof Gradient && !sourceMask && startX <= endX ?
+            paintSource.fillSpan(startX, y, endX - startX + 1, transform, PolygonFiller._spanColors) :
+            null;
+        const clipCoverage = clipMask ? clipMask.coverage : null;
+        const rowIndex = y * surface.width;
+
         for (let x = startX; x <= endX; x++) {
             // Check stencil buffer clipping
             if (clipMask && clipMask.isPixelClipped(x, y)) {
@@ -328,7 +548,14 @@ class PolygonFiller {
             }
 
             // Evaluate paint source at pixel position
-            const pixelColor = PolygonFiller._evaluatePaintSource(paintSource, x, y, transform, globalAlpha, subPixelOpacity);
+            let pixelColor = spanColors ?
+                PolygonFiller._applyOpacity(spanColors[x - startX], globalAlpha, subPixelOpacity) :
+                PolygonFiller._evaluatePaintSource(paintSource, x, y, transform, globalAlpha, subPixelOpacity);
+
+            // Soft clip edges scale the source alpha by the clip coverage
+            if (clipCoverage && clipCoverage[rowIndex + x] < 255) {
+                pixelColor = PolygonFiller.applyCoverage(pixelColor, clipCoverage[rowIndex + x]);
+            }
 
             const offset = y * surface.stride + x * 4;
             PolygonFiller._blendPixel(surface, offset, pixelColor, composite);
@@ -365,6 +592,16 @@ class PolygonFiller {
         surface.data[offset + 3] = result.a;
     }
 
+    /**
+     * Scale a source color's alpha by a pixel coverage (shape area or clip)
+     * @param {Color} color - Source color
+     * @param {number} coverage - Coverage 0-255
+     * @returns {Color} Color with alpha scaled by coverage / 255
+     */
+    static applyCoverage(color, coverage) {
+        return new Color(color.r, color.g, color.b, Math.round(color.a * coverage / 255));
+    }
+
     /**
      * Utility method to convert old-style RGBA array to Color instance
      * Maintains backward compatibility during transition
@@ -440,6 +677,22 @@ class PolygonFiller {
             color = Color.transparent;
         }
 
+        return PolygonFiller._applyOpacity(color, globalAlpha, subPixelOpacity);
+    }
+
+    /**
+     * Apply global alpha and sub-pixel opacity to a paint color
+     * @param {Color} color - Paint color
+     * @param {number} globalAlpha - Global alpha value (0-1)
+     * @param {number} subPixelOpacity - Sub-pixel opacity for thin strokes (0-1)
+     * @returns {Color} Color with the opacities applied (the same instance when both are 1)
+     * @private
+     */
+    static _applyOpacity(color, globalAlpha, subPixelOpacity = 1.0) {
+        if (globalAlpha >= 1.0 && subPixelOpacity >= 1.0) {
+            return color;
+        }
+
         // Apply global alpha and sub-pixel opacity
         let resultColor = color.withGlobalAlpha(globalAlpha);
 
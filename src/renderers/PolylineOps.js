@@ -0,0 +1,470 @@
+/**
+ * PolylineOps - Static methods for direct polyline strokes
+ * Follows SpanOps pattern with static methods.
+ *
+ * Direct rendering is available exclusively via Context2D.strokePolyline(), which
+ * takes a flat list of x, y coordinates (e.g. a Float32Array) instead of a path,
+ * so long traces are stroked without building an SWPath2D or stroke polygons.
+ *
+ * The stroke is the union of convex pieces in device space: a quad per segment,
+ * join pieces (bevel triangles, miter kites, round join disks) and caps. Every
+ * piece records its horizontal extent on each scanline it crosses (rows sampled
+ * at pixel centers, spans ceil(left)..floor(right), like PolygonFiller). Each
+ * scanline then merges its extents and fills the merged spans once, so
+ * semi-transparent strokes never blend a pixel twice where pieces overlap.
+ * Points, pieces and extents live in typed arrays reused across calls.
+ *
+ * CALL HIERARCHY:
+ * ---------------
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint
+ *
+ * Layer 1 (Internal):
+ *   _devicePoints   → Transform, drop repeated points, close
+ *   _buildPieces    → Segment quads, joins and caps
+ *   _collectExtents → Per-scanline extents of every piece
+ *   _fillRows       → Merge extents per scanline + SpanOps
+ *
+ * Layer 2 (Public):
+ *   stroke_Any   → _stroke with a color (opaque: SpanOps.fill_Opaq, alpha: SpanOps.fill_Alpha)
+ *   stroke_Paint → _stroke with a gradient or pattern (SpanOps.fill_Paint)
+ *
+ * NAMING PATTERN: {operation}_{opacity}
+ *   - Any = Opaque and semi-transparent colors
+ *   - Paint = Gradient or Pattern paint
+ */
+class PolylineOps {
+    // Piece record: [type, x0, y0, x1, y1, x2, y2, x3, y3]
+    // (quads repeat a vertex for triangles; disks use [type, cx, cy, radius])
+    static _PIECE_STRIDE = 9;
+    static _PIECE_QUAD = 0;
+    static _PIECE_DISK = 1;
+
+    // Static pools - grown on demand and reused across calls
+    static _points = new Float64Array(256);
+    static _pieces = new Float64Array(1024);
+    static _pieceCount = 0;
+    static _rowStart = new Int32Array(256);
+    static _rowEnd = new Int32Array(256);
+    static _lefts = new Float64Array(1024);
+    static _rights = new Float64Array(1024);
+
+    /**
+     * Polyline stroke with a color (source-over)
+     * @param {Surface} surface - Target surface
+     * @param {ArrayLike<number>} points - Flat x, y coordinates in user space
+     * @param {boolean} closed - Join the last point back to the first
+     * @param {Transform2D} transform - Transform mapping points to device space (no skew or non-uniform scale)
+     * @param {Object} stroke - Stroke geometry in device pixels: {lineWidth, lineJoin, miterLimit, lineCap}
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static stroke_Any(surface, points, closed, transform, stroke, color, globalAlpha, clipBuffer) {
+        // Sub-pixel widths draw 1px wide at proportional opacity, as the path stroker does
+        const coverage = Math.min(stroke.lineWidth, 1);
+        const incomingAlpha = (color.a / 255) * globalAlpha * coverage;
+        if (incomingAlpha <= 0) return;
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0 && coverage >= 1;
+
+        PolylineOps._stroke(surface, points, closed, transform, stroke, {
+            isOpaque,
+            packedColor: isOpaque ? Surface.packColor(color.r, color.g, color.b, 255) : 0,
+            r: color.r, g: color.g, b: color.b,
+            incomingAlpha,
+            inverseIncomingAlpha: 1 - incomingAlpha,
+            paint: null,
+            clipBuffer
+        });
+    }
+
+    /**
+     * Polyline stroke with a gradient or pattern (source-over)
+     * Same pixels as stroke_Any.
+     * @param {Surface} surface - Target surface
+     * @param {ArrayLike<number>} points - Flat x, y coordinates in user space
+     * @param {boolean} closed - Join the last point back to the first
+     * @param {Transform2D} transform - Transform mapping points to device space; the paint is defined under it
+     * @param {Object} stroke - Stroke geometry in device pixels: {lineWidth, lineJoin, miterLimit, lineCap}
+     * @param {Gradient|Pattern} paint - Stroke paint
+     * @param {number} globalAlpha - Context global alpha
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static stroke_Paint(surface, points, closed, transform, stroke, paint, globalAlpha, clipBuffer) {
+        PolylineOps._stroke(surface, points, closed, transform, stroke, {
+            isOpaque: false,
+            paint,
+            transform,
+            globalAlpha: globalAlpha * Math.min(stroke.lineWidth, 1),
+            clipBuffer
+        });
+    }
+
+    /**
+     * Shared stroke pipeline: device points → pieces → scanline extents → spans
+     * @param {Surface} surface - Target surface
+     * @param {ArrayLike<number>} points - Flat x, y coordinates in user space
+     * @param {boolean} closed - Join the last point back to the first
+     * @param {Transform2D} transform - User to device transform
+     * @param {Object} stroke - Stroke geometry in device pixels
+     * @param {Object} params - Span parameters for _fillRows
+     * @private
+     */
+    static _stroke(surface, points, closed, transform, stroke, params) {
+        const count = PolylineOps._devicePoints(points, closed, transform);
+        if (count < 2) return;
+
+        PolylineOps._buildPieces(count, Math.max(stroke.lineWidth, 1) / 2,
+            stroke.lineJoin, stroke.miterLimit, stroke.lineCap);
+
+        const rows = PolylineOps._collectExtents(surface.height);
+        if (rows) {
+            PolylineOps._fillRows(surface, rows.minRow, rows.maxRow, params);
+        }
+    }
+
+    /**
+     * Transform the points into the point pool, dropping non-finite and repeated
+     * points (zero-length segments) and appending the first point when closed.
+     * @param {ArrayLike<number>} points - Flat x, y coordinates in user space
+     * @param {boolean} closed - Append the first point at the end
+     * @param {Transform2D} transform - User to device transform
+     * @returns {number} Number of device points in the pool
+     * @private
+     */
+    static _devicePoints(points, closed, transform) {
+        const available = points.length >> 1;
+        if (PolylineOps._points.length < (available + 1) * 2) {
+            PolylineOps._points = new Float64Array((available + 1) * 4);
+        }
+        const out = PolylineOps._points;
+        const { a, b, c, d, e, f } = transform;
+
+        let count = 0;
+        for (let i = 0; i < available; i++) {
+            const ux = points[i * 2];
+            const uy = points[i * 2 + 1];
+            if (!isFinite(ux) || !isFinite(uy)) continue;
+
+            const x = a * ux + c * uy + e;
+            const y = b * ux + d * uy + f;
+            if (count > 0 &&
+                Math.abs(x - out[count * 2 - 2]) < FLOAT_EPSILON &&
+                Math.abs(y - out[count * 2 - 1]) < FLOAT_EPSILON) {
+                continue;
+            }
+            out[count * 2] = x;
+            out[count * 2 + 1] = y;
+            count++;
+        }
+
+        if (closed && count > 1 &&
+            (Math.abs(out[0] - out[count * 2 - 2]) >= FLOAT_EPSILON ||
+             Math.abs(out[1] - out[count * 2 - 1]) >= FLOAT_EPSILON)) {
+            out[count * 2] = out[0];
+            out[count * 2 + 1] = out[1];
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Build the stroke pieces for the pooled device points.
+     * Like the path stroker, a polyline ending where it started is stroked as
+     * closed (joined at the start, no caps).
+     * @param {number} count - Number of device points (at least 2, no repeats)
+     * @param {number} halfWidth - Half the stroke width in device pixels
+     * @param {string} lineJoin - 'miter', 'round' or 'bevel'
+     * @param {number} miterLimit - Maximum miter length over half the width
+     * @param {string} lineCap - 'butt', 'round' or 'square'
+     * @private
+     */
+    static _buildPieces(count, halfWidth, lineJoin, miterLimit, lineCap) {
+        const p = PolylineOps._points;
+        const h = halfWidth;
+        const isClosed = count > 2 &&
+            Math.abs(p[0] - p[count * 2 - 2]) < FLOAT_EPSILON &&
+            Math.abs(p[1] - p[count * 2 - 1]) < FLOAT_EPSILON;
+        const segmentCount = count - 1;
+
+        // Worst case: a quad per segment, two pieces per join, two caps
+        const needed = (segmentCount * 3 + 2) * PolylineOps._PIECE_STRIDE;
+        if (PolylineOps._pieces.length < needed) {
+            PolylineOps._pieces = new Float64Array(needed * 2);
+        }
+        PolylineOps._pieceCount = 0;
+
+        for (let i = 0; i < segmentCount; i++) {
+            let x1 = p[i * 2], y1 = p[i * 2 + 1];
+            let x2 = p[i * 2 + 2], y2 = p[i * 2 + 3];
+            const length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+            const tx = (x2 - x1) / length;
+            const ty = (y2 - y1) / length;
+
+            if (!isClosed && lineCap !== 'butt') {
+                if (i === 0) {
+                    if (lineCap === 'square') {
+                        x1 -= tx * h;
+                        y1 -= ty * h;
+                    } else {
+                        PolylineOps._addDisk(x1, y1, h);
+                    }
+                }
+                if (i === segmentCount - 1) {
+                    if (lineCap === 'square') {
+                        x2 += tx * h;
+                        y2 += ty * h;
+                    } else {
+                        PolylineOps._addDisk(x2, y2, h);
+                    }
+                }
+            }
+
+            const nx = -ty * h;
+            const ny = tx * h;
+            PolylineOps._addQuad(x1 + nx, y1 + ny, x2 + nx, y2 + ny, x2 - nx, y2 - ny, x1 - nx, y1 - ny);
+
+            // Join with the next segment (the first one again at the end of a closed polyline)
+            if (i < segmentCount - 1 || isClosed) {
+                const next = i < segmentCount - 1 ? i + 1 : 0;
+                PolylineOps._addJoin(p[next * 2], p[next * 2 + 1], tx, ty,
+                    p[next * 2 + 2], p[next * 2 + 3], h, lineJoin, miterLimit);
+            }
+        }
+    }
+
+    /**
+     * Add the join pieces where a segment with direction (tx, ty) meets the
+     * segment from (jx, jy) to (nx2, ny2)
+     * @private
+     */
+    static _addJoin(jx, jy, tx, ty, nx2, ny2, h, lineJoin, miterLimit) {
+        const length = Math.sqrt((nx2 - jx) * (nx2 - jx) + (ny2 - jy) * (ny2 - jy));
+        const ux = (nx2 - jx) / length;
+        const uy = (ny2 - jy) / length;
+        const cross = tx * uy - ty * ux;
+        const dot = tx * ux + ty * uy;
+
+        // Straight on, or straight back: the segment ends already meet
+        if (Math.abs(cross) < FLOAT_EPSILON) return;
+
+        if (lineJoin === 'round') {
+            PolylineOps._addDisk(jx, jy, h);
+            return;
+        }
+
+        // Offsets to the outer corners (on the outside of the turn) of both segment ends
+        const side = cross > 0 ? -h : h;
+        const o1x = -ty * side, o1y = tx * side;
+        const o2x = -uy * side, o2y = ux * side;
+
+        // Inner corners: the path stroker fills this triangle too
+        PolylineOps._addQuad(jx, jy, jx - o1x, jy - o1y, jx - o2x, jy - o2y, jx, jy);
+
+        // Miter length over half the width is 1 / cos(turn / 2)
+        if (lineJoin === 'miter' && 1 / Math.sqrt((1 + dot) / 2) <= miterLimit) {
+            const scale = 1 / (1 + dot);
+            PolylineOps._addQuad(jx, jy, jx + o1x, jy + o1y,
+                jx + (o1x + o2x) * scale, jy + (o1y + o2y) * scale, jx + o2x, jy + o2y);
+        } else {
+            PolylineOps._addQuad(jx, jy, jx + o1x, jy + o1y, jx + o2x, jy + o2y, jx, jy);
+        }
+    }
+
+    /**
+     * Append a convex quad (vertices in order) to the piece pool
+     * @private
+     */
+    static _addQuad(x0, y0, x1, y1, x2, y2, x3, y3) {
+        const pieces = PolylineOps._pieces;
+        const i = PolylineOps._pieceCount++ * PolylineOps._PIECE_STRIDE;
+        pieces[i] = PolylineOps._PIECE_QUAD;
+        pieces[i + 1] = x0; pieces[i + 2] = y0;
+        pieces[i + 3] = x1; pieces[i + 4] = y1;
+        pieces[i + 5] = x2; pieces[i + 6] = y2;
+        pieces[i + 7] = x3; pieces[i + 8] = y3;
+    }
+
+    /**
+     * Append a disk to the piece pool
+     * @private
+     */
+    static _addDisk(cx, cy, radius) {
+        const pieces = PolylineOps._pieces;
+        const i = PolylineOps._pieceCount++ * PolylineOps._PIECE_STRIDE;
+        pieces[i] = PolylineOps._PIECE_DISK;
+        pieces[i + 1] = cx;
+        pieces[i + 2] = cy;
+        pieces[i + 3] = radius;
+    }
+
+    /**
+     * Rows whose pixel centers a piece can cover, clamped to the surface
+     * @returns {boolean} False if the piece misses every row
+     * @private
+     */
+    static _pieceRows(pieces, i, height, range) {
+        let top, bottom;
+        if (pieces[i] === PolylineOps._PIECE_DISK) {
+            top = pieces[i + 2] - pieces[i + 3];
+            bottom = pieces[i + 2] + pieces[i + 3];
+        } else {
+            top = Math.min(pieces[i + 2], pieces[i + 4], pieces[i + 6], pieces[i + 8]);
+            bottom = Math.max(pieces[i + 2], pieces[i + 4], pieces[i + 6], pieces[i + 8]);
+        }
+        range.first = Math.max(0, Math.ceil(top - 0.5));
+        range.last = Math.min(height - 1, Math.ceil(bottom - 0.5) - 1);
+        return range.first <= range.last;
+    }
+
+    /**
+     * Record every piece's extent on each scanline it crosses. Two passes: count
+     * the extents per row to lay the rows out in the extent pools, then store them.
+     * @param {number} height - Surface height
+     * @returns {Object|null} {minRow, maxRow} of the rows with extents, or null if none
+     * @private
+     */
+    static _collectExtents(height) {
+        const pieces = PolylineOps._pieces;
+        const stride = PolylineOps._PIECE_STRIDE;
+        const pieceCount = PolylineOps._pieceCount;
+        const range = { first: 0, last: 0 };
+
+        let minRow = height, maxRow = -1;
+        for (let p = 0; p < pieceCount; p++) {
+            if (!PolylineOps._pieceRows(pieces, p * stride, height, range)) continue;
+            if (range.first < minRow) minRow = range.first;
+            if (range.last > maxRow) maxRow = range.last;
+        }
+        if (maxRow < minRow) return null;
+
+        const rowCount = maxRow - minRow + 1;
+        if (PolylineOps._rowStart.length < rowCount + 1) {
+            PolylineOps._rowStart = new Int32Array((rowCount + 1) * 2);
+            PolylineOps._rowEnd = new Int32Array((rowCount + 1) * 2);
+        }
+        const rowStart = PolylineOps._rowStart;
+        const rowEnd = PolylineOps._rowEnd;
+        rowStart.fill(0, 0, rowCount + 1);
+
+        // Pass 1: count, then turn the counts into row offsets
+        for (let p = 0; p < pieceCount; p++) {
+            if (!PolylineOps._pieceRows(pieces, p * stride, height, range)) continue;
+            for (let y = range.first; y <= range.last; y++) {
+                rowStart[y - minRow + 1]++;
+            }
+        }
+        for (let r = 0; r < rowCount; r++) {
+            rowStart[r + 1] += rowStart[r];
+            rowEnd[r] = rowStart[r];
+        }
+        const total = rowStart[rowCount];
+        if (PolylineOps._lefts.length < total) {
+            PolylineOps._lefts = new Float64Array(total * 2);
+            PolylineOps._rights = new Float64Array(total * 2);
+        }
+        const lefts = PolylineOps._lefts;
+        const rights = PolylineOps._rights;
+
+        // Pass 2: store each piece's extent on its rows
+        for (let p = 0; p < pieceCount; p++) {
+            const i = p * stride;
+            if (!PolylineOps._pieceRows(pieces, i, height, range)) continue;
+
+            if (pieces[i] === PolylineOps._PIECE_DISK) {
+                const cx = pieces[i + 1], cy = pieces[i + 2], radiusSq = pieces[i + 3] * pieces[i + 3];
+                for (let y = range.first; y <= range.last; y++) {
+                    const dy = y + 0.5 - cy;
+                    if (dy * dy >= radiusSq) continue;
+                    const half = Math.sqrt(radiusSq - dy * dy);
+                    const slot = rowEnd[y - minRow]++;
+                    lefts[slot] = cx - half;
+                    rights[slot] = cx + half;
+                }
+                continue;
+            }
+
+            for (let y = range.first; y <= range.last; y++) {
+                const sampleY = y + 0.5;
+                let left = Infinity, right = -Infinity;
+                for (let k = 0; k < 4; k++) {
+                    const ax = pieces[i + 1 + k * 2], ay = pieces[i + 2 + k * 2];
+                    const next = (k + 1) & 3;
+                    const bx = pieces[i + 1 + next * 2], by = pieces[i + 2 + next * 2];
+
+                    // Same edge rule as PolygonFiller: skip horizontal edges, include the top end only
+                    if (Math.abs(ay - by) < FLOAT_EPSILON) continue;
+                    if (sampleY < Math.min(ay, by) || sampleY >= Math.max(ay, by)) continue;
+                    const x = ax + (sampleY - ay) / (by - ay) * (bx - ax);
+                    if (x < left) left = x;
+                    if (x > right) right = x;
+                }
+                if (left <= right) {
+                    const slot = rowEnd[y - minRow]++;
+                    lefts[slot] = left;
+                    rights[slot] = right;
+                }
+            }
+        }
+
+        return { minRow, maxRow };
+    }
+
+    /**
+     * Merge the extents on each row and fill the merged spans once.
+     * Sorting left and right ends separately and sweeping them with a depth
+     * counter gives the union of a row's extents without pairing them up.
+     * @param {Surface} surface - Target surface
+     * @param {number} minRow - First row with extents
+     * @param {number} maxRow - Last row with extents
+     * @param {Object} params - Span parameters (as QuadScanOps.fillQuad)
+     * @private
+     */
+    static _fillRows(surface, minRow, maxRow, params) {
+        const { isOpaque, packedColor, r, g, b, incomingAlpha, inverseIncomingAlpha, paint, clipBuffer } = params;
+        const width = surface.width;
+        const height = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+        const lefts = PolylineOps._lefts;
+        const rights = PolylineOps._rights;
+        const rowStart = PolylineOps._rowStart;
+        const rowEnd = PolylineOps._rowEnd;
+
+        const fillSpan = (from, to, y) => {
+            const startX = Math.max(0, Math.ceil(from));
+            const endX = Math.min(width - 1, Math.floor(to));
+            if (startX > endX) return;
+            const length = endX - startX + 1;
+            if (isOpaque) {
+                SpanOps.fill_Opaq(data32, width, height, startX, y, length, packedColor, clipBuffer);
+            } else if (paint) {
+                SpanOps.fill_Paint(data, width, height, startX, y, length, paint, params.transform, params.globalAlpha, clipBuffer);
+            } else {
+                SpanOps.fill_Alpha(data, width, height, startX, y, length, r, g, b, incomingAlpha, inverseIncomingAlpha, clipBuffer);
+            }
+        };
+
+        for (let y = minRow; y <= maxRow; y++) {
+            const start = rowStart[y - minRow];
+            const end = rowEnd[y - minRow];
+            if (start === end) continue;
+            if (end - start > 1) {
+                lefts.subarray(start, end).sort();
+                rights.subarray(start, end).sort();
+            }
+
+            let i = start, j = start, depth = 0, spanStart = 0;
+            while (i < end) {
+                // Touching extents merge: lefts go first on ties
+                if (lefts[i] <= rights[j]) {
+                    if (depth++ === 0) spanStart = lefts[i];
+                    i++;
+                } else {
+                    if (--depth === 0) fillSpan(spanStart, rights[j], y);
+                    j++;
+                }
+            }
+            fillSpan(spanStart, rights[end - 1], y);
+        }
+    }
+}
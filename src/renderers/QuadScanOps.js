@@ -3,17 +3,19 @@
  *
  * Specialized utility for filling 4-vertex convex shapes using scanline DDA.
  * Used by LineOps (thick diagonal lines) and RectOpsRot (semi-transparent strokes).
+ * Also fills the capsule of a round-capped line (line quad plus a disk at each end).
  *
  * NOT for general polygons - use PolygonFiller for arbitrary N-vertex shapes
  * with winding rules and paint source support.
  *
  * CALL HIERARCHY:
  * ---------------
- * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint
  *
  * Layer 1 (Primitives):
- *   lineToQuad - Convert line + thickness to 4 corners
- *   fillQuad   - Scanline fill the quad (calls SpanOps or per-pixel blend)
+ *   lineToQuad  - Convert line + thickness to 4 corners
+ *   fillQuad    - Scanline fill the quad (calls SpanOps or per-pixel blend)
+ *   fillCapsule - Scanline fill a round-capped line, one span per row (calls SpanOps)
  */
 class QuadScanOps {
     // Static pools - reused across calls to eliminate GC pressure
@@ -80,6 +82,9 @@ class QuadScanOps {
      * @param {number} [params.incomingAlpha] - Effective alpha (0-1) for blending
      * @param {number} [params.inverseIncomingAlpha] - 1 - incomingAlpha for blending
      * @param {Uint8Array|null} params.clipBuffer - Clip mask buffer
+     * @param {Gradient|Pattern|null} [params.paint] - Paint evaluated per pixel instead of r, g, b
+     * @param {Transform2D} [params.transform] - Canvas transform the paint is defined under
+     * @param {number} [params.globalAlpha] - Context global alpha applied to the paint
      * @param {Set|null} [params.collectTo] - Add rendered pixel positions to this Set
      * @param {Set|null} [params.skipFrom] - Skip pixels that are in this Set
      */
@@ -90,6 +95,7 @@ class QuadScanOps {
         const inverseIncomingAlpha = params.inverseIncomingAlpha || 0;
         const collectTo = params.collectTo || null;
         const skipFrom = params.skipFrom || null;
+        const paint = params.paint || null;
 
         const width = surface.width;
         const height = surface.height;
@@ -163,6 +169,8 @@ class QuadScanOps {
                     // Render pixel
                     if (isOpaque) {
                         data32[pixelIndex] = packedColor;
+                    } else if (paint) {
+                        SpanOps.fill_Paint(data, width, height, x, y, 1, paint, params.transform, params.globalAlpha, null);
                     } else {
                         QuadScanOps._blendPixel(data, pixelIndex, r, g, b, incomingAlpha, inverseIncomingAlpha);
                     }
@@ -197,6 +205,8 @@ class QuadScanOps {
                             // Render pixel
                             if (isOpaque) {
                                 data32[pixelIndex] = packedColor;
+                            } else if (paint) {
+                                SpanOps.fill_Paint(data, width, height, x, y, 1, paint, params.transform, params.globalAlpha, null);
                             } else {
                                 QuadScanOps._blendPixel(data, pixelIndex, r, g, b, incomingAlpha, inverseIncomingAlpha);
                             }
@@ -205,6 +215,8 @@ class QuadScanOps {
                         // Span mode using SpanOps (faster, no Set tracking)
                         if (isOpaque) {
                             SpanOps.fill_Opaq(data32, width, height, leftX, y, spanLength, packedColor, clipBuffer);
+                        } else if (paint) {
+                            SpanOps.fill_Paint(data, width, height, leftX, y, spanLength, paint, params.transform, params.globalAlpha, clipBuffer);
                         } else {
                             SpanOps.fill_Alpha(data, width, height, leftX, y, spanLength, r, g, b, incomingAlpha, inverseIncomingAlpha, clipBuffer);
                         }
@@ -229,6 +241,7 @@ class QuadScanOps {
         const inverseIncomingAlpha = params.inverseIncomingAlpha || 0;
         const collectTo = params.collectTo || null;
         const skipFrom = params.skipFrom || null;
+        const paint = params.paint || null;
 
         const width = surface.width;
         const height = surface.height;
@@ -265,6 +278,8 @@ class QuadScanOps {
 
                     if (isOpaque) {
                         data32[pixelIndex] = packedColor;
+                    } else if (paint) {
+                        SpanOps.fill_Paint(data, width, height, x, y, 1, paint, params.transform, params.globalAlpha, null);
                     } else {
                         QuadScanOps._blendPixel(data, pixelIndex, r, g, b, incomingAlpha, inverseIncomingAlpha);
                     }
@@ -273,6 +288,8 @@ class QuadScanOps {
                 // Span mode using SpanOps
                 if (isOpaque) {
                     SpanOps.fill_Opaq(data32, width, height, leftX, y, spanLength, packedColor, clipBuffer);
+                } else if (paint) {
+                    SpanOps.fill_Paint(data, width, height, leftX, y, spanLength, paint, params.transform, params.globalAlpha, clipBuffer);
                 } else {
                     SpanOps.fill_Alpha(data, width, height, leftX, y, spanLength, r, g, b, incomingAlpha, inverseIncomingAlpha, clipBuffer);
                 }
@@ -280,6 +297,109 @@ class QuadScanOps {
         }
     }
 
+    /**
+     * Fill the capsule of a round-capped line: every point within halfThickness of
+     * the segment. The capsule is convex, so each row is a single span (the union of
+     * the line quad and the two end disks) and semi-transparent pixels blend once.
+     * Rows are sampled at pixel centers and spans cover ceil(left)..floor(right),
+     * like PolygonFiller, so round caps line up with the path pipeline.
+     *
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @param {number} halfThickness - Half the stroke width (cap radius)
+     * @param {Object} params - Same parameters as fillQuad (collectTo and skipFrom are not supported)
+     */
+    static fillCapsule(x1, y1, x2, y2, halfThickness, params) {
+        const { surface, r, g, b, isOpaque, clipBuffer } = params;
+        const packedColor = params.packedColor || 0;
+        const incomingAlpha = params.incomingAlpha || 0;
+        const inverseIncomingAlpha = params.inverseIncomingAlpha || 0;
+        const paint = params.paint || null;
+
+        const width = surface.width;
+        const height = surface.height;
+        const data32 = surface.data32;
+        const data = surface.data;
+
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lineLength = Math.sqrt(dx * dx + dy * dy);
+        const ux = lineLength > 0 ? dx / lineLength : 0;
+        const uy = lineLength > 0 ? dy / lineLength : 0;
+        const h = halfThickness;
+        const hSq = h * h;
+
+        const minY = Math.max(0, Math.floor(Math.min(y1, y2) - h));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(y1, y2) + h));
+
+        for (let y = minY; y <= maxY; y++) {
+            const py = y + 0.5;
+            let left = Infinity;
+            let right = -Infinity;
+
+            // End disks
+            const d1 = py - y1;
+            if (d1 * d1 < hSq) {
+                const half = Math.sqrt(hSq - d1 * d1);
+                left = x1 - half;
+                right = x1 + half;
+            }
+            const d2 = py - y2;
+            if (d2 * d2 < hSq) {
+                const half = Math.sqrt(hSq - d2 * d2);
+                if (x2 - half < left) left = x2 - half;
+                if (x2 + half > right) right = x2 + half;
+            }
+
+            // Line quad: 0 <= along <= lineLength and -h <= across <= h,
+            // both linear in x along the row
+            if (lineLength > 0) {
+                let bodyLeft = -Infinity;
+                let bodyRight = Infinity;
+                const along0 = (py - y1) * uy - x1 * ux;   // along = ux * x + along0
+                const across0 = (py - y1) * ux + x1 * uy;  // across = -uy * x + across0
+                if (Math.abs(ux) > 1e-12) {
+                    const a = -along0 / ux;
+                    const c = (lineLength - along0) / ux;
+                    bodyLeft = Math.max(bodyLeft, Math.min(a, c));
+                    bodyRight = Math.min(bodyRight, Math.max(a, c));
+                } else if (along0 < 0 || along0 > lineLength) {
+                    bodyRight = -Infinity;
+                }
+                if (Math.abs(uy) > 1e-12) {
+                    const a = (across0 - h) / uy;
+                    const c = (across0 + h) / uy;
+                    bodyLeft = Math.max(bodyLeft, Math.min(a, c));
+                    bodyRight = Math.min(bodyRight, Math.max(a, c));
+                } else if (py - y1 < -h || py - y1 >= h) {
+                    // Horizontal line: rows on its lower edge are left out, as by PolygonFiller
+                    bodyRight = -Infinity;
+                }
+                if (bodyLeft < bodyRight) {
+                    if (bodyLeft < left) left = bodyLeft;
+                    if (bodyRight > right) right = bodyRight;
+                }
+            }
+
+            if (!(left < right)) continue;
+
+            const leftX = Math.max(0, Math.ceil(left));
+            const rightX = Math.min(width - 1, Math.floor(right));
+            const spanLength = rightX - leftX + 1;
+            if (spanLength <= 0) continue;
+
+            if (isOpaque) {
+                SpanOps.fill_Opaq(data32, width, height, leftX, y, spanLength, packedColor, clipBuffer);
+            } else if (paint) {
+                SpanOps.fill_Paint(data, width, height, leftX, y, spanLength, paint, params.transform, params.globalAlpha, clipBuffer);
+            } else {
+                SpanOps.fill_Alpha(data, width, height, leftX, y, spanLength, r, g, b, incomingAlpha, inverseIncomingAlpha, clipBuffer);
+            }
+        }
+    }
+
     /**
      * Blend a single pixel with alpha compositing.
      * @private
@@ -3,7 +3,7 @@
  * Follows PolygonFiller pattern with static methods.
  *
  * Direct rendering is available exclusively via dedicated Context2D methods:
- * fillRect(), strokeRect()
+ * fillRect(), strokeRect(), fillRects()
  *
  * Path-based rectangles (beginPath() + rect() + fill()/stroke()) use the
  * generic polygon pipeline for consistent, predictable behavior.
@@ -13,19 +13,25 @@
  *
  * CALL HIERARCHY:
  * ---------------
- * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint, SpanOps.fill_Add
  *
  * Layer 1 (Primitives - do atomic rendering):
- *   fill_AA_Opaq, fill_AA_Alpha
+ *   fill_AA_Opaq, fill_AA_Alpha (call SpanOps.fill_Opaq / SpanOps.fill_Alpha per row)
+ *   fill_AA_Paint (calls SpanOps.fill_Paint)
+ *   fill_AA_Add (calls SpanOps.fill_Add)
+ *   fillBatch_AA_Any (calls SpanOps.fill_Opaq / SpanOps.fill_Alpha / SpanOps.fill_Add per rectangle row)
  *   stroke1px_AA_Opaq, stroke1px_AA_Alpha
  *   strokeThick_AA_Opaq, strokeThick_AA_Alpha
  *
  * Layer 2 (Composites - call SpanOps):
  *   fillStroke_AA_Any    → SpanOps (inline)
+ *   strokeDashed_AA_Any  → DashOps.forEachDash/isJoined + SpanOps (merged spans for alpha)
  *
  * NAMING PATTERN: {operation}[Thickness]_{orientation}_{opacity}
  *   - AA = Axis-Aligned
  *   - Opaq = Opaque only, Alpha = Semi-transparent, Any = Handles both
+ *   - Paint = Gradient or Pattern paint evaluated per span
+ *   - Add = Additive compositing (lighter / plus-lighter)
  */
 class RectOpsAA {
     /**
@@ -361,8 +367,9 @@ class RectOpsAA {
      * @param {number} height - Rectangle height
      * @param {Color} color - Fill color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_AA_Opaq(surface, x, y, width, height, color, clipBuffer) {
+    static fill_AA_Opaq(surface, x, y, width, height, color, clipBuffer, clipCoverage = null) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
@@ -374,17 +381,8 @@ class RectOpsAA {
         const bottom = Math.ceil(y + height);
 
         for (let py = Math.max(0, top); py < Math.min(bottom, surfaceHeight); py++) {
-            for (let px = Math.max(0, left); px < Math.min(right, surfaceWidth); px++) {
-                const pixelIndex = py * surfaceWidth + px;
-
-                if (clipBuffer) {
-                    const byteIndex = pixelIndex >> 3;
-                    const bitIndex = pixelIndex & 7;
-                    if (!(clipBuffer[byteIndex] & (1 << bitIndex))) continue;
-                }
-
-                data32[pixelIndex] = packedColor;
-            }
+            SpanOps.fill_Opaq(data32, surfaceWidth, surfaceHeight, left, py, right - left,
+                packedColor, clipBuffer, clipCoverage);
         }
     }
 
@@ -398,8 +396,9 @@ class RectOpsAA {
      * @param {Color} color - Fill color
      * @param {number} globalAlpha - Context global alpha (0-1)
      * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_AA_Alpha(surface, x, y, width, height, color, globalAlpha, clipBuffer) {
+    static fill_AA_Alpha(surface, x, y, width, height, color, globalAlpha, clipBuffer, clipCoverage = null) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data = surface.data;
@@ -407,7 +406,6 @@ class RectOpsAA {
         const effectiveAlpha = (color.a / 255) * globalAlpha;
         if (effectiveAlpha <= 0) return;
         const invAlpha = 1 - effectiveAlpha;
-        const r = color.r, g = color.g, b = color.b;
 
         const left = Math.floor(x);
         const top = Math.floor(y);
@@ -415,26 +413,146 @@ class RectOpsAA {
         const bottom = Math.ceil(y + height);
 
         for (let py = Math.max(0, top); py < Math.min(bottom, surfaceHeight); py++) {
-            for (let px = Math.max(0, left); px < Math.min(right, surfaceWidth); px++) {
-                const pixelIndex = py * surfaceWidth + px;
+            SpanOps.fill_Alpha(data, surfaceWidth, surfaceHeight, left, py, right - left,
+                color.r, color.g, color.b, effectiveAlpha, invAlpha, clipBuffer, clipCoverage);
+        }
+    }
 
-                if (clipBuffer) {
-                    const byteIndex = pixelIndex >> 3;
-                    const bitIndex = pixelIndex & 7;
-                    if (!(clipBuffer[byteIndex] & (1 << bitIndex))) continue;
-                }
+    /**
+     * Rectangle fill with a gradient or pattern, one SpanOps.fill_Paint span per row
+     * Covers the same pixels as fill_AA_Opaq/fill_AA_Alpha.
+     * @param {Surface} surface - Target surface
+     * @param {number} x - Rectangle X coordinate
+     * @param {number} y - Rectangle Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_AA_Paint(surface, x, y, width, height, paint, transform, globalAlpha, clipBuffer, clipCoverage = null) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const data = surface.data;
+
+        if (globalAlpha <= 0) return;
+
+        const left = Math.floor(x);
+        const top = Math.floor(y);
+        const right = Math.ceil(x + width);
+        const bottom = Math.ceil(y + height);
+
+        for (let py = Math.max(0, top); py < Math.min(bottom, surfaceHeight); py++) {
+            SpanOps.fill_Paint(data, surfaceWidth, surfaceHeight, left, py, right - left,
+                paint, transform, globalAlpha, clipBuffer, clipCoverage);
+        }
+    }
+
+    /**
+     * Rectangle fill with additive compositing (lighter / plus-lighter)
+     * Covers the same pixels as fill_AA_Opaq/fill_AA_Alpha.
+     * @param {Surface} surface - Target surface
+     * @param {number} x - Rectangle X coordinate
+     * @param {number} y - Rectangle Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Color} color - Fill color
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_AA_Add(surface, x, y, width, height, color, globalAlpha, clipBuffer, clipCoverage = null) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const data = surface.data;
+
+        const source = SpanOps.addSource(color, globalAlpha);
+        if (source.a <= 0) return;
 
-                const idx = pixelIndex * 4;
-                const oldAlpha = data[idx + 3] / 255;
-                const oldAlphaScaled = oldAlpha * invAlpha;
-                const newAlpha = effectiveAlpha + oldAlphaScaled;
-
-                if (newAlpha > 0) {
-                    const blendFactor = 1 / newAlpha;
-                    data[idx] = (r * effectiveAlpha + data[idx] * oldAlphaScaled) * blendFactor;
-                    data[idx + 1] = (g * effectiveAlpha + data[idx + 1] * oldAlphaScaled) * blendFactor;
-                    data[idx + 2] = (b * effectiveAlpha + data[idx + 2] * oldAlphaScaled) * blendFactor;
-                    data[idx + 3] = newAlpha * 255;
+        const left = Math.floor(x);
+        const top = Math.floor(y);
+        const right = Math.ceil(x + width);
+        const bottom = Math.ceil(y + height);
+
+        for (let py = Math.max(0, top); py < Math.min(bottom, surfaceHeight); py++) {
+            SpanOps.fill_Add(data, surfaceWidth, surfaceHeight, left, py, right - left,
+                source.r, source.g, source.b, source.a, clipBuffer, clipCoverage);
+        }
+    }
+
+    /**
+     * Fill a batch of rectangles, each covering the same pixels as fill_AA_Opaq/fill_AA_Alpha
+     * would for it. Rectangles are mapped through the transform here, so the batch
+     * allocates nothing per rectangle.
+     * @param {Surface} surface - Target surface
+     * @param {ArrayLike<number>} rects - Flat x, y, width, height quadruples in user space
+     * @param {Uint32Array|null} colors - Per-rectangle colors packed as Surface.packColor(), or null for color
+     * @param {Color|null} color - Fill color for all rectangles when colors is null
+     * @param {Transform2D} transform - Axis-aligned transform (scales, translations, quarter turns)
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     * @param {Uint8Array|null} clipCoverage - Clip coverage, when the clip has soft edges
+     * @param {boolean} [additive=false] - Composite with lighter instead of source-over
+     */
+    static fillBatch_AA_Any(surface, rects, colors, color, transform, globalAlpha, clipBuffer, clipCoverage, additive = false) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+        const { a, b, c, d, e, f, scaleX, scaleY, is90DegreeRotated } = transform;
+
+        // Shared color, unless each rectangle brings its own
+        let isOpaque = false, packedColor = 0, red = 0, green = 0, blue = 0, alpha = 0;
+        let addColor = !colors && additive ? SpanOps.addSource(color, globalAlpha) : null;
+        if (!colors) {
+            alpha = (color.a / 255) * globalAlpha;
+            isOpaque = color.a === 255 && globalAlpha >= 1.0;
+            packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+            red = color.r; green = color.g; blue = color.b;
+        }
+
+        const count = rects.length >> 2;
+        for (let i = 0; i < count; i++) {
+            if (colors) {
+                const packed = colors[i];
+                const colorAlpha = packed >>> 24;
+                alpha = (colorAlpha / 255) * globalAlpha;
+                isOpaque = colorAlpha === 255 && globalAlpha >= 1.0;
+                packedColor = packed;
+                red = packed & 0xFF; green = (packed >>> 8) & 0xFF; blue = (packed >>> 16) & 0xFF;
+                if (additive && colorAlpha > 0) {
+                    addColor = SpanOps.addSource(new Color(red, green, blue, colorAlpha), globalAlpha);
+                }
+            }
+            if (alpha <= 0) continue;
+
+            // Device rectangle as computed by Context2D.fillRect()
+            const x = rects[i * 4], y = rects[i * 4 + 1];
+            const width = rects[i * 4 + 2], height = rects[i * 4 + 3];
+            const midX = x + width / 2, midY = y + height / 2;
+            const finalW = is90DegreeRotated ? height * scaleY : width * scaleX;
+            const finalH = is90DegreeRotated ? width * scaleX : height * scaleY;
+            const tlX = a * midX + c * midY + e - finalW / 2;
+            const tlY = b * midX + d * midY + f - finalH / 2;
+
+            const left = Math.floor(tlX);
+            const right = Math.ceil(tlX + finalW);
+            const top = Math.max(0, Math.floor(tlY));
+            const bottom = Math.min(Math.ceil(tlY + finalH), surfaceHeight);
+            if (!(left < right)) continue;
+
+            for (let py = top; py < bottom; py++) {
+                if (additive) {
+                    SpanOps.fill_Add(data, surfaceWidth, surfaceHeight, left, py, right - left,
+                        addColor.r, addColor.g, addColor.b, addColor.a, clipBuffer, clipCoverage);
+                } else if (isOpaque) {
+                    SpanOps.fill_Opaq(data32, surfaceWidth, surfaceHeight, left, py, right - left,
+                        packedColor, clipBuffer, clipCoverage);
+                } else {
+                    SpanOps.fill_Alpha(data, surfaceWidth, surfaceHeight, left, py, right - left,
+                        red, green, blue, alpha, 1 - alpha, clipBuffer, clipCoverage);
                 }
             }
         }
@@ -593,4 +711,106 @@ class RectOpsAA {
             }
         }
     }
+
+    /**
+     * Dashed rectangle stroke (butt dash ends, any opacity).
+     * Walks the four sides in path order from the first corner; each dash becomes
+     * a band of the stroke, and a dash running through a corner also covers the
+     * outer corner square, as the path stroker's miter join does. Semi-transparent
+     * colors merge overlapping bands per row so no pixel is blended twice.
+     * @param {Surface} surface - Target surface
+     * @param {Array<{x: number, y: number}>} points - Device-space corners in path order
+     *   (rect(x, y, w, h) visits (x, y), (x + w, y), (x + w, y + h), (x, y + h))
+     * @param {number} lineWidth - Stroke width in pixels
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Clip mask buffer
+     */
+    static strokeDashed_AA_Any(surface, points, lineWidth, dash, color, globalAlpha, clipBuffer = null) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const halfStroke = lineWidth / 2;
+
+        // Bands as [left, top, right, bottom] in device coordinates
+        const bands = [];
+        let distance = 0;
+        let inX = 0, inY = 0;
+        for (let i = 0; i < 4; i++) {
+            const p = points[i];
+            const q = points[(i + 1) & 3];
+            // Sides are horizontal or vertical (up to rounding in the transformed corners)
+            const horizontal = Math.abs(q.x - p.x) >= Math.abs(q.y - p.y);
+            const ux = horizontal ? Math.sign(q.x - p.x) : 0;
+            const uy = horizontal ? 0 : Math.sign(q.y - p.y);
+            const length = horizontal ? Math.abs(q.x - p.x) : Math.abs(q.y - p.y);
+
+            // The first corner is where the outline starts and ends: never joined.
+            // The miter adds the square beyond both sides: ahead along the incoming
+            // side and behind along the outgoing one.
+            if (i > 0 && DashOps.isJoined(dash, distance)) {
+                const cornerX = p.x + (inX - ux) * halfStroke;
+                const cornerY = p.y + (inY - uy) * halfStroke;
+                bands.push(Math.min(p.x, cornerX), Math.min(p.y, cornerY), Math.max(p.x, cornerX), Math.max(p.y, cornerY));
+            }
+            inX = ux;
+            inY = uy;
+
+            const acrossX = uy !== 0 ? halfStroke : 0;
+            const acrossY = ux !== 0 ? halfStroke : 0;
+            DashOps.forEachDash(dash, distance, length, (from, to) => {
+                const ax = p.x + ux * from, ay = p.y + uy * from;
+                const bx = p.x + ux * to, by = p.y + uy * to;
+                bands.push(Math.min(ax, bx) - acrossX, Math.min(ay, by) - acrossY,
+                    Math.max(ax, bx) + acrossX, Math.max(ay, by) + acrossY);
+            });
+            distance += length;
+        }
+
+        // Pixels covered as PolygonFiller covers the stroker's dash polygons: rows whose
+        // centers fall inside a band, columns whose left edges do (both band ends included)
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0;
+        const rows = isOpaque ? null : new Map();
+        const packedColor = isOpaque ? Surface.packColor(color.r, color.g, color.b, 255) : 0;
+        for (let i = 0; i < bands.length; i += 4) {
+            const left = Math.max(0, Math.ceil(bands[i]));
+            const right = Math.min(surfaceWidth, Math.floor(bands[i + 2]) + 1);
+            const top = Math.max(0, Math.ceil(bands[i + 1] - 0.5));
+            const bottom = Math.min(surfaceHeight, Math.ceil(bands[i + 3] - 0.5));
+            if (left >= right) continue;
+
+            for (let py = top; py < bottom; py++) {
+                if (isOpaque) {
+                    SpanOps.fill_Opaq(surface.data32, surfaceWidth, surfaceHeight, left, py, right - left, packedColor, clipBuffer);
+                } else {
+                    if (!rows.has(py)) rows.set(py, []);
+                    rows.get(py).push(left, right);
+                }
+            }
+        }
+        if (isOpaque) return;
+
+        const alpha = (color.a / 255) * globalAlpha;
+        if (alpha <= 0) return;
+        const invAlpha = 1 - alpha;
+        for (const [py, spans] of rows) {
+            const order = [];
+            for (let i = 0; i < spans.length; i += 2) order.push(i);
+            order.sort((a, b) => spans[a] - spans[b]);
+
+            let spanLeft = spans[order[0]], spanRight = spans[order[0] + 1];
+            for (let k = 1; k <= order.length; k++) {
+                if (k < order.length && spans[order[k]] <= spanRight) {
+                    spanRight = Math.max(spanRight, spans[order[k] + 1]);
+                    continue;
+                }
+                SpanOps.fill_Alpha(surface.data, surfaceWidth, surfaceHeight, spanLeft, py, spanRight - spanLeft,
+                    color.r, color.g, color.b, alpha, invAlpha, clipBuffer);
+                if (k < order.length) {
+                    spanLeft = spans[order[k]];
+                    spanRight = spans[order[k] + 1];
+                }
+            }
+        }
+    }
 }
@@ -13,19 +13,20 @@
  *
  * CALL HIERARCHY:
  * ---------------
- * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha
+ * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha, SpanOps.fill_Paint
  *
  * Layer 1 (Primitives - call SpanOps, fallback to RectOpsAA for radius=0):
- *   fill_AA_Opaq, fill_AA_Alpha
+ *   fill_AA_Opaq, fill_AA_Alpha, fill_AA_Paint
  *   stroke1px_AA_Opaq, stroke1px_AA_Alpha
  *   strokeThick_AA_Opaq, strokeThick_AA_Alpha
  *
  * Layer 2 (Composites):
  *   fillStroke_AA_Any  → Inline implementation (SpanOps + corner arcs)
+ *   strokeDashed_AA_Any → per-pixel edge bands and corner rings + DashOps.isOn/isJoined
  *
  * NAMING PATTERN: {operation}[Thickness]_{orientation}_{opacity}
  *   - Orientation: AA (axis-aligned)
- *   - Opacity: Opaq | Alpha | Any
+ *   - Opacity: Opaq | Alpha | Any, or Paint for gradients and patterns
  */
 class RoundedRectOpsAA {
     // =========================================================================
@@ -33,49 +34,75 @@ class RoundedRectOpsAA {
     // =========================================================================
 
     /**
-     * Calculate X extent for rounded corner at a given scanline Y.
+     * Calculate X extent for rounded corners at a given scanline Y.
+     * The left end follows the top-left or bottom-left corner, the right end the
+     * top-right or bottom-right corner; elliptical corners scale the circle's width.
      * @param {number} py - Scanline Y coordinate
      * @param {number} rectX - Rectangle left X
      * @param {number} rectW - Rectangle width
      * @param {number} rectY - Rectangle top Y
      * @param {number} rectH - Rectangle height
-     * @param {number} radius - Corner radius
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (top-left, top-right, bottom-right, bottom-left)
      * @param {number} [epsilon=0] - Epsilon for inset calculation
      * @returns {{leftX: number, rightX: number}} X extent or {-1, -1} if outside
      * @private
      */
-    static _getXExtent(py, rectX, rectW, rectY, rectH, radius, epsilon = 0) {
+    static _getXExtent(py, rectX, rectW, rectY, rectH, corners, epsilon = 0) {
         if (py < rectY || py >= rectY + rectH) {
             return { leftX: -1, rightX: -1 };
         }
-        if (radius <= 0) {
-            return { leftX: rectX, rightX: rectX + rectW - 1 };
-        }
         let leftX = rectX, rightX = rectX + rectW - 1;
-        if (py < rectY + radius) {
-            const dy = rectY + radius - py - 0.5;
-            const dySquared = dy * dy, radiusSquared = radius * radius;
-            if (dySquared < radiusSquared) {
-                const dx = Math.sqrt(radiusSquared - dySquared);
-                leftX = Math.ceil(rectX + radius - dx + epsilon);
-                rightX = Math.floor(rectX + rectW - radius + dx - 1 - epsilon);
-            } else {
-                return { leftX: -1, rightX: -1 };
-            }
-        } else if (py >= rectY + rectH - radius) {
-            const dy = py - (rectY + rectH - radius) + 0.5;
-            const dySquared = dy * dy, radiusSquared = radius * radius;
-            if (dySquared < radiusSquared) {
-                const dx = Math.sqrt(radiusSquared - dySquared);
-                leftX = Math.ceil(rectX + radius - dx + epsilon);
-                rightX = Math.floor(rectX + rectW - radius + dx - 1 - epsilon);
-            } else {
-                return { leftX: -1, rightX: -1 };
-            }
+
+        const left = RoundedRectOpsAA._cornerAtRow(py, rectY, rectH, corners[0], corners[3]);
+        if (left) {
+            const dx = RoundedRectOpsAA._cornerHalfWidth(left.corner, left.dy);
+            if (dx < 0) return { leftX: -1, rightX: -1 };
+            leftX = Math.ceil(rectX + left.corner.x - dx + epsilon);
+        }
+
+        const right = RoundedRectOpsAA._cornerAtRow(py, rectY, rectH, corners[1], corners[2]);
+        if (right) {
+            const dx = RoundedRectOpsAA._cornerHalfWidth(right.corner, right.dy);
+            if (dx < 0) return { leftX: -1, rightX: -1 };
+            rightX = Math.floor(rectX + rectW - right.corner.x + dx - 1 - epsilon);
         }
         return { leftX, rightX };
     }
 
+    /**
+     * Find the corner (if any) that shapes one side of a scanline.
+     * @param {number} py - Scanline Y coordinate
+     * @param {number} rectY - Rectangle top Y
+     * @param {number} rectH - Rectangle height
+     * @param {{x: number, y: number}} topCorner - Top corner on this side
+     * @param {{x: number, y: number}} bottomCorner - Bottom corner on this side
+     * @returns {{corner: Object, dy: number}|null} Corner and distance from its center row, or null on the straight part
+     * @private
+     */
+    static _cornerAtRow(py, rectY, rectH, topCorner, bottomCorner) {
+        if (py < rectY + topCorner.y) {
+            return { corner: topCorner, dy: rectY + topCorner.y - py - 0.5 };
+        }
+        if (py >= rectY + rectH - bottomCorner.y) {
+            return { corner: bottomCorner, dy: py - (rectY + rectH - bottomCorner.y) + 0.5 };
+        }
+        return null;
+    }
+
+    /**
+     * Horizontal distance from a corner's center to its curve, dy rows away.
+     * @param {{x: number, y: number}} corner - Corner radii
+     * @param {number} dy - Vertical distance from the corner center
+     * @returns {number} Distance, or -1 if the row misses the corner
+     * @private
+     */
+    static _cornerHalfWidth(corner, dy) {
+        const dySquared = dy * dy, radiusSquared = corner.y * corner.y;
+        if (dySquared >= radiusSquared) return -1;
+        const dx = Math.sqrt(radiusSquared - dySquared);
+        return corner.x === corner.y ? dx : dx * corner.x / corner.y;
+    }
+
     // =========================================================================
     // Axis-Aligned Public Static Methods
     // =========================================================================
@@ -90,7 +117,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {Color} color - Stroke color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
@@ -99,14 +126,13 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
 
-        // Normalize radius
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
-        if (width < 2 * radius) radius = width / 2;
-        if (height < 2 * radius) radius = height / 2;
-        radius = Math.round(Math.min(radius, Math.min(width, height) / 2));
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
+        const [tl, tr, br, bl] = corners;
 
         // Fallback to RectOps for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.stroke1px_AA_Opaq(surface, x, y, width, height, color);
             return;
         }
@@ -139,10 +165,10 @@ class RoundedRectOpsAA {
         const topY = Math.floor(posY);
         const bottomY = Math.floor(posY + posH - 0.5);
 
-        for (let xx = Math.floor(posX + radius); xx < posX + posW - radius; xx++) {
-            // Top edge
+        for (let xx = Math.floor(posX + tl.x); xx < posX + posW - tr.x; xx++) {
             setPixel(xx, topY);
-            // Bottom edge
+        }
+        for (let xx = Math.floor(posX + bl.x); xx < posX + posW - br.x; xx++) {
             setPixel(xx, bottomY);
         }
 
@@ -150,34 +176,36 @@ class RoundedRectOpsAA {
         const leftX = Math.floor(posX);
         const rightX = Math.floor(posX + posW - 0.5);
 
-        for (let yy = Math.floor(posY + radius); yy < posY + posH - radius; yy++) {
-            // Left edge
+        for (let yy = Math.floor(posY + tl.y); yy < posY + posH - bl.y; yy++) {
             setPixel(leftX, yy);
-            // Right edge
+        }
+        for (let yy = Math.floor(posY + tr.y); yy < posY + posH - br.y; yy++) {
             setPixel(rightX, yy);
         }
 
         // Draw corner arcs using angle iteration (Bresenham-style)
         // For a 1px stroke, we draw at radius - 0.5 to get proper pixel placement
-        const drawCorner = (cx, cy, startAngle, endAngle) => {
-            const sr = radius - 0.5;
+        const drawCorner = (cx, cy, corner, startAngle, endAngle) => {
+            if (corner.x <= 0) return;
+            const srx = corner.x - 0.5;
+            const sry = corner.y - 0.5;
             // Use 1 degree steps for smooth corners
             const angleStep = DEG_TO_RAD;
             for (let angle = startAngle; angle <= endAngle; angle += angleStep) {
-                const px = Math.floor(cx + sr * Math.cos(angle));
-                const py = Math.floor(cy + sr * Math.sin(angle));
+                const px = Math.floor(cx + srx * Math.cos(angle));
+                const py = Math.floor(cy + sry * Math.sin(angle));
                 setPixel(px, py);
             }
         };
 
         // Top-left corner (180° to 270°)
-        drawCorner(posX + radius, posY + radius, Math.PI, THREE_HALF_PI);
+        drawCorner(posX + tl.x, posY + tl.y, tl, Math.PI, THREE_HALF_PI);
         // Top-right corner (270° to 360°)
-        drawCorner(posX + posW - radius, posY + radius, THREE_HALF_PI, TAU);
+        drawCorner(posX + posW - tr.x, posY + tr.y, tr, THREE_HALF_PI, TAU);
         // Bottom-right corner (0° to 90°)
-        drawCorner(posX + posW - radius, posY + posH - radius, 0, HALF_PI);
+        drawCorner(posX + posW - br.x, posY + posH - br.y, br, 0, HALF_PI);
         // Bottom-left corner (90° to 180°)
-        drawCorner(posX + radius, posY + posH - radius, HALF_PI, Math.PI);
+        drawCorner(posX + bl.x, posY + posH - bl.y, bl, HALF_PI, Math.PI);
     }
 
     /**
@@ -189,7 +217,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {Color} color - Stroke color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
@@ -199,14 +227,13 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data = surface.data;
 
-        // Normalize radius
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
-        if (width < 2 * radius) radius = width / 2;
-        if (height < 2 * radius) radius = height / 2;
-        radius = Math.round(Math.min(radius, Math.min(width, height) / 2));
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
+        const [tl, tr, br, bl] = corners;
 
         // Fallback to RectOps for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.stroke1px_AA_Alpha(surface, x, y, width, height, color, globalAlpha);
             return;
         }
@@ -235,8 +262,10 @@ class RoundedRectOpsAA {
         const topY = Math.floor(posY);
         const bottomY = Math.floor(posY + posH - 0.5);
 
-        for (let xx = Math.floor(posX + radius); xx < posX + posW - radius; xx++) {
+        for (let xx = Math.floor(posX + tl.x); xx < posX + posW - tr.x; xx++) {
             collectPixel(xx, topY);
+        }
+        for (let xx = Math.floor(posX + bl.x); xx < posX + posW - br.x; xx++) {
             collectPixel(xx, bottomY);
         }
 
@@ -244,26 +273,30 @@ class RoundedRectOpsAA {
         const leftX = Math.floor(posX);
         const rightX = Math.floor(posX + posW - 0.5);
 
-        for (let yy = Math.floor(posY + radius); yy < posY + posH - radius; yy++) {
+        for (let yy = Math.floor(posY + tl.y); yy < posY + posH - bl.y; yy++) {
             collectPixel(leftX, yy);
+        }
+        for (let yy = Math.floor(posY + tr.y); yy < posY + posH - br.y; yy++) {
             collectPixel(rightX, yy);
         }
 
         // Collect corner arc pixels
-        const collectCorner = (cx, cy, startAngle, endAngle) => {
-            const sr = radius - 0.5;
+        const collectCorner = (cx, cy, corner, startAngle, endAngle) => {
+            if (corner.x <= 0) return;
+            const srx = corner.x - 0.5;
+            const sry = corner.y - 0.5;
             const angleStep = DEG_TO_RAD;
             for (let angle = startAngle; angle <= endAngle; angle += angleStep) {
-                const px = Math.floor(cx + sr * Math.cos(angle));
-                const py = Math.floor(cy + sr * Math.sin(angle));
+                const px = Math.floor(cx + srx * Math.cos(angle));
+                const py = Math.floor(cy + sry * Math.sin(angle));
                 collectPixel(px, py);
             }
         };
 
-        collectCorner(posX + radius, posY + radius, Math.PI, THREE_HALF_PI);
-        collectCorner(posX + posW - radius, posY + radius, THREE_HALF_PI, TAU);
-        collectCorner(posX + posW - radius, posY + posH - radius, 0, HALF_PI);
-        collectCorner(posX + radius, posY + posH - radius, HALF_PI, Math.PI);
+        collectCorner(posX + tl.x, posY + tl.y, tl, Math.PI, THREE_HALF_PI);
+        collectCorner(posX + posW - tr.x, posY + tr.y, tr, THREE_HALF_PI, TAU);
+        collectCorner(posX + posW - br.x, posY + posH - br.y, br, 0, HALF_PI);
+        collectCorner(posX + bl.x, posY + posH - bl.y, bl, HALF_PI, Math.PI);
 
         // Render all unique pixels once with alpha blending
         for (const pixelIndex of strokePixels) {
@@ -288,20 +321,6 @@ class RoundedRectOpsAA {
         }
     }
 
-    /**
-     * Normalize radius for rounded rectangle, clamping to valid range.
-     * @param {number|number[]} radii - Corner radius
-     * @param {number} width - Rectangle width
-     * @param {number} height - Rectangle height
-     * @returns {number} Normalized radius
-     */
-    static _normalizeRadius(radii, width, height) {
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
-        if (width < 2 * radius) radius = width / 2;
-        if (height < 2 * radius) radius = height / 2;
-        return Math.round(Math.min(radius, Math.min(width, height) / 2));
-    }
-
     /**
      * Direct rendering for opaque fill on axis-aligned rounded rectangle.
      * Uses scanline algorithm with 32-bit packed writes.
@@ -311,7 +330,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {Color} color - Fill color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
@@ -320,11 +339,12 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
 
-        // Normalize radius
-        let radius = this._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOps for zero radius
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.fill_AA_Opaq(surface, x, y, width, height, color);
             return;
         }
@@ -341,43 +361,12 @@ class RoundedRectOpsAA {
         for (let py = rectY; py < rectY + rectH; py++) {
             if (py < 0 || py >= surfaceHeight) continue;
 
-            let leftX = rectX;
-            let rightX = rectX + rectW - 1;
-
-            // Adjust for rounded corners
-            if (py < rectY + radius) {
-                // Top corners - calculate x extent based on circle equation
-                const cornerCenterY = rectY + radius;
-                const dy = cornerCenterY - py - 0.5;
-                const dySquared = dy * dy;
-                const radiusSquared = radius * radius;
-
-                if (dySquared < radiusSquared) {
-                    const dx = Math.sqrt(radiusSquared - dySquared);
-                    leftX = Math.ceil(rectX + radius - dx);
-                    rightX = Math.floor(rectX + rectW - radius + dx - 1);
-                } else {
-                    continue; // Outside the rounded area
-                }
-            } else if (py >= rectY + rectH - radius) {
-                // Bottom corners
-                const cornerCenterY = rectY + rectH - radius;
-                const dy = py - cornerCenterY + 0.5;
-                const dySquared = dy * dy;
-                const radiusSquared = radius * radius;
-
-                if (dySquared < radiusSquared) {
-                    const dx = Math.sqrt(radiusSquared - dySquared);
-                    leftX = Math.ceil(rectX + radius - dx);
-                    rightX = Math.floor(rectX + rectW - radius + dx - 1);
-                } else {
-                    continue; // Outside the rounded area
-                }
-            }
+            // Span between the corner curves (straight sides away from the corners)
+            const extent = RoundedRectOpsAA._getXExtent(py, rectX, rectW, rectY, rectH, corners);
 
             // Clamp to surface bounds
-            leftX = Math.max(0, leftX);
-            rightX = Math.min(surfaceWidth - 1, rightX);
+            const leftX = Math.max(0, extent.leftX);
+            const rightX = Math.min(surfaceWidth - 1, extent.rightX);
 
             if (leftX > rightX) continue;
 
@@ -396,7 +385,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {Color} color - Fill color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
@@ -406,11 +395,12 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data = surface.data;
 
-        // Normalize radius
-        let radius = this._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOps for zero radius
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.fill_AA_Alpha(surface, x, y, width, height, color, globalAlpha);
             return;
         }
@@ -431,41 +421,12 @@ class RoundedRectOpsAA {
         for (let py = rectY; py < rectY + rectH; py++) {
             if (py < 0 || py >= surfaceHeight) continue;
 
-            let leftX = rectX;
-            let rightX = rectX + rectW - 1;
-
-            // Adjust for rounded corners (same logic as fill_AA_Opaq)
-            if (py < rectY + radius) {
-                const cornerCenterY = rectY + radius;
-                const dy = cornerCenterY - py - 0.5;
-                const dySquared = dy * dy;
-                const radiusSquared = radius * radius;
-
-                if (dySquared < radiusSquared) {
-                    const dx = Math.sqrt(radiusSquared - dySquared);
-                    leftX = Math.ceil(rectX + radius - dx);
-                    rightX = Math.floor(rectX + rectW - radius + dx - 1);
-                } else {
-                    continue;
-                }
-            } else if (py >= rectY + rectH - radius) {
-                const cornerCenterY = rectY + rectH - radius;
-                const dy = py - cornerCenterY + 0.5;
-                const dySquared = dy * dy;
-                const radiusSquared = radius * radius;
-
-                if (dySquared < radiusSquared) {
-                    const dx = Math.sqrt(radiusSquared - dySquared);
-                    leftX = Math.ceil(rectX + radius - dx);
-                    rightX = Math.floor(rectX + rectW - radius + dx - 1);
-                } else {
-                    continue;
-                }
-            }
+            // Same extents as fill_AA_Opaq
+            const extent = RoundedRectOpsAA._getXExtent(py, rectX, rectW, rectY, rectH, corners);
 
             // Clamp to surface bounds
-            leftX = Math.max(0, leftX);
-            rightX = Math.min(surfaceWidth - 1, rightX);
+            const leftX = Math.max(0, extent.leftX);
+            const rightX = Math.min(surfaceWidth - 1, extent.rightX);
 
             if (leftX > rightX) continue;
 
@@ -475,6 +436,60 @@ class RoundedRectOpsAA {
         }
     }
 
+    /**
+     * Direct rendering for gradient or pattern fill on axis-aligned rounded rectangle.
+     * Same scanline extents as fill_AA_Alpha, painted by SpanOps.fill_Paint.
+     *
+     * @param {Surface} surface - Target surface
+     * @param {number} x - Top-left X coordinate
+     * @param {number} y - Top-left Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
+     * @param {Gradient|Pattern} paint - Fill paint
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Global alpha value
+     * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     */
+    static fill_AA_Paint(surface, x, y, width, height, radii, paint, transform, globalAlpha, clipBuffer = null) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const data = surface.data;
+
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
+
+        // Fallback to RectOps for zero radius
+        if (CornerRadii.isSquare(corners)) {
+            RectOpsAA.fill_AA_Paint(surface, x, y, width, height, paint, transform, globalAlpha, clipBuffer);
+            return;
+        }
+
+        // Calculate integer bounds
+        const rectX = Math.floor(x);
+        const rectY = Math.floor(y);
+        const rectW = Math.floor(width);
+        const rectH = Math.floor(height);
+
+        // For each scanline
+        for (let py = rectY; py < rectY + rectH; py++) {
+            if (py < 0 || py >= surfaceHeight) continue;
+
+            // Same extents as fill_AA_Alpha
+            const extent = RoundedRectOpsAA._getXExtent(py, rectX, rectW, rectY, rectH, corners);
+
+            // Clamp to surface bounds
+            const leftX = Math.max(0, extent.leftX);
+            const rightX = Math.min(surfaceWidth - 1, extent.rightX);
+
+            if (leftX > rightX) continue;
+
+            SpanOps.fill_Paint(data, surfaceWidth, surfaceHeight, leftX, py, rightX - leftX + 1,
+                paint, transform, globalAlpha, clipBuffer);
+        }
+    }
+
     /**
      * Direct rendering for thick opaque stroke on axis-aligned rounded rectangle.
      * Uses scanline algorithm to fill the stroke region between inner and outer bounds.
@@ -484,7 +499,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} lineWidth - Stroke width
      * @param {Color} color - Stroke color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
@@ -494,11 +509,12 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
 
-        // Normalize radius
-        let radius = this._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOps for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.strokeThick_AA_Opaq(surface, x, y, width, height, lineWidth, color, clipBuffer);
             return;
         }
@@ -512,20 +528,20 @@ class RoundedRectOpsAA {
         const outerY = Math.floor(y - halfStroke);
         const outerW = Math.ceil(width + lineWidth);
         const outerH = Math.ceil(height + lineWidth);
-        const outerRadius = radius + halfStroke;
+        const outerCorners = CornerRadii.offset(corners, halfStroke);
 
         const innerX = Math.floor(x + halfStroke);
         const innerY = Math.floor(y + halfStroke);
         const innerW = Math.floor(width - lineWidth);
         const innerH = Math.floor(height - lineWidth);
-        const innerRadius = Math.max(0, radius - halfStroke);
+        const innerCorners = CornerRadii.offset(corners, -halfStroke);
 
         // For each scanline in the outer bounds
         for (let py = outerY; py < outerY + outerH; py++) {
             if (py < 0 || py >= surfaceHeight) continue;
 
             // Get outer extent
-            const outer = RoundedRectOpsAA._getXExtent(py, outerX, outerW, outerY, outerH, outerRadius);
+            const outer = RoundedRectOpsAA._getXExtent(py, outerX, outerW, outerY, outerH, outerCorners);
             if (outer.leftX < 0) continue; // Outside outer bounds
 
             // Clamp outer to surface
@@ -535,7 +551,7 @@ class RoundedRectOpsAA {
 
             // Check if we're in the inner region (hollow part)
             if (innerW > 0 && innerH > 0 && py >= innerY && py < innerY + innerH) {
-                const inner = RoundedRectOpsAA._getXExtent(py, innerX, innerW, innerY, innerH, innerRadius);
+                const inner = RoundedRectOpsAA._getXExtent(py, innerX, innerW, innerY, innerH, innerCorners);
 
                 if (inner.leftX >= 0 && inner.rightX >= inner.leftX) {
                     // Draw left and right stroke spans around the inner region
@@ -576,7 +592,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} lineWidth - Stroke width
      * @param {Color} color - Stroke color
      * @param {number} globalAlpha - Global alpha value
@@ -587,11 +603,12 @@ class RoundedRectOpsAA {
         const surfaceHeight = surface.height;
         const data = surface.data;
 
-        // Normalize radius
-        let radius = this._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOps for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsAA.strokeThick_AA_Alpha(surface, x, y, width, height, lineWidth, color, globalAlpha, clipBuffer);
             return;
         }
@@ -609,19 +626,19 @@ class RoundedRectOpsAA {
         const outerY = Math.floor(y - halfStroke);
         const outerW = Math.ceil(width + lineWidth);
         const outerH = Math.ceil(height + lineWidth);
-        const outerRadius = radius + halfStroke;
+        const outerCorners = CornerRadii.offset(corners, halfStroke);
 
         const innerX = Math.floor(x + halfStroke);
         const innerY = Math.floor(y + halfStroke);
         const innerW = Math.floor(width - lineWidth);
         const innerH = Math.floor(height - lineWidth);
-        const innerRadius = Math.max(0, radius - halfStroke);
+        const innerCorners = CornerRadii.offset(corners, -halfStroke);
 
         // For each scanline in the outer bounds
         for (let py = outerY; py < outerY + outerH; py++) {
             if (py < 0 || py >= surfaceHeight) continue;
 
-            const outer = RoundedRectOpsAA._getXExtent(py, outerX, outerW, outerY, outerH, outerRadius);
+            const outer = RoundedRectOpsAA._getXExtent(py, outerX, outerW, outerY, outerH, outerCorners);
             if (outer.leftX < 0) continue;
 
             const outerLeft = Math.max(0, outer.leftX);
@@ -629,7 +646,7 @@ class RoundedRectOpsAA {
             if (outerLeft > outerRight) continue;
 
             if (innerW > 0 && innerH > 0 && py >= innerY && py < innerY + innerH) {
-                const inner = RoundedRectOpsAA._getXExtent(py, innerX, innerW, innerY, innerH, innerRadius);
+                const inner = RoundedRectOpsAA._getXExtent(py, innerX, innerW, innerY, innerH, innerCorners);
 
                 if (inner.leftX >= 0 && inner.rightX >= inner.leftX) {
                     const innerLeft = Math.max(0, inner.leftX);
@@ -669,7 +686,7 @@ class RoundedRectOpsAA {
      * @param {number} y - Top-left Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} lineWidth - Stroke width
      * @param {Color|null} fillColor - Fill color (null to skip fill)
      * @param {Color|null} strokeColor - Stroke color (null to skip stroke)
@@ -688,11 +705,12 @@ class RoundedRectOpsAA {
 
         if (!hasFill && !hasStroke) return;
 
-        // Normalize radius
-        let radius = this._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to separate methods for zero radius
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             if (hasFill) {
                 if (fillColor.a === 255 && globalAlpha >= 1.0) {
                     RectOpsAA.fill_AA_Opaq(surface, x, y, width, height, fillColor);
@@ -717,12 +735,11 @@ class RoundedRectOpsAA {
         const pathY = Math.floor(y);
         const pathW = Math.floor(width);
         const pathH = Math.floor(height);
-        const pathRadius = radius;
 
         // Radii for different boundaries
-        const fillRadius = pathRadius;  // Fill extends to path boundary
-        const outerRadius = pathRadius + halfStroke;  // Stroke outer edge
-        const innerRadius = Math.max(0, pathRadius - halfStroke);  // Stroke inner edge
+        const fillCorners = corners;  // Fill extends to path boundary
+        const outerCorners = CornerRadii.offset(corners, halfStroke);  // Stroke outer edge
+        const innerCorners = CornerRadii.offset(corners, -halfStroke);  // Stroke inner edge
 
         // Calculate scan bounds - use original coordinates (not floored pathX/pathY)
         const scanMinY = Math.floor(y - halfStroke);
@@ -830,10 +847,10 @@ class RoundedRectOpsAA {
             if (py < 0 || py >= surfaceHeight) continue;
 
             // Get outer stroke extent - uses pre-calculated bounds from original coordinates
-            const outerExtent = hasStroke ? RoundedRectOpsAA._getXExtent(py, outerRectX, outerRectW, outerRectY, outerRectH, outerRadius, 0) : { leftX: -1, rightX: -1 };
+            const outerExtent = hasStroke ? RoundedRectOpsAA._getXExtent(py, outerRectX, outerRectW, outerRectY, outerRectH, outerCorners, 0) : { leftX: -1, rightX: -1 };
 
             // Get inner stroke extent - uses pre-calculated bounds from original coordinates
-            const innerExtent = (hasStroke && innerRectH > 0) ? RoundedRectOpsAA._getXExtent(py, innerRectX, innerRectW, innerRectY, innerRectH, innerRadius, 0) : { leftX: -1, rightX: -1 };
+            const innerExtent = (hasStroke && innerRectH > 0) ? RoundedRectOpsAA._getXExtent(py, innerRectX, innerRectW, innerRectY, innerRectH, innerCorners, 0) : { leftX: -1, rightX: -1 };
 
             // Determine fill extent based on stroke transparency
             let fillExtent = { leftX: -1, rightX: -1 };
@@ -845,7 +862,7 @@ class RoundedRectOpsAA {
                     if (strokeIsSemiTransparent) {
                         // Semi-transparent stroke: fill uses PATH extent for proper overlap blending
                         // Stroke will render on top and blend in the overlap region
-                        fillExtent = RoundedRectOpsAA._getXExtent(py, pathX, pathW, pathY, pathH, fillRadius, FILL_EPSILON);
+                        fillExtent = RoundedRectOpsAA._getXExtent(py, pathX, pathW, pathY, pathH, fillCorners, FILL_EPSILON);
                         // Clamp fill to outer boundary to prevent speckles at the edge
                         if (fillExtent.leftX >= 0 && outerExtent.leftX >= 0) {
                             fillExtent.leftX = Math.max(fillExtent.leftX, outerExtent.leftX);
@@ -861,7 +878,7 @@ class RoundedRectOpsAA {
                     }
                 } else {
                     // Fill-only: use standard fill extent calculation
-                    fillExtent = RoundedRectOpsAA._getXExtent(py, pathX, pathW, pathY, pathH, fillRadius, FILL_EPSILON);
+                    fillExtent = RoundedRectOpsAA._getXExtent(py, pathX, pathW, pathY, pathH, fillCorners, FILL_EPSILON);
                 }
             }
 
@@ -898,4 +915,131 @@ class RoundedRectOpsAA {
             }
         }
     }
+
+    /**
+     * Dashed stroke on an axis-aligned rounded rectangle with circular corners
+     * (butt dash ends, any opacity, any width).
+     * Each pixel is sampled where PolygonFiller samples the stroker's dash polygons
+     * (its left edge on the row center, band edges across a scanline included),
+     * matched to the side band or corner ring the sample lies in, and kept when its
+     * distance along the outline falls inside a dash. Distances run
+     * clockwise from the end of corner startCorner, where the roundRect() path
+     * starts once the transform's quarter turns are applied. A dash running
+     * through a square corner also covers the corner's outer square (miter join).
+     *
+     * @param {Surface} surface - Target surface
+     * @param {number} x - Top-left X coordinate
+     * @param {number} y - Top-left Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {Array<{x: number, y: number}>} corners - Device-space circular corners
+     *   (top-left, top-right, bottom-right, bottom-left) as from CornerRadii.transform()
+     * @param {number} startCorner - Corner (0-3) after which the path starts
+     * @param {number} lineWidth - Stroke width (1px strokes use a 1px wide band)
+     * @param {Object} dash - Device-space pattern from DashOps.create()
+     * @param {Color} color - Stroke color
+     * @param {number} globalAlpha - Global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     */
+    static strokeDashed_AA_Any(surface, x, y, width, height, corners, startCorner, lineWidth, dash, color, globalAlpha, clipBuffer = null) {
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const data = surface.data;
+        const data32 = surface.data32;
+
+        const isOpaque = color.a === 255 && globalAlpha >= 1.0;
+        const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+        const alpha = (color.a / 255) * globalAlpha;
+        if (alpha <= 0) return;
+        const invAlpha = 1 - alpha;
+
+        const halfStroke = Math.max(lineWidth, 1) / 2;
+        const right = x + width, bottom = y + height;
+        const r = corners.map(c => c.x);
+
+        // Corner centers, and where each side runs between them
+        const centerX = [x + r[0], right - r[1], right - r[2], x + r[3]];
+        const centerY = [y + r[0], y + r[1], bottom - r[2], bottom - r[3]];
+        const sideLength = [
+            centerX[1] - centerX[0], centerY[2] - centerY[1],
+            centerX[2] - centerX[3], centerY[3] - centerY[0]
+        ];
+
+        // Distance along the outline where each side and each corner arc starts
+        const sideStart = new Array(4), arcStart = new Array(4);
+        let distance = 0;
+        for (let j = 0; j < 4; j++) {
+            const side = (startCorner + j) & 3;
+            sideStart[side] = distance;
+            distance += sideLength[side];
+            const corner = (side + 1) & 3;
+            arcStart[corner] = distance;
+            distance += r[corner] * HALF_PI;
+        }
+        const perimeter = distance;
+        // The start corner's arc closes the outline; a square start corner gets no join
+        const cornerJoined = r.map((radius, i) => i !== startCorner && radius === 0 && DashOps.isJoined(dash, arcStart[i]));
+
+        // Stroke state of one sample point
+        const isStroked = (px, py) => {
+            let corner = -1;
+            if (px < centerX[0] && py < centerY[0]) corner = 0;
+            else if (px >= centerX[1] && py < centerY[1]) corner = 1;
+            else if (px >= centerX[2] && py >= centerY[2]) corner = 2;
+            else if (px < centerX[3] && py >= centerY[3]) corner = 3;
+
+            if (corner >= 0) {
+                const dx = px - centerX[corner], dy = py - centerY[corner];
+                if (r[corner] === 0) {
+                    return cornerJoined[corner] && Math.abs(dx) <= halfStroke && dy >= -halfStroke && dy < halfStroke;
+                }
+                const radial = Math.sqrt(dx * dx + dy * dy) - r[corner];
+                if (radial < -halfStroke || radial >= halfStroke) return false;
+                const arcBegin = (corner - 2) * HALF_PI;
+                let angle = Math.atan2(dy, dx);
+                while (angle < arcBegin) angle += TAU;
+                // The end of the start corner's arc is where the outline starts
+                const along = arcStart[corner] + (angle - arcBegin) * r[corner];
+                return DashOps.isOn(dash, along < perimeter ? along : 0);
+            }
+
+            // Side bands; near a small rectangle's inner corners two bands may overlap
+            if (px >= centerX[0] && px < centerX[1] && py - y >= -halfStroke && py - y < halfStroke &&
+                DashOps.isOn(dash, sideStart[0] + px - centerX[0], true)) return true;
+            if (py >= centerY[1] && py < centerY[2] && px - right >= -halfStroke && px - right <= halfStroke &&
+                DashOps.isOn(dash, sideStart[1] + py - centerY[1])) return true;
+            if (px >= centerX[3] && px < centerX[2] && py - bottom >= -halfStroke && py - bottom < halfStroke &&
+                DashOps.isOn(dash, sideStart[2] + centerX[2] - px, true)) return true;
+            if (py >= centerY[0] && py < centerY[3] && px - x >= -halfStroke && px - x <= halfStroke &&
+                DashOps.isOn(dash, sideStart[3] + centerY[3] - py)) return true;
+            return false;
+        };
+
+        const top = Math.max(0, Math.ceil(y - halfStroke - 0.5));
+        const last = Math.min(surfaceHeight, Math.ceil(bottom + halfStroke - 0.5));
+        const left = Math.max(0, Math.ceil(x - halfStroke));
+        const end = Math.min(surfaceWidth, Math.floor(right + halfStroke) + 1);
+        // Rows clear of the corners and the top and bottom bands only cross the side bands
+        const stripTop = Math.max(centerY[0], centerY[1], y + halfStroke);
+        const stripBottom = Math.min(centerY[2], centerY[3], bottom - halfStroke);
+        const innerLeft = Math.floor(x + halfStroke) + 1;
+        const innerRight = Math.ceil(right - halfStroke);
+
+        for (let py = top; py < last; py++) {
+            const cy = py + 0.5;
+            const strips = cy >= stripTop && cy < stripBottom && innerLeft < innerRight;
+            for (let px = left; px < end; px++) {
+                if (strips && px === innerLeft) px = innerRight;
+                if (!isStroked(px, cy)) continue;
+
+                const pos = py * surfaceWidth + px;
+                if (clipBuffer && !(clipBuffer[pos >> 3] & (1 << (pos & 7)))) continue;
+                if (isOpaque) {
+                    data32[pos] = packedColor;
+                } else {
+                    SpanOps.blendPixel_Alpha(data, pos * 4, color.r, color.g, color.b, alpha, invAlpha);
+                }
+            }
+        }
+    }
 }
@@ -10,7 +10,8 @@
  * Layer 0 (Foundation): SpanOps.fill_Opaq, SpanOps.fill_Alpha
  *
  * Layer 1 (Helpers - used by rotated implementations):
- *   _normalizeRadius, _transform, _generateEdgePixels, _generateArcPixels, _generatePerimeter
+ *   _localEdges, _localCorners, _transform, _generateEdgePixels, _generateArcPixels,
+ *   _generateEllipseArcPixels, _generatePerimeter
  *
  * Layer 2 (Implementations - internal):
  *   _fill_Rot_Opaq, _fill_Rot_Alpha
@@ -35,17 +36,39 @@ class RoundedRectOpsRot {
     // =========================================================================
 
     /**
-     * Normalize radius for rounded rectangle, clamping to valid range.
-     * @param {number|number[]} radii - Corner radius
-     * @param {number} width - Rectangle width
-     * @param {number} height - Rectangle height
-     * @returns {number} Normalized radius
+     * Straight edges of a rounded rectangle in local space (centered at origin).
+     * @param {number} hw - Half-width
+     * @param {number} hh - Half-height
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (top-left, top-right, bottom-right, bottom-left)
+     * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>} Top, right, bottom and left edges
+     * @private
+     */
+    static _localEdges(hw, hh, corners) {
+        const [tl, tr, br, bl] = corners;
+        return [
+            { start: { x: -hw + tl.x, y: -hh }, end: { x: hw - tr.x, y: -hh } },      // Top
+            { start: { x: hw, y: -hh + tr.y }, end: { x: hw, y: hh - br.y } },        // Right
+            { start: { x: hw - br.x, y: hh }, end: { x: -hw + bl.x, y: hh } },        // Bottom
+            { start: { x: -hw, y: hh - bl.y }, end: { x: -hw, y: -hh + tl.y } }       // Left
+        ];
+    }
+
+    /**
+     * Corner arcs of a rounded rectangle in local space (centered at origin).
+     * @param {number} hw - Half-width
+     * @param {number} hh - Half-height
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (top-left, top-right, bottom-right, bottom-left)
+     * @returns {Array<{cx: number, cy: number, rx: number, ry: number, startAngle: number, endAngle: number}>} Corner arcs
+     * @private
      */
-    static _normalizeRadius(radii, width, height) {
-        let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
-        if (width < 2 * radius) radius = width / 2;
-        if (height < 2 * radius) radius = height / 2;
-        return Math.round(Math.min(radius, Math.min(width, height) / 2));
+    static _localCorners(hw, hh, corners) {
+        const [tl, tr, br, bl] = corners;
+        return [
+            { cx: -hw + tl.x, cy: -hh + tl.y, rx: tl.x, ry: tl.y, startAngle: Math.PI, endAngle: THREE_HALF_PI },    // Top-left
+            { cx: hw - tr.x, cy: -hh + tr.y, rx: tr.x, ry: tr.y, startAngle: THREE_HALF_PI, endAngle: TAU },         // Top-right
+            { cx: hw - br.x, cy: hh - br.y, rx: br.x, ry: br.y, startAngle: 0, endAngle: HALF_PI },                  // Bottom-right
+            { cx: -hw + bl.x, cy: hh - bl.y, rx: bl.x, ry: bl.y, startAngle: HALF_PI, endAngle: Math.PI }            // Bottom-left
+        ];
     }
 
     /**
@@ -118,11 +141,44 @@ class RoundedRectOpsRot {
         }
     }
 
+    /**
+     * Generate pixels of an elliptical corner arc whose axes follow the rotated rectangle.
+     * @param {number} cx - Center X coordinate (screen space)
+     * @param {number} cy - Center Y coordinate (screen space)
+     * @param {number} rx - Radius along the rectangle's X axis
+     * @param {number} ry - Radius along the rectangle's Y axis
+     * @param {number} startAngle - Start angle in radians (local space)
+     * @param {number} endAngle - End angle in radians (local space)
+     * @param {number} cos - Cosine of rotation angle
+     * @param {number} sin - Sine of rotation angle
+     * @param {function(number, number): void} recorder - Pixel recording callback
+     * @private
+     */
+    static _generateEllipseArcPixels(cx, cy, rx, ry, startAngle, endAngle, cos, sin, recorder) {
+        if (rx <= 0 || ry <= 0) return;
+        const arcLength = Math.max(rx, ry) * Math.abs(endAngle - startAngle);
+        const steps = Math.max(Math.ceil(arcLength * 2), 8);
+        const angleStep = (endAngle - startAngle) / steps;
+        let lastPx = null, lastPy = null;
+        for (let i = 0; i <= steps; i++) {
+            const angle = i === steps ? endAngle : startAngle + i * angleStep;
+            const localX = rx * Math.cos(angle);
+            const localY = ry * Math.sin(angle);
+            const px = Math.floor(cx + localX * cos - localY * sin);
+            const py = Math.floor(cy + localX * sin + localY * cos);
+            if (px !== lastPx || py !== lastPy) {
+                recorder(px, py);
+                lastPx = px;
+                lastPy = py;
+            }
+        }
+    }
+
     /**
      * Generate perimeter pixels for a rounded rectangle.
      * @param {number} hw - Half-width
      * @param {number} hh - Half-height
-     * @param {number} r - Corner radius
+     * @param {Array<{x: number, y: number}>} corners - Corner radii
      * @param {function(number, number): void} recorder - Pixel recording callback
      * @param {number} centerX - Center X in screen coordinates
      * @param {number} centerY - Center Y in screen coordinates
@@ -131,32 +187,30 @@ class RoundedRectOpsRot {
      * @param {number} rotation - Rotation angle in radians
      * @private
      */
-    static _generatePerimeter(hw, hh, r, recorder, centerX, centerY, cos, sin, rotation) {
-        const edges = [
-            { start: { x: -hw + r, y: -hh }, end: { x: hw - r, y: -hh } },
-            { start: { x: hw, y: -hh + r }, end: { x: hw, y: hh - r } },
-            { start: { x: hw - r, y: hh }, end: { x: -hw + r, y: hh } },
-            { start: { x: -hw, y: hh - r }, end: { x: -hw, y: -hh + r } }
-        ];
-        for (const edge of edges) {
+    static _generatePerimeter(hw, hh, corners, recorder, centerX, centerY, cos, sin, rotation) {
+        for (const edge of RoundedRectOpsRot._localEdges(hw, hh, corners)) {
             const start = RoundedRectOpsRot._transform(edge.start.x, edge.start.y, centerX, centerY, cos, sin);
             const end = RoundedRectOpsRot._transform(edge.end.x, edge.end.y, centerX, centerY, cos, sin);
+
+            // Skip zero-length edges (radius = half width or height)
             const dx = end.x - start.x, dy = end.y - start.y;
             if (dx * dx + dy * dy < MIN_EDGE_LENGTH_SQUARED) continue;
             RoundedRectOpsRot._generateEdgePixels(start.x, start.y, end.x, end.y, recorder);
         }
-        const corners = [
-            { cx: -hw + r, cy: -hh + r, startAngle: Math.PI, endAngle: THREE_HALF_PI },
-            { cx: hw - r, cy: -hh + r, startAngle: THREE_HALF_PI, endAngle: TAU },
-            { cx: hw - r, cy: hh - r, startAngle: 0, endAngle: HALF_PI },
-            { cx: -hw + r, cy: hh - r, startAngle: HALF_PI, endAngle: Math.PI }
-        ];
-        for (const corner of corners) {
+        for (const corner of RoundedRectOpsRot._localCorners(hw, hh, corners)) {
             const screenCenter = RoundedRectOpsRot._transform(corner.cx, corner.cy, centerX, centerY, cos, sin);
-            RoundedRectOpsRot._generateArcPixels(
-                screenCenter.x, screenCenter.y, r,
-                corner.startAngle + rotation, corner.endAngle + rotation, recorder
-            );
+            if (corner.rx === corner.ry) {
+                // Circular corner: arc angles shift by the rotation
+                RoundedRectOpsRot._generateArcPixels(
+                    screenCenter.x, screenCenter.y, corner.rx,
+                    corner.startAngle + rotation, corner.endAngle + rotation, recorder
+                );
+            } else {
+                RoundedRectOpsRot._generateEllipseArcPixels(
+                    screenCenter.x, screenCenter.y, corner.rx, corner.ry,
+                    corner.startAngle, corner.endAngle, cos, sin, recorder
+                );
+            }
         }
     }
 
@@ -176,18 +230,19 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} rotation - Rotation angle in radians
      * @param {Color} color - Fill color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
     static fill_Rot_Any(surface, centerX, centerY, width, height, radii, rotation, color, globalAlpha, clipBuffer = null) {
-        // Normalize radius
-        const radius = RoundedRectOpsRot._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOpsRot.fill_Rot_Any for zero radius
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsRot.fill_Rot_Any(surface, centerX, centerY, width, height, rotation, color, globalAlpha, clipBuffer);
             return;
         }
@@ -195,9 +250,9 @@ class RoundedRectOpsRot {
         const isOpaqueColor = color.a === 255 && globalAlpha >= 1.0;
 
         if (isOpaqueColor) {
-            RoundedRectOpsRot._fill_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, color, clipBuffer);
+            RoundedRectOpsRot._fill_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, color, clipBuffer);
         } else if (color.a > 0) {
-            RoundedRectOpsRot._fill_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, color, globalAlpha, clipBuffer);
+            RoundedRectOpsRot._fill_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, color, globalAlpha, clipBuffer);
         }
     }
 
@@ -215,12 +270,12 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {Color} color - Fill color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _fill_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, color, clipBuffer) {
+    static _fill_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, color, clipBuffer) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
@@ -255,46 +310,8 @@ class RoundedRectOpsRot {
             if (x > maxX[row]) maxX[row] = x;
         };
 
-        // Edge endpoints in local space (centered at origin)
-        const edges = [
-            { start: { x: -hw + radius, y: -hh }, end: { x: hw - radius, y: -hh } },      // Top
-            { start: { x: hw, y: -hh + radius }, end: { x: hw, y: hh - radius } },        // Right
-            { start: { x: hw - radius, y: hh }, end: { x: -hw + radius, y: hh } },        // Bottom
-            { start: { x: -hw, y: hh - radius }, end: { x: -hw, y: -hh + radius } }       // Left
-        ];
-
-        // Generate edge perimeter pixels
-        for (const edge of edges) {
-            const start = RoundedRectOpsRot._transform(edge.start.x, edge.start.y, centerX, centerY, cos, sin);
-            const end = RoundedRectOpsRot._transform(edge.end.x, edge.end.y, centerX, centerY, cos, sin);
-
-            // Skip zero-length edges (radius = half width or height)
-            const dx = end.x - start.x;
-            const dy = end.y - start.y;
-            if (dx * dx + dy * dy < MIN_EDGE_LENGTH_SQUARED) continue;
-
-            RoundedRectOpsRot._generateEdgePixels(start.x, start.y, end.x, end.y, recordPixel);
-        }
-
-        // Corner definitions (local center and angle range)
-        const corners = [
-            { cx: -hw + radius, cy: -hh + radius, startAngle: Math.PI, endAngle: THREE_HALF_PI },         // Top-left
-            { cx: hw - radius, cy: -hh + radius, startAngle: THREE_HALF_PI, endAngle: TAU },      // Top-right
-            { cx: hw - radius, cy: hh - radius, startAngle: 0, endAngle: HALF_PI },                 // Bottom-right
-            { cx: -hw + radius, cy: hh - radius, startAngle: HALF_PI, endAngle: Math.PI }           // Bottom-left
-        ];
-
-        // Generate corner arc perimeter pixels
-        for (const corner of corners) {
-            const screenCenter = RoundedRectOpsRot._transform(corner.cx, corner.cy, centerX, centerY, cos, sin);
-            RoundedRectOpsRot._generateArcPixels(
-                screenCenter.x, screenCenter.y,
-                radius,
-                corner.startAngle + rotation,
-                corner.endAngle + rotation,
-                recordPixel
-            );
-        }
+        // Generate perimeter pixels (edges + corner arcs)
+        RoundedRectOpsRot._generatePerimeter(hw, hh, corners, recordPixel, centerX, centerY, cos, sin, rotation);
 
         // Fill scanlines
         const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
@@ -346,13 +363,13 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {Color} color - Fill color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _fill_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, color, globalAlpha, clipBuffer) {
+    static _fill_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, color, globalAlpha, clipBuffer) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data = surface.data;
@@ -386,41 +403,8 @@ class RoundedRectOpsRot {
             if (x > maxX[row]) maxX[row] = x;
         };
 
-        // Edge endpoints
-        const edges = [
-            { start: { x: -hw + radius, y: -hh }, end: { x: hw - radius, y: -hh } },
-            { start: { x: hw, y: -hh + radius }, end: { x: hw, y: hh - radius } },
-            { start: { x: hw - radius, y: hh }, end: { x: -hw + radius, y: hh } },
-            { start: { x: -hw, y: hh - radius }, end: { x: -hw, y: -hh + radius } }
-        ];
-
-        for (const edge of edges) {
-            const start = RoundedRectOpsRot._transform(edge.start.x, edge.start.y, centerX, centerY, cos, sin);
-            const end = RoundedRectOpsRot._transform(edge.end.x, edge.end.y, centerX, centerY, cos, sin);
-            const dx = end.x - start.x;
-            const dy = end.y - start.y;
-            if (dx * dx + dy * dy < MIN_EDGE_LENGTH_SQUARED) continue;
-            RoundedRectOpsRot._generateEdgePixels(start.x, start.y, end.x, end.y, recordPixel);
-        }
-
-        // Corner definitions
-        const corners = [
-            { cx: -hw + radius, cy: -hh + radius, startAngle: Math.PI, endAngle: THREE_HALF_PI },
-            { cx: hw - radius, cy: -hh + radius, startAngle: THREE_HALF_PI, endAngle: TAU },
-            { cx: hw - radius, cy: hh - radius, startAngle: 0, endAngle: HALF_PI },
-            { cx: -hw + radius, cy: hh - radius, startAngle: HALF_PI, endAngle: Math.PI }
-        ];
-
-        for (const corner of corners) {
-            const screenCenter = RoundedRectOpsRot._transform(corner.cx, corner.cy, centerX, centerY, cos, sin);
-            RoundedRectOpsRot._generateArcPixels(
-                screenCenter.x, screenCenter.y,
-                radius,
-                corner.startAngle + rotation,
-                corner.endAngle + rotation,
-                recordPixel
-            );
-        }
+        // Generate perimeter pixels (edges + corner arcs)
+        RoundedRectOpsRot._generatePerimeter(hw, hh, corners, recordPixel, centerX, centerY, cos, sin, rotation);
 
         // Fill with alpha blending
         const r = color.r;
@@ -477,7 +461,7 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} rotation - Rotation angle in radians
      * @param {number} lineWidth - Stroke width
      * @param {Color} color - Stroke color
@@ -485,11 +469,12 @@ class RoundedRectOpsRot {
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
     static stroke_Rot_Any(surface, centerX, centerY, width, height, radii, rotation, lineWidth, color, globalAlpha, clipBuffer = null) {
-        // Normalize radius
-        let radius = RoundedRectOpsRot._normalizeRadius(radii, width, height);
+        // Normalize radii
+        const corners = CornerRadii.toPixels(width, height, radii);
+        if (!corners) return;
 
         // Fallback to RectOpsRot.stroke_Rot_Any for zero radius (rounded rect becomes regular rect)
-        if (radius <= 0) {
+        if (CornerRadii.isSquare(corners)) {
             RectOpsRot.stroke_Rot_Any(surface, centerX, centerY, width, height, rotation, lineWidth, color, globalAlpha, clipBuffer);
             return;
         }
@@ -500,18 +485,18 @@ class RoundedRectOpsRot {
         // Handle 1px strokes
         if (lineWidth <= 1) {
             if (isOpaqueColor) {
-                RoundedRectOpsRot._stroke1px_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, color, clipBuffer);
+                RoundedRectOpsRot._stroke1px_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, color, clipBuffer);
             } else if (isSemiTransparentColor) {
-                RoundedRectOpsRot._stroke1px_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, color, globalAlpha, clipBuffer);
+                RoundedRectOpsRot._stroke1px_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, color, globalAlpha, clipBuffer);
             }
             return;
         }
 
         // Handle thick strokes
         if (isSemiTransparentColor) {
-            RoundedRectOpsRot._strokeThick_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, lineWidth, color, globalAlpha, clipBuffer);
+            RoundedRectOpsRot._strokeThick_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, lineWidth, color, globalAlpha, clipBuffer);
         } else if (isOpaqueColor) {
-            RoundedRectOpsRot._strokeThick_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, lineWidth, color, clipBuffer);
+            RoundedRectOpsRot._strokeThick_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, lineWidth, color, clipBuffer);
         }
     }
 
@@ -526,35 +511,23 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {Color} color - Stroke color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _stroke1px_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, color, clipBuffer) {
+    static _stroke1px_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, color, clipBuffer) {
         // Pre-compute rotation
         const cos = Math.cos(rotation);
         const sin = Math.sin(rotation);
         const hw = width / 2;   // half-width
         const hh = height / 2;  // half-height
 
-        // Calculate 8 edge endpoints in local space, then transform to screen space
-        // Local coordinates (centered at origin):
-        // - Top edge: (-hw+radius, -hh) to (hw-radius, -hh)
-        // - Right edge: (hw, -hh+radius) to (hw, hh-radius)
-        // - Bottom edge: (hw-radius, hh) to (-hw+radius, hh)
-        // - Left edge: (-hw, hh-radius) to (-hw, -hh+radius)
-
-        const edgeEndpoints = [
-            // Top edge
-            { start: RoundedRectOpsRot._transform(-hw + radius, -hh, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(hw - radius, -hh, centerX, centerY, cos, sin) },
-            // Right edge
-            { start: RoundedRectOpsRot._transform(hw, -hh + radius, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(hw, hh - radius, centerX, centerY, cos, sin) },
-            // Bottom edge
-            { start: RoundedRectOpsRot._transform(hw - radius, hh, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(-hw + radius, hh, centerX, centerY, cos, sin) },
-            // Left edge
-            { start: RoundedRectOpsRot._transform(-hw, hh - radius, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(-hw, -hh + radius, centerX, centerY, cos, sin) }
-        ];
+        // Transform the 8 edge endpoints from local space (centered at origin) to screen space
+        const edgeEndpoints = RoundedRectOpsRot._localEdges(hw, hh, corners).map(edge => ({
+            start: RoundedRectOpsRot._transform(edge.start.x, edge.start.y, centerX, centerY, cos, sin),
+            end: RoundedRectOpsRot._transform(edge.end.x, edge.end.y, centerX, centerY, cos, sin)
+        }));
 
         // Draw 4 straight edges via LineOps.stroke_Any
         for (const edge of edgeEndpoints) {
@@ -578,31 +551,35 @@ class RoundedRectOpsRot {
             );
         }
 
-        // Calculate 4 corner arc centers in local space, then transform to screen space
-        // Local corner centers and their angle ranges:
-        // - Top-left: (-hw+radius, -hh+radius), angles: π to 3π/2
-        // - Top-right: (hw-radius, -hh+radius), angles: 3π/2 to 2π
-        // - Bottom-right: (hw-radius, hh-radius), angles: 0 to π/2
-        // - Bottom-left: (-hw+radius, hh-radius), angles: π/2 to π
-
-        const corners = [
-            { localCx: -hw + radius, localCy: -hh + radius, startAngle: Math.PI, endAngle: THREE_HALF_PI },         // Top-left
-            { localCx: hw - radius, localCy: -hh + radius, startAngle: THREE_HALF_PI, endAngle: TAU },      // Top-right
-            { localCx: hw - radius, localCy: hh - radius, startAngle: 0, endAngle: HALF_PI },                 // Bottom-right
-            { localCx: -hw + radius, localCy: hh - radius, startAngle: HALF_PI, endAngle: Math.PI }           // Bottom-left
-        ];
-
-        // Draw 4 corner arcs
+        // Draw 4 corner arcs (local centers and angle ranges from _localCorners)
         // Arc angles shift by rotation when the shape is rotated
         // Always use angle-based iteration for rotated rounded rects to ensure junction alignment with the sides (or other corner if the side ends up being zero-length).
         // Bresenham has angular coverage gaps at any radius, which cause discontinuities.
-        for (const corner of corners) {
-            const screenCenter = RoundedRectOpsRot._transform(corner.localCx, corner.localCy, centerX, centerY, cos, sin);
+        const surfaceWidth = surface.width;
+        const surfaceHeight = surface.height;
+        const packedColor = Surface.packColor(color.r, color.g, color.b, 255);
+        const setPixel = (px, py) => {
+            if (px < 0 || px >= surfaceWidth || py < 0 || py >= surfaceHeight) return;
+            const pos = py * surfaceWidth + px;
+            if (clipBuffer && !(clipBuffer[pos >> 3] & (1 << (pos & 7)))) return;
+            surface.data32[pos] = packedColor;
+        };
+
+        for (const corner of RoundedRectOpsRot._localCorners(hw, hh, corners)) {
+            if (corner.rx <= 0) continue;
+            const screenCenter = RoundedRectOpsRot._transform(corner.cx, corner.cy, centerX, centerY, cos, sin);
+            if (corner.rx !== corner.ry) {
+                RoundedRectOpsRot._generateEllipseArcPixels(
+                    screenCenter.x, screenCenter.y, corner.rx, corner.ry,
+                    corner.startAngle, corner.endAngle, cos, sin, setPixel
+                );
+                continue;
+            }
             // Angle-based iteration with exact endpoints (guaranteed junction alignment)
             ArcOps.stroke1px_Opaq_Exact(
                 surface,
                 screenCenter.x, screenCenter.y,
-                radius,
+                corner.rx,
                 corner.startAngle + rotation,
                 corner.endAngle + rotation,
                 color,
@@ -621,13 +598,13 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {Color} color - Stroke color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _stroke1px_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, color, globalAlpha, clipBuffer) {
+    static _stroke1px_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, color, globalAlpha, clipBuffer) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data = surface.data;
@@ -647,17 +624,11 @@ class RoundedRectOpsRot {
         // Use Set to collect unique pixel positions (prevents overdraw at junctions)
         const strokePixels = new Set();
 
-        // Calculate 8 edge endpoints in local space, then transform to screen space
-        const edgeEndpoints = [
-            // Top edge
-            { start: RoundedRectOpsRot._transform(-hw + radius, -hh, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(hw - radius, -hh, centerX, centerY, cos, sin) },
-            // Right edge
-            { start: RoundedRectOpsRot._transform(hw, -hh + radius, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(hw, hh - radius, centerX, centerY, cos, sin) },
-            // Bottom edge
-            { start: RoundedRectOpsRot._transform(hw - radius, hh, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(-hw + radius, hh, centerX, centerY, cos, sin) },
-            // Left edge
-            { start: RoundedRectOpsRot._transform(-hw, hh - radius, centerX, centerY, cos, sin), end: RoundedRectOpsRot._transform(-hw, -hh + radius, centerX, centerY, cos, sin) }
-        ];
+        // Transform the 8 edge endpoints from local space to screen space
+        const edgeEndpoints = RoundedRectOpsRot._localEdges(hw, hh, corners).map(edge => ({
+            start: RoundedRectOpsRot._transform(edge.start.x, edge.start.y, centerX, centerY, cos, sin),
+            end: RoundedRectOpsRot._transform(edge.end.x, edge.end.y, centerX, centerY, cos, sin)
+        }));
 
         // Collect edge pixels via Bresenham (inline to collect into Set)
         for (const edge of edgeEndpoints) {
@@ -708,19 +679,26 @@ class RoundedRectOpsRot {
             }
         }
 
-        // Calculate 4 corner arc centers and angles
-        const corners = [
-            { localCx: -hw + radius, localCy: -hh + radius, startAngle: Math.PI, endAngle: THREE_HALF_PI },         // Top-left
-            { localCx: hw - radius, localCy: -hh + radius, startAngle: THREE_HALF_PI, endAngle: TAU },      // Top-right
-            { localCx: hw - radius, localCy: hh - radius, startAngle: 0, endAngle: HALF_PI },                 // Bottom-right
-            { localCx: -hw + radius, localCy: hh - radius, startAngle: HALF_PI, endAngle: Math.PI }           // Bottom-left
-        ];
+        const collectPixel = (px, py) => {
+            if (px >= 0 && px < surfaceWidth && py >= 0 && py < surfaceHeight) {
+                strokePixels.add(py * surfaceWidth + px);
+            }
+        };
 
         // Collect corner arc pixels using angle-based iteration (same as stroke1px_AA_OpaqExactEndpoints)
-        for (const corner of corners) {
-            const screenCenter = RoundedRectOpsRot._transform(corner.localCx, corner.localCy, centerX, centerY, cos, sin);
+        for (const corner of RoundedRectOpsRot._localCorners(hw, hh, corners)) {
+            if (corner.rx <= 0) continue;
+            const screenCenter = RoundedRectOpsRot._transform(corner.cx, corner.cy, centerX, centerY, cos, sin);
             const cx = screenCenter.x;
             const cy = screenCenter.y;
+            if (corner.rx !== corner.ry) {
+                RoundedRectOpsRot._generateEllipseArcPixels(
+                    cx, cy, corner.rx, corner.ry,
+                    corner.startAngle, corner.endAngle, cos, sin, collectPixel
+                );
+                continue;
+            }
+            const radius = corner.rx;
             const startAngle = corner.startAngle + rotation;
             const endAngle = corner.endAngle + rotation;
 
@@ -786,13 +764,13 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {number} lineWidth - Stroke width
      * @param {Color} color - Stroke color (must be opaque)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _strokeThick_Rot_Opaq(surface, centerX, centerY, width, height, radius, rotation, lineWidth, color, clipBuffer) {
+    static _strokeThick_Rot_Opaq(surface, centerX, centerY, width, height, corners, rotation, lineWidth, color, clipBuffer) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data32 = surface.data32;
@@ -805,14 +783,14 @@ class RoundedRectOpsRot {
         // Outer dimensions (path expanded by halfStroke)
         const outerWidth = width + lineWidth;
         const outerHeight = height + lineWidth;
-        const outerRadius = Math.min(radius + halfStroke, Math.min(outerWidth, outerHeight) / 2);
+        const outerCorners = CornerRadii.offset(corners, halfStroke, outerWidth / 2, outerHeight / 2);
         const outerHW = outerWidth / 2;
         const outerHH = outerHeight / 2;
 
         // Inner dimensions (path contracted by halfStroke)
         const innerWidth = width - lineWidth;
         const innerHeight = height - lineWidth;
-        const innerRadius = Math.max(0, radius - halfStroke);
+        const innerCorners = CornerRadii.offset(corners, -halfStroke);
         const innerHW = innerWidth / 2;
         const innerHH = innerHeight / 2;
         const hasInnerRect = innerWidth > 0 && innerHeight > 0;
@@ -858,11 +836,11 @@ class RoundedRectOpsRot {
         } : null;
 
         // Generate outer perimeter
-        RoundedRectOpsRot._generatePerimeter(outerHW, outerHH, outerRadius, recordOuter, centerX, centerY, cos, sin, rotation);
+        RoundedRectOpsRot._generatePerimeter(outerHW, outerHH, outerCorners, recordOuter, centerX, centerY, cos, sin, rotation);
 
         // Generate inner perimeter (if inner rect exists)
         if (hasInnerRect) {
-            RoundedRectOpsRot._generatePerimeter(innerHW, innerHH, innerRadius, recordInner, centerX, centerY, cos, sin, rotation);
+            RoundedRectOpsRot._generatePerimeter(innerHW, innerHH, innerCorners, recordInner, centerX, centerY, cos, sin, rotation);
         }
 
         // Fill annulus per scanline
@@ -921,14 +899,14 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number} radius - Corner radius (already normalized)
+     * @param {Array<{x: number, y: number}>} corners - Corner radii (already normalized)
      * @param {number} rotation - Rotation angle in radians
      * @param {number} lineWidth - Stroke width
      * @param {Color} color - Stroke color
      * @param {number} globalAlpha - Global alpha value
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
      */
-    static _strokeThick_Rot_Alpha(surface, centerX, centerY, width, height, radius, rotation, lineWidth, color, globalAlpha, clipBuffer) {
+    static _strokeThick_Rot_Alpha(surface, centerX, centerY, width, height, corners, rotation, lineWidth, color, globalAlpha, clipBuffer) {
         const surfaceWidth = surface.width;
         const surfaceHeight = surface.height;
         const data = surface.data;
@@ -946,14 +924,14 @@ class RoundedRectOpsRot {
         // Outer dimensions (path expanded by halfStroke)
         const outerWidth = width + lineWidth;
         const outerHeight = height + lineWidth;
-        const outerRadius = Math.min(radius + halfStroke, Math.min(outerWidth, outerHeight) / 2);
+        const outerCorners = CornerRadii.offset(corners, halfStroke, outerWidth / 2, outerHeight / 2);
         const outerHW = outerWidth / 2;
         const outerHH = outerHeight / 2;
 
         // Inner dimensions (path contracted by halfStroke)
         const innerWidth = width - lineWidth;
         const innerHeight = height - lineWidth;
-        const innerRadius = Math.max(0, radius - halfStroke);
+        const innerCorners = CornerRadii.offset(corners, -halfStroke);
         const innerHW = innerWidth / 2;
         const innerHH = innerHeight / 2;
         const hasInnerRect = innerWidth > 0 && innerHeight > 0;
@@ -999,11 +977,11 @@ class RoundedRectOpsRot {
         } : null;
 
         // Generate outer perimeter
-        RoundedRectOpsRot._generatePerimeter(outerHW, outerHH, outerRadius, recordOuter, centerX, centerY, cos, sin, rotation);
+        RoundedRectOpsRot._generatePerimeter(outerHW, outerHH, outerCorners, recordOuter, centerX, centerY, cos, sin, rotation);
 
         // Generate inner perimeter (if inner rect exists)
         if (hasInnerRect) {
-            RoundedRectOpsRot._generatePerimeter(innerHW, innerHH, innerRadius, recordInner, centerX, centerY, cos, sin, rotation);
+            RoundedRectOpsRot._generatePerimeter(innerHW, innerHH, innerCorners, recordInner, centerX, centerY, cos, sin, rotation);
         }
 
         // Fill annulus per scanline with alpha blending
@@ -1072,7 +1050,7 @@ class RoundedRectOpsRot {
      * @param {number} centerY - Center Y coordinate
      * @param {number} width - Rectangle width
      * @param {number} height - Rectangle height
-     * @param {number|number[]} radii - Corner radius (single value or array)
+     * @param {number|Object|Array<number|Object>} radii - Corner radii (number, {x, y}, or list of 1-4)
      * @param {number} rotation - Rotation angle in radians
      * @param {number} lineWidth - Stroke width
      * @param {Color} fillColor - Fill color (null/undefined to skip fill)
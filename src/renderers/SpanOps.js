@@ -12,9 +12,20 @@
  * NAMING PATTERN: {operation}_{opacity}
  *   - fill_Opaq: Opaque span fill (32-bit writes)
  *   - fill_Alpha: Semi-transparent span fill (alpha blending)
+ *   - fill_Paint: Gradient/Pattern span fill (per-pixel paint, alpha blending)
  *   - blendPixel_Alpha: Single pixel alpha blending
+ *   - blendPixel_Paint: Single pixel blending of an evaluated paint color
+ *   - fill_Add: Additive span fill (lighter / plus-lighter)
+ *   - blendPixel_Add: Single pixel additive compositing
+ *
+ * SOFT CLIPS: every fill takes the clip's 8-bit coverage (ClipMask.coverage) after
+ * its bit buffer. Where a visible pixel's coverage is below 255 the source alpha is
+ * scaled by coverage / 255 before blending, as the path pipeline does.
  */
 class SpanOps {
+    // Reused output array for paint span evaluation
+    static _paintColors = [];
+
     /**
      * Optimized horizontal span fill with 32-bit writes (opaque colors only)
      * @param {Uint32Array} data32 - 32-bit view of surface pixel data
@@ -25,8 +36,9 @@ class SpanOps {
      * @param {number} length - Length of the span in pixels
      * @param {number} packedColor - Pre-packed 32-bit RGBA color
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_Opaq(data32, surfaceWidth, surfaceHeight, startX, y, length, packedColor, clipBuffer) {
+    static fill_Opaq(data32, surfaceWidth, surfaceHeight, startX, y, length, packedColor, clipBuffer, clipCoverage = null) {
         // Y bounds check - use floor for consistent pixel alignment
         const yi = Math.floor(y);
         if (yi < 0 || yi >= surfaceHeight) return;
@@ -47,7 +59,8 @@ class SpanOps {
         const endIndex = pixelIndex + len;
 
         if (clipBuffer) {
-            // With clipping
+            // With clipping; soft edge pixels blend through an 8-bit view made on first use
+            let bytes = null;
             while (pixelIndex < endIndex) {
                 const byteIndex = pixelIndex >> 3;
 
@@ -60,7 +73,14 @@ class SpanOps {
 
                 const bitIndex = pixelIndex & 7;
                 if (clipBuffer[byteIndex] & (1 << bitIndex)) {
-                    data32[pixelIndex] = packedColor;
+                    if (!clipCoverage || clipCoverage[pixelIndex] === 255) {
+                        data32[pixelIndex] = packedColor;
+                    } else {
+                        bytes = bytes || new Uint8ClampedArray(data32.buffer, data32.byteOffset, data32.byteLength);
+                        const alpha = clipCoverage[pixelIndex] / 255;
+                        SpanOps.blendPixel_Alpha(bytes, pixelIndex * 4, packedColor & 0xFF,
+                            (packedColor >>> 8) & 0xFF, (packedColor >>> 16) & 0xFF, alpha, 1 - alpha);
+                    }
                 }
                 pixelIndex++;
             }
@@ -86,8 +106,9 @@ class SpanOps {
      * @param {number} alpha - Alpha as fraction (0-1)
      * @param {number} invAlpha - Inverse alpha (1 - alpha)
      * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
      */
-    static fill_Alpha(data, surfaceWidth, surfaceHeight, startX, y, length, r, g, b, alpha, invAlpha, clipBuffer) {
+    static fill_Alpha(data, surfaceWidth, surfaceHeight, startX, y, length, r, g, b, alpha, invAlpha, clipBuffer, clipCoverage = null) {
         // Y bounds check - use floor for consistent pixel alignment
         const yi = Math.floor(y);
         if (yi < 0 || yi >= surfaceHeight) return;
@@ -125,7 +146,12 @@ class SpanOps {
                 const bitOffset = pixelIndex & 7;
                 if ((clipBuffer[byteIndex] & (1 << bitOffset)) !== 0) {
                     const offset = rowOffset + px * 4;
-                    SpanOps.blendPixel_Alpha(data, offset, r, g, b, alpha, invAlpha);
+                    if (!clipCoverage || clipCoverage[pixelIndex] === 255) {
+                        SpanOps.blendPixel_Alpha(data, offset, r, g, b, alpha, invAlpha);
+                    } else {
+                        const softAlpha = alpha * clipCoverage[pixelIndex] / 255;
+                        SpanOps.blendPixel_Alpha(data, offset, r, g, b, softAlpha, 1 - softAlpha);
+                    }
                 }
                 px++;
             }
@@ -138,6 +164,84 @@ class SpanOps {
         }
     }
 
+    /**
+     * Horizontal span fill with a gradient or pattern (source-over)
+     * The paint is evaluated for the whole visible span in one fillSpan() call.
+     * @param {Uint8Array|Uint8ClampedArray} data - 8-bit view of surface pixel data
+     * @param {number} surfaceWidth - Surface width in pixels
+     * @param {number} surfaceHeight - Surface height in pixels
+     * @param {number} startX - Starting X coordinate
+     * @param {number} y - Y coordinate of the span
+     * @param {number} length - Length of the span in pixels
+     * @param {Gradient|Pattern} paint - Paint source (anything with fillSpan())
+     * @param {Transform2D} transform - Canvas transform the paint is defined under
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_Paint(data, surfaceWidth, surfaceHeight, startX, y, length, paint, transform, globalAlpha, clipBuffer, clipCoverage = null) {
+        // Y bounds check - use floor for consistent pixel alignment
+        const yi = Math.floor(y);
+        if (yi < 0 || yi >= surfaceHeight) return;
+
+        // X clipping to surface bounds - use floor for consistent pixel alignment
+        let x = Math.floor(startX);
+        let len = length;
+        if (x < 0) {
+            len += x;
+            x = 0;
+        }
+        if (x + len > surfaceWidth) {
+            len = surfaceWidth - x;
+        }
+        if (len <= 0) return;
+
+        const colors = paint.fillSpan(x, yi, len, transform, SpanOps._paintColors);
+        const endX = x + len;
+        const rowOffset = yi * surfaceWidth * 4;
+
+        if (clipBuffer) {
+            // With clipping - includes byte-skip optimization
+            let px = x;
+            while (px < endX) {
+                const pixelIndex = yi * surfaceWidth + px;
+                const byteIndex = pixelIndex >> 3;
+
+                // Skip fully clipped bytes (8 pixels at a time)
+                if (clipBuffer[byteIndex] === 0) {
+                    const nextByteBoundary = (byteIndex + 1) << 3;
+                    px = Math.min(nextByteBoundary - yi * surfaceWidth, endX);
+                    continue;
+                }
+
+                const bitOffset = pixelIndex & 7;
+                if ((clipBuffer[byteIndex] & (1 << bitOffset)) !== 0) {
+                    const pixelAlpha = clipCoverage ? globalAlpha * clipCoverage[pixelIndex] / 255 : globalAlpha;
+                    SpanOps.blendPixel_Paint(data, rowOffset + px * 4, colors[px - x], pixelAlpha);
+                }
+                px++;
+            }
+        } else {
+            // No clipping
+            for (let px = x; px < endX; px++) {
+                SpanOps.blendPixel_Paint(data, rowOffset + px * 4, colors[px - x], globalAlpha);
+            }
+        }
+    }
+
+    /**
+     * Blend an evaluated paint color into a single pixel (source-over)
+     * @param {Uint8Array|Uint8ClampedArray} data - 8-bit view of surface pixel data
+     * @param {number} offset - Byte offset into data array
+     * @param {Color} color - Paint color at this pixel
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     */
+    static blendPixel_Paint(data, offset, color, globalAlpha) {
+        const alpha = (color.a / 255) * globalAlpha;
+        if (alpha <= 0) return;
+        SpanOps.blendPixel_Alpha(data, offset, color.r, color.g, color.b, alpha, 1 - alpha);
+    }
+
     /**
      * Blend a single pixel with source-over alpha compositing
      * @param {Uint8Array|Uint8ClampedArray} data - 8-bit view of surface pixel data
@@ -162,4 +266,87 @@ class SpanOps {
             data[offset + 3] = outA * 255;
         }
     }
+
+    /**
+     * Horizontal span fill with additive compositing (lighter / plus-lighter)
+     * @param {Uint8Array|Uint8ClampedArray} data - 8-bit view of surface pixel data
+     * @param {number} surfaceWidth - Surface width in pixels
+     * @param {number} surfaceHeight - Surface height in pixels
+     * @param {number} startX - Starting X coordinate
+     * @param {number} y - Y coordinate of the span
+     * @param {number} length - Length of the span in pixels
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {number} a - Alpha (0-255 integer, global alpha already applied)
+     * @param {Uint8Array|null} clipBuffer - Optional clip mask buffer
+     * @param {Uint8Array|null} [clipCoverage=null] - Clip coverage, when the clip has soft edges
+     */
+    static fill_Add(data, surfaceWidth, surfaceHeight, startX, y, length, r, g, b, a, clipBuffer, clipCoverage = null) {
+        // Y bounds check - use floor for consistent pixel alignment
+        const yi = Math.floor(y);
+        if (yi < 0 || yi >= surfaceHeight || a <= 0) return;
+
+        // X clipping to surface bounds - use floor for consistent pixel alignment
+        let x = Math.floor(startX);
+        let len = length;
+        if (x < 0) {
+            len += x;
+            x = 0;
+        }
+        if (x + len > surfaceWidth) {
+            len = surfaceWidth - x;
+        }
+        if (len <= 0) return;
+
+        const endX = x + len;
+        const rowOffset = yi * surfaceWidth * 4;
+
+        for (let px = x; px < endX; px++) {
+            if (clipBuffer) {
+                const pixelIndex = yi * surfaceWidth + px;
+                if ((clipBuffer[pixelIndex >> 3] & (1 << (pixelIndex & 7))) === 0) continue;
+                if (clipCoverage && clipCoverage[pixelIndex] < 255) {
+                    // Same rounding as PolygonFiller.applyCoverage()
+                    const softA = Math.round(a * clipCoverage[pixelIndex] / 255);
+                    if (softA > 0) SpanOps.blendPixel_Add(data, rowOffset + px * 4, r, g, b, softA);
+                    continue;
+                }
+            }
+            SpanOps.blendPixel_Add(data, rowOffset + px * 4, r, g, b, a);
+        }
+    }
+
+    /**
+     * Source color of an additive fill: global alpha applied as the path pipeline
+     * applies it (Color.withGlobalAlpha), so direct and path-based results match
+     * @param {Color} color - Fill color
+     * @param {number} globalAlpha - Context global alpha (0-1)
+     * @returns {Color} Color whose r, g, b, a are passed to fill_Add
+     */
+    static addSource(color, globalAlpha) {
+        return globalAlpha < 1.0 ? color.withGlobalAlpha(globalAlpha) : color;
+    }
+
+    /**
+     * Add a color to a single pixel (lighter / plus-lighter).
+     * Same arithmetic as CompositeOperations.blendPixel('lighter', ...): premultiplied
+     * sums, alpha clamped to 255, channels unpremultiplied against the clamped alpha.
+     * @param {Uint8Array|Uint8ClampedArray} data - 8-bit view of surface pixel data
+     * @param {number} offset - Byte offset into data array
+     * @param {number} r - Red component (0-255)
+     * @param {number} g - Green component (0-255)
+     * @param {number} b - Blue component (0-255)
+     * @param {number} a - Alpha (0-255 integer)
+     */
+    static blendPixel_Add(data, offset, r, g, b, a) {
+        const dstA = data[offset + 3];
+        const outA = Math.min(255, a + dstA);
+        if (outA === 0) return;
+
+        data[offset]     = Math.min(255, Math.round((r * a + data[offset] * dstA) / outA));
+        data[offset + 1] = Math.min(255, Math.round((g * a + data[offset + 1] * dstA) / outA));
+        data[offset + 2] = Math.min(255, Math.round((b * a + data[offset + 2] * dstA) / outA));
+        data[offset + 3] = outA;
+    }
 }
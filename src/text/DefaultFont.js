@@ -0,0 +1,300 @@
+/**
+ * DefaultFont for SWCanvas
+ *
+ * Embedded fallback font so text renders without any system or external
+ * font files. Glyphs are 5x7 cell bitmaps (plus two descender rows) that are
+ * traced into filled outlines, so they go through the regular path pipeline
+ * and scale, rotate, clip and stroke like any other shape. At 10px one cell
+ * is exactly one pixel.
+ *
+ * Font interface (shared with loaded fonts):
+ * - unitsPerEm, ascender, descender (negative), capHeight, xHeight, italic
+ * - getGlyph(codePoint) -> { advanceWidth, commands, bounds }
+ *   commands are SWPath2D-style {type, x, y, ...} in font units, y pointing up
+ */
+class DefaultFont {
+    /** Size of one bitmap cell in font units (1000 units per em) */
+    static CELL_SIZE = 100;
+
+    /** Bitmap rows above the baseline (row 0 is the cap height line) */
+    static ROWS_ABOVE_BASELINE = 7;
+
+    /**
+     * Glyph bitmaps for printable ASCII: rows top to bottom, rows 7-8 (descenders)
+     * omitted when empty, bit 4 = leftmost of 5 columns
+     */
+    static GLYPH_ROWS = new Map([
+        [' ', [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]],
+        ['!', [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04]],
+        ['"', [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00]],
+        ['#', [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A]],
+        ['$', [0x04, 0x0F, 0x14, 0x0E, 0x05, 0x1E, 0x04]],
+        ['%', [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03]],
+        ['&', [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D]],
+        ['\'', [0x04, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00]],
+        ['(', [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02]],
+        [')', [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08]],
+        ['*', [0x00, 0x04, 0x15, 0x0E, 0x15, 0x04, 0x00]],
+        ['+', [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00]],
+        [',', [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C, 0x04, 0x08]],
+        ['-', [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00]],
+        ['.', [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C]],
+        ['/', [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00]],
+        ['0', [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E]],
+        ['1', [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E]],
+        ['2', [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F]],
+        ['3', [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E]],
+        ['4', [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02]],
+        ['5', [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E]],
+        ['6', [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E]],
+        ['7', [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08]],
+        ['8', [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E]],
+        ['9', [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C]],
+        [':', [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00]],
+        [';', [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x04, 0x08]],
+        ['<', [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02]],
+        ['=', [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00]],
+        ['>', [0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08]],
+        ['?', [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04]],
+        ['@', [0x0E, 0x11, 0x01, 0x0D, 0x15, 0x15, 0x0E]],
+        ['A', [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11]],
+        ['B', [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E]],
+        ['C', [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E]],
+        ['D', [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C]],
+        ['E', [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F]],
+        ['F', [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10]],
+        ['G', [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F]],
+        ['H', [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11]],
+        ['I', [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E]],
+        ['J', [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C]],
+        ['K', [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11]],
+        ['L', [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F]],
+        ['M', [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11]],
+        ['N', [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11]],
+        ['O', [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E]],
+        ['P', [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10]],
+        ['Q', [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D]],
+        ['R', [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11]],
+        ['S', [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E]],
+        ['T', [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04]],
+        ['U', [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E]],
+        ['V', [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04]],
+        ['W', [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A]],
+        ['X', [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11]],
+        ['Y', [0x11, 0x11, 0x0A, 0x04, 0x04, 0x04, 0x04]],
+        ['Z', [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F]],
+        ['[', [0x0E, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0E]],
+        ['\\', [0x00, 0x10, 0x08, 0x04, 0x02, 0x01, 0x00]],
+        [']', [0x0E, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0E]],
+        ['^', [0x04, 0x0A, 0x11, 0x00, 0x00, 0x00, 0x00]],
+        ['_', [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F]],
+        ['`', [0x08, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00]],
+        ['a', [0x00, 0x00, 0x0E, 0x01, 0x0F, 0x11, 0x0F]],
+        ['b', [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x1E]],
+        ['c', [0x00, 0x00, 0x0E, 0x10, 0x10, 0x11, 0x0E]],
+        ['d', [0x01, 0x01, 0x0D, 0x13, 0x11, 0x11, 0x0F]],
+        ['e', [0x00, 0x00, 0x0E, 0x11, 0x1F, 0x10, 0x0E]],
+        ['f', [0x06, 0x09, 0x08, 0x1C, 0x08, 0x08, 0x08]],
+        ['g', [0x00, 0x00, 0x0F, 0x11, 0x11, 0x11, 0x0F, 0x01, 0x0E]],
+        ['h', [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x11]],
+        ['i', [0x04, 0x00, 0x0C, 0x04, 0x04, 0x04, 0x0E]],
+        ['j', [0x02, 0x00, 0x06, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C]],
+        ['k', [0x10, 0x10, 0x12, 0x14, 0x18, 0x14, 0x12]],
+        ['l', [0x0C, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E]],
+        ['m', [0x00, 0x00, 0x1A, 0x15, 0x15, 0x11, 0x11]],
+        ['n', [0x00, 0x00, 0x16, 0x19, 0x11, 0x11, 0x11]],
+        ['o', [0x00, 0x00, 0x0E, 0x11, 0x11, 0x11, 0x0E]],
+        ['p', [0x00, 0x00, 0x1E, 0x11, 0x11, 0x11, 0x1E, 0x10, 0x10]],
+        ['q', [0x00, 0x00, 0x0F, 0x11, 0x11, 0x11, 0x0F, 0x01, 0x01]],
+        ['r', [0x00, 0x00, 0x16, 0x19, 0x10, 0x10, 0x10]],
+        ['s', [0x00, 0x00, 0x0F, 0x10, 0x0E, 0x01, 0x1E]],
+        ['t', [0x08, 0x08, 0x1C, 0x08, 0x08, 0x09, 0x06]],
+        ['u', [0x00, 0x00, 0x11, 0x11, 0x11, 0x13, 0x0D]],
+        ['v', [0x00, 0x00, 0x11, 0x11, 0x11, 0x0A, 0x04]],
+        ['w', [0x00, 0x00, 0x11, 0x11, 0x15, 0x15, 0x0A]],
+        ['x', [0x00, 0x00, 0x11, 0x0A, 0x04, 0x0A, 0x11]],
+        ['y', [0x00, 0x00, 0x11, 0x11, 0x11, 0x11, 0x0F, 0x01, 0x0E]],
+        ['z', [0x00, 0x00, 0x1F, 0x02, 0x04, 0x08, 0x1F]],
+        ['{', [0x02, 0x04, 0x04, 0x08, 0x04, 0x04, 0x02]],
+        ['|', [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04]],
+        ['}', [0x08, 0x04, 0x04, 0x02, 0x04, 0x04, 0x08]],
+        ['~', [0x00, 0x00, 0x08, 0x15, 0x02, 0x00, 0x00]]
+    ]);
+
+    /** Hollow box drawn for characters the font does not cover */
+    static MISSING_GLYPH_ROWS = [0x1F, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1F];
+
+    static _instances = new Map();
+
+    /**
+     * Get the shared regular or bold instance
+     * @param {boolean} bold - True for the bold face
+     * @returns {DefaultFont} Font instance
+     */
+    static get(bold = false) {
+        const key = bold ? 'bold' : 'regular';
+        if (!DefaultFont._instances.has(key)) {
+            DefaultFont._instances.set(key, new DefaultFont(bold));
+        }
+        return DefaultFont._instances.get(key);
+    }
+
+    /**
+     * @param {boolean} bold - Embolden glyphs by widening every row one cell to the right
+     */
+    constructor(bold = false) {
+        this.bold = bold;
+        this.italic = false;
+        this.unitsPerEm = 1000;
+        this.ascender = 800;
+        this.descender = -200;
+        this.capHeight = 700;
+        this.xHeight = 500;
+
+        this._columns = bold ? 6 : 5;
+        this._advanceWidth = (this._columns + 1) * DefaultFont.CELL_SIZE;
+        this._glyphCache = new Map();
+    }
+
+    /**
+     * Check whether a code point has its own glyph
+     * @param {number} codePoint - Unicode code point
+     * @returns {boolean} True if the font covers the character
+     */
+    hasGlyph(codePoint) {
+        return DefaultFont.GLYPH_ROWS.has(String.fromCodePoint(codePoint));
+    }
+
+    /**
+     * Get the outline and advance of a character (cached)
+     * @param {number} codePoint - Unicode code point
+     * @returns {Object} Glyph {advanceWidth, commands, bounds}
+     */
+    getGlyph(codePoint) {
+        let glyph = this._glyphCache.get(codePoint);
+        if (!glyph) {
+            const rows = DefaultFont.GLYPH_ROWS.get(String.fromCodePoint(codePoint)) ||
+                DefaultFont.MISSING_GLYPH_ROWS;
+            glyph = this._buildGlyph(rows);
+            this._glyphCache.set(codePoint, glyph);
+        }
+        return glyph;
+    }
+
+    /**
+     * Trace a glyph bitmap into outline commands
+     * @param {number[]} rows - Row bitmasks, top to bottom
+     * @returns {Object} Glyph {advanceWidth, commands, bounds}
+     * @private
+     */
+    _buildGlyph(rows) {
+        const columns = this._columns;
+        const filled = (col, row) => {
+            if (row < 0 || row >= rows.length || col < 0 || col >= columns) return false;
+            // Bold doubles each set bit into the cell to its right
+            const bits = this.bold ? (rows[row] << 1) | rows[row] : rows[row];
+            return (bits & (1 << (columns - 1 - col))) !== 0;
+        };
+
+        const loops = DefaultFont._traceCells(filled, columns, rows.length);
+        const cell = DefaultFont.CELL_SIZE;
+        const top = DefaultFont.ROWS_ABOVE_BASELINE;
+        const commands = [];
+        const bounds = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+
+        for (const loop of loops) {
+            loop.forEach((corner, i) => {
+                const x = corner.x * cell;
+                const y = (top - corner.y) * cell;
+                commands.push({ type: i === 0 ? 'moveTo' : 'lineTo', x: x, y: y });
+                bounds.xMin = Math.min(bounds.xMin, x);
+                bounds.xMax = Math.max(bounds.xMax, x);
+                bounds.yMin = Math.min(bounds.yMin, y);
+                bounds.yMax = Math.max(bounds.yMax, y);
+            });
+            commands.push({ type: 'closePath' });
+        }
+
+        return {
+            advanceWidth: this._advanceWidth,
+            commands: commands,
+            bounds: commands.length > 0 ? bounds : null
+        };
+    }
+
+    /**
+     * Trace the boundary of a set of filled grid cells into closed loops.
+     * Each filled cell contributes its four edges clockwise (y down); edges shared
+     * by two filled cells cancel, so the rest is the union's outline with holes
+     * running the opposite way. Diagonally touching cells are kept as separate
+     * loops by always taking the rightmost turn.
+     * @param {Function} filled - (col, row) => boolean
+     * @param {number} columns - Grid width
+     * @param {number} rowCount - Grid height
+     * @returns {Array<Array<{x: number, y: number}>>} Loops of grid corners (collinear corners removed)
+     * @private
+     */
+    static _traceCells(filled, columns, rowCount) {
+        // Outgoing boundary edges keyed by start corner
+        const edges = new Map();
+        const addEdge = (x0, y0, x1, y1) => {
+            const key = x0 + ',' + y0;
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push({ x: x1, y: y1 });
+        };
+
+        for (let row = 0; row < rowCount; row++) {
+            for (let col = 0; col < columns; col++) {
+                if (!filled(col, row)) continue;
+                if (!filled(col, row - 1)) addEdge(col, row, col + 1, row);             // top
+                if (!filled(col + 1, row)) addEdge(col + 1, row, col + 1, row + 1);     // right
+                if (!filled(col, row + 1)) addEdge(col + 1, row + 1, col, row + 1);     // bottom
+                if (!filled(col - 1, row)) addEdge(col, row + 1, col, row);             // left
+            }
+        }
+
+        const loops = [];
+        for (const [startKey, startList] of edges) {
+            while (startList.length > 0) {
+                const [sx, sy] = startKey.split(',').map(Number);
+                const corners = [{ x: sx, y: sy }];
+                let current = { x: sx, y: sy };
+                let next = startList.shift();
+
+                while (next.x !== sx || next.y !== sy) {
+                    const dx = next.x - current.x;
+                    const dy = next.y - current.y;
+                    current = next;
+                    corners.push(current);
+
+                    const candidates = edges.get(current.x + ',' + current.y);
+                    // Preference: right turn (-dy, dx), straight, then left turn
+                    const preferred = [[-dy, dx], [dx, dy], [dy, -dx]];
+                    let index = -1;
+                    for (const [px, py] of preferred) {
+                        index = candidates.findIndex(c => c.x - current.x === px && c.y - current.y === py);
+                        if (index !== -1) break;
+                    }
+                    next = candidates.splice(index, 1)[0];
+                }
+
+                loops.push(DefaultFont._removeCollinear(corners));
+            }
+        }
+        return loops;
+    }
+
+    /**
+     * Drop corners that lie on a straight run between their neighbours
+     * @private
+     */
+    static _removeCollinear(corners) {
+        const count = corners.length;
+        return corners.filter((corner, i) => {
+            const prev = corners[(i + count - 1) % count];
+            const next = corners[(i + 1) % count];
+            const cross = (corner.x - prev.x) * (next.y - corner.y) - (corner.y - prev.y) * (next.x - corner.x);
+            return cross !== 0;
+        });
+    }
+}
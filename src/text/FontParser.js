@@ -0,0 +1,176 @@
+/**
+ * FontParser for SWCanvas
+ *
+ * Parses CSS font shorthand strings (the value of ctx.font) into font
+ * descriptors and serializes them back to their canonical form.
+ *
+ * Grammar (CSS Fonts shorthand, as accepted by Canvas 2D):
+ *   [style || variant || weight || stretch]? size[/line-height]? family[, family]*
+ *
+ * Relative sizes (em, rem, %) resolve against the 10px canvas default, and
+ * absolute units are converted to CSS pixels. Invalid strings return null so
+ * callers can ignore them like browsers do.
+ */
+class FontParser {
+    /** CSS pixels per absolute length unit */
+    static UNIT_TO_PX = {
+        px: 1,
+        pt: 4 / 3,
+        pc: 16,
+        in: 96,
+        cm: 96 / 2.54,
+        mm: 96 / 25.4,
+        q: 96 / 101.6
+    };
+
+    /** Absolute-size keywords (CSS Fonts Level 4, medium = 16px) */
+    static SIZE_KEYWORDS = {
+        'xx-small': 9,
+        'x-small': 10,
+        'small': 13,
+        'medium': 16,
+        'large': 18,
+        'x-large': 24,
+        'xx-large': 32,
+        'xxx-large': 48
+    };
+
+    static STRETCH_KEYWORDS = [
+        'ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed',
+        'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'
+    ];
+
+    /**
+     * Parse a CSS font shorthand string
+     * @param {string} font - Font string, e.g. 'italic bold 16px "Open Sans", sans-serif'
+     * @returns {Object|null} Descriptor {style, variant, weight, weightName, stretch, size, lineHeight, families, family} or null if invalid
+     */
+    static parse(font) {
+        if (typeof font !== 'string') return null;
+
+        const match = /^\s*(.*?)((?:\d+\.?\d*|\.\d+)(?:px|pt|pc|in|cm|mm|q|em|rem|%)|xx-small|x-small|small|medium|x-large|xx-large|xxx-large|large)(?:\s*\/\s*(\S+))?\s+(\S.*?)\s*$/i.exec(font);
+        if (!match) return null;
+
+        const descriptor = {
+            style: 'normal',
+            variant: 'normal',
+            weight: 400,
+            weightName: 'normal',
+            stretch: 'normal',
+            size: 0,
+            lineHeight: match[3] || 'normal',
+            families: [],
+            family: ''
+        };
+
+        // Style, variant, weight and stretch may appear in any order before the size
+        const prefix = match[1].trim();
+        if (prefix.length > 0) {
+            for (const token of prefix.toLowerCase().split(/\s+/)) {
+                if (!FontParser._applyPrefixToken(descriptor, token)) {
+                    return null;
+                }
+            }
+        }
+
+        descriptor.size = FontParser._parseSize(match[2].toLowerCase());
+        if (!(descriptor.size >= 0) || !isFinite(descriptor.size)) return null;
+
+        descriptor.families = FontParser._parseFamilies(match[4]);
+        if (descriptor.families === null) return null;
+        descriptor.family = descriptor.families.join(', ');
+
+        return descriptor;
+    }
+
+    /**
+     * Serialize a descriptor to the canonical ctx.font form (e.g. 'bold 16px Arial')
+     * @param {Object} descriptor - Descriptor returned by parse()
+     * @returns {string} Canonical font string
+     */
+    static serialize(descriptor) {
+        const parts = [];
+        if (descriptor.style !== 'normal') parts.push(descriptor.style);
+        if (descriptor.variant !== 'normal') parts.push(descriptor.variant);
+        if (descriptor.weightName !== 'normal') parts.push(descriptor.weightName);
+        if (descriptor.stretch !== 'normal') parts.push(descriptor.stretch);
+        parts.push(`${Math.round(descriptor.size * 1000) / 1000}px`);
+        parts.push(descriptor.family);
+        return parts.join(' ');
+    }
+
+    /**
+     * Classify one of the optional tokens preceding the font size
+     * @returns {boolean} False if the token is not valid in this position
+     * @private
+     */
+    static _applyPrefixToken(descriptor, token) {
+        if (token === 'normal') return true;
+
+        if (token === 'italic' || token === 'oblique') {
+            descriptor.style = token;
+        } else if (token === 'small-caps') {
+            descriptor.variant = token;
+        } else if (token === 'bold' || token === 'bolder') {
+            descriptor.weight = 700;
+            descriptor.weightName = token;
+        } else if (token === 'lighter') {
+            descriptor.weight = 100;
+            descriptor.weightName = token;
+        } else if (/^[1-9]00$/.test(token)) {
+            descriptor.weight = parseInt(token, 10);
+            descriptor.weightName = token;
+        } else if (FontParser.STRETCH_KEYWORDS.includes(token)) {
+            descriptor.stretch = token;
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Convert a size token to CSS pixels
+     * @private
+     */
+    static _parseSize(token) {
+        if (token in FontParser.SIZE_KEYWORDS) {
+            return FontParser.SIZE_KEYWORDS[token];
+        }
+
+        const unit = /[a-z%]+$/.exec(token)[0];
+        const value = parseFloat(token);
+
+        if (unit === 'em' || unit === 'rem') return value * DEFAULT_FONT_SIZE;
+        if (unit === '%') return value / 100 * DEFAULT_FONT_SIZE;
+        return value * FontParser.UNIT_TO_PX[unit];
+    }
+
+    /**
+     * Split a family list, keeping quoted names intact
+     * @returns {string[]|null} Family names (quotes preserved) or null if malformed
+     * @private
+     */
+    static _parseFamilies(list) {
+        const families = [];
+        for (const rawName of list.split(',')) {
+            const name = rawName.trim().replace(/\s+/g, ' ');
+            if (name.length === 0) return null;
+
+            const quote = name[0];
+            if (quote === '"' || quote === "'") {
+                if (name.length < 2 || name[name.length - 1] !== quote) return null;
+            }
+            families.push(name);
+        }
+        return families;
+    }
+
+    /**
+     * Family name without surrounding quotes, lower-cased for lookups
+     * @param {string} family - Family name as it appears in the font string
+     * @returns {string} Normalized family name
+     */
+    static normalizeFamily(family) {
+        return family.replace(/^(["'])(.*)\1$/, '$2').toLowerCase();
+    }
+}
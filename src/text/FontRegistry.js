@@ -0,0 +1,101 @@
+/**
+ * FontRegistry for SWCanvas
+ *
+ * Holds the fonts registered with SWCanvas.registerFont() and matches ctx.font
+ * family lists against them. A family may have several faces (e.g. regular,
+ * bold, italic); the closest face by style and weight is chosen, similar to
+ * CSS font matching. Families with no registered face fall through to the
+ * next family in the list.
+ */
+class FontRegistry {
+    /** Normalized family name → array of {font, weight, style} faces */
+    static _families = new Map();
+
+    /**
+     * Register a font face under a family name
+     * @param {string} family - Family name to use in ctx.font strings
+     * @param {ArrayBuffer|Uint8Array|OpenTypeFont} source - Font file contents or a parsed font
+     * @param {Object} options - Optional {weight, style} overriding the values read from the font
+     * @returns {OpenTypeFont} The registered font
+     */
+    static register(family, source, options = {}) {
+        if (typeof family !== 'string' || family.trim().length === 0) {
+            throw new Error('Font family must be a non-empty string');
+        }
+
+        const font = source instanceof OpenTypeFont ? source : new OpenTypeFont(source);
+        const face = {
+            font: font,
+            weight: options.weight !== undefined ? Number(options.weight) : font.weight,
+            style: options.style !== undefined ? options.style : (font.italic ? 'italic' : 'normal')
+        };
+
+        const key = FontParser.normalizeFamily(family.trim());
+        const faces = FontRegistry._families.get(key) || [];
+
+        // Re-registering the same weight and style replaces the previous face
+        const existing = faces.findIndex(f => f.weight === face.weight && f.style === face.style);
+        if (existing >= 0) faces[existing] = face;
+        else faces.push(face);
+
+        FontRegistry._families.set(key, faces);
+        return font;
+    }
+
+    /**
+     * Remove all faces of a family
+     * @param {string} family - Family name
+     * @returns {boolean} True if the family was registered
+     */
+    static unregister(family) {
+        return FontRegistry._families.delete(FontParser.normalizeFamily(family.trim()));
+    }
+
+    /**
+     * Check whether a family has registered faces
+     * @param {string} family - Family name (quotes allowed)
+     * @returns {boolean} True if registered
+     */
+    static has(family) {
+        return FontRegistry._families.has(FontParser.normalizeFamily(family.trim()));
+    }
+
+    /**
+     * Find the registered face for a font descriptor
+     * @param {Object} descriptor - Parsed font descriptor (see FontParser)
+     * @returns {Object|null} Best matching face {font, weight, style}, or null if no family is registered
+     */
+    static resolve(descriptor) {
+        for (const family of descriptor.families) {
+            const faces = FontRegistry._families.get(FontParser.normalizeFamily(family));
+            if (faces && faces.length > 0) {
+                return FontRegistry._matchFace(faces, descriptor);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pick a face: matching style first, then the nearest weight.
+     * Ties go lighter for normal-ish weights and heavier for bold ones.
+     * @private
+     */
+    static _matchFace(faces, descriptor) {
+        const wantsItalic = descriptor.style !== 'normal';
+        const styled = faces.filter(f => (f.style !== 'normal') === wantsItalic);
+        const candidates = styled.length > 0 ? styled : faces;
+
+        let best = candidates[0];
+        let bestScore = Infinity;
+        for (const face of candidates) {
+            const diff = face.weight - descriptor.weight;
+            const preferHeavier = descriptor.weight > 500;
+            const score = Math.abs(diff) * 2 + ((diff > 0) === preferHeavier || diff === 0 ? 0 : 1);
+            if (score < bestScore) {
+                best = face;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+}
@@ -0,0 +1,1178 @@
+/**
+ * OpenTypeFont for SWCanvas
+ *
+ * Parses TrueType (.ttf) and OpenType (.otf) font files from an ArrayBuffer
+ * and exposes glyph outlines as SWPath2D-style commands, so fonts supplied by
+ * the application render identically on every platform.
+ *
+ * Supported tables:
+ * - head, hhea, maxp, hmtx, OS/2, cmap (formats 4 and 12)
+ * - glyf/loca outlines (simple and composite glyphs) → quadraticCurveTo
+ * - CFF outlines (Type 2 charstrings, incl. subroutines and CID fonts) → bezierCurveTo
+ * - Pair kerning from GPOS (PairPos formats 1 and 2) or the legacy kern table
+ *
+ * Implements the same font interface as DefaultFont, so TextLayout can place
+ * its glyphs directly.
+ */
+class OpenTypeFont {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw font file contents
+     */
+    constructor(buffer) {
+        if (buffer instanceof Uint8Array) {
+            this._view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        } else if (buffer instanceof ArrayBuffer) {
+            this._view = new DataView(buffer);
+        } else {
+            throw new Error('OpenTypeFont requires an ArrayBuffer or Uint8Array');
+        }
+
+        this._tables = this._readTableDirectory();
+        for (const required of ['head', 'hhea', 'maxp', 'hmtx', 'cmap']) {
+            if (!this._tables[required]) {
+                throw new Error(`Font is missing required '${required}' table`);
+            }
+        }
+
+        this._parseHead();
+        this._parseHhea();
+        this._parseOS2();
+        this.numGlyphs = this._view.getUint16(this._tables.maxp.offset + 4);
+        this._parseHmtx();
+        this._cmapLookup = this._parseCmap();
+
+        if (this._tables.glyf && this._tables.loca) {
+            this.outlineFormat = 'truetype';
+            this._parseLoca();
+        } else if (this._tables['CFF ']) {
+            this.outlineFormat = 'cff';
+            this._cff = this._parseCFF(this._tables['CFF '].offset);
+        } else {
+            throw new Error('Font has no supported outlines (glyf or CFF)');
+        }
+
+        this._kernPairs = this._tables.kern ? this._parseKernTable() : null;
+        this._gposPairLookups = this._tables.GPOS ? this._parseGposPairLookups() : [];
+
+        this._glyphCache = new Map();
+        this._kerningCache = new Map();
+    }
+
+    // ===== FONT INTERFACE =====
+
+    /**
+     * Map a Unicode code point to a glyph index
+     * @param {number} codePoint - Unicode code point
+     * @returns {number} Glyph index (0 = .notdef)
+     */
+    getGlyphIndex(codePoint) {
+        const index = this._cmapLookup(codePoint);
+        return index < this.numGlyphs ? index : 0;
+    }
+
+    /**
+     * Check whether a code point has its own glyph
+     * @param {number} codePoint - Unicode code point
+     * @returns {boolean} True if the cmap maps it to a real glyph
+     */
+    hasGlyph(codePoint) {
+        return this.getGlyphIndex(codePoint) !== 0;
+    }
+
+    /**
+     * Get the outline and advance of a character
+     * @param {number} codePoint - Unicode code point
+     * @returns {Object} Glyph {advanceWidth, commands, bounds} in font units (y up)
+     */
+    getGlyph(codePoint) {
+        return this.getGlyphByIndex(this.getGlyphIndex(codePoint));
+    }
+
+    /**
+     * Get the outline and advance of a glyph index (cached)
+     * @param {number} glyphIndex - Glyph index
+     * @returns {Object} Glyph {advanceWidth, commands, bounds} in font units (y up)
+     */
+    getGlyphByIndex(glyphIndex) {
+        let glyph = this._glyphCache.get(glyphIndex);
+        if (!glyph) {
+            const commands = this.outlineFormat === 'truetype'
+                ? OpenTypeFont._contoursToCommands(this._readTrueTypeContours(glyphIndex, 0))
+                : this._readCFFCommands(glyphIndex);
+
+            glyph = {
+                advanceWidth: this._advanceWidths[Math.min(glyphIndex, this._advanceWidths.length - 1)],
+                commands: commands,
+                bounds: OpenTypeFont._commandBounds(commands)
+            };
+            this._glyphCache.set(glyphIndex, glyph);
+        }
+        return glyph;
+    }
+
+    /**
+     * Pair kerning adjustment between two characters
+     * @param {number} leftCodePoint - First character
+     * @param {number} rightCodePoint - Following character
+     * @returns {number} Advance adjustment in font units (negative moves closer)
+     */
+    getKerning(leftCodePoint, rightCodePoint) {
+        const left = this.getGlyphIndex(leftCodePoint);
+        const right = this.getGlyphIndex(rightCodePoint);
+        const key = left * 65536 + right;
+
+        let value = this._kerningCache.get(key);
+        if (value === undefined) {
+            value = this._lookupKerning(left, right);
+            this._kerningCache.set(key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Build a user-space path for one character, like drawing it with fillText
+     * @param {number} codePoint - Unicode code point
+     * @param {number} x - Pen position x
+     * @param {number} y - Baseline y
+     * @param {number} fontSize - Font size in pixels
+     * @returns {SWPath2D} Glyph outline (y down)
+     */
+    getGlyphPath(codePoint, x, y, fontSize) {
+        const scale = fontSize / this.unitsPerEm;
+        const path = new SWPath2D();
+
+        for (const cmd of this.getGlyph(codePoint).commands) {
+            switch (cmd.type) {
+                case 'moveTo':
+                    path.moveTo(x + cmd.x * scale, y - cmd.y * scale);
+                    break;
+                case 'lineTo':
+                    path.lineTo(x + cmd.x * scale, y - cmd.y * scale);
+                    break;
+                case 'quadraticCurveTo':
+                    path.quadraticCurveTo(x + cmd.cpx * scale, y - cmd.cpy * scale, x + cmd.x * scale, y - cmd.y * scale);
+                    break;
+                case 'bezierCurveTo':
+                    path.bezierCurveTo(
+                        x + cmd.cp1x * scale, y - cmd.cp1y * scale,
+                        x + cmd.cp2x * scale, y - cmd.cp2y * scale,
+                        x + cmd.x * scale, y - cmd.y * scale
+                    );
+                    break;
+                case 'closePath':
+                    path.closePath();
+                    break;
+            }
+        }
+        return path;
+    }
+
+    // ===== TABLE PARSING =====
+
+    /**
+     * Read the sfnt table directory
+     * @returns {Object} Map of tag → {offset, length}
+     * @private
+     */
+    _readTableDirectory() {
+        const view = this._view;
+        if (view.byteLength < 12) {
+            throw new Error('Font data is too short');
+        }
+
+        const version = view.getUint32(0);
+        if (version !== 0x00010000 && version !== 0x4F54544F && version !== 0x74727565) { // 1.0, 'OTTO', 'true'
+            throw new Error('Unsupported font format (expected TrueType or OpenType)');
+        }
+
+        const numTables = view.getUint16(4);
+        const tables = {};
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = this._readTag(record);
+            tables[tag] = {
+                offset: view.getUint32(record + 8),
+                length: view.getUint32(record + 12)
+            };
+        }
+        return tables;
+    }
+
+    /** @private */
+    _readTag(offset) {
+        let tag = '';
+        for (let i = 0; i < 4; i++) {
+            tag += String.fromCharCode(this._view.getUint8(offset + i));
+        }
+        return tag;
+    }
+
+    /** @private */
+    _parseHead() {
+        const head = this._tables.head.offset;
+        this.unitsPerEm = this._view.getUint16(head + 18);
+        this._indexToLocFormat = this._view.getInt16(head + 50);
+        this.italic = (this._view.getUint16(head + 44) & 0x02) !== 0;
+    }
+
+    /** @private */
+    _parseHhea() {
+        const hhea = this._tables.hhea.offset;
+        this.ascender = this._view.getInt16(hhea + 4);
+        this.descender = this._view.getInt16(hhea + 6);
+        this._numberOfHMetrics = this._view.getUint16(hhea + 34);
+    }
+
+    /**
+     * OS/2 metrics: weight class, italic flag, cap height and x-height
+     * @private
+     */
+    _parseOS2() {
+        this.weight = 400;
+        this.capHeight = undefined;
+        this.xHeight = undefined;
+
+        const os2 = this._tables['OS/2'];
+        if (!os2) return;
+
+        const view = this._view;
+        const version = view.getUint16(os2.offset);
+        this.weight = view.getUint16(os2.offset + 4);
+        if (view.getUint16(os2.offset + 62) & 0x01) {
+            this.italic = true;
+        }
+        if (version >= 2 && os2.length >= 90) {
+            this.xHeight = view.getInt16(os2.offset + 86);
+            this.capHeight = view.getInt16(os2.offset + 88);
+        }
+    }
+
+    /** @private */
+    _parseHmtx() {
+        const hmtx = this._tables.hmtx.offset;
+        const count = Math.max(1, this._numberOfHMetrics);
+        this._advanceWidths = new Array(count);
+        for (let i = 0; i < count; i++) {
+            this._advanceWidths[i] = this._view.getUint16(hmtx + i * 4);
+        }
+    }
+
+    /**
+     * Pick a Unicode cmap subtable (format 12 preferred over format 4)
+     * @returns {Function} codePoint → glyph index
+     * @private
+     */
+    _parseCmap() {
+        const view = this._view;
+        const cmap = this._tables.cmap.offset;
+        const numTables = view.getUint16(cmap + 2);
+
+        let format4 = -1;
+        let format12 = -1;
+        for (let i = 0; i < numTables; i++) {
+            const record = cmap + 4 + i * 8;
+            const platformID = view.getUint16(record);
+            const encodingID = view.getUint16(record + 2);
+            const subtable = cmap + view.getUint32(record + 4);
+            const isUnicode = platformID === 0 || (platformID === 3 && (encodingID === 1 || encodingID === 10));
+            if (!isUnicode) continue;
+
+            const format = view.getUint16(subtable);
+            if (format === 12 && format12 < 0) format12 = subtable;
+            if (format === 4 && format4 < 0) format4 = subtable;
+        }
+
+        if (format12 >= 0) return this._cmapFormat12(format12);
+        if (format4 >= 0) return this._cmapFormat4(format4);
+        throw new Error('Font has no supported Unicode cmap subtable');
+    }
+
+    /** @private */
+    _cmapFormat4(subtable) {
+        const view = this._view;
+        const segCount = view.getUint16(subtable + 6) / 2;
+        const endCodes = subtable + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+
+        return (codePoint) => {
+            if (codePoint > 0xFFFF) return 0;
+            for (let i = 0; i < segCount; i++) {
+                if (codePoint > view.getUint16(endCodes + i * 2)) continue;
+
+                const start = view.getUint16(startCodes + i * 2);
+                if (codePoint < start) return 0;
+
+                const idDelta = view.getUint16(idDeltas + i * 2);
+                const rangeOffsetPos = idRangeOffsets + i * 2;
+                const idRangeOffset = view.getUint16(rangeOffsetPos);
+                if (idRangeOffset === 0) {
+                    return (codePoint + idDelta) & 0xFFFF;
+                }
+
+                const glyph = view.getUint16(rangeOffsetPos + idRangeOffset + (codePoint - start) * 2);
+                return glyph === 0 ? 0 : (glyph + idDelta) & 0xFFFF;
+            }
+            return 0;
+        };
+    }
+
+    /** @private */
+    _cmapFormat12(subtable) {
+        const view = this._view;
+        const numGroups = view.getUint32(subtable + 12);
+
+        return (codePoint) => {
+            for (let i = 0; i < numGroups; i++) {
+                const group = subtable + 16 + i * 12;
+                const start = view.getUint32(group);
+                const end = view.getUint32(group + 4);
+                if (codePoint >= start && codePoint <= end) {
+                    return view.getUint32(group + 8) + (codePoint - start);
+                }
+            }
+            return 0;
+        };
+    }
+
+    /** @private */
+    _parseLoca() {
+        const loca = this._tables.loca.offset;
+        const count = this.numGlyphs + 1;
+        this._glyphOffsets = new Array(count);
+        for (let i = 0; i < count; i++) {
+            this._glyphOffsets[i] = this._indexToLocFormat === 0
+                ? this._view.getUint16(loca + i * 2) * 2
+                : this._view.getUint32(loca + i * 4);
+        }
+    }
+
+    // ===== TRUETYPE OUTLINES =====
+
+    /**
+     * Read a glyf entry as contours of {x, y, onCurve} points
+     * @param {number} glyphIndex - Glyph index
+     * @param {number} depth - Composite nesting depth (guards against cycles)
+     * @returns {Array<Array<Object>>} Contours
+     * @private
+     */
+    _readTrueTypeContours(glyphIndex, depth) {
+        if (glyphIndex >= this.numGlyphs || depth > 8) return [];
+
+        const start = this._glyphOffsets[glyphIndex];
+        if (this._glyphOffsets[glyphIndex + 1] <= start) return []; // Empty glyph (e.g. space)
+
+        const view = this._view;
+        const glyph = this._tables.glyf.offset + start;
+        const numberOfContours = view.getInt16(glyph);
+
+        if (numberOfContours < 0) {
+            return this._readCompositeContours(glyph + 10, depth);
+        }
+
+        const endPoints = [];
+        for (let i = 0; i < numberOfContours; i++) {
+            endPoints.push(view.getUint16(glyph + 10 + i * 2));
+        }
+        const pointCount = numberOfContours > 0 ? endPoints[numberOfContours - 1] + 1 : 0;
+        const instructionLength = view.getUint16(glyph + 10 + numberOfContours * 2);
+        let pos = glyph + 12 + numberOfContours * 2 + instructionLength;
+
+        // Flags (bit 3 = repeat next byte)
+        const flags = new Array(pointCount);
+        for (let i = 0; i < pointCount; i++) {
+            const flag = view.getUint8(pos++);
+            flags[i] = flag;
+            if (flag & 0x08) {
+                let repeat = view.getUint8(pos++);
+                while (repeat-- > 0 && i + 1 < pointCount) {
+                    flags[++i] = flag;
+                }
+            }
+        }
+
+        // Delta-encoded coordinates: short flag = 1-byte magnitude, same flag = sign (short) or repeat (long)
+        const readCoordinates = (shortBit, sameBit) => {
+            const values = new Array(pointCount);
+            let value = 0;
+            for (let i = 0; i < pointCount; i++) {
+                const flag = flags[i];
+                if (flag & shortBit) {
+                    const delta = view.getUint8(pos++);
+                    value += (flag & sameBit) ? delta : -delta;
+                } else if (!(flag & sameBit)) {
+                    value += view.getInt16(pos);
+                    pos += 2;
+                }
+                values[i] = value;
+            }
+            return values;
+        };
+        const xs = readCoordinates(0x02, 0x10);
+        const ys = readCoordinates(0x04, 0x20);
+
+        const contours = [];
+        let first = 0;
+        for (const last of endPoints) {
+            const contour = [];
+            for (let i = first; i <= last; i++) {
+                contour.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) !== 0 });
+            }
+            contours.push(contour);
+            first = last + 1;
+        }
+        return contours;
+    }
+
+    /**
+     * Read a composite glyph by transforming and merging its components
+     * @private
+     */
+    _readCompositeContours(pos, depth) {
+        const view = this._view;
+        const contours = [];
+        let flags;
+
+        do {
+            flags = view.getUint16(pos);
+            const componentIndex = view.getUint16(pos + 2);
+            pos += 4;
+
+            let dx, dy;
+            if (flags & 0x0001) { // ARG_1_AND_2_ARE_WORDS
+                dx = view.getInt16(pos);
+                dy = view.getInt16(pos + 2);
+                pos += 4;
+            } else {
+                dx = view.getInt8(pos);
+                dy = view.getInt8(pos + 1);
+                pos += 2;
+            }
+            if (!(flags & 0x0002)) { // ARGS_ARE_XY_VALUES unset: point matching is not supported
+                dx = 0;
+                dy = 0;
+            }
+
+            let a = 1, b = 0, c = 0, d = 1;
+            const f2dot14 = (offset) => view.getInt16(offset) / 16384;
+            if (flags & 0x0008) { // WE_HAVE_A_SCALE
+                a = d = f2dot14(pos);
+                pos += 2;
+            } else if (flags & 0x0040) { // WE_HAVE_AN_X_AND_Y_SCALE
+                a = f2dot14(pos);
+                d = f2dot14(pos + 2);
+                pos += 4;
+            } else if (flags & 0x0080) { // WE_HAVE_A_TWO_BY_TWO
+                a = f2dot14(pos);
+                b = f2dot14(pos + 2);
+                c = f2dot14(pos + 4);
+                d = f2dot14(pos + 6);
+                pos += 8;
+            }
+
+            for (const contour of this._readTrueTypeContours(componentIndex, depth + 1)) {
+                contours.push(contour.map(p => ({
+                    x: a * p.x + c * p.y + dx,
+                    y: b * p.x + d * p.y + dy,
+                    onCurve: p.onCurve
+                })));
+            }
+        } while (flags & 0x0020); // MORE_COMPONENTS
+
+        return contours;
+    }
+
+    /**
+     * Convert quadratic B-spline contours to path commands.
+     * Consecutive off-curve points imply an on-curve point at their midpoint.
+     * @param {Array<Array<Object>>} contours - Contours of {x, y, onCurve}
+     * @returns {Array<Object>} SWPath2D-style commands
+     * @private
+     */
+    static _contoursToCommands(contours) {
+        const commands = [];
+        const midpoint = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 });
+
+        for (const contour of contours) {
+            const n = contour.length;
+            if (n === 0) continue;
+
+            const first = contour[0];
+            const last = contour[n - 1];
+            let start, sequence;
+            if (first.onCurve) {
+                start = first;
+                sequence = contour.slice(1);
+            } else if (last.onCurve) {
+                start = last;
+                sequence = contour.slice(0, n - 1);
+            } else {
+                start = midpoint(first, last);
+                sequence = contour;
+            }
+
+            commands.push({ type: 'moveTo', x: start.x, y: start.y });
+            let control = null;
+            for (const point of sequence) {
+                if (point.onCurve) {
+                    if (control) {
+                        commands.push({ type: 'quadraticCurveTo', cpx: control.x, cpy: control.y, x: point.x, y: point.y });
+                        control = null;
+                    } else {
+                        commands.push({ type: 'lineTo', x: point.x, y: point.y });
+                    }
+                } else {
+                    if (control) {
+                        const mid = midpoint(control, point);
+                        commands.push({ type: 'quadraticCurveTo', cpx: control.x, cpy: control.y, x: mid.x, y: mid.y });
+                    }
+                    control = point;
+                }
+            }
+            if (control) {
+                commands.push({ type: 'quadraticCurveTo', cpx: control.x, cpy: control.y, x: start.x, y: start.y });
+            }
+            commands.push({ type: 'closePath' });
+        }
+        return commands;
+    }
+
+    // ===== CFF OUTLINES =====
+
+    /**
+     * Parse the CFF table header, INDEXes and the dictionaries needed for outlines
+     * @param {number} start - CFF table offset
+     * @returns {Object} {charStrings, globalSubrs, localSubrs, fdSelect, fdSubrs}
+     * @private
+     */
+    _parseCFF(start) {
+        const view = this._view;
+        const headerSize = view.getUint8(start + 2);
+
+        const nameIndex = this._readCFFIndex(start + headerSize);
+        const topDictIndex = this._readCFFIndex(nameIndex.end);
+        const stringIndex = this._readCFFIndex(topDictIndex.end);
+        const globalSubrs = this._readCFFIndex(stringIndex.end);
+
+        if (topDictIndex.count === 0) {
+            throw new Error('CFF table has no Top DICT');
+        }
+        const topDict = this._readCFFDict(topDictIndex.offsets[0], topDictIndex.offsets[1]);
+        if (!topDict[17]) {
+            throw new Error('CFF Top DICT has no CharStrings');
+        }
+
+        const cff = {
+            charStrings: this._readCFFIndex(start + topDict[17][0]),
+            globalSubrs: globalSubrs,
+            localSubrs: null,
+            fdSelect: null,
+            fdSubrs: null
+        };
+
+        if (topDict[1236] && topDict[1237]) {
+            // CID-keyed font: each glyph selects a Font DICT with its own Private DICT
+            const fdArray = this._readCFFIndex(start + topDict[1236][0]);
+            cff.fdSubrs = [];
+            for (let i = 0; i < fdArray.count; i++) {
+                const fontDict = this._readCFFDict(fdArray.offsets[i], fdArray.offsets[i + 1]);
+                cff.fdSubrs.push(this._readCFFPrivateSubrs(start, fontDict));
+            }
+            cff.fdSelect = this._readFDSelect(start + topDict[1237][0], this.numGlyphs);
+        } else {
+            cff.localSubrs = this._readCFFPrivateSubrs(start, topDict);
+        }
+        return cff;
+    }
+
+    /**
+     * Read a CFF INDEX structure
+     * @returns {Object} {count, offsets (absolute, count + 1 entries), end}
+     * @private
+     */
+    _readCFFIndex(pos) {
+        const view = this._view;
+        const count = view.getUint16(pos);
+        if (count === 0) {
+            return { count: 0, offsets: [], end: pos + 2 };
+        }
+
+        const offSize = view.getUint8(pos + 2);
+        const dataStart = pos + 3 + (count + 1) * offSize - 1; // Offsets are 1-based
+        const offsets = [];
+        for (let i = 0; i <= count; i++) {
+            let offset = 0;
+            for (let j = 0; j < offSize; j++) {
+                offset = offset * 256 + view.getUint8(pos + 3 + i * offSize + j);
+            }
+            offsets.push(dataStart + offset);
+        }
+        return { count: count, offsets: offsets, end: offsets[count] };
+    }
+
+    /**
+     * Read a CFF DICT into operator → operands (escaped operators are 1200 + op)
+     * @private
+     */
+    _readCFFDict(pos, end) {
+        const view = this._view;
+        const dict = {};
+        let operands = [];
+
+        while (pos < end) {
+            const b0 = view.getUint8(pos++);
+            if (b0 <= 21) {
+                const op = b0 === 12 ? 1200 + view.getUint8(pos++) : b0;
+                dict[op] = operands;
+                operands = [];
+            } else if (b0 === 28) {
+                operands.push(view.getInt16(pos));
+                pos += 2;
+            } else if (b0 === 29) {
+                operands.push(view.getInt32(pos));
+                pos += 4;
+            } else if (b0 === 30) {
+                // Real number: nibble-encoded, terminated by 0xF
+                let text = '';
+                const nibbleChars = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'];
+                let done = false;
+                while (!done) {
+                    const byte = view.getUint8(pos++);
+                    for (const nibble of [byte >> 4, byte & 0x0F]) {
+                        if (nibble === 0x0F) {
+                            done = true;
+                            break;
+                        }
+                        text += nibbleChars[nibble];
+                    }
+                }
+                operands.push(parseFloat(text));
+            } else if (b0 >= 32 && b0 <= 246) {
+                operands.push(b0 - 139);
+            } else if (b0 >= 247 && b0 <= 250) {
+                operands.push((b0 - 247) * 256 + view.getUint8(pos++) + 108);
+            } else if (b0 >= 251 && b0 <= 254) {
+                operands.push(-(b0 - 251) * 256 - view.getUint8(pos++) - 108);
+            }
+        }
+        return dict;
+    }
+
+    /**
+     * Read the local Subrs INDEX referenced by a dictionary's Private entry
+     * @private
+     */
+    _readCFFPrivateSubrs(cffStart, dict) {
+        if (!dict[18]) return null;
+
+        const [size, offset] = dict[18];
+        const privateStart = cffStart + offset;
+        const privateDict = this._readCFFDict(privateStart, privateStart + size);
+        return privateDict[19] ? this._readCFFIndex(privateStart + privateDict[19][0]) : null;
+    }
+
+    /**
+     * Read FDSelect (formats 0 and 3) into a glyph → Font DICT index array
+     * @private
+     */
+    _readFDSelect(pos, numGlyphs) {
+        const view = this._view;
+        const format = view.getUint8(pos);
+        const fdIndices = new Uint8Array(numGlyphs);
+
+        if (format === 0) {
+            for (let i = 0; i < numGlyphs; i++) {
+                fdIndices[i] = view.getUint8(pos + 1 + i);
+            }
+        } else if (format === 3) {
+            const rangeCount = view.getUint16(pos + 1);
+            for (let i = 0; i < rangeCount; i++) {
+                const range = pos + 3 + i * 3;
+                const first = view.getUint16(range);
+                const next = view.getUint16(range + 3); // Next range's first glyph (or sentinel)
+                fdIndices.fill(view.getUint8(range + 2), first, Math.min(next, numGlyphs));
+            }
+        } else {
+            throw new Error(`Unsupported CFF FDSelect format ${format}`);
+        }
+        return fdIndices;
+    }
+
+    /**
+     * Subroutine index bias from the Type 2 charstring spec
+     * @private
+     */
+    static _subrBias(index) {
+        const count = index ? index.count : 0;
+        if (count < 1240) return 107;
+        if (count < 33900) return 1131;
+        return 32768;
+    }
+
+    /**
+     * Interpret a Type 2 charstring into path commands
+     * @param {number} glyphIndex - Glyph index
+     * @returns {Array<Object>} SWPath2D-style commands
+     * @private
+     */
+    _readCFFCommands(glyphIndex) {
+        const cff = this._cff;
+        if (glyphIndex >= cff.charStrings.count) return [];
+
+        const view = this._view;
+        const localSubrs = cff.fdSelect ? cff.fdSubrs[cff.fdSelect[glyphIndex]] : cff.localSubrs;
+        const globalSubrs = cff.globalSubrs;
+        const localBias = OpenTypeFont._subrBias(localSubrs);
+        const globalBias = OpenTypeFont._subrBias(globalSubrs);
+
+        const commands = [];
+        let stack = [];
+        let x = 0, y = 0;
+        let stemCount = 0;
+        let haveWidth = false;
+        let open = false;
+        let ended = false;
+
+        const closeContour = () => {
+            if (open) commands.push({ type: 'closePath' });
+            open = false;
+        };
+        const moveTo = (dx, dy) => {
+            closeContour();
+            x += dx;
+            y += dy;
+            commands.push({ type: 'moveTo', x: x, y: y });
+            open = true;
+        };
+        const lineTo = (dx, dy) => {
+            x += dx;
+            y += dy;
+            commands.push({ type: 'lineTo', x: x, y: y });
+        };
+        const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+            const cp1x = x + dx1, cp1y = y + dy1;
+            const cp2x = cp1x + dx2, cp2y = cp1y + dy2;
+            x = cp2x + dx3;
+            y = cp2y + dy3;
+            commands.push({ type: 'bezierCurveTo', cp1x: cp1x, cp1y: cp1y, cp2x: cp2x, cp2y: cp2y, x: x, y: y });
+        };
+        // The first stack-clearing operator may carry the advance width as an extra leading operand
+        const takeWidth = (hasExtra) => {
+            if (!haveWidth && hasExtra) stack.shift();
+            haveWidth = true;
+        };
+        const countStems = () => {
+            takeWidth(stack.length % 2 === 1);
+            stemCount += stack.length >> 1;
+            stack = [];
+        };
+
+        const execute = (pos, end, depth) => {
+            while (pos < end && !ended) {
+                const b0 = view.getUint8(pos++);
+
+                if (b0 >= 32 || b0 === 28) {
+                    if (b0 === 28) {
+                        stack.push(view.getInt16(pos));
+                        pos += 2;
+                    } else if (b0 <= 246) {
+                        stack.push(b0 - 139);
+                    } else if (b0 <= 250) {
+                        stack.push((b0 - 247) * 256 + view.getUint8(pos++) + 108);
+                    } else if (b0 <= 254) {
+                        stack.push(-(b0 - 251) * 256 - view.getUint8(pos++) - 108);
+                    } else {
+                        stack.push(view.getInt32(pos) / 65536);
+                        pos += 4;
+                    }
+                    continue;
+                }
+
+                switch (b0) {
+                    case 1: case 3: case 18: case 23: // hstem, vstem, hstemhm, vstemhm
+                        countStems();
+                        break;
+                    case 19: case 20: // hintmask, cntrmask (implicit vstem operands allowed)
+                        countStems();
+                        pos += (stemCount + 7) >> 3;
+                        break;
+                    case 21: // rmoveto
+                        takeWidth(stack.length > 2);
+                        moveTo(stack[0], stack[1]);
+                        stack = [];
+                        break;
+                    case 22: // hmoveto
+                        takeWidth(stack.length > 1);
+                        moveTo(stack[0], 0);
+                        stack = [];
+                        break;
+                    case 4: // vmoveto
+                        takeWidth(stack.length > 1);
+                        moveTo(0, stack[0]);
+                        stack = [];
+                        break;
+                    case 5: // rlineto
+                        for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                        stack = [];
+                        break;
+                    case 6: case 7: { // hlineto, vlineto (alternating)
+                        let horizontal = b0 === 6;
+                        for (const delta of stack) {
+                            if (horizontal) lineTo(delta, 0);
+                            else lineTo(0, delta);
+                            horizontal = !horizontal;
+                        }
+                        stack = [];
+                        break;
+                    }
+                    case 8: // rrcurveto
+                        for (let i = 0; i + 5 < stack.length; i += 6) {
+                            curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                        }
+                        stack = [];
+                        break;
+                    case 24: { // rcurveline
+                        let i = 0;
+                        for (; i + 7 < stack.length; i += 6) {
+                            curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                        }
+                        lineTo(stack[i], stack[i + 1]);
+                        stack = [];
+                        break;
+                    }
+                    case 25: { // rlinecurve
+                        let i = 0;
+                        for (; i + 7 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                        curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5]);
+                        stack = [];
+                        break;
+                    }
+                    case 26: { // vvcurveto
+                        let i = 0;
+                        let dx1 = 0;
+                        if (stack.length % 2 === 1) dx1 = stack[i++];
+                        for (; i + 3 < stack.length; i += 4) {
+                            curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                            dx1 = 0;
+                        }
+                        stack = [];
+                        break;
+                    }
+                    case 27: { // hhcurveto
+                        let i = 0;
+                        let dy1 = 0;
+                        if (stack.length % 2 === 1) dy1 = stack[i++];
+                        for (; i + 3 < stack.length; i += 4) {
+                            curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                            dy1 = 0;
+                        }
+                        stack = [];
+                        break;
+                    }
+                    case 30: case 31: { // vhcurveto, hvcurveto (alternating start tangents)
+                        let horizontal = b0 === 31;
+                        for (let i = 0; i + 3 < stack.length; i += 4) {
+                            const lastCurve = i + 8 > stack.length;
+                            const extra = lastCurve && stack.length - i === 5 ? stack[i + 4] : 0;
+                            if (horizontal) {
+                                curveTo(stack[i], 0, stack[i + 1], stack[i + 2], extra, stack[i + 3]);
+                            } else {
+                                curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], extra);
+                            }
+                            horizontal = !horizontal;
+                        }
+                        stack = [];
+                        break;
+                    }
+                    case 10: case 29: { // callsubr, callgsubr
+                        const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                        const index = stack.pop() + (b0 === 10 ? localBias : globalBias);
+                        if (subrs && index >= 0 && index < subrs.count && depth < 10) {
+                            execute(subrs.offsets[index], subrs.offsets[index + 1], depth + 1);
+                        }
+                        break;
+                    }
+                    case 11: // return
+                        return;
+                    case 14: // endchar
+                        takeWidth(stack.length === 1 || stack.length === 5);
+                        closeContour();
+                        ended = true;
+                        return;
+                    case 12: {
+                        const op = view.getUint8(pos++);
+                        OpenTypeFont._cffFlex(op, stack, curveTo);
+                        stack = [];
+                        break;
+                    }
+                    default:
+                        // Reserved / arithmetic operators are not used by outline fonts in practice
+                        stack = [];
+                        break;
+                }
+            }
+        };
+
+        const charString = cff.charStrings;
+        execute(charString.offsets[glyphIndex], charString.offsets[glyphIndex + 1], 0);
+        closeContour();
+        return commands;
+    }
+
+    /**
+     * Flex operators (escape 34-37) drawn as their two component curves
+     * @private
+     */
+    static _cffFlex(op, s, curveTo) {
+        switch (op) {
+            case 35: // flex
+                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                break;
+            case 34: // hflex
+                curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+                break;
+            case 36: // hflex1
+                curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+                break;
+            case 37: { // flex1: last delta goes along the dominant axis
+                const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                if (Math.abs(dx) > Math.abs(dy)) {
+                    curveTo(s[6], s[7], s[8], s[9], s[10], -dy);
+                } else {
+                    curveTo(s[6], s[7], s[8], s[9], -dx, s[10]);
+                }
+                break;
+            }
+        }
+    }
+
+    // ===== KERNING =====
+
+    /** @private */
+    _lookupKerning(left, right) {
+        for (const subtable of this._gposPairLookups) {
+            const value = this._gposPairValue(subtable, left, right);
+            if (value !== null) return value;
+        }
+        if (this._kernPairs) {
+            return this._kernPairs.get(left * 65536 + right) || 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Read horizontal format 0 subtables of the legacy kern table
+     * @returns {Map} (left * 65536 + right) → value
+     * @private
+     */
+    _parseKernTable() {
+        const view = this._view;
+        const kern = this._tables.kern.offset;
+        const pairs = new Map();
+        if (view.getUint16(kern) !== 0) return pairs; // Only the Windows/OpenType version 0 layout
+
+        const nTables = view.getUint16(kern + 2);
+        let pos = kern + 4;
+        for (let t = 0; t < nTables; t++) {
+            const length = view.getUint16(pos + 2);
+            const coverage = view.getUint16(pos + 4);
+            const format = coverage >> 8;
+            const horizontal = (coverage & 0x01) !== 0;
+
+            if (format === 0 && horizontal) {
+                const nPairs = view.getUint16(pos + 6);
+                for (let i = 0; i < nPairs; i++) {
+                    const pair = pos + 14 + i * 6;
+                    const key = view.getUint16(pair) * 65536 + view.getUint16(pair + 2);
+                    if (!pairs.has(key)) pairs.set(key, view.getInt16(pair + 4));
+                }
+            }
+            pos += length;
+        }
+        return pairs;
+    }
+
+    /**
+     * Collect PairPos subtables from lookups used by the 'kern' feature
+     * (all PairPos lookups if the font has no 'kern' feature)
+     * @returns {Array<number>} Absolute subtable offsets
+     * @private
+     */
+    _parseGposPairLookups() {
+        const view = this._view;
+        const gpos = this._tables.GPOS.offset;
+        const featureList = gpos + view.getUint16(gpos + 6);
+        const lookupList = gpos + view.getUint16(gpos + 8);
+
+        const kernLookups = new Set();
+        const featureCount = view.getUint16(featureList);
+        for (let i = 0; i < featureCount; i++) {
+            const record = featureList + 2 + i * 6;
+            if (this._readTag(record) !== 'kern') continue;
+            const feature = featureList + view.getUint16(record + 4);
+            const lookupCount = view.getUint16(feature + 2);
+            for (let j = 0; j < lookupCount; j++) {
+                kernLookups.add(view.getUint16(feature + 4 + j * 2));
+            }
+        }
+
+        const subtables = [];
+        const lookupCount = view.getUint16(lookupList);
+        for (let i = 0; i < lookupCount; i++) {
+            if (kernLookups.size > 0 && !kernLookups.has(i)) continue;
+
+            const lookup = lookupList + view.getUint16(lookupList + 2 + i * 2);
+            const lookupType = view.getUint16(lookup);
+            const subTableCount = view.getUint16(lookup + 4);
+            for (let j = 0; j < subTableCount; j++) {
+                let subtable = lookup + view.getUint16(lookup + 6 + j * 2);
+                let type = lookupType;
+                if (type === 9) { // Extension positioning
+                    type = view.getUint16(subtable + 2);
+                    subtable += view.getUint32(subtable + 4);
+                }
+                if (type === 2) subtables.push(subtable);
+            }
+        }
+        return subtables;
+    }
+
+    /**
+     * XAdvance of the first glyph from a PairPos subtable
+     * @returns {number|null} Adjustment, or null if the pair is not covered
+     * @private
+     */
+    _gposPairValue(subtable, left, right) {
+        const view = this._view;
+        const format = view.getUint16(subtable);
+        const coverageIndex = this._coverageIndex(subtable + view.getUint16(subtable + 2), left);
+        if (coverageIndex < 0) return null;
+
+        const valueFormat1 = view.getUint16(subtable + 4);
+        const valueFormat2 = view.getUint16(subtable + 6);
+        const size1 = OpenTypeFont._valueRecordSize(valueFormat1);
+        const size2 = OpenTypeFont._valueRecordSize(valueFormat2);
+        const readXAdvance = (record) => {
+            if (!(valueFormat1 & 0x0004)) return 0;
+            // XAdvance follows XPlacement and YPlacement when those are present
+            const skip = ((valueFormat1 & 0x0001) ? 2 : 0) + ((valueFormat1 & 0x0002) ? 2 : 0);
+            return view.getInt16(record + skip);
+        };
+
+        if (format === 1) {
+            const pairSet = subtable + view.getUint16(subtable + 10 + coverageIndex * 2);
+            const count = view.getUint16(pairSet);
+            for (let i = 0; i < count; i++) {
+                const record = pairSet + 2 + i * (2 + size1 + size2);
+                if (view.getUint16(record) === right) {
+                    return readXAdvance(record + 2);
+                }
+            }
+            return null;
+        }
+
+        if (format === 2) {
+            const class1 = this._classValue(subtable + view.getUint16(subtable + 8), left);
+            const class2 = this._classValue(subtable + view.getUint16(subtable + 10), right);
+            const class1Count = view.getUint16(subtable + 12);
+            const class2Count = view.getUint16(subtable + 14);
+            if (class1 >= class1Count || class2 >= class2Count) return null;
+
+            const record = subtable + 16 + (class1 * class2Count + class2) * (size1 + size2);
+            return readXAdvance(record);
+        }
+        return null;
+    }
+
+    /** @private */
+    static _valueRecordSize(valueFormat) {
+        let size = 0;
+        for (let bits = valueFormat; bits; bits >>= 1) {
+            if (bits & 1) size += 2;
+        }
+        return size;
+    }
+
+    /**
+     * Position of a glyph in a Coverage table
+     * @returns {number} Coverage index or -1
+     * @private
+     */
+    _coverageIndex(coverage, glyph) {
+        const view = this._view;
+        const format = view.getUint16(coverage);
+        const count = view.getUint16(coverage + 2);
+
+        for (let i = 0; i < count; i++) {
+            if (format === 1) {
+                if (view.getUint16(coverage + 4 + i * 2) === glyph) return i;
+            } else if (format === 2) {
+                const range = coverage + 4 + i * 6;
+                const start = view.getUint16(range);
+                if (glyph >= start && glyph <= view.getUint16(range + 2)) {
+                    return view.getUint16(range + 4) + glyph - start;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Class of a glyph in a ClassDef table (0 if unlisted)
+     * @private
+     */
+    _classValue(classDef, glyph) {
+        const view = this._view;
+        const format = view.getUint16(classDef);
+
+        if (format === 1) {
+            const startGlyph = view.getUint16(classDef + 2);
+            const glyphCount = view.getUint16(classDef + 4);
+            const index = glyph - startGlyph;
+            return (index >= 0 && index < glyphCount) ? view.getUint16(classDef + 6 + index * 2) : 0;
+        }
+        if (format === 2) {
+            const rangeCount = view.getUint16(classDef + 2);
+            for (let i = 0; i < rangeCount; i++) {
+                const range = classDef + 4 + i * 6;
+                if (glyph >= view.getUint16(range) && glyph <= view.getUint16(range + 2)) {
+                    return view.getUint16(range + 4);
+                }
+            }
+        }
+        return 0;
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Bounding box of all command points (control points included, so it may be loose for curves)
+     * @private
+     */
+    static _commandBounds(commands) {
+        let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+        const include = (x, y) => {
+            if (x < xMin) xMin = x;
+            if (x > xMax) xMax = x;
+            if (y < yMin) yMin = y;
+            if (y > yMax) yMax = y;
+        };
+
+        for (const cmd of commands) {
+            if (cmd.type === 'closePath') continue;
+            include(cmd.x, cmd.y);
+            if (cmd.type === 'quadraticCurveTo') include(cmd.cpx, cmd.cpy);
+            if (cmd.type === 'bezierCurveTo') {
+                include(cmd.cp1x, cmd.cp1y);
+                include(cmd.cp2x, cmd.cp2y);
+            }
+        }
+        return xMin === Infinity ? null : { xMin: xMin, yMin: yMin, xMax: xMax, yMax: yMax };
+    }
+}
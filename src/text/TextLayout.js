@@ -0,0 +1,229 @@
+/**
+ * TextLayout for SWCanvas
+ *
+ * Turns strings into glyph outlines and metrics for fillText(), strokeText()
+ * and measureText(). Text becomes an SWPath2D in user space, so the caller's
+ * transform, clip, paint and shadow handling apply unchanged.
+ *
+ * Layout is a single line of glyphs placed by their advance widths, adjusted
+ * by pair kerning when the font provides it. Alignment
+ * and baseline offsets follow the HTML5 Canvas text preparation algorithm;
+ * direction only decides what 'start' and 'end' mean.
+ */
+class TextLayout {
+    static TEXT_ALIGNS = ['start', 'end', 'left', 'right', 'center'];
+    static TEXT_BASELINES = ['top', 'hanging', 'middle', 'alphabetic', 'ideographic', 'bottom'];
+    static DIRECTIONS = ['ltr', 'rtl', 'inherit'];
+
+    /**
+     * Pick the font for a descriptor: the first family with registered faces,
+     * otherwise the built-in default font
+     * @param {Object} descriptor - Parsed font descriptor (see FontParser)
+     * @returns {Object} Font implementing the DefaultFont interface
+     */
+    static resolveFont(descriptor) {
+        return TextLayout._resolveFace(descriptor).font;
+    }
+
+    /**
+     * Resolve the font together with whether it already provides the requested slant
+     * @private
+     */
+    static _resolveFace(descriptor) {
+        const face = FontRegistry.resolve(descriptor);
+        if (face) {
+            return { font: face.font, italic: face.style !== 'normal' };
+        }
+        const font = DefaultFont.get(descriptor.weight >= 600);
+        return { font: font, italic: font.italic };
+    }
+
+    /**
+     * Lay out glyphs and compute where the text sits relative to (x, y)
+     * @param {string} text - Text to lay out
+     * @param {Object} descriptor - Parsed font descriptor
+     * @param {Object} options - {textAlign, textBaseline, direction, maxWidth}
+     * @returns {Object} Layout {font, scale, scaleX, skew, glyphs, width, originX, baselineY, ...}
+     */
+    static layout(text, descriptor, options) {
+        const { font, italic } = TextLayout._resolveFace(descriptor);
+        const scale = descriptor.size / font.unitsPerEm;
+        const skew = (descriptor.style !== 'normal' && !italic) ? SYNTHETIC_OBLIQUE_SKEW : 0;
+
+        // Canvas replaces ASCII whitespace with spaces before shaping
+        const chars = String(text).replace(/[\t\n\f\r]/g, ' ');
+
+        const glyphs = [];
+        let penX = 0;
+        let previous = -1;
+        for (const char of chars) {
+            const codePoint = char.codePointAt(0);
+            if (previous >= 0 && font.getKerning) {
+                penX += font.getKerning(previous, codePoint);
+            }
+            const glyph = font.getGlyph(codePoint);
+            glyphs.push({ glyph: glyph, x: penX });
+            penX += glyph.advanceWidth;
+            previous = codePoint;
+        }
+
+        const naturalWidth = penX * scale;
+
+        // maxWidth condenses the text horizontally instead of overflowing
+        let scaleX = scale;
+        if (options.maxWidth !== undefined && naturalWidth > options.maxWidth) {
+            scaleX = scale * options.maxWidth / naturalWidth;
+        }
+        const width = penX * scaleX;
+
+        const align = TextLayout._physicalAlign(options.textAlign, options.direction);
+        let originX = 0;
+        if (align === 'right') originX = -width;
+        else if (align === 'center') originX = -width / 2;
+
+        return {
+            font: font,
+            scale: scale,
+            scaleX: scaleX,
+            skew: skew,
+            glyphs: glyphs,
+            width: width,
+            originX: originX,
+            // Offset from the textBaseline line down to the alphabetic baseline
+            baselineY: -TextLayout._baselinePosition(font, scale, options.textBaseline)
+        };
+    }
+
+    /**
+     * Build the outline path of a string positioned at (x, y)
+     * @param {string} text - Text to draw
+     * @param {number} x - Alignment point x
+     * @param {number} y - Alignment point y (on the textBaseline line)
+     * @param {Object} descriptor - Parsed font descriptor
+     * @param {Object} options - {textAlign, textBaseline, direction, maxWidth}
+     * @returns {SWPath2D} Glyph outlines in user space
+     */
+    static buildPath(text, x, y, descriptor, options) {
+        const layout = TextLayout.layout(text, descriptor, options);
+        const path = new SWPath2D();
+        const { scale, scaleX, skew } = layout;
+        const baseX = x + layout.originX;
+        const baseY = y + layout.baselineY;
+
+        // Font units (y up) to user space (y down), with optional oblique shear
+        const mapX = (penX, fx, fy) => baseX + (penX + fx + skew * fy) * scaleX;
+        const mapY = (fy) => baseY - fy * scale;
+
+        for (const { glyph, x: penX } of layout.glyphs) {
+            for (const cmd of glyph.commands) {
+                switch (cmd.type) {
+                    case 'moveTo':
+                        path.moveTo(mapX(penX, cmd.x, cmd.y), mapY(cmd.y));
+                        break;
+                    case 'lineTo':
+                        path.lineTo(mapX(penX, cmd.x, cmd.y), mapY(cmd.y));
+                        break;
+                    case 'quadraticCurveTo':
+                        path.quadraticCurveTo(
+                            mapX(penX, cmd.cpx, cmd.cpy), mapY(cmd.cpy),
+                            mapX(penX, cmd.x, cmd.y), mapY(cmd.y)
+                        );
+                        break;
+                    case 'bezierCurveTo':
+                        path.bezierCurveTo(
+                            mapX(penX, cmd.cp1x, cmd.cp1y), mapY(cmd.cp1y),
+                            mapX(penX, cmd.cp2x, cmd.cp2y), mapY(cmd.cp2y),
+                            mapX(penX, cmd.x, cmd.y), mapY(cmd.y)
+                        );
+                        break;
+                    case 'closePath':
+                        path.closePath();
+                        break;
+                }
+            }
+        }
+        return path;
+    }
+
+    /**
+     * Compute TextMetrics-compatible measurements.
+     * Horizontal values are relative to the textAlign point and vertical values
+     * to the textBaseline line, as in the HTML5 Canvas TextMetrics interface.
+     * @param {string} text - Text to measure
+     * @param {Object} descriptor - Parsed font descriptor
+     * @param {Object} options - {textAlign, textBaseline, direction}
+     * @returns {Object} Metrics {width, actualBoundingBox*, fontBoundingBox*, emHeight*, *Baseline}
+     */
+    static measure(text, descriptor, options) {
+        const layout = TextLayout.layout(text, descriptor, options);
+        const { font, scale, scaleX, skew } = layout;
+        const linePosition = -layout.baselineY;
+
+        // Union of glyph bounds in font units (shear widens the right side of ascenders)
+        let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        for (const { glyph, x: penX } of layout.glyphs) {
+            const b = glyph.bounds;
+            if (!b) continue;
+            xMin = Math.min(xMin, penX + b.xMin + Math.min(skew * b.yMin, skew * b.yMax));
+            xMax = Math.max(xMax, penX + b.xMax + Math.max(skew * b.yMin, skew * b.yMax));
+            yMin = Math.min(yMin, b.yMin);
+            yMax = Math.max(yMax, b.yMax);
+        }
+        if (xMin === Infinity) {
+            xMin = xMax = yMin = yMax = 0;
+        }
+
+        const ascent = font.ascender * scale;
+        const descent = -font.descender * scale;
+        const baselineOffset = (name) => linePosition - TextLayout._baselinePosition(font, scale, name);
+
+        return {
+            width: layout.width,
+            actualBoundingBoxLeft: -(layout.originX + xMin * scaleX),
+            actualBoundingBoxRight: layout.originX + xMax * scaleX,
+            actualBoundingBoxAscent: yMax * scale + linePosition,
+            actualBoundingBoxDescent: -yMin * scale - linePosition,
+            fontBoundingBoxAscent: ascent + linePosition,
+            fontBoundingBoxDescent: descent - linePosition,
+            emHeightAscent: ascent + linePosition,
+            emHeightDescent: descent - linePosition,
+            hangingBaseline: baselineOffset('hanging'),
+            alphabeticBaseline: baselineOffset('alphabetic'),
+            ideographicBaseline: baselineOffset('ideographic')
+        };
+    }
+
+    /**
+     * Resolve 'start'/'end' against the text direction
+     * @private
+     */
+    static _physicalAlign(textAlign, direction) {
+        const rtl = direction === 'rtl';
+        if (textAlign === 'start') return rtl ? 'right' : 'left';
+        if (textAlign === 'end') return rtl ? 'left' : 'right';
+        return textAlign;
+    }
+
+    /**
+     * Vertical position of a baseline relative to the alphabetic baseline (y down)
+     * @private
+     */
+    static _baselinePosition(font, scale, textBaseline) {
+        const ascent = font.ascender * scale;
+        const descent = -font.descender * scale;
+
+        switch (textBaseline) {
+            case 'top':
+                return -ascent;
+            case 'hanging':
+                return -(font.capHeight !== undefined ? font.capHeight * scale : ascent * 0.8);
+            case 'middle':
+                return (descent - ascent) / 2;
+            case 'ideographic':
+            case 'bottom':
+                return descent;
+            default:
+                return 0; // alphabetic
+        }
+    }
+}
@@ -16,9 +16,17 @@
  * - destination-out - Destination erased where source exists
  * - xor - Both visible except in overlap areas
  * - copy - Source replaces destination completely
+ * - lighter / plus-lighter - Premultiplied source and destination are added (clamped)
+ *
+ * Separable blend modes (W3C Compositing and Blending Level 1), composited source-over:
+ * - multiply, screen, overlay, darken, lighten, color-dodge, color-burn,
+ *   hard-light, soft-light, difference, exclusion
+ *
+ * Non-separable blend modes (SetLum/SetSat/ClipColor), composited source-over:
+ * - hue, saturation, color, luminosity
  *
  * The implementation uses a dual rendering approach:
- * - Source-bounded operations (source-over, destination-over, destination-out, xor, source-atop) process only source-covered pixels
+ * - Source-bounded operations (source-over, destination-over, destination-out, xor, source-atop, lighter, blend modes) process only source-covered pixels
  * - Canvas-wide operations (destination-atop, source-in, destination-in, source-out, copy)
  *   use source coverage masks and full-region compositing to correctly handle pixels outside the source area
  */
@@ -204,6 +212,29 @@ class CompositeOperations {
                 // Replace destination completely with source
                 // αo = αs, Co = Cs
                 return { r: srcR, g: srcG, b: srcB, a: srcA };
+
+            case 'lighter':
+            case 'plus-lighter':
+                return CompositeOperations._lighter(srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA);
+
+            case 'multiply':
+            case 'screen':
+            case 'overlay':
+            case 'darken':
+            case 'lighten':
+            case 'color-dodge':
+            case 'color-burn':
+            case 'hard-light':
+            case 'soft-light':
+            case 'difference':
+            case 'exclusion':
+                return CompositeOperations._blendSeparable(operation, srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA);
+
+            case 'hue':
+            case 'saturation':
+            case 'color':
+            case 'luminosity':
+                return CompositeOperations._blendNonSeparable(operation, srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA);
                 
             default:
                 // Default to source-over for unknown operations
@@ -240,7 +271,269 @@ class CompositeOperations {
             a: Math.round(srcA + dstA * invSrcAlpha)
         };
     }
+
+    /**
+     * Additive (plus-lighter) compositing on premultiplied values:
+     * αo = min(1, αs + αb), Co × αo = min(1, αs × Cs + αb × Cb)
+     * @private
+     */
+    static _lighter(srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA) {
+        const resultA = Math.min(255, srcA + dstA);
+        if (resultA === 0) {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+
+        // Premultiplied sums are in 0..(255*255); unpremultiply against the clamped alpha
+        const channel = (src, dst) => Math.min(255, Math.round((src * srcA + dst * dstA) / resultA));
+
+        return {
+            r: channel(srcR, dstR),
+            g: channel(srcG, dstG),
+            b: channel(srcB, dstB),
+            a: resultA
+        };
+    }
     
+    /**
+     * Separable blend mode: B(Cb, Cs) is applied to each channel independently
+     * @private
+     */
+    static _blendSeparable(mode, srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA) {
+        const blend = CompositeOperations._separableBlend;
+        return CompositeOperations._compositeBlended(
+            srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA,
+            blend(mode, dstR / 255, srcR / 255),
+            blend(mode, dstG / 255, srcG / 255),
+            blend(mode, dstB / 255, srcB / 255)
+        );
+    }
+
+    /**
+     * Non-separable blend mode: B(Cb, Cs) operates on the whole color
+     * @private
+     */
+    static _blendNonSeparable(mode, srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA) {
+        const blended = CompositeOperations._nonSeparableBlend(
+            mode,
+            [dstR / 255, dstG / 255, dstB / 255],
+            [srcR / 255, srcG / 255, srcB / 255]
+        );
+        return CompositeOperations._compositeBlended(
+            srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA,
+            blended[0], blended[1], blended[2]
+        );
+    }
+
+    /**
+     * Composite a blended color source-over (W3C Compositing and Blending):
+     * Cs' = (1 - αb) × Cs + αb × B(Cb, Cs)
+     * αo = αs + αb × (1 - αs), Co = (αs × Cs' + (1 - αs) × αb × Cb) / αo
+     * Each channel is rounded once at the end, so results are deterministic.
+     * @param {number} blendR - B(Cb, Cs) red component (0-1)
+     * @param {number} blendG - B(Cb, Cs) green component (0-1)
+     * @param {number} blendB - B(Cb, Cs) blue component (0-1)
+     * @returns {Object} Result with {r, g, b, a} properties (0-255)
+     * @private
+     */
+    static _compositeBlended(srcR, srcG, srcB, srcA, dstR, dstG, dstB, dstA, blendR, blendG, blendB) {
+        const srcAlpha = srcA / 255;
+        const dstAlpha = dstA / 255;
+        const resultAlpha = srcAlpha + dstAlpha * (1 - srcAlpha);
+        if (resultAlpha === 0) {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+
+        const channel = (src, dst, blended) => {
+            const cs = src / 255;
+            const cb = dst / 255;
+            const mixed = (1 - dstAlpha) * cs + dstAlpha * blended;
+            const premultiplied = srcAlpha * mixed + (1 - srcAlpha) * dstAlpha * cb;
+            return Math.max(0, Math.min(255, Math.round(premultiplied / resultAlpha * 255)));
+        };
+
+        return {
+            r: channel(srcR, dstR, blendR),
+            g: channel(srcG, dstG, blendG),
+            b: channel(srcB, dstB, blendB),
+            a: Math.round(resultAlpha * 255)
+        };
+    }
+
+    /**
+     * Separable blend function B(Cb, Cs) on normalized (0-1) color components
+     * @param {string} mode - Blend mode name
+     * @param {number} cb - Backdrop (destination) component
+     * @param {number} cs - Source component
+     * @returns {number} Blended component (0-1)
+     * @private
+     */
+    static _separableBlend(mode, cb, cs) {
+        switch (mode) {
+            case 'multiply':
+                return cb * cs;
+            case 'screen':
+                return cb + cs - cb * cs;
+            case 'overlay':
+                // Hard-light with source and backdrop swapped
+                return CompositeOperations._separableBlend('hard-light', cs, cb);
+            case 'darken':
+                return Math.min(cb, cs);
+            case 'lighten':
+                return Math.max(cb, cs);
+            case 'color-dodge':
+                if (cb === 0) return 0;
+                if (cs === 1) return 1;
+                return Math.min(1, cb / (1 - cs));
+            case 'color-burn':
+                if (cb === 1) return 1;
+                if (cs === 0) return 0;
+                return 1 - Math.min(1, (1 - cb) / cs);
+            case 'hard-light':
+                if (cs <= 0.5) return cb * 2 * cs;
+                return CompositeOperations._separableBlend('screen', cb, 2 * cs - 1);
+            case 'soft-light': {
+                if (cs <= 0.5) return cb - (1 - 2 * cs) * cb * (1 - cb);
+                const d = cb <= 0.25 ? ((16 * cb - 12) * cb + 4) * cb : Math.sqrt(cb);
+                return cb + (2 * cs - 1) * (d - cb);
+            }
+            case 'difference':
+                return Math.abs(cb - cs);
+            case 'exclusion':
+                return cb + cs - 2 * cb * cs;
+            default:
+                return cs; // normal
+        }
+    }
+
+    /**
+     * Non-separable blend function B(Cb, Cs) on normalized (0-1) RGB triples
+     * @param {string} mode - 'hue', 'saturation', 'color' or 'luminosity'
+     * @param {number[]} cb - Backdrop (destination) color [r, g, b]
+     * @param {number[]} cs - Source color [r, g, b]
+     * @returns {number[]} Blended color [r, g, b]
+     * @private
+     */
+    static _nonSeparableBlend(mode, cb, cs) {
+        const ops = CompositeOperations;
+        switch (mode) {
+            case 'hue':
+                return ops._setLum(ops._setSat(cs, ops._sat(cb)), ops._lum(cb));
+            case 'saturation':
+                return ops._setLum(ops._setSat(cb, ops._sat(cs)), ops._lum(cb));
+            case 'color':
+                return ops._setLum(cs, ops._lum(cb));
+            case 'luminosity':
+                return ops._setLum(cb, ops._lum(cs));
+            default:
+                return cs; // normal
+        }
+    }
+
+    /**
+     * Luminosity of a color: 0.3 R + 0.59 G + 0.11 B
+     * @private
+     */
+    static _lum(c) {
+        return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+    }
+
+    /**
+     * Saturation of a color: max - min component
+     * @private
+     */
+    static _sat(c) {
+        return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+    }
+
+    /**
+     * Bring out-of-gamut components back into 0-1 while preserving luminosity
+     * @private
+     */
+    static _clipColor(c) {
+        const l = CompositeOperations._lum(c);
+        const n = Math.min(c[0], c[1], c[2]);
+        const x = Math.max(c[0], c[1], c[2]);
+        let result = c;
+
+        if (n < 0) {
+            result = result.map(v => l + (v - l) * l / (l - n));
+        }
+        if (x > 1) {
+            result = result.map(v => l + (v - l) * (1 - l) / (x - l));
+        }
+        return result;
+    }
+
+    /**
+     * Shift a color to the given luminosity
+     * @private
+     */
+    static _setLum(c, l) {
+        const d = l - CompositeOperations._lum(c);
+        return CompositeOperations._clipColor([c[0] + d, c[1] + d, c[2] + d]);
+    }
+
+    /**
+     * Rescale a color to the given saturation, keeping the order of its components
+     * @private
+     */
+    static _setSat(c, s) {
+        // Indices of min, mid and max components (stable order for ties)
+        const order = [0, 1, 2].sort((i, j) => c[i] - c[j]);
+        const [minIndex, midIndex, maxIndex] = order;
+        const result = [0, 0, 0];
+
+        const range = c[maxIndex] - c[minIndex];
+        if (range > 0) {
+            result[midIndex] = (c[midIndex] - c[minIndex]) * s / range;
+            result[maxIndex] = s;
+        }
+        return result;
+    }
+
+    /**
+     * Check if an operation is a blend mode (composited source-over with a blend function)
+     * rather than a Porter-Duff operator
+     * @param {string} operation - Operation name to check
+     * @returns {boolean} True for blend modes
+     */
+    static isBlendMode(operation) {
+        return CompositeOperations.getBlendModes().includes(operation);
+    }
+
+    /**
+     * Get list of supported blend modes
+     * @returns {string[]} Array of blend mode names
+     */
+    static getBlendModes() {
+        return [
+            'multiply',
+            'screen',
+            'overlay',
+            'darken',
+            'lighten',
+            'color-dodge',
+            'color-burn',
+            'hard-light',
+            'soft-light',
+            'difference',
+            'exclusion',
+            'hue',
+            'saturation',
+            'color',
+            'luminosity'
+        ];
+    }
+
+    /**
+     * Check if an operation adds source and destination (lighter / plus-lighter)
+     * @param {string} operation - Operation name to check
+     * @returns {boolean} True for additive operations
+     */
+    static isAdditive(operation) {
+        return operation === 'lighter' || operation === 'plus-lighter';
+    }
+
     /**
      * Get list of supported composite operations
      * @returns {string[]} Array of supported operation names
@@ -256,7 +549,10 @@ class CompositeOperations {
             'source-out',
             'destination-out',
             'xor',
-            'copy'
+            'copy',
+            'lighter',
+            'plus-lighter',
+            ...CompositeOperations.getBlendModes()
         ];
     }
     
@@ -266,6 +562,7 @@ class CompositeOperations {
      * @returns {boolean} True if operation is supported
      */
     static isSupported(operation) {
+        if (typeof operation !== 'string') return false;
         return CompositeOperations.getSupportedOperations().includes(operation);
     }
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * CornerRadii - Static helpers for rounded rectangle corner radii
+ *
+ * Implements the radii handling of the HTML5 Canvas roundRect() specification:
+ * 1 to 4 radii, each either a number or a DOMPointInit-like {x, y} for elliptical
+ * corners, scaled down together when adjacent radii overflow a side.
+ *
+ * Corners are returned as an array of four {x, y} objects in the order
+ * top-left, top-right, bottom-right, bottom-left.
+ */
+class CornerRadii {
+    /**
+     * Normalize radii per the roundRect() specification.
+     * @param {number} width - Rectangle width (sign is ignored)
+     * @param {number} height - Rectangle height (sign is ignored)
+     * @param {number|Object|Array<number|Object>} [radii=0] - Radius, {x, y} point, or list of 1-4 of these
+     * @returns {Array<{x: number, y: number}>|null} Corners, or null when a radius is not finite
+     * @throws {RangeError} If the list has the wrong length or a radius is negative
+     */
+    static normalize(width, height, radii = 0) {
+        const list = Array.isArray(radii) ? radii : [radii];
+        if (list.length < 1 || list.length > 4) {
+            throw new RangeError(`roundRect() expects 1 to 4 radii, got ${list.length}`);
+        }
+
+        const points = [];
+        for (const radius of list) {
+            const isPoint = radius !== null && typeof radius === 'object';
+            const x = isPoint ? Number(radius.x || 0) : Number(radius);
+            const y = isPoint ? Number(radius.y || 0) : x;
+            if (!isFinite(x) || !isFinite(y)) {
+                return null;
+            }
+            if (x < 0 || y < 0) {
+                throw new RangeError('roundRect() radii must be non-negative');
+            }
+            // A corner that is flat in either direction is square
+            points.push(x > 0 && y > 0 ? { x, y } : { x: 0, y: 0 });
+        }
+
+        let corners;
+        switch (points.length) {
+            case 4: corners = [points[0], points[1], points[2], points[3]]; break;
+            case 3: corners = [points[0], points[1], points[2], points[1]]; break;
+            case 2: corners = [points[0], points[1], points[0], points[1]]; break;
+            default: corners = [points[0], points[0], points[0], points[0]]; break;
+        }
+
+        // Scale all radii down together when two corners share more than a side
+        const w = Math.abs(width);
+        const h = Math.abs(height);
+        const top = corners[0].x + corners[1].x;
+        const right = corners[1].y + corners[2].y;
+        const bottom = corners[2].x + corners[3].x;
+        const left = corners[0].y + corners[3].y;
+        const scale = Math.min(w / top, h / right, w / bottom, h / left);
+        if (scale < 1) {
+            return corners.map(c => ({ x: c.x * scale, y: c.y * scale }));
+        }
+        return corners.map(c => ({ x: c.x, y: c.y }));
+    }
+
+    /**
+     * Normalize radii for the direct pixel renderers: whole-pixel corners.
+     * A single numeric radius keeps the renderers' established clamp to half the
+     * smaller side; lists and {x, y} radii follow the specification.
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {number|Object|Array<number|Object>} radii - Corner radii
+     * @returns {Array<{x: number, y: number}>|null} Corners, or null when nothing should be drawn
+     */
+    static toPixels(width, height, radii) {
+        if (radii === undefined || radii === null || typeof radii === 'number' ||
+            (Array.isArray(radii) && radii.length === 1 && typeof radii[0] === 'number')) {
+            let radius = Array.isArray(radii) ? radii[0] : (radii || 0);
+            if (width < 2 * radius) radius = width / 2;
+            if (height < 2 * radius) radius = height / 2;
+            radius = Math.max(0, Math.round(Math.min(radius, Math.min(width, height) / 2)));
+            const corner = { x: radius, y: radius };
+            return [corner, corner, corner, corner];
+        }
+
+        const corners = CornerRadii.normalize(width, height, radii);
+        if (!corners) return null;
+        return corners.map(c => {
+            const x = Math.round(c.x), y = Math.round(c.y);
+            return x > 0 && y > 0 ? { x, y } : { x: 0, y: 0 };
+        });
+    }
+
+    /**
+     * Check whether every corner is square (the shape is a plain rectangle).
+     * @param {Array<{x: number, y: number}>} corners - Normalized corners
+     * @returns {boolean} True if no corner is rounded
+     */
+    static isSquare(corners) {
+        return corners.every(c => !(c.x > 0 && c.y > 0));
+    }
+
+    /**
+     * Check whether all four corners are the same circular arc.
+     * @param {Array<{x: number, y: number}>} corners - Normalized corners
+     * @returns {boolean} True if every corner has the same radius on both axes
+     */
+    static isUniform(corners) {
+        const radius = corners[0].x;
+        return corners.every(c => c.x === radius && c.y === radius);
+    }
+
+    /**
+     * Grow or shrink corners by a distance, as for the outer and inner edges of a stroke.
+     * Square corners stay square; corners shrunk to nothing become square.
+     * @param {Array<{x: number, y: number}>} corners - Normalized corners
+     * @param {number} offset - Distance to add to each radius (negative to shrink)
+     * @param {number} [maxX=Infinity] - Largest horizontal radius
+     * @param {number} [maxY=Infinity] - Largest vertical radius
+     * @returns {Array<{x: number, y: number}>} Offset corners
+     */
+    static offset(corners, offset, maxX = Infinity, maxY = Infinity) {
+        return corners.map(c => {
+            if (!(c.x > 0 && c.y > 0)) return { x: 0, y: 0 };
+            let x, y;
+            if (c.x === c.y) {
+                // Circular corners stay circular
+                x = y = Math.min(c.x + offset, Math.min(maxX, maxY));
+            } else {
+                x = Math.min(c.x + offset, maxX);
+                y = Math.min(c.y + offset, maxY);
+            }
+            return x > 0 && y > 0 ? { x, y } : { x: 0, y: 0 };
+        });
+    }
+
+    /**
+     * Map corners through a uniform scale and a rotation by quarter turns, as an
+     * axis-aligned transform does to a rounded rectangle.
+     * @param {Array<{x: number, y: number}>} corners - Corners in user space
+     * @param {number} scale - Uniform scale factor
+     * @param {number} [rotation=0] - Rotation angle in radians (a multiple of PI/2)
+     * @returns {Array<{x: number, y: number}>} Corners in device space
+     */
+    static transform(corners, scale, rotation = 0) {
+        const turns = Math.round(rotation / HALF_PI) & 3;
+        const result = new Array(4);
+        for (let i = 0; i < 4; i++) {
+            const c = corners[i];
+            // Odd quarter turns swap the horizontal and vertical radii
+            result[(i + turns) & 3] = turns & 1
+                ? { x: c.y * scale, y: c.x * scale }
+                : { x: c.x * scale, y: c.y * scale };
+        }
+        return result;
+    }
+}
@@ -7,11 +7,21 @@
  */
 class ImageProcessor {
     /**
-     * Validate and convert ImageLike object to standardized RGBA format
-     * @param {Object} imageLike - ImageLike object to validate and convert
+     * Validate and convert ImageLike object to standardized RGBA format.
+     * Surfaces and SWCanvasElements are read in place: the result shares their pixel buffer.
+     * @param {Object|Surface|SWCanvasElement} imageLike - ImageLike, ImageData, Surface or SWCanvasElement
      * @returns {Object} Validated and converted image data
      */
     static validateAndConvert(imageLike) {
+        const surface = ImageProcessor.sourceSurface(imageLike);
+        if (surface) {
+            return {
+                width: surface.width,
+                height: surface.height,
+                data: surface.data
+            };
+        }
+
         ImageProcessor._validateImageLike(imageLike);
         
         const expectedRGBLength = imageLike.width * imageLike.height * 3;
@@ -35,6 +45,21 @@ class ImageProcessor {
         }
     }
     
+    /**
+     * Get the Surface behind an image source, if it has one
+     * @param {*} image - Image source
+     * @returns {Surface|null} The Surface itself, an SWCanvasElement's surface, or null for plain ImageLike objects
+     */
+    static sourceSurface(image) {
+        if (image instanceof Surface) {
+            return image;
+        }
+        if (image instanceof SWCanvasElement) {
+            return image._coreSurface;
+        }
+        return null;
+    }
+
     /**
      * Validate basic ImageLike interface properties
      * @param {Object} imageLike - Object to validate
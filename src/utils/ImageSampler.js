@@ -0,0 +1,218 @@
+/**
+ * ImageSampler class for SWCanvas
+ *
+ * Filtered sampling of ImageLike objects for drawImage() and pattern paint when
+ * imageSmoothingEnabled is set. Filtering happens on premultiplied values so
+ * transparent pixels never bleed their color into neighbours.
+ *
+ * Quality levels (HTML5 imageSmoothingQuality):
+ * - 'low': bilinear
+ * - 'medium': bicubic (Catmull-Rom)
+ * - 'high': Lanczos-3
+ * Every quality samples from box-filtered mip levels when an image is drawn at
+ * less than half its size, so strong downscales average all source pixels.
+ */
+class ImageSampler {
+    /**
+     * Create a sampler for an image
+     * @param {Object} image - ImageLike with RGBA data
+     * @param {string} [quality='low'] - 'low', 'medium' or 'high'
+     */
+    constructor(image, quality = 'low') {
+        if (!ImageSampler.QUALITIES.includes(quality)) {
+            throw new Error(`Invalid image smoothing quality: ${quality}`);
+        }
+        this._levels = [image];
+        this._quality = quality;
+        this._kernel = ImageSampler.KERNELS[quality];
+
+        // Tap buffers reused across samples
+        const taps = this._kernel.radius * 2;
+        this._weightsX = new Float64Array(taps);
+        this._weightsY = new Float64Array(taps);
+        this._indicesX = new Int32Array(taps);
+        this._indicesY = new Int32Array(taps);
+    }
+
+    /**
+     * Get the quality this sampler was created with
+     * @returns {string} 'low', 'medium' or 'high'
+     */
+    get quality() {
+        return this._quality;
+    }
+
+    /**
+     * Sample the image at a position in image pixel space (pixel centers at +0.5)
+     * @param {number} x - X coordinate in image pixels
+     * @param {number} y - Y coordinate in image pixels
+     * @param {number} scale - Device pixels per image pixel along the more minified axis
+     * @param {Object} edges - Addressable texels: {minX, minY, maxX, maxY} (inclusive),
+     *                         {wrapX, wrapY} tile the whole image instead of clamping
+     * @param {Array|Float64Array} out - Receives r, g, b, a (non-premultiplied, 0-255, rounded)
+     * @returns {Array|Float64Array} The out parameter
+     */
+    sample(x, y, scale, edges, out) {
+        const level = this._levelFor(scale);
+        const base = this._levels[0];
+        const ratioX = level.width / base.width;
+        const ratioY = level.height / base.height;
+
+        const minX = Math.floor(edges.minX * ratioX);
+        const minY = Math.floor(edges.minY * ratioY);
+        const maxX = Math.min(level.width - 1, Math.ceil((edges.maxX + 1) * ratioX) - 1);
+        const maxY = Math.min(level.height - 1, Math.ceil((edges.maxY + 1) * ratioY) - 1);
+
+        const kernel = this._kernel;
+        const taps = kernel.radius * 2;
+        const fx = x * ratioX - 0.5;
+        const fy = y * ratioY - 0.5;
+        const startX = Math.floor(fx) - kernel.radius + 1;
+        const startY = Math.floor(fy) - kernel.radius + 1;
+
+        let sumX = 0;
+        let sumY = 0;
+        for (let i = 0; i < taps; i++) {
+            const wx = kernel.weight(fx - (startX + i));
+            const wy = kernel.weight(fy - (startY + i));
+            this._weightsX[i] = wx;
+            this._weightsY[i] = wy;
+            sumX += wx;
+            sumY += wy;
+            this._indicesX[i] = ImageSampler._resolveIndex(startX + i, minX, maxX, edges.wrapX, level.width);
+            this._indicesY[i] = ImageSampler._resolveIndex(startY + i, minY, maxY, edges.wrapY, level.height);
+        }
+
+        // Accumulate premultiplied channels
+        const data = level.data;
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let j = 0; j < taps; j++) {
+            const wy = this._weightsY[j];
+            if (wy === 0) continue;
+            const row = this._indicesY[j] * level.width;
+            for (let i = 0; i < taps; i++) {
+                const w = wy * this._weightsX[i];
+                if (w === 0) continue;
+                const offset = (row + this._indicesX[i]) * 4;
+                const alpha = data[offset + 3] * w;
+                r += data[offset] * alpha;
+                g += data[offset + 1] * alpha;
+                b += data[offset + 2] * alpha;
+                a += alpha;
+            }
+        }
+
+        const alpha = Math.min(255, a / (sumX * sumY));
+        if (!(alpha > 0)) {
+            out[0] = out[1] = out[2] = out[3] = 0;
+            return out;
+        }
+        out[0] = Math.round(Math.max(0, Math.min(255, r / a)));
+        out[1] = Math.round(Math.max(0, Math.min(255, g / a)));
+        out[2] = Math.round(Math.max(0, Math.min(255, b / a)));
+        out[3] = Math.round(alpha);
+        return out;
+    }
+
+    /**
+     * Pick (building on demand) the mip level for a minification scale
+     * @param {number} scale - Device pixels per image pixel
+     * @returns {Object} ImageLike level
+     * @private
+     */
+    _levelFor(scale) {
+        if (!(scale < 0.5)) {
+            return this._levels[0];
+        }
+        // Level n halves the image n times; keep the remaining scale in (0.5, 1]
+        const wanted = Math.floor(Math.log2(1 / scale));
+        while (this._levels.length <= wanted) {
+            const previous = this._levels[this._levels.length - 1];
+            if (previous.width === 1 && previous.height === 1) break;
+            this._levels.push(ImageSampler._downsample(previous));
+        }
+        return this._levels[Math.min(wanted, this._levels.length - 1)];
+    }
+
+    /**
+     * Map a texel index into the addressable range
+     * @private
+     */
+    static _resolveIndex(index, min, max, wrap, size) {
+        if (wrap) {
+            const wrapped = index % size;
+            return wrapped < 0 ? wrapped + size : wrapped;
+        }
+        return index < min ? min : (index > max ? max : index);
+    }
+
+    /**
+     * Halve an image with a 2x2 box filter in premultiplied space
+     * @param {Object} image - ImageLike to reduce
+     * @returns {Object} ImageLike at half size (rounded up)
+     * @private
+     */
+    static _downsample(image) {
+        const width = Math.max(1, Math.ceil(image.width / 2));
+        const height = Math.max(1, Math.ceil(image.height / 2));
+        const data = new Uint8ClampedArray(width * height * 4);
+        const src = image.data;
+
+        for (let y = 0; y < height; y++) {
+            const y0 = y * 2;
+            const y1 = Math.min(image.height - 1, y0 + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = x * 2;
+                const x1 = Math.min(image.width - 1, x0 + 1);
+                let r = 0, g = 0, b = 0, a = 0;
+                for (const offset of [(y0 * image.width + x0) * 4, (y0 * image.width + x1) * 4,
+                    (y1 * image.width + x0) * 4, (y1 * image.width + x1) * 4]) {
+                    const alpha = src[offset + 3];
+                    r += src[offset] * alpha;
+                    g += src[offset + 1] * alpha;
+                    b += src[offset + 2] * alpha;
+                    a += alpha;
+                }
+                const i = (y * width + x) * 4;
+                if (a > 0) {
+                    data[i] = Math.round(r / a);
+                    data[i + 1] = Math.round(g / a);
+                    data[i + 2] = Math.round(b / a);
+                    data[i + 3] = Math.round(a / 4);
+                }
+            }
+        }
+
+        return { width: width, height: height, data: data };
+    }
+
+    /**
+     * Catmull-Rom cubic (B=0, C=0.5)
+     * @private
+     */
+    static _cubic(t) {
+        t = Math.abs(t);
+        if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+        if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+        return 0;
+    }
+
+    /**
+     * Lanczos windowed sinc with 3 lobes
+     * @private
+     */
+    static _lanczos3(t) {
+        if (t === 0) return 1;
+        if (t <= -3 || t >= 3) return 0;
+        const pt = Math.PI * t;
+        return 3 * Math.sin(pt) * Math.sin(pt / 3) / (pt * pt);
+    }
+}
+
+// Class constants
+ImageSampler.QUALITIES = ['low', 'medium', 'high'];
+ImageSampler.KERNELS = {
+    low: { radius: 1, weight: (t) => Math.max(0, 1 - Math.abs(t)) },
+    medium: { radius: 2, weight: (t) => ImageSampler._cubic(t) },
+    high: { radius: 3, weight: (t) => ImageSampler._lanczos3(t) }
+};
@@ -0,0 +1,155 @@
+// Test: Anti-aliased path rendering (opt-in coverage rasterization)
+// This file will be concatenated into the main test suite
+
+// Count pixels whose alpha is strictly between 0 and 255
+function countAntialiasPartialPixels(surface) {
+    let count = 0;
+    for (let i = 3; i < surface.data.length; i += 4) {
+        const a = surface.data[i];
+        if (a > 0 && a < 255) count++;
+    }
+    return count;
+}
+
+function fillAntialiasTestTriangle(ctx) {
+    ctx.beginPath();
+    ctx.moveTo(10, 10);
+    ctx.lineTo(90, 30);
+    ctx.lineTo(30, 90);
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Test 37A: Property defaults, coercion and save/restore
+test('Anti-aliasing - antialias property default and save/restore', () => {
+    const surface = SWCanvas.Core.Surface(20, 20);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+
+    assertEquals(ctx.antialias, false, 'antialias should default to false');
+
+    ctx.antialias = 1;
+    assertEquals(ctx.antialias, true, 'antialias should coerce truthy values to true');
+
+    ctx.save();
+    ctx.antialias = false;
+    ctx.restore();
+    assertEquals(ctx.antialias, true, 'restore() should bring back the saved antialias value');
+
+    const canvas = SWCanvas.createCanvas(20, 20);
+    const compatCtx = canvas.getContext('2d');
+    assertEquals(compatCtx.antialias, false, 'Compat context should default to false');
+    compatCtx.antialias = true;
+    assertEquals(compatCtx.antialias, true, 'Compat context should delegate antialias');
+});
+
+// Test 37B: Default rendering stays aliased, opt-in produces partial coverage
+test('Anti-aliasing - fill() edges get partial coverage only when enabled', () => {
+    const aliasedSurface = SWCanvas.Core.Surface(100, 100);
+    const aliasedCtx = new SWCanvas.Core.Context2D(aliasedSurface);
+    aliasedCtx.setFillStyle(0, 0, 255, 255);
+    fillAntialiasTestTriangle(aliasedCtx);
+    assertEquals(countAntialiasPartialPixels(aliasedSurface), 0, 'Default fill should produce hard edges');
+
+    const aaSurface = SWCanvas.Core.Surface(100, 100);
+    const aaCtx = new SWCanvas.Core.Context2D(aaSurface);
+    aaCtx.antialias = true;
+    aaCtx.setFillStyle(0, 0, 255, 255);
+    fillAntialiasTestTriangle(aaCtx);
+
+    if (countAntialiasPartialPixels(aaSurface) === 0) {
+        throw new Error('Anti-aliased fill should produce partially covered edge pixels');
+    }
+
+    // Interior pixels remain fully opaque and keep their color
+    const interior = aaSurface.getPixel(40, 40);
+    assertEquals(interior.a, 255, 'Interior pixel should be fully covered');
+    assertEquals(interior.b, 255, 'Interior pixel should keep the fill color');
+});
+
+// Test 37C: Exact area coverage on half-pixel boundaries
+test('Anti-aliasing - half-pixel rectangle edges get half coverage', () => {
+    const surface = SWCanvas.Core.Surface(30, 30);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.antialias = true;
+    ctx.setFillStyle(255, 0, 0, 255);
+
+    ctx.beginPath();
+    ctx.rect(5.5, 5, 10, 10.5);
+    ctx.fill();
+
+    assertEquals(surface.getPixel(5, 10).a, 128, 'Left edge pixel should be half covered');
+    assertEquals(surface.getPixel(15, 10).a, 128, 'Right edge pixel should be half covered');
+    assertEquals(surface.getPixel(10, 15).a, 128, 'Bottom edge pixel should be half covered');
+    assertEquals(surface.getPixel(15, 15).a, 64, 'Corner pixel should be quarter covered');
+    assertEquals(surface.getPixel(10, 10).a, 255, 'Interior pixel should be fully covered');
+    assertEquals(surface.getPixel(4, 10).a, 0, 'Pixel outside the rectangle should be untouched');
+});
+
+// Test 37D: Fill rules are honored per sub-scanline
+test('Anti-aliasing - evenodd and nonzero fill rules', () => {
+    function drawNestedSquares(rule) {
+        const surface = SWCanvas.Core.Surface(40, 40);
+        const ctx = new SWCanvas.Core.Context2D(surface);
+        ctx.antialias = true;
+        ctx.setFillStyle(0, 128, 0, 255);
+        ctx.beginPath();
+        ctx.rect(4, 4, 32, 32);
+        ctx.rect(12, 12, 16, 16); // Same winding direction as the outer square
+        ctx.fill(rule);
+        return surface;
+    }
+
+    const evenOdd = drawNestedSquares('evenodd');
+    assertEquals(evenOdd.getPixel(20, 20).a, 0, 'evenodd should leave a hole');
+    assertEquals(evenOdd.getPixel(8, 8).a, 255, 'evenodd should fill the ring');
+
+    const nonZero = drawNestedSquares('nonzero');
+    assertEquals(nonZero.getPixel(20, 20).a, 255, 'nonzero should fill the inner square');
+});
+
+// Test 37E: Clipping and gradients combine with coverage
+test('Anti-aliasing - works with clipping and gradient paint', () => {
+    const surface = SWCanvas.Core.Surface(60, 60);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+
+    ctx.beginPath();
+    ctx.rect(0, 0, 30, 60);
+    ctx.clip();
+
+    ctx.antialias = true;
+    const gradient = ctx.createLinearGradient(0, 0, 60, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+    ctx.setFillStyle(gradient);
+
+    ctx.beginPath();
+    ctx.arc(30, 30, 20.3, 0, Math.PI * 2);
+    ctx.fill();
+
+    assertEquals(surface.getPixel(40, 30).a, 0, 'Clipped half should stay empty');
+    assertEquals(surface.getPixel(20, 30).a, 255, 'Visible interior should be fully covered');
+    if (countAntialiasPartialPixels(surface) === 0) {
+        throw new Error('Circle edge inside the clip region should be anti-aliased');
+    }
+});
+
+// Test 37F: Canvas-wide composite operations honor partial coverage
+test('Anti-aliasing - copy composite blends edge coverage', () => {
+    const surface = SWCanvas.Core.Surface(20, 20);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.setFillStyle(255, 0, 0, 255);
+    ctx.fillRect(0, 0, 20, 20);
+
+    ctx.antialias = true;
+    ctx.globalCompositeOperation = 'copy';
+    ctx.setFillStyle(0, 0, 255, 255);
+    ctx.beginPath();
+    ctx.rect(4.5, 4, 10, 10);
+    ctx.fill();
+
+    const edge = surface.getPixel(4, 8);
+    assertEquals(edge.a, 128, 'Half-covered copy pixel should be half transparent');
+    assertEquals(edge.b, 255, 'Half-covered copy pixel should keep the source color');
+    assertEquals(surface.getPixel(1, 1).a, 0, 'copy should clear pixels outside the shape');
+    assertEquals(surface.getPixel(8, 8).b, 255, 'copy should replace covered pixels');
+});
@@ -0,0 +1,193 @@
+// Test: Anti-aliased (8-bit coverage) clip masks
+// This file will be concatenated into the main test suite
+
+// Test 38A: ClipMask coverage channel and intersection
+test('Anti-aliased clipping - ClipMask coverage storage and intersection', () => {
+    const mask = new SWCanvas.Core.ClipMask(10, 10);
+    assertEquals(mask.getCoverage(3, 3), 255, 'Unclipped pixels should be fully covered');
+    assertEquals(mask.hasSoftEdges(), false, 'New mask should have no soft edges');
+
+    mask.setCoverage(3, 3, 128);
+    mask.setCoverage(4, 4, 0);
+    assertEquals(mask.getCoverage(3, 3), 128, 'Partial coverage should be stored');
+    assertEquals(mask.isPixelClipped(3, 3), false, 'Partially covered pixel stays visible to renderers');
+    assertEquals(mask.isPixelClipped(4, 4), true, 'Zero coverage should clip the pixel');
+    assertEquals(mask.hasSoftEdges(), true, 'Partial coverage should register as a soft edge');
+
+    const other = new SWCanvas.Core.ClipMask(10, 10);
+    other.setCoverage(3, 3, 128);
+    other.setPixel(5, 5, false);
+
+    const clone = mask.clone();
+    mask.intersectWith(other);
+    assertEquals(mask.getCoverage(3, 3), 64, 'Intersection should multiply coverage');
+    assertEquals(mask.getCoverage(5, 5), 0, 'Intersection should keep hard clipping');
+    assertEquals(clone.getCoverage(3, 3), 128, 'Clone should be independent of the original');
+    assertEquals(clone.hasSoftEdges(), true, 'Clone should keep the soft edges');
+    assertEquals(clone.equals(mask), false, 'Different coverages should not be equal');
+    assertEquals(clone.equals(clone.clone()), true, 'Copied coverage should be equal');
+
+    // The soft edge flag follows every coverage write, including ones that harden the edge
+    clone.setCoverage(3, 3, 255);
+    assertEquals(clone.hasSoftEdges(), false, 'Fully covering the only soft pixel should clear the flag');
+    assertEquals(clone.equals(new SWCanvas.Core.ClipMask(10, 10)), false, 'Clipped pixel should still differ');
+    clone.setPixel(4, 4, true);
+    assertEquals(clone.equals(new SWCanvas.Core.ClipMask(10, 10)), true, 'Hard coverage should equal a 1-bit mask');
+    mask.setPixel(3, 3, true);
+    assertEquals(mask.hasSoftEdges(), false, 'setPixel should harden the soft pixel');
+});
+
+// Test 38B: clip() builds soft edges only when antialias is enabled
+test('Anti-aliased clipping - clip() edge coverage follows antialias', () => {
+    function clipAndFill(antialias) {
+        const surface = SWCanvas.Core.Surface(40, 40);
+        const ctx = new SWCanvas.Core.Context2D(surface);
+        ctx.antialias = antialias;
+        ctx.beginPath();
+        ctx.rect(10.5, 10, 20, 20);
+        ctx.clip();
+        ctx.antialias = false; // Drawing itself stays aliased: edges come from the clip
+        ctx.setFillStyle(0, 0, 255, 255);
+        ctx.fillRect(0, 0, 40, 40);
+        return surface;
+    }
+
+    const hard = clipAndFill(false);
+    const hardEdge = hard.getPixel(10, 20).a;
+    assertEquals(hardEdge === 0 || hardEdge === 255, true, 'Aliased clip should produce hard edges');
+
+    const soft = clipAndFill(true);
+    assertEquals(soft.getPixel(10, 20).a, 128, 'Soft clip edge should halve the coverage');
+    assertEquals(soft.getPixel(10, 20).b, 255, 'Soft clip edge should keep the source color');
+    assertEquals(soft.getPixel(30, 20).a, 128, 'Right soft clip edge should halve the coverage');
+    assertEquals(soft.getPixel(20, 20).a, 255, 'Clip interior should be fully drawn');
+    assertEquals(soft.getPixel(5, 20).a, 0, 'Outside the clip should stay empty');
+});
+
+// Test 38C: Direct fills multiply soft clip coverage into the source alpha
+test('Anti-aliased clipping - direct shapes blend soft edges over destination', () => {
+    function softClipped() {
+        const surface = SWCanvas.Core.Surface(40, 40);
+        const ctx = new SWCanvas.Core.Context2D(surface);
+        ctx.setFillStyle(255, 255, 255, 255);
+        ctx.fillRect(0, 0, 40, 40);
+        ctx.antialias = true;
+        ctx.beginPath();
+        ctx.rect(10.5, 10, 20, 20);
+        ctx.clip();
+        ctx.antialias = false;
+        ctx.setFillStyle(0, 0, 0, 255);
+        SWCanvas.Core.Context2D.resetPathBasedFlag();
+        return { surface, ctx };
+    }
+
+    const draws = {
+        'fillCircle': ctx => ctx.fillCircle(20, 20, 15),
+        'fillCircles': ctx => ctx.fillCircles([20, 20, 15]),
+        'fillRect': ctx => ctx.fillRect(5, 5, 30, 30),
+        'fillRects': ctx => ctx.fillRects([5, 5, 30, 30], new Uint32Array([0xFF000000])),
+        'gradient fillRect': ctx => {
+            const gradient = ctx.createLinearGradient(0, 0, 40, 0);
+            gradient.addColorStop(0, 'black');
+            gradient.addColorStop(1, 'black');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(5, 5, 30, 30);
+        }
+    };
+    for (const [name, draw] of Object.entries(draws)) {
+        const { surface, ctx } = softClipped();
+        draw(ctx);
+        assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, `${name} should stay on its direct renderer`);
+        const edge = surface.getPixel(10, 20);
+        assertEquals(`${edge.toRGBA()}`, '127,127,127,255', `${name} should mix black over white by half at the soft edge, got ${edge.toRGBA()}`);
+        assertEquals(surface.getPixel(20, 20).r, 0, `${name} should fully paint the clip interior`);
+        assertEquals(surface.getPixel(5, 20).r, 255, `${name} should leave outside the clip untouched`);
+    }
+
+    // Semi-transparent and additive fills scale their own alpha by the coverage
+    let { surface, ctx } = softClipped();
+    ctx.setFillStyle(0, 0, 0, 128);
+    ctx.fillRect(5, 5, 30, 30);
+    assertEquals(surface.getPixel(10, 20).r, 191, `Half-transparent fill should darken the soft edge by a quarter, got ${surface.getPixel(10, 20).r}`);
+
+    ({ surface, ctx } = softClipped());
+    surface.data.fill(0);
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.setFillStyle(255, 0, 0, 255);
+    ctx.fillCircle(20, 20, 15);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'Additive fillCircle should stay on its direct renderer');
+    assertEquals(surface.getPixel(10, 20).a, 128, `Additive fill should add the coverage as alpha, got ${surface.getPixel(10, 20).a}`);
+
+    // Renderers that only test the clip bits still take the path pipeline
+    ({ surface, ctx } = softClipped());
+    ctx.strokeCircle(20, 20, 9.5);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'strokeCircle should apply the clip coverage on the path pipeline');
+});
+
+// Test 38D: Nested soft clips intersect and survive save/restore
+test('Anti-aliased clipping - nested clips multiply and restore correctly', () => {
+    const surface = SWCanvas.Core.Surface(40, 40);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.antialias = true;
+
+    ctx.beginPath();
+    ctx.rect(10.5, 0, 30, 40);
+    ctx.clip();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 10.5, 40, 30);
+    ctx.clip();
+
+    ctx.setFillStyle(255, 0, 0, 255);
+    ctx.beginPath();
+    ctx.rect(0, 0, 40, 40);
+    ctx.fill();
+    assertEquals(surface.getPixel(10, 10).a, 64, 'Corner pixel should combine both half coverages');
+    assertEquals(surface.getPixel(20, 5).a, 0, 'Second clip should hide pixels above it');
+
+    ctx.restore();
+    surface.data.fill(0);
+    ctx.fill();
+    assertEquals(surface.getPixel(20, 5).a, 255, 'Restored clip should drop the nested region');
+    assertEquals(surface.getPixel(10, 5).a, 128, 'Restored clip should keep the outer soft edge');
+});
+
+// Test 38E: clearRect, drawImage and canvas-wide compositing apply soft edge coverage
+test('Anti-aliased clipping - clearRect, drawImage and copy apply soft edges', () => {
+    function softClipped() {
+        const surface = SWCanvas.Core.Surface(40, 40);
+        const ctx = new SWCanvas.Core.Context2D(surface);
+        ctx.setFillStyle(255, 255, 255, 255);
+        ctx.fillRect(0, 0, 40, 40);
+        ctx.antialias = true;
+        ctx.beginPath();
+        ctx.rect(10.5, 10, 20, 20);
+        ctx.clip();
+        ctx.antialias = false;
+        return { surface, ctx };
+    }
+
+    let { surface, ctx } = softClipped();
+    ctx.clearRect(0, 0, 40, 40);
+    assertEquals(`${surface.getPixel(10, 20).toRGBA()}`, '255,255,255,127', 'clearRect should clear a soft edge by its coverage');
+    assertEquals(surface.getPixel(20, 20).a, 0, 'clearRect should clear the clip interior');
+
+    ({ surface, ctx } = softClipped());
+    const image = { width: 40, height: 40, data: new Uint8ClampedArray(40 * 40 * 4) };
+    for (let i = 0; i < image.data.length; i += 4) {
+        image.data[i + 2] = 255;
+        image.data[i + 3] = 255;
+    }
+    ctx.drawImage(image, 0, 0);
+    assertEquals(`${surface.getPixel(10, 20).toRGBA()}`, '127,127,255,255', 'drawImage should mix a soft edge over the destination');
+
+    // copy clears the destination outside its source, so soft edges mix with the old pixels
+    ({ surface, ctx } = softClipped());
+    ctx.globalCompositeOperation = 'copy';
+    ctx.setFillStyle(255, 0, 0, 255);
+    ctx.fillRect(15, 15, 5, 5);
+    assertEquals(`${surface.getPixel(10, 20).toRGBA()}`, '255,255,255,127', 'copy should keep the uncovered part of a soft edge');
+    assertEquals(surface.getPixel(25, 25).a, 0, 'copy should clear the clip interior outside its source');
+    assertEquals(surface.getPixel(5, 5).a, 255, 'copy should leave pixels outside the clip');
+});
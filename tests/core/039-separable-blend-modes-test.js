@@ -0,0 +1,127 @@
+// Test: Separable blend modes (W3C Compositing and Blending)
+// This file will be concatenated into the main test suite
+
+// Test 39A: Blend modes are reported as supported
+test('Blend modes - separable modes are supported operations', () => {
+    const modes = [
+        'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+        'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion'
+    ];
+    const supported = SWCanvas.Core.CompositeOperations.getSupportedOperations();
+
+    for (const mode of modes) {
+        assertEquals(supported.includes(mode), true, `${mode} should be supported`);
+        assertEquals(SWCanvas.Core.CompositeOperations.isBlendMode(mode), true, `${mode} should be a blend mode`);
+    }
+    assertEquals(SWCanvas.Core.CompositeOperations.isBlendMode('source-over'), false, 'Porter-Duff operators are not blend modes');
+});
+
+// Test 39B: Per-pixel blend results on opaque backdrops
+test('Blend modes - blendPixel formulas on opaque pixels', () => {
+    const blend = (mode, src, dst) => SWCanvas.Core.CompositeOperations.blendPixel(
+        mode, src[0], src[1], src[2], 255, dst[0], dst[1], dst[2], 255);
+
+    const red = [255, 0, 0];
+    const gray = [128, 128, 128];
+
+    let result = blend('multiply', red, gray);
+    assertEquals([result.r, result.g, result.b, result.a].join(','), '128,0,0,255', 'multiply');
+
+    result = blend('screen', red, gray);
+    assertEquals([result.r, result.g, result.b].join(','), '255,128,128', 'screen');
+
+    result = blend('difference', red, gray);
+    assertEquals([result.r, result.g, result.b].join(','), '127,128,128', 'difference');
+
+    result = blend('darken', red, gray);
+    assertEquals([result.r, result.g, result.b].join(','), '128,0,0', 'darken');
+
+    result = blend('lighten', red, gray);
+    assertEquals([result.r, result.g, result.b].join(','), '255,128,128', 'lighten');
+
+    result = blend('exclusion', [255, 255, 255], [64, 128, 192]);
+    assertEquals([result.r, result.g, result.b].join(','), '191,127,63', 'exclusion with white inverts');
+
+    result = blend('color-dodge', [0, 0, 0], [64, 128, 192]);
+    assertEquals([result.r, result.g, result.b].join(','), '64,128,192', 'color-dodge with black is identity');
+
+    result = blend('color-burn', [255, 255, 255], [64, 128, 192]);
+    assertEquals([result.r, result.g, result.b].join(','), '64,128,192', 'color-burn with white is identity');
+
+    result = blend('overlay', [255, 255, 255], [64, 128, 192]);
+    assertEquals([result.r, result.g, result.b].join(','), '128,255,255', 'overlay follows the backdrop');
+
+    result = blend('hard-light', [64, 128, 192], [255, 255, 255]);
+    assertEquals([result.r, result.g, result.b].join(','), '128,255,255', 'hard-light with white backdrop');
+
+    result = blend('soft-light', [128, 128, 128], [64, 128, 192]);
+    assertEquals([result.r, result.g, result.b].join(','), '64,128,192', 'soft-light with mid gray is near identity');
+});
+
+// Test 39C: Translucent source and backdrop use source-over compositing
+test('Blend modes - alpha compositing of blended colors', () => {
+    const ops = SWCanvas.Core.CompositeOperations;
+
+    // Over a transparent backdrop the source is unchanged
+    let result = ops.blendPixel('multiply', 200, 100, 50, 128, 0, 0, 0, 0);
+    assertEquals([result.r, result.g, result.b, result.a].join(','), '200,100,50,128', 'transparent backdrop');
+
+    // Half-transparent multiply over opaque white keeps white's alpha
+    result = ops.blendPixel('multiply', 0, 0, 0, 128, 255, 255, 255, 255);
+    assertEquals(result.a, 255, 'result alpha follows source-over');
+    assertEquals(result.r, 127, 'half-covered black multiply darkens white by half');
+});
+
+// Test 39D: Blend modes through the Context2D pipelines
+test('Blend modes - fill, fillRect and drawImage honor the blend mode', () => {
+    const canvas = SWCanvas.createCanvas(30, 10);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+
+    ctx.fillStyle = 'rgb(128, 128, 128)';
+    ctx.fillRect(0, 0, 30, 10);
+
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 10, 10);
+
+    ctx.beginPath();
+    ctx.rect(10, 0, 10, 10);
+    ctx.fill();
+
+    const image = ctx.createImageData(10, 10);
+    for (let i = 0; i < image.data.length; i += 4) {
+        image.data[i] = 255;
+        image.data[i + 3] = 255;
+    }
+    ctx.drawImage(image, 20, 0);
+
+    for (const x of [5, 15, 25]) {
+        const pixel = surface.getPixel(x, 5);
+        assertEquals([pixel.r, pixel.g, pixel.b, pixel.a].join(','), '128,0,0,255', `multiply result at x=${x}`);
+    }
+});
+
+// Test 39E: Shadows blend with the active blend mode
+test('Blend modes - shadows use the active blend mode', () => {
+    const canvas = SWCanvas.createCanvas(40, 20);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+
+    ctx.fillStyle = 'rgb(128, 128, 128)';
+    ctx.fillRect(0, 0, 40, 20);
+
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.shadowColor = 'red';
+    ctx.shadowOffsetX = 20;
+    ctx.fillStyle = 'blue';
+    ctx.beginPath();
+    ctx.rect(0, 0, 10, 10);
+    ctx.fill();
+
+    const shadowPixel = surface.getPixel(25, 5);
+    assertEquals([shadowPixel.r, shadowPixel.g, shadowPixel.b].join(','), '128,0,0', 'shadow should multiply with the backdrop');
+
+    const shapePixel = surface.getPixel(5, 5);
+    assertEquals([shapePixel.r, shapePixel.g, shapePixel.b].join(','), '0,0,128', 'shape should multiply with the backdrop');
+});
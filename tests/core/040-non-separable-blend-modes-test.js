@@ -0,0 +1,77 @@
+// Test: Non-separable blend modes and composite operation validation
+// This file will be concatenated into the main test suite
+
+// Test 40A: Non-separable modes are supported blend modes
+test('Non-separable blend modes - hue, saturation, color, luminosity are supported', () => {
+    const ops = SWCanvas.Core.CompositeOperations;
+
+    for (const mode of ['hue', 'saturation', 'color', 'luminosity']) {
+        assertEquals(ops.isSupported(mode), true, `${mode} should be supported`);
+        assertEquals(ops.isBlendMode(mode), true, `${mode} should be a blend mode`);
+    }
+});
+
+// Test 40B: Per-pixel results on opaque backdrops
+test('Non-separable blend modes - blendPixel formulas on opaque pixels', () => {
+    const blendNonSeparable = (mode, src, dst) => {
+        const result = SWCanvas.Core.CompositeOperations.blendPixel(
+            mode, src[0], src[1], src[2], 255, dst[0], dst[1], dst[2], 255);
+        return [result.r, result.g, result.b, result.a].join(',');
+    };
+
+    const red = [255, 0, 0];
+    const gray = [128, 128, 128];
+    const orange = [200, 100, 50];
+
+    assertEquals(blendNonSeparable('luminosity', red, gray), '77,77,77,255', 'luminosity takes the source brightness');
+    assertEquals(blendNonSeparable('color', red, gray), '255,74,74,255', 'color takes the source hue and saturation');
+    assertEquals(blendNonSeparable('hue', red, gray), '128,128,128,255', 'hue on a gray backdrop has no saturation to keep');
+    assertEquals(blendNonSeparable('hue', [0, 0, 255], orange), '108,108,255,255', 'hue keeps backdrop saturation and luminosity');
+    assertEquals(blendNonSeparable('saturation', gray, orange), '125,125,125,255', 'gray source desaturates the backdrop');
+
+    // Blending a color with itself must return it unchanged in every mode
+    for (const mode of ['hue', 'saturation', 'color', 'luminosity']) {
+        assertEquals(blendNonSeparable(mode, orange, orange), '200,100,50,255', `${mode} of a color with itself`);
+    }
+});
+
+// Test 40C: Alpha compositing and rendering through Context2D
+test('Non-separable blend modes - translucent pixels and fillRect', () => {
+    const ops = SWCanvas.Core.CompositeOperations;
+
+    const result = ops.blendPixel('luminosity', 200, 100, 50, 128, 0, 0, 0, 0);
+    assertEquals([result.r, result.g, result.b, result.a].join(','), '200,100,50,128', 'transparent backdrop keeps the source');
+
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgb(128, 128, 128)';
+    ctx.fillRect(0, 0, 10, 10);
+
+    ctx.globalCompositeOperation = 'color';
+    ctx.fillStyle = 'red';
+    ctx.fillRect(0, 0, 10, 10);
+
+    const pixel = canvas._coreSurface.getPixel(5, 5);
+    assertEquals([pixel.r, pixel.g, pixel.b, pixel.a].join(','), '255,74,74,255', 'fillRect should use the color blend mode');
+});
+
+// Test 40D: Unsupported operation names are ignored
+test('Composite operations - invalid globalCompositeOperation values are ignored', () => {
+    const ops = SWCanvas.Core.CompositeOperations;
+    assertEquals(ops.isSupported('not-an-operation'), false, 'Unknown names should be rejected');
+    assertEquals(ops.isSupported(''), false, 'Empty string should be rejected');
+    assertEquals(ops.isSupported(null), false, 'Non-string values should be rejected');
+
+    const surface = SWCanvas.Core.Surface(10, 10);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.globalCompositeOperation = 'hue';
+    ctx.globalCompositeOperation = 'not-an-operation';
+    assertEquals(ctx.globalCompositeOperation, 'hue', 'Core setter should keep the previous value');
+
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const compatCtx = canvas.getContext('2d');
+    compatCtx.globalCompositeOperation = 'Multiply';
+    assertEquals(compatCtx.globalCompositeOperation, 'source-over', 'Names are case-sensitive');
+    compatCtx.globalCompositeOperation = undefined;
+    assertEquals(compatCtx.globalCompositeOperation, 'source-over', 'Compat setter should ignore invalid values');
+});
@@ -0,0 +1,156 @@
+// Test: Additive 'lighter' / 'plus-lighter' compositing
+// This file will be concatenated into the main test suite
+
+// Test 41A: Per-pixel additive results
+test('Lighter composite - blendPixel adds premultiplied colors', () => {
+    const ops = SWCanvas.Core.CompositeOperations;
+    const add = (op, src, dst) => {
+        const result = ops.blendPixel(op, ...src, ...dst);
+        return [result.r, result.g, result.b, result.a].join(',');
+    };
+
+    assertEquals(ops.isSupported('lighter'), true, 'lighter should be supported');
+    assertEquals(ops.isSupported('plus-lighter'), true, 'plus-lighter should be supported');
+    assertEquals(ops.isAdditive('lighter'), true, 'lighter should be additive');
+    assertEquals(ops.isAdditive('source-over'), false, 'source-over is not additive');
+
+    assertEquals(add('lighter', [100, 50, 0, 255], [100, 50, 20, 255]), '200,100,20,255', 'opaque colors add up');
+    assertEquals(add('lighter', [200, 200, 200, 255], [100, 100, 100, 255]), '255,255,255,255', 'channels clamp at 255');
+    assertEquals(add('plus-lighter', [200, 200, 200, 255], [100, 100, 100, 255]), '255,255,255,255', 'plus-lighter matches lighter');
+
+    // Two half-transparent reds: alpha adds, color stays red
+    assertEquals(add('lighter', [255, 0, 0, 128], [255, 0, 0, 100]), '255,0,0,228', 'alpha adds for translucent pixels');
+
+    // Premultiplied sum: 255*100 + 0*100 over alpha 200 gives half-intensity red and blue
+    assertEquals(add('lighter', [255, 0, 0, 100], [0, 0, 255, 100]), '128,0,128,200', 'translucent colors mix by premultiplied sum');
+
+    assertEquals(add('lighter', [10, 20, 30, 0], [1, 2, 3, 4]), '1,2,3,4', 'transparent source keeps destination');
+    assertEquals(add('lighter', [10, 20, 30, 40], [0, 0, 0, 0]), '10,20,30,40', 'transparent destination takes source');
+
+    // Both transparent: nothing to unpremultiply against, the result is transparent black
+    const pixel = ops._lighter(10, 20, 30, 0, 40, 50, 60, 0);
+    assertEquals([pixel.r, pixel.g, pixel.b, pixel.a].join(','), '0,0,0,0', 'lighter of two transparent pixels');
+    const blended = ops._compositeBlended(10, 20, 30, 0, 40, 50, 60, 0, 0.5, 0.5, 0.5);
+    assertEquals([blended.r, blended.g, blended.b, blended.a].join(','), '0,0,0,0', 'blend of two transparent pixels');
+});
+
+// Test 41B: Overlapping draws accumulate through rect, path and circle pipelines
+test('Lighter composite - overlapping draws accumulate and leave uncovered pixels alone', () => {
+    const surface = SWCanvas.Core.Surface(40, 20);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+
+    ctx.setFillStyle(0, 0, 100, 255);
+    ctx.fillRect(0, 0, 40, 20);
+
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.setFillStyle(100, 50, 0, 255);
+    ctx.fillRect(0, 0, 10, 10);
+    ctx.fillRect(0, 0, 10, 10);
+
+    ctx.beginPath();
+    ctx.rect(10, 0, 10, 10);
+    ctx.fill();
+
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillCircle(30, 10, 5);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'lighter circle fills use direct rendering');
+
+    let pixel = surface.getPixel(5, 5);
+    assertEquals([pixel.r, pixel.g, pixel.b, pixel.a].join(','), '200,100,100,255', 'two additive rects accumulate');
+
+    pixel = surface.getPixel(15, 5);
+    assertEquals([pixel.r, pixel.g, pixel.b].join(','), '100,50,100', 'path fill adds to the backdrop');
+
+    pixel = surface.getPixel(30, 10);
+    assertEquals([pixel.r, pixel.g, pixel.b].join(','), '100,50,100', 'circle adds to the backdrop');
+
+    pixel = surface.getPixel(5, 15);
+    assertEquals([pixel.r, pixel.g, pixel.b, pixel.a].join(','), '0,0,100,255', 'lighter is source-bounded');
+});
+
+// Test 41C: Direct additive fills match the path pipeline
+test('Lighter composite - direct fills match the path pipeline', () => {
+    const Color = SWCanvas.Core.Color;
+    const rects = [[2, 3, 20, 12], [10, 8, 25, 18], [5, 5, 12, 20]];
+    const draws = [
+        { composite: 'lighter', globalAlpha: 0.6, color: [200, 120, 10, 204] },
+        { composite: 'lighter', globalAlpha: 0.6, color: [200, 120, 10, 204] },
+        { composite: 'plus-lighter', globalAlpha: 1, color: [90, 0, 40, 255] }
+    ];
+    const background = [0, 60, 160, 179];
+
+    function drawDirect(fill) {
+        const surface = SWCanvas.Core.Surface(40, 30);
+        const ctx = new SWCanvas.Core.Context2D(surface);
+        ctx.setFillStyle(...background);
+        ctx.fillRect(0, 0, 40, 30);
+        draws.forEach((draw, i) => {
+            ctx.globalCompositeOperation = draw.composite;
+            ctx.globalAlpha = draw.globalAlpha;
+            ctx.setFillStyle(...draw.color);
+            fill(ctx, ...rects[i]);
+        });
+        return surface;
+    }
+
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    const direct = drawDirect((ctx, x, y, w, h) => ctx.fillRect(x, y, w, h));
+    const batched = drawDirect((ctx, x, y, w, h) => ctx.fillRects([x, y, w, h]));
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'lighter fillRect and fillRects use direct rendering');
+
+    // The same draws through the rasterizer's composite pipeline
+    const pipeline = SWCanvas.Core.Surface(40, 30);
+    const rasterizer = new SWCanvas.Core.Rasterizer(pipeline);
+    rasterizer.beginOp({});
+    rasterizer.fillRect(0, 0, 40, 30, new Color(...background));
+    rasterizer.endOp();
+    draws.forEach((draw, i) => {
+        rasterizer.beginOp({ composite: draw.composite, globalAlpha: draw.globalAlpha });
+        rasterizer.fillRect(...rects[i], new Color(...draw.color));
+        rasterizer.endOp();
+    });
+
+    for (let i = 0; i < pipeline.data.length; i++) {
+        if (direct.data[i] !== pipeline.data[i] || batched.data[i] !== pipeline.data[i]) {
+            assertEquals(`${direct.data[i]},${batched.data[i]}`, `${pipeline.data[i]},${pipeline.data[i]}`, `byte ${i} matches the pipeline`);
+        }
+    }
+
+    // Circles: each covered pixel is CompositeOperations' lighter result for the circle's coverage
+    const coverage = SWCanvas.createCanvas(40, 30);
+    coverage.getContext('2d').fillCircle(20, 15, 11);
+    const circles = SWCanvas.createCanvas(40, 30);
+    const ctx = circles.getContext('2d');
+    ctx.fillStyle = 'rgb(0, 60, 160)';
+    ctx.fillRect(0, 0, 40, 30);
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = 'rgb(200, 120, 10)';
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillCircle(20, 15, 11);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'lighter fillCircle uses direct rendering');
+
+    const batchedCircles = SWCanvas.createCanvas(40, 30);
+    const batchCtx = batchedCircles.getContext('2d');
+    batchCtx.fillStyle = 'rgb(0, 60, 160)';
+    batchCtx.fillRect(0, 0, 40, 30);
+    batchCtx.globalCompositeOperation = 'lighter';
+    batchCtx.globalAlpha = 0.5;
+    // Packed 0xAABBGGRR: rgb(200, 120, 10), opaque
+    batchCtx.fillCircles(new Float32Array([20, 15, 11]), new Uint32Array([0xFF0A78C8]));
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'lighter fillCircles uses direct rendering');
+    assertEquals(batchedCircles._coreSurface.data.join(','), circles._coreSurface.data.join(','), 'fillCircles matches fillCircle');
+
+    for (let y = 0; y < 30; y++) {
+        for (let x = 0; x < 40; x++) {
+            const covered = coverage._coreSurface.getPixel(x, y).a > 0;
+            const expected = covered
+                ? SWCanvas.Core.CompositeOperations.blendPixel('lighter', 200, 120, 10, 128, 0, 60, 160, 255)
+                : { r: 0, g: 60, b: 160, a: 255 };
+            const pixel = circles._coreSurface.getPixel(x, y);
+            if (pixel.r !== expected.r || pixel.g !== expected.g || pixel.b !== expected.b || pixel.a !== expected.a) {
+                assertEquals(`${pixel.toRGBA()}`, `${expected.r},${expected.g},${expected.b},${expected.a}`, `circle pixel ${x},${y}`);
+            }
+        }
+    }
+});
@@ -0,0 +1,126 @@
+// Test: Text rendering (fillText, strokeText, measureText and text properties)
+// This file will be concatenated into the main test suite
+
+// Test 42A: font property parsing and serialization
+test('Text - font property parses CSS shorthand and ignores invalid values', () => {
+    const surface = SWCanvas.Core.Surface(10, 10);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    assertEquals(ctx.font, '10px sans-serif', 'Default font');
+
+    ctx.font = 'italic bold 12pt "Open Sans", serif';
+    assertEquals(ctx.font, 'italic bold 16px "Open Sans", serif', 'Points should convert to pixels');
+
+    ctx.font = '2em monospace';
+    assertEquals(ctx.font, '20px monospace', 'em sizes resolve against 10px');
+
+    ctx.font = '600 14px/20px Arial';
+    assertEquals(ctx.font, '600 14px Arial', 'Numeric weight kept, line height dropped');
+
+    ctx.font = 'not a font';
+    assertEquals(ctx.font, '600 14px Arial', 'Missing size should be ignored');
+    ctx.font = 'wobbly 14px Arial';
+    assertEquals(ctx.font, '600 14px Arial', 'Unknown keyword should be ignored');
+    ctx.font = '14px';
+    assertEquals(ctx.font, '600 14px Arial', 'Missing family should be ignored');
+
+    const descriptor = SWCanvas.Core.FontParser.parse('bold 16px Arial');
+    assertEquals(descriptor.weight, 700, 'bold maps to weight 700');
+    assertEquals(descriptor.families[0], 'Arial', 'Family list parsed');
+});
+
+// Test 42B: textAlign, textBaseline, direction validation and save/restore
+test('Text - text properties validate values and survive save/restore', () => {
+    const surface = SWCanvas.Core.Surface(10, 10);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    assertEquals(ctx.textAlign, 'start', 'Default textAlign');
+    assertEquals(ctx.textBaseline, 'alphabetic', 'Default textBaseline');
+    assertEquals(ctx.direction, 'inherit', 'Default direction');
+
+    ctx.textAlign = 'middle';
+    ctx.textBaseline = 'center';
+    ctx.direction = 'up';
+    assertEquals(ctx.textAlign, 'start', 'Invalid textAlign ignored');
+    assertEquals(ctx.textBaseline, 'alphabetic', 'Invalid textBaseline ignored');
+    assertEquals(ctx.direction, 'inherit', 'Invalid direction ignored');
+
+    ctx.save();
+    ctx.font = 'bold 30px serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.direction = 'rtl';
+    ctx.restore();
+    assertEquals(ctx.font, '10px sans-serif', 'font restored');
+    assertEquals(ctx.textAlign, 'start', 'textAlign restored');
+    assertEquals(ctx.textBaseline, 'alphabetic', 'textBaseline restored');
+    assertEquals(ctx.direction, 'inherit', 'direction restored');
+});
+
+// Test 42C: measureText with the embedded default font
+test('Text - measureText reports advance width and bounding boxes', () => {
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const ctx = canvas.getContext('2d');
+
+    // Default font advances 0.6em per character
+    let metrics = ctx.measureText('Hello');
+    assertEquals(metrics.width, 30, '5 characters at 10px');
+    assertEquals(metrics.fontBoundingBoxAscent, 8, 'Font ascent is 0.8em');
+    assertEquals(metrics.fontBoundingBoxDescent, 2, 'Font descent is 0.2em');
+    assertEquals(metrics.actualBoundingBoxAscent, 7, 'Capitals reach the 0.7em cap height');
+    assertEquals(metrics.actualBoundingBoxDescent, 0, 'No descenders in Hello');
+
+    metrics = ctx.measureText('gy');
+    assertEquals(metrics.actualBoundingBoxDescent, 2, 'Descenders go 0.2em below the baseline');
+
+    ctx.font = 'bold 20px sans-serif';
+    assertEquals(ctx.measureText('ab').width, 28, 'Bold advances 0.7em per character');
+
+    ctx.font = '20px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    metrics = ctx.measureText('ABCD');
+    assertEquals(metrics.actualBoundingBoxLeft, 24, 'Center alignment splits the width');
+    assertEquals(metrics.actualBoundingBoxRight, 22, 'Right edge excludes trailing spacing');
+    assertEquals(metrics.fontBoundingBoxAscent, 0, 'Top baseline sits on the font ascent');
+    assertEquals(metrics.alphabeticBaseline, -16, 'Alphabetic baseline is below the top line');
+
+    ctx.textAlign = 'end';
+    ctx.direction = 'rtl';
+    assertEquals(ctx.measureText('ABCD').actualBoundingBoxLeft, 0, 'end in rtl aligns left');
+});
+
+// Test 42D: fillText rasterizes glyph outlines through the path pipeline
+test('Text - fillText and strokeText draw glyphs at the aligned position', () => {
+    const surface = SWCanvas.Core.Surface(40, 20);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.setFillStyle(255, 0, 0, 255);
+
+    // At 10px one glyph cell is one pixel: 'I' has a bar at x+1..x+4 on the top row
+    ctx.fillText('I', 10, 15);
+    assertEquals(surface.getPixel(11, 8).a, 255, 'Top bar of I');
+    assertEquals(surface.getPixel(10, 8).a, 0, 'Left of top bar');
+    assertEquals(surface.getPixel(12, 11).a, 255, 'Stem of I');
+    assertEquals(surface.getPixel(11, 11).a, 0, 'Beside the stem');
+    assertEquals(surface.getPixel(12, 15).a, 0, 'Nothing below the baseline');
+
+    // Right-aligned text ends at x
+    surface.data.fill(0);
+    ctx.textAlign = 'right';
+    ctx.fillText('I', 30, 15);
+    assertEquals(surface.getPixel(26, 11).a, 255, 'Right-aligned stem (advance 6, stem at column 2)');
+
+    // maxWidth of zero draws nothing
+    surface.data.fill(0);
+    ctx.fillText('I', 30, 15, 0);
+    assertEquals(surface.getPixel(26, 11).a, 0, 'Non-positive maxWidth should skip drawing');
+
+    // strokeText outlines the glyph: at 40px '.' is an 8x8 square from (4, 12) to (12, 20)
+    surface.data.fill(0);
+    ctx.textAlign = 'left';
+    ctx.font = '40px sans-serif';
+    ctx.setStrokeStyle(0, 0, 255, 255);
+    ctx.lineWidth = 1;
+    ctx.strokeText('.', 0, 20);
+    assertEquals(surface.getPixel(4, 15).a, 255, 'Outline drawn on the left glyph edge');
+    assertEquals(surface.getPixel(8, 11).a, 255, 'Outline drawn on the top glyph edge');
+    assertEquals(surface.getPixel(8, 15).a, 0, 'Glyph interior left unfilled by strokeText');
+});
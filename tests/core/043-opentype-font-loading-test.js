@@ -0,0 +1,263 @@
+// Test: TrueType/OpenType font loading and the font registry
+// This file will be concatenated into the main test suite
+
+// Minimal big-endian byte writer for assembling font tables in memory
+function fontBytes() {
+    const bytes = [];
+    const writer = {
+        bytes: bytes,
+        u8(v) { bytes.push(v & 0xFF); return writer; },
+        u16(v) { bytes.push((v >> 8) & 0xFF, v & 0xFF); return writer; },
+        u32(v) { writer.u16((v >>> 16) & 0xFFFF); writer.u16(v & 0xFFFF); return writer; },
+        tag(t) { for (const c of t) bytes.push(c.charCodeAt(0)); return writer; },
+        raw(list) { for (const b of list) bytes.push(b); return writer; }
+    };
+    return writer;
+}
+
+// Wrap tables into an sfnt file (flavor 0x00010000 for glyf, 'OTTO' for CFF)
+function buildSfntFile(flavor, tables) {
+    const tags = Object.keys(tables).sort();
+    const out = fontBytes().u32(flavor).u16(tags.length).u16(0).u16(0).u16(0);
+    let offset = 12 + tags.length * 16;
+    const padded = tags.map(tag => {
+        const data = tables[tag].slice();
+        while (data.length % 4 !== 0) data.push(0);
+        return data;
+    });
+    tags.forEach((tag, i) => {
+        out.tag(tag).u32(0).u32(offset).u32(tables[tag].length);
+        offset += padded[i].length;
+    });
+    padded.forEach(data => out.raw(data));
+    return new Uint8Array(out.bytes).buffer;
+}
+
+// Tables shared by both outline flavors; glyphs: 0 .notdef, 1 'H', 2 'O', 3 'Q'
+function commonFontTables(advances) {
+    const head = fontBytes().u32(0x00010000).u32(0).u32(0).u32(0x5F0F3CF5).u16(0)
+        .u16(1000).u32(0).u32(0).u32(0).u32(0)
+        .u16(0).u16(0).u16(1000).u16(1000).u16(0).u16(8).u16(2).u16(1).u16(0);
+    const hhea = fontBytes().u32(0x00010000).u16(800).u16(-200).u16(0).u16(1000)
+        .u16(0).u16(0).u16(0).u16(1).u16(0).u16(0).u16(0).u16(0).u16(0).u16(0).u16(0).u16(advances.length);
+    const maxp = fontBytes().u32(0x00005000).u16(advances.length);
+    const hmtx = fontBytes();
+    advances.forEach(advance => hmtx.u16(advance).u16(0));
+
+    // cmap format 4: one segment per character plus the 0xFFFF terminator
+    const segments = [[72, 1], [79, 2], [81, 3]];
+    const format4 = fontBytes().u16(4).u16(16 + (segments.length + 1) * 8).u16(0)
+        .u16((segments.length + 1) * 2).u16(0).u16(0).u16(0);
+    segments.forEach(([code]) => format4.u16(code));
+    format4.u16(0xFFFF).u16(0);
+    segments.forEach(([code]) => format4.u16(code));
+    format4.u16(0xFFFF);
+    segments.forEach(([code, glyph]) => format4.u16(glyph - code));
+    format4.u16(1);
+    segments.forEach(() => format4.u16(0));
+    format4.u16(0);
+    const cmap = fontBytes().u16(0).u16(1).u16(3).u16(1).u32(12).raw(format4.bytes);
+
+    return { head: head.bytes, hhea: hhea.bytes, maxp: maxp.bytes, hmtx: hmtx.bytes, cmap: cmap.bytes };
+}
+
+// TrueType font: 'H' is a 500x700 box, 'O' four off-curve points, 'Q' a composite of 'H' shifted by 100
+function buildTestTrueTypeFont() {
+    const simpleGlyph = (points) => {
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const glyph = fontBytes().u16(1)
+            .u16(Math.min(...xs)).u16(Math.min(...ys)).u16(Math.max(...xs)).u16(Math.max(...ys))
+            .u16(points.length - 1).u16(0);
+        points.forEach(p => glyph.u8(p[2] ? 1 : 0));
+        let previous = 0;
+        xs.forEach(x => { glyph.u16(x - previous); previous = x; });
+        previous = 0;
+        ys.forEach(y => { glyph.u16(y - previous); previous = y; });
+        return glyph.bytes;
+    };
+
+    const glyphs = [
+        [],
+        simpleGlyph([[0, 0, true], [0, 700, true], [500, 700, true], [500, 0, true]]),
+        simpleGlyph([[0, 350, false], [250, 700, false], [500, 350, false], [250, 0, false]]),
+        fontBytes().u16(-1).u16(100).u16(0).u16(600).u16(700)
+            .u16(0x0001 | 0x0002).u16(1).u16(100).u16(0).bytes
+    ];
+
+    const glyf = fontBytes();
+    const loca = fontBytes();
+    glyphs.forEach(bytes => {
+        loca.u32(glyf.bytes.length);
+        glyf.raw(bytes);
+        while (glyf.bytes.length % 2 !== 0) glyf.u8(0);
+    });
+    loca.u32(glyf.bytes.length);
+
+    // kern format 0: H followed by O moves 100 units closer
+    const kern = fontBytes().u16(0).u16(1).u16(0).u16(20).u16(0x0001)
+        .u16(1).u16(6).u16(0).u16(0).u16(1).u16(2).u16(-100);
+
+    const tables = commonFontTables([500, 600, 600, 700]);
+    tables.glyf = glyf.bytes;
+    tables.loca = loca.bytes;
+    tables.kern = kern.bytes;
+    return buildSfntFile(0x00010000, tables);
+}
+
+// CFF font: 'H' box via rlineto, 'O' a cubic curve from a local subroutine; GPOS kerns H-O by -80
+function buildTestCFFFont() {
+    const num = (v) => [28, (v >> 8) & 0xFF, v & 0xFF];
+    const index = (items) => {
+        const out = fontBytes().u16(items.length);
+        if (items.length === 0) return out.bytes;
+        out.u8(4);
+        let offset = 1;
+        out.u32(offset);
+        items.forEach(item => { offset += item.length; out.u32(offset); });
+        items.forEach(item => out.raw(item));
+        return out.bytes;
+    };
+    const charStrings = index([
+        [14],
+        [...num(0), ...num(0), 21, ...num(500), ...num(0), ...num(0), ...num(700), ...num(-500), ...num(0), 5, 14],
+        [...num(100), ...num(0), 21, ...num(-107), 10, 14],
+        [14]
+    ]);
+    const localSubrs = index([[...num(0), ...num(200), ...num(100), ...num(300), ...num(200), ...num(0), 8, 11]]);
+    const privateDict = [...num(4), 19]; // Subrs follow the 4-byte Private DICT
+    const int32 = (v) => [29, (v >>> 24) & 0xFF, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];
+
+    const header = [1, 0, 4, 4];
+    const nameIndex = index([[84, 101, 115, 116]]);
+    const topDictSize = 5 + 1 + 5 + 5 + 1;
+    const topIndexSize = 2 + 1 + 8 + topDictSize;
+    const charStringsOffset = header.length + nameIndex.length + topIndexSize + 2 + 2;
+    const privateOffset = charStringsOffset + charStrings.length;
+    const topDict = [...int32(charStringsOffset), 17, ...int32(privateDict.length), ...int32(privateOffset), 18];
+
+    const cff = [...header, ...nameIndex, ...index([topDict]), ...index([]), ...index([]),
+        ...charStrings, ...privateDict, ...localSubrs];
+
+    const gpos = fontBytes().u32(0x00010000).u16(10).u16(12).u16(26)
+        .u16(0)
+        .u16(1).tag('kern').u16(8).u16(0).u16(1).u16(0)
+        .u16(1).u16(4).u16(2).u16(0).u16(1).u16(8)
+        .u16(1).u16(12).u16(0x0004).u16(0).u16(1).u16(18)
+        .u16(1).u16(1).u16(1)
+        .u16(1).u16(2).u16(-80);
+
+    const tables = commonFontTables([500, 600, 600, 700]);
+    tables['CFF '] = cff;
+    tables.GPOS = gpos.bytes;
+    return buildSfntFile(0x4F54544F, tables);
+}
+
+// Test 43A: TrueType tables, cmap and simple glyph outlines
+test('OpenType fonts - TrueType metrics, cmap and glyph outlines', () => {
+    const font = new SWCanvas.Core.OpenTypeFont(buildTestTrueTypeFont());
+    assertEquals(font.outlineFormat, 'truetype', 'glyf outlines detected');
+    assertEquals(font.unitsPerEm, 1000, 'unitsPerEm from head');
+    assertEquals(font.ascender, 800, 'ascender from hhea');
+    assertEquals(font.descender, -200, 'descender from hhea');
+    assertEquals(font.getGlyphIndex(72), 1, "'H' maps to glyph 1");
+    assertEquals(font.hasGlyph(65), false, "'A' is not in the cmap");
+
+    const h = font.getGlyph(72);
+    assertEquals(h.advanceWidth, 600, 'advance width from hmtx');
+    assertEquals(h.commands.map(c => c.type).join(','), 'moveTo,lineTo,lineTo,lineTo,closePath', 'box outline');
+    assertEquals(`${h.bounds.xMax},${h.bounds.yMax}`, '500,700', 'glyph bounds');
+
+    // All off-curve points: contour starts at an implied midpoint and is all quadratics
+    const o = font.getGlyph(79);
+    assertEquals(o.commands.map(c => c.type).join(','),
+        'moveTo,quadraticCurveTo,quadraticCurveTo,quadraticCurveTo,quadraticCurveTo,closePath', 'implied on-curve points');
+    assertEquals(`${o.commands[0].x},${o.commands[0].y}`, '125,175', 'start at midpoint of last and first');
+    assertEquals(`${o.commands[1].cpx},${o.commands[1].cpy}`, '0,350', 'first control point');
+
+    // Composite glyph reuses 'H' offset by 100 units
+    const q = font.getGlyph(81);
+    assertEquals(`${q.commands[0].x},${q.commands[2].x}`, '100,600', 'component translated');
+    assertEquals(q.advanceWidth, 700, 'composite advance');
+});
+
+// Test 43B: CFF charstrings with subroutines become cubic curves
+test('OpenType fonts - CFF outlines and subroutines', () => {
+    const font = new SWCanvas.Core.OpenTypeFont(buildTestCFFFont());
+    assertEquals(font.outlineFormat, 'cff', 'CFF outlines detected');
+
+    const h = font.getGlyph(72);
+    assertEquals(h.commands.map(c => c.type).join(','), 'moveTo,lineTo,lineTo,lineTo,closePath', 'rlineto box');
+    assertEquals(`${h.commands[2].x},${h.commands[2].y}`, '500,700', 'relative coordinates accumulate');
+
+    const o = font.getGlyph(79);
+    assertEquals(o.commands.map(c => c.type).join(','), 'moveTo,bezierCurveTo,closePath', 'curve from callsubr');
+    const curve = o.commands[1];
+    assertEquals([curve.cp1x, curve.cp1y, curve.cp2x, curve.cp2y, curve.x, curve.y].join(','),
+        '100,200,200,500,400,500', 'rrcurveto control points');
+
+    const path = font.getGlyphPath(72, 10, 100, 100);
+    assertEquals(path.commands.length, 5, 'getGlyphPath returns an SWPath2D');
+    assertEquals(`${path.commands[1].x},${path.commands[1].y}`, '60,100', 'scaled to pixels with y flipped');
+});
+
+// Test 43C: Pair kerning from kern and GPOS tables
+test('OpenType fonts - kern table and GPOS pair kerning', () => {
+    const trueType = new SWCanvas.Core.OpenTypeFont(buildTestTrueTypeFont());
+    assertEquals(trueType.getKerning(72, 79), -100, 'kern format 0 pair');
+    assertEquals(trueType.getKerning(79, 72), 0, 'pairs are ordered');
+
+    const cff = new SWCanvas.Core.OpenTypeFont(buildTestCFFFont());
+    assertEquals(cff.getKerning(72, 79), -80, 'GPOS PairPos format 1');
+    assertEquals(cff.getKerning(72, 72), 0, 'uncovered pair');
+
+    assertThrows(() => new SWCanvas.Core.OpenTypeFont(new ArrayBuffer(64)), 'Unsupported font format');
+    assertThrows(() => new SWCanvas.Core.OpenTypeFont('font.ttf'), 'ArrayBuffer');
+});
+
+// Test 43D: registerFont makes the family available to ctx.font
+test('OpenType fonts - registerFont resolves families in ctx.font', () => {
+    SWCanvas.registerFont('Test Boxes', buildTestTrueTypeFont());
+    try {
+        const canvas = SWCanvas.createCanvas(200, 100);
+        const ctx = canvas.getContext('2d');
+        const surface = canvas._coreSurface;
+
+        ctx.font = '100px "Test Boxes", sans-serif';
+        assertEquals(ctx.measureText('H').width, 60, 'advance from the registered font');
+        assertEquals(ctx.measureText('HO').width, 110, 'kerning applied in layout');
+
+        ctx.fillStyle = 'black';
+        ctx.fillText('H', 10, 90);
+        assertEquals(surface.getPixel(35, 55).a, 255, 'inside the box glyph');
+        assertEquals(surface.getPixel(70, 55).a, 0, 'beyond the glyph');
+
+        // Unregistered families fall through the list to the default font
+        ctx.font = '100px Missing, sans-serif';
+        assertEquals(ctx.measureText('H').width, 60, 'default font advance at 100px');
+        ctx.font = '10px Missing, test boxes';
+        assertEquals(ctx.measureText('HO').width, 11, 'family lookup is case-insensitive');
+    } finally {
+        SWCanvas.Core.FontRegistry.unregister('Test Boxes');
+    }
+});
+
+// Test 43E: Face selection by weight and style
+test('OpenType fonts - registry picks the closest weight and style', () => {
+    const registry = SWCanvas.Core.FontRegistry;
+    const regular = registry.register('Faces', buildTestTrueTypeFont());
+    const bold = registry.register('Faces', buildTestCFFFont(), { weight: 700 });
+    const italic = registry.register('Faces', buildTestTrueTypeFont(), { style: 'italic' });
+    try {
+        const resolve = (font) => SWCanvas.Core.TextLayout.resolveFont(SWCanvas.Core.FontParser.parse(font));
+        assertEquals(resolve('12px Faces') === regular, true, 'regular face');
+        assertEquals(resolve('bold 12px Faces') === bold, true, 'bold face');
+        assertEquals(resolve('800 12px Faces') === bold, true, 'nearest heavier weight');
+        assertEquals(resolve('italic 12px Faces') === italic, true, 'italic face');
+        assertEquals(resolve('italic bold 12px Faces') === italic, true, 'style outranks weight');
+        assertEquals(registry.has('"Faces"'), true, 'quoted lookup');
+    } finally {
+        registry.unregister('Faces');
+    }
+    assertEquals(registry.has('Faces'), false, 'unregistered');
+});
@@ -0,0 +1,212 @@
+// Test: PNG decoding into ImageLike objects
+// This file will be concatenated into the main test suite
+
+// Assemble a PNG from raw scanline bytes (filter byte per row) using stored zlib blocks
+function pngTestFile(width, height, bitDepth, colorType, scanlines, options = {}) {
+    const encoder = SWCanvas.Core.PngEncoder;
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    ihdr[12] = options.interlace ? 1 : 0;
+
+    const chunks = [encoder._createSignature(), encoder._createChunk('IHDR', ihdr)];
+    if (options.palette) chunks.push(encoder._createChunk('PLTE', new Uint8Array(options.palette)));
+    if (options.transparency) chunks.push(encoder._createChunk('tRNS', new Uint8Array(options.transparency)));
+    chunks.push(encoder._createChunk('IDAT', encoder._createZlibData(new Uint8Array(scanlines))));
+    chunks.push(encoder._createChunk('IEND', new Uint8Array(0)));
+
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        file.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return file;
+}
+
+// Apply a PNG filter to one row (the encoder side of the decoder's unfiltering)
+function pngTestFilterRow(type, row, previous, bpp) {
+    const out = [type];
+    for (let i = 0; i < row.length; i++) {
+        const a = i >= bpp ? row[i - bpp] : 0;
+        const b = previous[i];
+        const c = i >= bpp ? previous[i - bpp] : 0;
+        const p = a + b - c;
+        const paeth = (Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)) ? a
+            : (Math.abs(p - b) <= Math.abs(p - c) ? b : c);
+        const predictor = [0, a, b, (a + b) >> 1, paeth][type];
+        out.push((row[i] - predictor) & 0xFF);
+    }
+    return out;
+}
+
+// Decoded pixels as 'r,g,b,a' strings for compact comparisons
+function pngTestPixels(image) {
+    const pixels = [];
+    for (let i = 0; i < image.data.length; i += 4) {
+        pixels.push(`${image.data[i]},${image.data[i + 1]},${image.data[i + 2]},${image.data[i + 3]}`);
+    }
+    return pixels;
+}
+
+// Test 44A: Round trip through PngEncoder keeps every pixel
+test('PNG decoder - round trip of PngEncoder output', () => {
+    const canvas = SWCanvas.createCanvas(24, 16);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(200, 30, 40, 0.5)';
+    ctx.fillRect(2, 2, 12, 8);
+    ctx.fillStyle = 'rgb(10, 200, 90)';
+    ctx.beginPath();
+    ctx.arc(16, 8, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    const surface = canvas._coreSurface;
+    const png = SWCanvas.Core.PngEncoder.encode(surface);
+    assertEquals(SWCanvas.Core.PngDecoder.isPng(png), true, 'signature recognized');
+
+    const image = SWCanvas.Core.PngDecoder.decode(png);
+    assertEquals(image.width, 24, 'width');
+    assertEquals(image.height, 16, 'height');
+    assertEquals(image.data instanceof Uint8ClampedArray, true, 'ImageLike data type');
+    for (let i = 0; i < surface.data.length; i++) {
+        if (image.data[i] !== surface.data[i]) {
+            throw new Error(`Byte ${i} differs: ${image.data[i]} vs ${surface.data[i]}`);
+        }
+    }
+
+    // The result is accepted by drawImage as-is
+    const target = SWCanvas.createCanvas(24, 16);
+    target.getContext('2d').drawImage(image, 0, 0);
+    const pixel = target._coreSurface.getPixel(16, 8);
+    assertEquals(`${pixel.r},${pixel.g},${pixel.b}`, '10,200,90', 'decoded image draws');
+});
+
+// Test 44B: Gray and palette images at 1, 2 and 4 bits with tRNS
+test('PNG decoder - low bit depths, palette and transparency', () => {
+    const decoder = SWCanvas.Core.PngDecoder;
+
+    let image = decoder.decode(pngTestFile(4, 1, 1, 0, [0, 0b10110000]));
+    assertEquals(pngTestPixels(image).join(' '), '255,255,255,255 0,0,0,255 255,255,255,255 255,255,255,255', '1-bit gray');
+
+    image = decoder.decode(pngTestFile(4, 1, 2, 0, [0, 0b00011011]));
+    assertEquals(pngTestPixels(image).map(p => p.split(',')[0]).join(','), '0,85,170,255', '2-bit gray scales to 0-255');
+
+    image = decoder.decode(pngTestFile(3, 1, 4, 0, [0, 0xF7, 0x30], { transparency: [0, 7] }));
+    assertEquals(pngTestPixels(image).join(' '), '255,255,255,255 119,119,119,0 51,51,51,255', '4-bit gray with tRNS key');
+
+    image = decoder.decode(pngTestFile(4, 1, 2, 3, [0, 0b00011011], {
+        palette: [255, 0, 0, 0, 255, 0, 0, 0, 255, 9, 9, 9],
+        transparency: [0, 128]
+    }));
+    assertEquals(pngTestPixels(image).join(' '), '255,0,0,0 0,255,0,128 0,0,255,255 9,9,9,255', 'palette with partial tRNS');
+});
+
+// Test 44C: 16-bit samples and gray + alpha
+test('PNG decoder - 16-bit channels and gray-alpha images', () => {
+    const decoder = SWCanvas.Core.PngDecoder;
+
+    let image = decoder.decode(pngTestFile(2, 1, 16, 2, [0, 0x12, 0x34, 0xFF, 0xFF, 0x00, 0x80, 0, 1, 0, 2, 0, 3],
+        { transparency: [0, 1, 0, 2, 0, 3] }));
+    assertEquals(pngTestPixels(image).join(' '), '18,255,0,255 0,0,0,0', 'RGB16 rounds and keys on full 16-bit values');
+
+    image = decoder.decode(pngTestFile(1, 1, 16, 6, [0, 0xFF, 0xFF, 0x80, 0x80, 0, 0, 0x7F, 0xFF]));
+    assertEquals(pngTestPixels(image)[0], '255,128,0,127', 'RGBA16');
+
+    image = decoder.decode(pngTestFile(2, 1, 8, 4, [0, 100, 255, 200, 50]));
+    assertEquals(pngTestPixels(image).join(' '), '100,100,100,255 200,200,200,50', 'gray + alpha');
+});
+
+// Test 44D: All five filter types
+test('PNG decoder - None, Sub, Up, Average and Paeth filters', () => {
+    const width = 5;
+    const rows = [];
+    for (let y = 0; y < 5; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) row.push((x * 53 + y * 31) & 0xFF, (x * y * 17) & 0xFF, 255 - x * 40);
+        rows.push(row);
+    }
+
+    let scanlines = [];
+    let previous = new Array(width * 3).fill(0);
+    rows.forEach((row, type) => {
+        scanlines = scanlines.concat(pngTestFilterRow(type, row, previous, 3));
+        previous = row;
+    });
+
+    const image = SWCanvas.Core.PngDecoder.decode(pngTestFile(width, 5, 8, 2, scanlines));
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const actual = `${image.data[i]},${image.data[i + 1]},${image.data[i + 2]}`;
+            assertEquals(actual, `${row[x * 3]},${row[x * 3 + 1]},${row[x * 3 + 2]}`, `filter ${y} pixel ${x}`);
+        }
+    });
+});
+
+// Test 44E: Adam7 interlaced image
+test('PNG decoder - Adam7 interlacing', () => {
+    const size = 10;
+    const passes = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+    const scanlines = [];
+    for (const [x0, y0, dx, dy] of passes) {
+        for (let y = y0; y < size; y += dy) {
+            const row = [];
+            for (let x = x0; x < size; x += dx) row.push(y * size + x);
+            if (row.length > 0) scanlines.push(0, ...row);
+        }
+    }
+
+    const image = SWCanvas.Core.PngDecoder.decode(pngTestFile(size, size, 8, 0, scanlines, { interlace: true }));
+    for (let i = 0; i < size * size; i++) {
+        assertEquals(image.data[i * 4], i, `interlaced pixel ${i}`);
+    }
+    assertEquals(SWCanvas.Core.PngDecoder.readHeader(pngTestFile(size, size, 8, 0, scanlines, { interlace: true })).interlace, 1, 'header reports interlace');
+});
+
+// Test 44F: Real Huffman-compressed streams (dynamic and fixed codes)
+test('PNG decoder - dynamic and fixed Huffman DEFLATE blocks', () => {
+    const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+    // 16x8 RGB, pixel = (x*16, y*32, (x+y)*8), rows filtered with types 0-4, dynamic Huffman codes
+    const dynamic = SWCanvas.Core.PngDecoder.decode(fromBase64(
+        'iVBORw0KGgoAAAANSUhEUgAAABAAAAAICAIAAAB/FOjAAAAAgElEQVR42rXPoRHDIABG4Ze2AomsREYiI5GRyEhkJDISWYms/' +
+        'EfICIyQETJCRuh1gyJ699knHoDFOKznGXCRMeEzUyFUZhF3lkY6WE/yxTbgjKXDDWe63AnWWPO7x7eji0Yr7zR5haA5KiYtWalorc' +
+        'rStqs0vQ7VU+9LGmj+v9MfvGQuxgXmRpEAAAAASUVORK5CYII='
+    ));
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 16; x++) {
+            const i = (y * 16 + x) * 4;
+            const actual = `${dynamic.data[i]},${dynamic.data[i + 1]},${dynamic.data[i + 2]},${dynamic.data[i + 3]}`;
+            assertEquals(actual, `${x * 16},${y * 32},${(x + y) * 8},255`, `dynamic block pixel ${x},${y}`);
+        }
+    }
+
+    // 4x2 gray, value = x*60 + y*10, fixed Huffman codes
+    const fixed = SWCanvas.Core.PngDecoder.decode(fromBase64(
+        'iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAAAAABawyK/AAAAEklEQVR42mNgsKnYwshlY2MDAAr/AihVVXjpAAAAAElFTkSuQmCC'
+    ));
+    const grays = pngTestPixels(fixed).map(p => p.split(',')[0]);
+    assertEquals(grays.join(','), '0,60,120,180,10,70,130,190', 'fixed block pixels');
+});
+
+// Test 44G: Malformed files are rejected with descriptive errors
+test('PNG decoder - rejects invalid data', () => {
+    const decoder = SWCanvas.Core.PngDecoder;
+    const valid = pngTestFile(1, 1, 8, 0, [0, 128]);
+
+    assertThrows(() => decoder.decode(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8])), 'bad signature');
+    assertEquals(decoder.isPng(new Uint8Array(4)), false, 'isPng on short data');
+
+    const corrupt = valid.slice();
+    corrupt[20] ^= 0xFF; // Inside the IHDR data
+    assertThrows(() => decoder.decode(corrupt), 'bad CRC');
+
+    assertThrows(() => decoder.decode(pngTestFile(1, 1, 16, 3, [0, 0, 0], { palette: [0, 0, 0] })), 'Invalid bit depth');
+    assertThrows(() => decoder.decode(pngTestFile(2, 2, 8, 0, [0, 1, 2])), 'truncated');
+    assertThrows(() => decoder.decode(pngTestFile(1, 1, 8, 0, [7, 1])), 'Invalid PNG filter type');
+    assertThrows(() => decoder.decode('image.png'), 'ArrayBuffer or Uint8Array');
+});
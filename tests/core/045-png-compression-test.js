@@ -0,0 +1,158 @@
+// Test: PNG encoding with DEFLATE compression and adaptive row filters
+// This file will be concatenated into the main test suite
+
+// Drawing with flat areas, gradients, antialiased edges and translucency
+function pngCompressionTestSurface() {
+    const canvas = SWCanvas.createCanvas(120, 80);
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 120, 80);
+    gradient.addColorStop(0, 'gold');
+    gradient.addColorStop(1, 'rgba(30, 60, 200, 0.6)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 120, 80);
+    ctx.fillStyle = 'rgba(200, 20, 60, 0.7)';
+    ctx.beginPath();
+    ctx.arc(60, 40, 30, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(10.5, 10.5, 40, 25);
+    return canvas._coreSurface;
+}
+
+// The zlib stream inside the first IDAT chunk
+function pngCompressionTestIdat(png) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    let offset = 8;
+    while (offset < png.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(png[offset + 4], png[offset + 5], png[offset + 6], png[offset + 7]);
+        if (type === 'IDAT') return png.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+    }
+    throw new Error('No IDAT chunk');
+}
+
+// Test 45A: Every level round trips exactly and compresses far below the stored size
+test('PNG compression - levels 1-9 round trip and shrink output', () => {
+    const surface = pngCompressionTestSurface();
+    const options = SWCanvas.Core.PngEncodingOptions;
+    const stored = new Uint8Array(SWCanvas.Core.PngEncoder.encode(surface, options.withCompressionLevel(0)));
+
+    for (const level of [1, 4, 6, 9]) {
+        const png = new Uint8Array(SWCanvas.Core.PngEncoder.encode(surface, options.withCompressionLevel(level)));
+        const image = SWCanvas.Core.PngDecoder.decode(png);
+        for (let i = 0; i < surface.data.length; i++) {
+            if (image.data[i] !== surface.data[i]) {
+                throw new Error(`Level ${level}: byte ${i} differs: ${image.data[i]} vs ${surface.data[i]}`);
+            }
+        }
+        if (png.length * 4 > stored.length) {
+            throw new Error(`Level ${level} output too large: ${png.length} vs ${stored.length} stored`);
+        }
+
+        // Valid zlib header: deflate method, 32K window, check bits
+        const idat = pngCompressionTestIdat(png);
+        assertEquals(idat[0], 0x78, `level ${level} CMF`);
+        assertEquals((idat[0] * 256 + idat[1]) % 31, 0, `level ${level} FCHECK`);
+    }
+});
+
+// Test 45B: Output is deterministic and level 0 keeps the original stored format
+test('PNG compression - deterministic output and unchanged level 0', () => {
+    const surface = pngCompressionTestSurface();
+    const encoder = SWCanvas.Core.PngEncoder;
+    const level6 = SWCanvas.Core.PngEncodingOptions.withCompressionLevel(6);
+
+    const first = new Uint8Array(encoder.encode(surface, level6));
+    const second = new Uint8Array(encoder.encode(pngCompressionTestSurface(), level6));
+    assertEquals(first.length, second.length, 'same length');
+    assertEquals(first.every((value, i) => value === second[i]), true, 'identical bytes');
+
+    const level0 = SWCanvas.Core.PngEncodingOptions.withCompressionLevel(0);
+    const stored = pngCompressionTestIdat(new Uint8Array(encoder.encode(surface, level0)));
+    assertEquals(stored[1], 0x01, 'level 0 FLG');
+    assertEquals(stored[2], 1, 'single stored block header (BFINAL=1, BTYPE=00)');
+    assertEquals(stored.length, 2 + 5 + (120 * 4 + 1) * 80 + 4, 'stored size with filter 0 rows');
+});
+
+// Test 45C: Raw Deflate streams use fixed, dynamic and stored blocks as appropriate
+test('PNG compression - Deflate block types', () => {
+    const deflate = SWCanvas.Core.Deflate;
+    const blockType = (bytes) => (bytes[0] >> 1) & 3;
+    const inflate = (bytes, size) => SWCanvas.Core.PngDecoder._inflate(bytes, 0, size);
+
+    // Short input: a fixed Huffman block beats sending code tables
+    const text = new TextEncoder().encode('abcabcabcabc');
+    const fixed = deflate.compress(text, 6);
+    assertEquals(blockType(fixed), 1, 'fixed block for short input');
+    assertEquals(new TextDecoder().decode(inflate(fixed, text.length)), 'abcabcabcabc', 'fixed block round trip');
+
+    // Long skewed input: dynamic codes win
+    const skewed = new Uint8Array(4000);
+    for (let i = 0; i < skewed.length; i++) skewed[i] = (i * i * 7919) % 13 < 10 ? 65 : 66 + (i % 5);
+    const dynamic = deflate.compress(skewed, 9);
+    assertEquals(blockType(dynamic), 2, 'dynamic block for skewed input');
+    assertEquals(inflate(dynamic, skewed.length).every((value, i) => value === skewed[i]), true, 'dynamic round trip');
+
+    // Incompressible input falls back to stored blocks
+    const noise = new Uint8Array(3000);
+    let seed = 12345;
+    for (let i = 0; i < noise.length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        noise[i] = seed >>> 24;
+    }
+    const stored = deflate.compress(noise, 9);
+    assertEquals(blockType(stored), 0, 'stored block for random input');
+    assertEquals(stored.length, noise.length + 5, 'stored block overhead');
+
+    // Input longer than the 32K match window
+    const runs = new Uint8Array(100000);
+    for (let i = 0; i < runs.length; i++) runs[i] = (i >> 9) & 3;
+    const compressed = deflate.compress(runs, 1);
+    assertEquals(compressed.length < 2000, true, `runs compress (${compressed.length} bytes)`);
+    assertEquals(inflate(compressed, runs.length).every((value, i) => value === runs[i]), true, 'runs round trip');
+});
+
+// Test 45D: Compression level validation and encoder info
+test('PNG compression - option validation and getPNGInfo', () => {
+    const options = SWCanvas.Core.PngEncodingOptions;
+    for (let level = 0; level <= 9; level++) {
+        assertEquals(options.withCompressionLevel(level).compressionLevel, level, `level ${level} accepted`);
+    }
+    assertThrows(() => options.withCompressionLevel(10), 'between 0-9');
+    assertThrows(() => options.withCompressionLevel(2.5), 'between 0-9');
+    assertThrows(() => SWCanvas.Core.Deflate.compress(new Uint8Array(1), -1), 'between 0-9');
+    assertEquals(options.DEFAULT.compressionLevel, 6, 'default compresses at level 6');
+
+    const surface = SWCanvas.createCanvas(4, 4)._coreSurface;
+    const info = SWCanvas.Core.PngEncoder.getPNGInfo(surface, options.withCompressionLevel(9));
+    assertEquals(info.compression, 'DEFLATE (level 9)', 'compressed info');
+    assertEquals(info.filter, 'Adaptive per row', 'filter info');
+    assertEquals(SWCanvas.Core.PngEncoder.getPNGInfo(surface).compression, 'DEFLATE (level 6)', 'default info');
+    assertEquals(SWCanvas.Core.PngEncoder.getPNGInfo(surface, options.withCompressionLevel(0)).compression,
+        'DEFLATE (stored blocks)', 'level 0 info');
+});
+
+// Test 45E: A default encode of a full-size drawing is compressed, not written as stored blocks
+test('PNG compression - default encode compresses an 800x600 drawing', () => {
+    const canvas = SWCanvas.createCanvas(800, 600);
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 800, 600);
+    gradient.addColorStop(0, 'gold');
+    gradient.addColorStop(1, 'navy');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 800, 600);
+    ctx.fillStyle = 'crimson';
+    ctx.fillCircle(400, 300, 200);
+
+    const surface = canvas._coreSurface;
+    const png = new Uint8Array(SWCanvas.Core.PngEncoder.encode(surface));
+    const storedSize = (800 * 4 + 1) * 600;
+    if (png.length * 10 > storedSize) {
+        throw new Error(`Default encode too large: ${png.length} bytes vs ${storedSize} stored`);
+    }
+
+    const image = SWCanvas.Core.PngDecoder.decode(png);
+    assertEquals(image.data.every((value, i) => value === surface.data[i]), true, 'default encode round trips');
+});
@@ -0,0 +1,128 @@
+// Test: Image smoothing for drawImage and pattern paint
+// This file will be concatenated into the main test suite
+
+// Image from a list of [r, g, b, a] pixels
+function smoothingTestImage(width, height, pixels) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    pixels.forEach((pixel, i) => data.set(pixel, i * 4));
+    return { width: width, height: height, data: data };
+}
+
+function smoothingTestRow(surface, y, count) {
+    const values = [];
+    for (let x = 0; x < count; x++) {
+        const pixel = surface.getPixel(x, y);
+        values.push(`${pixel.r},${pixel.a}`);
+    }
+    return values.join(' ');
+}
+
+// Test 46A: Defaults, validation and save/restore
+test('Image smoothing - properties, defaults and save/restore', () => {
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const ctx = canvas.getContext('2d');
+    assertEquals(ctx.imageSmoothingEnabled, false, 'disabled by default');
+    assertEquals(ctx.imageSmoothingQuality, 'low', 'low quality by default');
+
+    ctx.imageSmoothingQuality = 'best';
+    assertEquals(ctx.imageSmoothingQuality, 'low', 'invalid quality ignored');
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    assertEquals(ctx.imageSmoothingEnabled, true, 'enabled');
+    assertEquals(ctx.imageSmoothingQuality, 'high', 'high quality');
+    ctx.restore();
+    assertEquals(ctx.imageSmoothingEnabled, false, 'disabled restored');
+    assertEquals(ctx.imageSmoothingQuality, 'low', 'quality restored');
+
+    const core = new SWCanvas.Core.Context2D(new SWCanvas.Core.Surface(4, 4));
+    core.imageSmoothingQuality = 'medium';
+    assertEquals(core.imageSmoothingQuality, 'medium', 'core context property');
+});
+
+// Test 46B: Bilinear upscale interpolates, disabled smoothing keeps hard pixels
+test('Image smoothing - bilinear drawImage and nearest neighbor fallback', () => {
+    const image = smoothingTestImage(2, 1, [[0, 0, 0, 255], [200, 0, 0, 255]]);
+
+    const smooth = SWCanvas.createCanvas(8, 1);
+    smooth.getContext('2d').imageSmoothingEnabled = true;
+    smooth.getContext('2d').drawImage(image, 0, 0, 8, 1);
+    assertEquals(smoothingTestRow(smooth._coreSurface, 0, 8),
+        '0,255 0,255 25,255 75,255 125,255 175,255 200,255 200,255', 'bilinear ramp clamped at the edges');
+
+    const sharp = SWCanvas.createCanvas(8, 1);
+    sharp.getContext('2d').drawImage(image, 0, 0, 8, 1);
+    assertEquals(smoothingTestRow(sharp._coreSurface, 0, 8),
+        '0,255 0,255 0,255 0,255 200,255 200,255 200,255 200,255', 'nearest neighbor');
+
+    // Unscaled draws are exact with every quality
+    for (const quality of ['low', 'medium', 'high']) {
+        const copy = SWCanvas.createCanvas(2, 1);
+        copy.getContext('2d').imageSmoothingEnabled = true;
+        copy.getContext('2d').imageSmoothingQuality = quality;
+        copy.getContext('2d').drawImage(image, 0, 0);
+        assertEquals(smoothingTestRow(copy._coreSurface, 0, 2), '0,255 200,255', `unscaled ${quality}`);
+    }
+});
+
+// Test 46C: Filtering is premultiplied so transparent texels don't darken edges
+test('Image smoothing - transparent neighbours keep color', () => {
+    const image = smoothingTestImage(2, 1, [[255, 0, 0, 255], [0, 0, 255, 0]]);
+    const surface = new SWCanvas.Core.Surface(4, 1);
+    const ctx = new SWCanvas.Core.Context2D(surface);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(image, 0, 0, 4, 1);
+
+    const pixel = surface.getPixel(1, 0);
+    assertEquals(`${pixel.r},${pixel.g},${pixel.b}`, '255,0,0', 'no blue or black fringe');
+    assertEquals(pixel.a, 191, 'alpha interpolated');
+});
+
+// Test 46D: Every quality averages strong downscales through mip levels
+test('Image smoothing - mip prefiltering for downscales', () => {
+    // 16x16 black image with a white 4x4 corner: 16 of 256 pixels are white
+    const pixels = [];
+    for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 16; x++) pixels.push(x < 4 && y < 4 ? [255, 255, 255, 255] : [0, 0, 0, 255]);
+    }
+    const image = smoothingTestImage(16, 16, pixels);
+
+    const results = {};
+    for (const quality of ['low', 'medium', 'high']) {
+        const canvas = SWCanvas.createCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = quality;
+        ctx.drawImage(image, 0, 0, 1, 1);
+        results[quality] = canvas._coreSurface.getPixel(0, 0).r;
+    }
+    assertEquals(results.low, 16, 'low averages the whole image');
+    assertEquals(results.medium, 16, 'medium averages the whole image');
+    assertEquals(results.high, 16, 'high averages the whole image');
+
+    const sampler = new SWCanvas.Core.ImageSampler(image, 'medium');
+    assertThrows(() => new SWCanvas.Core.ImageSampler(image, 'ultra'), 'Invalid image smoothing quality');
+    const out = sampler.sample(8, 8, 1 / 16, { minX: 0, minY: 0, maxX: 15, maxY: 15 }, [0, 0, 0, 0]);
+    assertEquals(out.join(','), '16,16,16,255', 'sampler API');
+});
+
+// Test 46E: Patterns follow the smoothing state at draw time
+test('Image smoothing - scaled pattern paint', () => {
+    const image = smoothingTestImage(2, 1, [[0, 0, 0, 255], [200, 0, 0, 255]]);
+
+    const render = (enabled) => {
+        const canvas = SWCanvas.createCanvas(8, 2);
+        const ctx = canvas.getContext('2d');
+        const pattern = ctx.createPattern(image, 'repeat');
+        ctx.imageSmoothingEnabled = enabled;
+        ctx.scale(4, 2);
+        ctx.fillStyle = pattern;
+        ctx.fillRect(0, 0, 2, 1);
+        return smoothingTestRow(canvas._coreSurface, 0, 8);
+    };
+
+    // Repeating patterns wrap around instead of clamping
+    assertEquals(render(true), '75,255 25,255 25,255 75,255 125,255 175,255 175,255 125,255', 'bilinear wraps');
+    assertEquals(render(false), '0,255 0,255 0,255 0,255 200,255 200,255 200,255 200,255', 'nearest neighbor');
+});
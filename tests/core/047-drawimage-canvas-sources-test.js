@@ -0,0 +1,113 @@
+// Test: drawImage and createPattern with Surface, SWCanvasElement and ImageData sources
+// This file will be concatenated into the main test suite
+
+// Canvas with one distinct gray level per pixel column (red channel = 40 * x)
+function canvasSourceTestRamp(width) {
+    const canvas = SWCanvas.createCanvas(width, 1);
+    const data = canvas._coreSurface.data;
+    for (let x = 0; x < width; x++) {
+        data.set([x * 40, 0, 0, 255], x * 4);
+    }
+    return canvas;
+}
+
+function canvasSourceTestReds(surface) {
+    const reds = [];
+    for (let x = 0; x < surface.width; x++) reds.push(surface.getPixel(x, 0).r);
+    return reds.join(' ');
+}
+
+// Test 47A: Every source type draws the same pixels
+test('drawImage sources - Surface, SWCanvasElement, ImageData and core Context2D', () => {
+    const source = canvasSourceTestRamp(4);
+    const sources = {
+        canvas: source,
+        surface: source._coreSurface,
+        imageData: source.getContext('2d').getImageData(0, 0, 4, 1)
+    };
+
+    for (const name of Object.keys(sources)) {
+        const target = SWCanvas.createCanvas(4, 1);
+        target.getContext('2d').drawImage(sources[name], 0, 0);
+        assertEquals(canvasSourceTestReds(target._coreSurface), '0 40 80 120', `${name} via CanvasCompatibleContext2D`);
+
+        const surface = new SWCanvas.Core.Surface(4, 1);
+        new SWCanvas.Core.Context2D(surface).drawImage(sources[name], 0, 0);
+        assertEquals(canvasSourceTestReds(surface), '0 40 80 120', `${name} via core Context2D`);
+    }
+
+    // Surfaces are read in place, not copied
+    const view = SWCanvas.Core.ImageProcessor.validateAndConvert(source);
+    assertEquals(view.data === source._coreSurface.data, true, 'canvas pixels shared');
+    assertEquals(SWCanvas.Core.ImageProcessor.sourceSurface(sources.imageData), null, 'ImageData has no surface');
+});
+
+// Test 47B: Drawing a canvas onto itself reads the pixels from before the draw
+test('drawImage sources - self draw with overlapping rectangles', () => {
+    const right = canvasSourceTestRamp(6);
+    right.getContext('2d').drawImage(right, 1, 0);
+    assertEquals(canvasSourceTestReds(right._coreSurface), '0 0 40 80 120 160', 'shift right');
+
+    const left = canvasSourceTestRamp(6);
+    left.getContext('2d').drawImage(left, 1, 0, 5, 1, 0, 0, 5, 1);
+    assertEquals(canvasSourceTestReds(left._coreSurface), '40 80 120 160 200 200', 'shift left');
+
+    const scaled = canvasSourceTestRamp(6);
+    const ctx = scaled.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(scaled, 0, 0, 3, 1, 0, 0, 6, 1);
+    assertEquals(canvasSourceTestReds(scaled._coreSurface), '0 0 40 40 80 80', 'scaled self draw');
+
+    // Shadows are drawn from the same snapshot as the image
+    const shadowed = canvasSourceTestRamp(6);
+    const shadowCtx = shadowed.getContext('2d');
+    shadowCtx.shadowColor = 'blue';
+    shadowCtx.shadowOffsetX = 3;
+    shadowCtx.drawImage(shadowed, 0, 0, 3, 1, 0, 0, 3, 1);
+    assertEquals(canvasSourceTestReds(shadowed._coreSurface), '0 40 80 0 0 0', 'image over its own shadow');
+});
+
+// Test 47C: Patterns sample their source canvas in place
+test('drawImage sources - createPattern from canvases and surfaces', () => {
+    const source = canvasSourceTestRamp(2);
+    const pattern = source.getContext('2d').createPattern(source, 'repeat');
+    const surfacePattern = new SWCanvas.Core.Context2D(new SWCanvas.Core.Surface(1, 1))
+        .createPattern(source._coreSurface, 'repeat');
+    const fill = (paint) => {
+        const target = SWCanvas.createCanvas(4, 1);
+        const ctx = target.getContext('2d');
+        ctx.fillStyle = paint;
+        ctx.fillRect(0, 0, 4, 1);
+        return canvasSourceTestReds(target._coreSurface);
+    };
+
+    assertEquals(pattern._imageData.data, source._coreSurface.data, 'canvas pattern shares the pixel buffer');
+    assertEquals(surfacePattern._imageData.data, source._coreSurface.data, 'surface pattern shares the pixel buffer');
+    assertEquals(fill(pattern), '0 40 0 40', 'canvas pattern');
+
+    // Later drawing on the source shows up in existing patterns
+    source.getContext('2d').fillStyle = 'rgb(200, 0, 0)';
+    source.getContext('2d').fillRect(1, 0, 1, 1);
+    assertEquals(fill(pattern), '0 200 0 200', 'canvas pattern after drawing on the source');
+    assertEquals(fill(surfacePattern), '0 200 0 200', 'surface pattern after drawing on the source');
+
+    // Filtered sampling sees the new pixels too
+    const smoothed = SWCanvas.createCanvas(4, 1);
+    const smoothedCtx = smoothed.getContext('2d');
+    smoothedCtx.imageSmoothingEnabled = true;
+    smoothedCtx.fillStyle = pattern;
+    smoothedCtx.scale(0.25, 1);
+    smoothedCtx.fillRect(0, 0, 16, 1);
+    source.getContext('2d').fillStyle = 'rgb(60, 0, 0)';
+    source.getContext('2d').fillRect(0, 0, 2, 1);
+    smoothedCtx.fillRect(0, 0, 16, 1);
+    assertEquals(canvasSourceTestReds(smoothed._coreSurface), '60 60 60 60', 'mip levels rebuilt from the live source');
+
+    // A canvas filled with its own pattern
+    const self = canvasSourceTestRamp(4);
+    const selfCtx = self.getContext('2d');
+    selfCtx.fillStyle = selfCtx.createPattern(self, 'repeat');
+    selfCtx.translate(1, 0);
+    selfCtx.fillRect(0, 0, 3, 1);
+    assertEquals(canvasSourceTestReds(self._coreSurface), '0 0 40 80', 'self pattern');
+});
@@ -0,0 +1,143 @@
+// Test: ctx.filter parsing and filtered drawing
+// This file will be concatenated into the main test suite
+
+// Fill a 4x4 canvas through a filter and return the center pixel as 'r,g,b,a'
+function filterTestPixel(filter, fillStyle) {
+    const canvas = SWCanvas.createCanvas(4, 4);
+    const ctx = canvas.getContext('2d');
+    ctx.filter = filter;
+    ctx.fillStyle = fillStyle;
+    ctx.fillRect(0, 0, 4, 4);
+    const pixel = canvas._coreSurface.getPixel(1, 1);
+    return `${pixel.r},${pixel.g},${pixel.b},${pixel.a}`;
+}
+
+function filterTestAlphaRow(surface, y, fromX, toX) {
+    const values = [];
+    for (let x = fromX; x <= toX; x++) values.push(surface.getPixel(x, y).a);
+    return values;
+}
+
+// Test 48A: Property parsing, invalid values and save/restore
+test('Canvas filter - property parsing and save/restore', () => {
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const ctx = canvas.getContext('2d');
+    assertEquals(ctx.filter, 'none', 'none by default');
+
+    const value = 'blur(4px) brightness(1.2) drop-shadow(2px 2px 3px #0008)';
+    ctx.filter = value;
+    assertEquals(ctx.filter, value, 'function list kept as set');
+
+    for (const invalid of ['blur(-1px)', 'blur(4)', 'sepia(-20%)', 'hue-rotate(90)', 'drop-shadow(2px)',
+        'drop-shadow(1px red 2px)', 'glow(2px)', 'blur(2px', 'url(#filter)', '']) {
+        ctx.filter = invalid;
+        assertEquals(ctx.filter, value, `'${invalid}' ignored`);
+    }
+
+    ctx.save();
+    ctx.filter = 'drop-shadow(rgba(0, 0, 0, 0.5) 0 0)';
+    assertEquals(ctx.filter, 'drop-shadow(rgba(0, 0, 0, 0.5) 0 0)', 'color before the offsets');
+    ctx.filter = 'none';
+    assertEquals(ctx.filter, 'none', 'reset to none');
+    ctx.restore();
+    assertEquals(ctx.filter, value, 'restored');
+
+    const parsed = SWCanvas.Core.CanvasFilter.parse('blur(1pt) hue-rotate(0.25turn) drop-shadow(1px 2px)');
+    assertEquals(parsed.functions.map(fn => fn.type).join(' '), 'blur matrix drop-shadow', 'parsed functions');
+    assertEquals(parsed.functions[0].sigma, 4 / 3, 'absolute length units');
+    assertEquals(parsed.functions[2].color.a, 255, 'drop-shadow defaults to opaque black');
+    assertEquals(SWCanvas.Core.CanvasFilter.parse('#0008 is not a filter'), null, 'invalid string');
+});
+
+// Test 48B: Color matrix functions follow the CSS Filter Effects matrices
+test('Canvas filter - color functions', () => {
+    const color = 'rgb(200, 100, 50)';
+    assertEquals(filterTestPixel('invert(100%)', color), '55,155,205,255', 'invert');
+    assertEquals(filterTestPixel('grayscale(1)', color), '118,118,118,255', 'grayscale');
+    assertEquals(filterTestPixel('saturate(0)', color), '118,118,118,255', 'saturate(0) is grayscale');
+    assertEquals(filterTestPixel('sepia(1)', color), '165,147,114,255', 'sepia');
+    assertEquals(filterTestPixel('brightness(0.5)', color), '100,50,25,255', 'brightness');
+    assertEquals(filterTestPixel('contrast(2)', color), '255,73,0,255', 'contrast');
+    assertEquals(filterTestPixel('hue-rotate(180deg)', color), '35,135,185,255', 'hue-rotate');
+    assertEquals(filterTestPixel('hue-rotate(0.5turn)', color), '35,135,185,255', 'turn units');
+    assertEquals(filterTestPixel('grayscale(250%)', color), '118,118,118,255', 'amount clamped to 100%');
+
+    // Each function clamps before the next one runs
+    assertEquals(filterTestPixel('brightness(2) brightness(0.5)', color), '128,100,50,255', 'chained functions');
+    assertEquals(filterTestPixel('opacity(25%)', 'red').split(',')[3], '64', 'opacity');
+});
+
+// Test 48C: Blur and drop-shadow spread the drawing in device space
+test('Canvas filter - blur and drop-shadow', () => {
+    const blurred = SWCanvas.createCanvas(40, 20);
+    const ctx = blurred.getContext('2d');
+    ctx.filter = 'blur(2px)';
+    ctx.fillRect(15, 0, 10, 20);
+    const row = filterTestAlphaRow(blurred._coreSurface, 10, 5, 34);
+    assertEquals(row[0] === 0 && row[29] === 0, true, 'blur stays local');
+    assertEquals(row[5] > 0 && row[10] < 255 && row[15] > 220, true, 'soft edges, solid middle');
+    const coverage = row.reduce((sum, a) => sum + a, 0);
+    assertEquals(coverage, 2550, `blur preserves coverage (got ${coverage})`);
+
+    // Scale does not change filter lengths
+    const scaled = SWCanvas.createCanvas(40, 20);
+    const scaledCtx = scaled.getContext('2d');
+    scaledCtx.filter = 'blur(2px)';
+    scaledCtx.scale(5, 20);
+    scaledCtx.fillRect(3, 0, 2, 1);
+    assertEquals(filterTestAlphaRow(scaled._coreSurface, 10, 5, 34).join(' '), row.join(' '), 'lengths ignore the transform');
+
+    const shadowed = SWCanvas.createCanvas(12, 4);
+    const shadowCtx = shadowed.getContext('2d');
+    shadowCtx.filter = 'drop-shadow(3px 0 blue)';
+    shadowCtx.fillStyle = 'red';
+    shadowCtx.fillRect(0, 0, 5, 4);
+    const colors = [];
+    for (let x = 0; x < 10; x++) {
+        const pixel = shadowed._coreSurface.getPixel(x, 2);
+        colors.push(pixel.a === 0 ? '-' : (pixel.r === 255 ? 'R' : 'B'));
+    }
+    assertEquals(colors.join(''), 'RRRRRBBB--', 'drawing over its offset shadow');
+
+    // A blurred drop-shadow spreads like blur() and keeps the shape's coverage
+    const soft = SWCanvas.createCanvas(20, 40);
+    const softCtx = soft.getContext('2d');
+    softCtx.filter = 'drop-shadow(0 20px 4px blue)';
+    softCtx.fillRect(0, 0, 20, 10);
+    const shadowColumn = [];
+    for (let y = 10; y < 40; y++) shadowColumn.push(soft._coreSurface.getPixel(10, y).a);
+    const shadowCoverage = shadowColumn.reduce((sum, a) => sum + a, 0);
+    assertEquals(shadowColumn[0] === 0 && shadowColumn[29] === 0, true, 'blurred shadow stays local');
+    assertEquals(shadowCoverage, 2550, `blurred shadow keeps coverage (got ${shadowCoverage})`);
+});
+
+// Test 48D: globalAlpha, compositing and clipping apply to the filtered result
+test('Canvas filter - compositing of the filtered layer', () => {
+    const canvas = SWCanvas.createCanvas(10, 10);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'blue';
+    ctx.fillRect(0, 0, 10, 10);
+
+    ctx.filter = 'invert(1)';
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 5, 10);
+    const pixel = canvas._coreSurface.getPixel(2, 2);
+    assertEquals(`${pixel.r},${pixel.g},${pixel.b}`, '0,0,127', 'black at half alpha over blue');
+
+    // Blur spreads outside the shape but not outside the clip
+    ctx.globalAlpha = 1;
+    ctx.filter = 'blur(1px)';
+    ctx.beginPath();
+    ctx.rect(0, 0, 7, 10);
+    ctx.clip();
+    ctx.fillStyle = 'red';
+    ctx.fillRect(5, 0, 5, 10);
+    assertEquals(canvas._coreSurface.getPixel(4, 5).r > 0, true, 'blurred inside the clip');
+    assertEquals(canvas._coreSurface.getPixel(8, 5).r, 0, 'clipped outside');
+
+    // clearRect ignores the filter
+    ctx.clearRect(0, 0, 2, 2);
+    assertEquals(canvas._coreSurface.getPixel(2, 0).a, 255, 'clearRect is not blurred');
+    assertEquals(canvas._coreSurface.getPixel(1, 1).a, 0, 'cleared');
+});
@@ -0,0 +1,153 @@
+// Test: Surface filters library (convolution, Gaussian blur, unsharp mask, color matrix,
+// component transfer, morphology, displacement map)
+// This file will be concatenated into the main test suite
+
+// 9x9 transparent surface with an opaque rgb(200, 100, 50) 3x3 square in the middle
+function imageFiltersTestSquare() {
+    const surface = new SWCanvas.Core.Surface(9, 9);
+    for (let y = 3; y < 6; y++) {
+        for (let x = 3; x < 6; x++) surface.data.set([200, 100, 50, 255], (y * 9 + x) * 4);
+    }
+    return surface;
+}
+
+function imageFiltersTestAlphaRow(surface, y) {
+    const values = [];
+    for (let x = 0; x < surface.width; x++) values.push(surface.getPixel(x, y).a);
+    return values.join(' ');
+}
+
+// Raw non-premultiplied RGBA (getPixel round-trips through premultiplied Color)
+function imageFiltersTestColor(surface, x, y) {
+    const offset = y * surface.stride + x * 4;
+    return Array.from(surface.data.subarray(offset, offset + 4)).join(',');
+}
+
+// Test 49A: Convolution kernels, edge modes and options
+test('Image filters - convolution', () => {
+    const { ConvolutionFilter } = SWCanvas.Core;
+    const square = imageFiltersTestSquare();
+
+    // Box kernel normalized by its sum, input untouched
+    const box = ConvolutionFilter.apply(square, [[1, 1, 1], [1, 1, 1], [1, 1, 1]]);
+    assertEquals(imageFiltersTestAlphaRow(box, 4), '0 0 85 170 255 170 85 0 0', 'box blur');
+    assertEquals(imageFiltersTestColor(box, 2, 4), '200,100,50,85', 'premultiplied, no dark fringe');
+    assertEquals(imageFiltersTestAlphaRow(square, 4), '0 0 0 255 255 255 0 0 0', 'source unchanged');
+
+    // The kernel is flipped like SVG feConvolveMatrix: this one moves the image right
+    const shifted = ConvolutionFilter.apply(square, [[0, 0, 0], [0, 0, 1], [0, 0, 0]]);
+    assertEquals(imageFiltersTestAlphaRow(shifted, 4), '0 0 0 0 255 255 255 0 0', 'asymmetric kernel');
+
+    // Edge modes for a one-pixel shift of a left-to-right ramp
+    const ramp = new SWCanvas.Core.Surface(4, 1);
+    [0, 80, 160, 240].forEach((value, x) => ramp.data.set([value, 0, 0, 255], x * 4));
+    const shiftRight = [[0, 0, 1]];
+    const reds = (surface) => [0, 1, 2, 3].map(x => `${surface.getPixel(x, 0).r}/${surface.getPixel(x, 0).a}`).join(' ');
+    assertEquals(reds(ConvolutionFilter.apply(ramp, shiftRight)), '0/255 0/255 80/255 160/255', 'duplicate');
+    assertEquals(reds(ConvolutionFilter.apply(ramp, shiftRight, { edgeMode: 'wrap' })), '240/255 0/255 80/255 160/255', 'wrap');
+    assertEquals(reds(ConvolutionFilter.apply(ramp, shiftRight, { edgeMode: 'none' })), '0/0 0/255 80/255 160/255', 'none');
+
+    // Divisor, bias and preserveAlpha
+    const half = ConvolutionFilter.apply(ramp, [[1]], { divisor: 2, preserveAlpha: true });
+    assertEquals(reds(half), '0/255 40/255 80/255 120/255', 'divisor with preserved alpha');
+    const lifted = ConvolutionFilter.apply(ramp, [[1]], { bias: 0.2, preserveAlpha: true });
+    assertEquals(lifted.getPixel(0, 0).r, 51, 'bias in 0-1 units');
+
+    assertThrows(() => ConvolutionFilter.apply(ramp, [[1, 2], [3]]), 'same length');
+    assertThrows(() => ConvolutionFilter.apply(ramp, [[1]], { edgeMode: 'mirror' }), 'Invalid convolution edge mode');
+    assertThrows(() => ConvolutionFilter.apply(ramp, [[1, -1]], { divisor: 0 }), 'divisor');
+    assertThrows(() => ConvolutionFilter.apply({ width: 1, height: 1 }, [[1]]), 'requires a Surface');
+});
+
+// Test 49B: Gaussian blur and unsharp mask
+test('Image filters - Gaussian blur and unsharp mask', () => {
+    const { GaussianBlur, UnsharpMask, Surface } = SWCanvas.Core;
+
+    const kernel = GaussianBlur.kernel(1);
+    assertEquals(kernel.length, 7, 'kernel truncated at 3 sigma');
+    assertEquals(Math.abs(kernel.reduce((a, b) => a + b, 0) - 1) < 1e-6, true, 'kernel normalized');
+    assertEquals(Math.abs(kernel[4] / kernel[3] - Math.exp(-0.5)) < 1e-6, true, 'exact Gaussian weights');
+
+    // A wide horizontal band blurred vertically only keeps its total coverage
+    const band = new Surface(5, 21);
+    for (let x = 0; x < 5; x++) band.data.set([0, 0, 255, 255], (10 * 5 + x) * 4);
+    const blurred = GaussianBlur.apply(band, 0, 2);
+    let total = 0;
+    for (let y = 0; y < 21; y++) total += blurred.getPixel(2, y).a;
+    assertEquals(Math.abs(total - 255) <= 10, true, 'coverage preserved');
+    assertEquals(imageFiltersTestColor(blurred, 2, 12), `0,0,255,${blurred.getPixel(2, 12).a}`, 'color kept');
+    assertEquals(blurred.getPixel(0, 10).a, blurred.getPixel(2, 10).a, 'no horizontal blur');
+    assertThrows(() => GaussianBlur.apply(band, -1), 'non-negative');
+
+    // Sharpening a soft step makes it overshoot on both sides
+    const step = new Surface(12, 1);
+    for (let x = 0; x < 12; x++) {
+        const value = x < 5 ? 60 : (x > 6 ? 180 : 120);
+        step.data.set([value, value, value, 255], x * 4);
+    }
+    const sharp = UnsharpMask.apply(step, { sigma: 1, amount: 1 });
+    assertEquals(sharp.getPixel(4, 0).r < 60 && sharp.getPixel(7, 0).r > 180, true, 'edges enhanced');
+    assertEquals(sharp.getPixel(0, 0).r, 60, 'flat areas unchanged');
+    const gated = UnsharpMask.apply(step, { sigma: 1, amount: 1, threshold: 255 });
+    assertEquals(imageFiltersTestColor(gated, 4, 0), '60,60,60,255', 'threshold leaves small differences');
+});
+
+// Test 49C: Color matrix and component transfer
+test('Image filters - color matrix and component transfer', () => {
+    const { ColorMatrixFilter, ComponentTransfer } = SWCanvas.Core;
+    const square = imageFiltersTestSquare();
+
+    assertEquals(imageFiltersTestColor(ColorMatrixFilter.apply(square, ColorMatrixFilter.IDENTITY), 4, 4), '200,100,50,255', 'identity');
+    const gray = ColorMatrixFilter.apply(square, ColorMatrixFilter.fromFunction('grayscale', 1));
+    assertEquals(imageFiltersTestColor(gray, 4, 4), '118,118,118,255', 'grayscale matrix');
+    const swap = ColorMatrixFilter.apply(square, [
+        0, 0, 1, 0, 0,
+        0, 1, 0, 0, 0,
+        1, 0, 0, 0, 0,
+        0, 0, 0, 0.5, 0
+    ]);
+    assertEquals(imageFiltersTestColor(swap, 4, 4), '50,100,200,128', 'channel swap and alpha scale');
+    const luminance = ColorMatrixFilter.apply(square, ColorMatrixFilter.LUMINANCE_TO_ALPHA);
+    assertEquals(imageFiltersTestColor(luminance, 4, 4), '0,0,0,118', 'luminance to alpha');
+    assertThrows(() => ColorMatrixFilter.apply(square, [1, 0, 0]), '20 finite numbers');
+
+    const transferred = ComponentTransfer.apply(square, {
+        r: { type: 'table', tableValues: [1, 0] },
+        g: { type: 'discrete', tableValues: [0, 1] },
+        b: { type: 'linear', slope: 2, intercept: 0.1 },
+        a: { type: 'gamma', amplitude: 0.5, exponent: 1, offset: 0 }
+    });
+    assertEquals(imageFiltersTestColor(transferred, 4, 4), '55,0,126,128', 'table, discrete, linear, gamma');
+    assertEquals(transferred.getPixel(0, 0).a, 0, 'transparent stays transparent');
+    assertEquals(Array.from(ComponentTransfer.lookupTable({ type: 'gamma', exponent: 2 }).subarray(254)).join(' '), '253 255', 'gamma table');
+    assertThrows(() => ComponentTransfer.apply(square, { r: { type: 'sigmoid' } }), 'Invalid transfer function type');
+});
+
+// Test 49D: Morphology and displacement map
+test('Image filters - morphology and displacement map', () => {
+    const { Morphology, DisplacementMap, Surface } = SWCanvas.Core;
+    const square = imageFiltersTestSquare();
+
+    assertEquals(imageFiltersTestAlphaRow(Morphology.apply(square, 'dilate', 1), 4), '0 0 255 255 255 255 255 0 0', 'dilate');
+    assertEquals(imageFiltersTestAlphaRow(Morphology.apply(square, 'erode', 1), 4), '0 0 0 0 255 0 0 0 0', 'erode');
+    const wide = Morphology.apply(square, 'dilate', 2, 0);
+    assertEquals(imageFiltersTestAlphaRow(wide, 4) + ' | ' + imageFiltersTestAlphaRow(wide, 2),
+        '0 255 255 255 255 255 255 255 0 | 0 0 0 0 0 0 0 0 0', 'separate radii');
+    assertEquals(imageFiltersTestColor(wide, 1, 4), '200,100,50,255', 'dilated color');
+    assertThrows(() => Morphology.apply(square, 'open', 1), 'Invalid morphology operator');
+
+    // Red 255 moves every pixel by +scale/2 horizontally, green 128 leaves rows in place
+    const map = new Surface(9, 9);
+    for (let i = 0; i < map.data.length; i += 4) map.data.set([255, 128, 0, 255], i);
+    const displaced = DisplacementMap.apply(square, map, 4);
+    assertEquals(imageFiltersTestAlphaRow(displaced, 4), '0 255 255 255 0 0 0 0 0', 'displaced left by 2');
+    const vertical = DisplacementMap.apply(square, map, 4, 'G', 'R');
+    assertEquals(imageFiltersTestAlphaRow(vertical, 4), '0 0 0 0 0 0 0 0 0', 'channels swapped');
+    assertEquals(imageFiltersTestAlphaRow(vertical, 1), '0 0 0 255 255 255 0 0 0', 'displaced up by 2');
+    assertThrows(() => DisplacementMap.apply(square, new Surface(4, 4), 4), 'same size');
+
+    // Filters chain because each takes and returns a Surface
+    const chained = Morphology.apply(DisplacementMap.apply(square, map, 0), 'erode', 1);
+    assertEquals(chained.constructor, square.constructor, 'chainable');
+    assertEquals(imageFiltersTestAlphaRow(chained, 4), '0 0 0 0 255 0 0 0 0', 'zero scale is identity');
+});
@@ -0,0 +1,95 @@
+// Test: Gradient spread methods (pad, repeat, reflect) and radial gradient geometry
+// This file will be concatenated into the main test suite
+
+// Fill a 100x20 canvas with the gradient and return the red channel of row 10 at the given columns
+function gradientSpreadTestReds(gradient, columns) {
+    const canvas = SWCanvas.createCanvas(100, 20);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 100, 20);
+    return columns.map(x => canvas._coreSurface.getPixel(x, 10).r).join(' ');
+}
+
+function gradientSpreadTestRamp(gradient) {
+    gradient.addColorStop(0, 'black');
+    gradient.addColorStop(1, 'red');
+    return gradient;
+}
+
+// Test 50A: Property validation
+test('Gradient spread methods - property', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const gradients = [
+        ctx.createLinearGradient(0, 0, 10, 0),
+        ctx.createRadialGradient(5, 5, 0, 5, 5, 5),
+        ctx.createConicGradient(0, 5, 5)
+    ];
+    for (const gradient of gradients) {
+        assertEquals(gradient.spreadMethod, 'pad', 'pad by default');
+        gradient.spreadMethod = 'reflect';
+        assertEquals(gradient.spreadMethod, 'reflect', 'reflect accepted');
+        assertThrows(() => { gradient.spreadMethod = 'mirror'; }, 'Invalid gradient spread method');
+        assertEquals(gradient.spreadMethod, 'reflect', 'invalid value leaves the method unchanged');
+    }
+});
+
+// Test 50B: Linear gradients repeat and reflect with a 20px period
+test('Gradient spread methods - linear', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const columns = [0, 10, 20, 30, 40, 50];
+    const gradient = gradientSpreadTestRamp(ctx.createLinearGradient(0, 0, 20, 0));
+
+    assertEquals(gradientSpreadTestReds(gradient, columns), '0 128 255 255 255 255', 'pad');
+    gradient.spreadMethod = 'repeat';
+    assertEquals(gradientSpreadTestReds(gradient, columns), '0 128 0 128 0 128', 'repeat');
+    gradient.spreadMethod = 'reflect';
+    assertEquals(gradientSpreadTestReds(gradient, columns), '0 128 255 128 0 128', 'reflect');
+
+    // Before the start point, reflect mirrors and repeat continues the sawtooth
+    const shifted = gradientSpreadTestRamp(ctx.createLinearGradient(40, 0, 60, 0));
+    shifted.spreadMethod = 'reflect';
+    assertEquals(gradientSpreadTestReds(shifted, [30, 35, 40]), '128 64 0', 'reflect before start');
+    shifted.spreadMethod = 'repeat';
+    assertEquals(gradientSpreadTestReds(shifted, [30, 35, 40]), '128 191 0', 'repeat before start');
+});
+
+// Test 50C: Radial gradients repeat in rings, conic gradients are unaffected
+test('Gradient spread methods - radial and conic', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const columns = [50, 55, 60, 65, 70, 75];
+    const radial = gradientSpreadTestRamp(ctx.createRadialGradient(50, 10, 0, 50, 10, 10));
+
+    assertEquals(gradientSpreadTestReds(radial, columns), '0 128 255 255 255 255', 'pad');
+    radial.spreadMethod = 'repeat';
+    assertEquals(gradientSpreadTestReds(radial, columns), '0 128 0 128 0 128', 'repeat');
+    radial.spreadMethod = 'reflect';
+    assertEquals(gradientSpreadTestReds(radial, columns), '0 128 255 128 0 128', 'reflect');
+
+    const conic = gradientSpreadTestRamp(ctx.createConicGradient(0, 50, 10));
+    const padded = gradientSpreadTestReds(conic, [20, 80]);
+    conic.spreadMethod = 'repeat';
+    assertEquals(gradientSpreadTestReds(conic, [20, 80]), padded, 'conic unchanged');
+});
+
+// Test 50D: Radial gradients follow the two-circle cone and the current transform
+test('Gradient spread methods - radial geometry', () => {
+    const canvas = SWCanvas.createCanvas(100, 20);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+
+    // Focal point outside the end circle: the cone only covers a wedge to the right
+    const cone = gradientSpreadTestRamp(ctx.createRadialGradient(30, 10, 0, 50, 10, 10));
+    ctx.fillStyle = cone;
+    ctx.fillRect(0, 0, 100, 20);
+    assertEquals(surface.getPixel(20, 10).a, 0, 'transparent behind the focal point');
+    assertEquals(surface.getPixel(30, 0).a, 0, 'transparent outside the cone');
+    assertEquals(surface.getPixel(35, 10).r, 128, 'largest circle through the point wins');
+    assertEquals(surface.getPixel(90, 10).r, 255, 'padded beyond the end circle');
+
+    // Radii scale with the transform
+    ctx.clearRect(0, 0, 100, 20);
+    ctx.scale(2, 2);
+    ctx.fillStyle = gradientSpreadTestRamp(ctx.createRadialGradient(25, 5, 0, 25, 5, 10));
+    ctx.fillRect(0, 0, 50, 10);
+    assertEquals(surface.getPixel(60, 10).r, 128, 'half way at 10px when scaled by 2');
+});
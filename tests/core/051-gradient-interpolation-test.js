@@ -0,0 +1,64 @@
+// Test: Premultiplied gradient interpolation and interpolation color spaces
+// This file will be concatenated into the main test suite
+
+// Color of a 0 -> 1 linear gradient at t (sampled on a 101px wide canvas)
+function gradientInterpolationTestColor(from, to, t, options = {}) {
+    const canvas = SWCanvas.createCanvas(101, 1);
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 100, 0);
+    Object.assign(gradient, options);
+    gradient.addColorStop(0, from);
+    gradient.addColorStop(1, to);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 101, 1);
+    const pixel = canvas._coreSurface.getPixel(Math.round(t * 100), 0);
+    return `${pixel.r},${pixel.g},${pixel.b},${pixel.a}`;
+}
+
+// Test 51A: Premultiplied interpolation keeps color when fading out
+test('Gradient interpolation - premultiplied alpha', () => {
+    assertEquals(gradientInterpolationTestColor('red', 'rgba(0, 0, 255, 0)', 0.5), '255,0,0,128', 'no fringe toward transparent');
+    assertEquals(gradientInterpolationTestColor('transparent', 'lime', 0.25), '0,255,0,64', 'transparent black takes the other color');
+    assertEquals(gradientInterpolationTestColor('rgba(255, 0, 0, 0.5)', 'blue', 0.5), '85,0,170,192', 'weighted by alpha');
+    assertEquals(gradientInterpolationTestColor('red', 'blue', 0.5), '128,0,128,255', 'opaque stops unchanged');
+});
+
+// Test 51B: Interpolation color spaces
+test('Gradient interpolation - color spaces', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 10, 0);
+    assertEquals(gradient.interpolationColorSpace, 'srgb', 'sRGB by default');
+    assertEquals(gradient.hueInterpolationMethod, 'shorter', 'shorter hue by default');
+    assertThrows(() => { gradient.interpolationColorSpace = 'lab'; }, 'Invalid gradient interpolation color space');
+    assertThrows(() => { gradient.hueInterpolationMethod = 'nearest'; }, 'Invalid gradient hue interpolation method');
+
+    const mid = (space) => gradientInterpolationTestColor('red', 'blue', 0.5, { interpolationColorSpace: space });
+    assertEquals(mid('srgb-linear'), '188,0,188,255', 'linear light');
+    assertEquals(mid('oklab'), '140,83,162,255', 'OKLab');
+    assertEquals(mid('oklch'), '186,0,194,255', 'OKLCH');
+
+    // Fading out in OKLab is premultiplied too
+    assertEquals(gradientInterpolationTestColor('red', 'rgba(0, 0, 255, 0)', 0.5, { interpolationColorSpace: 'oklab' }),
+        '255,0,0,128', 'premultiplied in OKLab');
+});
+
+// Test 51C: OKLCH hue paths and achromatic stops
+test('Gradient interpolation - OKLCH hue paths', () => {
+    const quarter = (method) => gradientInterpolationTestColor('red', 'blue', 0.5,
+        { interpolationColorSpace: 'oklch', hueInterpolationMethod: method });
+    assertEquals(quarter('shorter'), quarter('decreasing'), 'red to blue: shorter goes down through magenta');
+    assertEquals(quarter('longer'), quarter('increasing'), 'longer goes up through yellow and green');
+    const [r, g, b] = quarter('longer').split(',').map(Number);
+    assertEquals(g > r && g > b, true, 'long way passes green');
+
+    // A gray stop has no hue: the chromatic stop's hue is kept throughout
+    const fromWhite = gradientInterpolationTestColor('white', 'blue', 0.5, { interpolationColorSpace: 'oklch' });
+    const [wr, wg, wb] = fromWhite.split(',').map(Number);
+    assertEquals(wb === 255 && wr < wg, true, 'white to blue stays blue');
+
+    const { ColorSpace } = SWCanvas.Core;
+    const roundTrip = ColorSpace.toSRGB('oklch', ColorSpace.fromSRGB('oklch', 0.2, 0.5, 0.9));
+    const error = Math.max(...roundTrip.map((c, i) => Math.abs(c - [0.2, 0.5, 0.9][i])));
+    assertEquals(error < 1e-4, true, 'OKLCH round trip');
+    assertEquals(isNaN(ColorSpace.fromSRGB('oklch', 0.5, 0.5, 0.5)[2]), true, 'gray hue is missing');
+});
@@ -0,0 +1,137 @@
+// Test: Gradient lookup tables and span evaluation
+// This file will be concatenated into the main test suite
+
+function gradientLookupTestGradients(ctx) {
+    const gradients = [
+        ctx.createLinearGradient(3, 2, 40, 9),
+        ctx.createRadialGradient(20, 10, 2, 25, 12, 18),
+        ctx.createConicGradient(0.3, 20, 10)
+    ];
+    for (const gradient of gradients) {
+        gradient.addColorStop(0, 'red');
+        gradient.addColorStop(0.5, 'rgba(0, 128, 255, 0.5)');
+        gradient.addColorStop(1, 'lime');
+    }
+    return gradients;
+}
+
+// Test 52A: Span evaluation matches per-pixel evaluation
+test('Gradient lookup table - spans match pixels', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const transform = new SWCanvas.Core.Transform2D().translate(4, -3).rotate(0.4).scale(1.5, 0.75);
+
+    for (const gradient of gradientLookupTestGradients(ctx)) {
+        gradient.spreadMethod = 'reflect';
+        const colors = gradient.fillSpan(-5, 7, 60, transform, []);
+        assertEquals(colors.length, 60, 'one color per pixel');
+        for (let i = 0; i < 60; i++) {
+            const expected = gradient.getColorForPixel(i - 5, 7, transform);
+            assertEquals(colors[i].toRGBA().join(','), expected.toRGBA().join(','), `pixel ${i}`);
+        }
+    }
+});
+
+// Test 52B: Rendered colors follow the stops and interpolation settings
+test('Gradient lookup table - rebuilt when stops change', () => {
+    const canvas = SWCanvas.createCanvas(100, 1);
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 100, 0);
+    gradient.addColorStop(0, 'black');
+    gradient.addColorStop(1, 'white');
+    const render = () => {
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 100, 1);
+        return (x) => canvas._coreSurface.getPixel(x, 0).toRGBA().join(',');
+    };
+
+    // Neighboring pixels of the same color share a Color instance
+    const identity = new SWCanvas.Core.Transform2D();
+    const first = gradient.getColorForPixel(10, 0, identity);
+    assertEquals(gradient.getColorForPixel(10, 5, identity), first, 'same Color instance');
+
+    let pixel = render();
+    assertEquals(pixel(10), '26,26,26,255', 'black to white');
+    assertEquals(pixel(50), '128,128,128,255', 'midpoint');
+
+    gradient.addColorStop(0.5, 'red');
+    pixel = render();
+    assertEquals(pixel(50), '255,0,0,255', 'rebuilt after addColorStop');
+    assertEquals(pixel(25), '128,0,0,255', 'sRGB blend up to the new stop');
+
+    gradient.interpolationColorSpace = 'srgb-linear';
+    pixel = render();
+    assertEquals(pixel(25), '188,0,0,255', 'rebuilt after color space change');
+
+    // Spread methods read the same entries
+    gradient.spreadMethod = 'repeat';
+    assertEquals(gradient.getColorForPixel(110, 0, identity), gradient.getColorForPixel(10, 0, identity), 'repeat reads the same entries');
+});
+
+// Test 52C: Gradient fills through the span path
+test('Gradient lookup table - span fills', () => {
+    const canvas = SWCanvas.createCanvas(60, 20);
+    const ctx = canvas.getContext('2d');
+    const [linear] = gradientLookupTestGradients(ctx);
+    ctx.fillStyle = linear;
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(60, 0);
+    ctx.lineTo(30, 20);
+    ctx.closePath();
+    ctx.fill();
+
+    const surface = canvas._coreSurface;
+    const identity = new SWCanvas.Core.Transform2D();
+    for (const [x, y] of [[5, 1], [30, 10], [45, 3]]) {
+        const paint = linear.getColorForPixel(x, y, identity).withGlobalAlpha(0.5);
+        assertEquals(surface.getPixel(x, y).toRGBA().join(','), paint.toRGBA().join(','), `pixel ${x},${y}`);
+    }
+    assertEquals(surface.getPixel(5, 15).a, 0, 'outside the triangle');
+});
+
+// Test 52D: Interpolating the table matches the stops, including hard stops
+test('Gradient lookup table - interpolated entries match the stops', () => {
+    const width = 997;
+    const canvas = SWCanvas.createCanvas(width, 1);
+    const ctx = canvas.getContext('2d');
+    const stops = [[0.2, [255, 0, 0, 1]], [0.5, [255, 255, 0, 0.5]], [0.5, [0, 0, 255, 1]], [1, [255, 255, 255, 1]]];
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    for (const [offset, [r, g, b, a]] of stops) gradient.addColorStop(offset, `rgba(${r}, ${g}, ${b}, ${a})`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, 1);
+
+    // sRGB stops blend premultiplied. Storing a pixel rounds its alpha, its premultiplied
+    // color and the unpremultiplied color once each, so it lands within 1.5 levels of the exact blend
+    for (let x = 0; x < width; x++) {
+        const t = x / width;
+        let from = stops[0], to = stops[0];
+        if (t >= stops[stops.length - 1][0]) {
+            from = to = stops[stops.length - 1];
+        } else if (t > stops[0][0]) {
+            const i = stops.findIndex((stop, j) => j > 0 && t < stop[0]);
+            from = stops[i - 1];
+            to = stops[i];
+        }
+        const local = from === to ? 0 : (t - from[0]) / (to[0] - from[0]);
+        const alpha = from[1][3] + (to[1][3] - from[1][3]) * local;
+        const channel = (i) => from[1][i] * from[1][3] * (1 - local) + to[1][i] * to[1][3] * local;
+
+        const pixel = canvas._coreSurface.getPixel(x, 0);
+        const actual = [pixel.r * pixel.a / 255, pixel.g * pixel.a / 255, pixel.b * pixel.a / 255, pixel.a];
+        const expected = [channel(0), channel(1), channel(2), alpha * 255];
+        for (let i = 0; i < 4; i++) {
+            if (Math.abs(actual[i] - expected[i]) > 1.5) {
+                const format = (values) => values.map(Math.round).join(',');
+                assertEquals(format(actual), format(expected), `pixel ${x}: premultiplied ${format(actual)} vs ${format(expected)}`);
+            }
+        }
+    }
+
+    // The hard stop stays sharp between neighboring pixels
+    const before = canvas._coreSurface.getPixel(498, 0);
+    const after = canvas._coreSurface.getPixel(499, 0);
+    assertEquals(`${before.r},${before.g},${before.b}`, '255,255,0', 'translucent yellow up to the hard stop');
+    assertEquals(before.a, 128, 'half alpha at the hard stop');
+    assertEquals(after.toRGBA().join(','), '0,0,255,255', 'blue after the hard stop');
+});
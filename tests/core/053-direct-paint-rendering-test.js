@@ -0,0 +1,129 @@
+// Test: Direct rendering of shapes with gradient and pattern paint
+// This file will be concatenated into the main test suite
+
+function directPaintTestPaints(ctx) {
+    const linear = ctx.createLinearGradient(0, 0, 40, 10);
+    linear.addColorStop(0, 'red');
+    linear.addColorStop(1, 'rgba(0, 0, 255, 0.5)');
+    const radial = ctx.createRadialGradient(20, 20, 2, 22, 18, 25);
+    radial.addColorStop(0, 'white');
+    radial.addColorStop(1, 'green');
+    const conic = ctx.createConicGradient(0.5, 20, 20);
+    conic.addColorStop(0, 'yellow');
+    conic.addColorStop(1, 'purple');
+
+    const tile = SWCanvas.createCanvas(4, 4);
+    const tileCtx = tile.getContext('2d');
+    tileCtx.fillStyle = 'blue';
+    tileCtx.fillRect(0, 0, 4, 4);
+    tileCtx.fillStyle = 'orange';
+    tileCtx.fillRect(0, 0, 2, 2);
+    return [linear, radial, conic, ctx.createPattern(tile, 'repeat')];
+}
+
+// Test 53A: Direct shape APIs stay off the path pipeline with gradients and patterns
+test('Direct paint rendering - shapes stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(40, 40).getContext('2d');
+    const draws = {
+        fillRect: () => ctx.fillRect(2, 3, 30, 20),
+        fillRoundRect: () => ctx.fillRoundRect(2, 3, 30, 20, 5),
+        fillCircle: () => ctx.fillCircle(20, 20, 12),
+        fillArc: () => ctx.fillArc(20, 20, 12, 0.5, 4),
+        strokeLine: () => ctx.strokeLine(2, 5, 35, 30)
+    };
+
+    for (const paint of directPaintTestPaints(ctx)) {
+        ctx.fillStyle = paint;
+        ctx.strokeStyle = paint;
+        for (const lineWidth of [1, 5]) {
+            ctx.lineWidth = lineWidth;
+            for (const [name, draw] of Object.entries(draws)) {
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                draw();
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false,
+                    `${name} with ${paint.constructor.name} (lineWidth ${lineWidth}) should use direct rendering`);
+            }
+        }
+    }
+
+    // Axis-aligned transforms stay direct; rotated rectangles still use paths
+    ctx.translate(5, 5);
+    ctx.scale(0.5, 0.5);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillRect(0, 0, 20, 20);
+    ctx.fillRoundRect(0, 0, 20, 20, 4);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'scaled shapes stay direct');
+    ctx.rotate(0.3);
+    ctx.fillRect(0, 0, 20, 20);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'rotated rectangle falls back');
+});
+
+// Test 53B: Span-painted pixels match the paint evaluated at each pixel
+test('Direct paint rendering - pixels match paint evaluation', () => {
+    const canvas = SWCanvas.createCanvas(40, 40);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+    ctx.translate(3, 1);
+    ctx.scale(1.5, 1.5);
+    ctx.globalAlpha = 0.75;
+    ctx.imageSmoothingEnabled = false;
+
+    for (const paint of directPaintTestPaints(ctx)) {
+        ctx.clearRect(-2, -1, 40, 40);
+        ctx.fillStyle = paint;
+        ctx.fillRect(0, 0, 20, 20);
+
+        for (const [x, y] of [[4, 2], [17, 9], [30, 28]]) {
+            const expected = paint.getColorForPixel(x, y, ctx._core._transform).withGlobalAlpha(0.75);
+            const actual = surface.getPixel(x, y);
+            const error = Math.max(...expected.toRGBA().map((c, i) => Math.abs(c - actual.toRGBA()[i])));
+            assertEquals(error <= 1, true, `${paint.constructor.name} at ${x},${y}`);
+        }
+    }
+});
+
+// Test 53C: Clipping, shadows and composite operations with paint
+test('Direct paint rendering - clip, shadow and fallbacks', () => {
+    const canvas = SWCanvas.createCanvas(40, 40);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+    const [linear] = directPaintTestPaints(ctx);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 20, 40);
+    ctx.clip();
+    ctx.fillStyle = linear;
+    ctx.fillCircle(20, 20, 15);
+    ctx.restore();
+    assertEquals(surface.getPixel(15, 20).a > 0, true, 'inside the clip');
+    assertEquals(surface.getPixel(25, 20).a, 0, 'clipped away');
+
+    ctx.fillStyle = linear;
+    ctx.shadowColor = 'black';
+    ctx.shadowOffsetX = 3;
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillRect(0, 0, 10, 10);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'shadows stay on the direct path');
+
+    ctx.shadowOffsetX = 0;
+    ctx.globalCompositeOperation = 'destination-over';
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillCircle(30, 30, 5);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'non source-over uses the path pipeline');
+});
+
+// Test 53D: Pattern span evaluation
+test('Direct paint rendering - pattern spans match pixels', () => {
+    const ctx = SWCanvas.createCanvas(10, 10).getContext('2d');
+    const pattern = directPaintTestPaints(ctx)[3];
+    const transform = new SWCanvas.Core.Transform2D().translate(1.5, 2).rotate(0.7).scale(1.25, 0.8);
+
+    for (const sampled of [pattern, pattern.withImageSmoothing(true)]) {
+        const colors = sampled.fillSpan(-3, 4, 30, transform, []);
+        for (let i = 0; i < 30; i++) {
+            const expected = sampled.getColorForPixel(i - 3, 4, transform);
+            assertEquals(colors[i].toRGBA().join(','), expected.toRGBA().join(','), `pixel ${i}`);
+        }
+    }
+});
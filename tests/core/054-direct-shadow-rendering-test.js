@@ -0,0 +1,199 @@
+// Test: Direct rendering of shapes while shadows are active
+// This file will be concatenated into the main test suite
+
+function directShadowTestDraws(ctx) {
+    return {
+        fillRect: () => ctx.fillRect(4, 6, 24, 18),
+        strokeRect: () => ctx.strokeRect(4, 6, 24, 18),
+        fillStrokeRect: () => ctx.fillStrokeRect(4, 6, 24, 18),
+        fillRoundRect: () => ctx.fillRoundRect(4, 6, 24, 18, 5),
+        strokeRoundRect: () => ctx.strokeRoundRect(4, 6, 24, 18, 5),
+        fillStrokeRoundRect: () => ctx.fillStrokeRoundRect(4, 6, 24, 18, 5),
+        fillCircle: () => ctx.fillCircle(16, 15, 10),
+        strokeCircle: () => ctx.strokeCircle(16, 15, 10),
+        fillStrokeCircle: () => ctx.fillStrokeCircle(16, 15, 10),
+        fillArc: () => ctx.fillArc(16, 15, 10, 0.3, 4),
+        outerStrokeArc: () => ctx.outerStrokeArc(16, 15, 10, 0.3, 4),
+        fillOuterStrokeArc: () => ctx.fillOuterStrokeArc(16, 15, 10, 0.3, 4),
+        strokeLine: () => ctx.strokeLine(3, 4, 28, 26)
+    };
+}
+
+// Test 54A: Shadows no longer force shapes onto the path pipeline
+test('Direct shadow rendering - shapes stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(80, 40).getContext('2d');
+    ctx.fillStyle = 'rgba(200, 40, 40, 0.8)';
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 3;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 3;
+    ctx.shadowOffsetX = 4;
+
+    for (const [name, draw] of Object.entries(directShadowTestDraws(ctx))) {
+        SWCanvas.Core.Context2D.resetPathBasedFlag();
+        draw();
+        assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, `${name} with a shadow should use direct rendering`);
+    }
+
+    const gradient = ctx.createLinearGradient(0, 0, 30, 0);
+    gradient.addColorStop(0, 'yellow');
+    gradient.addColorStop(1, 'green');
+    ctx.fillStyle = gradient;
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillCircle(16, 15, 10);
+    ctx.fillRect(4, 6, 24, 18);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'gradient shapes with a shadow stay direct');
+
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillCircle(16, 15, 10);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'non source-over still uses the path pipeline');
+});
+
+// Test 54B: An unblurred shadow is the shape's path-based coverage moved by the offset
+// (single-part shapes; fill+stroke shadows overlap, see 54D)
+test('Direct shadow rendering - shadow follows the drawn shape', () => {
+    const names = Object.keys(directShadowTestDraws(null)).filter(name => !/^fill(Outer)?Stroke/.test(name));
+    for (const name of names) {
+        const canvas = SWCanvas.createCanvas(80, 40);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(200, 40, 40, 0.8)';
+        ctx.strokeStyle = 'blue';
+        ctx.lineWidth = 3;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.05)';
+        ctx.shadowOffsetX = 40;
+        directShadowTestDraws(ctx)[name]();
+
+        // The same shape through the path pipeline (destination-over onto nothing), without a shadow
+        const reference = SWCanvas.createCanvas(40, 40);
+        const referenceCtx = reference.getContext('2d');
+        referenceCtx.fillStyle = ctx.fillStyle;
+        referenceCtx.strokeStyle = ctx.strokeStyle;
+        referenceCtx.lineWidth = 3;
+        referenceCtx.globalCompositeOperation = 'destination-over';
+        directShadowTestDraws(referenceCtx)[name]();
+
+        const surface = canvas._coreSurface;
+        let covered = 0;
+        for (let y = 0; y < 40; y++) {
+            for (let x = 0; x < 40; x++) {
+                const shapeAlpha = reference._coreSurface.getPixel(x, y).a;
+                const shadow = surface.getPixel(x + 40, y);
+                // Shadow alpha is scaled by the rasterizer's blur dilution compensation (8x)
+                const expected = Math.min(255, Math.round(shapeAlpha / 255 * 13 * 8));
+                if (Math.abs(shadow.a - expected) > 1 || (shadow.a > 0 && shadow.r !== 0)) {
+                    assertEquals(`${shadow.toRGBA()}`, `0,0,0,${expected}`, `${name} shadow at ${x + 40},${y}`);
+                }
+                if (shapeAlpha > 0) covered++;
+            }
+        }
+        assertEquals(covered > 0, true, `${name} drew something`);
+    }
+});
+
+// Test 54C: Blurred shadows match the rasterizer's shadow pipeline
+test('Direct shadow rendering - matches path-based shadows', () => {
+    const canvas = SWCanvas.createCanvas(60, 50);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 60, 50);
+    ctx.fillStyle = 'rgba(30, 90, 200, 0.9)';
+    ctx.globalAlpha = 0.8;
+    ctx.shadowColor = 'rgba(20, 0, 0, 0.6)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 5;
+    ctx.shadowOffsetY = -3;
+    ctx.fillRect(10, 12, 30, 20);
+
+    const reference = SWCanvas.Core.Surface(60, 50);
+    const rasterizer = new SWCanvas.Core.Rasterizer(reference);
+    const Color = SWCanvas.Core.Color;
+    rasterizer.beginOp({});
+    rasterizer.fillRect(0, 0, 60, 50, new Color(255, 255, 255, 255));
+    rasterizer.endOp();
+    rasterizer.beginOp({
+        globalAlpha: 0.8,
+        fillStyle: new Color(30, 90, 200, 230),
+        shadowColor: new Color(20, 0, 0, 153),
+        shadowBlur: 4,
+        shadowOffsetX: 5,
+        shadowOffsetY: -3
+    });
+    rasterizer.fillRect(10, 12, 30, 20, new Color(30, 90, 200, 230));
+    rasterizer.endOp();
+
+    const actual = canvas._coreSurface.data;
+    let maxError = 0;
+    for (let i = 0; i < actual.length; i++) {
+        maxError = Math.max(maxError, Math.abs(actual[i] - reference.data[i]));
+    }
+    assertEquals(maxError, 0, 'identical to the path-based shadow result');
+});
+
+// Test 54D: Each part of a fill+stroke casts its own shadow
+test('Direct shadow rendering - fill and stroke shadows', () => {
+    const canvas = SWCanvas.createCanvas(60, 40);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'red';
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 4;
+    ctx.shadowColor = 'lime';
+    ctx.shadowOffsetX = 8;
+    ctx.fillStrokeCircle(20, 20, 12);
+
+    // The stroke's shadow lands on the filled interior, as with fill() then stroke()
+    const pixel = canvas._coreSurface.getPixel(20 - 12 + 8, 20);
+    assertEquals(`${pixel.r},${pixel.g},${pixel.b}`, '0,255,0', 'stroke shadow over the fill');
+});
+
+// Test 54E: Every direct shape casts the shadow its path-based fallback casts.
+// destination-over on an empty canvas draws like source-over but takes the path
+// pipeline, so the two canvases must agree wherever only the shadow lands.
+test('Direct shadow rendering - shadows identical to the path pipeline', () => {
+    const transforms = {
+        identity: [1, 0, 0, 1, 0.3, 0.6],
+        rotated: [0.98, 0.2, -0.2, 0.98, 4.5, -1.25]
+    };
+
+    function render(name, transform, composite) {
+        const canvas = SWCanvas.createCanvas(100, 50);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(200, 40, 40, 0.8)';
+        ctx.strokeStyle = 'blue';
+        ctx.lineWidth = 3;
+        ctx.globalAlpha = 0.9;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur = 6;
+        ctx.shadowOffsetX = 50;
+        ctx.shadowOffsetY = 3;
+        ctx.setTransform(...transform);
+        ctx.globalCompositeOperation = composite;
+        directShadowTestDraws(ctx)[name]();
+        return canvas._coreSurface;
+    }
+
+    for (const [transformName, transform] of Object.entries(transforms)) {
+        for (const name of Object.keys(directShadowTestDraws(null))) {
+            SWCanvas.Core.Context2D.resetPathBasedFlag();
+            const direct = render(name, transform, 'source-over');
+            assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, `${name} (${transformName}) drawn directly`);
+            const path = render(name, transform, 'destination-over');
+
+            let differing = 0;
+            let shadowPixels = 0;
+            let first = '';
+            for (let y = 0; y < 50; y++) {
+                for (let x = 45; x < 100; x++) {
+                    const a = `${direct.getPixel(x, y).toRGBA()}`;
+                    const b = `${path.getPixel(x, y).toRGBA()}`;
+                    if (a !== b) {
+                        if (!differing) first = ` first at ${x},${y}: ${a} vs ${b}`;
+                        differing++;
+                    }
+                    if (b !== '0,0,0,0') shadowPixels++;
+                }
+            }
+            assertEquals(shadowPixels > 0, true, `${name} (${transformName}) casts a shadow`);
+            assertEquals(differing, 0, `${name} (${transformName}) shadow pixels differing from the path pipeline${first}`);
+        }
+    }
+});
@@ -0,0 +1,166 @@
+// Test: roundRect() per-corner and elliptical radii
+// This file will be concatenated into the main test suite
+
+// Count opaque-ish pixels in a surface
+function roundRectRadiiCoverage(surface) {
+    let covered = 0;
+    for (let i = 3; i < surface.data.length; i += 4) {
+        if (surface.data[i] >= 128) covered++;
+    }
+    return covered;
+}
+
+// Test 55A: Radii normalization follows the roundRect() specification
+test('roundRect radii - normalization', () => {
+    const CornerRadii = SWCanvas.Core.CornerRadii;
+    const describe = corners => corners.map(c => `${c.x}/${c.y}`).join(' ');
+
+    assertEquals(describe(CornerRadii.normalize(100, 100, 5)), '5/5 5/5 5/5 5/5');
+    assertEquals(describe(CornerRadii.normalize(100, 100, [1, 2])), '1/1 2/2 1/1 2/2');
+    assertEquals(describe(CornerRadii.normalize(100, 100, [1, 2, 3])), '1/1 2/2 3/3 2/2');
+    assertEquals(describe(CornerRadii.normalize(100, 100, [1, 2, 3, 4])), '1/1 2/2 3/3 4/4');
+    assertEquals(describe(CornerRadii.normalize(100, 100, { x: 10, y: 20 })), '10/20 10/20 10/20 10/20');
+    assertEquals(describe(CornerRadii.normalize(100, 100, [{ x: 10, y: 0 }, 4])), '0/0 4/4 0/0 4/4', 'flat corners are square');
+
+    // Overflowing radii scale down together (top side: 80 + 120 = 200 > 100)
+    assertEquals(describe(CornerRadii.normalize(100, 300, [80, 120])), '40/40 60/60 40/40 60/60');
+    assertEquals(describe(CornerRadii.normalize(-100, -300, [80, 120])), '40/40 60/60 40/40 60/60', 'sign is ignored');
+
+    assertEquals(CornerRadii.normalize(100, 100, [NaN]), null, 'non-finite radii draw nothing');
+    assertThrows(() => CornerRadii.normalize(100, 100, []), '1 to 4');
+    assertThrows(() => CornerRadii.normalize(100, 100, [1, 2, 3, 4, 5]), '1 to 4');
+    assertThrows(() => CornerRadii.normalize(100, 100, -1), 'non-negative');
+    assertThrows(() => CornerRadii.normalize(100, 100, { x: 5, y: -1 }), 'non-negative');
+});
+
+// Test 55B: Path2D and context roundRect() build the rounded outline
+test('roundRect radii - path construction', () => {
+    const path = new SWCanvas.Core.SWPath2D();
+    path.roundRect(10, 10, 80, 40, [{ x: 20, y: 10 }, 0, 8]);
+    const types = path.commands.map(command => command.type);
+    assertEquals(types[0], 'moveTo');
+    assertEquals(path.commands[0].x, 30, 'starts after the top-left radius');
+    assertEquals(types.includes('ellipse'), true, 'elliptical corner uses an ellipse');
+    assertEquals(types.includes('closePath'), true);
+    assertEquals(types[types.length - 1], 'moveTo', 'ends with a moveTo to the origin');
+
+    assertThrows(() => path.roundRect(0, 0, 10, 10, [-2]), 'non-negative');
+    const count = path.commands.length;
+    path.roundRect(0, 0, Infinity, 10, 2);
+    assertEquals(path.commands.length, count, 'non-finite rectangles are ignored');
+
+    // Negative width mirrors the rectangle; coverage is unchanged
+    const coverageFor = (x, w) => {
+        const canvas = SWCanvas.createCanvas(100, 60);
+        const ctx = canvas.getContext('2d');
+        ctx.beginPath();
+        ctx.roundRect(x, 10, w, 40, [{ x: 20, y: 10 }, 0, 8]);
+        ctx.fill();
+        return roundRectRadiiCoverage(canvas._coreSurface);
+    };
+    const forward = coverageFor(10, 80);
+    assertEquals(forward > 2800 && forward < 3200, true, `expected rounded coverage, got ${forward}`);
+    assertEquals(Math.abs(coverageFor(90, -80) - forward) <= 4, true, 'negative width');
+});
+
+// Test 55C: Direct rounded rects accept radii lists and stay on the direct path
+// (except rotated strokes of mixed corners, which the path stroker draws)
+test('roundRect radii - direct rendering', () => {
+    const radii = [{ x: 18, y: 8 }, 4, { x: 6, y: 14 }, 0];
+    const transforms = {
+        identity: () => {},
+        scaled: ctx => ctx.scale(1.5, 1.5),
+        quarterTurn: ctx => { ctx.translate(90, 0); ctx.rotate(Math.PI / 2); },
+        rotated: ctx => { ctx.translate(45, 5); ctx.rotate(0.4); }
+    };
+
+    for (const [name, setup] of Object.entries(transforms)) {
+        for (const op of ['fill', 'stroke', 'fillStroke']) {
+            const canvas = SWCanvas.createCanvas(100, 100);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'red';
+            ctx.strokeStyle = 'blue';
+            ctx.lineWidth = op === 'stroke' ? 1 : 3;
+            setup(ctx);
+            SWCanvas.Core.Context2D.resetPathBasedFlag();
+            ctx[`${op}RoundRect`](10, 10, 60, 40, radii);
+            const pathStroke = name === 'rotated' && op !== 'fill';
+            assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), pathStroke,
+                `${op}RoundRect (${name}) should use ${pathStroke ? 'path-based' : 'direct'} rendering`);
+            assertEquals(roundRectRadiiCoverage(canvas._coreSurface) > 0, true, `${op}RoundRect (${name}) drew something`);
+        }
+    }
+});
+
+// Test 55D: Direct fills match the path-based roundRect() coverage
+test('roundRect radii - direct fill matches path fill', () => {
+    const radii = [{ x: 24, y: 10 }, 6, { x: 8, y: 20 }, 0];
+    const setups = [
+        ctx => {},
+        ctx => { ctx.translate(100, 0); ctx.rotate(Math.PI / 2); },
+        ctx => { ctx.translate(50, 10); ctx.rotate(0.5); }
+    ];
+
+    setups.forEach((setup, i) => {
+        const direct = SWCanvas.createCanvas(110, 110);
+        const directCtx = direct.getContext('2d');
+        setup(directCtx);
+        directCtx.fillRoundRect(10, 10, 80, 50, radii);
+
+        const path = SWCanvas.createCanvas(110, 110);
+        const pathCtx = path.getContext('2d');
+        setup(pathCtx);
+        pathCtx.beginPath();
+        pathCtx.roundRect(10, 10, 80, 50, radii);
+        pathCtx.fill();
+
+        const directCoverage = roundRectRadiiCoverage(direct._coreSurface);
+        const pathCoverage = roundRectRadiiCoverage(path._coreSurface);
+        // The rotated renderer differs by a few percent even for uniform radii
+        assertEquals(Math.abs(directCoverage - pathCoverage) <= pathCoverage * 0.04, true,
+            `setup ${i}: direct ${directCoverage} vs path ${pathCoverage}`);
+    });
+});
+
+// Test 55E: Quarter turns move corner radii to their device-space corners
+test('roundRect radii - quarter-turn corner mapping', () => {
+    const CornerRadii = SWCanvas.Core.CornerRadii;
+    const corners = CornerRadii.normalize(100, 100, [{ x: 10, y: 4 }, 0, 0, 0]);
+    const turned = CornerRadii.transform(corners, 2, Math.PI / 2);
+    assertEquals(turned[0].x, 0, 'top-left becomes square');
+    assertEquals(`${turned[1].x}/${turned[1].y}`, '8/20', 'top-left moves to top-right with axes swapped');
+    assertEquals(`${CornerRadii.transform(corners, 1, -Math.PI / 2)[3].x}`, '4', 'negative quarter turn');
+});
+
+// Test 55F: Rotated strokes with mixed corners match the path-based roundRect() stroke
+test('roundRect radii - rotated mixed-corner strokes match the path', () => {
+    const radii = [{ x: 20, y: 10 }, 5, 0, 12];
+    for (const lineWidth of [1, 3, 6]) {
+        for (const op of ['stroke', 'fillStroke']) {
+            const [direct, path] = [true, false].map(useDirect => {
+                const canvas = SWCanvas.createCanvas(120, 120);
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = 'red';
+                ctx.strokeStyle = 'blue';
+                ctx.lineWidth = lineWidth;
+                ctx.translate(60, 60);
+                ctx.rotate(0.3);
+                if (useDirect) {
+                    ctx[`${op}RoundRect`](-35, -25, 70, 50, radii);
+                } else {
+                    if (op === 'fillStroke') ctx.fillRoundRect(-35, -25, 70, 50, radii);
+                    ctx.beginPath();
+                    ctx.roundRect(-35, -25, 70, 50, radii);
+                    ctx.stroke();
+                }
+                return canvas._coreSurface.data;
+            });
+
+            let differing = 0;
+            for (let i = 0; i < path.length; i++) {
+                if (direct[i] !== path[i]) differing++;
+            }
+            assertEquals(differing, 0, `${op}RoundRect (${lineWidth}px) bytes differing from the path stroke`);
+        }
+    }
+});
@@ -0,0 +1,184 @@
+// Test: Direct ellipse rendering (fillEllipse, strokeEllipse, fillStrokeEllipse)
+// This file will be concatenated into the main test suite
+
+// Draw an ellipse with a direct call and with the path pipeline; count mismatched pixels
+function directEllipseMismatch(setup, draw, pathDraw) {
+    const direct = SWCanvas.createCanvas(120, 100);
+    const path = SWCanvas.createCanvas(120, 100);
+    for (const canvas of [direct, path]) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'red';
+        ctx.strokeStyle = 'blue';
+        setup(ctx);
+    }
+    draw(direct.getContext('2d'));
+    pathDraw(path.getContext('2d'));
+
+    const a = direct._coreSurface.data;
+    const b = path._coreSurface.data;
+    let mismatched = 0, covered = 0, directCovered = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        if (b[i + 3] >= 128) covered++;
+        if (a[i + 3] >= 128) directCovered++;
+        if ((a[i + 3] >= 128) !== (b[i + 3] >= 128)) mismatched++;
+    }
+    return { mismatched, covered, directCovered };
+}
+
+// Test 56A: Ellipse shape APIs stay on the direct path
+test('Direct ellipse rendering - stays on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(120, 100).getContext('2d');
+    const draws = {
+        fillEllipse: () => ctx.fillEllipse(60, 50, 40, 20, 0.4),
+        strokeEllipse: () => ctx.strokeEllipse(60, 50, 40, 20, 0.4),
+        fillStrokeEllipse: () => ctx.fillStrokeEllipse(60, 50, 40, 20, 0.4)
+    };
+    const styles = [['red', 'blue'], ['rgba(200, 0, 0, 0.5)', 'rgba(0, 0, 200, 0.6)']];
+
+    for (const [fill, stroke] of styles) {
+        for (const lineWidth of [1, 4]) {
+            ctx.fillStyle = fill;
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = lineWidth;
+            for (const [name, draw] of Object.entries(draws)) {
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                draw();
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, `${name} (${fill}, lineWidth ${lineWidth})`);
+            }
+        }
+    }
+
+    // Non-uniform scales and skews map to a single rotated ellipse
+    ctx.setTransform(1.5, 0.2, 0.4, 0.7, 10, 5);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillEllipse(30, 30, 20, 10, 1);
+    ctx.lineWidth = 6;
+    ctx.strokeEllipse(30, 30, 20, 10, 1);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'transformed ellipses stay direct');
+
+    // Gradient fills are direct; gradient strokes and other composite operations use paths
+    const gradient = ctx.createLinearGradient(0, 0, 60, 0);
+    gradient.addColorStop(0, 'yellow');
+    gradient.addColorStop(1, 'green');
+    ctx.fillStyle = gradient;
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillEllipse(30, 30, 20, 10);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'gradient fill stays direct');
+    ctx.strokeStyle = gradient;
+    ctx.strokeEllipse(30, 30, 20, 10);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'gradient stroke falls back');
+});
+
+// Test 56B: Coverage matches the path-based ellipse
+test('Direct ellipse rendering - matches path coverage', () => {
+    // Transform determinants scale the exact area (PI * 40 * 18)
+    const setups = {
+        identity: [ctx => ctx.translate(60, 50), 1],
+        rotated: [ctx => { ctx.translate(60, 50); ctx.rotate(0.9); }, 1],
+        scaled: [ctx => { ctx.translate(60, 50); ctx.scale(1.3, 0.6); }, 0.78],
+        skewed: [ctx => ctx.setTransform(1, 0.3, 0.5, 1, 60, 50), 0.85]
+    };
+
+    for (const [name, [setup, determinant]] of Object.entries(setups)) {
+        const { mismatched, covered, directCovered } = directEllipseMismatch(setup,
+            ctx => ctx.fillEllipse(0, 0, 40, 18, 0.3),
+            ctx => { ctx.beginPath(); ctx.ellipse(0, 0, 40, 18, 0.3, 0, Math.PI * 2); ctx.fill(); });
+        const area = Math.PI * 40 * 18 * determinant;
+        assertEquals(Math.abs(directCovered - area) <= area * 0.01, true, `${name} fill: ${directCovered} pixels for area ${area.toFixed(0)}`);
+        // The flattened path sits slightly inside the curve, so edges differ by a few percent
+        assertEquals(mismatched <= covered * 0.05, true, `${name} fill: ${mismatched} of ${covered} pixels differ`);
+    }
+
+    // Thick strokes: pixels within half the line width of the curve
+    const { mismatched, covered } = directEllipseMismatch(
+        ctx => { ctx.translate(60, 50); ctx.rotate(0.5); ctx.lineWidth = 6; },
+        ctx => ctx.strokeEllipse(0, 0, 42, 20),
+        ctx => { ctx.beginPath(); ctx.ellipse(0, 0, 42, 20, 0, 0, Math.PI * 2); ctx.stroke(); });
+    assertEquals(mismatched <= covered * 0.15, true, `thick stroke: ${mismatched} of ${covered} pixels differ`);
+});
+
+// Test 56C: Thick strokes wider than the tightest curvature keep their interior
+test('Direct ellipse rendering - thick strokes on flat ellipses', () => {
+    const canvas = SWCanvas.createCanvas(120, 60);
+    const ctx = canvas.getContext('2d');
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 8;
+    ctx.strokeEllipse(60, 30, 45, 10);
+    const surface = canvas._coreSurface;
+
+    assertEquals(surface.getPixel(60, 30).a, 0, 'interior stays empty');
+    assertEquals(surface.getPixel(60, 20).a, 255, 'top of the stroke');
+    assertEquals(surface.getPixel(16, 30).a, 255, 'left end of the stroke');
+    assertEquals(surface.getPixel(36, 30).a, 0, 'interior near the flat end');
+    assertEquals(surface.getPixel(60, 36).a, 255, 'within half the line width');
+    assertEquals(surface.getPixel(60, 15).a, 0, 'beyond half the line width');
+
+    // A stroke wider than the minor radius covers the whole ellipse
+    ctx.clearRect(0, 0, 120, 60);
+    ctx.lineWidth = 24;
+    ctx.strokeEllipse(60, 30, 45, 10);
+    assertEquals(surface.getPixel(60, 30).a, 255, 'no interior left');
+});
+
+// Test 56D: 1px strokes are thin, closed outlines
+test('Direct ellipse rendering - 1px outline', () => {
+    const canvas = SWCanvas.createCanvas(120, 100);
+    const ctx = canvas.getContext('2d');
+    ctx.strokeStyle = 'black';
+    ctx.lineWidth = 1;
+    ctx.strokeEllipse(60.3, 50.7, 45, 25, 0.7);
+    const surface = canvas._coreSurface;
+
+    const on = (x, y) => x >= 0 && y >= 0 && x < 120 && y < 100 && surface.getPixel(x, y).a > 0;
+    let pixels = 0;
+    for (let y = 0; y < 100; y++) {
+        for (let x = 0; x < 120; x++) {
+            if (!on(x, y)) continue;
+            pixels++;
+            let neighbors = 0, edgeNeighbors = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx || dy) && on(x + dx, y + dy)) {
+                        neighbors++;
+                        if (!dx || !dy) edgeNeighbors++;
+                    }
+                }
+            }
+            assertEquals(neighbors >= 2, true, `outline is connected at ${x},${y}`);
+            assertEquals(edgeNeighbors <= 2 && neighbors <= 3, true, `no doubled corner at ${x},${y}`);
+        }
+    }
+    assertEquals(pixels > 150 && pixels < 260, true, `outline length ${pixels}`);
+});
+
+// Test 56E: Clipping, invalid radii and globalAlpha
+test('Direct ellipse rendering - clip, invalid radii and alpha', () => {
+    const canvas = SWCanvas.createCanvas(100, 60);
+    const ctx = canvas.getContext('2d');
+    const surface = canvas._coreSurface;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 50, 60);
+    ctx.clip();
+    ctx.fillStyle = 'green';
+    ctx.fillEllipse(50, 30, 40, 20);
+    ctx.restore();
+    assertEquals(surface.getPixel(40, 30).a, 255, 'inside the clip');
+    assertEquals(surface.getPixel(60, 30).a, 0, 'clipped away');
+
+    ctx.clearRect(0, 0, 100, 60);
+    ctx.fillEllipse(50, 30, 0, 20);
+    ctx.fillEllipse(50, 30, -5, 20);
+    ctx.fillEllipse(50, 30, 20, NaN);
+    ctx.fillStrokeEllipse(50, 30, Infinity, 20);
+    let drawn = 0;
+    for (let i = 3; i < surface.data.length; i += 4) if (surface.data[i]) drawn++;
+    assertEquals(drawn, 0, 'zero, negative and non-finite radii draw nothing');
+
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = 'rgb(0, 0, 255)';
+    ctx.fillEllipse(50, 30, 30, 15);
+    const pixel = surface.getPixel(50, 30);
+    assertEquals(Math.abs(pixel.a - 128) <= 1 && pixel.b === 255, true, `half-transparent fill, got ${pixel.toRGBA()}`);
+});
@@ -0,0 +1,285 @@
+// Test: Dashed strokes on the direct renderers (strokeRect, strokeRoundRect, strokeCircle, strokeLine, outerStrokeArc)
+// This file will be concatenated into the main test suite
+
+// Whether a device point is stroked: any of the pixels it may round to is mostly opaque
+function dashedStrokeIsOn(surface, x, y) {
+    for (const px of [Math.floor(x - 0.5), Math.floor(x)]) {
+        for (const py of [Math.floor(y - 0.5), Math.floor(y)]) {
+            if (surface.data[(py * surface.width + px) * 4 + 3] >= 128) return true;
+        }
+    }
+    return false;
+}
+
+// Test 57A: Dashed color strokes stay on the direct path
+test('Direct dashed strokes - stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(160, 120).getContext('2d');
+    const draws = {
+        strokeRect: () => ctx.strokeRect(20, 20, 100, 60),
+        strokeRoundRect: () => ctx.strokeRoundRect(20, 20, 100, 60, [12, 0, 6]),
+        strokeCircle: () => ctx.strokeCircle(70, 60, 40),
+        strokeLine: () => ctx.strokeLine(10, 10, 150, 100),
+        outerStrokeArc: () => ctx.outerStrokeArc(70, 60, 40, 0.5, 3, true),
+        fillStrokeRect: () => ctx.fillStrokeRect(20, 20, 100, 60),
+        fillStrokeCircle: () => ctx.fillStrokeCircle(70, 60, 40)
+    };
+
+    ctx.setLineDash([8, 4]);
+    for (const stroke of ['blue', 'rgba(0, 0, 200, 0.5)']) {
+        for (const lineWidth of [1, 3]) {
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = lineWidth;
+            for (const [name, draw] of Object.entries(draws)) {
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                draw();
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false,
+                    `${name} (${stroke}, ${lineWidth}px) should use direct rendering`);
+            }
+        }
+    }
+
+    // Dash ends need caps the direct renderers don't draw
+    ctx.lineCap = 'round';
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.strokeRect(20, 20, 100, 60);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'round caps take the path stroker');
+});
+
+// Test 57B: Dashes fall where the path stroker puts them
+test('Direct dashed strokes - dash phase matches the path stroker', () => {
+    const PI = Math.PI;
+    // Each shape's outline in path order, as a function of distance along it
+    const shapes = {
+        rect: {
+            draw: ctx => ctx.strokeRect(20, 30, 120, 80),
+            path: ctx => ctx.rect(20, 30, 120, 80),
+            length: 400,
+            pointAt: d => d < 120 ? { x: 20 + d, y: 30 } : d < 200 ? { x: 140, y: d - 90 } :
+                d < 320 ? { x: 340 - d, y: 110 } : { x: 20, y: 430 - d }
+        },
+        circle: {
+            draw: ctx => ctx.strokeCircle(90, 90, 50),
+            path: ctx => ctx.arc(90, 90, 50, 0, 2 * PI),
+            length: 100 * PI,
+            pointAt: d => ({ x: 90 + 50 * Math.cos(d / 50), y: 90 + 50 * Math.sin(d / 50) })
+        },
+        line: {
+            draw: ctx => ctx.strokeLine(10, 15, 170, 135),
+            path: ctx => { ctx.moveTo(10, 15); ctx.lineTo(170, 135); },
+            length: 200,
+            pointAt: d => ({ x: 10 + d * 0.8, y: 15 + d * 0.6 })
+        },
+        roundRect: {
+            draw: ctx => ctx.strokeRoundRect(20, 30, 120, 80, [20, 0, 10, 0]),
+            path: ctx => ctx.roundRect(20, 30, 120, 80, [20, 0, 10, 0]),
+            length: 100 + 70 + 5 * PI + 110 + 60 + 10 * PI,
+            pointAt: d => {
+                const pieces = [
+                    [100, t => ({ x: 40 + t, y: 30 })],
+                    [70, t => ({ x: 140, y: 30 + t })],
+                    [5 * PI, t => ({ x: 130 + 10 * Math.cos(t / 10), y: 100 + 10 * Math.sin(t / 10) })],
+                    [110, t => ({ x: 130 - t, y: 110 })],
+                    [60, t => ({ x: 20, y: 110 - t })],
+                    [10 * PI, t => ({ x: 40 - 20 * Math.cos(t / 20), y: 50 - 20 * Math.sin(t / 20) })]
+                ];
+                for (const [length, at] of pieces) {
+                    if (d <= length) return at(d);
+                    d -= length;
+                }
+                return null;
+            }
+        }
+    };
+    const transforms = {
+        identity: () => {},
+        scaled: ctx => ctx.scale(1.25, 1.25),
+        quarterTurn: ctx => { ctx.translate(200, 0); ctx.rotate(PI / 2); },
+        mirrored: ctx => { ctx.translate(200, 0); ctx.scale(-1, 1); }
+    };
+
+    for (const [shapeName, shape] of Object.entries(shapes)) {
+        for (const [transformName, setup] of Object.entries(transforms)) {
+            const canvases = [SWCanvas.createCanvas(220, 220), SWCanvas.createCanvas(220, 220)];
+            const contexts = canvases.map(canvas => {
+                const ctx = canvas.getContext('2d');
+                ctx.strokeStyle = 'black';
+                ctx.lineWidth = 3;
+                ctx.setLineDash([12, 6]);
+                ctx.lineDashOffset = 4;
+                setup(ctx);
+                return ctx;
+            });
+            shape.draw(contexts[0]);
+            contexts[1].beginPath();
+            shape.path(contexts[1]);
+            contexts[1].stroke();
+
+            // Sample the middles of dashes and gaps, where both must agree
+            const transform = contexts[0]._core._transform;
+            let samples = 0, wrong = 0;
+            for (let d = 0; d < shape.length; d++) {
+                const phase = (d + 4) % 18;
+                if (Math.abs(phase - 6) >= 3 && Math.abs(phase - 15) >= 1) continue;
+                const point = transform.transformPoint(shape.pointAt(d));
+                const direct = dashedStrokeIsOn(canvases[0]._coreSurface, point.x, point.y);
+                const path = dashedStrokeIsOn(canvases[1]._coreSurface, point.x, point.y);
+                samples++;
+                if (direct !== path || direct !== phase < 12) wrong++;
+            }
+            assertEquals(wrong <= samples * 0.03, true,
+                `${shapeName} (${transformName}): ${wrong} of ${samples} dash samples differ`);
+        }
+    }
+});
+
+// Test 57C: lineDashOffset moves the dashes back along the outline
+test('Direct dashed strokes - lineDashOffset', () => {
+    const rowFor = offset => {
+        const canvas = SWCanvas.createCanvas(120, 10);
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([7, 3, 2, 3]);
+        ctx.lineDashOffset = offset;
+        ctx.strokeLine(0, 5, 120, 5);
+        let row = '';
+        for (let x = 0; x < 120; x++) {
+            row += canvas._coreSurface.data[(4 * 120 + x) * 4 + 3] >= 128 ? '#' : '.';
+        }
+        return row;
+    };
+
+    const base = rowFor(0);
+    assertEquals(base.slice(0, 15), '#######...##...', 'pattern starts at the line start');
+    assertEquals(rowFor(5).slice(0, 100), base.slice(5, 105), 'positive offset');
+    assertEquals(rowFor(-5).slice(5, 105), base.slice(0, 100), 'negative offset');
+    assertEquals(rowFor(15 + 5), rowFor(5), 'offset wraps by the pattern length');
+});
+
+// Test 57D: Zero-length dashes and gaps, and alpha blending
+test('Direct dashed strokes - zero-length dashes and gaps, alpha', () => {
+    const draw = (dash, stroke) => {
+        const canvas = SWCanvas.createCanvas(100, 80);
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 4;
+        ctx.setLineDash(dash);
+        ctx.strokeRect(10, 10, 80, 60);
+        return canvas._coreSurface.data;
+    };
+
+    // A pattern summing to zero is a solid stroke, as for the path stroker
+    const solid = draw([], 'black');
+    const zero = draw([0, 0], 'black');
+    let same = true;
+    for (let i = 0; i < solid.length; i++) {
+        if (solid[i] !== zero[i]) { same = false; break; }
+    }
+    assertEquals(same, true, 'zero-length dashes draw the solid stroke');
+
+    // Gaps of zero length join their dashes into unbroken sides
+    const joined = draw([5, 0], 'black');
+    let covered = 0;
+    for (let x = 10; x < 90; x++) {
+        if (joined[(9 * 100 + x) * 4 + 3] > 0) covered++;
+    }
+    assertEquals(covered, 80, 'zero-length gaps');
+
+    // Dashes meeting at a corner overlap there; every pixel is blended once
+    const alpha = draw([30, 10], 'rgba(0, 0, 255, 0.5)');
+    const levels = new Set();
+    for (let i = 3; i < alpha.length; i += 4) {
+        if (alpha[i] > 0) levels.add(alpha[i]);
+    }
+    assertEquals(levels.size, 1, `single alpha level, got ${[...levels].join(', ')}`);
+});
+
+// Test 57E: Fill and stroke with a dash, and dashed fallbacks
+test('Direct dashed strokes - fill shows through the gaps and fallbacks dash', () => {
+    const canvas = SWCanvas.createCanvas(100, 80);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'red';
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 4;
+    ctx.setLineDash([10, 10]);
+    ctx.fillStrokeRect(10, 10, 80, 60);
+    const data = canvas._coreSurface.data;
+    const pixel = (x, y) => Array.from(data.slice((y * 100 + x) * 4, (y * 100 + x) * 4 + 4)).join(',');
+
+    assertEquals(pixel(25, 9), '0,0,0,0', 'outside half of a gap stays clear');
+    assertEquals(pixel(25, 11), '255,0,0,255', 'inside half of a gap shows the fill');
+    assertEquals(pixel(15, 11), '0,0,255,255', 'dash over the fill');
+
+    // Gradients on a dashed rectangle go through the path stroker, which dashes too
+    const gradientCanvas = SWCanvas.createCanvas(100, 80);
+    const gradientCtx = gradientCanvas.getContext('2d');
+    const gradient = gradientCtx.createLinearGradient(0, 0, 100, 0);
+    gradient.addColorStop(0, 'black');
+    gradient.addColorStop(1, 'black');
+    gradientCtx.strokeStyle = gradient;
+    gradientCtx.lineWidth = 4;
+    gradientCtx.setLineDash([10, 10]);
+    gradientCtx.strokeRect(10, 10, 80, 60);
+    const gradientData = gradientCanvas._coreSurface.data;
+    assertEquals(gradientData[(10 * 100 + 15) * 4 + 3], 255, 'dash drawn');
+    assertEquals(gradientData[(10 * 100 + 25) * 4 + 3], 0, 'gap left clear');
+
+    // Dashed lines keep gradient paint on the direct path
+    gradientCtx.clearRect(0, 0, 100, 80);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    gradientCtx.strokeLine(0, 40, 100, 40);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'gradient strokeLine stays direct');
+    assertEquals(gradientData[(40 * 100 + 5) * 4 + 3], 255, 'line dash drawn');
+    assertEquals(gradientData[(40 * 100 + 15) * 4 + 3], 0, 'line gap left clear');
+});
+
+// Test 57F: Dashed rectangles cover the same pixels as the path stroker
+// (rounded corners at odd widths can differ where the stroker's flattened arcs graze a pixel center)
+test('Direct dashed strokes - rectangles match the path stroker pixel for pixel', () => {
+    const shapes = {
+        rect: {
+            lineWidths: [1, 2, 3, 4],
+            direct: ctx => ctx.strokeRect(10, 10, 40, 30),
+            path: ctx => ctx.rect(10, 10, 40, 30)
+        },
+        roundRect: {
+            lineWidths: [2, 4],
+            direct: ctx => ctx.strokeRoundRect(10, 10, 40, 30, 6),
+            path: ctx => ctx.roundRect(10, 10, 40, 30, 6)
+        },
+        mixedCorners: {
+            lineWidths: [2, 4],
+            direct: ctx => ctx.strokeRoundRect(10, 10, 40, 30, [8, 0, 4, 0]),
+            path: ctx => ctx.roundRect(10, 10, 40, 30, [8, 0, 4, 0])
+        }
+    };
+
+    for (const [name, shape] of Object.entries(shapes)) {
+        for (const lineWidth of shape.lineWidths) {
+            const [direct, path] = [true, false].map(useDirect => {
+                const canvas = SWCanvas.createCanvas(60, 50);
+                const ctx = canvas.getContext('2d');
+                ctx.strokeStyle = 'black';
+                ctx.lineWidth = lineWidth;
+                ctx.setLineDash([7, 4]);
+                ctx.lineDashOffset = 2;
+                if (useDirect) {
+                    shape.direct(ctx);
+                } else {
+                    ctx.beginPath();
+                    shape.path(ctx);
+                    ctx.stroke();
+                }
+                return canvas._coreSurface.data;
+            });
+
+            let differing = 0, covered = 0;
+            for (let i = 3; i < path.length; i += 4) {
+                if (path[i] > 0) covered++;
+                if (direct[i] !== path[i]) differing++;
+            }
+            assertEquals(covered > 0, true, `${name} (${lineWidth}px) path stroke drawn`);
+            assertEquals(differing, 0, `${name} (${lineWidth}px) pixels differing from the path stroke`);
+        }
+    }
+});
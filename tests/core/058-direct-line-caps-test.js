@@ -0,0 +1,132 @@
+// Test: Round and square line caps on strokeLine direct rendering
+// This file will be concatenated into the main test suite
+
+// Alpha channel of a surface as a 0/1 coverage map
+function lineCapsCoverage(surface) {
+    const coverage = [];
+    for (let i = 3; i < surface.data.length; i += 4) {
+        coverage.push(surface.data[i] > 0 ? 1 : 0);
+    }
+    return coverage;
+}
+
+// Test 58A: Capped lines stay on the direct path
+test('Direct line caps - stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(120, 100).getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 120, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+
+    for (const lineCap of ['round', 'square']) {
+        for (const stroke of ['black', 'rgba(0, 0, 200, 0.5)', gradient]) {
+            for (const lineWidth of [1, 6]) {
+                ctx.lineCap = lineCap;
+                ctx.strokeStyle = stroke;
+                ctx.lineWidth = lineWidth;
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                ctx.strokeLine(10, 15, 105, 80);
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false,
+                    `${lineCap} cap (${lineWidth}px) should use direct rendering`);
+            }
+        }
+    }
+
+    // Dashes with caps still take the path stroker
+    ctx.strokeStyle = 'black';
+    ctx.setLineDash([6, 4]);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.strokeLine(10, 15, 105, 80);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'dashed capped lines use the path stroker');
+});
+
+// Test 58B: Caps cover what the path stroker covers
+test('Direct line caps - coverage matches the path stroker', () => {
+    const lines = [[20, 20, 100, 20], [20, 15, 20, 90], [15, 15, 105, 75], [30, 90, 95, 12.3]];
+    const differing = { round: 0, square: 0, butt: 0 };
+
+    for (const lineCap of Object.keys(differing)) {
+        for (const [x1, y1, x2, y2] of lines) {
+            const direct = SWCanvas.createCanvas(120, 110);
+            const path = SWCanvas.createCanvas(120, 110);
+            const directCtx = direct.getContext('2d');
+            const pathCtx = path.getContext('2d');
+            for (const ctx of [directCtx, pathCtx]) {
+                ctx.lineWidth = 8;
+                ctx.lineCap = lineCap;
+            }
+            directCtx.strokeLine(x1, y1, x2, y2);
+            pathCtx.beginPath();
+            pathCtx.moveTo(x1, y1);
+            pathCtx.lineTo(x2, y2);
+            pathCtx.stroke();
+
+            const a = lineCapsCoverage(direct._coreSurface);
+            const b = lineCapsCoverage(path._coreSurface);
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) differing[lineCap]++;
+            }
+        }
+    }
+
+    // Round caps are filled exactly; square caps inherit the butt renderers' pixel rules
+    assertEquals(differing.round <= 20, true, `round caps differ in ${differing.round} pixels`);
+    assertEquals(differing.square <= differing.butt + 40, true,
+        `square caps differ in ${differing.square} pixels (butt: ${differing.butt})`);
+});
+
+// Test 58C: Cap extents, single blending and zero-length lines
+test('Direct line caps - extents, alpha and zero length', () => {
+    const draw = (lineCap, stroke, x1, y1, x2, y2) => {
+        const canvas = SWCanvas.createCanvas(60, 40);
+        const ctx = canvas.getContext('2d');
+        ctx.lineWidth = 10;
+        ctx.lineCap = lineCap;
+        ctx.strokeStyle = stroke;
+        ctx.strokeLine(x1, y1, x2, y2);
+        return canvas._coreSurface.data;
+    };
+    const alphaAt = (data, x, y) => data[(y * 60 + x) * 4 + 3];
+
+    // Square caps reach half the width past both ends, round caps only along the axis
+    const square = draw('square', 'black', 20, 20, 40, 20);
+    const round = draw('round', 'black', 20, 20, 40, 20);
+    assertEquals(alphaAt(square, 16, 16), 255, 'square cap corner');
+    assertEquals(alphaAt(square, 44, 23), 255, 'square cap corner at the end');
+    assertEquals(alphaAt(square, 14, 20), 0, 'square cap ends at half the width');
+    assertEquals(alphaAt(round, 16, 20), 255, 'round cap along the axis');
+    assertEquals(alphaAt(round, 16, 16), 0, 'round cap leaves the corner clear');
+    assertEquals(alphaAt(round, 43, 17), 255, 'round cap at the end');
+
+    // The line and its caps blend once
+    const alpha = draw('round', 'rgba(0, 0, 255, 0.5)', 12, 8, 47, 31);
+    const levels = new Set();
+    for (let i = 3; i < alpha.length; i += 4) {
+        if (alpha[i] > 0) levels.add(alpha[i]);
+    }
+    assertEquals(levels.size, 1, `single alpha level, got ${[...levels].join(', ')}`);
+
+    // Zero-length lines draw nothing, as with the path stroker
+    for (const lineCap of ['round', 'square']) {
+        const empty = draw(lineCap, 'black', 30, 20, 30, 20);
+        assertEquals(empty.some(value => value !== 0), false, `zero-length ${lineCap} line`);
+    }
+});
+
+// Test 58D: Capped lines respect the clip region
+test('Direct line caps - clipping', () => {
+    const canvas = SWCanvas.createCanvas(60, 40);
+    const ctx = canvas.getContext('2d');
+    ctx.beginPath();
+    ctx.rect(0, 0, 30, 40);
+    ctx.clip();
+    ctx.lineWidth = 10;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = 'rgba(0, 128, 0, 0.8)';
+    ctx.strokeLine(10, 20, 50, 20);
+
+    const data = canvas._coreSurface.data;
+    assertEquals(data[(20 * 60 + 6) * 4 + 3] > 0, true, 'cap inside the clip is drawn');
+    assertEquals(data[(20 * 60 + 29) * 4 + 3] > 0, true, 'line inside the clip is drawn');
+    assertEquals(data[(20 * 60 + 32) * 4 + 3], 0, 'line outside the clip is clipped');
+    assertEquals(data[(20 * 60 + 53) * 4 + 3], 0, 'cap outside the clip is clipped');
+});
@@ -0,0 +1,174 @@
+// Test: strokePolyline direct rendering with joins and caps
+// This file will be concatenated into the main test suite
+
+// Alpha channel of a surface as a 0/1 coverage map
+function polylineCoverage(surface) {
+    const coverage = [];
+    for (let i = 3; i < surface.data.length; i += 4) {
+        coverage.push(surface.data[i] > 0 ? 1 : 0);
+    }
+    return coverage;
+}
+
+// Stroke the same points as a path, for comparison
+function strokePolylineAsPath(ctx, points, closed) {
+    ctx.beginPath();
+    ctx.moveTo(points[0], points[1]);
+    for (let i = 2; i < points.length; i += 2) {
+        ctx.lineTo(points[i], points[i + 1]);
+    }
+    if (closed) ctx.closePath();
+    ctx.stroke();
+}
+
+// Test 59A: Polylines stay on the direct path
+test('Direct polylines - stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(120, 100).getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 120, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+    const points = new Float32Array([10, 10, 60, 80, 110, 20, 70, 15]);
+
+    for (const lineJoin of ['miter', 'round', 'bevel']) {
+        for (const stroke of ['black', 'rgba(0, 0, 200, 0.5)', gradient]) {
+            for (const lineWidth of [0.5, 1, 6]) {
+                ctx.lineJoin = lineJoin;
+                ctx.strokeStyle = stroke;
+                ctx.lineWidth = lineWidth;
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                ctx.strokePolyline(points, lineWidth === 6);
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false,
+                    `${lineJoin} join (${lineWidth}px) should use direct rendering`);
+            }
+        }
+    }
+
+    // Rotation and uniform scale stay direct; skews and dashes take the path stroker
+    ctx.rotate(0.3);
+    ctx.scale(1.5, 1.5);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.strokePolyline(points);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'rotated and scaled polylines are direct');
+
+    ctx.transform(1, 0, 0.5, 1, 0, 0);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.strokePolyline(points);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'skewed polylines use the path stroker');
+
+    ctx.resetTransform();
+    ctx.setLineDash([6, 4]);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.strokePolyline(points);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'dashed polylines use the path stroker');
+});
+
+// Test 59B: Joins and caps cover what the path stroker covers
+test('Direct polylines - coverage matches the path stroker', () => {
+    const polylines = [
+        [20, 20, 80, 30, 40, 70, 100, 90, 110, 20],
+        [15, 60, 60, 15, 105, 60, 60, 105],
+        [20, 50, 100, 52, 20, 54]
+    ];
+
+    for (const lineJoin of ['miter', 'round', 'bevel']) {
+        for (const lineCap of ['butt', 'round', 'square']) {
+            for (const closed of [false, true]) {
+                let differing = 0;
+                for (const points of polylines) {
+                    const direct = SWCanvas.createCanvas(130, 120);
+                    const path = SWCanvas.createCanvas(130, 120);
+                    const directCtx = direct.getContext('2d');
+                    const pathCtx = path.getContext('2d');
+                    for (const ctx of [directCtx, pathCtx]) {
+                        ctx.lineWidth = 9;
+                        ctx.lineJoin = lineJoin;
+                        ctx.lineCap = lineCap;
+                    }
+                    directCtx.strokePolyline(points, closed);
+                    strokePolylineAsPath(pathCtx, points, closed);
+
+                    const a = polylineCoverage(direct._coreSurface);
+                    const b = polylineCoverage(path._coreSurface);
+                    for (let i = 0; i < a.length; i++) {
+                        if (a[i] !== b[i]) differing++;
+                    }
+                }
+                // Round joins and caps are exact circles; the path stroker approximates them
+                assertEquals(differing <= 40, true,
+                    `${lineJoin} join, ${lineCap} cap, ${closed ? 'closed' : 'open'}: ${differing} pixels differ`);
+            }
+        }
+    }
+});
+
+// Test 59C: Overlapping segments and joins blend once
+test('Direct polylines - single blending and miter limit', () => {
+    const draw = (lineJoin, stroke, points, miterLimit = 10) => {
+        const canvas = SWCanvas.createCanvas(120, 100);
+        const ctx = canvas.getContext('2d');
+        ctx.lineWidth = 12;
+        ctx.lineJoin = lineJoin;
+        ctx.lineCap = 'round';
+        ctx.miterLimit = miterLimit;
+        ctx.strokeStyle = stroke;
+        ctx.strokePolyline(points);
+        return canvas._coreSurface.data;
+    };
+    const alphaAt = (data, x, y) => data[(y * 120 + x) * 4 + 3];
+
+    // Sharp turns and a self-crossing trace
+    const zigzag = [10, 10, 110, 20, 15, 40, 105, 90, 60, 5, 40, 95];
+    for (const lineJoin of ['miter', 'round', 'bevel']) {
+        const data = draw(lineJoin, 'rgba(0, 0, 255, 0.5)', zigzag);
+        const levels = new Set();
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] > 0) levels.add(data[i]);
+        }
+        assertEquals(levels.size, 1, `${lineJoin}: single alpha level, got ${[...levels].join(', ')}`);
+    }
+
+    // A right angle: the miter fills the outer corner, the bevel cuts it
+    const corner = [20, 50, 60, 50, 60, 90];
+    assertEquals(alphaAt(draw('miter', 'black', corner), 65, 45), 255, 'miter corner');
+    assertEquals(alphaAt(draw('bevel', 'black', corner), 65, 45), 0, 'bevel corner');
+    assertEquals(alphaAt(draw('round', 'black', corner), 65, 45), 0, 'round corner');
+    assertEquals(alphaAt(draw('round', 'black', corner), 63, 47), 255, 'round corner edge');
+
+    // The miter of a right angle is sqrt(2) half widths long: a lower limit bevels it
+    assertEquals(alphaAt(draw('miter', 'black', corner, 1.4), 65, 45), 0, 'miter over the limit bevels');
+});
+
+// Test 59D: Closing, input handling and clipping
+test('Direct polylines - closed, input and clipping', () => {
+    const canvas = SWCanvas.createCanvas(80, 60);
+    const ctx = canvas.getContext('2d');
+    const alphaAt = (x, y) => canvas._coreSurface.data[(y * 80 + x) * 4 + 3];
+    ctx.lineWidth = 4;
+
+    // Closed polylines add the last segment and join at the start
+    ctx.strokePolyline([10, 10, 70, 10, 70, 50], true);
+    assertEquals(alphaAt(40, 30), 255, 'closing segment drawn');
+    assertEquals(alphaAt(8, 8) > 0, true, 'joined at the start');
+    ctx.clearRect(0, 0, 80, 60);
+    ctx.strokePolyline([10, 10, 70, 10, 70, 50]);
+    assertEquals(alphaAt(40, 30), 0, 'open polylines are not closed');
+
+    // Too few points draw nothing; bad input throws
+    ctx.clearRect(0, 0, 80, 60);
+    ctx.strokePolyline([10, 10]);
+    ctx.strokePolyline(new Float32Array(0));
+    assertEquals(canvas._coreSurface.data.some(value => value !== 0), false, 'fewer than two points');
+    assertThrows(() => ctx.strokePolyline([10, 10, 20]), 'even number of coordinates');
+    assertThrows(() => ctx.strokePolyline(null), 'array of x, y coordinates');
+
+    // Clipped like any other stroke
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 40, 60);
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(0, 128, 0, 0.8)';
+    ctx.strokePolyline(new Float32Array([10, 30, 70, 30]));
+    ctx.restore();
+    assertEquals(alphaAt(20, 30) > 0, true, 'inside the clip is drawn');
+    assertEquals(alphaAt(60, 30), 0, 'outside the clip is clipped');
+});
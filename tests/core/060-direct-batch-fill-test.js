@@ -0,0 +1,129 @@
+// Test: fillRects and fillCircles batch direct rendering
+// This file will be concatenated into the main test suite
+
+// Pack a color the way fillRects/fillCircles read it (Surface.packColor layout)
+function batchFillPack(r, g, b, a = 255) {
+    return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// Whether two surfaces match, allowing small channel differences from color rounding
+function batchFillMatches(a, b, tolerance) {
+    for (let i = 0; i < a.data.length; i++) {
+        if (Math.abs(a.data[i] - b.data[i]) > tolerance) return false;
+    }
+    return true;
+}
+
+// Test 60A: One batch call draws what the single-shape calls draw
+test('Direct batch fills - match fillRect and fillCircle', () => {
+    const rects = new Float32Array([5, 5, 30, 20, 20.5, 12.3, 40, 33.7, -10, 60, 50, 15, 90, 5, 12, 70]);
+    const circles = new Float32Array([20, 60, 12, 61.5, 30.5, 9.5, 95, 75, 20, 45, 10, 0]);
+    const transforms = {
+        identity: () => {},
+        scaled: ctx => { ctx.translate(3.5, 2); ctx.scale(1.25, 0.8); },
+        quarterTurn: ctx => { ctx.translate(120, 0); ctx.rotate(Math.PI / 2); },
+        rotated: ctx => { ctx.translate(20, -10); ctx.rotate(0.3); }
+    };
+
+    for (const [name, setup] of Object.entries(transforms)) {
+        for (const fillStyle of ['rgb(200, 40, 40)', 'rgba(20, 120, 200, 0.6)']) {
+            const batch = SWCanvas.createCanvas(120, 100);
+            const single = SWCanvas.createCanvas(120, 100);
+            const batchCtx = batch.getContext('2d');
+            const singleCtx = single.getContext('2d');
+            for (const ctx of [batchCtx, singleCtx]) {
+                setup(ctx);
+                ctx.fillStyle = fillStyle;
+            }
+
+            batchCtx.fillRects(rects);
+            batchCtx.fillCircles(circles);
+            for (let i = 0; i < rects.length; i += 4) {
+                singleCtx.fillRect(rects[i], rects[i + 1], rects[i + 2], rects[i + 3]);
+            }
+            for (let i = 0; i < circles.length; i += 3) {
+                singleCtx.fillCircle(circles[i], circles[i + 1], circles[i + 2]);
+            }
+
+            assertEquals(batchFillMatches(batch._coreSurface, single._coreSurface, 0), true,
+                `${name} (${fillStyle}): batch differs from single calls`);
+        }
+    }
+});
+
+// Test 60B: Per-item colors, and one eligibility check per batch
+test('Direct batch fills - per-item colors stay direct', () => {
+    const canvas = SWCanvas.createCanvas(60, 40);
+    const ctx = canvas.getContext('2d');
+    const pixel = (x, y) => Array.from(canvas._coreSurface.data.slice((y * 60 + x) * 4, (y * 60 + x) * 4 + 4)).join(',');
+    ctx.fillStyle = 'black';
+    const fillStyle = ctx._core._fillStyle;
+
+    const colors = new Uint32Array([batchFillPack(255, 0, 0), batchFillPack(0, 0, 255, 128), batchFillPack(0, 255, 0, 0)]);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillRects([0, 0, 10, 10, 20, 0, 10, 10, 40, 0, 10, 10], colors);
+    ctx.fillCircles(new Float32Array([10, 30, 5, 30, 30, 5, 50, 30, 5]), colors);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'colored batches use direct rendering');
+
+    assertEquals(pixel(5, 5), '255,0,0,255', 'opaque rectangle color');
+    assertEquals(pixel(25, 5), '0,0,255,128', 'semi-transparent rectangle color');
+    assertEquals(pixel(45, 5), '0,0,0,0', 'transparent rectangle is skipped');
+    assertEquals(pixel(10, 30), '255,0,0,255', 'opaque circle color');
+    assertEquals(pixel(30, 30), '0,0,255,128', 'semi-transparent circle color');
+    assertEquals(pixel(50, 30), '0,0,0,0', 'transparent circle is skipped');
+    assertEquals(ctx._core._fillStyle, fillStyle, 'fillStyle is left alone');
+
+    // Colors under globalAlpha blend like the same colors as fillStyle
+    const alphaCanvas = SWCanvas.createCanvas(20, 20);
+    const alphaCtx = alphaCanvas.getContext('2d');
+    alphaCtx.globalAlpha = 0.5;
+    alphaCtx.fillRects([0, 0, 20, 20], new Uint32Array([batchFillPack(255, 0, 0)]));
+    assertEquals(alphaCanvas._coreSurface.data[3], 128, 'globalAlpha applies to packed colors');
+});
+
+// Test 60C: Fallbacks keep drawing one shape at a time
+test('Direct batch fills - fallbacks, clipping and input', () => {
+    const canvas = SWCanvas.createCanvas(60, 40);
+    const ctx = canvas.getContext('2d');
+    const alphaAt = (x, y) => canvas._coreSurface.data[(y * 60 + x) * 4 + 3];
+
+    // Rotated rectangles and gradient fills go through the single-shape renderers
+    ctx.save();
+    ctx.translate(30, 20);
+    ctx.rotate(0.5);
+    ctx.fillRects([-5, -5, 10, 10], new Uint32Array([batchFillPack(0, 0, 0)]));
+    ctx.restore();
+    assertEquals(alphaAt(30, 20), 255, 'rotated rectangle drawn');
+
+    const gradient = ctx.createLinearGradient(0, 0, 60, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+    ctx.fillStyle = gradient;
+    ctx.clearRect(0, 0, 60, 40);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillCircles([15, 20, 8, 45, 20, 8]);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'gradient circles use fillCircle direct rendering');
+    assertEquals(alphaAt(15, 20), 255, 'first gradient circle');
+    assertEquals(alphaAt(45, 20), 255, 'second gradient circle');
+
+    // Clipped like the single-shape calls
+    ctx.clearRect(0, 0, 60, 40);
+    ctx.fillStyle = 'black';
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 30, 40);
+    ctx.clip();
+    ctx.fillRects([0, 0, 60, 10]);
+    ctx.fillCircles([45, 25, 8, 15, 25, 8]);
+    ctx.restore();
+    assertEquals(alphaAt(10, 5), 255, 'rectangle inside the clip');
+    assertEquals(alphaAt(40, 5), 0, 'rectangle outside the clip');
+    assertEquals(alphaAt(15, 25), 255, 'circle inside the clip');
+    assertEquals(alphaAt(45, 25), 0, 'circle outside the clip');
+
+    // Bad input throws
+    assertThrows(() => ctx.fillRects([0, 0, 10]), '4 numbers per item');
+    assertThrows(() => ctx.fillCircles([0, 0, 10, 5]), '3 numbers per item');
+    assertThrows(() => ctx.fillCircles([0, 0, 10], new Uint32Array(0)), 'a color for every item');
+    assertThrows(() => ctx.fillRects(null), 'array of coordinates');
+});
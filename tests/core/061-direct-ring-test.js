@@ -0,0 +1,207 @@
+// Test: fillRing, strokeRing, fillAnnularSector and strokeAnnularSector direct rendering
+// This file will be concatenated into the main test suite
+
+// Alpha channel of a surface as a 0/1 coverage map
+function ringCoverage(surface) {
+    const coverage = [];
+    for (let i = 3; i < surface.data.length; i += 4) {
+        coverage.push(surface.data[i] > 0 ? 1 : 0);
+    }
+    return coverage;
+}
+
+// Build the path the ring APIs draw directly
+function ringAsPath(ctx, cx, cy, innerRadius, outerRadius, sector) {
+    ctx.beginPath();
+    if (sector) {
+        const [startAngle, endAngle, anticlockwise] = sector;
+        ctx.arc(cx, cy, outerRadius, startAngle, endAngle, anticlockwise);
+        ctx.arc(cx, cy, innerRadius, endAngle, startAngle, !anticlockwise);
+        ctx.closePath();
+    } else {
+        ctx.arc(cx, cy, outerRadius, 0, Math.PI * 2);
+        ctx.moveTo(cx + innerRadius, cy);
+        ctx.arc(cx, cy, innerRadius, Math.PI * 2, 0, true);
+    }
+}
+
+// Test 61A: Rings and annular sectors stay on the direct path
+test('Direct rings - stay on the direct path', () => {
+    const ctx = SWCanvas.createCanvas(120, 100).getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 120, 0);
+    gradient.addColorStop(0, 'red');
+    gradient.addColorStop(1, 'blue');
+    const draws = {
+        fillRing: () => ctx.fillRing(60, 50, 15, 40),
+        strokeRing: () => ctx.strokeRing(60, 50, 15, 40),
+        fillAnnularSector: () => ctx.fillAnnularSector(60, 50, 15, 40, 0.5, 2.5),
+        strokeAnnularSector: () => ctx.strokeAnnularSector(60, 50, 15, 40, 2.5, 0.5, true)
+    };
+    const transforms = {
+        identity: () => ctx.resetTransform(),
+        rotatedAndScaled: () => { ctx.resetTransform(); ctx.rotate(0.4); ctx.scale(1.2, 1.2); },
+        mirrored: () => { ctx.resetTransform(); ctx.translate(120, 0); ctx.scale(-1, 1); }
+    };
+
+    for (const [name, draw] of Object.entries(draws)) {
+        for (const [transformName, setTransform] of Object.entries(transforms)) {
+            for (const style of ['black', 'rgba(0, 0, 200, 0.5)', gradient]) {
+                setTransform();
+                ctx.fillStyle = style;
+                ctx.strokeStyle = style;
+                ctx.lineWidth = 3;
+                SWCanvas.Core.Context2D.resetPathBasedFlag();
+                draw();
+                assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false,
+                    `${name} (${transformName}) should use direct rendering`);
+            }
+        }
+    }
+
+    // Skews take the path pipeline; dashes only matter to strokes
+    ctx.resetTransform();
+    ctx.fillStyle = 'black';
+    ctx.strokeStyle = 'black';
+    ctx.transform(1, 0, 0.5, 1, 0, 0);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillRing(60, 50, 15, 40);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'skewed rings use the path pipeline');
+
+    ctx.resetTransform();
+    ctx.setLineDash([6, 4]);
+    SWCanvas.Core.Context2D.resetPathBasedFlag();
+    ctx.fillAnnularSector(60, 50, 15, 40, 0, 2);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), false, 'dashes leave fills direct');
+    ctx.strokeRing(60, 50, 15, 40);
+    assertEquals(SWCanvas.Core.Context2D.wasPathBasedUsed(), true, 'dashed rings use the path stroker');
+});
+
+// Test 61B: Coverage matches the path pipeline
+test('Direct rings - coverage matches the path pipeline', () => {
+    const shapes = [
+        { inner: 20, outer: 45, sector: null },
+        { inner: 38.5, outer: 41, sector: null },
+        { inner: 20, outer: 45, sector: [0.3, 4.5, false] },
+        { inner: 12, outer: 30, sector: [1, -2, true] },
+        { inner: 25, outer: 44, sector: [5, 0.5, false] }
+    ];
+
+    for (const shape of shapes) {
+        for (const op of ['fill', 'stroke']) {
+            const direct = SWCanvas.createCanvas(130, 120);
+            const path = SWCanvas.createCanvas(130, 120);
+            const directCtx = direct.getContext('2d');
+            const pathCtx = path.getContext('2d');
+            directCtx.lineWidth = 4;
+            pathCtx.lineWidth = 4;
+
+            if (shape.sector) {
+                const [startAngle, endAngle, anticlockwise] = shape.sector;
+                const method = op === 'fill' ? 'fillAnnularSector' : 'strokeAnnularSector';
+                directCtx[method](62, 60, shape.inner, shape.outer, startAngle, endAngle, anticlockwise);
+            } else {
+                directCtx[op === 'fill' ? 'fillRing' : 'strokeRing'](62, 60, shape.inner, shape.outer);
+            }
+            ringAsPath(pathCtx, 62, 60, shape.inner, shape.outer, shape.sector);
+            pathCtx[op]();
+
+            const a = ringCoverage(direct._coreSurface);
+            const b = ringCoverage(path._coreSurface);
+            let differing = 0;
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) differing++;
+            }
+            // The direct renderers follow the exact circles; the path pipeline flattens them up to 0.25px inside
+            assertEquals(differing <= 140, true,
+                `${op} ${shape.inner}-${shape.outer}${shape.sector ? ' sector' : ''}: ${differing} pixels differ`);
+        }
+    }
+});
+
+// Test 61C: Angles, directions and single blending
+test('Direct rings - angles, directions and single blending', () => {
+    const draw = setup => {
+        const canvas = SWCanvas.createCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        setup(ctx);
+        return (x, y) => canvas._coreSurface.data[(y * 100 + x) * 4 + 3];
+    };
+
+    // A quarter from 0 to PI/2 runs clockwise on screen (y down); anticlockwise draws the rest
+    let alphaAt = draw(ctx => ctx.fillAnnularSector(50, 50, 10, 30, 0, Math.PI / 2));
+    assertEquals(alphaAt(64, 64), 255, 'inside the quarter');
+    assertEquals(alphaAt(36, 64), 0, 'outside the quarter');
+    assertEquals(alphaAt(50, 50), 0, 'hole');
+    alphaAt = draw(ctx => ctx.fillAnnularSector(50, 50, 10, 30, 0, Math.PI / 2, true));
+    assertEquals(alphaAt(64, 64), 0, 'anticlockwise skips the quarter');
+    assertEquals(alphaAt(36, 64), 255, 'anticlockwise covers the rest');
+
+    // Mirrors reverse the direction on screen, like the path
+    alphaAt = draw(ctx => { ctx.translate(100, 0); ctx.scale(-1, 1); ctx.fillAnnularSector(50, 50, 10, 30, 0, Math.PI / 2); });
+    assertEquals(alphaAt(36, 64), 255, 'mirrored quarter');
+    assertEquals(alphaAt(64, 64), 0, 'mirrored quarter leaves the original side');
+
+    // A full turn, or more, is the whole ring; an inner radius of 0 a pie slice
+    alphaAt = draw(ctx => ctx.fillAnnularSector(50, 50, 10, 30, 1, 1 + Math.PI * 3));
+    assertEquals([alphaAt(70, 50), alphaAt(30, 50), alphaAt(50, 70), alphaAt(50, 30), alphaAt(50, 50)].join(','),
+        '255,255,255,255,0', 'full turn is a ring');
+    alphaAt = draw(ctx => ctx.fillAnnularSector(50, 50, 0, 30, 0, Math.PI / 2));
+    assertEquals(alphaAt(51, 51), 255, 'pie slice reaches the center');
+
+    // Overlapping stroke bands and sector outlines blend once
+    for (const [name, setup] of [
+        ['ring', ctx => { ctx.lineWidth = 12; ctx.strokeRing(50, 50, 20, 28); }],
+        ['sector', ctx => { ctx.lineWidth = 9; ctx.lineJoin = 'round'; ctx.strokeAnnularSector(50, 50, 8, 40, 0.2, 5.5); }]
+    ]) {
+        const canvas = SWCanvas.createCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = 'rgba(0, 0, 255, 0.5)';
+        setup(ctx);
+        const levels = new Set();
+        for (let i = 3; i < canvas._coreSurface.data.length; i += 4) {
+            if (canvas._coreSurface.data[i] > 0) levels.add(canvas._coreSurface.data[i]);
+        }
+        assertEquals(levels.size, 1, `${name}: single alpha level, got ${[...levels].join(', ')}`);
+    }
+});
+
+// Test 61D: Clipping and degenerate input
+test('Direct rings - clipping and degenerate input', () => {
+    const canvas = SWCanvas.createCanvas(100, 100);
+    const ctx = canvas.getContext('2d');
+    const alphaAt = (x, y) => canvas._coreSurface.data[(y * 100 + x) * 4 + 3];
+    const isBlank = () => !canvas._coreSurface.data.some(value => value !== 0);
+
+    // Nothing is drawn unless 0 <= innerRadius < outerRadius, or for an empty sweep
+    ctx.fillRing(50, 50, 30, 30);
+    ctx.fillRing(50, 50, 30, 10);
+    ctx.fillRing(50, 50, -5, 20);
+    ctx.strokeRing(50, 50, NaN, 20);
+    ctx.fillAnnularSector(50, 50, 10, 30, 1, 1);
+    ctx.strokeAnnularSector(50, 50, 10, 30, 2, 2, true);
+    assertEquals(isBlank(), true, 'degenerate rings draw nothing');
+
+    // An inner radius of 0 fills a disk and strokes the outer circle only
+    ctx.fillRing(50, 50, 0, 20);
+    assertEquals(alphaAt(50, 50), 255, 'disk');
+    ctx.clearRect(0, 0, 100, 100);
+    ctx.strokeRing(50, 50, 0, 20);
+    assertEquals(alphaAt(50, 50), 0, 'no inner circle');
+    assertEquals(alphaAt(70, 50) > 0, true, 'outer circle');
+
+    // Clipped like any other fill and stroke
+    ctx.clearRect(0, 0, 100, 100);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, 50, 100);
+    ctx.clip();
+    ctx.fillStyle = 'rgba(0, 128, 0, 0.8)';
+    ctx.lineWidth = 4;
+    ctx.fillRing(50, 50, 10, 30);
+    ctx.strokeAnnularSector(50, 50, 35, 45, 0, Math.PI * 2);
+    ctx.restore();
+    assertEquals(alphaAt(25, 50) > 0, true, 'ring inside the clip');
+    assertEquals(alphaAt(75, 50), 0, 'ring outside the clip');
+    assertEquals(alphaAt(5, 50) > 0, true, 'outline inside the clip');
+    assertEquals(alphaAt(95, 50), 0, 'outline outside the clip');
+});
@@ -0,0 +1,90 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: A 200-point scatter plot drawn with one fillCircles() call, with a packed color per circle.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | circles        | The test draws circles using `ctx.fillCircles()`.
+ * | Count                  | multi-200      | The test draws 200 circles in a single batch for its visual regression mode.
+ * | SizeCategory           | S              | The radius is randomized in the range [1.5, 7.5).
+ * | FillStyle              | mixed          | Per-circle colors have an alpha randomized in `[150, 255]`, so both opaque and semi-transparent fills.
+ * | StrokeStyle            | none           | No stroke operations are performed.
+ * | StrokeThickness        | none           | Consistent with `StrokeStyle: none`.
+ * | Layout                 | spread         | Centers are randomized across the canvas.
+ * | CenteredAt             | random         | Center coordinates are random floating-point values.
+ * | EdgeAlignment          | not-crisp      | No logic aligns centers or radii to pixel boundaries.
+ * | Orientation            | N/A            | Not applicable to circles, which are rotationally symmetrical.
+ * | ArcAngleExtent         | N/A            | Not applicable to circles.
+ * | RoundRectRadius        | N/A            | Not applicable to circles.
+ * | ContextTranslation     | none           | The test does not use `ctx.translate()`.
+ * | ContextRotation        | none           | The test does not use `ctx.rotate()`.
+ * | ContextScaling         | none           | The test does not use `ctx.scale()`.
+ * | Clipped on shape       | none           | The test does not use clipping.
+ * | Clipped on shape count | n/a            | No clipping is used.
+ * | Clipped on shape arrangement| n/a       | No clipping is used.
+ * | Clipped on shape size  | n/a            | No clipping is used.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * - Centers and radii are passed as a Float32Array, colors as a Uint32Array packed 0xAABBGGRR.
+ * - Radii are drawn from 4 values so most circles reuse cached CircleOps extents.
+ *
+ */
+
+/**
+ * Draws a scatter plot of small circles with a single fillCircles() call.
+ */
+function drawTest(ctx, currentIterationNumber, instances = null) {
+    const initialCount = 200;
+    const isPerformanceRun = instances !== null && instances > 0;
+    const circleCount = isPerformanceRun ? instances : initialCount;
+
+    let logs = isPerformanceRun ? null : [];
+
+    const canvasWidth = ctx.canvas.width;
+    const canvasHeight = ctx.canvas.height;
+    const radii = [1.5, 3, 4.5, 7];
+
+    const circles = new Float32Array(circleCount * 3);
+    const colors = new Uint32Array(circleCount);
+    for (let i = 0; i < circleCount; i++) {
+        circles[i * 3] = SeededRandom.getRandom() * canvasWidth;
+        circles[i * 3 + 1] = SeededRandom.getRandom() * canvasHeight;
+        circles[i * 3 + 2] = radii[Math.floor(SeededRandom.getRandom() * radii.length)];
+
+        const r = Math.floor(SeededRandom.getRandom() * 256);
+        const g = Math.floor(SeededRandom.getRandom() * 256);
+        const b = Math.floor(SeededRandom.getRandom() * 256);
+        const a = 150 + Math.floor(SeededRandom.getRandom() * 106);
+        colors[i] = ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+    }
+
+    ctx.fillCircles(circles, colors);
+
+    if (!isPerformanceRun) {
+        logs.push(`─ Scatter of ${circleCount} circles, first at (${circles[0].toFixed(1)}, ${circles[1].toFixed(1)}) r=${circles[2]}`);
+    }
+
+    return logs && logs.length > 0 ? { logs } : null;
+}
+
+registerDirectRenderingTest(
+    'circle-batch-m200-szS-fMix-sNone-lytSpread-cenRand-edgeNotCrisp',
+    drawTest,
+    'circles',
+    {
+    },
+    {
+        title: 'Circles: Batch of 200 via fillCircles() with Per-Circle Colors',
+        displayName: 'Perf: Circles Batch fillCircles',
+        description: 'Performance test for a scatter plot of small circles (default 200, or N from harness) drawn with one fillCircles() call.'
+    }
+);
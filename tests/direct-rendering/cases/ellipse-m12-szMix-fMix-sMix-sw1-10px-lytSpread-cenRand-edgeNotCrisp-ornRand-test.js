@@ -0,0 +1,89 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: Tests 12 filled and stroked ellipses with random radii, rotation, colors and stroke widths.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | ellipses       | The test draws ellipses using `ctx.fillStrokeEllipse()`, `ctx.fillEllipse()` and `ctx.strokeEllipse()`.
+ * | Count                  | multiple (12)  | The test draws 12 ellipse instances using a loop.
+ * | SizeCategory           | mixed          | Radii are randomized in the range [6, 60].
+ * | FillStyle              | mixed          | `getRandomColor('mixed')` is called for the fill.
+ * | StrokeStyle            | mixed          | `getRandomColor('mixed')` is called for the stroke.
+ * | StrokeThickness        | 1px-11px       | `strokeWidth` is randomized as `SeededRandom.getRandom() * 10 + 1`.
+ * | Layout                 | spread         | Ellipses use `getRandomPoint()` across the canvas.
+ * | CenteredAt             | random         | The center coordinates are floating-point values.
+ * | EdgeAlignment          | notCrisp       | No crisp alignment is applied.
+ * | Orientation            | random         | The `rotation` argument is randomized in [0, TAU).
+ * | ArcAngleExtent         | N/A            | Not applicable to ellipses.
+ * | RoundRectRadius        | N/A            | Not applicable to ellipses.
+ * | ContextTranslation     | none           | The test does not use `ctx.translate()`.
+ * | ContextRotation        | none           | The ellipses are rotated through their own `rotation` argument.
+ * | ContextScaling         | random         | Every third ellipse is drawn under a non-uniform `ctx.scale()`.
+ * | Clipped on shape       | none           | The test does not use clipping.
+ * | Clipped on shape count | n/a            | No clipping is used.
+ * | Clipped on shape arrangement| n/a       | No clipping is used.
+ * | Clipped on shape size  | n/a            | No clipping is used.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * - Scaled ellipses are mapped to a single rotated device-space ellipse and stay on the direct path.
+ *
+ */
+
+registerDirectRenderingTest(
+    'ellipse-m12-szMix-fMix-sMix-sw1-10px-lytSpread-cenRand-edgeNotCrisp-ornRand-test',
+    function drawTest(ctx, iterationNumber, instances) {
+        const canvasWidth = ctx.canvas.width;
+        const canvasHeight = ctx.canvas.height;
+        const logs = [];
+
+        for (let i = 0; i < 12; i++) {
+            const center = getRandomPoint(1, canvasWidth, canvasHeight);
+            const radiusX = 6 + SeededRandom.getRandom() * 54;
+            const radiusY = 6 + SeededRandom.getRandom() * 54;
+            const rotation = SeededRandom.getRandom() * Math.PI * 2;
+            const strokeWidth = SeededRandom.getRandom() * 10 + 1;
+
+            ctx.fillStyle = getRandomColor('mixed');
+            ctx.strokeStyle = getRandomColor('mixed');
+            ctx.lineWidth = strokeWidth;
+
+            ctx.save();
+            if (i % 3 === 2) {
+                // Non-uniform scale about the center
+                ctx.translate(center.x, center.y);
+                ctx.scale(1.4, 0.7);
+                ctx.translate(-center.x, -center.y);
+            }
+            if (i % 4 === 0) {
+                ctx.fillEllipse(center.x, center.y, radiusX, radiusY, rotation);
+            } else if (i % 4 === 1) {
+                ctx.strokeEllipse(center.x, center.y, radiusX, radiusY, rotation);
+            } else {
+                ctx.fillStrokeEllipse(center.x, center.y, radiusX, radiusY, rotation);
+            }
+            ctx.restore();
+
+            logs.push(`Ellipse ${i + 1}: center=(${center.x.toFixed(1)},${center.y.toFixed(1)}), ` +
+                `radii=(${radiusX.toFixed(1)},${radiusY.toFixed(1)}), rot=${rotation.toFixed(2)}, sw=${strokeWidth.toFixed(1)}`);
+        }
+
+        return { logs };
+    },
+    'ellipses',
+    {
+        // Visual comparison only - all ellipses use direct rendering
+    },
+    {
+        title: 'Ellipse: 12 fully random',
+        description: 'Performance of 12 random filled and stroked ellipses, some under a non-uniform scale.'
+    }
+);
@@ -0,0 +1,69 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: Tests a single 1px opaque stroked ellipse with random radii and rotation near the canvas center.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | ellipses       | The test draws an ellipse using `ctx.strokeEllipse()`.
+ * | Count                  | single         | The test draws a single ellipse.
+ * | SizeCategory           | mixed          | Radii are randomized in the ranges [10, 130] and [5, 70].
+ * | FillStyle              | none           | No fill is drawn.
+ * | StrokeStyle            | opaque         | The stroke is opaque red.
+ * | StrokeThickness        | 1px            | `ctx.lineWidth = 1`.
+ * | Layout                 | centered       | The ellipse is placed near the canvas center.
+ * | CenteredAt             | random         | The center is offset by a random sub-pixel amount.
+ * | EdgeAlignment          | notCrisp       | Ellipse edges cannot be pixel-aligned.
+ * | Orientation            | random         | The `rotation` argument is randomized in [0, PI).
+ * | ArcAngleExtent         | N/A            | Not applicable to ellipses.
+ * | RoundRectRadius        | N/A            | Not applicable to ellipses.
+ * | ContextTranslation     | none           | The test does not use `ctx.translate()`.
+ * | ContextRotation        | none           | The ellipse is rotated through its own `rotation` argument.
+ * | ContextScaling         | none           | The test does not use `ctx.scale()`.
+ * | Clipped on shape       | none           | The test does not use clipping.
+ * | Clipped on shape count | n/a            | No clipping is used.
+ * | Clipped on shape arrangement| n/a       | No clipping is used.
+ * | Clipped on shape size  | n/a            | No clipping is used.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * - The traced 1px outline must stay 8-connected with no doubled corner pixels.
+ *
+ */
+
+registerDirectRenderingTest(
+    'ellipse-sgl-szMix-fNone-sOpaq-sw1px-lytCenter-cenRand-edgeNotCrisp-ornRand-test',
+    function drawTest(ctx, iterationNumber, instances) {
+        const centerX = ctx.canvas.width / 2 + SeededRandom.getRandom();
+        const centerY = ctx.canvas.height / 2 + SeededRandom.getRandom();
+        const radiusX = 10 + SeededRandom.getRandom() * 120;
+        const radiusY = 5 + SeededRandom.getRandom() * 65;
+        const rotation = SeededRandom.getRandom() * Math.PI;
+
+        ctx.strokeStyle = 'rgb(255, 0, 0)';
+        ctx.lineWidth = 1;
+        ctx.strokeEllipse(centerX, centerY, radiusX, radiusY, rotation);
+
+        return {
+            logs: [`Stroked ellipse: center=(${centerX.toFixed(2)},${centerY.toFixed(2)}), ` +
+                `radii=(${radiusX.toFixed(1)},${radiusY.toFixed(1)}), rotation=${rotation.toFixed(2)}`]
+        };
+    },
+    'ellipses',
+    {
+        totalUniqueColors: 2,
+        stroke8Connectivity: { color: [255, 0, 0] }
+    },
+    {
+        title: 'Single 1px Stroked Ellipse (Random Radii and Rotation)',
+        description: 'Tests that a traced 1px ellipse outline is continuous and not anti-aliased.',
+        displayName: 'Perf: Ellipse 1px Rotated'
+    }
+);
@@ -0,0 +1,64 @@
+/**
+ * Test: Mixed Shapes Scene with Dashed Strokes (Direct Rendering)
+ *
+ * Dashed gridlines and selection outlines: strokeLine, strokeRect,
+ * strokeRoundRect, strokeCircle and outerStrokeArc with setLineDash() and
+ * lineDashOffset stay on the direct rendering path (butt caps, solid colors).
+ */
+
+registerDirectRenderingTest(
+    'mixed-shapes-dashed',
+    function drawTest(ctx, iterationNumber, instances) {
+        const offset = Math.floor(SeededRandom.getRandom() * 10);
+
+        // Gridlines
+        ctx.strokeStyle = 'rgb(180, 190, 210)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.lineDashOffset = offset;
+        for (let x = 40; x <= 360; x += 40) {
+            ctx.strokeLine(x + 0.5, 20, x + 0.5, 280);
+        }
+        for (let y = 40; y <= 260; y += 40) {
+            ctx.strokeLine(20, y + 0.5, 380, y + 0.5);
+        }
+
+        // Selection outlines
+        ctx.strokeStyle = getRandomOpaqueColor();
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 5]);
+        ctx.strokeRect(30, 30, 150, 100);
+
+        ctx.strokeStyle = 'rgba(30, 120, 220, 0.7)';
+        ctx.lineWidth = 4;
+        ctx.setLineDash([16, 6, 4, 6]);
+        ctx.strokeRoundRect(210, 30, 160, 100, [20, 0, 12]);
+
+        // Curves
+        ctx.strokeStyle = getRandomOpaqueColor();
+        ctx.lineWidth = 3;
+        ctx.setLineDash([12, 6]);
+        ctx.strokeCircle(100, 200, 60);
+        ctx.outerStrokeArc(290, 200, 60, 0.3, 4.5);
+
+        // Diagonal leader line
+        ctx.strokeStyle = 'rgb(40, 40, 40)';
+        ctx.lineWidth = 5;
+        ctx.setLineDash([14, 7]);
+        ctx.strokeLine(170, 270, 380, 150);
+
+        return {
+            logs: [`Drew dashed gridlines, outlines, circle, arc and line (offset=${offset})`],
+            checkData: { topY: 20, bottomY: 280, leftX: 20, rightX: 380 }
+        };
+    },
+    'scene',
+    {
+        extremes: { tolerance: 0.05 }
+        // Dashed strokes use the dash-aware direct renderers
+    },
+    {
+        title: 'Mixed Shapes Scene - Dashed Strokes (Direct Rendering)',
+        description: 'Tests dashed direct strokes with lineDashOffset stay on the direct path'
+    }
+);
@@ -0,0 +1,70 @@
+/**
+ * Test: Mixed Shapes Scene with Gradient and Pattern Paint (Direct Rendering)
+ *
+ * Tests that fillRect, fillRoundRect, fillCircle, fillArc and strokeLine stay
+ * on the direct rendering path with linear, radial and conic gradients and
+ * with patterns (span-based paint evaluation in SpanOps.fill_Paint).
+ */
+
+registerDirectRenderingTest(
+    'mixed-shapes-gradient-pattern',
+    function drawTest(ctx, iterationNumber, instances) {
+        // Pattern tile from a canvas of the same kind as the target
+        const tile = typeof HTMLCanvasElement !== 'undefined' && ctx.canvas instanceof HTMLCanvasElement
+            ? Object.assign(document.createElement('canvas'), { width: 8, height: 8 })
+            : SWCanvas.createCanvas(8, 8);
+        const tileCtx = tile.getContext('2d');
+        tileCtx.fillStyle = 'rgb(40, 120, 200)';
+        tileCtx.fillRect(0, 0, 8, 8);
+        tileCtx.fillStyle = 'rgb(250, 200, 40)';
+        tileCtx.fillRect(0, 0, 4, 4);
+        tileCtx.fillRect(4, 4, 4, 4);
+
+        const linear = ctx.createLinearGradient(20, 20, 180, 120);
+        linear.addColorStop(0, 'rgb(220, 30, 60)');
+        linear.addColorStop(1, 'rgba(30, 60, 220, 0.6)');
+
+        const radial = ctx.createRadialGradient(290, 80, 5, 300, 80, 60);
+        radial.addColorStop(0, 'white');
+        radial.addColorStop(1, 'rgb(20, 140, 60)');
+
+        const conic = ctx.createConicGradient(0, 100, 210);
+        conic.addColorStop(0, 'red');
+        conic.addColorStop(0.5, 'blue');
+        conic.addColorStop(1, 'red');
+
+        const pattern = ctx.createPattern(tile, 'repeat');
+
+        ctx.fillStyle = linear;
+        ctx.fillRect(20, 20, 160, 100);
+
+        ctx.fillStyle = radial;
+        ctx.fillCircle(300, 80, 60);
+
+        ctx.fillStyle = conic;
+        ctx.fillArc(100, 210, 60, 0.3, 5.5);
+
+        ctx.fillStyle = pattern;
+        ctx.globalAlpha = 0.8;
+        ctx.fillRoundRect(220, 160, 150, 110, 20);
+        ctx.globalAlpha = 1.0;
+
+        ctx.strokeStyle = linear;
+        ctx.lineWidth = 6;
+        ctx.strokeLine(20, 285, 380, 285);
+
+        return {
+            logs: ['Drew rect, circle, arc, rounded rect and line with gradient/pattern paint'],
+            checkData: { topY: 20, bottomY: 288, leftX: 20, rightX: 380 }
+        };
+    },
+    'scene',
+    {
+        extremes: { tolerance: 0.02 }
+        // Gradients and patterns use span-based direct rendering
+    },
+    {
+        title: 'Mixed Shapes Scene - Gradient and Pattern Paint (Direct Rendering)',
+        description: 'Tests direct shape APIs with gradients and patterns stay on the direct path'
+    }
+);
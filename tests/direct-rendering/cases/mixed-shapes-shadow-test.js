@@ -0,0 +1,50 @@
+/**
+ * Test: Mixed Shapes Scene with Shadows (Direct Rendering)
+ *
+ * Dashboard-style cards with a blurred drop shadow. Rounded rects, circles,
+ * arcs and lines stay on the direct rendering path; their shadows go through
+ * the rasterizer's shadow pipeline (Rasterizer.drawShadow).
+ */
+
+registerDirectRenderingTest(
+    'mixed-shapes-shadow',
+    function drawTest(ctx, iterationNumber, instances) {
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+        ctx.shadowBlur = 6;
+        ctx.shadowOffsetX = 3;
+        ctx.shadowOffsetY = 4;
+
+        // Cards
+        ctx.fillStyle = 'rgb(240, 244, 250)';
+        ctx.fillRoundRect(20, 20, 170, 120, 12);
+        ctx.fillRoundRect(210, 20, 170, 120, 12);
+
+        // Card content
+        ctx.fillStyle = getRandomOpaqueColor();
+        ctx.fillCircle(70, 80, 35);
+        ctx.fillStyle = getRandomOpaqueColor();
+        ctx.fillArc(295, 80, 40, 0.4, 5.2);
+
+        ctx.strokeStyle = 'rgb(60, 90, 160)';
+        ctx.lineWidth = 4;
+        ctx.strokeLine(120, 110, 175, 50);
+        ctx.strokeCircle(140, 200, 40);
+
+        ctx.fillStyle = 'rgba(200, 60, 40, 0.8)';
+        ctx.fillRect(230, 170, 130, 80);
+
+        return {
+            logs: ['Drew cards, circles, arc, line and rect with a blurred shadow'],
+            checkData: { topY: 20, bottomY: 250, leftX: 20, rightX: 380 }
+        };
+    },
+    'scene',
+    {
+        extremes: { tolerance: 0.05 }
+        // Shadowed shapes use direct rendering with the shared shadow pipeline
+    },
+    {
+        title: 'Mixed Shapes Scene - Shadows (Direct Rendering)',
+        description: 'Tests direct shape APIs stay on the direct path while a shadow is active'
+    }
+);
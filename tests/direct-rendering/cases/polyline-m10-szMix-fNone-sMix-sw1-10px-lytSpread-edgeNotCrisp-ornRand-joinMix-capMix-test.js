@@ -0,0 +1,107 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: 10 polylines of 3-8 points, no fill, random stroke, random positions, random orientations, mixed joins and caps.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | lines          | The test draws polylines using `ctx.strokePolyline()`.
+ * | Count                  | multi-10       | The test is configured to draw 10 polylines in a loop for its visual regression mode.
+ * | SizeCategory           | mixed          | Polyline points are random within canvas bounds, so segment lengths vary greatly, spanning all size categories (XS-XL).
+ * | FillStyle              | none           | The test only calls `ctx.strokePolyline()` and does not use any fill operations.
+ * | StrokeStyle            | mixed          | The stroke alpha is randomized in `[150, 255]`, resulting in both opaque (alpha=255) and semi-transparent strokes.
+ * | StrokeThickness        | 1px-10px       | `ctx.lineWidth` is set to `Math.floor(SeededRandom.getRandom() * 10) + 1`, yielding an integer in the range [1, 10].
+ * | Layout                 | spread         | Each point is randomized independently, distributing the polylines across the canvas.
+ * | CenteredAt             | N/A            | This facet is not applicable to line primitives.
+ * | EdgeAlignment          | not-crisp      | Point coordinates are fully random floating-point values with no logic to align them to pixel boundaries.
+ * | Orientation            | random         | With every point chosen randomly, segment orientations are also random.
+ * | LineCap                | mixed          | `ctx.lineCap` cycles through 'butt', 'round' and 'square' from polyline to polyline.
+ * | LineJoin               | mixed          | `ctx.lineJoin` cycles through 'miter', 'round' and 'bevel' from polyline to polyline.
+ * | ArcAngleExtent         | N/A            | This facet is only applicable to arc shapes.
+ * | RoundRectRadius        | N/A            | This facet is only applicable to rounded rectangle shapes.
+ * | ContextTranslation     | none           | The test code does not contain any calls to `ctx.translate()`.
+ * | ContextRotation        | none           | The test code does not contain any calls to `ctx.rotate()`.
+ * | ContextScaling         | none           | The test code does not contain any calls to `ctx.scale()`.
+ * | Clipped on shape       | none           | The test code does not contain any calls to `ctx.clip()`.
+ * | Clipped on shape count | n/a            | Clipping is not used in this test.
+ * | Clipped on shape arrangement | n/a      | Clipping is not used in this test.
+ * | Clipped on shape size  | n/a            | Clipping is not used in this test.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * Stroke color has randomized RGB values and an alpha randomized in the range [150, 255]. strokeWidth: floor(SR.get()*10)+1 => 1-10px.
+ * Points are passed as a Float32Array; every fourth polyline is closed. Joins and caps cycle independently
+ * (3 joins x 3 caps), and all of them stay on the direct rendering path.
+ *
+ */
+
+/**
+ * Draws multiple polylines with random points, thickness, color, joins and caps.
+ */
+function drawTest(ctx, currentIterationNumber, instances = null) {
+    const initialCount = 10;
+    const isPerformanceRun = instances !== null && instances > 0;
+    const polylineCount = isPerformanceRun ? instances : initialCount;
+
+    let logs = isPerformanceRun ? null : [];
+
+    const canvasWidth = ctx.canvas.width;
+    const canvasHeight = ctx.canvas.height;
+    const joins = ['miter', 'round', 'bevel'];
+    const caps = ['butt', 'round', 'square'];
+
+    for (let i = 0; i < polylineCount; i++) {
+        const pointCount = 3 + Math.floor(SeededRandom.getRandom() * 6);
+        const points = new Float32Array(pointCount * 2);
+        for (let p = 0; p < pointCount; p++) {
+            const point = getRandomPoint(null, canvasWidth, canvasHeight, 0);
+            points[p * 2] = point.x;
+            points[p * 2 + 1] = point.y;
+        }
+        const thickness = Math.floor(SeededRandom.getRandom() * 10) + 1;
+        const colorStr = getRandomColor('mixed');
+
+        const lineJoin = joins[i % 3];
+        const lineCap = caps[Math.floor(i / 3) % 3];
+        const closed = i % 4 === 3;
+
+        ctx.lineWidth = thickness;
+        ctx.strokeStyle = colorStr;
+        ctx.lineJoin = lineJoin;
+        ctx.lineCap = lineCap;
+
+        ctx.strokePolyline(points, closed);
+
+        if (!isPerformanceRun) {
+            logs.push(`─ Random Polyline of ${pointCount} points from (${points[0].toFixed(1)}, ${points[1].toFixed(1)}) thickness: ${thickness}, join: ${lineJoin}, cap: ${lineCap}, closed: ${closed}, color: ${colorStr}`);
+        }
+    }
+
+    if (!isPerformanceRun && logs.length === 0 && polylineCount > 0) {
+        logs.push('Attempted to draw random polylines, but none were generated in the loop.');
+    } else if (!isPerformanceRun && polylineCount === 0) {
+        logs.push('No random polylines drawn (polylineCount was 0).');
+    }
+
+    return logs && logs.length > 0 ? { logs } : null;
+}
+
+registerDirectRenderingTest(
+    'polyline-m10-szMix-fNone-sMix-sw1-10px-lytSpread-edgeNotCrisp-ornRand-joinMix-capMix',
+    drawTest,
+    'lines',
+    {
+    },
+    {
+        title: 'Polylines: Multi-10 No-Fill Random-Stroke Random-Pos Random-Orient Mixed-Joins Mixed-Caps',
+        displayName: 'Perf: Polylines Multi Random Props Joins Caps',
+        description: 'Performance test for rendering multiple (default 10, or N from harness) polylines with random points, joins and caps.'
+    }
+);
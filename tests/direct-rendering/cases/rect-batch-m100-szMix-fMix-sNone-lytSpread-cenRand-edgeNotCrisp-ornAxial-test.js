@@ -0,0 +1,92 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: A 100-bar chart drawn with one fillRects() call, with a packed color per bar.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | rectangles     | The test draws rectangles using `ctx.fillRects()`.
+ * | Count                  | multi-100      | The test draws 100 rectangles in a single batch for its visual regression mode.
+ * | SizeCategory           | mixed          | Bar heights are randomized across most of the canvas height; bar widths are fixed by the count.
+ * | FillStyle              | mixed          | Per-bar colors have an alpha randomized in `[150, 255]`, so both opaque and semi-transparent fills.
+ * | StrokeStyle            | none           | No stroke operations are performed.
+ * | StrokeThickness        | none           | Consistent with `StrokeStyle: none`.
+ * | Layout                 | spread         | Bars are laid out side by side across the canvas width.
+ * | CenteredAt             | random         | Bar tops are random floating-point values.
+ * | EdgeAlignment          | not-crisp      | Bar edges fall on fractional coordinates.
+ * | Orientation            | axial          | Rectangles are axis-aligned (no transform).
+ * | ArcAngleExtent         | N/A            | Not applicable to rectangles.
+ * | RoundRectRadius        | N/A            | Not applicable to rectangles.
+ * | ContextTranslation     | none           | The test does not use `ctx.translate()`.
+ * | ContextRotation        | none           | The test does not use `ctx.rotate()`.
+ * | ContextScaling         | none           | The test does not use `ctx.scale()`.
+ * | Clipped on shape       | none           | The test does not use clipping.
+ * | Clipped on shape count | n/a            | No clipping is used.
+ * | Clipped on shape arrangement| n/a       | No clipping is used.
+ * | Clipped on shape size  | n/a            | No clipping is used.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * - Rectangles are passed as a Float32Array of x, y, width, height, colors as a Uint32Array packed 0xAABBGGRR.
+ * - Bars overlap their neighbours by a fraction of a pixel, so semi-transparent bars blend over each other.
+ *
+ */
+
+/**
+ * Draws a bar chart with a single fillRects() call.
+ */
+function drawTest(ctx, currentIterationNumber, instances = null) {
+    const initialCount = 100;
+    const isPerformanceRun = instances !== null && instances > 0;
+    const barCount = isPerformanceRun ? instances : initialCount;
+
+    let logs = isPerformanceRun ? null : [];
+
+    const canvasWidth = ctx.canvas.width;
+    const canvasHeight = ctx.canvas.height;
+    const barWidth = canvasWidth / barCount;
+
+    const rects = new Float32Array(barCount * 4);
+    const colors = new Uint32Array(barCount);
+    for (let i = 0; i < barCount; i++) {
+        const barHeight = SeededRandom.getRandom() * canvasHeight * 0.9;
+        rects[i * 4] = i * barWidth;
+        rects[i * 4 + 1] = canvasHeight - barHeight;
+        rects[i * 4 + 2] = barWidth * 1.3;
+        rects[i * 4 + 3] = barHeight;
+
+        const r = Math.floor(SeededRandom.getRandom() * 256);
+        const g = Math.floor(SeededRandom.getRandom() * 256);
+        const b = Math.floor(SeededRandom.getRandom() * 256);
+        const a = 150 + Math.floor(SeededRandom.getRandom() * 106);
+        colors[i] = ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+    }
+
+    ctx.fillRects(rects, colors);
+
+    if (!isPerformanceRun) {
+        logs.push(`─ Bar chart of ${barCount} bars, ${barWidth.toFixed(2)}px apart`);
+    }
+
+    return logs && logs.length > 0 ? { logs } : null;
+}
+
+registerDirectRenderingTest(
+    'rect-batch-m100-szMix-fMix-sNone-lytSpread-cenRand-edgeNotCrisp-ornAxial',
+    drawTest,
+    'rects',
+    {
+    },
+    {
+        title: 'Rectangles: Batch of 100 Bars via fillRects() with Per-Bar Colors',
+        displayName: 'Perf: Rectangles Batch fillRects',
+        description: 'Performance test for a bar chart (default 100 bars, or N from harness) drawn with one fillRects() call.'
+    }
+);
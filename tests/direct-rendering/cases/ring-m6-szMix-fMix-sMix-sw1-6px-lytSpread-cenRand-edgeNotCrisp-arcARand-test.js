@@ -0,0 +1,103 @@
+/**
+ * TEST SUMMARY:
+ * =================
+ *
+ * Description: Six donut charts: rings and annular sectors filled and stroked with the ring direct APIs.
+ *
+ *
+ * ---
+ *
+ * | Facet                  | Value          | Reason
+ * |------------------------|----------------|-----------------------------------------------------------------------------------------------------
+ * | Shape category         | arcs           | The test draws rings and annular sectors using `ctx.fillRing()`, `ctx.strokeRing()`, `ctx.fillAnnularSector()` and `ctx.strokeAnnularSector()`.
+ * | Count                  | multi-6        | The test draws 6 donut charts for its visual regression mode.
+ * | SizeCategory           | mixed          | The outer radius is randomized in `[20, 70)`, the inner radius is 0-80% of it.
+ * | FillStyle              | mixed          | Each slice gets `getRandomColor('mixed')`, so both opaque and semi-transparent fills.
+ * | StrokeStyle            | mixed          | Each donut is outlined with `getRandomColor('mixed')`.
+ * | StrokeThickness        | 1px-6px        | `lineWidth` is randomized in the range `[1, 6)`.
+ * | Layout                 | spread         | Donuts are positioned randomly across the canvas using `getRandomPoint()`.
+ * | CenteredAt             | random         | Centers are random floating-point coordinates.
+ * | EdgeAlignment          | not-crisp      | No logic aligns centers, radii or widths to pixel boundaries.
+ * | Orientation            | random         | The first slice starts at a random angle.
+ * | ArcAngleExtent         | randomized     | Every donut is split into 2-5 slices of random extent covering the full turn.
+ * | RoundRectRadius        | N/A            | Not applicable to rings.
+ * | ContextTranslation     | none           | The test does not use `ctx.translate()`.
+ * | ContextRotation        | none           | The test does not use `ctx.rotate()`.
+ * | ContextScaling         | none           | The test does not use `ctx.scale()`.
+ * | Clipped on shape       | none           | The test does not use clipping.
+ * | Clipped on shape count | n/a            | No clipping is used.
+ * | Clipped on shape arrangement| n/a       | No clipping is used.
+ * | Clipped on shape size  | n/a            | No clipping is used.
+ * | Clipped on shape edge alignment | n/a   | Not applicable as there is no clipping.
+ *
+ * ---
+ *
+ * UNCAPTURED ASPECTS IN FILENAME / FACETS ABOVE:
+ * ----------------------------------------------
+ * - Even donuts are drawn as slices (fillAnnularSector + strokeAnnularSector, alternating direction),
+ *   odd donuts as a whole ring (fillRing + strokeRing).
+ * - An inner radius of 0 makes the slices pie slices and the ring a disk.
+ *
+ */
+
+/**
+ * Draws donut charts from rings and annular sectors.
+ */
+function drawTest(ctx, currentIterationNumber, instances = null) {
+    const initialCount = 6;
+    const isPerformanceRun = instances !== null && instances > 0;
+    const donutCount = isPerformanceRun ? instances : initialCount;
+
+    let logs = isPerformanceRun ? null : [];
+
+    const canvasWidth = ctx.canvas.width;
+    const canvasHeight = ctx.canvas.height;
+
+    for (let i = 0; i < donutCount; i++) {
+        const center = getRandomPoint(1, canvasWidth, canvasHeight);
+        const outerRadius = 20 + SeededRandom.getRandom() * 50;
+        const innerRadius = SeededRandom.getRandom() < 0.2 ? 0 : outerRadius * SeededRandom.getRandom() * 0.8;
+        ctx.lineWidth = 1 + SeededRandom.getRandom() * 5;
+        ctx.strokeStyle = getRandomColor('mixed');
+
+        if (i % 2 === 0) {
+            const sliceCount = 2 + Math.floor(SeededRandom.getRandom() * 4);
+            const anticlockwise = i % 4 === 2;
+            const direction = anticlockwise ? -1 : 1;
+            const firstAngle = SeededRandom.getRandom() * Math.PI * 2;
+            let angle = firstAngle;
+            for (let s = 0; s < sliceCount; s++) {
+                // The last slice closes the donut
+                const end = s === sliceCount - 1 ? firstAngle + direction * Math.PI * 2 :
+                    angle + direction * (0.3 + SeededRandom.getRandom() * 1.2);
+                ctx.fillStyle = getRandomColor('mixed');
+                ctx.fillAnnularSector(center.x, center.y, innerRadius, outerRadius, angle, end, anticlockwise);
+                ctx.strokeAnnularSector(center.x, center.y, innerRadius, outerRadius, angle, end, anticlockwise);
+                angle = end;
+            }
+        } else {
+            ctx.fillStyle = getRandomColor('mixed');
+            ctx.fillRing(center.x, center.y, innerRadius, outerRadius);
+            ctx.strokeRing(center.x, center.y, innerRadius, outerRadius);
+        }
+
+        if (!isPerformanceRun) {
+            logs.push(`─ Donut ${i + 1}: center=(${center.x.toFixed(1)},${center.y.toFixed(1)}), r=${innerRadius.toFixed(1)}-${outerRadius.toFixed(1)}, sw=${ctx.lineWidth.toFixed(1)}`);
+        }
+    }
+
+    return logs && logs.length > 0 ? { logs } : null;
+}
+
+registerDirectRenderingTest(
+    'ring-m6-szMix-fMix-sMix-sw1-6px-lytSpread-cenRand-edgeNotCrisp-arcARand',
+    drawTest,
+    'arcs',
+    {
+    },
+    {
+        title: 'Rings: 6 Donut Charts via fillRing() and fillAnnularSector()',
+        displayName: 'Perf: Rings Donut Charts',
+        description: 'Performance test for donut charts (default 6, or N from harness) drawn with the ring and annular sector direct APIs.'
+    }
+);
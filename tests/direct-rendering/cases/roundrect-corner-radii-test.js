@@ -0,0 +1,77 @@
+/**
+ * Test: Rounded Rectangles with Per-Corner and Elliptical Radii (Direct Rendering)
+ *
+ * Tests the roundRect() radii list (1-4 radii, numbers or {x, y} points) on the
+ * direct renderers: axis-aligned fill, 1px and thick strokes and fill+stroke,
+ * a quarter-turn rotation (corners move with the transform) and a free rotation
+ * (RoundedRectOpsRot fill; the stroke of mixed corners takes the path stroker).
+ * Native HTML5 Canvas draws the same shapes with roundRect().
+ */
+
+registerDirectRenderingTest(
+    'roundrect-corner-radii',
+    function drawTest(ctx, iterationNumber, instances) {
+        const hasDirectRoundRect = typeof ctx.fillStrokeRoundRect === 'function';
+
+        const draw = (op, x, y, w, h, radii) => {
+            if (hasDirectRoundRect) {
+                if (op === 'fill') ctx.fillRoundRect(x, y, w, h, radii);
+                else if (op === 'stroke') ctx.strokeRoundRect(x, y, w, h, radii);
+                else ctx.fillStrokeRoundRect(x, y, w, h, radii);
+                return;
+            }
+            ctx.beginPath();
+            ctx.roundRect(x, y, w, h, radii);
+            if (op !== 'stroke') ctx.fill();
+            if (op !== 'fill') ctx.stroke();
+        };
+
+        const tall = 30 + Math.floor(SeededRandom.getRandom() * 20);
+        const wide = 20 + Math.floor(SeededRandom.getRandom() * 30);
+
+        // Axis-aligned: four radii, elliptical corners, overflowing radii (scaled down)
+        ctx.fillStyle = getRandomOpaqueColor();
+        draw('fill', 20, 20, 110, 80, [{ x: wide, y: 15 }, 6, { x: 10, y: tall }, 0]);
+
+        ctx.strokeStyle = 'rgb(30, 30, 30)';
+        ctx.lineWidth = 1;
+        draw('stroke', 150.5, 20.5, 100, 80, [24, 4]);
+
+        ctx.fillStyle = 'rgba(60, 160, 220, 0.7)';
+        ctx.strokeStyle = 'rgb(20, 60, 140)';
+        ctx.lineWidth = 6;
+        draw('fillStroke', 280, 20, 100, 80, [{ x: 70, y: 50 }, 40]);
+
+        // Quarter turn: the radii list rotates with the rectangle
+        ctx.save();
+        ctx.translate(130, 130);
+        ctx.rotate(Math.PI / 2);
+        ctx.fillStyle = getRandomOpaqueColor();
+        draw('fill', 0, 0, 140, 100, [30, 0, { x: 20, y: 40 }]);
+        ctx.restore();
+
+        // Free rotation
+        ctx.save();
+        ctx.translate(280, 210);
+        ctx.rotate(0.35);
+        ctx.fillStyle = 'rgb(250, 200, 60)';
+        ctx.strokeStyle = 'rgba(120, 40, 20, 0.8)';
+        ctx.lineWidth = 4;
+        draw('fillStroke', -70, -45, 140, 90, [{ x: wide, y: 20 }, 8, { x: 12, y: tall }, 0]);
+        ctx.restore();
+
+        return {
+            logs: [`Drew rounded rects with per-corner radii (wide=${wide}, tall=${tall})`],
+            checkData: { topY: 20, bottomY: 283, leftX: 20, rightX: 383 }
+        };
+    },
+    'rounded-rects',
+    {
+        extremes: { tolerance: 0.03 },
+        allowPathBasedRendering: true  // Rotated mixed-corner strokes use path-based rendering
+    },
+    {
+        title: 'Rounded Rects - Per-Corner and Elliptical Radii (Direct Rendering)',
+        description: 'Tests roundRect() radii lists on the axis-aligned and rotated direct renderers'
+    }
+);
@@ -0,0 +1,53 @@
+// Test: Anti-aliased path rendering
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('antialias-path', {
+    name: 'Anti-aliasing - aliased (top) vs antialias = true (bottom) path rendering',
+    width: 300, height: 200,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        // Clear background
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, 300, 200);
+
+        function drawRow(offsetY) {
+            // Rotated star with evenodd rule
+            ctx.fillStyle = 'navy';
+            ctx.beginPath();
+            for (let i = 0; i < 5; i++) {
+                const angle = -Math.PI / 2 + i * (4 * Math.PI / 5);
+                const x = 50 + 40 * Math.cos(angle);
+                const y = offsetY + 50 + 40 * Math.sin(angle);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.closePath();
+            ctx.fill('evenodd');
+
+            // Gradient-filled circle
+            const grad = ctx.createLinearGradient(110, 0, 190, 0);
+            grad.addColorStop(0, 'orange');
+            grad.addColorStop(1, 'purple');
+            ctx.fillStyle = grad;
+            ctx.beginPath();
+            ctx.arc(150, offsetY + 50, 38, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Thin and thick diagonal strokes
+            ctx.strokeStyle = 'darkgreen';
+            for (let i = 0; i < 4; i++) {
+                ctx.lineWidth = 0.5 + i * 1.5;
+                ctx.beginPath();
+                ctx.moveTo(210 + i * 20, offsetY + 15);
+                ctx.lineTo(225 + i * 20, offsetY + 85);
+                ctx.stroke();
+            }
+        }
+
+        drawRow(0);
+
+        ctx.antialias = true;
+        drawRow(100);
+    }
+});
@@ -0,0 +1,56 @@
+// Test: Anti-aliased clipping
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('antialias-clip', {
+    name: 'Anti-aliasing - hard (left) vs soft (right) circular clip regions',
+    width: 300, height: 150,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        // Clear background
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, 300, 150);
+
+        function drawClippedScene(centerX, antialias) {
+            ctx.save();
+            ctx.antialias = antialias;
+
+            // Circle intersected with a rotated square
+            ctx.beginPath();
+            ctx.arc(centerX, 75, 55, 0, Math.PI * 2);
+            ctx.clip();
+
+            ctx.beginPath();
+            for (let i = 0; i < 4; i++) {
+                const angle = Math.PI / 8 + i * Math.PI / 2;
+                const x = centerX + 64 * Math.cos(angle);
+                const y = 75 + 64 * Math.sin(angle);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.closePath();
+            ctx.clip();
+
+            // Direct-rendered content (rectangles and lines)
+            ctx.fillStyle = 'steelblue';
+            ctx.fillRect(centerX - 70, 0, 140, 150);
+            ctx.fillStyle = 'gold';
+            for (let i = 0; i < 5; i++) {
+                ctx.fillRect(centerX - 70, 10 + i * 28, 140, 12);
+            }
+
+            // Path-rendered content
+            ctx.strokeStyle = 'crimson';
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.moveTo(centerX - 70, 150);
+            ctx.lineTo(centerX + 70, 0);
+            ctx.stroke();
+
+            ctx.restore();
+        }
+
+        drawClippedScene(75, false);
+        drawClippedScene(225, true);
+    }
+});
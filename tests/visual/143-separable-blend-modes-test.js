@@ -0,0 +1,39 @@
+// Test: Separable blend modes
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('separable-blend-modes', {
+    name: 'Blend modes - multiply, screen, overlay, ... exclusion over a gradient backdrop',
+    width: 360, height: 180,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        const modes = [
+            'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+            'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion'
+        ];
+
+        modes.forEach((mode, i) => {
+            const x = (i % 6) * 60;
+            const y = Math.floor(i / 6) * 90;
+
+            // Backdrop: horizontal gradient plus a translucent bar
+            ctx.globalCompositeOperation = 'source-over';
+            const backdrop = ctx.createLinearGradient(x, 0, x + 60, 0);
+            backdrop.addColorStop(0, 'rgb(30, 60, 200)');
+            backdrop.addColorStop(1, 'rgb(240, 220, 40)');
+            ctx.fillStyle = backdrop;
+            ctx.fillRect(x, y, 60, 90);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillRect(x, y + 60, 60, 15);
+
+            // Source: blended circle and square
+            ctx.globalCompositeOperation = mode;
+            ctx.fillStyle = 'rgb(220, 40, 90)';
+            ctx.beginPath();
+            ctx.arc(x + 30, y + 30, 22, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'rgba(0, 160, 120, 0.7)';
+            ctx.fillRect(x + 10, y + 50, 40, 30);
+        });
+    }
+});
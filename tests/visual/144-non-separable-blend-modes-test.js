@@ -0,0 +1,36 @@
+// Test: Non-separable blend modes
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('non-separable-blend-modes', {
+    name: 'Blend modes - hue, saturation, color, luminosity over a gradient backdrop',
+    width: 320, height: 100,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        const modes = ['hue', 'saturation', 'color', 'luminosity'];
+
+        modes.forEach((mode, i) => {
+            const x = i * 80;
+
+            // Backdrop: rainbow gradient plus a gray bar
+            ctx.globalCompositeOperation = 'source-over';
+            const backdrop = ctx.createLinearGradient(x, 0, x + 80, 0);
+            backdrop.addColorStop(0, 'rgb(230, 40, 40)');
+            backdrop.addColorStop(0.5, 'rgb(40, 200, 60)');
+            backdrop.addColorStop(1, 'rgb(40, 80, 230)');
+            ctx.fillStyle = backdrop;
+            ctx.fillRect(x, 0, 80, 100);
+            ctx.fillStyle = 'rgb(128, 128, 128)';
+            ctx.fillRect(x, 70, 80, 15);
+
+            // Source: blended circle and translucent square
+            ctx.globalCompositeOperation = mode;
+            ctx.fillStyle = 'rgb(250, 200, 30)';
+            ctx.beginPath();
+            ctx.arc(x + 40, 35, 25, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = 'rgba(20, 40, 160, 0.7)';
+            ctx.fillRect(x + 15, 60, 50, 30);
+        });
+    }
+});
@@ -0,0 +1,35 @@
+// Test: Additive 'lighter' compositing
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('lighter-composite', {
+    name: 'Composite - lighter additive glow with overlapping translucent circles',
+    width: 200, height: 150,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        // Dark background
+        ctx.fillStyle = 'rgb(10, 10, 30)';
+        ctx.fillRect(0, 0, 200, 150);
+
+        ctx.globalCompositeOperation = 'lighter';
+
+        // RGB circles overlapping into white
+        const circles = [
+            { x: 75, y: 60, color: 'rgba(255, 0, 0, 0.8)' },
+            { x: 105, y: 60, color: 'rgba(0, 255, 0, 0.8)' },
+            { x: 90, y: 85, color: 'rgba(0, 0, 255, 0.8)' }
+        ];
+        for (const circle of circles) {
+            ctx.fillStyle = circle.color;
+            ctx.beginPath();
+            ctx.arc(circle.x, circle.y, 32, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Particle trail: small overlapping squares brighten where they stack
+        ctx.fillStyle = 'rgba(255, 160, 40, 0.35)';
+        for (let i = 0; i < 12; i++) {
+            ctx.fillRect(140 + i * 3, 20 + i * 8, 16, 16);
+        }
+    }
+});
@@ -0,0 +1,81 @@
+// Test: Text rendering with the embedded default font
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('text-rendering', {
+    name: 'Text - fillText/strokeText with alignment, baselines, transforms, gradients and shadows',
+    width: 320, height: 240,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        // Clear background
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, 320, 240);
+
+        // Plain, bold and italic fills
+        ctx.fillStyle = 'black';
+        ctx.font = '10px sans-serif';
+        ctx.fillText('The quick brown fox jumps over 13 lazy dogs.', 5, 14);
+        ctx.font = 'bold 20px monospace';
+        ctx.fillText('Bold 20px', 5, 40);
+        ctx.font = 'italic 20px serif';
+        ctx.fillStyle = 'darkred';
+        ctx.fillText('Italic', 150, 40);
+
+        // Alignment around a guide line
+        ctx.fillStyle = 'lightgray';
+        ctx.fillRect(160, 48, 1, 54);
+        ctx.fillStyle = 'navy';
+        ctx.font = '12px sans-serif';
+        ['left', 'center', 'right'].forEach((align, i) => {
+            ctx.textAlign = align;
+            ctx.fillText(align, 160, 60 + i * 18);
+        });
+        ctx.textAlign = 'start';
+
+        // Baselines against a guide line
+        ctx.fillStyle = 'lightgray';
+        ctx.fillRect(0, 125, 320, 1);
+        ctx.fillStyle = 'darkgreen';
+        ctx.font = '10px sans-serif';
+        ['top', 'hanging', 'middle', 'alphabetic', 'bottom'].forEach((baseline, i) => {
+            ctx.textBaseline = baseline;
+            ctx.fillText(baseline.slice(0, 5), 5 + i * 62, 125);
+        });
+        ctx.textBaseline = 'alphabetic';
+
+        // Gradient fill with a shadow
+        const gradient = ctx.createLinearGradient(5, 0, 155, 0);
+        gradient.addColorStop(0, 'orange');
+        gradient.addColorStop(1, 'purple');
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowOffsetX = 2;
+        ctx.shadowOffsetY = 2;
+        ctx.fillStyle = gradient;
+        ctx.font = 'bold 30px sans-serif';
+        ctx.fillText('SWCanvas', 5, 170);
+        ctx.restore();
+
+        // Stroked outline text
+        ctx.strokeStyle = 'crimson';
+        ctx.lineWidth = 1.5;
+        ctx.font = '40px sans-serif';
+        ctx.strokeText('Ab', 180, 175);
+
+        // Rotated and condensed (maxWidth) text
+        ctx.save();
+        ctx.translate(240, 228);
+        ctx.rotate(-Math.PI / 12);
+        ctx.fillStyle = 'teal';
+        ctx.font = '16px sans-serif';
+        ctx.fillText('rotated', 0, 0);
+        ctx.restore();
+
+        ctx.fillStyle = 'black';
+        ctx.font = '16px sans-serif';
+        ctx.fillText('maxWidth fits 100px', 5, 220, 100);
+        ctx.strokeStyle = 'lightgray';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(4.5, 204.5, 101, 20);
+    }
+});
@@ -0,0 +1,144 @@
+// Test: Text drawn with a registered TrueType font
+// This file will be concatenated into the main visual test suite
+
+// Assemble a tiny TrueType font: 'A', 'O' (quadratic contours with a counter) and 'V', kerned A-V
+function buildVisualTestFont() {
+    const bytes = (list = []) => {
+        const w = {
+            bytes: list,
+            u8(v) { list.push(v & 0xFF); return w; },
+            u16(v) { list.push((v >> 8) & 0xFF, v & 0xFF); return w; },
+            u32(v) { w.u16((v >>> 16) & 0xFFFF); w.u16(v & 0xFFFF); return w; }
+        };
+        return w;
+    };
+
+    // contours: arrays of [x, y, onCurve]
+    const glyph = (contours) => {
+        const points = [].concat(...contours);
+        const g = bytes().u16(contours.length)
+            .u16(Math.min(...points.map(p => p[0]))).u16(Math.min(...points.map(p => p[1])))
+            .u16(Math.max(...points.map(p => p[0]))).u16(Math.max(...points.map(p => p[1])));
+        let end = -1;
+        contours.forEach(c => { end += c.length; g.u16(end); });
+        g.u16(0);
+        points.forEach(p => g.u8(p[2] ? 1 : 0));
+        [0, 1].forEach(axis => {
+            let previous = 0;
+            points.forEach(p => { g.u16(p[axis] - previous); previous = p[axis]; });
+        });
+        return g.bytes;
+    };
+    const on = (list) => list.map(([x, y]) => [x, y, true]);
+    const off = (list) => list.map(([x, y]) => [x, y, false]);
+
+    const glyphs = [
+        [],
+        glyph([on([[0, 0], [300, 700], [400, 700], [700, 0], [560, 0], [350, 540], [140, 0]]),
+            on([[200, 180], [200, 290], [500, 290], [500, 180]])]),
+        glyph([off([[0, 0], [0, 700], [700, 700], [700, 0]]),
+            off([[170, 170], [530, 170], [530, 530], [170, 530]])]),
+        glyph([on([[0, 700], [140, 700], [350, 160], [560, 700], [700, 700], [400, 0], [300, 0]])])
+    ];
+    const glyf = bytes();
+    const loca = bytes();
+    glyphs.forEach(g => { loca.u32(glyf.bytes.length); g.forEach(b => glyf.u8(b)); });
+    loca.u32(glyf.bytes.length);
+
+    const codes = [[65, 1], [79, 2], [86, 3]];
+    const cmap4 = bytes().u16(4).u16(48).u16(0).u16(8).u16(0).u16(0).u16(0);
+    codes.forEach(([c]) => cmap4.u16(c));
+    cmap4.u16(0xFFFF).u16(0);
+    codes.forEach(([c]) => cmap4.u16(c));
+    cmap4.u16(0xFFFF);
+    codes.forEach(([c, g]) => cmap4.u16(g - c));
+    cmap4.u16(1).u16(0).u16(0).u16(0).u16(0);
+
+    const hmtx = bytes();
+    [500, 760, 760, 760].forEach(a => hmtx.u16(a).u16(0));
+
+    const tables = {
+        cmap: bytes().u16(0).u16(1).u16(3).u16(1).u32(12).bytes.concat(cmap4.bytes),
+        glyf: glyf.bytes,
+        head: bytes().u32(0x00010000).u32(0).u32(0).u32(0x5F0F3CF5).u16(0).u16(1000)
+            .u32(0).u32(0).u32(0).u32(0).u16(0).u16(0).u16(700).u16(700)
+            .u16(0).u16(8).u16(2).u16(1).u16(0).bytes,
+        hhea: bytes().u32(0x00010000).u16(800).u16(-200).u16(0).u16(760)
+            .u16(0).u16(0).u16(0).u16(1).u16(0).u16(0).u16(0).u16(0).u16(0).u16(0).u16(0).u16(4).bytes,
+        hmtx: hmtx.bytes,
+        kern: bytes().u16(0).u16(1).u16(0).u16(26).u16(0x0001).u16(2).u16(12).u16(1).u16(0)
+            .u16(1).u16(3).u16(-150).u16(3).u16(1).u16(-150).bytes,
+        loca: loca.bytes,
+        maxp: bytes().u32(0x00005000).u16(4).bytes
+    };
+
+    const tags = Object.keys(tables);
+    const file = bytes().u32(0x00010000).u16(tags.length).u16(0).u16(0).u16(0);
+    let offset = 12 + tags.length * 16;
+    tags.forEach(tag => {
+        [...tag].forEach(c => file.u8(c.charCodeAt(0)));
+        file.u32(0).u32(offset).u32(tables[tag].length);
+        offset += (tables[tag].length + 3) & ~3;
+    });
+    tags.forEach(tag => {
+        tables[tag].forEach(b => file.u8(b));
+        while (file.bytes.length % 4 !== 0) file.u8(0);
+    });
+    return new Uint8Array(file.bytes).buffer;
+}
+
+// Shared drawing; only SWCanvas has the font registered, HTML5 canvas falls back to sans-serif
+function drawOpenTypeFontScene(canvas) {
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 320, 220);
+
+    // Kerned "AVOVA" at increasing sizes
+    ctx.fillStyle = 'black';
+    ctx.font = '16px "Visual Test Glyphs", sans-serif';
+    ctx.fillText('AVOVA', 10, 24);
+    ctx.font = '32px "Visual Test Glyphs", sans-serif';
+    ctx.fillText('AVOVA', 10, 64);
+
+    // Gradient fill and stroked outlines
+    const gradient = ctx.createLinearGradient(10, 0, 200, 0);
+    gradient.addColorStop(0, 'crimson');
+    gradient.addColorStop(1, 'royalblue');
+    ctx.fillStyle = gradient;
+    ctx.font = '56px "Visual Test Glyphs", sans-serif';
+    ctx.fillText('VOA', 10, 130);
+
+    ctx.strokeStyle = 'darkgreen';
+    ctx.lineWidth = 2;
+    ctx.strokeText('OVA', 170, 130);
+
+    // Synthetic oblique, centered alignment and rotation
+    ctx.fillStyle = 'purple';
+    ctx.font = 'italic 28px "Visual Test Glyphs", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('AVA', 80, 190);
+
+    ctx.save();
+    ctx.translate(240, 185);
+    ctx.rotate(-Math.PI / 8);
+    ctx.fillStyle = 'darkorange';
+    ctx.font = '30px "Visual Test Glyphs", sans-serif';
+    ctx.fillText('OVO', 0, 10);
+    ctx.restore();
+}
+
+registerVisualTest('opentype-font-loading', {
+    name: 'Text - registered TrueType font with kerning, strokes, gradients and transforms',
+    width: 320, height: 220,
+    drawSWCanvas: function(SWCanvas) {
+        SWCanvas.registerFont('Visual Test Glyphs', buildVisualTestFont());
+        const canvas = SWCanvas.createCanvas(320, 220);
+        drawOpenTypeFontScene(canvas);
+        SWCanvas.Core.FontRegistry.unregister('Visual Test Glyphs');
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawOpenTypeFontScene(html5Canvas);
+    }
+});
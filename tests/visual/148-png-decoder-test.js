@@ -0,0 +1,93 @@
+// Test: Decoded PNG images drawn with drawImage and createPattern
+// This file will be concatenated into the main visual test suite
+
+// 16x8 RGB gradient, rows filtered with all five filter types, dynamic Huffman codes
+const PNG_DECODER_GRADIENT =
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAICAIAAAB/FOjAAAAAgElEQVR42rXPoRHDIABG4Ze2AomsREYiI5GRyEhkJDISWYms/' +
+    'EfICIyQETJCRuh1gyJ699knHoDFOKznGXCRMeEzUyFUZhF3lkY6WE/yxTbgjKXDDWe63AnWWPO7x7eji0Yr7zR5haA5KiYtWalorc' +
+    'rStqs0vQ7VU+9LGmj+v9MfvGQuxgXmRpEAAAAASUVORK5CYII=';
+
+// 16x16 RGBA badge with soft alpha, Adam7 interlaced
+const PNG_DECODER_BADGE =
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAFo9M/3AAAC+0lEQVR42pWRT2hURxzHv272bd7bTNbnmqS/hqUu7QYeIjgGA3swtFCw' +
+    'Hl4ghyw8UUGklooKG/Agku2huKAgxMOTXNrEgyUFDQlIiP9wD6WkmMS8Q+lOqbCh1PoOauYSd6ATcHfjrpCT/cJvmO/85sf85vMD3mlH' +
+    'fSnd/GIz0jxpq9xMr/Dh4a+idVfJ2z+uwea1mGukKwEvlIKTM1PB9RM7sE2R9byZW83Tr7N5Z348n+1ru/gtOyYpNSwpY0vaF0TBzTmA' +
+    '0oAjR/mV263aimfmVj1WKHl2cdbrOj/l0UCrw/UrrCDBjkgwR4KZEiys+d9q/uetzrkpwW0JThI8LcEdCc4leFa21fNXb715kr+WWVLU' +
+    'u6zok0eKPr1zlH83cf/Wg7+j+BC98GIDZS9+ftFLFBe8ZGHa68m1MFbz0T4J05MwsxImSZiq5kXN3ztzffl2BBRxQDEHFHdACQeUdEA9' +
+    'DqjXaWAfO27sV6yDK9aZVmynrdguKLZbKta9Nj+3/DgKioRALATiIZAAkFRAV7gVzSaDzIlycOjGYjAysxCc+2k6uFyYCH54T7Kucnh4' +
+    'UCJFEiklkRJH6Zu/GuPb/uWKG+0ru8bgqhsbWnTbcyXXzC241tCsGx+cdjv6tt9va27Wv44N5PtjX2oWO6RZe1Yz86BmFtcsvk+zDkcz' +
+    'ltGsM+32d+050t/dPv/01b/1usYkqmPGoEKUA4YDGGnAIMCwAcMEDACGAgwJGGEzNz62xxy9/OCXxutVvz237ieKL/zumYqfWin7nz1f' +
+    '9fduLPoHNkt+dnPB/3xj1j/8fNofWpnyR2Ym/GPFcf9UrgWpescaUrC4guUoWGkFixQsW8EyFSwoWErBkgpWqGCtKVhCwQpGR76/uwWR' +
+    'IgIUFaCYAJkCFBcgJkAJAbIFKClAXQLUI0AkQL0ClBItiMXJ/15fndz448Klj6qadbzUjIWadf6jWWJNs53PNLOFZrt+1ywZaLZ7+TQ/' +
+    '+/D+5N3XLYhNfZz5cwnAEv6H3gIRwhr7GqGH0gAAAABJRU5ErkJggg==';
+
+// The same pixels computed directly, for the HTML5 canvas reference rendering
+function pngDecoderReferencePixels(name) {
+    const width = 16;
+    const height = name === 'gradient' ? 8 : 16;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let pixel;
+            if (name === 'gradient') {
+                pixel = [x * 16, y * 32, (x + y) * 8, 255];
+            } else {
+                const d = (x - 7.5) * (x - 7.5) + (y - 7.5) * (y - 7.5);
+                pixel = d <= 56 ? [255 - x * 8, 64 + y * 12, (x * y) & 255, 255 - Math.floor(d * 4)] : [0, 0, 0, 0];
+            }
+            data.set(pixel, (y * width + x) * 4);
+        }
+    }
+    return { width: width, height: height, data: data };
+}
+
+function drawPngDecoderScene(canvas, gradient, badge) {
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 300, 200);
+
+    // Decoded images at natural size and scaled up
+    ctx.drawImage(gradient, 10, 10);
+    ctx.drawImage(badge, 40, 6);
+    ctx.drawImage(gradient, 10, 40, 128, 64);
+
+    // Translucent badge over a checkerboard shows preserved alpha
+    for (let i = 0; i < 8; i++) {
+        for (let j = 0; j < 8; j++) {
+            ctx.fillStyle = (i + j) % 2 ? 'lightgray' : 'dimgray';
+            ctx.fillRect(160 + i * 16, 10 + j * 12, 16, 12);
+        }
+    }
+    ctx.drawImage(badge, 176, 14, 96, 88);
+
+    // Repeating pattern from the interlaced image
+    ctx.fillStyle = ctx.createPattern(badge, 'repeat');
+    ctx.fillRect(10, 120, 280, 70);
+}
+
+registerVisualTest('png-decoder', {
+    name: 'PNG decoder - drawImage and createPattern with decoded filtered and interlaced PNGs',
+    width: 300, height: 200,
+    drawSWCanvas: function(SWCanvas) {
+        const decode = (text) => SWCanvas.Core.PngDecoder.decode(Uint8Array.from(atob(text), c => c.charCodeAt(0)));
+        const canvas = SWCanvas.createCanvas(300, 200);
+        drawPngDecoderScene(canvas, decode(PNG_DECODER_GRADIENT), decode(PNG_DECODER_BADGE));
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        // Browsers only draw DOM images, so the reference pixels go through temporary canvases
+        const toCanvas = (image) => {
+            const element = document.createElement('canvas');
+            element.width = image.width;
+            element.height = image.height;
+            const imageData = element.getContext('2d').createImageData(image.width, image.height);
+            imageData.data.set(image.data);
+            element.getContext('2d').putImageData(imageData, 0, 0);
+            return element;
+        };
+        drawPngDecoderScene(html5Canvas,
+            toCanvas(pngDecoderReferencePixels('gradient')),
+            toCanvas(pngDecoderReferencePixels('badge')));
+    }
+});
@@ -0,0 +1,55 @@
+// Test: Drawing survives PNG encoding at several compression levels
+// This file will be concatenated into the main visual test suite
+
+function drawPngCompressionSource(canvas) {
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(45, 40, 5, 45, 40, 45);
+    gradient.addColorStop(0, 'white');
+    gradient.addColorStop(0.6, 'teal');
+    gradient.addColorStop(1, 'rgba(0, 40, 80, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 90, 80);
+
+    ctx.strokeStyle = 'rgba(220, 40, 40, 0.8)';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(8, 70);
+    ctx.bezierCurveTo(30, 0, 60, 90, 84, 12);
+    ctx.stroke();
+
+    for (let i = 0; i < 6; i++) {
+        ctx.fillStyle = `rgb(${i * 40}, ${200 - i * 30}, 90)`;
+        ctx.fillRect(6 + i * 13, 4, 10, 10);
+    }
+}
+
+function drawPngCompressionScene(canvas, tiles) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'lightgray';
+    ctx.fillRect(0, 0, 300, 100);
+    tiles.forEach((tile, i) => ctx.drawImage(tile, 5 + i * 98, 10));
+}
+
+registerVisualTest('png-compression', {
+    name: 'PNG compression - source drawing decoded after encoding at levels 0, 1 and 9',
+    width: 300, height: 100,
+    drawSWCanvas: function(SWCanvas) {
+        const source = SWCanvas.createCanvas(90, 80);
+        drawPngCompressionSource(source);
+
+        // Every tile must look identical to the level 0 one: compression is lossless
+        const tiles = [0, 1, 9].map(level => SWCanvas.Core.PngDecoder.decode(SWCanvas.Core.PngEncoder.encode(
+            source._coreSurface, SWCanvas.Core.PngEncodingOptions.withCompressionLevel(level))));
+
+        const canvas = SWCanvas.createCanvas(300, 100);
+        drawPngCompressionScene(canvas, tiles);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        const source = document.createElement('canvas');
+        source.width = 90;
+        source.height = 80;
+        drawPngCompressionSource(source);
+        drawPngCompressionScene(html5Canvas, [source, source, source]);
+    }
+});
@@ -0,0 +1,44 @@
+// Test: imageSmoothingEnabled and imageSmoothingQuality for drawImage and patterns
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('image-smoothing', {
+    name: 'Image smoothing - nearest, bilinear, bicubic and Lanczos upscales, downscales and patterns',
+    width: 320, height: 220,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, 320, 220);
+
+        const border = createTestImage(6, 6, 'border', ctx);
+        const checker = createTestImage(64, 64, 'checkerboard', ctx);
+        const alpha = createTestImage(8, 4, 'alpha', ctx);
+        const settings = [[false, 'low'], [true, 'low'], [true, 'medium'], [true, 'high']];
+
+        settings.forEach(([enabled, quality], i) => {
+            ctx.imageSmoothingEnabled = enabled;
+            ctx.imageSmoothingQuality = quality;
+            const x = 10 + i * 76;
+
+            // 10x upscale
+            ctx.drawImage(border, x, 10, 60, 60);
+
+            // Strong downscale of a one-pixel checkerboard
+            ctx.drawImage(checker, x, 80, 16, 16);
+
+            // Rotated upscale with translucent edges
+            ctx.save();
+            ctx.translate(x + 40, 100);
+            ctx.rotate(Math.PI / 10);
+            ctx.drawImage(alpha, 0, 0, 28, 14);
+            ctx.restore();
+
+            // Scaled repeating pattern
+            ctx.save();
+            ctx.translate(x, 130);
+            ctx.scale(5, 5);
+            ctx.fillStyle = ctx.createPattern(border, 'repeat');
+            ctx.fillRect(0, 0, 12, 16);
+            ctx.restore();
+        });
+    }
+});
@@ -0,0 +1,60 @@
+// Test: drawImage with canvas sources, including a canvas drawn onto itself
+// This file will be concatenated into the main visual test suite
+
+// makeCanvas(width, height) returns a canvas of the environment being drawn
+function drawCanvasSourcesScene(canvas, makeCanvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 300, 200);
+
+    // Offscreen canvas used as an image and as a pattern
+    const sprite = makeCanvas(40, 40);
+    const spriteCtx = sprite.getContext('2d');
+    spriteCtx.fillStyle = 'navy';
+    spriteCtx.fillRect(0, 0, 40, 40);
+    spriteCtx.fillStyle = 'orange';
+    spriteCtx.beginPath();
+    spriteCtx.arc(20, 20, 14, 0, Math.PI * 2);
+    spriteCtx.fill();
+    spriteCtx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    spriteCtx.fillRect(0, 0, 20, 20);
+
+    ctx.drawImage(sprite, 10, 10);
+    ctx.drawImage(sprite, 60, 10, 80, 40);
+    ctx.drawImage(sprite, 20, 20, 20, 20, 150, 10, 40, 40);
+
+    ctx.save();
+    ctx.translate(230, 30);
+    ctx.rotate(Math.PI / 6);
+    ctx.globalAlpha = 0.7;
+    ctx.drawImage(sprite, -20, -20);
+    ctx.restore();
+
+    ctx.fillStyle = ctx.createPattern(sprite, 'repeat');
+    ctx.fillRect(10, 60, 130, 50);
+
+    // Self draws: the top band copied down, then repeatedly shrunk into the corner
+    ctx.drawImage(canvas, 0, 0, 300, 60, 150, 60, 150, 30);
+    ctx.drawImage(canvas, 0, 10, 300, 100, 10, 120, 150, 50);
+    for (let i = 0; i < 3; i++) {
+        ctx.drawImage(canvas, 0, 0, 300, 200, 170 + i * 15, 110 + i * 10, 120 - i * 30, 80 - i * 20);
+    }
+}
+
+registerVisualTest('drawimage-canvas-sources', {
+    name: 'drawImage - offscreen canvas, canvas pattern and overlapping self draws',
+    width: 300, height: 200,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(300, 200);
+        drawCanvasSourcesScene(canvas, (width, height) => SWCanvas.createCanvas(width, height));
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawCanvasSourcesScene(html5Canvas, (width, height) => {
+            const element = document.createElement('canvas');
+            element.width = width;
+            element.height = height;
+            return element;
+        });
+    }
+});
@@ -0,0 +1,72 @@
+// Test: ctx.filter with blur, color functions and drop-shadow
+// This file will be concatenated into the main visual test suite
+
+registerVisualTest('canvas-filter', {
+    name: 'Canvas filter - blur, color matrices, drop-shadow and filtered images',
+    width: 320, height: 220,
+    draw: function(canvas) {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, 320, 220);
+
+        // One swatch per color function, drawn over a gray stripe
+        const filters = ['none', 'grayscale(100%)', 'sepia(1)', 'saturate(3)', 'hue-rotate(120deg)',
+            'invert(0.8)', 'brightness(1.5)', 'contrast(40%)', 'opacity(0.4)'];
+        ctx.fillStyle = 'gray';
+        ctx.fillRect(0, 26, 320, 8);
+        filters.forEach((filter, i) => {
+            ctx.filter = filter;
+            const gradient = ctx.createLinearGradient(10 + i * 34, 0, 40 + i * 34, 0);
+            gradient.addColorStop(0, 'rgb(220, 60, 40)');
+            gradient.addColorStop(1, 'rgb(40, 120, 220)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(10 + i * 34, 10, 30, 40);
+        });
+
+        // Blurred shapes and text
+        ctx.filter = 'blur(3px)';
+        ctx.fillStyle = 'navy';
+        ctx.beginPath();
+        ctx.arc(40, 95, 25, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = 'darkgreen';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(80, 72, 50, 45);
+
+        // The combination from a report renderer, with a transform
+        ctx.save();
+        ctx.filter = 'blur(1px) brightness(1.2) drop-shadow(4px 4px 3px #0008)';
+        ctx.translate(190, 95);
+        ctx.rotate(-Math.PI / 12);
+        ctx.fillStyle = 'orange';
+        ctx.fillRect(-30, -20, 60, 40);
+        ctx.restore();
+
+        // Drop shadow with globalAlpha and clipping
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(240, 65, 70, 45);
+        ctx.clip();
+        ctx.filter = 'drop-shadow(-6px 6px 0 rgba(200, 0, 200, 0.7))';
+        ctx.globalAlpha = 0.8;
+        ctx.fillStyle = 'teal';
+        ctx.fillRect(255, 60, 50, 35);
+        ctx.restore();
+
+        // Filtered images
+        const checker = createTestImage(40, 40, 'checkerboard', ctx);
+        const gradientImage = createTestImage(40, 40, 'gradient', ctx);
+        ctx.filter = 'blur(2px)';
+        ctx.drawImage(checker, 10, 150, 60, 60);
+        ctx.filter = 'hue-rotate(90deg) drop-shadow(3px 3px 2px black)';
+        ctx.drawImage(gradientImage, 90, 150, 60, 60);
+        ctx.filter = 'contrast(200%) grayscale(50%)';
+        ctx.drawImage(gradientImage, 170, 150, 60, 60);
+
+        // clearRect ignores the filter
+        ctx.filter = 'blur(5px)';
+        ctx.fillStyle = 'crimson';
+        ctx.fillRect(250, 150, 60, 60);
+        ctx.clearRect(265, 165, 30, 30);
+    }
+});
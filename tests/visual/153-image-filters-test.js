@@ -0,0 +1,148 @@
+// Test: Surface filters library against the equivalent SVG filter primitives
+// This file will be concatenated into the main visual test suite
+
+const IMAGE_FILTERS_PANEL_WIDTH = 90;
+const IMAGE_FILTERS_PANEL_HEIGHT = 60;
+
+// Translucent shapes on a transparent background
+function drawImageFiltersSource(ctx) {
+    ctx.fillStyle = 'rgb(30, 90, 200)';
+    ctx.fillRect(8, 8, 40, 30);
+    ctx.fillStyle = 'rgba(230, 60, 40, 0.8)';
+    ctx.beginPath();
+    ctx.arc(55, 32, 20, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'rgb(20, 160, 60)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(10, 52);
+    ctx.lineTo(45, 44);
+    ctx.lineTo(82, 54);
+    ctx.stroke();
+}
+
+// Horizontal waves in the red channel, vertical ones in green
+function imageFiltersMapPixel(x, y) {
+    return [
+        Math.round(128 + 127 * Math.sin(y / 4)),
+        Math.round(128 + 127 * Math.sin(x / 6)),
+        0,
+        255
+    ];
+}
+
+const IMAGE_FILTERS_POSTERIZE = [0, 0.33, 0.66, 1];
+const IMAGE_FILTERS_WARM = [
+    1.1, 0.1, 0, 0, 0.05,
+    0, 0.9, 0.1, 0, 0,
+    0, 0, 0.6, 0, 0,
+    0, 0, 0, 1, 0
+];
+const IMAGE_FILTERS_EMBOSS = [[-2, -1, 0], [-1, 1, 1], [0, 1, 2]];
+
+// Draw the nine panels (original first) onto a 300x210 canvas
+function drawImageFiltersPanels(ctx, panels) {
+    ctx.fillStyle = 'rgb(235, 235, 225)';
+    ctx.fillRect(0, 0, 300, 210);
+    panels.forEach((panel, i) => {
+        ctx.drawImage(panel, 5 + (i % 3) * 98, 5 + Math.floor(i / 3) * 68);
+    });
+}
+
+registerVisualTest('image-filters', {
+    name: 'Image filters - Gaussian blur, convolution, unsharp mask, transfer, color matrix, morphology, displacement',
+    width: 300, height: 210,
+    drawSWCanvas: function(SWCanvas) {
+        const Core = SWCanvas.Core;
+        const source = SWCanvas.createCanvas(IMAGE_FILTERS_PANEL_WIDTH, IMAGE_FILTERS_PANEL_HEIGHT);
+        drawImageFiltersSource(source.getContext('2d'));
+        const surface = source._coreSurface;
+
+        const map = new Core.Surface(IMAGE_FILTERS_PANEL_WIDTH, IMAGE_FILTERS_PANEL_HEIGHT);
+        for (let y = 0; y < map.height; y++) {
+            for (let x = 0; x < map.width; x++) map.data.set(imageFiltersMapPixel(x, y), (y * map.width + x) * 4);
+        }
+
+        const panels = [
+            surface,
+            Core.GaussianBlur.apply(surface, 2),
+            Core.ConvolutionFilter.apply(surface, IMAGE_FILTERS_EMBOSS, { preserveAlpha: true }),
+            Core.UnsharpMask.apply(Core.GaussianBlur.apply(surface, 1), { sigma: 1.5, amount: 1.5 }),
+            Core.ComponentTransfer.apply(surface, {
+                r: { type: 'discrete', tableValues: IMAGE_FILTERS_POSTERIZE },
+                g: { type: 'discrete', tableValues: IMAGE_FILTERS_POSTERIZE },
+                b: { type: 'gamma', amplitude: 1, exponent: 0.5, offset: 0 }
+            }),
+            Core.ColorMatrixFilter.apply(surface, IMAGE_FILTERS_WARM),
+            Core.Morphology.apply(surface, 'dilate', 2),
+            Core.Morphology.apply(surface, 'erode', 1, 2),
+            Core.DisplacementMap.apply(surface, map, 8)
+        ];
+
+        const canvas = SWCanvas.createCanvas(300, 210);
+        drawImageFiltersPanels(canvas.getContext('2d'), panels);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        const makeCanvas = () => {
+            const element = document.createElement('canvas');
+            element.width = IMAGE_FILTERS_PANEL_WIDTH;
+            element.height = IMAGE_FILTERS_PANEL_HEIGHT;
+            return element;
+        };
+        const source = makeCanvas();
+        drawImageFiltersSource(source.getContext('2d'));
+
+        // Equivalent SVG filter primitives, used through ctx.filter = 'url(#id)'
+        const svgFilters = {
+            blur: '<feGaussianBlur stdDeviation="2"/>',
+            emboss: `<feConvolveMatrix order="3" kernelMatrix="${IMAGE_FILTERS_EMBOSS.flat().join(' ')}" preserveAlpha="true" edgeMode="duplicate"/>`,
+            sharpen: '<feGaussianBlur stdDeviation="1" result="soft"/><feGaussianBlur in="soft" stdDeviation="1.5" result="blurred"/>' +
+                '<feComposite in="soft" in2="blurred" operator="arithmetic" k1="0" k2="2.5" k3="-1.5" k4="0"/>',
+            transfer: '<feComponentTransfer>' +
+                `<feFuncR type="discrete" tableValues="${IMAGE_FILTERS_POSTERIZE.join(' ')}"/>` +
+                `<feFuncG type="discrete" tableValues="${IMAGE_FILTERS_POSTERIZE.join(' ')}"/>` +
+                '<feFuncB type="gamma" amplitude="1" exponent="0.5" offset="0"/></feComponentTransfer>',
+            warm: `<feColorMatrix type="matrix" values="${IMAGE_FILTERS_WARM.join(' ')}"/>`,
+            dilate: '<feMorphology operator="dilate" radius="2"/>',
+            erode: '<feMorphology operator="erode" radius="1 2"/>'
+        };
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.innerHTML = Object.keys(svgFilters).map(id =>
+            `<filter id="image-filters-${id}" x="0" y="0" width="100%" height="100%" color-interpolation-filters="sRGB">${svgFilters[id]}</filter>`
+        ).join('');
+        document.body.appendChild(svg);
+
+        const panels = [source];
+        for (const id of Object.keys(svgFilters)) {
+            const panel = makeCanvas();
+            const ctx = panel.getContext('2d');
+            ctx.filter = `url(#image-filters-${id})`;
+            ctx.drawImage(source, 0, 0);
+            panels.push(panel);
+        }
+
+        // feImage loads asynchronously, so the displacement is computed directly
+        const sourcePixels = source.getContext('2d').getImageData(0, 0, IMAGE_FILTERS_PANEL_WIDTH, IMAGE_FILTERS_PANEL_HEIGHT);
+        const displaced = makeCanvas();
+        const displacedCtx = displaced.getContext('2d');
+        const output = displacedCtx.createImageData(IMAGE_FILTERS_PANEL_WIDTH, IMAGE_FILTERS_PANEL_HEIGHT);
+        for (let y = 0; y < IMAGE_FILTERS_PANEL_HEIGHT; y++) {
+            for (let x = 0; x < IMAGE_FILTERS_PANEL_WIDTH; x++) {
+                const mapPixel = imageFiltersMapPixel(x, y);
+                const sx = Math.floor(x + 0.5 + 8 * (mapPixel[0] / 255 - 0.5));
+                const sy = Math.floor(y + 0.5 + 8 * (mapPixel[1] / 255 - 0.5));
+                if (sx < 0 || sx >= IMAGE_FILTERS_PANEL_WIDTH || sy < 0 || sy >= IMAGE_FILTERS_PANEL_HEIGHT) continue;
+                const src = (sy * IMAGE_FILTERS_PANEL_WIDTH + sx) * 4;
+                output.data.set(sourcePixels.data.subarray(src, src + 4), (y * IMAGE_FILTERS_PANEL_WIDTH + x) * 4);
+            }
+        }
+        displacedCtx.putImageData(output, 0, 0);
+        panels.push(displaced);
+
+        drawImageFiltersPanels(html5Canvas.getContext('2d'), panels);
+        svg.remove();
+    }
+});
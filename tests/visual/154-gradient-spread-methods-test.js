@@ -0,0 +1,57 @@
+// Test: Gradient spread methods (pad, repeat, reflect)
+// This file will be concatenated into the main visual test suite
+
+const GRADIENT_SPREAD_METHODS = ['pad', 'repeat', 'reflect'];
+const GRADIENT_SPREAD_STOPS = [[0, 'navy'], [0.4, 'gold'], [1, 'crimson']];
+
+// Browsers only pad, so their side unrolls 'repeat' and 'reflect' into
+// periods of stops over a gradient scaled to cover them
+function gradientSpreadStops(method, periods) {
+    if (method === 'pad') return GRADIENT_SPREAD_STOPS;
+    const stops = [];
+    for (let period = 0; period < periods; period++) {
+        const reversed = method === 'reflect' && period % 2 === 1;
+        const ordered = reversed ? GRADIENT_SPREAD_STOPS.slice().reverse() : GRADIENT_SPREAD_STOPS;
+        for (const [offset, color] of ordered) {
+            stops.push([(period + (reversed ? 1 - offset : offset)) / periods, color]);
+        }
+    }
+    return stops;
+}
+
+// Linear (top row), concentric radial (middle row) and focal radial (bottom row) panels
+function drawGradientSpreadPanels(ctx, native) {
+    const periods = native ? 1 : 8;
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 300, 240);
+
+    GRADIENT_SPREAD_METHODS.forEach((method, i) => {
+        const x = 10 + i * 97;
+        const gradients = [
+            ctx.createLinearGradient(x, 10, x + 25 * periods, 10 + 10 * periods),
+            ctx.createRadialGradient(x + 42, 117, 0, x + 42, 117, 14 * periods),
+            ctx.createRadialGradient(x + 30, 190, 0, x + 30 + 6 * periods, 190 - 4 * periods, 16 * periods)
+        ];
+        gradients.forEach((gradient, row) => {
+            for (const [offset, color] of gradientSpreadStops(native ? 'pad' : method, periods)) {
+                gradient.addColorStop(offset, color);
+            }
+            if (native) gradient.spreadMethod = method;
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, 10 + row * 75, 85, 70);
+        });
+    });
+}
+
+registerVisualTest('gradient-spread-methods', {
+    name: 'Gradient spread methods - pad, repeat and reflect for linear and radial gradients',
+    width: 300, height: 240,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(300, 240);
+        drawGradientSpreadPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawGradientSpreadPanels(html5Canvas.getContext('2d'), false);
+    }
+});
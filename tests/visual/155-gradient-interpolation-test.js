@@ -0,0 +1,120 @@
+// Test: Premultiplied gradient interpolation and interpolation color spaces
+// This file will be concatenated into the main visual test suite
+
+const GRADIENT_INTERPOLATION_ROWS = [
+    { stops: ['rgb(230, 40, 40)', 'rgba(40, 40, 230, 0)'], space: 'srgb' },
+    { stops: ['rgb(230, 40, 40)', 'rgb(40, 40, 230)'], space: 'srgb' },
+    { stops: ['rgb(230, 40, 40)', 'rgb(40, 40, 230)'], space: 'srgb-linear' },
+    { stops: ['rgb(230, 40, 40)', 'rgb(40, 40, 230)'], space: 'oklab' },
+    { stops: ['rgb(230, 40, 40)', 'rgb(40, 40, 230)'], space: 'oklch', hue: 'shorter' },
+    { stops: ['rgb(230, 40, 40)', 'rgb(40, 40, 230)'], space: 'oklch', hue: 'longer' },
+    { stops: ['white', 'rgb(0, 120, 60)'], space: 'oklch', hue: 'shorter' }
+];
+
+// Checkerboard so translucent rows show their color
+function drawGradientInterpolationBackground(ctx) {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 260, 220);
+    ctx.fillStyle = 'rgb(200, 200, 200)';
+    for (let y = 0; y < 220; y += 10) {
+        for (let x = (y / 10) % 2 * 10; x < 260; x += 20) ctx.fillRect(x, y, 10, 10);
+    }
+}
+
+// Reference conversions for the browser side, which only interpolates in sRGB
+function gradientInterpolationToOklch(rgb) {
+    const linear = rgb.map(c => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const l = Math.cbrt(0.4122214708 * linear[0] + 0.5363325363 * linear[1] + 0.0514459929 * linear[2]);
+    const m = Math.cbrt(0.2119034982 * linear[0] + 0.6806995451 * linear[1] + 0.1073969566 * linear[2]);
+    const s = Math.cbrt(0.0883024619 * linear[0] + 0.2817188376 * linear[1] + 0.6299787005 * linear[2]);
+    const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    const b = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+    return { linear, lab: [L, a, b], hue: Math.hypot(a, b) < 1e-4 ? NaN : Math.atan2(b, a) };
+}
+
+function gradientInterpolationFromLab([L, a, b]) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return gradientInterpolationFromLinear([
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ]);
+}
+
+function gradientInterpolationFromLinear(linear) {
+    return linear.map(c => {
+        c = Math.min(1, Math.max(0, c));
+        return Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055));
+    });
+}
+
+// Dense sRGB stops sampling an opaque gradient in another space
+function gradientInterpolationReferenceStops(row) {
+    const rgb = row.stops.map(stop => stop === 'white' ? [255, 255, 255] : stop.match(/\d+/g).map(Number));
+    const [from, to] = rgb.map(gradientInterpolationToOklch);
+    let h1 = isNaN(from.hue) ? to.hue : from.hue;
+    let h2 = isNaN(to.hue) ? h1 : to.hue;
+    // Move one end a full turn when the hue path has to go the other way round
+    const delta = h2 - h1;
+    const wrap = row.hue === 'shorter' ? Math.abs(delta) > Math.PI : Math.abs(delta) < Math.PI;
+    if (row.space === 'oklch' && wrap) {
+        if (delta > 0) h1 += 2 * Math.PI;
+        else h2 += 2 * Math.PI;
+    }
+
+    const stops = [];
+    for (let i = 0; i <= 32; i++) {
+        const t = i / 32;
+        const lerp = (p, q) => p + (q - p) * t;
+        let color;
+        if (row.space === 'srgb-linear') {
+            color = gradientInterpolationFromLinear(from.linear.map((c, k) => lerp(c, to.linear[k])));
+        } else if (row.space === 'oklab') {
+            color = gradientInterpolationFromLab(from.lab.map((c, k) => lerp(c, to.lab[k])));
+        } else {
+            const chroma = lerp(Math.hypot(from.lab[1], from.lab[2]), Math.hypot(to.lab[1], to.lab[2]));
+            const hue = lerp(h1, h2);
+            color = gradientInterpolationFromLab([lerp(from.lab[0], to.lab[0]), chroma * Math.cos(hue), chroma * Math.sin(hue)]);
+        }
+        stops.push([t, `rgb(${color.join(', ')})`]);
+    }
+    return stops;
+}
+
+function drawGradientInterpolationRows(ctx, native) {
+    drawGradientInterpolationBackground(ctx);
+    GRADIENT_INTERPOLATION_ROWS.forEach((row, i) => {
+        const gradient = ctx.createLinearGradient(10, 0, 250, 0);
+        if (native || row.space === 'srgb') {
+            gradient.addColorStop(0, row.stops[0]);
+            gradient.addColorStop(1, row.stops[1]);
+            if (native) {
+                gradient.interpolationColorSpace = row.space;
+                if (row.hue) gradient.hueInterpolationMethod = row.hue;
+            }
+        } else {
+            for (const [offset, color] of gradientInterpolationReferenceStops(row)) gradient.addColorStop(offset, color);
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(10, 8 + i * 30, 240, 24);
+    });
+}
+
+registerVisualTest('gradient-interpolation', {
+    name: 'Gradient interpolation - premultiplied fade, sRGB, linear sRGB, OKLab and OKLCH hue paths',
+    width: 260, height: 220,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(260, 220);
+        drawGradientInterpolationRows(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawGradientInterpolationRows(html5Canvas.getContext('2d'), false);
+    }
+});
@@ -0,0 +1,63 @@
+// Test: roundRect() with per-corner and elliptical radii
+// This file will be concatenated into the main visual test suite
+
+const ROUND_RECT_RADII = [
+    10,
+    [20, 4],
+    [24, 0, 8],
+    [{ x: 30, y: 12 }, 6, { x: 8, y: 24 }, 0],
+    { x: 40, y: 18 },
+    [60, 60, 10, 10]
+];
+
+// Top rows: path roundRect() fills and strokes; bottom rows: the direct rounded
+// rect calls (SWCanvas) or the same paths (browser), axis-aligned and rotated
+function drawRoundRectRadiiPanels(ctx, direct) {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 320, 260);
+
+    ROUND_RECT_RADII.forEach((radii, i) => {
+        const x = 10 + (i % 3) * 105;
+        const y = 10 + Math.floor(i / 3) * 60;
+        ctx.beginPath();
+        ctx.roundRect(x, y, 90, 50, radii);
+        ctx.fillStyle = 'rgb(120, 180, 240)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgb(20, 40, 120)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    });
+
+    ROUND_RECT_RADII.forEach((radii, i) => {
+        const x = 10 + (i % 3) * 105;
+        const y = 135 + Math.floor(i / 3) * 62;
+        ctx.save();
+        ctx.translate(x + 45, y + 25);
+        if (i >= 3) ctx.rotate(0.2);
+        ctx.fillStyle = 'rgba(230, 120, 40, 0.8)';
+        ctx.strokeStyle = 'rgb(90, 30, 10)';
+        ctx.lineWidth = i % 2 ? 1 : 4;
+        if (direct) {
+            ctx.fillStrokeRoundRect(-45, -25, 90, 50, radii);
+        } else {
+            ctx.beginPath();
+            ctx.roundRect(-45, -25, 90, 50, radii);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    });
+}
+
+registerVisualTest('round-rect-radii', {
+    name: 'roundRect - per-corner and elliptical radii on paths and direct rounded rects',
+    width: 320, height: 260,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(320, 260);
+        drawRoundRectRadiiPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawRoundRectRadiiPanels(html5Canvas.getContext('2d'), false);
+    }
+});
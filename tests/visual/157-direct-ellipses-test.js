@@ -0,0 +1,61 @@
+// Test: Direct ellipse rendering with rotation, transforms, strokes and paint
+// This file will be concatenated into the main visual test suite
+
+// Rows: opaque, semi-transparent and gradient fills; columns: ellipse rotation,
+// canvas rotation, non-uniform scale and a flat ellipse with a thick stroke.
+// SWCanvas uses the direct ellipse calls, the browser the same ellipse() paths.
+function drawDirectEllipsePanels(ctx, direct) {
+    const ellipse = (op, rx, ry, rotation = 0) => {
+        if (direct) {
+            ctx[`${op}Ellipse`](0, 0, rx, ry, rotation);
+            return;
+        }
+        ctx.beginPath();
+        ctx.ellipse(0, 0, rx, ry, rotation, 0, Math.PI * 2);
+        if (op !== 'stroke') ctx.fill();
+        if (op !== 'fill') ctx.stroke();
+    };
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 320, 240);
+
+    const gradient = ctx.createLinearGradient(0, 160, 320, 240);
+    gradient.addColorStop(0, 'rgb(250, 200, 40)');
+    gradient.addColorStop(1, 'rgb(40, 120, 220)');
+    const rows = [
+        { fill: 'rgb(220, 80, 60)', stroke: 'rgb(40, 40, 40)', lineWidth: 1 },
+        { fill: 'rgba(60, 160, 90, 0.6)', stroke: 'rgba(20, 60, 160, 0.8)', lineWidth: 5 },
+        { fill: gradient, stroke: 'rgb(90, 30, 120)', lineWidth: 3 }
+    ];
+    const columns = [
+        () => ellipse('fillStroke', 32, 16, 0.5),
+        () => { ctx.rotate(-0.8); ellipse('fillStroke', 34, 14); },
+        () => { ctx.scale(1.4, 0.7); ellipse('fillStroke', 22, 26, 0.3); },
+        () => { ellipse('fill', 32, 8, 0.2); ctx.lineWidth = 6; ellipse('stroke', 32, 8, 0.2); }
+    ];
+
+    rows.forEach((row, r) => {
+        columns.forEach((draw, c) => {
+            ctx.save();
+            ctx.translate(42 + c * 78, 40 + r * 80);
+            ctx.fillStyle = row.fill;
+            ctx.strokeStyle = row.stroke;
+            ctx.lineWidth = row.lineWidth;
+            draw();
+            ctx.restore();
+        });
+    });
+}
+
+registerVisualTest('direct-ellipses', {
+    name: 'Direct ellipses - fillEllipse, strokeEllipse and fillStrokeEllipse with rotation and transforms',
+    width: 320, height: 240,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(320, 240);
+        drawDirectEllipsePanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectEllipsePanels(html5Canvas.getContext('2d'), false);
+    }
+});
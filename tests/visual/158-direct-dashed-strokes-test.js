@@ -0,0 +1,71 @@
+// Test: Dashed strokes on the direct shape renderers
+// This file will be concatenated into the main visual test suite
+
+// Rows: 1px opaque, thick semi-transparent, and scaled with a dash offset;
+// columns: rect, rounded rect, circle, arc and line.
+// SWCanvas uses the direct shape calls, the browser the same paths.
+function drawDirectDashedPanels(ctx, direct) {
+    const shapes = [
+        {
+            direct: () => ctx.strokeRect(-24, -18, 48, 36),
+            path: () => ctx.rect(-24, -18, 48, 36)
+        },
+        {
+            direct: () => ctx.strokeRoundRect(-24, -18, 48, 36, [10, 0, 6]),
+            path: () => ctx.roundRect(-24, -18, 48, 36, [10, 0, 6])
+        },
+        {
+            direct: () => ctx.strokeCircle(0, 0, 22),
+            path: () => ctx.arc(0, 0, 22, 0, Math.PI * 2)
+        },
+        {
+            direct: () => ctx.outerStrokeArc(0, 0, 22, 0.4, 4.2),
+            path: () => ctx.arc(0, 0, 22, 0.4, 4.2)
+        },
+        {
+            direct: () => ctx.strokeLine(-26, 18, 26, -18),
+            path: () => { ctx.moveTo(-26, 18); ctx.lineTo(26, -18); }
+        }
+    ];
+    const rows = [
+        { stroke: 'rgb(30, 30, 30)', lineWidth: 1, dash: [4, 3], offset: 0, scale: 1 },
+        { stroke: 'rgba(200, 40, 40, 0.6)', lineWidth: 5, dash: [12, 5, 2, 5], offset: 0, scale: 1 },
+        { stroke: 'rgb(30, 90, 200)', lineWidth: 3, dash: [9, 4], offset: 6, scale: 1.2 }
+    ];
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 340, 210);
+
+    rows.forEach((row, r) => {
+        shapes.forEach((shape, c) => {
+            ctx.save();
+            ctx.translate(36 + c * 67, 36 + r * 68);
+            ctx.scale(row.scale, row.scale);
+            ctx.strokeStyle = row.stroke;
+            ctx.lineWidth = row.lineWidth;
+            ctx.setLineDash(row.dash);
+            ctx.lineDashOffset = row.offset;
+            if (direct) {
+                shape.direct();
+            } else {
+                ctx.beginPath();
+                shape.path();
+                ctx.stroke();
+            }
+            ctx.restore();
+        });
+    });
+}
+
+registerVisualTest('direct-dashed-strokes', {
+    name: 'Direct dashed strokes - rects, rounded rects, circles, arcs and lines with lineDashOffset',
+    width: 340, height: 210,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(340, 210);
+        drawDirectDashedPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectDashedPanels(html5Canvas.getContext('2d'), false);
+    }
+});
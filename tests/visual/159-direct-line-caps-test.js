@@ -0,0 +1,52 @@
+// Test: Round and square line caps on strokeLine direct rendering
+// This file will be concatenated into the main visual test suite
+
+// Columns: butt, round and square caps; rows: 1px opaque, thick semi-transparent
+// and wide opaque strokes, each with a horizontal, a diagonal and a vertical line.
+// SWCanvas uses strokeLine(), the browser the same paths.
+function drawDirectLineCapPanels(ctx, direct) {
+    const caps = ['butt', 'round', 'square'];
+    const rows = [
+        { stroke: 'rgb(30, 30, 30)', lineWidth: 1 },
+        { stroke: 'rgba(200, 40, 40, 0.6)', lineWidth: 7 },
+        { stroke: 'rgb(30, 90, 200)', lineWidth: 14 }
+    ];
+    const lines = [[-44, -14, -22, -14], [-40, 20, -4, 2], [28, -20, 28, 20]];
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 330, 240);
+
+    rows.forEach((row, r) => {
+        caps.forEach((lineCap, c) => {
+            ctx.save();
+            ctx.translate(58 + c * 107, 42 + r * 78);
+            ctx.strokeStyle = row.stroke;
+            ctx.lineWidth = row.lineWidth;
+            ctx.lineCap = lineCap;
+            lines.forEach(([x1, y1, x2, y2]) => {
+                if (direct) {
+                    ctx.strokeLine(x1, y1, x2, y2);
+                } else {
+                    ctx.beginPath();
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                    ctx.stroke();
+                }
+            });
+            ctx.restore();
+        });
+    });
+}
+
+registerVisualTest('direct-line-caps', {
+    name: 'Direct line caps - butt, round and square caps on strokeLine',
+    width: 330, height: 240,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(330, 240);
+        drawDirectLineCapPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectLineCapPanels(html5Canvas.getContext('2d'), false);
+    }
+});
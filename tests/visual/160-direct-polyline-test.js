@@ -0,0 +1,59 @@
+// Test: strokePolyline direct rendering with joins and caps
+// This file will be concatenated into the main visual test suite
+
+// Columns: miter, round and bevel joins; rows: butt-capped opaque, round-capped
+// semi-transparent (over a self-crossing trace) and closed, rotated and scaled.
+// SWCanvas uses strokePolyline(), the browser the same paths.
+function drawDirectPolylinePanels(ctx, direct) {
+    const joins = ['miter', 'round', 'bevel'];
+    const rows = [
+        { stroke: 'rgb(30, 30, 30)', lineWidth: 8, lineCap: 'butt', closed: false, rotation: 0, scale: 1,
+            points: [-40, 20, -24, -20, -8, 16, 8, -12, 24, 18, 42, -20] },
+        { stroke: 'rgba(200, 40, 40, 0.6)', lineWidth: 9, lineCap: 'round', closed: false, rotation: 0, scale: 1,
+            points: [-40, -18, 38, 16, -30, 20, 10, -24, 34, -6] },
+        { stroke: 'rgb(30, 90, 200)', lineWidth: 5, lineCap: 'square', closed: true, rotation: 0.4, scale: 1.2,
+            points: [-30, -16, 28, -20, 8, 2, 30, 16, -26, 18] }
+    ];
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 330, 240);
+
+    rows.forEach((row, r) => {
+        const points = new Float32Array(row.points);
+        joins.forEach((lineJoin, c) => {
+            ctx.save();
+            ctx.translate(58 + c * 107, 42 + r * 78);
+            ctx.rotate(row.rotation);
+            ctx.scale(row.scale, row.scale);
+            ctx.strokeStyle = row.stroke;
+            ctx.lineWidth = row.lineWidth;
+            ctx.lineJoin = lineJoin;
+            ctx.lineCap = row.lineCap;
+            if (direct) {
+                ctx.strokePolyline(points, row.closed);
+            } else {
+                ctx.beginPath();
+                ctx.moveTo(points[0], points[1]);
+                for (let i = 2; i < points.length; i += 2) {
+                    ctx.lineTo(points[i], points[i + 1]);
+                }
+                if (row.closed) ctx.closePath();
+                ctx.stroke();
+            }
+            ctx.restore();
+        });
+    });
+}
+
+registerVisualTest('direct-polyline', {
+    name: 'Direct polylines - miter, round and bevel joins with caps on strokePolyline',
+    width: 330, height: 240,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(330, 240);
+        drawDirectPolylinePanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectPolylinePanels(html5Canvas.getContext('2d'), false);
+    }
+});
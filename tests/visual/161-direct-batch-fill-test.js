@@ -0,0 +1,61 @@
+// Test: fillRects and fillCircles batch direct rendering
+// This file will be concatenated into the main visual test suite
+
+// Left: a bar chart of overlapping semi-transparent bars under a scale; right: a
+// scatter plot with per-point colors. SWCanvas uses fillRects() and fillCircles(),
+// the browser one fillRect() and arc() fill per shape with the same colors.
+function drawDirectBatchFillPanels(ctx, direct) {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 320, 200);
+
+    const bars = new Float32Array(20 * 4);
+    for (let i = 0; i < 20; i++) {
+        const height = 20 + ((i * 37) % 110);
+        bars.set([i * 6.5, 150 - height, 9, height], i * 4);
+    }
+    const points = new Float32Array(60 * 3);
+    const colors = new Uint32Array(60);
+    for (let i = 0; i < 60; i++) {
+        points.set([170 + ((i * 53) % 140), 20 + ((i * 29) % 160), 2 + (i % 4) * 2], i * 3);
+        const alpha = i % 3 === 0 ? 140 : 255;
+        colors[i] = ((alpha << 24) | (((i * 40) % 256) << 16) | (((i * 90) % 256) << 8) | ((i * 15) % 256)) >>> 0;
+    }
+    const css = packed => `rgba(${packed & 0xFF}, ${(packed >>> 8) & 0xFF}, ${(packed >>> 16) & 0xFF}, ${(packed >>> 24) / 255})`;
+
+    ctx.save();
+    ctx.translate(15, 20);
+    ctx.scale(1.1, 1);
+    ctx.fillStyle = 'rgba(40, 110, 200, 0.6)';
+    if (direct) {
+        ctx.fillRects(bars);
+    } else {
+        for (let i = 0; i < bars.length; i += 4) {
+            ctx.fillRect(bars[i], bars[i + 1], bars[i + 2], bars[i + 3]);
+        }
+    }
+    ctx.restore();
+
+    if (direct) {
+        ctx.fillCircles(points, colors);
+    } else {
+        for (let i = 0; i < 60; i++) {
+            ctx.fillStyle = css(colors[i]);
+            ctx.beginPath();
+            ctx.arc(points[i * 3], points[i * 3 + 1], points[i * 3 + 2], 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+registerVisualTest('direct-batch-fill', {
+    name: 'Direct batch fills - fillRects bar chart and fillCircles scatter plot with per-point colors',
+    width: 320, height: 200,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(320, 200);
+        drawDirectBatchFillPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectBatchFillPanels(html5Canvas.getContext('2d'), false);
+    }
+});
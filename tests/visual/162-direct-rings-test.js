@@ -0,0 +1,91 @@
+// Test: fillRing, strokeRing, fillAnnularSector and strokeAnnularSector direct rendering
+// This file will be concatenated into the main visual test suite
+
+// Left: a donut chart of five slices (one semi-transparent) outlined with round joins;
+// middle: nested rings with semi-transparent strokes wider than their gaps; right:
+// a rotated, scaled gauge drawn anticlockwise. SWCanvas uses the ring APIs, the
+// browser the equivalent arc() paths.
+function drawDirectRingPanels(ctx, direct) {
+    const sector = (cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise, op) => {
+        if (direct) {
+            if (op === 'fill') ctx.fillAnnularSector(cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+            else ctx.strokeAnnularSector(cx, cy, innerRadius, outerRadius, startAngle, endAngle, anticlockwise);
+            return;
+        }
+        ctx.beginPath();
+        ctx.arc(cx, cy, outerRadius, startAngle, endAngle, anticlockwise);
+        ctx.arc(cx, cy, innerRadius, endAngle, startAngle, !anticlockwise);
+        ctx.closePath();
+        if (op === 'fill') ctx.fill();
+        else ctx.stroke();
+    };
+    const ring = (cx, cy, innerRadius, outerRadius, op) => {
+        if (direct) {
+            if (op === 'fill') ctx.fillRing(cx, cy, innerRadius, outerRadius);
+            else ctx.strokeRing(cx, cy, innerRadius, outerRadius);
+            return;
+        }
+        ctx.beginPath();
+        ctx.arc(cx, cy, outerRadius, 0, Math.PI * 2);
+        ctx.moveTo(cx + innerRadius, cy);
+        ctx.arc(cx, cy, innerRadius, Math.PI * 2, 0, true);
+        if (op === 'fill') ctx.fill();
+        else ctx.stroke();
+    };
+
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 330, 130);
+
+    // Donut chart
+    const slices = [
+        [0.9, 'rgb(220, 60, 60)'], [1.4, 'rgb(60, 140, 220)'], [1.1, 'rgba(40, 170, 90, 0.6)'],
+        [1.7, 'rgb(240, 180, 40)'], [Math.PI * 2 - 5.1, 'rgb(130, 80, 190)']
+    ];
+    let angle = -Math.PI / 2;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = 'rgb(30, 30, 30)';
+    for (const [extent, color] of slices) {
+        ctx.fillStyle = color;
+        sector(57.5, 62.5, 22, 48, angle, angle + extent, false, 'fill');
+        sector(57.5, 62.5, 22, 48, angle, angle + extent, false, 'stroke');
+        angle += extent;
+    }
+
+    // Nested rings
+    ctx.fillStyle = 'rgba(60, 140, 220, 0.5)';
+    ring(165, 65, 30, 50, 'fill');
+    ctx.fillStyle = 'rgb(240, 180, 40)';
+    ring(165, 65, 0, 12, 'fill');
+    ctx.lineWidth = 9;
+    ctx.strokeStyle = 'rgba(200, 40, 40, 0.5)';
+    ring(165, 65, 24, 30, 'stroke');
+
+    // Rotated, scaled gauge
+    ctx.save();
+    ctx.translate(272, 78);
+    ctx.rotate(0.3);
+    ctx.scale(1.3, 1.3);
+    ctx.fillStyle = 'rgb(225, 225, 225)';
+    sector(0, 0, 26, 38, Math.PI, 0, false, 'fill');
+    ctx.fillStyle = 'rgba(20, 150, 110, 0.8)';
+    sector(0, 0, 26, 38, 0, -2.1, true, 'fill');
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'miter';
+    ctx.strokeStyle = 'rgb(20, 60, 50)';
+    sector(0, 0, 26, 38, 0, -2.1, true, 'stroke');
+    ctx.restore();
+}
+
+registerVisualTest('direct-rings', {
+    name: 'Direct rings - donut chart, nested rings and a rotated gauge with the ring APIs',
+    width: 330, height: 130,
+    drawSWCanvas: function(SWCanvas) {
+        const canvas = SWCanvas.createCanvas(330, 130);
+        drawDirectRingPanels(canvas.getContext('2d'), true);
+        return canvas._coreSurface;
+    },
+    drawHTML5Canvas: function(html5Canvas) {
+        drawDirectRingPanels(html5Canvas.getContext('2d'), false);
+    }
+});